@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import Role from '../models/Role.js';
+import DrugClass from '../models/DrugClass.js';
+import DrugInteraction from '../models/DrugInteraction.js';
+import Store from '../models/Store.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
 
 const connectDB = async () => {
   try {
@@ -16,6 +21,40 @@ const connectDB = async () => {
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
 
+    // Built-in roles must exist before anyone is assigned one. Only missing
+    // roles are inserted, and existing ones only gain defaults an admin has
+    // not taken away, so edits made through /api/roles are kept.
+    const seeded = await Role.seedDefaults();
+    if (seeded) {
+      logger.info(`Seeded ${seeded} built-in role(s)`);
+    }
+    const extended = await Role.addMissingDefaults();
+    if (extended) {
+      logger.info(`Gave ${extended} built-in role(s) their new default permissions`);
+    }
+
+    // Prescribing checks need a knowledge base; as with roles, entries the
+    // pharmacy has edited through /api/clinical-knowledge are kept
+    const [classes, interactions] = await Promise.all([DrugClass.seedDefaults(), DrugInteraction.seedDefaults()]);
+    if (classes || interactions) {
+      logger.info(`Seeded ${classes} drug class(es) and ${interactions} drug interaction(s)`);
+    }
+
+    // Existing batches are all held at the main store
+    if (await Store.seedDefaults()) {
+      logger.info('Seeded the main store');
+    }
+    const relocated = await Store.migrateBatchLocations();
+    if (relocated) {
+      logger.info(`Moved ${relocated} batch(es) with an unknown location onto a store`);
+    }
+
+    // Orders raised before the purchase order lifecycle
+    const migrated = await PurchaseOrder.migrateLegacyStatuses();
+    if (migrated) {
+      logger.info(`Moved ${migrated} purchase order(s) onto the order lifecycle`);
+    }
+
     // Handle connection events
     mongoose.connection.on('error', (err) => {
       logger.error('MongoDB connection error:', err);
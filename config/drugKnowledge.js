@@ -0,0 +1,192 @@
+/**
+ * Starting knowledge base for prescribing checks (services/clinicalDecisionService.js).
+ *
+ * Like the built-in roles, these are seeded into the drugclasses and
+ * druginteractions collections when missing, and from then on the database
+ * copy is what is used: the pharmacy maintains it through
+ * /api/clinical-knowledge, and edits survive a restart.
+ *
+ * Names are matched as whole words against a medicine's name and generic
+ * name, so "amoxicillin" matches "Amoxicillin 500mg". An interaction names
+ * either a drug or a drug class on each side.
+ */
+
+export const SEVERITIES = ['minor', 'moderate', 'severe'];
+
+export const DEFAULT_DRUG_CLASSES = [
+  {
+    name: 'penicillins',
+    members: ['amoxicillin', 'ampicillin', 'penicillin', 'benzylpenicillin', 'phenoxymethylpenicillin', 'benzathine', 'cloxacillin', 'flucloxacillin', 'piperacillin'],
+    allergyTerms: ['pcn', 'beta lactam'],
+    crossReactive: [{ className: 'cephalosporins', severity: 'moderate' }, { className: 'carbapenems', severity: 'moderate' }],
+  },
+  {
+    name: 'cephalosporins',
+    members: ['cefalexin', 'cephalexin', 'cefadroxil', 'cefazolin', 'cefuroxime', 'cefixime', 'cefotaxime', 'ceftriaxone', 'ceftazidime', 'cefepime'],
+    allergyTerms: ['cephalosporin'],
+    crossReactive: [{ className: 'penicillins', severity: 'moderate' }],
+  },
+  {
+    name: 'carbapenems',
+    members: ['meropenem', 'imipenem', 'ertapenem'],
+  },
+  {
+    name: 'sulfonamides',
+    members: ['sulfamethoxazole', 'cotrimoxazole', 'co trimoxazole', 'sulfadiazine', 'sulfadoxine'],
+    allergyTerms: ['sulfa', 'sulpha', 'sulphonamide', 'sulphonamides', 'septrin', 'bactrim'],
+  },
+  {
+    name: 'nsaids',
+    members: ['ibuprofen', 'diclofenac', 'naproxen', 'aspirin', 'acetylsalicylic', 'indomethacin', 'ketorolac', 'piroxicam', 'meloxicam', 'mefenamic'],
+    allergyTerms: ['nsaid'],
+  },
+  {
+    name: 'macrolides',
+    members: ['erythromycin', 'azithromycin', 'clarithromycin'],
+  },
+  {
+    name: 'fluoroquinolones',
+    members: ['ciprofloxacin', 'levofloxacin', 'norfloxacin', 'ofloxacin', 'moxifloxacin'],
+    allergyTerms: ['quinolone', 'quinolones'],
+  },
+  {
+    name: 'opioids',
+    members: ['morphine', 'codeine', 'tramadol', 'pethidine', 'fentanyl'],
+    allergyTerms: ['opiate', 'opiates'],
+  },
+  {
+    name: 'benzodiazepines',
+    members: ['diazepam', 'lorazepam', 'midazolam', 'alprazolam'],
+  },
+  {
+    name: 'ace inhibitors',
+    members: ['captopril', 'enalapril', 'lisinopril', 'ramipril', 'perindopril'],
+  },
+  {
+    name: 'potassium sparing diuretics',
+    members: ['spironolactone', 'amiloride'],
+  },
+  {
+    name: 'azole antifungals',
+    members: ['fluconazole', 'ketoconazole', 'itraconazole', 'miconazole'],
+  },
+  {
+    name: 'nitrates',
+    members: ['isosorbide', 'glyceryl trinitrate', 'nitroglycerin'],
+  },
+  {
+    name: 'pde5 inhibitors',
+    members: ['sildenafil', 'tadalafil'],
+  },
+];
+
+export const DEFAULT_INTERACTIONS = [
+  {
+    drugs: ['warfarin', 'nsaids'],
+    severity: 'severe',
+    effect: 'Greatly increased risk of bleeding',
+    management: 'Avoid; use paracetamol for pain. If unavoidable, add gastroprotection and monitor INR closely.',
+  },
+  {
+    drugs: ['warfarin', 'azole antifungals'],
+    severity: 'severe',
+    effect: 'Raised INR and bleeding: the azole blocks warfarin metabolism',
+    management: 'Avoid, or reduce the warfarin dose and check INR within 3 to 5 days.',
+  },
+  {
+    drugs: ['warfarin', 'sulfonamides'],
+    severity: 'severe',
+    effect: 'Raised INR and bleeding',
+    management: 'Choose another antibiotic, or monitor INR closely.',
+  },
+  {
+    drugs: ['warfarin', 'fluoroquinolones'],
+    severity: 'moderate',
+    effect: 'Raised INR',
+    management: 'Check INR within a week of starting.',
+  },
+  {
+    drugs: ['warfarin', 'macrolides'],
+    severity: 'moderate',
+    effect: 'Raised INR',
+    management: 'Check INR within a week of starting.',
+  },
+  {
+    drugs: ['warfarin', 'rifampicin'],
+    severity: 'moderate',
+    effect: 'Reduced anticoagulant effect',
+    management: 'Monitor INR; the warfarin dose may need to be increased.',
+  },
+  {
+    drugs: ['nitrates', 'pde5 inhibitors'],
+    severity: 'severe',
+    effect: 'Profound, possibly fatal hypotension',
+    management: 'Do not combine.',
+  },
+  {
+    drugs: ['opioids', 'benzodiazepines'],
+    severity: 'severe',
+    effect: 'Respiratory depression, sedation and death',
+    management: 'Avoid; if both are needed, use the lowest doses and monitor breathing.',
+  },
+  {
+    drugs: ['simvastatin', 'clarithromycin'],
+    severity: 'severe',
+    effect: 'Myopathy and rhabdomyolysis',
+    management: 'Stop simvastatin for the course, or use azithromycin.',
+  },
+  {
+    drugs: ['simvastatin', 'erythromycin'],
+    severity: 'severe',
+    effect: 'Myopathy and rhabdomyolysis',
+    management: 'Stop simvastatin for the course, or use azithromycin.',
+  },
+  {
+    drugs: ['methotrexate', 'sulfonamides'],
+    severity: 'severe',
+    effect: 'Bone marrow suppression',
+    management: 'Avoid co-trimoxazole in patients on methotrexate.',
+  },
+  {
+    drugs: ['rifampicin', 'nevirapine'],
+    severity: 'severe',
+    effect: 'Nevirapine levels fall, risking treatment failure',
+    management: 'Use an efavirenz-based regimen during TB treatment.',
+  },
+  {
+    drugs: ['ace inhibitors', 'potassium sparing diuretics'],
+    severity: 'moderate',
+    effect: 'Hyperkalaemia',
+    management: 'Check potassium and renal function within a week.',
+  },
+  {
+    drugs: ['ace inhibitors', 'potassium chloride'],
+    severity: 'moderate',
+    effect: 'Hyperkalaemia',
+    management: 'Check potassium before and after starting.',
+  },
+  {
+    drugs: ['ace inhibitors', 'nsaids'],
+    severity: 'moderate',
+    effect: 'Reduced antihypertensive effect and risk of kidney injury',
+    management: 'Prefer paracetamol; keep NSAID courses short and check renal function.',
+  },
+  {
+    drugs: ['ciprofloxacin', 'theophylline'],
+    severity: 'moderate',
+    effect: 'Theophylline toxicity (nausea, arrhythmia, seizures)',
+    management: 'Halve the theophylline dose or choose another antibiotic.',
+  },
+  {
+    drugs: ['warfarin', 'metronidazole'],
+    severity: 'moderate',
+    effect: 'Raised INR',
+    management: 'Check INR within 3 to 5 days of starting.',
+  },
+  {
+    drugs: ['ciprofloxacin', 'antacid'],
+    severity: 'minor',
+    effect: 'Reduced ciprofloxacin absorption',
+    management: 'Give ciprofloxacin 2 hours before or 6 hours after the antacid.',
+  },
+];
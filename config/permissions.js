@@ -0,0 +1,291 @@
+/**
+ * Permission catalogue and the built-in roles.
+ *
+ * Routes check a permission (`requirePermission('patients.view')`), never a
+ * role name. Which permissions a role carries lives in the `roles` collection
+ * (models/Role.js) so an admin can create a role such as "ward clerk" or edit
+ * an existing one without a code change.
+ *
+ * DEFAULT_ROLES below is the starting point seeded into that collection. Its
+ * grants reproduce, permission for permission, the authorize(...) role lists
+ * the routers carried before permissions existed, so seeding changes nobody's
+ * access. Once seeded, the database copy wins: edits made by an admin are not
+ * overwritten on restart.
+ *
+ * The wildcard '*' grants every permission and is reserved for admin.
+ */
+export const WILDCARD = '*';
+
+export const PERMISSIONS = {
+  // Administration
+  'users.manage': 'Create, edit, deactivate and delete staff accounts, and grant or revoke their permissions',
+  'roles.manage': 'Create and edit roles and the permissions they carry',
+  'audit.view': 'Search and export the audit log',
+  'jobs.manage': 'View scheduled jobs and run them on demand',
+  'departments.manage': 'Create departments',
+  'services.manage': 'Manage the billable services catalogue',
+  'dashboard.admin': 'View the admin dashboard',
+  'dashboard.doctor': 'View the doctor dashboard',
+  'dashboard.receptionist': 'View the receptionist dashboard',
+
+  // Staff directories
+  'doctors.view': 'View the doctor directory',
+  'doctors.manage': 'Create, edit and remove doctors',
+  'doctors.queue': 'Work an own consultation queue and start visits',
+  'schedules.manage': 'Set any clinician\'s working hours, breaks and leave',
+  'nurses.view': 'View the nurse directory',
+  'surgeons.view': 'View the surgeon directory',
+
+  // Patients
+  'patients.search': 'Search patients by name, phone or ID',
+  'patients.list': 'Browse the patient register',
+  'patients.view': 'Open a patient record',
+  'patients.summary': 'View a patient\'s clinical summary across visits, admissions and procedures',
+  'patients.create': 'Register patients',
+  'patients.update': 'Edit patient records',
+  'patients.delete': 'Delete patient records',
+  'patients.statistics': 'View patient statistics',
+  'patients.merge': 'Merge duplicate patient records and reverse merges',
+
+  // Appointments
+  'appointments.view_all': 'View every appointment',
+  'appointments.view_own': 'View own appointments',
+  'appointments.create': 'Book appointments',
+  'appointments.update': 'Reschedule appointments and change their status (own only without appointments.view_all)',
+  'appointments.delete': 'Delete appointments',
+
+  // Outpatient visits
+  'visits.view': 'View visits (own only without visits.view_all)',
+  'visits.view_all': 'View every visit',
+  'visits.create': 'Open visits',
+  'visits.vitals': 'Record vital signs on a visit',
+  'visits.order': 'Order lab tests and radiology on a visit',
+  'visits.prescribe': 'Prescribe on a visit',
+  'visits.diagnose': 'Record diagnoses on a visit',
+  'visits.administer': 'View pending injections and record administered doses',
+  'visits.payment_status': 'Confirm consultation payment and release a visit to the queue',
+  'visits.end': 'End visits',
+
+  // Inpatients, wards and beds
+  'ipd.view': 'View admissions and IPD statistics',
+  'ipd.create': 'Admit patients',
+  'ipd.update': 'Edit admissions',
+  'ipd.discharge': 'Discharge inpatients',
+  'ipd.diagnose': 'Record inpatient diagnoses',
+  'ipd.vitals': 'Record inpatient vital signs',
+  'ipd.nursing_notes': 'Write nursing notes',
+  'ipd.transfer': 'Transfer inpatients between wards and beds',
+  'ipd.delete': 'Delete admissions',
+  'ipd.medications.view': 'View inpatient medication orders',
+  'ipd.medications.prescribe': 'Prescribe inpatient medications',
+  'ipd.medications.dispense': 'Update inpatient medication orders from the pharmacy',
+  'wards.statistics': 'View ward statistics',
+  'wards.manage': 'Create, edit and delete wards',
+  'beds.statistics': 'View bed statistics',
+  'beds.create': 'Add beds',
+  'beds.update': 'Edit beds and mark them cleaned',
+  'beds.assign': 'Assign and release beds',
+  'beds.delete': 'Delete beds',
+
+  // Theatre
+  'theatres.manage': 'Manage theatres and view theatre statistics',
+  'theatre_procedures.list': 'List theatre procedures',
+  'theatre_procedures.view': 'Open a theatre procedure',
+  'theatre_procedures.book': 'Book theatre procedures',
+  'theatre_procedures.update': 'Edit theatre procedures',
+  'theatre_procedures.medications': 'Record theatre medications',
+  'theatre_procedures.diagnose': 'Record theatre diagnoses',
+  'theatre_procedures.discharge': 'Discharge theatre patients',
+  'theatre_procedures.delete': 'Delete theatre procedures',
+
+  // Diagnostics
+  'lab_tests.view': 'View lab tests',
+  'lab_tests.results': 'Enter lab results and update lab test status',
+  'lab_tests.collect': 'Collect lab specimens and print their labels',
+  'lab_tests.verify': 'Verify lab results',
+  'lab_tests.delete': 'Delete lab tests',
+  'lab_catalog.manage': 'Maintain the lab test catalog, reference ranges and test prices',
+  'radiology.view': 'View radiology requests',
+  'radiology.order': 'Create radiology requests',
+  'radiology.report': 'Report on radiology requests',
+  'radiology.upload': 'Upload radiology images and reports',
+
+  // Pharmacy and stock
+  'prescriptions.view': 'View a patient\'s prescriptions',
+  'prescriptions.quantify': 'Quantify prescriptions and send them to billing',
+  'prescriptions.update': 'Edit prescriptions',
+  'prescriptions.delete': 'Delete prescriptions',
+  'dispensing.view': 'View the dispensing queue',
+  'dispensing.dispense': 'Dispense, mark unavailable or return prescriptions',
+  'direct_dispensing.view': 'View over-the-counter sales',
+  'direct_dispensing.create': 'Record over-the-counter sales and run a till shift',
+  'direct_dispensing.void': 'Void over-the-counter sales, returning their stock',
+  'direct_dispensing.cashup': 'View and close other cashiers\' till shifts',
+  'medicines.view': 'View the medicine catalogue',
+  'medicines.manage': 'Create, edit and delete medicines',
+  'clinical_knowledge.manage': 'Maintain the drug classes and interactions prescriptions are checked against',
+  // Keys kept from the per-item price table that price lists replaced, so
+  // roles already granted them keep their access
+  'item_prices.view': 'View price lists and look up prices',
+  'item_prices.manage': 'Create price lists, set prices and import tariffs',
+  'item_prices.delete': 'Remove price list entries',
+  'stock.view': 'View stock items and balances',
+  'stock.manage': 'Maintain stock items, movements, incoming items and expiry reports',
+  'stock.receive': 'Receive stock into inventory',
+  'stock.take': 'Run stock-take sessions and enter counts',
+  'stock.transfer': 'Move stock between stores',
+  'stores.manage': 'Set up stores and the dispensing point',
+  'stock.approve_adjustments': 'Approve stock-take variances and post the adjustments',
+  'purchase_orders.view': 'View purchase orders',
+  'purchase_orders.manage': 'Draft, send, receive against, close and cancel purchase orders',
+  'purchase_orders.approve': 'Approve purchase orders raised by someone else',
+  'suppliers.view': 'View suppliers and their performance',
+  'suppliers.manage': 'Add and edit suppliers, their contacts and payment terms',
+  'supplier_invoices.view': 'View supplier invoices and accounts payable',
+  'supplier_invoices.match': 'Enter supplier invoices and match them to orders and deliveries',
+  'supplier_invoices.approve': 'Approve or reject supplier invoices for payment',
+  'requisitions.view': 'View requisitions',
+  'requisitions.create': 'Raise and cancel requisitions',
+  'requisitions.fulfil': 'Issue requisition items and complete requisitions',
+
+  // Billing
+  'invoices.view': 'View invoices',
+  'invoices.create': 'Create invoices',
+  'invoices.update': 'Edit invoices',
+  'payments.create': 'Take payments',
+  'refunds.create': 'Issue refunds',
+  'claims.view': 'View insurance claims',
+  'claims.submit': 'Submit and resubmit insurance claims',
+  'claims.adjudicate': 'Record payer acknowledgements, adjudications and remittances',
+  'billing.statistics': 'View billing statistics',
+
+  // Mortuary
+  'corpses.view': 'View mortuary records',
+  'corpses.create': 'Register bodies',
+  'corpses.update': 'Edit mortuary records and assign cabinets',
+  'cabinets.view': 'View cabinets and occupancy',
+  'cabinets.create': 'Add cabinets',
+  'cabinets.update': 'Edit cabinets',
+  'cabinets.assign': 'Assign and release cabinets',
+  'cabinets.delete': 'Delete cabinets',
+  'releases.view': 'View body releases',
+  'releases.create': 'Request body releases',
+  'releases.update': 'Edit body releases',
+  'releases.complete': 'Complete body releases',
+  'releases.approve': 'Approve or cancel body releases',
+};
+
+export const isKnownPermission = (permission) =>
+  permission === WILDCARD || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+export const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    displayName: 'Administrator',
+    description: 'Full access to every part of the system',
+    permissions: [WILDCARD],
+  },
+  {
+    name: 'user',
+    displayName: 'Unassigned',
+    // Self-registered accounts start here and can do nothing until an admin
+    // assigns a real role.
+    description: 'No access until a role is assigned',
+    permissions: [],
+  },
+  {
+    name: 'doctor',
+    displayName: 'Doctor',
+    description: 'Consults, prescribes and orders investigations',
+    permissions: [
+      'appointments.update', 'appointments.view_own', 'beds.statistics', 'dashboard.doctor',
+      'direct_dispensing.view', 'doctors.queue', 'doctors.view', 'invoices.create', 'invoices.view',
+      'ipd.create', 'ipd.diagnose', 'ipd.discharge', 'ipd.medications.prescribe', 'ipd.medications.view',
+      'ipd.transfer', 'ipd.update', 'ipd.view', 'ipd.vitals', 'lab_tests.view', 'medicines.view',
+      'nurses.view', 'patients.list', 'patients.search', 'patients.summary', 'patients.view', 'prescriptions.update',
+      'prescriptions.view', 'purchase_orders.view', 'radiology.order', 'radiology.upload', 'radiology.view',
+      'requisitions.create', 'requisitions.view', 'stock.view', 'surgeons.view', 'theatre_procedures.book',
+      'theatre_procedures.diagnose', 'theatre_procedures.list', 'theatre_procedures.medications',
+      'visits.administer', 'visits.diagnose', 'visits.order', 'visits.prescribe', 'visits.view',
+      'visits.vitals', 'wards.statistics',
+    ],
+  },
+  {
+    name: 'nurse',
+    displayName: 'Nurse',
+    description: 'Ward care, vitals and medication administration',
+    permissions: [
+      'beds.assign', 'beds.create', 'beds.statistics', 'beds.update', 'doctors.view', 'ipd.create',
+      'ipd.medications.view', 'ipd.nursing_notes', 'ipd.transfer', 'ipd.update', 'ipd.view', 'ipd.vitals',
+      'lab_tests.collect', 'medicines.view', 'nurses.view', 'patients.search', 'prescriptions.view', 'requisitions.create',
+      'requisitions.view', 'theatre_procedures.medications', 'visits.administer', 'visits.vitals',
+      'wards.statistics',
+    ],
+  },
+  {
+    name: 'receptionist',
+    displayName: 'Receptionist',
+    description: 'Registration, appointments, visits and cashiering',
+    permissions: [
+      'appointments.create', 'appointments.delete', 'appointments.update', 'appointments.view_all',
+      'billing.statistics', 'claims.submit', 'claims.view', 'dashboard.receptionist', 'doctors.view', 'invoices.create',
+      'invoices.view', 'item_prices.view', 'medicines.view', 'nurses.view', 'patients.create',
+      'patients.list', 'patients.search', 'patients.update', 'patients.view', 'payments.create',
+      'visits.create', 'visits.end', 'visits.payment_status', 'visits.view', 'visits.view_all',
+      'visits.vitals',
+    ],
+  },
+  {
+    name: 'pharmacist',
+    displayName: 'Pharmacist',
+    description: 'Quantification, dispensing and stock',
+    permissions: [
+      'direct_dispensing.create', 'direct_dispensing.view', 'direct_dispensing.void', 'dispensing.dispense',
+      'dispensing.view', 'invoices.view', 'ipd.medications.dispense', 'ipd.medications.view', 'item_prices.manage',
+      'clinical_knowledge.manage', 'item_prices.view', 'medicines.manage', 'medicines.view', 'patients.list', 'patients.search',
+      'prescriptions.delete', 'prescriptions.quantify', 'prescriptions.update', 'prescriptions.view',
+      'purchase_orders.manage', 'purchase_orders.view', 'requisitions.create', 'requisitions.fulfil',
+      'requisitions.view', 'stock.manage', 'stock.receive', 'stock.take', 'stock.transfer', 'stock.view',
+      'supplier_invoices.match', 'supplier_invoices.view', 'suppliers.manage', 'suppliers.view',
+    ],
+  },
+  {
+    name: 'radiologist',
+    displayName: 'Radiologist',
+    description: 'Radiology reporting',
+    permissions: ['radiology.report', 'radiology.upload', 'radiology.view'],
+  },
+  {
+    name: 'surgeon',
+    displayName: 'Surgeon',
+    description: 'Theatre procedures',
+    permissions: [
+      'theatre_procedures.diagnose', 'theatre_procedures.discharge', 'theatre_procedures.list',
+      'theatre_procedures.medications', 'theatre_procedures.update', 'theatre_procedures.view',
+    ],
+  },
+  {
+    name: 'lab_technician',
+    displayName: 'Lab Technician',
+    description: 'Laboratory results',
+    permissions: [
+      'lab_catalog.manage', 'lab_tests.collect', 'lab_tests.results', 'lab_tests.verify', 'lab_tests.view',
+      'radiology.report', 'radiology.view',
+    ],
+  },
+  {
+    name: 'mortuary_attendant',
+    displayName: 'Mortuary Attendant',
+    description: 'Mortuary records, cabinets and releases',
+    permissions: [
+      'cabinets.assign', 'cabinets.update', 'cabinets.view', 'corpses.create', 'corpses.update',
+      'corpses.view', 'releases.complete', 'releases.create', 'releases.update', 'releases.view',
+    ],
+  },
+];
+
+export const DEFAULT_ROLE_PERMISSIONS = Object.fromEntries(
+  DEFAULT_ROLES.map((role) => [role.name, role.permissions])
+);
+
+export default PERMISSIONS;
@@ -1,132 +1,276 @@
+import mongoose from 'mongoose';
 import DirectDispensing from '../models/DirectDispensing.js';
-import { StockMovement } from '../models/StockMovement.js';
-import { Medicine } from '../models/Medicine.js';
-import { MedicineBatch } from '../models/MedicineBatch.js';
+import PharmacyShift from '../models/PharmacyShift.js';
+import pharmacySaleService from '../services/pharmacySaleService.js';
+import logger from '../utils/logger.js';
 
-// @desc    Get all direct dispensing records
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Deliberate errors from the sale service carry their status; anything
+// else is logged as a server error.
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+// Cashiers see their own shifts; direct_dispensing.cashup sees everyone's
+const findShift = async (req, res) => {
+  const shift = mongoose.isValidObjectId(req.params.id) ? await PharmacyShift.findById(req.params.id) : null;
+  if (!shift || (String(shift.cashier) !== String(req.user._id) && !req.user.hasPermission('direct_dispensing.cashup'))) {
+    res.status(404).json({
+      success: false,
+      message: 'Shift not found'
+    });
+    return null;
+  }
+  return shift;
+};
+
+// @desc    Get over-the-counter sales, filtered by ?from=&to= (YYYY-MM-DD),
+//          ?status=, ?cashier= and ?shift=
 // @route   GET /api/direct-dispensing
-// @access  Public
-export const getDirectDispensingRecords = async (req, res, next) => {
+// @access  Private (direct_dispensing.view)
+export const getDirectDispensingRecords = async (req, res) => {
   try {
-    const records = await DirectDispensing.find();
-    res.status(200).json({ 
-      success: true, 
-      count: records.length, 
-      data: records 
+    const { from, to, status, cashier, shift } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (cashier && mongoose.isValidObjectId(cashier)) query.cashier = cashier;
+    if (shift && mongoose.isValidObjectId(shift)) query.shift = shift;
+    if (DATE.test(from || '') || DATE.test(to || '')) {
+      query.date = {};
+      if (DATE.test(from || '')) query.date.$gte = new Date(`${from}T00:00:00`);
+      if (DATE.test(to || '')) query.date.$lte = new Date(`${to}T23:59:59.999`);
+    }
+
+    const records = await DirectDispensing.find(query)
+      .populate('cashier', 'firstName lastName')
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records
     });
-  } catch (err) {
-    res.status(400).json({ 
-      success: false 
+  } catch (error) {
+    sendError(res, error, 'Get counter sales');
+  }
+};
+
+// @desc    Get a single over-the-counter sale
+// @route   GET /api/direct-dispensing/:id
+// @access  Private (direct_dispensing.view)
+export const getDirectDispensingRecord = async (req, res) => {
+  try {
+    const record = mongoose.isValidObjectId(req.params.id)
+      ? await DirectDispensing.findById(req.params.id)
+        .populate('cashier', 'firstName lastName')
+        .populate('voidedBy', 'firstName lastName')
+      : null;
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: record
     });
+  } catch (error) {
+    sendError(res, error, 'Get counter sale');
   }
 };
 
-// @desc    Create a direct dispensing record
+// @desc    Sell medicines over the counter. Prices come from the pharmacy
+//          price list; the body gives { clientName, patient?, items:
+//          [{ medicine, quantity }], payments: [{ method, amount, reference }] }
 // @route   POST /api/direct-dispensing
-// @access  Private
-export const createDirectDispensingRecord = async (req, res, next) => {
+// @access  Private (direct_dispensing.create)
+export const createDirectDispensingRecord = async (req, res) => {
   try {
-    const { medicines, clientName, patient, totalCost, issuedBy } = req.body;
-
-    // Create the direct dispensing record
-    const record = await DirectDispensing.create(req.body);
-
-    // Create stock movements and update batch quantities for each medicine dispensed
-    if (medicines && Array.isArray(medicines)) {
-      const stockMovements = [];
-
-      for (const item of medicines) {
-        // Find the medicine by ID or name
-        let medicine;
-        if (item.medicine) {
-          medicine = await Medicine.findById(item.medicine);
-        } else if (item.name) {
-          medicine = await Medicine.findOne({ name: item.name });
-        }
-
-        if (medicine) {
-          const quantityToDispense = Math.abs(item.quantity || item.qty || 1);
-          console.log(`Processing ${medicine.name}: Need to dispense ${quantityToDispense} units`);
-          
-          // Get active batches for this medicine, sorted by expiry date (FIFO)
-          const batches = await MedicineBatch.find({
-            medicine: medicine._id,
-            status: 'active',
-            quantityRemaining: { $gt: 0 },
-            expiryDate: { $gt: new Date() }
-          }).sort('expiryDate');
-
-          if (batches.length === 0) {
-            console.log(`No active batches found for ${medicine.name}`);
-            continue;
-          }
-
-          let remainingToDispense = quantityToDispense;
-          const batchesUpdated = [];
-
-          // Deduct from batches (FIFO - First In, First Out)
-          for (const batch of batches) {
-            if (remainingToDispense <= 0) break;
-
-            const deductFromThisBatch = Math.min(remainingToDispense, batch.quantityRemaining);
-            
-            batch.quantityRemaining -= deductFromThisBatch;
-            
-            if (batch.quantityRemaining <= 0) {
-              batch.status = 'depleted';
-              batch.quantityRemaining = 0;
-            }
-            
-            await batch.save();
-            
-            console.log(`Updated batch ${batch.batchNumber}: Deducted ${deductFromThisBatch}, Remaining: ${batch.quantityRemaining}`);
-            
-            batchesUpdated.push({
-              batchId: batch._id,
-              deducted: deductFromThisBatch
-            });
-
-            remainingToDispense -= deductFromThisBatch;
-
-            // Create stock movement for this batch
-            const movement = await StockMovement.create({
-              medicine: medicine._id,
-              batch: batch._id,
-              type: 'OUT',
-              quantity: deductFromThisBatch,
-              reason: `Direct dispensing to ${clientName || 'client'}`,
-              patient: patient,
-              performedBy: issuedBy || req.user?._id || req.user?.id,
-            });
-
-            stockMovements.push(movement);
-          }
-
-          if (remainingToDispense > 0) {
-            console.log(`Warning: Could not dispense full quantity for ${medicine.name}. Short by ${remainingToDispense} units`);
-          }
-        } else {
-          console.log(`Medicine not found for item: ${item.name || item.medicine}`);
-        }
-      }
-
-      res.status(201).json({ 
-        success: true, 
-        data: record,
-        stockMovements: stockMovements.length,
-        message: `Successfully dispensed. Created ${stockMovements.length} stock movements`
+    const { clientName, patient, items, medicines, payments } = req.body;
+
+    const sale = await pharmacySaleService.createSale({
+      clientName,
+      patient,
+      items: items || medicines,
+      payments,
+      cashierId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Sale ${sale.receiptNumber} recorded${sale.change ? `; change due ${sale.change}` : ''}`,
+      data: sale,
+      receipt: await pharmacySaleService.receipt(sale)
+    });
+  } catch (error) {
+    sendError(res, error, 'Create counter sale');
+  }
+};
+
+// @desc    Get a sale laid out for printing its receipt
+// @route   GET /api/direct-dispensing/:id/receipt
+// @access  Private (direct_dispensing.view)
+export const getDirectDispensingReceipt = async (req, res) => {
+  try {
+    const sale = mongoose.isValidObjectId(req.params.id) ? await DirectDispensing.findById(req.params.id) : null;
+    if (!sale || !sale.receiptNumber) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
       });
-    } else {
-      res.status(201).json({ 
-        success: true, 
-        data: record 
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await pharmacySaleService.receipt(sale)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get counter sale receipt');
+  }
+};
+
+// @desc    Void a sale, returning its stock and refunding its payments
+// @route   POST /api/direct-dispensing/:id/void
+// @access  Private (direct_dispensing.void)
+export const voidDirectDispensingRecord = async (req, res) => {
+  try {
+    const sale = await pharmacySaleService.voidSale(req.params.id, {
+      reason: req.body.reason,
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Sale ${sale.receiptNumber} voided`,
+      data: sale
+    });
+  } catch (error) {
+    sendError(res, error, 'Void counter sale');
+  }
+};
+
+// @desc    Open a till shift with the float in the drawer
+// @route   POST /api/direct-dispensing/shifts
+// @access  Private (direct_dispensing.create)
+export const openShift = async (req, res) => {
+  try {
+    const shift = await pharmacySaleService.openShift(req.user._id, { openingFloat: req.body.openingFloat });
+
+    res.status(201).json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    sendError(res, error, 'Open pharmacy shift');
+  }
+};
+
+// @desc    Get the current user's open shift with its takings so far
+// @route   GET /api/direct-dispensing/shifts/current
+// @access  Private (direct_dispensing.create)
+export const getCurrentShift = async (req, res) => {
+  try {
+    const shift = await pharmacySaleService.currentShift(req.user._id);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no open shift'
       });
     }
-  } catch (err) {
-    console.error('Error creating direct dispensing record:', err);
-    res.status(400).json({ 
-      success: false,
-      error: err.message 
+
+    res.status(200).json({
+      success: true,
+      data: await pharmacySaleService.shiftReport(shift)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get current pharmacy shift');
+  }
+};
+
+// @desc    List shifts, newest first; ?cashier= and ?status= with
+//          direct_dispensing.cashup, otherwise the user's own
+// @route   GET /api/direct-dispensing/shifts
+// @access  Private (direct_dispensing.create)
+export const getShifts = async (req, res) => {
+  try {
+    const { cashier, status } = req.query;
+
+    const query = {};
+    if (!req.user.hasPermission('direct_dispensing.cashup')) {
+      query.cashier = req.user._id;
+    } else if (cashier && mongoose.isValidObjectId(cashier)) {
+      query.cashier = cashier;
+    }
+    if (status) query.status = status;
+
+    const shifts = await PharmacyShift.find(query)
+      .populate('cashier', 'firstName lastName')
+      .sort({ openedAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      data: shifts
+    });
+  } catch (error) {
+    sendError(res, error, 'Get pharmacy shifts');
+  }
+};
+
+// @desc    Cash-up report for a shift: takings and refunds by payment
+//          method, expected and counted cash
+// @route   GET /api/direct-dispensing/shifts/:id/report
+// @access  Private (direct_dispensing.create; others' with direct_dispensing.cashup)
+export const getShiftReport = async (req, res) => {
+  try {
+    const shift = await findShift(req, res);
+    if (!shift) return;
+
+    res.status(200).json({
+      success: true,
+      data: await pharmacySaleService.shiftReport(shift)
     });
+  } catch (error) {
+    sendError(res, error, 'Pharmacy shift report');
   }
-};
\ No newline at end of file
+};
+
+// @desc    Close a shift with the cash counted in the drawer
+// @route   POST /api/direct-dispensing/shifts/:id/close
+// @access  Private (direct_dispensing.create; others' with direct_dispensing.cashup)
+export const closeShift = async (req, res) => {
+  try {
+    const shift = await findShift(req, res);
+    if (!shift) return;
+
+    const report = await pharmacySaleService.closeShift(shift, {
+      countedCash: req.body.countedCash,
+      notes: req.body.notes,
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: report.variance === 0 ? 'Shift closed; the drawer balances' : `Shift closed with a variance of ${report.variance}`,
+      data: report
+    });
+  } catch (error) {
+    sendError(res, error, 'Close pharmacy shift');
+  }
+};
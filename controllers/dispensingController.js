@@ -8,6 +8,20 @@ import Invoice from '../models/Invoice.js';
 import logger from '../utils/logger.js';
 import { deductFromBatches } from '../utils/deductStock.js';
 import { withTransaction } from '../utils/withTransaction.js';
+import pricingService from '../services/pricingService.js';
+import storeService from '../services/storeService.js';
+
+// Cash price of a medicine at the pharmacy counter
+const pharmacyPrice = async (medicine) => {
+  const resolved = await pricingService.resolvePrice({
+    itemType: 'medicine',
+    name: medicine.name,
+    item: medicine._id,
+    channel: 'pharmacy',
+    fallback: medicine.sellingPrice
+  });
+  return resolved?.price || 0;
+};
 
 // @desc    Get all dispensing records
 // @route   GET /api/dispensing
@@ -167,6 +181,8 @@ export const dispensePrescription = async (req, res) => {
     let medicinePrice = 0;
     let ipdBillingInfo = null;
     let dispensingRecord;
+    // Stock is taken only from the dispensing point's store
+    const location = await storeService.dispensingLocation();
 
     await withTransaction(async (session) => {
       const sessionOpt = session ? { session } : {};
@@ -200,8 +216,8 @@ export const dispensePrescription = async (req, res) => {
       if (medicineDoc && quantity > 0) {
         const quantityToDispense = Math.abs(quantity);
 
-        // Get medicine price (from prices.Pharmacy or sellingPrice)
-        medicinePrice = medicineDoc.prices?.Pharmacy || medicineDoc.sellingPrice || 0;
+        // Get medicine price (pharmacy price list, else the catalogue price)
+        medicinePrice = await pharmacyPrice(medicineDoc);
 
         const result = await deductFromBatches({
           medicineId: medicineDoc._id,
@@ -210,12 +226,13 @@ export const dispensePrescription = async (req, res) => {
           patient: visit.patient._id,
           performedBy: req.user._id,
           session,
+          location,
         });
 
         batchesUsed = result.batchesUsed;
 
         if (result.batchesUsed.length === 0 && result.remaining === quantityToDispense) {
-          stockWarning = `No active batches found for ${medicineDoc.name}`;
+          stockWarning = `No active batches found for ${medicineDoc.name}${location ? ` at ${location}` : ''}`;
         } else if (result.remaining > 0) {
           stockWarning = `Partially dispensed: ${quantityToDispense - result.remaining} of ${quantityToDispense} units (insufficient stock)`;
         }
@@ -495,12 +512,14 @@ export const createDispensingRecord = async (req, res, next) => {
       const quantityToDispense = Math.abs(quantity);
       
       // Get medicine price
-      medicinePrice = medicineDoc.prices?.Pharmacy || medicineDoc.sellingPrice || 0;
+      medicinePrice = await pharmacyPrice(medicineDoc);
       
       console.log(`Processing ${medicineDoc.name}: Need to dispense ${quantityToDispense} units`);
       
+      const location = await storeService.dispensingLocation();
       const batches = await MedicineBatch.find({
         medicine: medicineDoc._id,
+        ...(location && { location }),
         status: 'active',
         quantityRemaining: { $gt: 0 },
         expiryDate: { $gt: new Date() }
@@ -521,6 +540,7 @@ export const createDispensingRecord = async (req, res, next) => {
         reason: `Prescription dispensing${prescription ? ` (Rx: ${prescription})` : ''}`,
         patient: patient,
         performedBy: issuedBy || req.user?._id || req.user?.id,
+        location,
       });
 
       batchesUsed = deduction.batchesUsed;
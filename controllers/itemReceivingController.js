@@ -2,63 +2,10 @@ import PurchaseOrder from '../models/PurchaseOrder.js';
 import { Medicine } from '../models/Medicine.js';
 import { MedicineBatch } from '../models/MedicineBatch.js';
 import { StockMovement } from  '../models/StockMovement.js';
+import procurementService from '../services/procurementService.js';
+import storeService from '../services/storeService.js';
 import logger from '../utils/logger.js';
 
-// @desc    Get all purchase orders
-// @route   GET /api/item-receiving/purchase-orders
-// @access  Private
-export const getPurchaseOrders = async (req, res) => {
-  try {
-    const purchaseOrders = await PurchaseOrder.find()
-      .populate('receivedBy', 'firstName lastName')
-      .sort('-createdAt');
-    
-    res.status(200).json({ 
-      success: true, 
-      count: purchaseOrders.length, 
-      data: { purchaseOrders } 
-    });
-  } catch (error) {
-    logger.error('Get purchase orders error:', error);
-    res.status(400).json({ 
-      success: false, 
-      message: error.message 
-    });
-  }
-};
-
-// @desc    Create new purchase order
-// @route   POST /api/item-receiving/purchase-orders
-// @access  Private
-export const addPurchaseOrder = async (req, res) => {
-  try {
-    const { number, date, supplier, supplierContact, supplierEmail, supplierPhone } = req.body;
-    
-    const purchaseOrder = await PurchaseOrder.create({
-      poNumber: number,
-      supplier: {
-        name: supplier,
-        contact: supplierContact,
-        email: supplierEmail,
-        phone: supplierPhone,
-      },
-      receivedBy: req.user.id,
-      createdAt: date || new Date(),
-    });
-
-    res.status(201).json({ 
-      success: true, 
-      data: purchaseOrder 
-    });
-  } catch (error) {
-    logger.error('Add purchase order error:', error);
-    res.status(400).json({ 
-      success: false, 
-      message: error.message 
-    });
-  }
-};
-
 // @desc    Receive item into inventory
 // @route   POST /api/item-receiving
 // @access  Private
@@ -90,6 +37,44 @@ export const receiveItem = async (req, res) => {
       });
     }
 
+    // Orders with lines are received against them on a goods-received
+    // note, so what arrives is checked against what was ordered
+    if (purchaseOrder.items.length) {
+      const ordered = await Medicine.findOne({ name: medicineName, type, strength: strength || '' });
+      const { grn } = await procurementService.receive(purchaseOrder, {
+        lines: [{
+          medicine: ordered?._id,
+          quantity: qty,
+          batchNumber: batchNumber || `BATCH-${Date.now()}`,
+          expiryDate: String(expiry || '').slice(0, 10),
+          unitCost: price,
+          sellingPrice,
+        }],
+        location: receiveTo,
+        userId: req.user.id,
+      });
+
+      const receivedBatch = await MedicineBatch.findById(grn.lines[0].batch)
+        .populate('medicine')
+        .populate('receivedBy', 'firstName lastName');
+
+      return res.status(201).json({ 
+        success: true, 
+        data: receivedBatch,
+        grn,
+        message: `Successfully received ${qty} units of ${medicineName} on ${grn.grnNumber}` 
+      });
+    }
+
+    if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `Only orders sent to the supplier can be received; ${poNumber} is ${purchaseOrder.status.replace('_', ' ')}` 
+      });
+    }
+
+    const store = receiveTo ? await storeService.findActive(receiveTo) : await storeService.mainStore();
+
     // 2. Find or create medicine in master catalog
     let medicine = await Medicine.findOne({ 
       name: medicineName, 
@@ -127,7 +112,7 @@ export const receiveItem = async (req, res) => {
       quantityRemaining: parseInt(qty),
       buyingPrice: parseFloat(price),
       sellingPrice: sellingPrice || medicine.sellingPrice,
-      location: receiveTo || 'MAIN STORE',
+      location: store.code,
       receivedBy: req.user.id,
     });
 
@@ -139,19 +124,14 @@ export const receiveItem = async (req, res) => {
       quantity: parseInt(qty),
       reason: `Received from PO ${poNumber}`,
       purchaseOrder: purchaseOrder._id,
+      location: batch.location,
       performedBy: req.user.id,
     });
 
-    // 5. Update purchase order total and status
+    // 5. Update purchase order total and status. Without lines there is
+    // nothing to say the order is complete; it is closed by hand.
     purchaseOrder.totalAmount += parseFloat(price) * parseInt(qty);
-    
-    // Check if we should mark as partial or completed
-    const totalBatches = await MedicineBatch.countDocuments({ 
-      purchaseOrder: purchaseOrder._id 
-    });
-    if (totalBatches > 0) {
-      purchaseOrder.status = 'partial';
-    }
+    purchaseOrder.transitionTo('partially_received', req.user.id, `Received ${qty} ${medicineName}`);
     
     await purchaseOrder.save();
 
@@ -167,10 +147,11 @@ export const receiveItem = async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Receive item error:', error);
-    res.status(400).json({ 
+    if (!error.statusCode) logger.error('Receive item error:', error);
+    res.status(error.statusCode || 400).json({ 
       success: false, 
-      message: error.message 
+      message: error.message,
+      ...(error.details && { errors: error.details })
     });
   }
 };
@@ -270,35 +251,3 @@ export const getExpiringMedicines = async (req, res) => {
     });
   }
 };
-
-// @desc    Complete a purchase order
-// @route   PUT /api/item-receiving/purchase-orders/:id/complete
-// @access  Private
-export const completePurchaseOrder = async (req, res) => {
-  try {
-    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
-    
-    if (!purchaseOrder) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Purchase order not found' 
-      });
-    }
-
-    purchaseOrder.status = 'completed';
-    purchaseOrder.completedAt = new Date();
-    await purchaseOrder.save();
-
-    res.status(200).json({ 
-      success: true, 
-      data: purchaseOrder 
-    });
-
-  } catch (error) {
-    logger.error('Complete purchase order error:', error);
-    res.status(400).json({ 
-      success: false, 
-      message: error.message 
-    });
-  }
-};
\ No newline at end of file
@@ -86,8 +86,7 @@ export const createMedicine = async (req, res) => {
       manufacturer,
       category,
       sellingPrice,
-      reorderLevel,
-      prices
+      reorderLevel
     } = req.body;
     
     // Validate required fields
@@ -120,15 +119,7 @@ export const createMedicine = async (req, res) => {
       manufacturer: manufacturer?.trim(),
       category: category || 'Other',
       sellingPrice: parseFloat(sellingPrice),
-      reorderLevel: parseInt(reorderLevel) || 10,
-      prices: prices || {
-        BRITAM: 0,
-        NSSF: 0,
-        NHIF: 0,
-        ASSEMBLE: 0,
-        Pharmacy: parseFloat(sellingPrice),
-        HospitalShop: 0
-      }
+      reorderLevel: parseInt(reorderLevel) || 10
     });
     
     res.status(201).json({
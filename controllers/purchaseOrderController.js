@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import PurchaseOrder, { PO_STATUSES } from '../models/PurchaseOrder.js';
+import GoodsReceivedNote from '../models/GoodsReceivedNote.js';
+import procurementService from '../services/procurementService.js';
+import logger from '../utils/logger.js';
+
+// Deliberate errors from the procurement service carry their status;
+// anything else is logged as a server error.
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another purchase order already has that number'
+    });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// @desc    Get purchase orders, newest first; ?status=, ?supplier= (id)
+// @route   GET /api/item-receiving/purchase-orders
+// @access  Private (purchase_orders.view)
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplier } = req.query;
+
+    const query = {};
+    if (PO_STATUSES.includes(status)) query.status = status;
+    if (mongoose.isValidObjectId(supplier)) query.supplierId = supplier;
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('receivedBy', 'firstName lastName')
+      .populate('createdBy', 'firstName lastName')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: purchaseOrders.length,
+      data: { purchaseOrders }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get purchase orders');
+  }
+};
+
+// @desc    Get a purchase order with its goods-received notes
+// @route   GET /api/item-receiving/purchase-orders/:id
+// @access  Private (purchase_orders.view)
+export const getPurchaseOrder = async (req, res) => {
+  try {
+    const order = await procurementService.findOrder(req.params.id);
+    const receipts = await GoodsReceivedNote.find({ purchaseOrder: order._id }).sort('receivedAt');
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      receipts
+    });
+  } catch (error) {
+    sendError(res, error, 'Get purchase order');
+  }
+};
+
+// @desc    Raise a draft purchase order; body { supplier (id), items:
+//          [{ medicine, quantity, unitCost }], expectedDate, notes, number? }
+// @route   POST /api/item-receiving/purchase-orders
+// @access  Private (purchase_orders.manage)
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplier, items, expectedDate, notes, number } = req.body;
+
+    const order = await procurementService.createOrder({
+      supplier,
+      items,
+      expectedDate,
+      notes,
+      number,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error, 'Create purchase order');
+  }
+};
+
+// @desc    Change a draft's supplier, lines, expected date or notes
+// @route   PUT /api/item-receiving/purchase-orders/:id
+// @access  Private (purchase_orders.manage)
+export const updatePurchaseOrder = async (req, res) => {
+  try {
+    const order = await procurementService.findOrder(req.params.id);
+    await procurementService.updateDraft(order, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error, 'Update purchase order');
+  }
+};
+
+// Approve, send, return to draft, cancel and close differ only in the
+// status they move to; body { notes } is recorded in the status history
+const changeStatus = (status, label, done) => async (req, res) => {
+  try {
+    const order = await procurementService.findOrder(req.params.id);
+    await procurementService.changeStatus(order, status, {
+      userId: req.user._id,
+      notes: req.body.notes || req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${order.poNumber} ${done}`,
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error, label);
+  }
+};
+
+// @desc    Approve a draft order; not by the person who raised it
+// @route   PUT /api/item-receiving/purchase-orders/:id/approve
+// @access  Private (purchase_orders.approve)
+export const approvePurchaseOrder = changeStatus('approved', 'Approve purchase order', 'approved');
+
+// @desc    Return an approved order to draft for changes
+// @route   PUT /api/item-receiving/purchase-orders/:id/reopen
+// @access  Private (purchase_orders.manage)
+export const reopenPurchaseOrder = changeStatus('draft', 'Reopen purchase order', 'returned to draft');
+
+// @desc    Mark an approved order as sent to the supplier
+// @route   PUT /api/item-receiving/purchase-orders/:id/send
+// @access  Private (purchase_orders.manage)
+export const sendPurchaseOrder = changeStatus('sent', 'Send purchase order', 'sent to the supplier');
+
+// @desc    Cancel an order nothing has been received against; body { reason }
+// @route   PUT /api/item-receiving/purchase-orders/:id/cancel
+// @access  Private (purchase_orders.manage)
+export const cancelPurchaseOrder = changeStatus('cancelled', 'Cancel purchase order', 'cancelled');
+
+// @desc    Close a received order, or one still short with body { reason }
+// @route   PUT /api/item-receiving/purchase-orders/:id/close
+// @access  Private (purchase_orders.manage)
+export const closePurchaseOrder = changeStatus('closed', 'Close purchase order', 'closed');
+
+// @desc    Discard a draft purchase order
+// @route   DELETE /api/item-receiving/purchase-orders/:id
+// @access  Private (purchase_orders.manage)
+export const deleteDraftPurchaseOrder = async (req, res) => {
+  try {
+    const order = await procurementService.findOrder(req.params.id);
+    if (order.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: `Only draft orders can be discarded; ${order.poNumber} is ${order.status.replace('_', ' ')}`
+      });
+    }
+
+    await order.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: `Draft ${order.poNumber} discarded`
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete draft purchase order');
+  }
+};
+
+// @desc    Record a delivery as a goods-received note; body { lines:
+//          [{ orderLine | medicine, quantity, batchNumber, expiryDate,
+//          unitCost?, sellingPrice? }], location, deliveryNote, notes }
+// @route   POST /api/item-receiving/purchase-orders/:id/receipts
+// @access  Private (stock.receive)
+export const receivePurchaseOrder = async (req, res) => {
+  try {
+    const { lines, location, deliveryNote, notes } = req.body;
+
+    const found = await procurementService.findOrder(req.params.id);
+    const { grn, order } = await procurementService.receive(found, {
+      lines,
+      location,
+      deliveryNote,
+      notes,
+      userId: req.user._id
+    });
+
+    const flagged = grn.discrepancies.over + grn.discrepancies.under;
+    res.status(201).json({
+      success: true,
+      message: `${grn.grnNumber} recorded against ${order.poNumber}`
+        + (flagged ? `; ${flagged} line(s) differ from the order` : ''),
+      data: grn,
+      purchaseOrder: order
+    });
+  } catch (error) {
+    sendError(res, error, 'Receive purchase order');
+  }
+};
+
+// @desc    Get goods-received notes, newest first; ?purchaseOrder=,
+//          ?supplier= (id), ?from=&to= (YYYY-MM-DD), ?discrepancies=true
+// @route   GET /api/item-receiving/goods-received-notes
+// @access  Private (purchase_orders.view)
+export const getGoodsReceivedNotes = async (req, res) => {
+  try {
+    const { purchaseOrder, supplier, from, to, discrepancies } = req.query;
+
+    const query = {};
+    if (mongoose.isValidObjectId(purchaseOrder)) query.purchaseOrder = purchaseOrder;
+    if (mongoose.isValidObjectId(supplier)) query.supplierId = supplier;
+    if (DATE.test(from || '') || DATE.test(to || '')) {
+      query.receivedAt = {};
+      if (DATE.test(from || '')) query.receivedAt.$gte = new Date(`${from}T00:00:00`);
+      if (DATE.test(to || '')) query.receivedAt.$lte = new Date(`${to}T23:59:59.999`);
+    }
+    if (discrepancies === 'true') {
+      query.$or = [{ 'discrepancies.over': { $gt: 0 } }, { 'discrepancies.under': { $gt: 0 } }];
+    }
+
+    const notes = await GoodsReceivedNote.find(query)
+      .populate('receivedBy', 'firstName lastName')
+      .sort({ receivedAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes
+    });
+  } catch (error) {
+    sendError(res, error, 'Get goods-received notes');
+  }
+};
+
+// @desc    Get a single goods-received note
+// @route   GET /api/item-receiving/goods-received-notes/:id
+// @access  Private (purchase_orders.view)
+export const getGoodsReceivedNote = async (req, res) => {
+  try {
+    const note = mongoose.isValidObjectId(req.params.id)
+      ? await GoodsReceivedNote.findById(req.params.id).populate('receivedBy', 'firstName lastName')
+      : null;
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goods-received note not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    sendError(res, error, 'Get goods-received note');
+  }
+};
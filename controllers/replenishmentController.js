@@ -0,0 +1,66 @@
+import replenishmentService from '../services/replenishmentService.js';
+import logger from '../utils/logger.js';
+
+// Deliberate errors from the replenishment service carry their status;
+// anything else is logged as a server error.
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+// @desc    Reorder suggestions: average daily use, safety stock, reorder
+//          point, days of cover and a proposed quantity per medicine,
+//          grouped by supplier. ?windowDays=&coverDays=&serviceLevel=
+//          &defaultLeadTimeDays= tune the calculation; ?all=true includes
+//          medicines that are not due.
+// @route   GET /api/item-receiving/reorder-suggestions
+// @access  Private (stock.view)
+export const getReorderSuggestions = async (req, res) => {
+  try {
+    const { parameters, items, suppliers } = await replenishmentService.suggestions(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      parameters,
+      suppliers,
+      data: items
+    });
+  } catch (error) {
+    sendError(res, error, 'Get reorder suggestions');
+  }
+};
+
+// @desc    Draft purchase orders from the suggestions, one per supplier;
+//          body { items: [{ medicine, quantity?, supplier? }] } picks and
+//          adjusts lines, otherwise every due suggestion is drafted
+// @route   POST /api/item-receiving/reorder-suggestions/purchase-orders
+// @access  Private (purchase_orders.manage)
+export const createReorderDrafts = async (req, res) => {
+  try {
+    const orders = await replenishmentService.createDrafts({
+      lines: req.body.items,
+      query: req.query,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${orders.length} draft purchase order(s) created: ${orders.map((o) => o.poNumber).join(', ')}`,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    sendError(res, error, 'Create reorder drafts');
+  }
+};
@@ -1,9 +1,22 @@
 import Requisition from '../models/Requisition.js';
 import { Medicine } from '../models/Medicine.js';
 import { MedicineBatch } from '../models/MedicineBatch.js';
-import { StockMovement } from '../models/StockMovement.js';
+import storeService from '../services/storeService.js';
+import { withTransaction } from '../utils/withTransaction.js';
 import logger from '../utils/logger.js';
 
+// Issues items still pending in full and returns the items that move
+// stock on completion
+const issueRemaining = (requisition) => {
+  for (const item of requisition.items) {
+    if (item.status === 'Pending') {
+      item.issuedQty = item.requestedQty;
+      item.status = 'Issued';
+    }
+  }
+  return requisition.items.filter((item) => item.status !== 'Rejected' && item.issuedQty > 0);
+};
+
 // @desc    Get all requisitions
 // @route   GET /api/requisitions
 // @access  Private
@@ -140,50 +153,25 @@ export const updateRequisitionItem = async (req, res) => {
     if (issuedQty !== undefined) item.issuedQty = issuedQty;
     if (remarks) item.remarks = remarks;
 
-    // If issuing, deduct from stock
+    // Issuing is checked against the main store here; the stock moves to
+    // the department's store when the requisition is completed
     if (status === 'Issued' && issuedQty > 0) {
+      const mainStore = await storeService.mainStore();
       const batches = await MedicineBatch.find({
         medicine: item.medicine,
+        location: mainStore.code,
         status: 'active',
         quantityRemaining: { $gt: 0 },
         expiryDate: { $gt: new Date() }
-      }).sort('expiryDate');
-
-      let remainingQty = issuedQty;
-      
-      for (const batch of batches) {
-        if (remainingQty <= 0) break;
-
-        const qtyToIssue = Math.min(remainingQty, batch.quantityRemaining);
-        
-        batch.quantityRemaining -= qtyToIssue;
-        if (batch.quantityRemaining === 0) {
-          batch.status = 'depleted';
-        }
-        await batch.save();
-
-        // Record movement
-        await StockMovement.create({
-          medicine: item.medicine,
-          batch: batch._id,
-          type: 'OUT',
-          quantity: qtyToIssue,
-          reason: `Issued via requisition ${requisition.requisitionNumber}`,
-          performedBy: req.user.id
-        });
-
-        remainingQty -= qtyToIssue;
-      }
+      }).select('quantityRemaining');
+      const available = batches.reduce((sum, batch) => sum + batch.quantityRemaining, 0);
 
-      if (remainingQty > 0) {
+      if (available < issuedQty) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock. Only ${issuedQty - remainingQty} units available`
+          message: `Insufficient stock. Only ${available} units available`
         });
       }
-
-      requisition.issuedBy = req.user.id;
-      requisition.issuedAt = new Date();
     }
 
     // Update overall status
@@ -206,7 +194,9 @@ export const updateRequisitionItem = async (req, res) => {
   }
 };
 
-// @desc    Complete/close requisition
+// @desc    Complete a requisition: transfer what was issued from the main
+//          store to the requesting department's store. Items still pending
+//          are issued in full; rejected items are skipped.
 // @route   PUT /api/requisitions/:id/complete
 // @access  Private
 export const completeRequisition = async (req, res) => {
@@ -220,17 +210,70 @@ export const completeRequisition = async (req, res) => {
       });
     }
 
-    requisition.status = 'Completed';
-    requisition.issuedBy = req.user.id;
-    requisition.issuedAt = new Date();
-    
-    await requisition.save();
+    if (['Completed', 'Cancelled'].includes(requisition.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Requisition is already ${requisition.status.toLowerCase()}`
+      });
+    }
+
+    const [mainStore, departmentStore] = await Promise.all([
+      storeService.mainStore(),
+      storeService.storeForDepartment(requisition.requestedFor.department)
+    ]);
+
+    if (!issueRemaining(requisition).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing was issued on this requisition; cancel it instead'
+      });
+    }
+
+    let completed;
+    const transfer = await withTransaction(async (session) => {
+      const sessionOpt = session ? { session } : {};
+      // Claim the requisition so a second completion, racing this one,
+      // finds nothing to complete and moves no stock
+      completed = await Requisition.findOneAndUpdate(
+        { _id: requisition._id, status: { $nin: ['Completed', 'Cancelled'] } },
+        { $set: { status: 'Completed', issuedBy: req.user.id, issuedAt: new Date() } },
+        { new: true, ...sessionOpt }
+      );
+      if (!completed) {
+        const error = new Error('Requisition is already completed or cancelled');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const issued = issueRemaining(completed);
+      const transfer = await storeService.transfer({
+        from: mainStore.code,
+        to: departmentStore.code,
+        items: issued.map((item) => ({ medicine: item.medicine, quantity: item.issuedQty })),
+        notes: `Requisition ${completed.requisitionNumber}`,
+        requisition: completed._id,
+        userId: req.user._id,
+        session
+      });
+
+      completed.transfer = transfer._id;
+      await completed.save(sessionOpt);
+      return transfer;
+    }, 'requisition completion');
 
     res.status(200).json({
       success: true,
-      data: requisition
+      data: completed,
+      transfer
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { errors: error.details })
+      });
+    }
     logger.error('Complete requisition error:', error);
     res.status(400).json({
       success: false,
@@ -2,6 +2,7 @@ import StockItem from '../models/StockItem.js';
 import { Medicine } from '../models/Medicine.js';
 import { StockMovement } from '../models/StockMovement.js';
 import { MedicineBatch }  from '../models/MedicineBatch.js';
+import stockTakeService from '../services/stockTakeService.js';
 import logger from '../utils/logger.js';
 
 // @desc    Get all medicines (master catalog)
@@ -24,16 +25,19 @@ export const getStockItems = async (req, res) => {
   }
 };
 
-// @desc    Get current stock balance with aggregated quantities
+// @desc    Get current stock balance with aggregated quantities, across
+//          all stores or at one ?location=
 // @route   GET /api/stock/balance
 // @access  Private
 export const getStockBalance = async (req, res) => {
   try {
+    const { location } = req.query;
     const stockBalance = await MedicineBatch.aggregate([
       {
         $match: {
           status: 'active',
-          expiryDate: { $gt: new Date() }
+          expiryDate: { $gt: new Date() },
+          ...(location && { location: String(location) })
         }
       },
       {
@@ -89,54 +93,12 @@ export const getStockBalance = async (req, res) => {
   }
 };
 
-// @desc    Get stock for taking/audit
+// @desc    Get stock for taking/audit, optionally at one ?location=
 // @route   GET /api/stock/taking
 // @access  Private
 export const getStockTaking = async (req, res) => {
   try {
-    const stockBalance = await MedicineBatch.aggregate([
-      {
-        $match: {
-          status: 'active',
-          expiryDate: { $gt: new Date() }
-        }
-      },
-      {
-        $group: {
-          _id: '$medicine',
-          quantity: { $sum: '$quantityRemaining' },
-          batches: { 
-            $push: {
-              batchId: '$_id',
-              batchNumber: '$batchNumber',
-              quantity: '$quantityRemaining',
-              expiry: '$expiryDate'
-            }
-          }
-        }
-      },
-      {
-        $lookup: {
-          from: 'medicines',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'medicine'
-        }
-      },
-      {
-        $unwind: '$medicine'
-      },
-      {
-        $project: {
-          medicine: 1,
-          quantity: 1,
-          batches: 1
-        }
-      },
-      {
-        $sort: { 'medicine.name': 1 }
-      }
-    ]);
+    const stockBalance = await stockTakeService.sheet({ location: req.query.location });
 
     res.status(200).json({ 
       success: true, 
@@ -152,61 +114,15 @@ export const getStockTaking = async (req, res) => {
   }
 };
 
-// @desc    Update stock after audit (stock taking)
+// @desc    Retired: counts overwrote stock with no session or approval.
+//          Stock is now counted through stock-take sessions.
 // @route   PUT /api/stock/audit/:medicineId
 // @access  Private
 export const updateStockAudit = async (req, res) => {
-  try {
-    const { medicineId } = req.params;
-    const { actualCount } = req.body;
-
-    // Get current total
-    const batches = await MedicineBatch.find({
-      medicine: medicineId,
-      status: 'active',
-      expiryDate: { $gt: new Date() }
-    }).sort('expiryDate');
-
-    const currentTotal = batches.reduce((sum, b) => sum + b.quantityRemaining, 0);
-    const difference = actualCount - currentTotal;
-
-    if (difference !== 0) {
-      // Adjust the oldest batch
-      if (batches.length > 0) {
-        const oldestBatch = batches[0];
-        oldestBatch.quantityRemaining += difference;
-        
-        if (oldestBatch.quantityRemaining <= 0) {
-          oldestBatch.status = 'depleted';
-          oldestBatch.quantityRemaining = 0;
-        }
-        
-        await oldestBatch.save();
-
-        // Record adjustment
-        await StockMovement.create({
-          medicine: medicineId,
-          batch: oldestBatch._id,
-          type: 'ADJUSTMENT',
-          quantity: Math.abs(difference),
-          reason: `Stock audit adjustment: ${difference > 0 ? 'Added' : 'Removed'} ${Math.abs(difference)} units`,
-          performedBy: req.user.id
-        });
-      }
-    }
-
-    res.status(200).json({ 
-      success: true, 
-      message: 'Stock audit completed',
-      data: { difference, actualCount }
-    });
-  } catch (error) {
-    logger.error('Update stock audit error:', error);
-    res.status(400).json({ 
-      success: false, 
-      message: error.message 
-    });
-  }
+  res.status(410).json({ 
+    success: false, 
+    message: 'Stock counts are now recorded through stock-take sessions (POST /api/stock/takes) and posted once a supervisor approves them' 
+  });
 };
 
 // @desc    Create a medicine
@@ -306,12 +222,13 @@ export const deleteMedicine = async (req, res) => {
 // @access  Private
 export const getStockMovements = async (req, res) => {
   try {
-    const { medicineId, type, startDate, endDate } = req.query;
+    const { medicineId, type, stockTake, startDate, endDate } = req.query;
     
     let filter = {};
     
     if (medicineId) filter.medicine = medicineId;
     if (type) filter.type = type;
+    if (stockTake) filter.stockTake = stockTake;
     if (startDate || endDate) {
       filter.createdAt = {};
       if (startDate) filter.createdAt.$gte = new Date(startDate);
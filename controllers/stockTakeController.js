@@ -0,0 +1,217 @@
+import StockTake, { STOCK_TAKE_STATUSES } from '../models/StockTake.js';
+import stockTakeService from '../services/stockTakeService.js';
+import logger from '../utils/logger.js';
+
+// Deliberate errors from the stock-take service carry their status;
+// anything else is logged as a server error.
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+const withSummary = (take) => ({ ...take.toObject(), summary: stockTakeService.summary(take) });
+
+// @desc    Stock-take sessions, newest first; ?status= and ?location=
+// @route   GET /api/stock/takes
+// @access  Private (stock.take)
+export const getStockTakes = async (req, res) => {
+  try {
+    const { status, location } = req.query;
+
+    const query = {};
+    if (STOCK_TAKE_STATUSES.includes(status)) query.status = status;
+    if (location) query.location = location;
+
+    const takes = await StockTake.find(query)
+      .populate('startedBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName')
+      .sort({ startedAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: takes.length,
+      data: takes.map((take) => ({
+        _id: take._id,
+        takeNumber: take.takeNumber,
+        location: take.location,
+        status: take.status,
+        startedBy: take.startedBy,
+        startedAt: take.startedAt,
+        submittedAt: take.submittedAt,
+        approvedBy: take.approvedBy,
+        approvedAt: take.approvedAt,
+        summary: stockTakeService.summary(take)
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get stock takes');
+  }
+};
+
+// @desc    Start a stock take, freezing the books onto a counting sheet;
+//          body { location?, notes? }
+// @route   POST /api/stock/takes
+// @access  Private (stock.take)
+export const startStockTake = async (req, res) => {
+  try {
+    const take = await stockTakeService.start({
+      location: req.body.location,
+      notes: req.body.notes,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Stock take ${take.takeNumber} started with ${take.lines.length} batch(es) to count`,
+      data: withSummary(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'Start stock take');
+  }
+};
+
+// @desc    A stock take with its counting sheet; ?location= narrows the
+//          sheet to one store
+// @route   GET /api/stock/takes/:id
+// @access  Private (stock.take)
+export const getStockTake = async (req, res) => {
+  try {
+    const take = await stockTakeService.find(req.params.id);
+    const data = withSummary(take);
+    if (req.query.location) {
+      data.lines = data.lines.filter((line) => line.location === req.query.location);
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    sendError(res, error, 'Get stock take');
+  }
+};
+
+// @desc    Enter counts; body { counts: [{ batch, countedQuantity, notes }] }
+// @route   PUT /api/stock/takes/:id/counts
+// @access  Private (stock.take)
+export const recordStockTakeCounts = async (req, res) => {
+  try {
+    const take = await stockTakeService.recordCounts(
+      await stockTakeService.find(req.params.id),
+      req.body.counts,
+      { userId: req.user._id }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: withSummary(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'Record stock take counts');
+  }
+};
+
+// @desc    Submit the counts for approval
+// @route   POST /api/stock/takes/:id/submit
+// @access  Private (stock.take)
+export const submitStockTake = async (req, res) => {
+  try {
+    const take = await stockTakeService.submit(await stockTakeService.find(req.params.id), { userId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: `Stock take ${take.takeNumber} submitted for approval`,
+      data: withSummary(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'Submit stock take');
+  }
+};
+
+// @desc    Send submitted counts back for a recount; body { reason }
+// @route   POST /api/stock/takes/:id/recount
+// @access  Private (stock.approve_adjustments)
+export const recountStockTake = async (req, res) => {
+  try {
+    const take = await stockTakeService.recount(await stockTakeService.find(req.params.id), {
+      reason: req.body.reason,
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Stock take ${take.takeNumber} sent back for recounting`,
+      data: withSummary(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'Recount stock take');
+  }
+};
+
+// @desc    Approve the variances and post the stock adjustments
+// @route   POST /api/stock/takes/:id/approve
+// @access  Private (stock.approve_adjustments)
+export const approveStockTake = async (req, res) => {
+  try {
+    const { take, adjustments } = await stockTakeService.approve(
+      await stockTakeService.find(req.params.id),
+      { userId: req.user._id }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Stock take ${take.takeNumber} approved; ${adjustments.length} adjustment(s) posted`,
+      data: withSummary(take),
+      adjustments
+    });
+  } catch (error) {
+    sendError(res, error, 'Approve stock take');
+  }
+};
+
+// @desc    Cancel an open stock take without posting anything; body { reason }
+// @route   POST /api/stock/takes/:id/cancel
+// @access  Private (stock.approve_adjustments)
+export const cancelStockTake = async (req, res) => {
+  try {
+    const take = await stockTakeService.cancel(await stockTakeService.find(req.params.id), {
+      reason: req.body.reason,
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Stock take ${take.takeNumber} cancelled`,
+      data: withSummary(take)
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancel stock take');
+  }
+};
+
+// @desc    Export a stock take's counting sheet and variances as CSV
+// @route   GET /api/stock/takes/:id/export
+// @access  Private (stock.take)
+export const exportStockTake = async (req, res) => {
+  try {
+    const take = await stockTakeService.find(req.params.id);
+    const csv = await stockTakeService.exportCsv(take);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${take.takeNumber}.csv"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    sendError(res, error, 'Export stock take');
+  }
+};
@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import StockTransfer from '../models/StockTransfer.js';
+import storeService from '../services/storeService.js';
+import logger from '../utils/logger.js';
+
+// Deliberate errors from the store service carry their status; anything
+// else is logged as a server error.
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another active store already has that code, type or department'
+    });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+const STORE_FIELDS = ['code', 'name', 'type', 'department', 'isActive'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const findStore = async (req, res) => {
+  const store = mongoose.isValidObjectId(req.params.id) ? await Store.findById(req.params.id) : null;
+  if (!store) {
+    res.status(404).json({
+      success: false,
+      message: 'Store not found'
+    });
+  }
+  return store;
+};
+
+// @desc    Get stores; inactive ones too with ?active=all
+// @route   GET /api/stores
+// @access  Private (stock.view)
+export const getStores = async (req, res) => {
+  try {
+    const query = req.query.active === 'all' ? {} : { isActive: true };
+    const stores = await Store.find(query).sort('code');
+
+    res.status(200).json({
+      success: true,
+      count: stores.length,
+      data: stores
+    });
+  } catch (error) {
+    sendError(res, error, 'Get stores');
+  }
+};
+
+// @desc    Create a store
+// @route   POST /api/stores
+// @access  Private (stores.manage)
+export const createStore = async (req, res) => {
+  try {
+    const fields = Object.fromEntries(STORE_FIELDS.filter((f) => req.body[f] !== undefined).map((f) => [f, req.body[f]]));
+    const store = await Store.create({ ...fields, updatedBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: store
+    });
+  } catch (error) {
+    sendError(res, error, 'Create store');
+  }
+};
+
+// @desc    Update a store. The code cannot change once batches are held
+//          under it.
+// @route   PUT /api/stores/:id
+// @access  Private (stores.manage)
+export const updateStore = async (req, res) => {
+  try {
+    const store = await findStore(req, res);
+    if (!store) return;
+
+    if (req.body.code !== undefined && String(req.body.code).trim().toUpperCase() !== store.code) {
+      return res.status(400).json({
+        success: false,
+        message: 'A store\'s code cannot be changed; batches and movements refer to it'
+      });
+    }
+
+    for (const field of STORE_FIELDS.filter((f) => f !== 'code')) {
+      if (req.body[field] !== undefined) store[field] = req.body[field] === '' ? undefined : req.body[field];
+    }
+    store.updatedBy = req.user._id;
+    await store.save();
+
+    res.status(200).json({
+      success: true,
+      data: store
+    });
+  } catch (error) {
+    sendError(res, error, 'Update store');
+  }
+};
+
+// @desc    What a store holds: batches on hand with totals per medicine
+// @route   GET /api/stores/:id/balance
+// @access  Private (stock.view)
+export const getStoreBalance = async (req, res) => {
+  try {
+    const store = await findStore(req, res);
+    if (!store) return;
+
+    const balance = await storeService.balance(store.code);
+
+    res.status(200).json({
+      success: true,
+      store: { _id: store._id, code: store.code, name: store.name },
+      count: balance.length,
+      totalValue: balance.reduce((sum, row) => sum + row.value, 0),
+      data: balance
+    });
+  } catch (error) {
+    sendError(res, error, 'Get store balance');
+  }
+};
+
+// @desc    Get transfers, newest first; ?store= (either side), ?from=&to=
+//          (YYYY-MM-DD)
+// @route   GET /api/stores/transfers
+// @access  Private (stock.view)
+export const getTransfers = async (req, res) => {
+  try {
+    const { store, from, to } = req.query;
+
+    const query = {};
+    if (store) {
+      const code = String(store).trim().toUpperCase();
+      query.$or = [{ fromStore: code }, { toStore: code }];
+    }
+    if (DATE.test(from || '') || DATE.test(to || '')) {
+      query.transferredAt = {};
+      if (DATE.test(from || '')) query.transferredAt.$gte = new Date(`${from}T00:00:00`);
+      if (DATE.test(to || '')) query.transferredAt.$lte = new Date(`${to}T23:59:59.999`);
+    }
+
+    const transfers = await StockTransfer.find(query)
+      .populate('transferredBy', 'firstName lastName')
+      .populate('requisition', 'requisitionNumber')
+      .sort({ transferredAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    sendError(res, error, 'Get stock transfers');
+  }
+};
+
+// @desc    Get a single transfer
+// @route   GET /api/stores/transfers/:id
+// @access  Private (stock.view)
+export const getTransfer = async (req, res) => {
+  try {
+    const transfer = mongoose.isValidObjectId(req.params.id)
+      ? await StockTransfer.findById(req.params.id)
+        .populate('transferredBy', 'firstName lastName')
+        .populate('requisition', 'requisitionNumber requestedFor')
+      : null;
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    sendError(res, error, 'Get stock transfer');
+  }
+};
+
+// @desc    Move stock between stores; body { fromStore, toStore, items:
+//          [{ medicine, quantity }], notes }
+// @route   POST /api/stores/transfers
+// @access  Private (stock.transfer)
+export const createTransfer = async (req, res) => {
+  try {
+    const { fromStore, toStore, items, notes } = req.body;
+
+    const transfer = await storeService.transfer({
+      from: fromStore,
+      to: toStore,
+      items,
+      notes,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer ${transfer.transferNumber} from ${transfer.fromStore} to ${transfer.toStore} recorded`,
+      data: transfer
+    });
+  } catch (error) {
+    sendError(res, error, 'Create stock transfer');
+  }
+};
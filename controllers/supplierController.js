@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import Supplier from '../models/Supplier.js';
+import procurementService from '../services/procurementService.js';
+import logger from '../utils/logger.js';
+
+// Deliberate errors from the procurement service carry their status;
+// anything else is logged as a server error.
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another supplier already has that name'
+    });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+const SUPPLIER_FIELDS = [
+  'name', 'contacts', 'phone', 'email', 'address', 'taxNumber',
+  'paymentTermsDays', 'leadTimeDays', 'isActive', 'notes'
+];
+
+const findSupplier = async (req, res) => {
+  const supplier = mongoose.isValidObjectId(req.params.id) ? await Supplier.findById(req.params.id) : null;
+  if (!supplier) {
+    res.status(404).json({
+      success: false,
+      message: 'Supplier not found'
+    });
+  }
+  return supplier;
+};
+
+// @desc    Get suppliers; inactive ones too with ?active=all, ?search= on name
+// @route   GET /api/suppliers
+// @access  Private (suppliers.view)
+export const getSuppliers = async (req, res) => {
+  try {
+    const query = req.query.active === 'all' ? {} : { isActive: true };
+    if (req.query.search) {
+      const pattern = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.name = { $regex: pattern, $options: 'i' };
+    }
+    const suppliers = await Supplier.find(query).sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+  } catch (error) {
+    sendError(res, error, 'Get suppliers');
+  }
+};
+
+// @desc    Get a single supplier
+// @route   GET /api/suppliers/:id
+// @access  Private (suppliers.view)
+export const getSupplier = async (req, res) => {
+  try {
+    const supplier = await findSupplier(req, res);
+    if (!supplier) return;
+
+    res.status(200).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    sendError(res, error, 'Get supplier');
+  }
+};
+
+// @desc    Add a supplier
+// @route   POST /api/suppliers
+// @access  Private (suppliers.manage)
+export const createSupplier = async (req, res) => {
+  try {
+    const fields = Object.fromEntries(SUPPLIER_FIELDS.filter((f) => req.body[f] !== undefined).map((f) => [f, req.body[f]]));
+    const supplier = await Supplier.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    sendError(res, error, 'Create supplier');
+  }
+};
+
+// @desc    Update a supplier's details, contacts or terms. Orders already
+//          placed keep the details they were placed with.
+// @route   PUT /api/suppliers/:id
+// @access  Private (suppliers.manage)
+export const updateSupplier = async (req, res) => {
+  try {
+    const supplier = await findSupplier(req, res);
+    if (!supplier) return;
+
+    for (const field of SUPPLIER_FIELDS) {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    }
+    supplier.updatedBy = req.user._id;
+    await supplier.save();
+
+    res.status(200).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    sendError(res, error, 'Update supplier');
+  }
+};
+
+// @desc    A supplier's performance over the last ?days= (default 365):
+//          lead time, on-time deliveries, fill rate and invoice exceptions
+// @route   GET /api/suppliers/:id/performance
+// @access  Private (suppliers.view)
+export const getSupplierPerformance = async (req, res) => {
+  try {
+    const supplier = await findSupplier(req, res);
+    if (!supplier) return;
+
+    const days = Number(req.query.days);
+    const performance = await procurementService.performance(supplier, {
+      days: Number.isInteger(days) && days > 0 ? Math.min(days, 1825) : 365
+    });
+
+    res.status(200).json({
+      success: true,
+      data: performance
+    });
+  } catch (error) {
+    sendError(res, error, 'Get supplier performance');
+  }
+};
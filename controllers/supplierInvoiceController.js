@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import SupplierInvoice, { SUPPLIER_INVOICE_STATUSES } from '../models/SupplierInvoice.js';
+import procurementService from '../services/procurementService.js';
+import logger from '../utils/logger.js';
+
+// Deliberate errors from the procurement service carry their status;
+// anything else is logged as a server error.
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'That invoice has already been entered for this supplier'
+    });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const findInvoice = async (req, res) => {
+  const invoice = mongoose.isValidObjectId(req.params.id) ? await SupplierInvoice.findById(req.params.id) : null;
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      message: 'Supplier invoice not found'
+    });
+  }
+  return invoice;
+};
+
+// @desc    Get supplier invoices; ?status=, ?supplier= (id), ?purchaseOrder=,
+//          ?dueBefore= (YYYY-MM-DD). With ?status=approved this is the
+//          accounts-payable list, soonest due first.
+// @route   GET /api/supplier-invoices
+// @access  Private (supplier_invoices.view)
+export const getSupplierInvoices = async (req, res) => {
+  try {
+    const { status, supplier, purchaseOrder, dueBefore } = req.query;
+
+    const query = {};
+    if (SUPPLIER_INVOICE_STATUSES.includes(status)) query.status = status;
+    if (mongoose.isValidObjectId(supplier)) query.supplierId = supplier;
+    if (mongoose.isValidObjectId(purchaseOrder)) query.purchaseOrder = purchaseOrder;
+    if (DATE.test(dueBefore || '')) query.dueDate = { $lte: new Date(`${dueBefore}T23:59:59.999`) };
+
+    const invoices = await SupplierInvoice.find(query)
+      .sort(status === 'approved' ? { dueDate: 1 } : { createdAt: -1 })
+      .limit(200);
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      totalAmount: invoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0),
+      data: invoices
+    });
+  } catch (error) {
+    sendError(res, error, 'Get supplier invoices');
+  }
+};
+
+// @desc    Get a single supplier invoice with its match
+// @route   GET /api/supplier-invoices/:id
+// @access  Private (supplier_invoices.view)
+export const getSupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    sendError(res, error, 'Get supplier invoice');
+  }
+};
+
+// @desc    Enter a supplier's invoice and match it against the order and
+//          its deliveries; body { purchaseOrder, invoiceNumber, invoiceDate,
+//          lines: [{ medicine, quantity, unitPrice }], taxAmount, statedTotal }
+// @route   POST /api/supplier-invoices
+// @access  Private (supplier_invoices.match)
+export const createSupplierInvoice = async (req, res) => {
+  try {
+    const { purchaseOrder, invoiceNumber, invoiceDate, lines, taxAmount, statedTotal } = req.body;
+
+    const order = await procurementService.findOrder(purchaseOrder);
+    const invoice = await procurementService.matchInvoice(order, {
+      invoiceNumber,
+      invoiceDate,
+      lines,
+      taxAmount,
+      statedTotal,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: invoice.status === 'matched'
+        ? `Invoice ${invoice.invoiceNumber} matches ${order.poNumber}`
+        : `Invoice ${invoice.invoiceNumber} does not match ${order.poNumber}: ${invoice.issues.length} issue(s)`,
+      data: invoice
+    });
+  } catch (error) {
+    sendError(res, error, 'Create supplier invoice');
+  }
+};
+
+// @desc    Approve an invoice for payment; body { notes } is required for an
+//          exception
+// @route   PUT /api/supplier-invoices/:id/approve
+// @access  Private (supplier_invoices.approve)
+export const approveSupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    await procurementService.approveInvoice(invoice, { userId: req.user._id, notes: req.body.notes });
+
+    res.status(200).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} approved for payment`,
+      data: invoice
+    });
+  } catch (error) {
+    sendError(res, error, 'Approve supplier invoice');
+  }
+};
+
+// @desc    Reject an invoice; body { reason }
+// @route   PUT /api/supplier-invoices/:id/reject
+// @access  Private (supplier_invoices.approve)
+export const rejectSupplierInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    await procurementService.rejectInvoice(invoice, { userId: req.user._id, reason: req.body.reason });
+
+    res.status(200).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} rejected`,
+      data: invoice
+    });
+  } catch (error) {
+    sendError(res, error, 'Reject supplier invoice');
+  }
+};
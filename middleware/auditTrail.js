@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Request-level audit capture for clinical records.
+ *
+ * Mounted once per router with `router.use(protect, auditTrail('Patient', Patient))`
+ * rather than on each route, so a newly added endpoint is audited without
+ * anyone remembering to opt it in. Because the middleware runs before the
+ * route is matched, req.params is not populated yet: the entity id is taken
+ * from the path segment directly after the router's root instead, which is
+ * how every `/:id` and `/:id/<sub-resource>` route in these routers is
+ * shaped. Routes keyed by another record (`/patient/:patientId` on the visits
+ * router) are logged without an entity id rather than under the wrong one.
+ *
+ * Action is inferred from the method. A POST that targets an existing record
+ * (`POST /:id/vitals`) is an UPDATE of that record, not a CREATE.
+ *
+ * Writing the log never delays or fails the response: it happens after
+ * 'finish' and AuditLog.log swallows its own errors.
+ */
+
+// Never copied into an audit entry, at any depth.
+const REDACTED_FIELDS = new Set([
+  'password',
+  'resetPasswordToken',
+  'verificationToken',
+  'token',
+  'cardNumber',
+  'cvv',
+]);
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+const ACTIONS = {
+  GET: 'VIEW',
+  POST: 'CREATE',
+  PUT: 'UPDATE',
+  PATCH: 'UPDATE',
+  DELETE: 'DELETE',
+};
+
+export const entityIdFromPath = (path) => {
+  const [segment] = path.split('/').filter(Boolean);
+  return OBJECT_ID.test(segment) ? segment : null;
+};
+
+export const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value instanceof Date || value instanceof mongoose.Types.ObjectId) return value;
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !REDACTED_FIELDS.has(key))
+        .map(([key, v]) => [key, redact(v)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Top-level fields that differ between two plain snapshots, as
+ * `{ before, after }` holding only those fields. Bookkeeping fields that
+ * change on every save are ignored so they do not mask a no-op edit.
+ */
+export const diffSnapshots = (before, after) => {
+  const ignored = new Set(['updatedAt', '__v']);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = { before: {}, after: {} };
+
+  for (const key of keys) {
+    if (ignored.has(key)) continue;
+    const a = before?.[key];
+    const b = after?.[key];
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.before[key] = a;
+      changes.after[key] = b;
+    }
+  }
+
+  return Object.keys(changes.after).length ? changes : null;
+};
+
+/**
+ * @param {string} entityType        AuditLog entityType, e.g. 'Patient'
+ * @param {import('mongoose').Model} Model  used to snapshot the record
+ */
+export const auditTrail = (entityType, Model) => async (req, res, next) => {
+  const startedAt = Date.now();
+  const entityId = entityIdFromPath(req.path);
+  let action = ACTIONS[req.method];
+
+  if (!action) return next();
+  if (action === 'CREATE' && entityId) action = 'UPDATE';
+
+  let before = null;
+  if (entityId && (action === 'UPDATE' || action === 'DELETE')) {
+    try {
+      before = await Model.findById(entityId).lean();
+    } catch (error) {
+      logger.warn(`Audit snapshot of ${entityType} ${entityId} failed: ${error.message}`);
+    }
+  }
+
+  // Keep the body the handler sent, so a CREATE can record what was created.
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', async () => {
+    // Requests rejected by protect() have no user to attribute them to.
+    if (!req.user) return;
+
+    try {
+      const succeeded = res.statusCode < 400;
+      const createdId = action === 'CREATE' && succeeded
+        ? responseBody?.data?._id || responseBody?._id
+        : null;
+
+      let changes;
+      if (succeeded && action === 'UPDATE' && before) {
+        const after = await Model.findById(entityId).lean();
+        changes = diffSnapshots(redact(before), redact(after)) || undefined;
+      } else if (succeeded && action === 'DELETE' && before) {
+        changes = { before: redact(before), after: null };
+      } else if (createdId) {
+        changes = { before: null, after: redact(JSON.parse(JSON.stringify(responseBody.data))) };
+      }
+
+      const target = entityId || createdId;
+      const verb = { VIEW: 'Viewed', CREATE: 'Created', UPDATE: 'Updated', DELETE: 'Deleted' }[action];
+
+      await AuditLog.log({
+        userId: req.user._id,
+        action,
+        entityType,
+        entityId: target || undefined,
+        description: target
+          ? `${verb} ${entityType} ${target} via ${req.method} ${req.originalUrl}`
+          : `${verb} ${entityType} list via ${req.method} ${req.originalUrl}`,
+        changes,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        requestMethod: req.method,
+        requestUrl: req.originalUrl,
+        responseStatus: res.statusCode,
+        responseTime: Date.now() - startedAt,
+      });
+    } catch (error) {
+      logger.error(`Audit capture for ${entityType} failed:`, error);
+    }
+  });
+
+  next();
+};
+
+export default auditTrail;
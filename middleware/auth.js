@@ -1,9 +1,16 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Patient from '../models/Patient.js';
 import logger from '../utils/logger.js';
 
 // Protect routes - require authentication
 export const protect = async (req, res, next) => {
+  // Routers that audit every request authenticate once at router level and
+  // still carry protect on each route; the second pass is a no-op.
+  if (req.user) {
+    return next();
+  }
+
   let token;
 
   // Check for token in headers
@@ -27,6 +34,14 @@ export const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Patient portal tokens are signed with the same secret
+    if (decoded.scope === 'patient') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Not authorized to access this route'
+      });
+    }
+
     // Get user from token
     const user = await User.findById(decoded.id).select('-password');
 
@@ -53,6 +68,8 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    await user.loadPermissions();
+
     req.user = user;
     next();
   } catch (error) {
@@ -64,7 +81,55 @@ export const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
+// Protect patient portal routes - require a portal token (see
+// Patient.getPortalToken). Sets req.patient rather than req.user.
+export const protectPatient = async (req, res, next) => {
+  let token;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Not authorized to access this route'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.scope !== 'patient') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    const patient = await Patient.findById(decoded.id);
+    if (!patient || !patient.isActive || patient.portal?.disabled) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Portal access is not available for this patient'
+      });
+    }
+
+    req.patient = patient;
+    next();
+  } catch (error) {
+    logger.error('Portal token verification failed:', error);
+    return res.status(401).json({
+      status: 'error',
+      message: 'Not authorized to access this route'
+    });
+  }
+};
+
+// Grant access to specific roles.
+//
+// Routers check permissions (requirePermission below) so that roles can be
+// defined at runtime; prefer that. This remains for callers that genuinely
+// mean a role name rather than a capability.
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -164,6 +229,7 @@ export const optionalAuth = async (req, res, next) => {
       const user = await User.findById(decoded.id).select('-password');
       
       if (user && user.isActive && !user.isLocked()) {
+        await user.loadPermissions();
         req.user = user;
       }
     } catch (error) {
@@ -1,5 +1,6 @@
 import Visit from '../models/Visit.js';
 import Patient from '../models/Patient.js';
+import eligibilityService from '../services/eligibilityService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -49,8 +50,9 @@ export const checkPaymentEligibility = async (req, res, next) => {
       });
     }
 
-    // Check if patient has insurance
-    const hasInsurance = !!(visit.patient.insurance?.provider);
+    // Insured patients whose eligibility was not verified for this visit
+    // pay up front like everyone else
+    const hasInsurance = eligibilityService.coversVisit(visit);
 
     // For non-insured patients, check if payment is confirmed
     if (!hasInsurance) {
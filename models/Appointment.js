@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { nextSequence, highestExisting } from '../utils/sequence.js';
 
 const appointmentSchema = new mongoose.Schema({
   appointmentId: {
@@ -15,6 +16,7 @@ const appointmentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // 'YYYY-MM-DD' and 'HH:MM', clinic time
   appointmentDate: {
     type: String,
     required: true
@@ -42,6 +44,7 @@ const appointmentSchema = new mongoose.Schema({
     enum: [ // Corrected to lowercase
       'scheduled',
       'confirmed',
+      'checked-in',
       'in-progress',
       'completed',
       'cancelled',
@@ -57,26 +60,87 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
+  // Patients booking through the portal (services/portalService.js) have no
+  // staff member behind the booking
+  bookedVia: {
+    type: String,
+    enum: ['staff', 'portal'],
+    default: 'staff'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.bookedVia !== 'portal'; }
+  },
+  // Set at check-in (services/attendanceService.js), which opens the visit.
+  // lateMinutes is how long after the booked time the patient arrived.
+  visit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit'
+  },
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lateMinutes: Number,
+  // Set on appointments booked from a recurrence rule; occurrence is 1-based
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
   },
+  occurrence: Number,
+  // Reminders sent to the patient (services/reminderService.js), one per kind
+  reminders: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['24h', '2h']
+    },
+    sentAt: Date,
+    channels: [{
+      _id: false,
+      channel: {
+        type: String,
+        enum: ['sms', 'email']
+      },
+      status: {
+        type: String,
+        enum: ['sent', 'failed']
+      },
+      transport: String,
+      reference: String,
+      error: String
+    }]
+  }],
 }, {
   timestamps: true,
 });
 
+appointmentSchema.index({ doctor: 1, appointmentDate: 1 });
+appointmentSchema.index({ series: 1, occurrence: 1 });
+
+// A rescheduled appointment is reminded about again at its new time
+appointmentSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('appointmentDate') || this.isModified('appointmentTime'))) {
+    this.reminders = [];
+  }
+  next();
+});
+
 // Pre-save middleware to generate appointment ID
 appointmentSchema.pre('save', async function(next) {
   if (this.isNew && !this.appointmentId) {
+    // Previously derived from countDocuments(), which handed out the same
+    // number to every appointment of a series booked in one transaction.
     const year = new Date().getFullYear();
-    const count = await this.constructor.countDocuments({
-      createdAt: {
-        $gte: new Date(year, 0, 1),
-        $lt: new Date(year + 1, 0, 1)
-      }
+    const prefix = `A${year}`;
+
+    const sequence = await nextSequence(`appointment:${year}`, {
+      seedFrom: () => highestExisting(this.constructor, 'appointmentId', prefix),
     });
-    this.appointmentId = `A${year}${(count + 1).toString().padStart(4, '0')}`;
+
+    this.appointmentId = `${prefix}${String(sequence).padStart(4, '0')}`;
   }
   next();
 });
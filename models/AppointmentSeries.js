@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * A recurring appointment: the rule it was booked from and the details its
+ * occurrences share. The occurrences themselves are ordinary Appointment
+ * documents pointing back here, so everything that reads appointments keeps
+ * working; this document is what "all following" edits and series
+ * cancellation act on.
+ */
+export const FREQUENCIES = ['weekly', 'monthly'];
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const appointmentSeriesSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  // Every `interval` weeks or months
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Interval must be at least 1'],
+    max: [12, 'Interval cannot exceed 12']
+  },
+  // The rule as given: a number of occurrences or a last date
+  count: Number,
+  until: {
+    type: String,
+    match: [DATE, 'until must be YYYY-MM-DD']
+  },
+  startDate: {
+    type: String,
+    required: true,
+    match: [DATE, 'startDate must be YYYY-MM-DD']
+  },
+  appointmentTime: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    default: 30
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('AppointmentSeries', appointmentSeriesSchema);
@@ -22,7 +22,14 @@ const auditLogSchema = new mongoose.Schema({
     enum: [
       'User', 'Patient', 'Appointment', 'Visit',
       'Prescription', 'LabTest', 'Medication',
-      'Report', 'Settings', 'System', 'Invoice', 'Payment'
+      'Report', 'Settings', 'System', 'Invoice', 'Payment',
+      // Clinical and operational records audited since request-level capture
+      'IPDRecord', 'Ward', 'Bed', 'Corpse', 'Release', 'Cabinet',
+      'Medicine', 'MedicineBatch', 'StockItem', 'StockMovement',
+      'Dispensing', 'DirectDispensing', 'Requisition', 'PurchaseOrder',
+      'IncomingItem', 'ItemPrice', 'RadiologyRequest', 'Theatre',
+      'TheatreProcedure', 'Service', 'Department', 'InsuranceProvider',
+      'Notification', 'AuditLog', 'Role', 'Claim', 'PriceList'
     ]
   },
   entityId: {
@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import { nextSequence, highestExisting } from '../utils/sequence.js';
+
+/**
+ * An insurance claim for the covered items on one invoice.
+ *
+ * Lifecycle: draft → submitted → acknowledged → partially_approved | rejected → paid.
+ * Payers may adjudicate without acknowledging first. A claim approved in full
+ * has no status of its own: it stays acknowledged until the remittance
+ * arrives and it is paid. A rejected claim can be corrected and resubmitted.
+ */
+export const CLAIM_STATUSES = ['draft', 'submitted', 'acknowledged', 'partially_approved', 'rejected', 'paid'];
+
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['acknowledged', 'partially_approved', 'rejected'],
+  acknowledged: ['partially_approved', 'rejected', 'paid'],
+  partially_approved: ['paid'],
+  rejected: ['submitted'],
+  paid: [],
+};
+
+const claimLineSchema = new mongoose.Schema({
+  // _id of the Invoice.items entry this line claims for
+  invoiceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  type: String,
+  code: String,
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unitPrice: {
+    type: Number,
+    min: 0
+  },
+  claimedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  approvedAmount: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'partially_approved', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: String
+});
+
+const claimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  visit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit'
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceProvider',
+    required: true
+  },
+  policyNumber: {
+    type: String,
+    required: true
+  },
+  planCode: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'draft'
+  },
+  lines: {
+    type: [claimLineSchema],
+    validate: [(lines) => lines.length > 0, 'A claim needs at least one line']
+  },
+  claimedAmount: {
+    type: Number,
+    default: 0
+  },
+  approvedAmount: {
+    type: Number,
+    default: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  // Payer adapter used for the latest submission, and the payer's own
+  // reference for the claim once it has one.
+  adapter: String,
+  payerReference: String,
+  submissions: [{
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    adapter: String,
+    accepted: Boolean,
+    reference: String,
+    message: String
+  }],
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: CLAIM_STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }],
+  rejectionReason: String,
+  paymentReference: String,
+  paidAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+claimSchema.index({ invoice: 1, createdAt: -1 });
+claimSchema.index({ provider: 1, status: 1, createdAt: -1 });
+claimSchema.index({ status: 1, createdAt: -1 });
+
+claimSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+/**
+ * Move the claim to a new status, recording who did it. Throws on a
+ * transition the lifecycle does not allow.
+ */
+claimSchema.methods.transitionTo = function(status, userId, notes) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot move a ${this.status} claim to ${status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  this.status = status;
+  this.statusHistory.push({ status, changedBy: userId, changedAt: new Date(), notes });
+};
+
+claimSchema.methods.calculateTotals = function() {
+  this.claimedAmount = this.lines.reduce((sum, line) => sum + line.claimedAmount, 0);
+  this.approvedAmount = this.lines.reduce((sum, line) => sum + (line.approvedAmount || 0), 0);
+};
+
+claimSchema.statics.generateClaimNumber = async function(session) {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const prefix = `CLM-${year}${month}-`;
+
+  const sequence = await nextSequence(`claim:${year}${month}`, {
+    session,
+    seedFrom: () => highestExisting(this, 'claimNumber', prefix),
+  });
+
+  return `${prefix}${String(sequence).padStart(5, '0')}`;
+};
+
+export default mongoose.model('Claim', claimSchema);
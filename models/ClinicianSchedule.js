@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+
+/**
+ * When a clinician can be booked: weekly working hours, breaks and leave.
+ *
+ * Times are 'HH:MM' in clinic time and dates 'YYYY-MM-DD', the same form
+ * Appointment stores them in, so availability is worked out without any
+ * time zone conversion. A day may have more than one session (a morning
+ * and an evening clinic); a break with no day applies to every working day.
+ */
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const timeField = (label) => ({
+  type: String,
+  required: [true, `${label} is required`],
+  match: [TIME, `${label} must be HH:MM`]
+});
+
+const dateField = (label) => ({
+  type: String,
+  required: [true, `${label} is required`],
+  match: [DATE, `${label} must be YYYY-MM-DD`]
+});
+
+function endsAfterStart(end) {
+  return !this.start || end > this.start;
+}
+
+const sessionSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: WEEKDAYS,
+    required: true
+  },
+  start: timeField('Start time'),
+  end: {
+    ...timeField('End time'),
+    validate: [endsAfterStart, 'End time must be after start time']
+  }
+}, { _id: false });
+
+const breakSchema = new mongoose.Schema({
+  // Unset: every working day
+  day: {
+    type: String,
+    enum: WEEKDAYS
+  },
+  start: timeField('Break start'),
+  end: {
+    ...timeField('Break end'),
+    validate: [endsAfterStart, 'Break end must be after its start']
+  },
+  label: String
+}, { _id: false });
+
+const leaveSchema = new mongoose.Schema({
+  startDate: dateField('Leave start date'),
+  endDate: {
+    ...dateField('Leave end date'),
+    validate: [function(end) { return !this.startDate || end >= this.startDate; }, 'Leave cannot end before it starts']
+  },
+  reason: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+const clinicianScheduleSchema = new mongoose.Schema({
+  clinician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Length of a bookable slot; appointments may be longer and take several
+  slotMinutes: {
+    type: Number,
+    default: 30,
+    min: [5, 'Slots must be at least 5 minutes'],
+    max: [240, 'Slots cannot exceed 4 hours']
+  },
+  weeklyHours: [sessionSchema],
+  breaks: [breakSchema],
+  leave: [leaveSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Leave covering a date, if any.
+ */
+clinicianScheduleSchema.methods.leaveOn = function(date) {
+  return this.leave.find((l) => l.startDate <= date && l.endDate >= date) || null;
+};
+
+export default mongoose.model('ClinicianSchedule', clinicianScheduleSchema);
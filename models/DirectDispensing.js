@@ -1,25 +1,129 @@
 import mongoose from 'mongoose';
+import { nextSequence, highestExisting } from '../utils/sequence.js';
+
+// How a counter sale can be paid (Payment.method values)
+export const SALE_PAYMENT_METHODS = ['cash', 'credit_card', 'debit_card', 'mobile_money'];
 
 const SoldMedicineSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+  },
   name: String,
   qty: Number,
+  // Unit price, set from the pharmacy price list when the sale is made
   price: Number,
+  total: Number,
+  // Where the stock came from, so a void can put it back
+  batches: [{
+    _id: false,
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedicineBatch',
+    },
+    batchNumber: String,
+    quantity: Number,
+  }],
 });
 
+const SalePaymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: SALE_PAYMENT_METHODS,
+    required: true,
+  },
+  // What the sale took by this method, after change was given
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Card slip or mobile money transaction code
+  reference: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+}, { _id: false });
+
+/**
+ * An over-the-counter sale at the pharmacy. Made through
+ * services/pharmacySaleService.js, which prices the lines, takes the stock
+ * and records the payments; records from before then only carry a client
+ * name, lines and a total.
+ */
 const DirectDispensingSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
   clientName: {
     type: String,
     required: true,
   },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+  },
   medicines: [SoldMedicineSchema],
   totalCost: {
     type: Number,
     required: true,
   },
+  payments: [SalePaymentSchema],
+  amountTendered: Number,
+  change: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'voided'],
+    default: 'completed',
+  },
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyShift',
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // The shift whose drawer the refund came out of
+  voidShift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyShift',
+  },
+  voidReason: String,
   date: {
     type: Date,
     default: Date.now,
   },
 });
 
-export default mongoose.model('DirectDispensing', DirectDispensingSchema);
\ No newline at end of file
+DirectDispensingSchema.index({ shift: 1, status: 1 });
+DirectDispensingSchema.index({ voidShift: 1 });
+DirectDispensingSchema.index({ cashier: 1, date: -1 });
+
+// Receipt numbers are OTC-YYYYMMDD-NNNN, numbered per day
+DirectDispensingSchema.statics.generateReceiptNumber = async function(session, date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const prefix = `OTC-${year}${month}${day}-`;
+
+  const sequence = await nextSequence(`otc-receipt:${year}${month}${day}`, {
+    session,
+    seedFrom: () => highestExisting(this, 'receiptNumber', prefix),
+  });
+
+  return `${prefix}${String(sequence).padStart(4, '0')}`;
+};
+
+export default mongoose.model('DirectDispensing', DirectDispensingSchema);
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { DEFAULT_DRUG_CLASSES, SEVERITIES } from '../config/drugKnowledge.js';
+
+// Lowercase words only, so names compare however they were typed
+export const normaliseDrugTerm = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const terms = {
+  type: [String],
+  default: [],
+  set: (list) => [...new Set((list || []).map(normaliseDrugTerm).filter(Boolean))]
+};
+
+/**
+ * A group of drugs that share allergies and interactions, such as the
+ * penicillins. Used by services/clinicalDecisionService.js.
+ *
+ * `members` are matched as whole words against medicine names, and with
+ * `allergyTerms` against what is recorded in Patient.allergies. A patient
+ * allergic to this class may also react to the `crossReactive` classes.
+ */
+const drugClassSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Class name is required'],
+    unique: true,
+    set: normaliseDrugTerm
+  },
+  members: terms,
+  allergyTerms: terms,
+  crossReactive: [{
+    _id: false,
+    className: {
+      type: String,
+      required: true,
+      set: normaliseDrugTerm
+    },
+    severity: {
+      type: String,
+      enum: SEVERITIES,
+      default: 'moderate'
+    }
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Insert any built-in class that does not exist yet. Existing classes are
+ * left alone, so the pharmacy's edits survive a restart.
+ */
+drugClassSchema.statics.seedDefaults = async function() {
+  let created = 0;
+  for (const drugClass of DEFAULT_DRUG_CLASSES) {
+    const result = await this.updateOne(
+      { name: drugClass.name },
+      { $setOnInsert: { ...drugClass, isSystem: true, isActive: true } },
+      { upsert: true }
+    );
+    created += result.upsertedCount || 0;
+  }
+  return created;
+};
+
+export default mongoose.model('DrugClass', drugClassSchema);
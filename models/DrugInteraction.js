@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { DEFAULT_INTERACTIONS, SEVERITIES } from '../config/drugKnowledge.js';
+import { normaliseDrugTerm } from './DrugClass.js';
+
+// The pair is stored sorted, so A+B and B+A are the same interaction
+const pairKey = (drugs) => drugs.map(normaliseDrugTerm).sort().join('+');
+
+/**
+ * Two drugs, or drug classes (models/DrugClass.js), that should not be
+ * given together without thought. Used by services/clinicalDecisionService.js.
+ */
+const drugInteractionSchema = new mongoose.Schema({
+  drugs: {
+    type: [String],
+    set: (list) => (list || []).map(normaliseDrugTerm).sort(),
+    validate: {
+      validator: (list) => list.length === 2 && list.every(Boolean) && list[0] !== list[1],
+      message: 'An interaction is between two different drugs or drug classes'
+    }
+  },
+  key: {
+    type: String,
+    unique: true
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    required: [true, 'Severity is required']
+  },
+  effect: {
+    type: String,
+    required: [true, 'Describe the effect of the interaction']
+  },
+  management: String,
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+drugInteractionSchema.pre('validate', function(next) {
+  this.key = pairKey(this.drugs);
+  next();
+});
+
+/**
+ * Insert any built-in interaction that does not exist yet. Existing
+ * interactions are left alone, so the pharmacy's edits survive a restart.
+ */
+drugInteractionSchema.statics.seedDefaults = async function() {
+  let created = 0;
+  for (const interaction of DEFAULT_INTERACTIONS) {
+    const drugs = interaction.drugs.map(normaliseDrugTerm).sort();
+    const result = await this.updateOne(
+      { key: pairKey(drugs) },
+      { $setOnInsert: { ...interaction, drugs, key: pairKey(drugs), isSystem: true, isActive: true } },
+      { upsert: true }
+    );
+    created += result.upsertedCount || 0;
+  }
+  return created;
+};
+
+export default mongoose.model('DrugInteraction', drugInteractionSchema);
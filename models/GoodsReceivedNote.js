@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import { nextSequence, highestExisting } from '../utils/sequence.js';
+
+// How a line's running total received compares with what was ordered
+export const DELIVERY_VARIANCES = ['exact', 'under', 'over'];
+
+const GoodsReceivedLineSchema = new mongoose.Schema({
+  // _id of the PurchaseOrder.items entry received against
+  orderLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  medicineName: String,
+  orderedQuantity: {
+    type: Number,
+    required: true,
+  },
+  // Received on earlier notes for the same line
+  previouslyReceived: {
+    type: Number,
+    default: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineBatch',
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+  },
+  expiryDate: {
+    type: Date,
+    required: true,
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+  variance: {
+    type: String,
+    enum: DELIVERY_VARIANCES,
+  },
+  // Received in total less ordered: negative while short, positive when over
+  varianceQuantity: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * One delivery against a purchase order: the batches it brought in and
+ * how each line stands against the order.
+ */
+const GoodsReceivedNoteSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true,
+    index: true,
+  },
+  poNumber: String,
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    index: true,
+  },
+  supplierName: String,
+  // The supplier's delivery note or waybill number
+  deliveryNote: String,
+  // Store code the batches were received into
+  location: {
+    type: String,
+    required: true,
+  },
+  lines: {
+    type: [GoodsReceivedLineSchema],
+    validate: [(lines) => lines.length > 0, 'A goods-received note needs at least one line'],
+  },
+  // Lines short of or over the order once this delivery is counted
+  discrepancies: {
+    over: {
+      type: Number,
+      default: 0,
+    },
+    under: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Delivered on or before the order's expected date
+  onTime: Boolean,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  notes: String,
+});
+
+GoodsReceivedNoteSchema.index({ supplierId: 1, receivedAt: -1 });
+
+// Numbers are GRN-YYYYMM-NNNNN
+GoodsReceivedNoteSchema.statics.generateGRNNumber = async function(session, date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const prefix = `GRN-${year}${month}-`;
+
+  const sequence = await nextSequence(`goods-received:${year}${month}`, {
+    session,
+    seedFrom: () => highestExisting(this, 'grnNumber', prefix),
+  });
+
+  return `${prefix}${String(sequence).padStart(5, '0')}`;
+};
+
+export default mongoose.model('GoodsReceivedNote', GoodsReceivedNoteSchema);
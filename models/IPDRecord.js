@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { prescribingAlertSchema } from './Visit.js';
 
 const ipdRecordSchema = new mongoose.Schema({
   admissionNumber: {
@@ -140,7 +141,16 @@ const ipdRecordSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    notes: String
+    notes: String,
+    alerts: [prescribingAlertSchema],
+    alertOverride: {
+      reason: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: Date
+    }
   }],
   vitalSigns: [{
     recordedDate: {
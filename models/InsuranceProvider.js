@@ -105,6 +105,12 @@ const insuranceProviderSchema = new mongoose.Schema({
       outOfPocketMax: {
         type: Number,
         default: 0
+      },
+      // Most the plan pays per member per calendar year; 0 for no limit
+      annualLimit: {
+        type: Number,
+        default: 0,
+        min: 0
       }
     },
     requiresPreAuth: {
@@ -136,6 +142,12 @@ const insuranceProviderSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Claims payer adapter (services/payers) used when enabled
+    adapter: {
+      type: String,
+      enum: ['nhif', 'file'],
+      default: 'nhif'
+    },
     apiEndpoint: String,
     apiKey: String,
     apiSecret: String,
@@ -87,6 +87,25 @@ const invoiceSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Pre-authorisation reference, for plans that require one for this line
+    preAuthCode: String,
+    // What the patient's plan pays for this line and why, from the coverage
+    // engine (services/coverageService.js)
+    coverage: {
+      status: {
+        type: String,
+        enum: ['covered', 'partial', 'not_covered']
+      },
+      planCode: String,
+      coveragePercentage: Number,
+      coveredAmount: Number,
+      copayAmount: Number,
+      deductibleAmount: Number,
+      limitAmount: Number,
+      patientAmount: Number,
+      reasons: [String],
+      evaluatedAt: Date
+    },
     paid: {
       type: Boolean,
       default: false
@@ -131,6 +150,10 @@ const invoiceSchema = new mongoose.Schema({
       default: 0
     },
     approvalCode: String,
+    claim: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Claim'
+    },
     claimNumber: String,
     status: {
       type: String,
@@ -160,7 +183,9 @@ const invoiceSchema = new mongoose.Schema({
     },
     method: {
       type: String,
-      enum: ['cash', 'credit_card', 'debit_card', 'mobile_money', 'bank_transfer', 'insurance'],
+      // Mirrors Payment.method, since refunds are recorded here with the
+      // original payment's method.
+      enum: ['cash', 'credit_card', 'debit_card', 'mobile_money', 'bank_transfer', 'insurance', 'check', 'online', 'other'],
       required: true
     },
     paidBy: {
@@ -215,11 +240,18 @@ invoiceSchema.virtual('unpaidItemsCount').get(function() {
   return this.items.filter(item => !item.paid).length;
 });
 
+/**
+ * What the patient owes for an item. The plan's share of a covered item is
+ * booked as an insurance payment when the item is billed, so only the rest
+ * is left to collect.
+ */
+const patientShare = (item) => item.total - (item.coverage?.coveredAmount || 0);
+
 // Virtual to get total unpaid amount
 invoiceSchema.virtual('unpaidAmount').get(function() {
   return this.items
     .filter(item => !item.paid)
-    .reduce((sum, item) => sum + item.total, 0);
+    .reduce((sum, item) => sum + patientShare(item), 0);
 });
 
 /**
@@ -339,11 +371,11 @@ invoiceSchema.methods.payItems = function(itemIndices, paymentInfo) {
     if (index < this.items.length && !this.items[index].paid) {
       this.items[index].paid = true;
       this.items[index].paidAt = now;
-      totalPaid += this.items[index].total;
+      totalPaid += patientShare(this.items[index]);
       paidItemsList.push({
         index: index,
         description: this.items[index].description,
-        amount: this.items[index].total
+        amount: patientShare(this.items[index])
       });
     }
   });
@@ -397,7 +429,7 @@ invoiceSchema.methods.addPayment = function(amount) {
   // Find unpaid items and mark them as paid until amount is exhausted
   for (let i = 0; i < this.items.length && remainingAmount > 0; i++) {
     if (!this.items[i].paid) {
-      const itemTotal = this.items[i].total;
+      const itemTotal = patientShare(this.items[i]);
       
       if (remainingAmount >= itemTotal) {
         // Full item payment
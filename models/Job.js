@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Persisted state of a scheduled job (services/jobScheduler.js). The jobs
+ * themselves are defined in code; this is when each is next due and what
+ * happened last time, so a restart picks up where the schedule left off.
+ *
+ * lockedBy/lockedUntil make a run exclusive across instances: a job is
+ * claimed by setting them in the same update that checks it is due and
+ * unlocked. A lock left behind by an instance that died mid-run lapses at
+ * lockedUntil.
+ */
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: String,
+  // Whatever the job returned, e.g. how many reminders went out
+  lastResult: mongoose.Schema.Types.Mixed,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Job', jobSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { analyteResultSchema } from './LabTestDefinition.js';
 
 const labTestSchema = new mongoose.Schema({
   testName: {
@@ -24,6 +25,11 @@ const labTestSchema = new mongoose.Schema({
   results: {
     type: String
   },
+  analyteResults: [analyteResultSchema],
+  test: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'LabTestDefinition'
+  },
   category: {
     type: String,
     required: false,
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+export const LAB_CATEGORIES = ['Hematology', 'Chemistry', 'Microbiology', 'Serology', 'Parasitology', 'Urinalysis', 'Imaging', 'Other'];
+export const RESULT_FLAGS = ['normal', 'low', 'high', 'critical_low', 'critical_high', 'abnormal'];
+
+/**
+ * One reference range for an analyte. Ages are in years and may be
+ * fractional (0.08 is about a month); `ageTo` is exclusive and open-ended
+ * when missing. Values below `criticalLow` or above `criticalHigh` are
+ * reported to the ordering doctor straight away.
+ */
+const referenceRangeSchema = new mongoose.Schema({
+  sex: {
+    type: String,
+    enum: ['any', 'male', 'female'],
+    default: 'any',
+    set: (value) => String(value || 'any').toLowerCase()
+  },
+  ageFrom: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  ageTo: {
+    type: Number,
+    min: 0
+  },
+  low: Number,
+  high: Number,
+  criticalLow: Number,
+  criticalHigh: Number,
+  // How the range is printed when it is not simply low-high, e.g. "< 5.2"
+  text: String
+}, { _id: false });
+
+const analyteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Analyte code is required'],
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Analyte name is required'],
+    trim: true
+  },
+  unit: String,
+  resultType: {
+    type: String,
+    enum: ['numeric', 'text'],
+    default: 'numeric'
+  },
+  // For text results: the answers that are not abnormal, e.g. ["Negative"]
+  normalValues: {
+    type: [String],
+    default: undefined
+  },
+  referenceRanges: [referenceRangeSchema]
+}, { _id: false });
+
+/**
+ * A value entered against an analyte on a lab order, with the range it was
+ * judged against at the time. Kept on Visit.labOrders and LabTest.
+ */
+export const analyteResultSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  name: { type: String, required: true },
+  value: Number,
+  valueText: String,
+  unit: String,
+  referenceRange: {
+    low: Number,
+    high: Number,
+    text: String
+  },
+  flag: { type: String, enum: RESULT_FLAGS }
+}, { _id: false });
+
+/**
+ * An orderable laboratory test: a single test with one or more analytes
+ * (a full blood count has several), or a panel made up of other tests.
+ * The price here is the catalogue price used when ordering, before any
+ * price list (services/pricingService.js).
+ */
+const labTestDefinitionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Test code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Test name is required'],
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['test', 'panel'],
+    default: 'test'
+  },
+  category: {
+    type: String,
+    enum: LAB_CATEGORIES,
+    default: 'Other'
+  },
+  // e.g. "Whole blood (EDTA)", "Serum", "Urine"
+  specimenType: {
+    type: String,
+    trim: true
+  },
+  analytes: [analyteSchema],
+  // Tests making up a panel
+  components: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LabTestDefinition'
+  }],
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: 0
+  },
+  turnaroundHours: {
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+labTestDefinitionSchema.index({ name: 1 });
+
+labTestDefinitionSchema.pre('validate', function(next) {
+  if (this.kind === 'panel' && !this.components.length) {
+    this.invalidate('components', 'A panel needs at least one component test');
+  }
+  if (this.kind === 'test' && this.components.length) {
+    this.invalidate('components', 'Only a panel can have component tests');
+  }
+  const codes = this.analytes.map((a) => a.code);
+  if (new Set(codes).size !== codes.length) {
+    this.invalidate('analytes', 'Analyte codes must be unique within a test');
+  }
+  next();
+});
+
+export default mongoose.model('LabTestDefinition', labTestDefinitionSchema);
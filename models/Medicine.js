@@ -25,18 +25,11 @@ const MedicineSchema = new mongoose.Schema({
     type: String,
     // enum: ['Antibiotic', 'Analgesic', 'Antiviral', 'Antifungal', 'Cardiovascular', 'Diabetic', 'Other']
   },
+  // Catalogue price, charged when no price list has one for the payer
   sellingPrice: {
     type: Number,
     required: [true, 'Please add selling price'],
   },
-  prices: {
-    BRITAM: { type: Number, default: '0' },
-    NSSF: { type: Number, default: '0' },
-    NHIF: { type: Number, default: '0' },
-    ASSEMBLE: { type: Number, default: '' },
-    Pharmacy: { type: Number, default: '0' },
-    HospitalShop: { type: Number, default: '0' },
-  },
   reorderLevel: {
     type: Number,
     default: 10,
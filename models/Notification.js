@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { emitSafely } from '../utils/eventBus.js';
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -16,6 +17,8 @@ const notificationSchema = new mongoose.Schema({
       'appointment_reminder',
       'appointment_cancelled',
       'appointment_rescheduled',
+      'waitlist_offer',
+      'stock_expiry',
       'lab_results_ready',
       'prescription_ready',
       'emergency_alert',
@@ -65,6 +68,19 @@ notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ type: 1, createdAt: -1 });
 notificationSchema.index({ priority: 1, isRead: 1 });
 
+// Push new notifications to the recipient's open event streams. A hook rather
+// than createNotification so that Notification.create() is covered too.
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) {
+    emitSafely('notification.created', doc);
+  }
+});
+
 // Methods
 notificationSchema.methods.markAsRead = async function() {
   this.isRead = true;
@@ -78,9 +94,8 @@ notificationSchema.statics.getUnreadCount = async function(userId) {
 };
 
 notificationSchema.statics.createNotification = async function(data) {
-  const notification = await this.create(data);
-  // Here you could emit a socket event for real-time updates
-  return notification;
+  // Delivered to connected clients by the post-save hook above.
+  return await this.create(data);
 };
 
 export default mongoose.model('Notification', notificationSchema);
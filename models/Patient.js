@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
 import { nextSequence, highestExisting } from '../utils/sequence.js';
 
 const patientSchema = new mongoose.Schema({
@@ -114,6 +115,8 @@ const patientSchema = new mongoose.Schema({
       default: null,
       sparse: true
     },
+    // InsuranceProvider.coveragePlans[].planCode the member is enrolled in
+    planCode: String,
     effectiveDate: Date,
     expiryDate: Date,
     coverageType: {
@@ -172,12 +175,37 @@ const patientSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'discharged'],
+    enum: ['active', 'inactive', 'discharged', 'merged'],
     default: 'active'
   },
+  // Set when this record was merged into another as a duplicate
+  // (services/patientMergeService.js)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Self-service portal sign-in (services/portalService.js). The one-time
+  // code is stored hashed, like staff password reset tokens.
+  portal: {
+    otpHash: {
+      type: String,
+      select: false
+    },
+    otpExpire: Date,
+    otpSentAt: Date,
+    otpAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastLoginAt: Date,
+    disabled: {
+      type: Boolean,
+      default: false
+    }
   }
 }, {
   timestamps: true,
@@ -230,6 +258,14 @@ patientSchema.pre('save', async function(next) {
   next();
 });
 
+// Sign a portal token. The scope keeps it from being accepted as a staff
+// token by protect(), and staff tokens from being accepted by the portal.
+patientSchema.methods.getPortalToken = function() {
+  return jwt.sign({ id: this._id, scope: 'patient' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.PORTAL_JWT_EXPIRE || '1h'
+  });
+};
+
 // Static method to get patient statistics
 patientSchema.statics.getStatistics = async function() {
   const stats = await this.aggregate([
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * One patient record merged into another (services/patientMergeService.js).
+ *
+ * `moved` lists exactly which documents were re-pointed from the duplicate
+ * to the survivor, and `filled` which fields of the survivor were completed
+ * from the duplicate, so reversing the merge puts back only what the merge
+ * changed: records created for the survivor afterwards stay with it.
+ */
+const patientMergeSchema = new mongoose.Schema({
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  duplicate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['merged', 'reversed'],
+    default: 'merged'
+  },
+  moved: [{
+    _id: false,
+    model: {
+      type: String,
+      required: true
+    },
+    path: {
+      type: String,
+      required: true
+    },
+    ids: [mongoose.Schema.Types.ObjectId]
+  }],
+  // before/after values of each survivor field the merge filled in
+  filled: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // The duplicate's state before it was retired
+  duplicateBefore: {
+    status: String,
+    isActive: Boolean
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reversedAt: Date,
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversalReason: String
+}, {
+  timestamps: true
+});
+
+patientMergeSchema.index({ survivor: 1, createdAt: -1 });
+patientMergeSchema.index({ duplicate: 1, status: 1 });
+
+export default mongoose.model('PatientMerge', patientMergeSchema);
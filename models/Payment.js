@@ -8,15 +8,21 @@ const paymentSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Counter sales at the pharmacy are paid without an invoice, and walk-in
+  // customers need not be registered patients
   invoice: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Invoice',
-    required: true
+    required: function() { return !this.sale; }
   },
   patient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Patient',
-    required: true
+    required: function() { return !this.sale; }
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DirectDispensing'
   },
   amount: {
     type: Number,
@@ -25,7 +31,7 @@ const paymentSchema = new mongoose.Schema({
   },
   method: {
     type: String,
-    enum: ['cash', 'credit_card', 'debit_card', 'check', 'bank_transfer', 'insurance', 'online', 'other'],
+    enum: ['cash', 'credit_card', 'debit_card', 'mobile_money', 'check', 'bank_transfer', 'insurance', 'online', 'other'],
     required: true
   },
   status: {
@@ -39,8 +45,10 @@ const paymentSchema = new mongoose.Schema({
   },
   gateway: {
     type: String,
-    enum: ['stripe', 'paypal', 'square', 'razorpay', 'manual', 'other']
+    enum: ['stripe', 'mobile_money', 'fake', 'paypal', 'square', 'razorpay', 'manual', 'other']
   },
+  // Outcome reported by the gateway (status, message and the provider's own
+  // references such as an M-Pesa receipt number), updated on settlement.
   gatewayResponse: {
     type: Map,
     of: mongoose.Schema.Types.Mixed
@@ -81,10 +89,11 @@ const paymentSchema = new mongoose.Schema({
     },
     refundTransactionId: String
   },
+  // Not set for online payments a patient makes from the portal
   processedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.method !== 'online'; }
   },
   paymentDate: {
     type: Date,
@@ -103,7 +112,8 @@ const paymentSchema = new mongoose.Schema({
 // Indexes
 paymentSchema.index({ patient: 1, status: 1, createdAt: -1 });
 paymentSchema.index({ invoice: 1, status: 1 });
-// paymentSchema.index({ transactionId: 1 });
+// Settlement callbacks look a payment up by the gateway's transaction id.
+paymentSchema.index({ gateway: 1, transactionId: 1 }, { sparse: true });
 paymentSchema.index({ paymentDate: -1 });
 
 // Static method to generate payment number
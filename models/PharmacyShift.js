@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * A cashier's session at the pharmacy till. Counter sales are taken on the
+ * cashier's open shift; closing it records the cash counted in the drawer
+ * against what the sales say should be there
+ * (services/pharmacySaleService.js).
+ */
+const pharmacyShiftSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Cash in the drawer at the start, for giving change
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedCash: {
+    type: Number,
+    min: 0
+  },
+  expectedCash: Number,
+  // countedCash - expectedCash: negative when the drawer is short
+  variance: Number,
+  notes: String
+}, {
+  timestamps: true
+});
+
+// One open shift per cashier
+pharmacyShiftSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+pharmacyShiftSchema.index({ openedAt: -1 });
+
+export default mongoose.model('PharmacyShift', pharmacyShiftSchema);
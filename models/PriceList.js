@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/**
+ * A tariff: the prices one payer is charged. Insurance lists belong to an
+ * InsuranceProvider; cash lists belong to a sales channel (the general
+ * outpatient tariff, the pharmacy, the hospital shop). The prices themselves
+ * are PriceListItem documents, each effective for a date range.
+ *
+ * Adding an insurer is a new list, not a schema change.
+ */
+export const PAYER_TYPES = ['insurance', 'cash'];
+export const CASH_CHANNELS = ['general', 'pharmacy', 'hospital_shop'];
+
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Price list code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  payerType: {
+    type: String,
+    enum: PAYER_TYPES,
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceProvider',
+    required: [function() { return this.payerType === 'insurance'; }, 'An insurance price list needs a provider']
+  },
+  cashChannel: {
+    type: String,
+    enum: CASH_CHANNELS,
+    required: [function() { return this.payerType === 'cash'; }, 'A cash price list needs a channel']
+  },
+  currency: {
+    type: String,
+    default: 'TZS'
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceListSchema.index({ provider: 1, isActive: 1 });
+priceListSchema.index({ payerType: 1, cashChannel: 1, isActive: 1 });
+
+priceListSchema.pre('validate', function(next) {
+  // A list is for one kind of payer; drop whichever link does not apply.
+  if (this.payerType === 'cash') this.provider = undefined;
+  if (this.payerType === 'insurance') this.cashChannel = undefined;
+  next();
+});
+
+export default mongoose.model('PriceList', priceListSchema);
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * One price on a price list, effective from `effectiveFrom` until
+ * `effectiveTo` (exclusive; open-ended when unset). A price change is a new
+ * entry rather than an edit, so invoices can always be traced to the tariff
+ * in force when they were raised.
+ *
+ * Items are matched by catalogue id when the entry has one and by name
+ * otherwise: medicines, lab tests and services are looked up by name across
+ * the codebase, and imported tariffs only carry names.
+ */
+export const PRICE_ITEM_TYPES = ['medicine', 'service', 'lab_test', 'ward_day'];
+
+export const nameKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const priceListItemSchema = new mongoose.Schema({
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    required: true
+  },
+  itemType: {
+    type: String,
+    enum: PRICE_ITEM_TYPES,
+    required: true
+  },
+  // Medicine, Service or Ward _id, when known
+  item: mongoose.Schema.Types.ObjectId,
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  nameKey: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  effectiveTo: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceListItemSchema.index({ priceList: 1, itemType: 1, nameKey: 1, effectiveFrom: -1 });
+priceListItemSchema.index({ priceList: 1, itemType: 1, item: 1, effectiveFrom: -1 });
+
+priceListItemSchema.pre('validate', function(next) {
+  this.nameKey = nameKey(this.name);
+  if (this.effectiveTo && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'effectiveTo must be after effectiveFrom');
+  }
+  next();
+});
+
+priceListItemSchema.methods.isEffectiveAt = function(date = new Date()) {
+  return this.effectiveFrom <= date && (!this.effectiveTo || this.effectiveTo > date);
+};
+
+export default mongoose.model('PriceListItem', priceListItemSchema);
@@ -1,4 +1,60 @@
 import mongoose from 'mongoose';
+import { nextSequence, highestExisting } from '../utils/sequence.js';
+
+/**
+ * An order placed with a supplier.
+ *
+ * Lifecycle: draft → approved → sent → partially_received → received → closed.
+ * An approved order can go back to draft for changes. Goods-received notes
+ * move a sent order on; an order still short can be closed once the rest
+ * will not come. Anything not yet received can be cancelled.
+ */
+export const PO_STATUSES = ['draft', 'approved', 'sent', 'partially_received', 'received', 'closed', 'cancelled'];
+
+const TRANSITIONS = {
+  draft: ['approved', 'cancelled'],
+  approved: ['draft', 'sent', 'cancelled'],
+  sent: ['partially_received', 'received', 'cancelled'],
+  partially_received: ['partially_received', 'received', 'closed'],
+  // Deliveries beyond the order are still recorded, and flagged
+  received: ['received', 'closed'],
+  closed: [],
+  cancelled: [],
+};
+
+// Statuses used before the lifecycle, and where those orders stand in it
+const LEGACY_STATUSES = { pending: 'sent', partial: 'partially_received', completed: 'closed' };
+
+const PurchaseOrderItemSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // Agreed price; drafts from reorder suggestions start at the last
+  // buying price
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  // Running total from goods-received notes
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
 
 const PurchaseOrderSchema = new mongoose.Schema({
   poNumber: {
@@ -7,6 +63,12 @@ const PurchaseOrderSchema = new mongoose.Schema({
     unique: true,
     trim: true,
   },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    index: true,
+  },
+  // The supplier's details as the order was placed
   supplier: {
     name: {
       type: String,
@@ -16,27 +78,130 @@ const PurchaseOrderSchema = new mongoose.Schema({
     email: String,
     phone: String,
   },
+  // What was ordered. Orders raised before lines existed have none.
+  items: [PurchaseOrderItemSchema],
   totalAmount: {
     type: Number,
     default: 0,
   },
   status: {
     type: String,
-    enum: ['pending', 'partial', 'completed', 'cancelled'],
-    default: 'pending',
+    enum: PO_STATUSES,
+    default: 'draft',
+  },
+  // 'reorder' when drafted from the reorder suggestions
+  source: {
+    type: String,
+    enum: ['manual', 'reorder'],
+    default: 'manual',
+  },
+  paymentTermsDays: {
+    type: Number,
+    min: 0,
+  },
+  expectedDate: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
   },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedAt: Date,
+  sentAt: Date,
   receivedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: PO_STATUSES,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: String,
+  }],
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  // When the order was closed or cancelled
   completedAt: {
     type: Date,
   },
   notes: String,
 });
 
-export default mongoose.model('PurchaseOrder', PurchaseOrderSchema);
\ No newline at end of file
+PurchaseOrderSchema.index({ status: 1, createdAt: -1 });
+
+PurchaseOrderSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+/**
+ * Move the order to a new status, recording who did it. Throws on a
+ * transition the lifecycle does not allow.
+ */
+PurchaseOrderSchema.methods.transitionTo = function(status, userId, notes, at = new Date()) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot move a ${this.status.replace('_', ' ')} purchase order to ${status.replace('_', ' ')}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  this.status = status;
+  if (status === 'approved') {
+    this.approvedBy = userId;
+    this.approvedAt = at;
+  } else if (status === 'draft') {
+    this.approvedBy = undefined;
+    this.approvedAt = undefined;
+  } else if (status === 'sent') {
+    this.sentAt = at;
+  } else if (status === 'closed' || status === 'cancelled') {
+    this.completedAt = at;
+  }
+  this.statusHistory.push({ status, changedBy: userId, changedAt: at, notes });
+};
+
+PurchaseOrderSchema.methods.calculateTotals = function() {
+  for (const line of this.items) {
+    line.total = line.quantity * (line.unitCost || 0);
+  }
+  this.totalAmount = this.items.reduce((sum, line) => sum + line.total, 0);
+};
+
+// Numbers for generated orders are PO-YYYYMM-NNNN
+PurchaseOrderSchema.statics.generatePONumber = async function(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const prefix = `PO-${year}${month}-`;
+
+  const sequence = await nextSequence(`purchase-order:${year}${month}`, {
+    seedFrom: () => highestExisting(this, 'poNumber', prefix),
+  });
+
+  return `${prefix}${String(sequence).padStart(4, '0')}`;
+};
+
+/**
+ * Move orders saved with the old pending/partial/completed statuses into
+ * the lifecycle. Returns how many were updated.
+ */
+PurchaseOrderSchema.statics.migrateLegacyStatuses = async function() {
+  let updated = 0;
+  for (const [from, to] of Object.entries(LEGACY_STATUSES)) {
+    const result = await this.updateMany({ status: from }, { $set: { status: to } });
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+export default mongoose.model('PurchaseOrder', PurchaseOrderSchema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const REQUISITION_DEPARTMENTS = ['Pharmacy', 'Surgery', 'Pediatrics', 'Maternity', 'Emergency', 'Outpatient', 'Laboratory', 'Radiology', 'Other'];
+
 const RequisitionItemSchema = new mongoose.Schema({
   medicine: {
     type: mongoose.Schema.Types.ObjectId,
@@ -38,7 +40,7 @@ const RequisitionSchema = new mongoose.Schema({
     department: {
       type: String,
       required: true,
-      enum: ['Pharmacy', 'Surgery', 'Pediatrics', 'Maternity', 'Emergency', 'Outpatient', 'Laboratory', 'Radiology', 'Other']
+      enum: REQUISITION_DEPARTMENTS
     },
     location: String
   },
@@ -63,6 +65,11 @@ const RequisitionSchema = new mongoose.Schema({
     ref: 'User'
   },
   issuedAt: Date,
+  // The move from the main store made when the requisition was completed
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer'
+  },
   notes: String,
   internalNotes: String
 }, {
@@ -88,15 +95,13 @@ RequisitionSchema.statics.generateRequisitionNumber = async function() {
   return `REQ-${year}${month}-${String(sequence).padStart(5, '0')}`;
 };
 
-// Update overall status based on items
+// Update overall status based on items. Completed is left to
+// completeRequisition, which moves the issued stock.
 RequisitionSchema.methods.updateStatus = function() {
-  const allIssued = this.items.every(item => item.status === 'Issued');
   const allRejected = this.items.every(item => item.status === 'Rejected');
-  const someIssued = this.items.some(item => item.status === 'Issued');
+  const someIssued = this.items.some(item => ['Issued', 'Partial'].includes(item.status));
   
-  if (allIssued) {
-    this.status = 'Completed';
-  } else if (allRejected) {
+  if (allRejected) {
     this.status = 'Cancelled';
   } else if (someIssued) {
     this.status = 'In Progress';
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import { DEFAULT_ROLES, isKnownPermission } from '../config/permissions.js';
+
+/**
+ * A named bundle of permissions, assigned to users through User.role.
+ *
+ * Built-in roles (isSystem) are seeded from config/permissions.js; their name
+ * cannot change and they cannot be deleted, because code still refers to some
+ * of them by name for data scoping (a doctor sees their own queue). Their
+ * permissions can be edited like any other role; defaults an admin takes
+ * away are remembered in removedDefaults so startup does not restore them.
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,49}$/, 'Role name must be lowercase letters, digits and underscores, starting with a letter']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true
+  },
+  description: String,
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (list) => list.every(isKnownPermission),
+      message: (props) => `Unknown permission(s): ${props.value.filter((p) => !isKnownPermission(p)).join(', ')}`
+    }
+  },
+  // Default permissions of a built-in role that an admin has taken away
+  removedDefaults: {
+    type: [String],
+    default: []
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Role permissions are read on every authenticated request, so they are
+// cached in-process. Edits through this process clear the cache immediately;
+// other instances pick them up when their entry expires.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+roleSchema.statics.clearCache = function() {
+  cache.clear();
+};
+
+roleSchema.post('save', () => cache.clear());
+roleSchema.post('findOneAndUpdate', () => cache.clear());
+roleSchema.post('deleteOne', { document: true, query: false }, () => cache.clear());
+
+/**
+ * Permissions carried by a role name. An inactive or unknown role carries
+ * none. Before the roles collection has been seeded, built-in roles fall back
+ * to their defaults so a fresh deployment is usable immediately.
+ *
+ * @param {string} name
+ * @returns {Promise<string[]>}
+ */
+roleSchema.statics.permissionsFor = async function(name) {
+  const hit = cache.get(name);
+  if (hit && hit.expires > Date.now()) {
+    return hit.permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions isActive').lean();
+
+  let permissions;
+  if (role) {
+    permissions = role.isActive ? role.permissions : [];
+  } else {
+    permissions = DEFAULT_ROLES.find((r) => r.name === name)?.permissions || [];
+  }
+
+  cache.set(name, { permissions, expires: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+const defaultsFor = (name) => DEFAULT_ROLES.find((r) => r.name === name)?.permissions || [];
+
+/**
+ * Replace the role's permissions. On a built-in role, defaults taken away
+ * are recorded in removedDefaults and defaults given back are cleared from
+ * it.
+ *
+ * @param {string[]} permissions
+ */
+roleSchema.methods.setPermissions = function(permissions) {
+  if (this.isSystem && Array.isArray(permissions)) {
+    const removed = defaultsFor(this.name).filter((p) => this.permissions.includes(p) && !permissions.includes(p));
+    this.removedDefaults = [...new Set([...this.removedDefaults, ...removed])].filter((p) => !permissions.includes(p));
+  }
+  this.permissions = permissions;
+};
+
+/**
+ * Insert any built-in role that does not exist yet. Existing roles are left
+ * alone, so permissions an admin has edited survive a restart.
+ */
+roleSchema.statics.seedDefaults = async function() {
+  let created = 0;
+  for (const role of DEFAULT_ROLES) {
+    const result = await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true, isActive: true } },
+      { upsert: true }
+    );
+    created += result.upsertedCount || 0;
+  }
+  cache.clear();
+  return created;
+};
+
+/**
+ * Give built-in roles the defaults added to config/permissions.js since
+ * they were seeded, except those an admin has taken away. Returns the
+ * number of roles updated.
+ */
+roleSchema.statics.addMissingDefaults = async function() {
+  const roles = await this.find({ isSystem: true }).select('name permissions removedDefaults');
+  let updated = 0;
+  for (const role of roles) {
+    const missing = defaultsFor(role.name).filter((p) => !role.permissions.includes(p) && !role.removedDefaults.includes(p));
+    if (!missing.length) continue;
+    await this.updateOne({ _id: role._id }, { $addToSet: { permissions: { $each: missing } } });
+    updated += 1;
+  }
+  cache.clear();
+  return updated;
+};
+
+export default mongoose.model('Role', roleSchema);
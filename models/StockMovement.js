@@ -12,9 +12,11 @@ const StockMovementSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['IN', 'OUT', 'ADJUSTMENT', 'DAMAGED', 'EXPIRED'],
+    enum: ['IN', 'OUT', 'ADJUSTMENT', 'DAMAGED', 'EXPIRED', 'TRANSFER_OUT', 'TRANSFER_IN'],
     required: true,
   },
+  // Always positive except on ADJUSTMENT, where it is signed: negative
+  // for a shortage taken off the batch
   quantity: {
     type: Number,
     required: true,
@@ -26,10 +28,27 @@ const StockMovementSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PurchaseOrder',
   },
+  goodsReceivedNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GoodsReceivedNote',
+  },
   patient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Patient',
   },
+  // Store code the batch is held at (MedicineBatch.location)
+  location: {
+    type: String,
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer',
+  },
+  // The approved stock take an ADJUSTMENT was posted from
+  stockTake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTake',
+  },
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+export const STOCK_TAKE_STATUSES = ['counting', 'submitted', 'approved', 'cancelled'];
+
+// One batch on the counting sheet: what the books said when the session
+// started, and what was found on the shelf
+const stockTakeLineSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  medicineName: String,
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineBatch',
+    required: true
+  },
+  batchNumber: String,
+  location: String,
+  expiryDate: Date,
+  buyingPrice: {
+    type: Number,
+    default: 0
+  },
+  expectedQuantity: {
+    type: Number,
+    required: true
+  },
+  countedQuantity: {
+    type: Number,
+    min: 0
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: Date,
+  // countedQuantity - expectedQuantity, and that at buying price
+  variance: Number,
+  varianceValue: Number,
+  notes: String
+});
+
+/**
+ * A stock-take session. Starting one freezes the books for every batch on
+ * sale (optionally at one location) onto a counting sheet; counters enter
+ * what they find per batch; a supervisor approves the variances, which posts
+ * ADJUSTMENT stock movements (services/stockTakeService.js).
+ */
+const stockTakeSchema = new mongoose.Schema({
+  takeNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Blank for a whole-stock count
+  location: String,
+  status: {
+    type: String,
+    enum: STOCK_TAKE_STATUSES,
+    default: 'counting'
+  },
+  lines: [stockTakeLineSchema],
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  // Why a supervisor sent the counts back or cancelled the session
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['recount', 'cancelled']
+    },
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: String
+}, {
+  timestamps: true
+});
+
+stockTakeSchema.index({ status: 1, startedAt: -1 });
+
+export default mongoose.model('StockTake', stockTakeSchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { nextSequence, highestExisting } from '../utils/sequence.js';
+
+const transferLineSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  medicineName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Which batches the quantity came out of and went into
+  batches: [{
+    _id: false,
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number,
+    fromBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedicineBatch'
+    },
+    toBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedicineBatch'
+    }
+  }]
+}, { _id: false });
+
+/**
+ * Stock moved from one store to another (services/storeService.js). Each
+ * batch taken leaves a TRANSFER_OUT movement at the source store and a
+ * TRANSFER_IN at the destination.
+ */
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Store codes (MedicineBatch.location)
+  fromStore: {
+    type: String,
+    required: true
+  },
+  toStore: {
+    type: String,
+    required: true
+  },
+  lines: [transferLineSchema],
+  // Set when the transfer issued a requisition
+  requisition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requisition'
+  },
+  transferredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transferredAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ fromStore: 1, transferredAt: -1 });
+stockTransferSchema.index({ toStore: 1, transferredAt: -1 });
+
+// Transfer numbers are TRF-YYYYMMDD-NNNN, numbered per day
+stockTransferSchema.statics.generateTransferNumber = async function(session, date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const prefix = `TRF-${year}${month}${day}-`;
+
+  const sequence = await nextSequence(`stock-transfer:${year}${month}${day}`, {
+    session,
+    seedFrom: () => highestExisting(this, 'transferNumber', prefix)
+  });
+
+  return `${prefix}${String(sequence).padStart(4, '0')}`;
+};
+
+export default mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { REQUISITION_DEPARTMENTS } from './Requisition.js';
+import { MedicineBatch } from './MedicineBatch.js';
+
+export const STORE_TYPES = ['main', 'pharmacy', 'ward', 'theatre', 'department'];
+
+// The main store, where received stock lands (MedicineBatch.location's default)
+export const MAIN_STORE = 'MAIN STORE';
+
+/**
+ * A place stock is held. Batches name their store by code in
+ * MedicineBatch.location, so a code cannot change once in use.
+ *
+ * The active 'main' store supplies requisitions and the active 'pharmacy'
+ * store is the dispensing point: dispensing and counter sales only take
+ * from its batches (services/storeService.js).
+ */
+const storeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Store code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Store name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: STORE_TYPES,
+    required: true
+  },
+  // The department whose requisitions are delivered here
+  department: {
+    type: String,
+    enum: REQUISITION_DEPARTMENTS
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active main store and one active dispensing point; one store per department
+storeSchema.index({ type: 1 }, { unique: true, partialFilterExpression: { isActive: true, type: { $in: ['main', 'pharmacy'] } } });
+storeSchema.index({ department: 1 }, { unique: true, partialFilterExpression: { isActive: true, department: { $type: 'string' } } });
+
+/**
+ * Insert the main store if it does not exist yet, so existing batches
+ * (all at MAIN STORE) belong to a store.
+ */
+storeSchema.statics.seedDefaults = async function() {
+  const result = await this.updateOne(
+    { code: MAIN_STORE },
+    { $setOnInsert: { code: MAIN_STORE, name: 'Main Store', type: 'main', isActive: true } },
+    { upsert: true }
+  );
+  return result.upsertedCount || 0;
+};
+
+/**
+ * Point batches whose location is not a store code at a store. Receiving
+ * once took the location as free text, so a location that is a store code
+ * in different case or spacing moves to that store and anything else (a
+ * shelf, a room, a blank) to the main store. Returns the batches moved.
+ */
+storeSchema.statics.migrateBatchLocations = async function() {
+  const codes = (await this.find().select('code')).map((store) => store.code);
+  const locations = await MedicineBatch.distinct('location', { location: { $nin: codes } });
+  let moved = 0;
+  for (const location of new Set([...locations, null])) {
+    const normalised = String(location || '').trim().toUpperCase();
+    const result = await MedicineBatch.updateMany(
+      location === null ? { location: { $in: [null, ''] } } : { location },
+      { $set: { location: codes.includes(normalised) ? normalised : MAIN_STORE } }
+    );
+    moved += result.modifiedCount;
+  }
+  return moved;
+};
+
+export default mongoose.model('Store', storeSchema);
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const SupplierContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide the contact\'s name'],
+    trim: true,
+  },
+  role: String,
+  phone: String,
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  // Purchase orders are addressed to the primary contact
+  isPrimary: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+const SupplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide supplier name'],
+    unique: true,
+    trim: true,
+  },
+  contacts: [SupplierContactSchema],
+  phone: String,
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  address: String,
+  taxNumber: String,
+  // Days after the invoice date that payment falls due
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: 0,
+  },
+  // Lead time agreed with the supplier, used by reorder suggestions until
+  // deliveries have been observed
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+SupplierSchema.virtual('primaryContact').get(function() {
+  return this.contacts.find((contact) => contact.isPrimary) || this.contacts[0] || null;
+});
+
+// The details a purchase order is placed with
+SupplierSchema.methods.orderDetails = function() {
+  const contact = this.primaryContact;
+  return {
+    name: this.name,
+    contact: contact?.name,
+    email: contact?.email || this.email,
+    phone: contact?.phone || this.phone,
+  };
+};
+
+SupplierSchema.pre('validate', function(next) {
+  if (this.contacts.filter((contact) => contact.isPrimary).length > 1) {
+    this.invalidate('contacts', 'Only one contact can be the primary contact');
+  }
+  next();
+});
+
+SupplierSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('Supplier', SupplierSchema);
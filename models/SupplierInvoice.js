@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+
+/**
+ * A supplier's invoice for a purchase order, matched three ways: against
+ * what was ordered, what goods-received notes say arrived, and what earlier
+ * invoices have already billed.
+ *
+ * Lifecycle: matched | exception → approved | rejected. An approved invoice
+ * is an accounts-payable record, due `paymentTermsDays` after its date.
+ * Exceptions need a reason to be approved.
+ */
+export const SUPPLIER_INVOICE_STATUSES = ['matched', 'exception', 'approved', 'rejected'];
+
+export const MATCH_ISSUES = ['not_on_order', 'not_received', 'price_variance', 'total_mismatch'];
+
+const SupplierInvoiceLineSchema = new mongoose.Schema({
+  // _id of the PurchaseOrder.items entry billed; empty when not on the order
+  orderLine: mongoose.Schema.Types.ObjectId,
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true,
+  },
+  medicineName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  // The order and receipts at the time of matching
+  orderedQuantity: Number,
+  orderedUnitCost: Number,
+  receivedQuantity: Number,
+  previouslyInvoiced: Number,
+  issues: [{
+    type: String,
+    enum: MATCH_ISSUES,
+  }],
+});
+
+const SupplierInvoiceSchema = new mongoose.Schema({
+  // The supplier's own invoice number
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Please provide the supplier\'s invoice number'],
+    trim: true,
+  },
+  invoiceDate: {
+    type: Date,
+    required: true,
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true,
+    index: true,
+  },
+  poNumber: String,
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+  },
+  supplierName: String,
+  lines: {
+    type: [SupplierInvoiceLineSchema],
+    validate: [(lines) => lines.length > 0, 'An invoice needs at least one line'],
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  totalAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Total printed on the invoice, checked against the lines and tax
+  statedTotal: Number,
+  issues: [{
+    line: Number,
+    code: {
+      type: String,
+      enum: MATCH_ISSUES,
+    },
+    message: String,
+  }],
+  status: {
+    type: String,
+    enum: SUPPLIER_INVOICE_STATUSES,
+    required: true,
+  },
+  dueDate: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedAt: Date,
+  // Why an exception was approved anyway
+  approvalNotes: String,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  rejectedAt: Date,
+  rejectionReason: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// A supplier's invoice can be entered once, unless it was rejected
+SupplierInvoiceSchema.index(
+  { supplierName: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['matched', 'exception', 'approved'] } } }
+);
+SupplierInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+export default mongoose.model('SupplierInvoice', SupplierInvoiceSchema);
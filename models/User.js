@@ -2,6 +2,8 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import Role from './Role.js';
+import { DEFAULT_ROLE_PERMISSIONS, WILDCARD, isKnownPermission } from '../config/permissions.js';
 
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCK_TIME = 15 * 60 * 1000; // 15 minutes
@@ -33,12 +35,33 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    // 'user' is the least-privileged default: it maps to no permissions in
-    // hasPermission() and is not accepted by any authorize() call, so a
+    // The name of a Role document. Not an enum: admins create roles at
+    // runtime, so the routes that assign a role check that it exists instead.
+    // 'user' is the least-privileged default: it carries no permissions, so a
     // self-registered account is inert until an admin assigns a real role.
-    enum: ['user', 'admin', 'doctor', 'nurse', 'receptionist', 'pharmacist', 'radiologist', 'surgeon', 'lab_technician', 'mortuary_attendant'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,49}$/, 'Invalid role name'],
     default: 'user'
   },
+  // Per-user exceptions to the role's permissions. A revoke beats both the
+  // role and a grant, so one person can be restricted without a new role.
+  permissionGrants: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (list) => list.every((p) => p !== WILDCARD && isKnownPermission(p)),
+      message: 'Unknown permission in grants'
+    }
+  },
+  permissionRevokes: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (list) => list.every((p) => p !== WILDCARD && isKnownPermission(p)),
+      message: 'Unknown permission in revokes'
+    }
+  },
   employeeId: {
     type: String,
     unique: true,
@@ -60,6 +83,9 @@ const userSchema = new mongoose.Schema({
   },
   profileImage: String,
 
+  // Free-text hours from before structured schedules. Superseded by
+  // ClinicianSchedule; read only to give a clinician without one a starting
+  // schedule (services/scheduleService.js).
   schedule: {
     monday: { type: String, default: 'Off' },
     tuesday: { type: String, default: 'Off' },
@@ -179,21 +205,27 @@ userSchema.methods.getResetPasswordToken = function() {
 };
 
 // Permission methods
+//
+// hasPermission() is synchronous because it is called from middleware and
+// route bodies, but role permissions live in the database. protect() calls
+// loadPermissions() once per request; until then the built-in defaults for
+// the role name are used, which keeps scripts and tests working unchanged.
+userSchema.methods.loadPermissions = async function() {
+  this.$locals.rolePermissions = await Role.permissionsFor(this.role);
+  return this.getEffectivePermissions();
+};
+
+userSchema.methods.getEffectivePermissions = function() {
+  const fromRole = this.$locals.rolePermissions ?? DEFAULT_ROLE_PERMISSIONS[this.role] ?? [];
+  const revoked = new Set(this.permissionRevokes || []);
+  const granted = new Set([...fromRole, ...(this.permissionGrants || [])]);
+  return [...granted].filter((p) => !revoked.has(p));
+};
+
 userSchema.methods.hasPermission = function(permission) {
-  // Define role-based permissions
-  const rolePermissions = {
-    admin: ['all'],
-    doctor: ['view_patients', 'view_appointments', 'prescribe_medications', 'order_lab_tests'],
-    nurse: ['view_patients', 'edit_vitals', 'view_visits'],
-    receptionist: ['create_patients', 'edit_patients', 'view_patients', 'create_appointments', 'create_visits', 'view_visits', 'view_appointments', 'edit_appointments'],
-    pharmacist: ['view_prescriptions', 'dispense_medications'],
-    lab_technician: ['view_lab_tests', 'update_lab_results'],
-    radiologist: ['view_radiology_requests', 'update_radiology_results'],
-    mortuary_attendant: ['view_corpses', 'update_corpses']
-  };
-  
-  const permissions = rolePermissions[this.role] || [];
-  return permissions.includes('all') || permissions.includes(permission);
+  if ((this.permissionRevokes || []).includes(permission)) return false;
+  const permissions = this.getEffectivePermissions();
+  return permissions.includes(WILDCARD) || permissions.includes(permission);
 };
 
 userSchema.methods.hasAnyPermission = function(permissions) {
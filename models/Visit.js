@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import { nextSequence, highestExisting } from '../utils/sequence.js';
+import { emitSafely } from '../utils/eventBus.js';
+import { analyteResultSchema } from './LabTestDefinition.js';
 
 // Sub-schema for Vital Signs
 const vitalSignsSchema = new mongoose.Schema({
@@ -23,13 +25,43 @@ const diagnosisSchema = new mongoose.Schema({
   isFinal: { type: Boolean, default: false }
 }, { _id: false });
 
+export const SPECIMEN_STATUSES = ['collected', 'received', 'in_process', 'resulted', 'verified', 'rejected'];
+
+// A specimen taken for a lab order, labelled with its accession number and
+// followed through the lab (services/labSpecimenService.js). A rejected
+// specimen stays on the order beside the one collected to replace it.
+const specimenSchema = new mongoose.Schema({
+  accessionNumber: { type: String, required: true },
+  specimenType: String,
+  status: { type: String, enum: SPECIMEN_STATUSES, default: 'collected' },
+  collectedAt: { type: Date, required: true },
+  collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  receivedAt: Date,
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  processingAt: Date,
+  processingBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resultedAt: Date,
+  resultedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  verifiedAt: Date,
+  verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rejectedAt: Date,
+  rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rejectionReason: String,
+  notes: String
+});
+
 // Sub-schema for Lab Orders (Clinical tracking only)
 const labOrderSchema = new mongoose.Schema({
   testName: { type: String, required: true },
+  test: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTestDefinition' }, // Catalog entry, when ordered from it
+  testCode: String,
+  specimenType: String,
   patient: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
   orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  status: { type: String, enum: ['Pending Payment', 'Pending', 'Completed', 'Cancelled'], default: 'Pending' },
+  status: { type: String, enum: ['Pending Payment', 'Pending', 'In Progress', 'Completed', 'Cancelled'], default: 'Pending' },
   results: String,
+  analyteResults: [analyteResultSchema],
+  specimens: [specimenSchema],
   notes: String,
   completedAt: Date,
   completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -49,6 +81,16 @@ const radiologySchema = new mongoose.Schema({
   completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 }, { timestamps: true });
 
+// Allergy and interaction warnings raised when a drug was prescribed
+// (services/clinicalDecisionService.js)
+export const prescribingAlertSchema = new mongoose.Schema({
+  type: { type: String, enum: ['allergy', 'cross_sensitivity', 'interaction'], required: true },
+  severity: { type: String, enum: ['minor', 'moderate', 'severe'], required: true },
+  against: String,
+  message: { type: String, required: true },
+  management: String
+}, { _id: false });
+
 // Sub-schema for Prescriptions (Clinical tracking only)
 const prescriptionSchema = new mongoose.Schema({
   medication: { type: String, required: true },
@@ -76,7 +118,14 @@ const prescriptionSchema = new mongoose.Schema({
     }
   ],
   createdAt: { type: Date, default: Date.now },
-  isActive: { type: Boolean, default: true }
+  isActive: { type: Boolean, default: true },
+  alerts: [prescribingAlertSchema],
+  // Why the prescriber went ahead despite a severe alert
+  alertOverride: {
+    reason: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date
+  }
 });
 
 const visitSchema = new mongoose.Schema({
@@ -101,6 +150,8 @@ const visitSchema = new mongoose.Schema({
   room: String,
   notes: String,
   duration: Number,
+  // The booking this visit was opened from at check-in, if any
+  appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
   
   // Clinical data
   vitalSigns: [vitalSignsSchema],
@@ -117,11 +168,32 @@ const visitSchema = new mongoose.Schema({
   consultationFeePaid: { type: Boolean, default: false },
   consultationFeeAmount: { type: Number, default: 0 },
 
+  // Outcome of the insurance eligibility check made when the visit was
+  // opened (services/eligibilityService.js). Billing for the visit follows
+  // it: a member who was not verified is billed as a cash patient.
+  insuranceVerification: {
+    status: {
+      type: String,
+      enum: ['verified', 'expired', 'not_yet_effective', 'no_membership', 'provider_inactive', 'rejected', 'unverified']
+    },
+    eligible: Boolean,
+    reason: String,
+    provider: { type: mongoose.Schema.Types.ObjectId, ref: 'InsuranceProvider' },
+    membershipNumber: String,
+    adapter: String,
+    reference: String,
+    checkedAt: Date,
+    checkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+
   isActive: { type: Boolean, default: true }
 }, {
   timestamps: true
 });
 
+// Scanning a specimen label looks its order up by accession number
+visitSchema.index({ 'labOrders.specimens.accessionNumber': 1 }, { sparse: true });
+
 // Pre-save middleware to generate visit ID
 visitSchema.pre('save', async function(next) {
   if (this.isNew && !this.visitId) {
@@ -139,6 +211,44 @@ visitSchema.pre('save', async function(next) {
   next();
 });
 
+// Realtime events. The status as loaded is remembered so a change can be
+// reported with where it came from; new prescriptions are captured before the
+// save because subdocuments stop reporting isNew once it completes.
+visitSchema.post('init', function() {
+  this.$locals.loadedStatus = this.status;
+});
+
+visitSchema.pre('save', function(next) {
+  this.$locals.statusChanged = this.isNew || this.isModified('status');
+  this.$locals.newPrescriptions = (this.prescriptions || []).filter((p) => p.isNew);
+  next();
+});
+
+visitSchema.post('save', function(doc) {
+  if (doc.$locals.statusChanged) {
+    emitSafely('visit.statusChanged', {
+      visit: doc,
+      previousStatus: doc.$locals.loadedStatus ?? null,
+    });
+  }
+  for (const prescription of doc.$locals.newPrescriptions || []) {
+    emitSafely('prescription.created', { visit: doc, prescription });
+  }
+  doc.$locals.loadedStatus = doc.status;
+  doc.$locals.statusChanged = false;
+  doc.$locals.newPrescriptions = [];
+});
+
+// Status is also moved with findByIdAndUpdate (e.g. a doctor starting a
+// visit), which bypasses the document hooks above.
+visitSchema.post('findOneAndUpdate', function(doc) {
+  const update = this.getUpdate() || {};
+  const status = update.status ?? update.$set?.status;
+  if (doc && status !== undefined) {
+    emitSafely('visit.statusChanged', { visit: doc, previousStatus: null });
+  }
+});
+
 // An async getter returns a Promise, so this could never serialise through
 // toJSON and silently produced a pending Promise wherever it was read. It is
 // a method now, like getPaymentSummary below.
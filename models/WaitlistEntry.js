@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+/**
+ * A patient waiting for an earlier slot with a particular doctor. Entries are
+ * served first come, first served: when an appointment with the doctor is
+ * cancelled, the oldest waiting entry the freed slot suits is offered it and
+ * holds the offer until it is accepted, declined or expires.
+ */
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const offerSchema = new mongoose.Schema({
+  date: String,
+  time: String,
+  duration: Number,
+  // The cancelled appointment that freed the slot
+  freedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  offeredAt: Date,
+  expiresAt: Date
+}, { _id: false });
+
+const waitlistEntrySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Dates the patient can attend; unset means any
+  earliestDate: {
+    type: String,
+    match: [DATE, 'earliestDate must be YYYY-MM-DD']
+  },
+  latestDate: {
+    type: String,
+    match: [DATE, 'latestDate must be YYYY-MM-DD'],
+    validate: [function(date) { return !this.earliestDate || date >= this.earliestDate; }, 'latestDate cannot be before earliestDate']
+  },
+  duration: {
+    type: Number,
+    default: 30,
+    min: [5, 'Duration must be at least 5 minutes']
+  },
+  type: {
+    type: String,
+    enum: ['consultation', 'follow-up', 'routine'],
+    default: 'consultation'
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason for the appointment is required']
+  },
+  notes: String,
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'removed'],
+    default: 'waiting'
+  },
+  offer: offerSchema,
+  // Slots ('YYYY-MM-DDTHH:MM') this patient turned down or let expire, so
+  // they are not offered the same one again
+  declinedSlots: [String],
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ doctor: 1, status: 1, createdAt: 1 });
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
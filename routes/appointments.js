@@ -1,36 +1,60 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Appointment from '../models/Appointment.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission, requireAnyPermission } from '../middleware/auth.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import scheduleService from '../services/scheduleService.js';
+import appointmentSeriesService from '../services/appointmentSeriesService.js';
+import waitlistService from '../services/waitlistService.js';
+import attendanceService from '../services/attendanceService.js';
+import visitService from '../services/visitService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
 router.use(protect);
 
-const managementRoles = ['admin', 'receptionist', 'doctor'];
-const viewAllRoles = ['admin', 'receptionist'];
+// Without appointments.view_all a user only sees and edits appointments
+// booked with them.
+const ownOnly = (user) => !user.hasPermission('appointments.view_all');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// The booking form sends durations as '30 minutes'; API clients send numbers.
+const parseDuration = (duration) => {
+  if (duration === undefined || duration === null || duration === '') return 30;
+  return parseInt(String(duration).split(' ')[0]);
+};
+
+// A clash or a booking outside working hours is a 409 carrying the
+// appointments in the way (for a series, the dates that cannot be booked);
+// anything else a 400 as before.
+const sendBookingError = (res, error) =>
+  res.status(error.statusCode || 400).json({
+    status: 'error',
+    message: error.message,
+    ...(error.details && { conflicts: error.details })
+  });
+
+// The waitlist must never stop a cancellation going through
+const offerToWaitlist = async (appointment) => {
+  try {
+    return await waitlistService.offerFreedSlot(appointment);
+  } catch (error) {
+    logger.error('Waitlist offer error:', error);
+    return null;
+  }
+};
 
 // @desc    Get all appointments (or only doctor's own)
 // @route   GET /api/appointments
-// @access  Private (Admins/Receptionists see all, Doctors see their own)
-router.get('/', async (req, res) => {
+// @access  Private (appointments.view_all sees all, appointments.view_own sees their own)
+router.get('/', requireAnyPermission('appointments.view_all', 'appointments.view_own'), async (req, res) => {
   try {
-    let query = {};
-    
-    // Check user role and set appropriate query
-    if (req.user.role === 'doctor') {
-      // Doctors can only see their own appointments
+    const query = {};
+    if (ownOnly(req.user)) {
       query.doctor = req.user.id;
-    } else if (['admin', 'receptionist'].includes(req.user.role)) {
-      // Admins and receptionists can see all appointments
-      query = {};
-    } else {
-      // All other roles are not authorized
-      return res.status(403).json({
-        status: 'error',
-        message: 'You are not authorized to view appointments'
-      });
     }
 
     const appointmentsFromDb = await Appointment.find(query)
@@ -60,23 +84,89 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @desc    Get single appointment
-// @route   GET /api/appointments/:id
-// @access  Private (Admin/Receptionist/Doctor)
-router.get('/:id', async (req, res) => {
+// @desc    Get a recurring appointment series and its appointments
+// @route   GET /api/appointments/series/:seriesId
+// @access  Private (appointments.view_all, or appointments.view_own for their own)
+router.get('/series/:seriesId', requireAnyPermission('appointments.view_all', 'appointments.view_own'), async (req, res) => {
   try {
-    let query = { _id: req.params.id };
-    
-    // If user is a doctor, they can only see their own appointments
-    if (req.user.role === 'doctor') {
-      query.doctor = req.user.id;
-    } else if (!['admin', 'receptionist'].includes(req.user.role)) {
+    const series = await AppointmentSeries.findById(req.params.seriesId)
+      .populate('patient', 'firstName lastName')
+      .populate('doctor', 'firstName lastName');
+
+    if (!series || (ownOnly(req.user) && String(series.doctor?._id || series.doctor) !== req.user.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment series not found'
+      });
+    }
+
+    const appointments = await Appointment.find({ series: series._id }).sort({ occurrence: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { series, appointments }
+    });
+  } catch (error) {
+    logger.error('Get appointment series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server Error'
+    });
+  }
+});
+
+// @desc    Cancel the remaining appointments of a series
+// @route   PATCH /api/appointments/series/:seriesId/cancel
+// @access  Private (appointments.update)
+router.patch('/series/:seriesId/cancel', requirePermission('appointments.update'), async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.seriesId);
+    if (series && ownOnly(req.user) && series.doctor.toString() !== req.user.id) {
       return res.status(403).json({
         status: 'error',
-        message: 'You are not authorized to view appointments'
+        message: 'You can only update your own appointments'
       });
     }
 
+    const { cancelled } = await appointmentSeriesService.cancelSeries(req.params.seriesId, {
+      from: req.body.from,
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    const waitlistOffers = [];
+    for (const appointment of cancelled) {
+      const offer = await offerToWaitlist(appointment);
+      if (offer) waitlistOffers.push(offer);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Cancelled ${cancelled.length} appointment(s) in the series`,
+      data: { cancelled, waitlistOffers }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendBookingError(res, error);
+    }
+    logger.error('Cancel appointment series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single appointment
+// @route   GET /api/appointments/:id
+// @access  Private (appointments.view_all, or appointments.view_own for their own)
+router.get('/:id', requireAnyPermission('appointments.view_all', 'appointments.view_own'), async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (ownOnly(req.user)) {
+      query.doctor = req.user.id;
+    }
+
     const appointment = await Appointment.findOne(query)
       .populate('patient', 'firstName lastName email phone')
       .populate('doctor', 'firstName lastName email')
@@ -110,16 +200,22 @@ router.get('/:id', async (req, res) => {
 
 // @desc    Create a new appointment
 // @route   POST /api/appointments
-// @access  Private (Admin/Receptionist only)
+// @access  Private (appointments.create)
 router.post(
   '/',
-  authorize('admin', 'receptionist'),
+  requirePermission('appointments.create'),
   async (req, res) => {
     try {
-      const { patientId, doctorId, date, time, type, status, notes, duration } = req.body;
+      const { patientId, doctorId, date, time, type, status, notes, duration, recurrence } = req.body;
 
       // Data Transformation
-      const durationInMinutes = parseInt(duration.split(' ')[0]);
+      const durationInMinutes = parseDuration(duration);
+      if (!doctorId || !DATE.test(date || '') || !TIME.test(time || '') || !(durationInMinutes > 0)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'A doctor, a date (YYYY-MM-DD), a time (HH:MM) and a duration in minutes are required'
+        });
+      }
 
       const appointmentDetails = {
         patient: patientId,
@@ -127,12 +223,35 @@ router.post(
         appointmentDate: date,
         appointmentTime: time,
         type: type.toLowerCase(),
-        status: status.toLowerCase(),
+        status: (status || 'scheduled').toLowerCase(),
         reason: notes, // Mapping notes from form to reason in model
         duration: durationInMinutes,
         createdBy: req.user.id
       };
 
+      // A recurrence rule books the whole series, or nothing if any date is taken
+      if (recurrence) {
+        const { series, appointments } = await appointmentSeriesService.createSeries({
+          ...appointmentDetails,
+          date,
+          time
+        }, recurrence);
+
+        return res.status(201).json({
+          status: 'success',
+          message: `Booked ${appointments.length} appointments from ${date} to ${appointments[appointments.length - 1].appointmentDate}`,
+          data: { series, appointments }
+        });
+      }
+
+      await scheduleService.assertBookable({
+        doctor: doctorId,
+        date,
+        time,
+        duration: durationInMinutes,
+        type: type?.toLowerCase()
+      });
+
       const appointment = await Appointment.create(appointmentDetails);
       
       res.status(201).json({
@@ -140,20 +259,19 @@ router.post(
         data: appointment
       });
     } catch (error) {
-      logger.error('Create appointment error:', error);
+      if (!error.statusCode) {
+        logger.error('Create appointment error:', error);
+      }
       // Send back the specific validation error message
-      res.status(400).json({
-        status: 'error',
-        message: error.message
-      });
+      sendBookingError(res, error);
     }
   }
 );
 
-// @desc    Update an appointment
+// @desc    Update an appointment, or with scope 'following' it and the rest of its series
 // @route   PUT /api/appointments/:id
-// @access  Private (Admin/Receptionist/Doctor)
-router.put('/:id', authorize(...managementRoles), async (req, res) => {
+// @access  Private (appointments.update)
+router.put('/:id', requirePermission('appointments.update'), async (req, res) => {
   try {
     let appointment = await Appointment.findById(req.params.id);
 
@@ -164,15 +282,81 @@ router.put('/:id', authorize(...managementRoles), async (req, res) => {
       });
     }
 
-    // If user is a doctor, they can only update their own appointments
-    if (req.user.role === 'doctor' && appointment.doctor.toString() !== req.user.id) {
+    if (ownOnly(req.user) && appointment.doctor.toString() !== req.user.id) {
       return res.status(403).json({
         status: 'error',
         message: 'You can only update your own appointments'
       });
     }
 
-    appointment = await Appointment.findByIdAndUpdate(req.params.id, req.body, {
+    const { scope = 'this', ...changes } = req.body;
+    if (!['this', 'following'].includes(scope)) {
+      return res.status(400).json({
+        status: 'error',
+        message: "scope must be 'this' or 'following'"
+      });
+    }
+
+    if (scope === 'following') {
+      const { doctor, appointmentDate, appointmentTime, duration, type, reason, notes } = changes;
+      if ((appointmentDate && !DATE.test(appointmentDate)) || (appointmentTime && !TIME.test(appointmentTime))
+        || (duration && !(parseDuration(duration) > 0))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'appointmentDate must be YYYY-MM-DD, appointmentTime HH:MM and duration a number of minutes'
+        });
+      }
+      try {
+        const appointments = await appointmentSeriesService.updateFollowing(appointment, {
+          doctor,
+          appointmentDate,
+          appointmentTime,
+          duration: duration ? parseDuration(duration) : undefined,
+          type: type?.toLowerCase(),
+          reason,
+          notes
+        });
+        return res.status(200).json({
+          status: 'success',
+          message: `Updated ${appointments.length} appointment(s) in the series`,
+          data: appointments
+        });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return sendBookingError(res, error);
+      }
+    }
+
+    // Moving the appointment (or lengthening it) must not double-book anyone
+    const { doctor, appointmentDate, appointmentTime, duration, type, status } = changes;
+    if (doctor || appointmentDate || appointmentTime || duration) {
+      const next = {
+        doctor: doctor || appointment.doctor,
+        date: appointmentDate || appointment.appointmentDate,
+        time: appointmentTime || appointment.appointmentTime,
+        duration: duration ? parseDuration(duration) : appointment.duration,
+        type: type || appointment.type
+      };
+      if (!DATE.test(next.date) || !TIME.test(next.time) || !(next.duration > 0)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'appointmentDate must be YYYY-MM-DD, appointmentTime HH:MM and duration a number of minutes'
+        });
+      }
+      if (!['cancelled', 'no-show'].includes(status || appointment.status)) {
+        try {
+          await scheduleService.assertBookable({ ...next, excludeId: appointment._id });
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          return sendBookingError(res, error);
+        }
+      }
+      if (duration) changes.duration = next.duration;
+      // Remind the patient again at the new time, as a save() would
+      if (appointmentDate || appointmentTime) changes.reminders = [];
+    }
+
+    appointment = await Appointment.findByIdAndUpdate(req.params.id, changes, {
       new: true,
       runValidators: true,
     });
@@ -192,8 +376,8 @@ router.put('/:id', authorize(...managementRoles), async (req, res) => {
 
 // @desc    Delete an appointment
 // @route   DELETE /api/appointments/:id
-// @access  Private (Admin/Receptionist only)
-router.delete('/:id', authorize('admin', 'receptionist'), async (req, res) => {
+// @access  Private (appointments.delete)
+router.delete('/:id', requirePermission('appointments.delete'), async (req, res) => {
   try {
     const appointment = await Appointment.findById(req.params.id);
 
@@ -220,10 +404,37 @@ router.delete('/:id', authorize('admin', 'receptionist'), async (req, res) => {
   }
 });
 
+// @desc    Check the patient in, opening their visit
+// @route   POST /api/appointments/:id/check-in
+// @access  Private (visits.create)
+router.post('/:id/check-in', requirePermission('visits.create'), async (req, res) => {
+  try {
+    const checkedIn = await attendanceService.checkIn(req.params.id, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: visitService.openingMessage(checkedIn, 'Checked in and visit opened'),
+      data: {
+        appointment: checkedIn.appointment,
+        visit: checkedIn.visit
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    logger.error('Check in appointment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Update appointment status
 // @route   PATCH /api/appointments/:id/status
-// @access  Private (Admin/Receptionist/Doctor)
-router.patch('/:id/status', authorize(...managementRoles), async (req, res) => {
+// @access  Private (appointments.update)
+router.patch('/:id/status', requirePermission('appointments.update'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -243,20 +454,26 @@ router.patch('/:id/status', authorize(...managementRoles), async (req, res) => {
       });
     }
 
-    // If user is a doctor, they can only update their own appointments
-    if (req.user.role === 'doctor' && appointment.doctor.toString() !== req.user.id) {
+    if (ownOnly(req.user) && appointment.doctor.toString() !== req.user.id) {
       return res.status(403).json({
         status: 'error',
         message: 'You can only update your own appointments'
       });
     }
 
+    const wasHoldingSlot = !['cancelled', 'no-show'].includes(appointment.status);
     appointment.status = status.toLowerCase();
     await appointment.save();
 
+    // A cancellation frees the slot for the next patient on the waitlist
+    const waitlistOffer = wasHoldingSlot && appointment.status === 'cancelled'
+      ? await offerToWaitlist(appointment)
+      : null;
+
     res.status(200).json({
       status: 'success',
       data: appointment,
+      ...(waitlistOffer && { waitlistOffer }),
       message: `Appointment status updated to ${status}`
     });
   } catch (error) {
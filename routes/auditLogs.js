@@ -0,0 +1,236 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { toCsv } from '../utils/csv.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(protect, requirePermission('audit.view'));
+
+const ACTIONS = AuditLog.schema.path('action').enumValues;
+const ENTITY_TYPES = AuditLog.schema.path('entityType').enumValues;
+
+// An export is a single response held in memory; beyond this the caller has
+// to narrow the date range.
+const MAX_EXPORT_ROWS = Number(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+// Build the search filter shared by the list and the export.
+const buildFilter = (query) => {
+  const filter = {};
+
+  if (query.userId) {
+    if (!mongoose.Types.ObjectId.isValid(query.userId)) return { error: 'Invalid user id' };
+    filter.userId = query.userId;
+  }
+
+  if (query.entityType) {
+    const types = String(query.entityType).split(',');
+    const invalid = types.filter((t) => !ENTITY_TYPES.includes(t));
+    if (invalid.length) return { error: `Invalid entity type: ${invalid.join(', ')}` };
+    filter.entityType = { $in: types };
+  }
+
+  if (query.entityId) {
+    if (!mongoose.Types.ObjectId.isValid(query.entityId)) return { error: 'Invalid entity id' };
+    filter.entityId = query.entityId;
+  }
+
+  if (query.action) {
+    const actions = String(query.action).split(',');
+    const invalid = actions.filter((a) => !ACTIONS.includes(a));
+    if (invalid.length) return { error: `Invalid action: ${invalid.join(', ')}` };
+    filter.action = { $in: actions };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) {
+      const from = new Date(query.from);
+      if (isNaN(from)) return { error: 'Invalid from date' };
+      filter.createdAt.$gte = from;
+    }
+    if (query.to) {
+      const to = new Date(query.to);
+      if (isNaN(to)) return { error: 'Invalid to date' };
+      // A bare date means "through the end of that day".
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  return { filter };
+};
+
+// @desc    Search the audit log
+// @route   GET /api/audit-logs
+// @query   userId, entityType, entityId, action (comma-separated), from, to, page, limit
+// @access  Private (audit.view)
+router.get('/', async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const startIndex = (page - 1) * limit;
+
+    const [total, logs] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .populate('userId', 'firstName lastName email role')
+        .sort({ createdAt: -1 })
+        .skip(startIndex)
+        .limit(limit),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: logs.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      data: logs
+    });
+  } catch (error) {
+    logger.error('Get audit logs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Export matching audit log entries as CSV
+// @route   GET /api/audit-logs/export
+// @query   same filters as GET /api/audit-logs
+// @access  Private (audit.view)
+router.get('/export', async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const total = await AuditLog.countDocuments(filter);
+    if (total > MAX_EXPORT_ROWS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${total} entries match; narrow the filters to at most ${MAX_EXPORT_ROWS} to export`
+      });
+    }
+
+    const logs = await AuditLog.find(filter)
+      .populate('userId', 'firstName lastName email role')
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const csv = toCsv(logs, [
+      { header: 'Timestamp', value: (l) => l.createdAt },
+      { header: 'User', value: (l) => (l.userId ? `${l.userId.firstName} ${l.userId.lastName}` : '') },
+      { header: 'User Email', value: (l) => l.userId?.email },
+      { header: 'Role', value: (l) => l.userId?.role },
+      { header: 'Action', value: (l) => l.action },
+      { header: 'Entity Type', value: (l) => l.entityType },
+      { header: 'Entity ID', value: (l) => l.entityId },
+      { header: 'Description', value: (l) => l.description },
+      { header: 'Method', value: (l) => l.requestMethod },
+      { header: 'URL', value: (l) => l.requestUrl },
+      { header: 'Status', value: (l) => l.responseStatus },
+      { header: 'Response Time (ms)', value: (l) => l.responseTime },
+      { header: 'IP Address', value: (l) => l.ipAddress },
+      { header: 'Changed Fields', value: (l) => Object.keys(l.changes?.after || {}).join(' ') },
+      { header: 'Changes', value: (l) => (l.changes?.before || l.changes?.after ? JSON.stringify(l.changes) : '') },
+    ]);
+
+    // Exporting the log is itself an auditable act.
+    await AuditLog.log({
+      userId: req.user._id,
+      action: 'EXPORT_DATA',
+      entityType: 'AuditLog',
+      description: `Exported ${logs.length} audit log entries`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestMethod: req.method,
+      requestUrl: req.originalUrl,
+      metadata: { filters: req.query, rows: logs.length }
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    logger.error('Export audit logs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Full history of one record
+// @route   GET /api/audit-logs/entity/:entityType/:entityId
+// @access  Private (audit.view)
+router.get('/entity/:entityType/:entityId', async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    if (!ENTITY_TYPES.includes(entityType) || !mongoose.Types.ObjectId.isValid(entityId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid entity type or id'
+      });
+    }
+
+    const history = await AuditLog.getEntityHistory(entityType, entityId);
+
+    res.status(200).json({
+      status: 'success',
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Get entity history error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Recent activity of one user
+// @route   GET /api/audit-logs/user/:userId
+// @access  Private (audit.view)
+router.get('/user/:userId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid user id'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const activity = await AuditLog.getUserActivity(req.params.userId, limit);
+
+    res.status(200).json({
+      status: 'success',
+      count: activity.length,
+      data: activity
+    });
+  } catch (error) {
+    logger.error('Get user activity error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -2,7 +2,7 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Bed from '../models/Bed.js';
 import Ward from '../models/Ward.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -60,7 +60,7 @@ router.get('/', protect, async (req, res) => {
 // @desc    Get bed statistics
 // @route   GET /api/beds/statistics
 // @access  Private
-router.get('/statistics', protect, authorize('admin', 'doctor', 'nurse'), async (req, res) => {
+router.get('/statistics', protect, requirePermission('beds.statistics'), async (req, res) => {
   try {
     const stats = await Bed.getStatistics();
     res.status(200).json({
@@ -130,7 +130,7 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Create new bed
 // @route   POST /api/beds
 // @access  Private (Admin, Nurse)
-router.post('/', protect, authorize('admin', 'nurse'), [
+router.post('/', protect, requirePermission('beds.create'), [
   body('bedNumber').trim().notEmpty().withMessage('Bed number is required'),
   body('ward').notEmpty().withMessage('Ward is required'),
   body('type').optional().isIn(['standard', 'icu', 'isolation', 'private', 'semi-private', 'pediatric', 'maternity']).withMessage('Invalid bed type'),
@@ -195,7 +195,7 @@ router.post('/', protect, authorize('admin', 'nurse'), [
 // @desc    Update bed
 // @route   PUT /api/beds/:id
 // @access  Private (Admin, Nurse)
-router.put('/:id', protect, authorize('admin', 'nurse'), async (req, res) => {
+router.put('/:id', protect, requirePermission('beds.update'), async (req, res) => {
   try {
     let bed = await Bed.findById(req.params.id);
 
@@ -266,7 +266,7 @@ router.put('/:id', protect, authorize('admin', 'nurse'), async (req, res) => {
 // @desc    Assign patient to bed
 // @route   PUT /api/beds/:id/assign
 // @access  Private (Admin, Nurse)
-router.put('/:id/assign', protect, authorize('admin', 'nurse'), [
+router.put('/:id/assign', protect, requirePermission('beds.assign'), [
   body('patientId').notEmpty().withMessage('Patient ID is required'),
 ], async (req, res) => {
   try {
@@ -334,7 +334,7 @@ router.put('/:id/assign', protect, authorize('admin', 'nurse'), [
 // @desc    Release bed (remove patient)
 // @route   PUT /api/beds/:id/release
 // @access  Private (Admin, Nurse)
-router.put('/:id/release', protect, authorize('admin', 'nurse'), async (req, res) => {
+router.put('/:id/release', protect, requirePermission('beds.assign'), async (req, res) => {
   try {
     const bed = await Bed.findById(req.params.id);
 
@@ -382,7 +382,7 @@ router.put('/:id/release', protect, authorize('admin', 'nurse'), async (req, res
 // @desc    Mark bed as cleaned
 // @route   PUT /api/beds/:id/cleaned
 // @access  Private (Admin, Nurse)
-router.put('/:id/cleaned', protect, authorize('admin', 'nurse'), async (req, res) => {
+router.put('/:id/cleaned', protect, requirePermission('beds.update'), async (req, res) => {
   try {
     const bed = await Bed.findById(req.params.id);
 
@@ -414,7 +414,7 @@ router.put('/:id/cleaned', protect, authorize('admin', 'nurse'), async (req, res
 // @desc    Delete bed
 // @route   DELETE /api/beds/:id
 // @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('beds.delete'), async (req, res) => {
   try {
     const bed = await Bed.findById(req.params.id);
 
@@ -1,13 +1,17 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import billingService from '../services/billingService.js';
 import Invoice from '../models/Invoice.js';
 import Payment from '../models/Payment.js';
-import Patient from '../models/Patient.js';
 import Visit from '../models/Visit.js';
 import InsuranceProvider from '../models/InsuranceProvider.js';
 import logger from '../utils/logger.js';
+import crypto from 'crypto';
+import { gatewayForMethod } from '../services/gateways/index.js';
+import paymentGatewayService from '../services/paymentGateway.js';
+import coverageService from '../services/coverageService.js';
+import eligibilityService from '../services/eligibilityService.js';
 
 const router = express.Router();
 
@@ -24,6 +28,41 @@ const handleValidation = (req, res, next) => {
   next();
 };
 
+/**
+ * Reply to a payment request according to what the gateway said. A payment
+ * awaiting the customer (STK push, 3-D Secure) is accepted but not yet paid.
+ */
+const sendPaymentResult = (res, payment) => {
+  const body = { data: payment };
+  if (payment.$locals?.clientSecret) {
+    body.clientSecret = payment.$locals.clientSecret;
+  }
+
+  if (payment.status === 'failed') {
+    return res.status(402).json({
+      status: 'error',
+      message: payment.gatewayResponse?.get('message') || 'Payment was declined',
+      ...body
+    });
+  }
+
+  if (payment.status === 'processing' || payment.status === 'pending') {
+    return res.status(202).json({
+      status: 'success',
+      message: 'Payment initiated; awaiting confirmation from the customer',
+      ...body
+    });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Payment processed successfully',
+    ...body
+  });
+};
+
+const PAYMENT_METHODS = ['cash', 'credit_card', 'debit_card', 'mobile_money', 'check', 'bank_transfer', 'insurance', 'online'];
+
 /**
  * CENTRALIZED HELPER: Update visit order statuses after payment
  * FIXED: Maps specific items to orders instead of just updating first unpaid
@@ -100,7 +139,7 @@ const updateVisitStatusAfterConsultationPayment = async (invoice) => {
   const visit = await Visit.findById(invoice.visit).populate('patient');
   if (!visit) return;
 
-  const hasInsurance = !!(visit.patient?.insurance?.provider);
+  const hasInsurance = eligibilityService.coversVisit(visit);
 
   // Only for non-insured patients
   if (!hasInsurance && visit.status === 'Pending Payment') {
@@ -120,7 +159,7 @@ const updateVisitStatusAfterConsultationPayment = async (invoice) => {
 // @access  Private (Admin, Receptionist, Doctor)
 router.get('/invoices',
   protect,
-  authorize('admin', 'receptionist', 'doctor', 'pharmacist'),
+  requirePermission('invoices.view'),
   async (req, res) => {
     try {
       const { 
@@ -241,12 +280,45 @@ router.get('/invoices/:id',
     }
 });
 
+// @desc    Explain the insurance coverage of each invoice line
+// @route   GET /api/billing/invoices/:id/coverage
+// @access  Private (invoices.view)
+router.get('/invoices/:id/coverage',
+  protect,
+  requirePermission('invoices.view'),
+  [param('id').isMongoId().withMessage('Invalid invoice ID')],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const invoice = await Invoice.findById(req.params.id)
+        .populate('patient', 'firstName lastName patientId insurance');
+
+      if (!invoice) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Invoice not found'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: await coverageService.describeInvoice(invoice, invoice.patient)
+      });
+    } catch (error) {
+      logger.error('Get invoice coverage error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error'
+      });
+    }
+});
+
 // @desc    Create invoice
 // @route   POST /api/billing/invoices
 // @access  Private (Admin, Receptionist)
 router.post('/invoices',
   protect,
-  authorize('admin', 'receptionist', 'doctor'),
+  requirePermission('invoices.create'),
   [
     body('patient').isMongoId().withMessage('Valid patient ID required'),
     body('visit').optional().isMongoId().withMessage('If provided, visit ID must be valid'),
@@ -262,12 +334,11 @@ router.post('/invoices',
     try {
       const invoice = await billingService.createInvoice(req.body, req.user.id);
 
-      const patient = await Patient.findById(req.body.patient);
-      const hasInsurance = !!(patient?.insurance?.provider);
+      const coverageAmount = invoice.insuranceCoverage?.coverageAmount || 0;
 
       res.status(201).json({
         status: 'success',
-        message: 'Invoice created successfully' + (hasInsurance ? ' and marked as paid (insurance coverage)' : ''),
+        message: 'Invoice created successfully' + (coverageAmount > 0 ? ` (Tsh. ${coverageAmount.toLocaleString()} covered by insurance)` : ''),
         data: invoice
       });
     } catch (error) {
@@ -284,7 +355,7 @@ router.post('/invoices',
 // @access  Private (Admin)
 router.put('/invoices/:id',
   protect,
-  authorize('admin'),
+  requirePermission('invoices.update'),
   [param('id').isMongoId().withMessage('Invalid invoice ID')],
   handleValidation,
   async (req, res) => {
@@ -327,11 +398,13 @@ router.put('/invoices/:id',
 // @access  Private (Admin, Receptionist)
 router.post('/invoices/:id/payments',
   protect,
-  authorize('admin', 'receptionist'),
+  requirePermission('payments.create'),
   [
     param('id').isMongoId().withMessage('Invalid invoice ID'),
     body('amount').isFloat({ min: 0.01 }).withMessage('Valid amount required'),
-    body('method').isIn(['cash', 'credit_card', 'debit_card', 'check', 'bank_transfer', 'insurance', 'online']),
+    body('method').isIn(PAYMENT_METHODS),
+    body('paymentMethodId').optional().isString(),
+    body('phoneNumber').optional().isString(),
     body('patient').optional().isMongoId().withMessage('Valid patient ID required'),
     body('cardDetails').optional().isObject(),
     body('checkDetails').optional().isObject()
@@ -357,11 +430,7 @@ router.post('/invoices/:id/payments',
 
       const payment = await billingService.processPayment(paymentData, req.user.id);
 
-      res.status(201).json({
-        status: 'success',
-        message: 'Payment processed successfully',
-        data: payment
-      });
+      sendPaymentResult(res, payment);
     } catch (error) {
       logger.error('Add payment to invoice error:', error);
       res.status(500).json({
@@ -377,12 +446,14 @@ router.post('/invoices/:id/payments',
 // @access  Private (Admin, Receptionist)
 router.post('/payments',
   protect,
-  authorize('admin', 'receptionist'),
+  requirePermission('payments.create'),
   [
     body('invoice').isMongoId().withMessage('Valid invoice ID required'),
     body('patient').isMongoId().withMessage('Valid patient ID required'),
     body('amount').isFloat({ min: 0.01 }).withMessage('Valid amount required'),
-    body('method').isIn(['cash', 'credit_card', 'debit_card', 'check', 'bank_transfer', 'insurance', 'online']),
+    body('method').isIn(PAYMENT_METHODS),
+    body('paymentMethodId').optional().isString(),
+    body('phoneNumber').optional().isString(),
     body('cardDetails').optional().isObject(),
     body('checkDetails').optional().isObject()
   ],
@@ -391,11 +462,7 @@ router.post('/payments',
     try {
       const payment = await billingService.processPayment(req.body, req.user.id);
 
-      res.status(201).json({
-        status: 'success',
-        message: 'Payment processed successfully',
-        data: payment
-      });
+      sendPaymentResult(res, payment);
     } catch (error) {
       logger.error('Process payment error:', error);
       res.status(500).json({
@@ -405,6 +472,83 @@ router.post('/payments',
     }
 });
 
+// @desc    Mobile money result callback (STK push)
+// @route   POST /api/billing/callbacks/mobile-money?token=...
+// @access  Public (the provider), authenticated by the shared callback token
+router.post('/callbacks/mobile-money', async (req, res) => {
+  // The provider does not sign callbacks, so the URL registered with it
+  // carries a secret token. Without one configured, refuse everything rather
+  // than let anyone mark a payment as paid.
+  const expected = process.env.MOBILE_MONEY_CALLBACK_TOKEN || '';
+  const given = String(req.query.token || '');
+  const valid = expected.length > 0
+    && given.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+
+  if (!valid) {
+    logger.warn(`Rejected mobile money callback from ${req.ip}`);
+    return res.status(401).json({ ResultCode: 1, ResultDesc: 'Unauthorized' });
+  }
+
+  try {
+    const gateway = gatewayForMethod('mobile_money');
+    const settlement = gateway.handleCallback?.(req.body);
+
+    if (!settlement) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Unrecognised callback' });
+    }
+
+    await billingService.settleGatewayPayment(gateway.name, settlement);
+
+    // Acknowledged even when no payment matched: the provider would otherwise
+    // keep retrying a callback that can never succeed.
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (error) {
+    logger.error('Mobile money callback error:', error);
+    // A 5xx makes the provider retry, which is what we want for a transient
+    // database failure.
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Server error' });
+  }
+});
+
+// @desc    Stripe webhook: reconcile payments, invoices and visits
+// @route   POST /api/billing/webhooks/stripe
+// @access  Public (Stripe), authenticated by the Stripe-Signature header
+router.post('/webhooks/stripe', async (req, res) => {
+  // server.js hands this route the raw bytes: the signature covers the exact
+  // payload, and re-serialised JSON would not match it.
+  const signature = req.get('stripe-signature');
+  if (!Buffer.isBuffer(req.body) || !signature) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing webhook payload or signature'
+    });
+  }
+
+  const verified = paymentGatewayService.verifyWebhookSignature(req.body, signature);
+  if (!verified.success) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Webhook signature verification failed'
+    });
+  }
+
+  try {
+    const { action, payment } = await billingService.reconcileStripeEvent(verified.event);
+
+    logger.info(`Stripe webhook ${verified.event.type} (${verified.event.id}): ${action}${payment ? ` payment ${payment.paymentNumber}` : ''}`);
+
+    res.status(200).json({ received: true, action });
+  } catch (error) {
+    logger.error('Stripe webhook error:', error);
+    // A 5xx makes Stripe redeliver the event later.
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get payments
 // @route   GET /api/billing/payments
 // @access  Private
@@ -468,41 +612,6 @@ router.get('/payments',
     }
 });
 
-// @desc    Process insurance claim
-// @route   POST /api/billing/insurance-claims
-// @access  Private (Admin, Receptionist)
-router.post('/insurance-claims',
-  protect,
-  authorize('admin', 'receptionist'),
-  [
-    body('invoiceId').isMongoId().withMessage('Valid invoice ID required'),
-    body('providerId').isMongoId().withMessage('Valid provider ID required'),
-    body('policyNumber').notEmpty().withMessage('Policy number required'),
-    body('planCode').notEmpty().withMessage('Plan code required')
-  ],
-  handleValidation,
-  async (req, res) => {
-    try {
-      const invoice = await billingService.processInsuranceClaim(
-        req.body.invoiceId,
-        req.body,
-        req.user.id
-      );
-
-      res.status(200).json({
-        status: 'success',
-        message: 'Insurance claim submitted successfully',
-        data: invoice
-      });
-    } catch (error) {
-      logger.error('Process insurance claim error:', error);
-      res.status(500).json({
-        status: 'error',
-        message: error.message || 'Server error'
-      });
-    }
-});
-
 // @desc    Get insurance providers
 // @route   GET /api/billing/insurance-providers
 // @access  Private
@@ -531,7 +640,7 @@ router.get('/insurance-providers',
 // @access  Private (Admin)
 router.post('/refunds',
   protect,
-  authorize('admin'),
+  requirePermission('refunds.create'),
   [
     body('paymentId').isMongoId().withMessage('Valid payment ID required'),
     body('amount').isFloat({ min: 0.01 }).withMessage('Valid amount required'),
@@ -600,7 +709,7 @@ router.get('/statements/:patientId',
 // @access  Private (Admin)
 router.get('/statistics',
   protect,
-  authorize('admin', 'receptionist'),
+  requirePermission('billing.statistics'),
   async (req, res) => {
     try {
       const { startDate, endDate } = req.query;
@@ -661,7 +770,7 @@ router.get('/statistics',
  */
 router.post('/invoices/:invoiceId/pay-items', 
   protect, 
-  authorize('admin', 'receptionist'), 
+  requirePermission('payments.create'), 
   async (req, res) => {
     try {
       const { invoiceId } = req.params;
@@ -749,7 +858,7 @@ router.post('/invoices/:invoiceId/pay-items',
  */
 router.patch('/invoices/:invoiceId/items/:itemIndex/pay',
   protect, 
-  authorize('admin', 'receptionist'), 
+  requirePermission('payments.create'), 
   async (req, res) => {
     try {
       const { invoiceId, itemIndex } = req.params;
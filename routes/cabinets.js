@@ -2,7 +2,7 @@ import express from 'express';
 import Cabinet from '../models/Cabinet.js';
 import Corpse from '../models/Corpse.js';
 import logger from '../utils/logger.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -11,7 +11,7 @@ router.use(protect);
 // @desc    Get all cabinets with occupancy status
 // @route   GET /api/cabinets
 // @access  Private (Admin, Mortuary Attendant)
-router.get('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.get('/', requirePermission('cabinets.view'), async (req, res) => {
   try {
     const cabinets = await Cabinet.find()
       .populate('occupiedBy', 'firstName lastName dateOfDeath')
@@ -30,7 +30,7 @@ router.get('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
 // @desc    Get available cabinets
 // @route   GET /api/cabinets/available
 // @access  Private (Admin, Mortuary Attendant)
-router.get('/available', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.get('/available', requirePermission('cabinets.view'), async (req, res) => {
   try {
     const availableCabinets = await Cabinet.find({
       isOccupied: false,
@@ -53,7 +53,7 @@ router.get('/available', authorize('admin', 'mortuary_attendant'), async (req, r
 // @desc    Get cabinet statistics
 // @route   GET /api/cabinets/stats
 // @access  Private (Admin, Mortuary Attendant)
-router.get('/stats', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.get('/stats', requirePermission('cabinets.view'), async (req, res) => {
   try {
     const totalCabinets = await Cabinet.countDocuments();
     const occupiedCabinets = await Cabinet.countDocuments({ isOccupied: true });
@@ -93,7 +93,7 @@ router.get('/stats', authorize('admin', 'mortuary_attendant'), async (req, res)
 // @desc    Create a new cabinet
 // @route   POST /api/cabinets
 // @access  Private (Admin)
-router.post('/', authorize('admin'), async (req, res) => {
+router.post('/', requirePermission('cabinets.create'), async (req, res) => {
   try {
     const cabinet = await Cabinet.create(req.body);
     res.status(201).json({ 
@@ -118,7 +118,7 @@ router.post('/', authorize('admin'), async (req, res) => {
 // @desc    Assign corpse to cabinet (automated)
 // @route   POST /api/cabinets/assign
 // @access  Private (Admin, Mortuary Attendant)
-router.post('/assign', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.post('/assign', requirePermission('cabinets.assign'), async (req, res) => {
   try {
     const { corpseId, cabinetNumber } = req.body;
     
@@ -180,7 +180,7 @@ router.post('/assign', authorize('admin', 'mortuary_attendant'), async (req, res
 // @desc    Release cabinet (when corpse is released)
 // @route   POST /api/cabinets/:id/release
 // @access  Private (Admin, Mortuary Attendant)
-router.post('/:id/release', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.post('/:id/release', requirePermission('cabinets.assign'), async (req, res) => {
   try {
     const cabinet = await Cabinet.findById(req.params.id);
     
@@ -220,7 +220,7 @@ router.post('/:id/release', authorize('admin', 'mortuary_attendant'), async (req
 // @desc    Update cabinet (maintenance, status, etc.)
 // @route   PUT /api/cabinets/:id
 // @access  Private (Admin)
-router.put('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.put('/:id', requirePermission('cabinets.update'), async (req, res) => {
   try {
     const cabinet = await Cabinet.findByIdAndUpdate(
       req.params.id, 
@@ -251,7 +251,7 @@ router.put('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) =>
 // @desc    Delete cabinet
 // @route   DELETE /api/cabinets/:id
 // @access  Private (Admin)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+router.delete('/:id', requirePermission('cabinets.delete'), async (req, res) => {
   try {
     const cabinet = await Cabinet.findById(req.params.id);
     
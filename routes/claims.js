@@ -0,0 +1,302 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import claimService from '../services/claimService.js';
+import Claim, { CLAIM_STATUSES } from '../models/Claim.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Errors raised by claimService carry a statusCode and a message meant for
+// the client; anything else is a server error.
+const sendError = (res, error, fallback) =>
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode ? error.message : fallback
+  });
+
+const validateId = param('id').isMongoId().withMessage('Valid claim ID required');
+
+const populateClaim = (q) =>
+  q.populate('patient', 'firstName lastName patientId')
+    .populate('provider', 'name code')
+    .populate('invoice', 'invoiceNumber totalAmount balanceDue status');
+
+// @desc    List insurance claims
+// @route   GET /api/billing/insurance-claims
+// @access  Private (claims.view)
+router.get('/',
+  requirePermission('claims.view'),
+  [
+    query('status').optional().isIn(CLAIM_STATUSES),
+    query('provider').optional().isMongoId(),
+    query('invoice').optional().isMongoId(),
+    query('patient').optional().isMongoId()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status, provider, invoice, patient } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (provider) filter.provider = provider;
+      if (invoice) filter.invoice = invoice;
+      if (patient) filter.patient = patient;
+
+      const skip = (page - 1) * limit;
+      const [claims, total] = await Promise.all([
+        populateClaim(Claim.find(filter))
+          .select('-submissions -statusHistory')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Claim.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          claims,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get claims error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error while fetching claims'
+      });
+    }
+});
+
+// @desc    Get a claim with its submissions and history
+// @route   GET /api/billing/insurance-claims/:id
+// @access  Private (claims.view)
+router.get('/:id',
+  requirePermission('claims.view'),
+  [validateId],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const claim = await populateClaim(Claim.findById(req.params.id))
+        .populate('submissions.submittedBy', 'firstName lastName')
+        .populate('statusHistory.changedBy', 'firstName lastName');
+
+      if (!claim) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Claim not found'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Get claim error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error'
+      });
+    }
+});
+
+// @desc    Open a claim for an invoice and submit it (send submit: false to keep it as a draft)
+// @route   POST /api/billing/insurance-claims
+// @access  Private (claims.submit)
+router.post('/',
+  requirePermission('claims.submit'),
+  [
+    body('invoiceId').isMongoId().withMessage('Valid invoice ID required'),
+    body('providerId').isMongoId().withMessage('Valid provider ID required'),
+    body('policyNumber').notEmpty().withMessage('Policy number required'),
+    body('planCode').notEmpty().withMessage('Plan code required'),
+    body('submit').optional().isBoolean()
+  ],
+  handleValidation,
+  async (req, res) => {
+    let claim;
+    try {
+      claim = await claimService.createClaim(req.body.invoiceId, req.body, req.user.id);
+      if (req.body.submit === false) {
+        return res.status(201).json({
+          status: 'success',
+          message: 'Claim saved as draft',
+          data: claim
+        });
+      }
+
+      claim = await claimService.submitClaim(claim._id, req.user.id);
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Insurance claim submitted successfully',
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Process insurance claim error:', error);
+      if (claim) {
+        // The claim exists even though the payer refused it; hand it back so
+        // it can be corrected and submitted again.
+        return res.status(error.statusCode || 500).json({
+          status: 'error',
+          message: error.statusCode ? error.message : 'Server error',
+          data: await Claim.findById(claim._id)
+        });
+      }
+      sendError(res, error, 'Server error');
+    }
+});
+
+// @desc    Submit a draft claim
+// @route   POST /api/billing/insurance-claims/:id/submit
+// @access  Private (claims.submit)
+router.post('/:id/submit',
+  requirePermission('claims.submit'),
+  [validateId, body('notes').optional().isString()],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const claim = await claimService.submitClaim(req.params.id, req.user.id, req.body.notes);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Claim submitted',
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Submit claim error:', error);
+      sendError(res, error, 'Server error');
+    }
+});
+
+// @desc    Correct and resubmit a rejected claim
+// @route   POST /api/billing/insurance-claims/:id/resubmit
+// @access  Private (claims.submit)
+router.post('/:id/resubmit',
+  requirePermission('claims.submit'),
+  [
+    validateId,
+    body('lines').optional().isArray(),
+    body('lines.*.lineId').isMongoId().withMessage('Valid claim line ID required'),
+    body('lines.*.claimedAmount').optional().isFloat({ min: 0 }).toFloat(),
+    body('lines.*.code').optional().isString().trim(),
+    body('lines.*.description').optional().isString().trim().notEmpty(),
+    body('notes').optional().isString()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const claim = await claimService.resubmitClaim(req.params.id, req.body.lines, req.user.id, req.body.notes);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Claim resubmitted',
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Resubmit claim error:', error);
+      sendError(res, error, 'Server error');
+    }
+});
+
+// @desc    Record the payer's acknowledgement of a claim
+// @route   POST /api/billing/insurance-claims/:id/acknowledge
+// @access  Private (claims.adjudicate)
+router.post('/:id/acknowledge',
+  requirePermission('claims.adjudicate'),
+  [validateId, body('payerReference').optional().isString().trim(), body('notes').optional().isString()],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const claim = await claimService.acknowledgeClaim(req.params.id, req.body, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Claim acknowledged',
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Acknowledge claim error:', error);
+      sendError(res, error, 'Server error');
+    }
+});
+
+// @desc    Record the payer's decision on each claim line
+// @route   POST /api/billing/insurance-claims/:id/adjudicate
+// @access  Private (claims.adjudicate)
+router.post('/:id/adjudicate',
+  requirePermission('claims.adjudicate'),
+  [
+    validateId,
+    body('lines').isArray({ min: 1 }).withMessage('A decision is required for each line'),
+    body('lines.*.lineId').isMongoId().withMessage('Valid claim line ID required'),
+    body('lines.*.approvedAmount').isFloat({ min: 0 }).toFloat(),
+    body('lines.*.rejectionReason').optional().isString().trim(),
+    body('payerReference').optional().isString().trim(),
+    body('notes').optional().isString()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const claim = await claimService.adjudicateClaim(req.params.id, req.body.lines, req.body, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Claim adjudicated',
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Adjudicate claim error:', error);
+      sendError(res, error, 'Server error');
+    }
+});
+
+// @desc    Record the payer's remittance for an adjudicated claim
+// @route   POST /api/billing/insurance-claims/:id/payment
+// @access  Private (claims.adjudicate)
+router.post('/:id/payment',
+  requirePermission('claims.adjudicate'),
+  [
+    validateId,
+    body('amount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('reference').optional().isString().trim(),
+    body('notes').optional().isString()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const claim = await claimService.recordClaimPayment(req.params.id, req.body, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Claim payment recorded',
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Record claim payment error:', error);
+      sendError(res, error, 'Server error');
+    }
+});
+
+export default router;
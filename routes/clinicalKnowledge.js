@@ -0,0 +1,155 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import DrugClass from '../models/DrugClass.js';
+import DrugInteraction from '../models/DrugInteraction.js';
+import { Medicine } from '../models/Medicine.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import clinicalDecisionService from '../services/clinicalDecisionService.js';
+import logger from '../utils/logger.js';
+
+// The drug classes and interactions prescribing checks are made against
+// (services/clinicalDecisionService.js), maintained by the pharmacy.
+const router = express.Router();
+
+router.use(protect);
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((f) => source[f] !== undefined).map((f) => [f, source[f]]));
+
+const sendError = (res, error, label) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ status: 'error', message: `That ${label} already exists` });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ status: 'error', message: error.message });
+  }
+  logger.error(`Clinical knowledge ${label} error:`, error);
+  res.status(500).json({ status: 'error', message: 'Server error' });
+};
+
+// List, create, edit and delete for one collection. Built-in entries can be
+// edited or switched off but not deleted, so a later seed does not bring
+// them back unnoticed.
+const catalogue = (path, Model, fields, label, sort) => {
+  const Label = label[0].toUpperCase() + label.slice(1);
+
+  // @desc    List entries, with ?search= on the names
+  // @route   GET /api/clinical-knowledge/{path}
+  // @access  Private (medicines.view)
+  router.get(`/${path}`, requirePermission('medicines.view'), async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+      const entries = await Model.find(query).sort(sort).lean();
+      const search = String(req.query.search || '').toLowerCase().trim();
+
+      const data = search
+        ? entries.filter((entry) => JSON.stringify([entry.name, entry.members, entry.drugs]).includes(search))
+        : entries;
+
+      res.status(200).json({
+        status: 'success',
+        count: data.length,
+        data
+      });
+    } catch (error) {
+      sendError(res, error, label);
+    }
+  });
+
+  // @desc    Add an entry
+  // @route   POST /api/clinical-knowledge/{path}
+  // @access  Private (clinical_knowledge.manage)
+  router.post(`/${path}`, requirePermission('clinical_knowledge.manage'), async (req, res) => {
+    try {
+      const entry = await Model.create({ ...pick(req.body, fields), isSystem: false, updatedBy: req.user._id });
+
+      res.status(201).json({
+        status: 'success',
+        data: entry
+      });
+    } catch (error) {
+      sendError(res, error, label);
+    }
+  });
+
+  // @desc    Edit an entry, or switch it off with isActive: false
+  // @route   PUT /api/clinical-knowledge/{path}/:id
+  // @access  Private (clinical_knowledge.manage)
+  router.put(`/${path}/:id`, requirePermission('clinical_knowledge.manage'), async (req, res) => {
+    try {
+      const entry = mongoose.isValidObjectId(req.params.id) ? await Model.findById(req.params.id) : null;
+      if (!entry) {
+        return res.status(404).json({ status: 'error', message: `${Label} not found` });
+      }
+
+      entry.set({ ...pick(req.body, fields), updatedBy: req.user._id });
+      await entry.save();
+
+      res.status(200).json({
+        status: 'success',
+        data: entry
+      });
+    } catch (error) {
+      sendError(res, error, label);
+    }
+  });
+
+  // @desc    Delete an entry added locally
+  // @route   DELETE /api/clinical-knowledge/{path}/:id
+  // @access  Private (clinical_knowledge.manage)
+  router.delete(`/${path}/:id`, requirePermission('clinical_knowledge.manage'), async (req, res) => {
+    try {
+      const entry = mongoose.isValidObjectId(req.params.id) ? await Model.findById(req.params.id) : null;
+      if (!entry) {
+        return res.status(404).json({ status: 'error', message: `${Label} not found` });
+      }
+      if (entry.isSystem) {
+        return res.status(409).json({ status: 'error', message: `A built-in ${label} cannot be deleted. Set isActive to false instead.` });
+      }
+
+      await entry.deleteOne();
+
+      res.status(200).json({
+        status: 'success',
+        message: `${Label} deleted`
+      });
+    } catch (error) {
+      sendError(res, error, label);
+    }
+  });
+};
+
+catalogue('classes', DrugClass, ['name', 'members', 'allergyTerms', 'crossReactive', 'isActive'], 'drug class', { name: 1 });
+catalogue('interactions', DrugInteraction, ['drugs', 'severity', 'effect', 'management', 'isActive'], 'interaction', { key: 1 });
+
+// @desc    Check a medicine for a patient before prescribing it
+// @route   POST /api/clinical-knowledge/check
+// @access  Private (visits.prescribe)
+router.post('/check', requirePermission('visits.prescribe'), async (req, res) => {
+  try {
+    const { patientId, medicineId, medication } = req.body;
+    if (!mongoose.isValidObjectId(patientId) || (!medication && !mongoose.isValidObjectId(medicineId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A patient and a medicine are required'
+      });
+    }
+
+    const medicine = mongoose.isValidObjectId(medicineId) ? await Medicine.findById(medicineId) : null;
+    const alerts = await clinicalDecisionService.check({ patientId, medicine, medication });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        alerts,
+        requiresOverride: alerts.some((a) => a.severity === 'severe')
+      }
+    });
+  } catch (error) {
+    logger.error('Prescribing check error:', error);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+export default router;
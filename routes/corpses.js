@@ -2,7 +2,7 @@ import express from 'express';
 import Corpse from '../models/Corpse.js';
 import Cabinet from '../models/Cabinet.js';
 import logger from '../utils/logger.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -11,7 +11,7 @@ router.use(protect);
 // @desc    Get all corpses
 // @route   GET /api/corpses
 // @access  Private (Admin, Mortuary Attendant)
-router.get('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.get('/', requirePermission('corpses.view'), async (req, res) => {
   try {
     const corpses = await Corpse.find().populate('registeredBy', 'firstName lastName');
     res.status(200).json({ 
@@ -30,7 +30,7 @@ router.get('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
 // @desc    Register a new corpse with automatic cabinet assignment
 // @route   POST /api/corpses
 // @access  Private (Admin, Mortuary Attendant)
-router.post('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.post('/', requirePermission('corpses.create'), async (req, res) => {
   try {
     const { firstName, middleName, lastName, sex, dateOfBirth, dateOfDeath, causeOfDeath, cabinetNumber, nextOfKin } = req.body;
 
@@ -98,7 +98,7 @@ router.post('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
 // @desc    Get a single corpse by ID
 // @route   GET /api/corpses/:id
 // @access  Private (Admin, Mortuary Attendant)
-router.get('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.get('/:id', requirePermission('corpses.view'), async (req, res) => {
   try {
     const corpse = await Corpse.findById(req.params.id).populate('registeredBy', 'firstName lastName');
     if (!corpse) {
@@ -123,7 +123,7 @@ router.get('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) =>
 // @desc    Update corpse information (with cabinet management)
 // @route   PUT /api/corpses/:id
 // @access  Private (Admin, Mortuary Attendant)
-router.put('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.put('/:id', requirePermission('corpses.update'), async (req, res) => {
   try {
     const corpse = await Corpse.findById(req.params.id);
     if (!corpse) {
@@ -187,7 +187,7 @@ router.put('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) =>
 // @desc    Assign corpse to cabinet
 // @route   POST /api/corpses/:id/assign-cabinet
 // @access  Private (Admin, Mortuary Attendant)
-router.post('/:id/assign-cabinet', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.post('/:id/assign-cabinet', requirePermission('corpses.update'), async (req, res) => {
   try {
     const { cabinetNumber } = req.body;
     const corpse = await Corpse.findById(req.params.id);
@@ -261,7 +261,7 @@ router.post('/:id/assign-cabinet', authorize('admin', 'mortuary_attendant'), asy
 // @desc    Release corpse from cabinet
 // @route   POST /api/corpses/:id/release-cabinet
 // @access  Private (Admin, Mortuary Attendant)
-router.post('/:id/release-cabinet', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.post('/:id/release-cabinet', requirePermission('corpses.update'), async (req, res) => {
   try {
     const corpse = await Corpse.findById(req.params.id);
     
@@ -1,11 +1,13 @@
 import express from 'express';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import Patient from '../models/Patient.js';
 import User from '../models/User.js';
 import Appointment from '../models/Appointment.js';
 import Visit from '../models/Visit.js';
 import Invoice from '../models/Invoice.js';
 import Payment from '../models/Payment.js';
+import attendanceService from '../services/attendanceService.js';
+import { addDays, localDate } from '../services/scheduleService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -14,7 +16,7 @@ const router = express.Router();
 router.use(protect);
 
 // ===== ADMIN DASHBOARD =====
-router.get('/admin/stats', authorize('admin'), async (req, res) => {
+router.get('/admin/stats', requirePermission('dashboard.admin'), async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -87,7 +89,7 @@ router.get('/admin/stats', authorize('admin'), async (req, res) => {
   }
 });
 
-router.get('/admin/recent-activity', authorize('admin'), async (req, res) => {
+router.get('/admin/recent-activity', requirePermission('dashboard.admin'), async (req, res) => {
   try {
     // Get recent visits (last 5)
     const recentVisits = await Visit.find()
@@ -141,7 +143,7 @@ router.get('/admin/recent-activity', authorize('admin'), async (req, res) => {
 });
 
 // ===== DOCTOR DASHBOARD =====
-router.get('/doctor/queue', authorize('doctor'), async (req, res) => {
+router.get('/doctor/queue', requirePermission('dashboard.doctor'), async (req, res) => {
   try {
     const doctorId = req.user.id;
 
@@ -178,7 +180,7 @@ router.get('/doctor/queue', authorize('doctor'), async (req, res) => {
   }
 });
 
-router.get('/doctor/stats', authorize('doctor'), async (req, res) => {
+router.get('/doctor/stats', requirePermission('dashboard.doctor'), async (req, res) => {
   try {
     const doctorId = req.user.id;
     const today = new Date();
@@ -264,19 +266,19 @@ router.get('/doctor/stats', authorize('doctor'), async (req, res) => {
 });
 
 // ===== RECEPTIONIST DASHBOARD =====
-router.get('/receptionist/stats', authorize('receptionist'), async (req, res) => {
+router.get('/receptionist/stats', requirePermission('dashboard.receptionist'), async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
+    // Appointment dates are 'YYYY-MM-DD' strings in clinic time
+    const todayDate = localDate(today);
+
     // Today's appointments
     const todayAppointments = await Appointment.countDocuments({
-      appointmentDate: {
-        $gte: today,
-        $lt: tomorrow
-      }
+      appointmentDate: todayDate
     });
 
     // Check-ins today (appointments with status completed or in-progress)
@@ -296,10 +298,7 @@ router.get('/receptionist/stats', authorize('receptionist'), async (req, res) =>
     // Cancelled appointments today
     const cancelledAppointments = await Appointment.countDocuments({
       status: 'cancelled',
-      appointmentDate: {
-        $gte: today,
-        $lt: tomorrow
-      }
+      appointmentDate: todayDate
     });
 
     const stats = {
@@ -322,18 +321,12 @@ router.get('/receptionist/stats', authorize('receptionist'), async (req, res) =>
   }
 });
 
-router.get('/receptionist/appointments', authorize('receptionist'), async (req, res) => {
+router.get('/receptionist/appointments', requirePermission('dashboard.receptionist'), async (req, res) => {
   try {
     const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
 
     const appointments = await Appointment.find({
-      appointmentDate: {
-        $gte: today,
-        $lt: tomorrow
-      }
+      appointmentDate: localDate(today)
     })
       .populate('patient', 'firstName lastName')
       .populate('doctor', 'firstName lastName')
@@ -346,7 +339,9 @@ router.get('/receptionist/appointments', authorize('receptionist'), async (req,
       patient: `${apt.patient?.firstName} ${apt.patient?.lastName}`,
       doctor: `Dr. ${apt.doctor?.firstName} ${apt.doctor?.lastName}`,
       time: apt.appointmentTime,
-      status: apt.status.charAt(0).toUpperCase() + apt.status.slice(1)
+      status: apt.status.charAt(0).toUpperCase() + apt.status.slice(1),
+      visit: apt.visit,
+      lateMinutes: apt.lateMinutes
     }));
 
     res.status(200).json({ 
@@ -362,4 +357,28 @@ router.get('/receptionist/appointments', authorize('receptionist'), async (req,
   }
 });
 
+// No-show and lateness figures per doctor, by default for the last 30 days
+router.get('/receptionist/attendance', requirePermission('dashboard.receptionist'), async (req, res) => {
+  try {
+    const to = req.query.to || localDate();
+    const from = req.query.from || addDays(to, -29);
+
+    const attendance = await attendanceService.attendanceByDoctor({ from, to });
+
+    res.status(200).json({ 
+      success: true, 
+      data: attendance 
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Get receptionist attendance error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
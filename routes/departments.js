@@ -1,6 +1,6 @@
 import express from 'express';
 import Department from '../models/Department.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -52,7 +52,7 @@ router.get('/search', async (req, res) => {
     }
 });
 
-router.post('/', authorize('admin'), async (req, res) => {
+router.post('/', requirePermission('departments.manage'), async (req, res) => {
     try {
         const department = new Department(req.body);
         await department.save();
@@ -1,9 +1,17 @@
 import express from 'express';
 import {
   getDirectDispensingRecords,
+  getDirectDispensingRecord,
   createDirectDispensingRecord,
+  getDirectDispensingReceipt,
+  voidDirectDispensingRecord,
+  openShift,
+  getCurrentShift,
+  getShifts,
+  getShiftReport,
+  closeShift,
 } from '../controllers/directDispensingController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -11,7 +19,20 @@ router.use(protect);
 
 router
   .route('/')
-  .get(authorize('admin', 'pharmacist', 'doctor'), getDirectDispensingRecords)
-  .post(authorize('admin', 'pharmacist'), createDirectDispensingRecord);
+  .get(requirePermission('direct_dispensing.view'), getDirectDispensingRecords)
+  .post(requirePermission('direct_dispensing.create'), createDirectDispensingRecord);
+
+router
+  .route('/shifts')
+  .get(requirePermission('direct_dispensing.create'), getShifts)
+  .post(requirePermission('direct_dispensing.create'), openShift);
+
+router.get('/shifts/current', requirePermission('direct_dispensing.create'), getCurrentShift);
+router.get('/shifts/:id/report', requirePermission('direct_dispensing.create'), getShiftReport);
+router.post('/shifts/:id/close', requirePermission('direct_dispensing.create'), closeShift);
+
+router.get('/:id', requirePermission('direct_dispensing.view'), getDirectDispensingRecord);
+router.get('/:id/receipt', requirePermission('direct_dispensing.view'), getDirectDispensingReceipt);
+router.post('/:id/void', requirePermission('direct_dispensing.void'), voidDirectDispensingRecord);
 
 export default router;
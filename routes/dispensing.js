@@ -7,7 +7,7 @@ import {
   markPrescriptionUnavailable,
   returnPrescriptionToDoctor
 } from '../controllers/dispensingController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -20,9 +20,9 @@ router.route('/')
   .post(createDispensingRecord);
 
 // New prescription-based dispensing routes
-router.get('/prescriptions', authorize('admin', 'pharmacist'), getPendingPrescriptions);
-router.post('/dispense', authorize('admin', 'pharmacist'), dispensePrescription);
-router.post('/mark-unavailable', authorize('admin', 'pharmacist'), markPrescriptionUnavailable);
-router.post('/return-to-doctor', authorize('admin', 'pharmacist'), returnPrescriptionToDoctor);
+router.get('/prescriptions', requirePermission('dispensing.view'), getPendingPrescriptions);
+router.post('/dispense', requirePermission('dispensing.dispense'), dispensePrescription);
+router.post('/mark-unavailable', requirePermission('dispensing.dispense'), markPrescriptionUnavailable);
+router.post('/return-to-doctor', requirePermission('dispensing.dispense'), returnPrescriptionToDoctor);
 
 export default router;
\ No newline at end of file
@@ -1,7 +1,10 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-import { protect, authorize } from '../middleware/auth.js';
+import Appointment from '../models/Appointment.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import Visit from '../models/Visit.js';
+import scheduleService, { localDate } from '../services/scheduleService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -9,19 +12,16 @@ const router = express.Router();
 // Apply protect middleware to all routes in this file
 router.use(protect);
 
-const viewRoles = ['admin', 'doctor', 'nurse', 'receptionist'];
-const manageRoles = ['admin'];
-
 // Get all doctors & create a new doctor
 router.route('/')
-  .get(authorize(...viewRoles), async (req, res) => {
+  .get(requirePermission('doctors.view'), async (req, res) => {
     const doctors = await User.find({ role: 'doctor' });
     res.status(200).json({ 
       success: true, 
       data: doctors 
     });
   })
-  .post(authorize(...manageRoles), async (req, res) => {
+  .post(requirePermission('doctors.manage'), async (req, res) => {
     // Add role to the request body to ensure it's set correctly
     const doctorData = { ...req.body, role: 'doctor' };
     const doctor = await User.create(doctorData);
@@ -32,7 +32,7 @@ router.route('/')
   });
 
 // Search for doctors
-router.get('/search', authorize(...viewRoles), async (req, res) => {
+router.get('/search', requirePermission('doctors.view'), async (req, res) => {
   // Assuming a search implementation exists
   const doctors = await User.find({ role: 'doctor' });
   res.status(200).json({ 
@@ -44,7 +44,7 @@ router.get('/search', authorize(...viewRoles), async (req, res) => {
 // @desc    Get the queue for the logged-in doctor
 // @route   GET /api/doctors/my-queue
 // @access  Private (Doctor only)
-router.get('/my-queue', protect, authorize('doctor'), async (req, res) => {
+router.get('/my-queue', protect, requirePermission('doctors.queue'), async (req, res) => {
   try {
     const queue = await Visit.find({ 
       doctor: req.user.id, 
@@ -71,7 +71,7 @@ router.get('/my-queue', protect, authorize('doctor'), async (req, res) => {
 // @desc    Start a visit (move from "In Queue" to "In-Progress")
 // @route   PATCH /api/doctors/visits/:visitId/start
 // @access  Private (Doctor only)
-router.patch('/visits/:visitId/start', authorize('doctor'), async (req, res) => {
+router.patch('/visits/:visitId/start', requirePermission('doctors.queue'), async (req, res) => {
     try {
         const { visitId } = req.params;
         const doctorId = req.user.id;
@@ -120,7 +120,7 @@ router.patch('/visits/:visitId/start', authorize('doctor'), async (req, res) =>
 
 // Get, update, or delete a specific doctor
 router.route('/:id')
-  .get(authorize(...viewRoles), async (req, res) => {
+  .get(requirePermission('doctors.view'), async (req, res) => {
     const doctor = await User.findOne({ _id: req.params.id, role: 'doctor' });
     if (!doctor) {
       return res.status(404).json({ 
@@ -133,7 +133,7 @@ router.route('/:id')
       data: doctor 
     });
   })
-  .put(authorize(...manageRoles), async (req, res) => {
+  .put(requirePermission('doctors.manage'), async (req, res) => {
     const doctor = await User.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true,
@@ -149,7 +149,7 @@ router.route('/:id')
       data: doctor 
     });
   })
-  .delete(authorize(...manageRoles), async (req, res) => {
+  .delete(requirePermission('doctors.manage'), async (req, res) => {
     await User.findByIdAndDelete(req.params.id);
     res.status(200).json({ 
       success: true, 
@@ -157,19 +157,192 @@ router.route('/:id')
     });
   });
 
-// Doctor specific routes
-router.get('/:id/schedule', authorize(...viewRoles), async (req, res) => {
-  res.status(200).json({ 
-    success: true, 
-    data: { schedule: [] } 
+// Clinicians keep their own schedule; anyone else needs schedules.manage
+const canManageSchedule = (req) =>
+  req.user.id === req.params.id || req.user.hasPermission('schedules.manage');
+
+// Errors raised by scheduleService carry a statusCode and a message meant
+// for the client; so do schema validation failures.
+const sendError = (res, error, fallback) => {
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({
+    status: 'error',
+    message: statusCode < 500 ? error.message : fallback,
+    ...(error.details && { conflicts: error.details })
   });
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const findClinician = (id) =>
+  mongoose.isValidObjectId(id) ? User.findById(id).select('firstName lastName role') : null;
+
+// @desc    Get a clinician's working hours, breaks and leave
+// @route   GET /api/doctors/:id/schedule
+// @access  Private (doctors.view)
+router.get('/:id/schedule', requirePermission('doctors.view'), async (req, res) => {
+  try {
+    if (!(await findClinician(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Doctor not found' });
+    }
+
+    const schedule = await scheduleService.getSchedule(req.params.id);
+    res.status(200).json({ 
+      success: true, 
+      data: { schedule } 
+    });
+  } catch (error) {
+    logger.error('Get schedule error:', error);
+    sendError(res, error, 'Server Error');
+  }
 });
 
-router.get('/:id/appointments', authorize(...viewRoles), async (req, res) => {
-  res.status(200).json({ 
-    success: true, 
-    data: { appointments: [] } 
-  });
+// @desc    Set a clinician's working hours, breaks and slot length
+// @route   PUT /api/doctors/:id/schedule
+// @access  Private (own schedule, or schedules.manage)
+router.put('/:id/schedule', async (req, res) => {
+  try {
+    if (!canManageSchedule(req)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only change your own schedule'
+      });
+    }
+    if (!(await findClinician(req.params.id))) {
+      return res.status(404).json({ status: 'error', message: 'Doctor not found' });
+    }
+
+    const { slotMinutes, weeklyHours, breaks } = req.body;
+    const schedule = await scheduleService.updateSchedule(req.params.id, { slotMinutes, weeklyHours, breaks }, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule updated',
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Update schedule error:', error);
+    sendError(res, error, 'Server Error');
+  }
+});
+
+// @desc    Record leave for a clinician
+// @route   POST /api/doctors/:id/leave
+// @access  Private (own schedule, or schedules.manage)
+router.post('/:id/leave', async (req, res) => {
+  try {
+    if (!canManageSchedule(req)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only record your own leave'
+      });
+    }
+    if (!(await findClinician(req.params.id))) {
+      return res.status(404).json({ status: 'error', message: 'Doctor not found' });
+    }
+
+    const { startDate, endDate, reason } = req.body;
+    const schedule = await scheduleService.addLeave(req.params.id, { startDate, endDate, reason }, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Leave recorded',
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Add leave error:', error);
+    sendError(res, error, 'Server Error');
+  }
+});
+
+// @desc    Cancel a clinician's leave
+// @route   DELETE /api/doctors/:id/leave/:leaveId
+// @access  Private (own schedule, or schedules.manage)
+router.delete('/:id/leave/:leaveId', async (req, res) => {
+  try {
+    if (!canManageSchedule(req)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only cancel your own leave'
+      });
+    }
+
+    const schedule = await scheduleService.removeLeave(req.params.id, req.params.leaveId, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Leave cancelled',
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Remove leave error:', error);
+    sendError(res, error, 'Server Error');
+  }
+});
+
+// @desc    Free appointment slots for a clinician
+// @route   GET /api/doctors/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD&duration=30
+// @access  Private (doctors.view)
+router.get('/:id/availability', requirePermission('doctors.view'), async (req, res) => {
+  try {
+    const { from, to, duration } = req.query;
+    if (!DATE.test(from || '') || (to && !DATE.test(to))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from (and optionally to) must be dates in YYYY-MM-DD form'
+      });
+    }
+    const length = duration ? parseInt(duration) : undefined;
+    if (length !== undefined && !(length > 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'duration must be a number of minutes'
+      });
+    }
+    if (!(await findClinician(req.params.id))) {
+      return res.status(404).json({ status: 'error', message: 'Doctor not found' });
+    }
+
+    const availability = await scheduleService.getAvailability(req.params.id, { from, to: to || from, duration: length });
+
+    res.status(200).json({
+      status: 'success',
+      data: availability
+    });
+  } catch (error) {
+    logger.error('Get availability error:', error);
+    sendError(res, error, 'Server Error');
+  }
+});
+
+// @desc    A clinician's appointments, from today onwards unless a range is given
+// @route   GET /api/doctors/:id/appointments?from=YYYY-MM-DD&to=YYYY-MM-DD&status=
+// @access  Private (doctors.view)
+router.get('/:id/appointments', requirePermission('doctors.view'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Doctor not found' });
+    }
+
+    const { from, to, status } = req.query;
+    const query = {
+      doctor: req.params.id,
+      appointmentDate: { $gte: from || localDate(), ...(to && { $lte: to }) }
+    };
+    if (status) query.status = status;
+
+    const appointments = await Appointment.find(query)
+      .populate('patient', 'firstName lastName patientId phone')
+      .sort({ appointmentDate: 1, appointmentTime: 1 });
+
+    res.status(200).json({ 
+      success: true, 
+      data: { appointments } 
+    });
+  } catch (error) {
+    logger.error('Get doctor appointments error:', error);
+    sendError(res, error, 'Server Error');
+  }
 });
 
 export default router;
\ No newline at end of file
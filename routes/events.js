@@ -0,0 +1,28 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import realtimeService from '../services/realtimeService.js';
+
+const router = express.Router();
+
+realtimeService.start();
+
+// @desc    Open a Server-Sent Events stream of notifications and queue changes
+// @route   GET /api/events
+// @access  Private
+//
+// Browsers' EventSource cannot set an Authorization header, so clients should
+// connect with `withCredentials: true` and rely on the auth cookie, which
+// protect() already accepts. What each user receives is decided by
+// EVENT_PERMISSIONS in services/realtimeService.js.
+router.get('/', protect, (req, res) => {
+  const accepted = realtimeService.addClient(req, res);
+
+  if (!accepted) {
+    res.status(429).json({
+      status: 'error',
+      message: 'Too many open event streams for this account'
+    });
+  }
+});
+
+export default router;
@@ -3,13 +3,13 @@ import {
   getIncomingItems,
   receiveIncomingItem,
 } from '../controllers/incomingItemsController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.use(protect);
 
-router.route('/').get(authorize('admin', 'pharmacist'), getIncomingItems);
-router.route('/:id').put(authorize('admin', 'pharmacist'), receiveIncomingItem);
+router.route('/').get(requirePermission('stock.manage'), getIncomingItems);
+router.route('/:id').put(requirePermission('stock.receive'), receiveIncomingItem);
 
 export default router;
@@ -8,16 +8,23 @@ import Bed from '../models/Bed.js';
 import Invoice from '../models/Invoice.js';
 import Service from '../models/Service.js';
 import billingService from '../services/billingService.js';
-import { protect, authorize } from '../middleware/auth.js';
+import pricingService from '../services/pricingService.js';
+import clinicalDecisionService from '../services/clinicalDecisionService.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { auditTrail } from '../middleware/auditTrail.js';
 import logger from '../utils/logger.js';
 import { getIPDMedications, getIPDRecordMedications } from '../controllers/ipdRecordsController.js';
 
 const router = express.Router();
 
+// Authenticated up front so the audit trail can attribute every request,
+// including reads. See middleware/auditTrail.js.
+router.use(protect, auditTrail('IPDRecord', IPDRecord));
+
 // @desc    Get all IPD records
 // @route   GET /api/ipd-records
 // @access  Private
-router.get('/', protect, authorize('admin', 'doctor', 'nurse'), async (req, res) => {
+router.get('/', protect, requirePermission('ipd.view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -87,7 +94,7 @@ router.get('/', protect, authorize('admin', 'doctor', 'nurse'), async (req, res)
 // @desc    Get IPD statistics
 // @route   GET /api/ipd-records/statistics
 // @access  Private
-router.get('/statistics', protect, authorize('admin', 'doctor', 'nurse'), async (req, res) => {
+router.get('/statistics', protect, requirePermission('ipd.view'), async (req, res) => {
   try {
     const stats = await IPDRecord.getStatistics();
     
@@ -116,7 +123,7 @@ router.get('/statistics', protect, authorize('admin', 'doctor', 'nurse'), async
 // @route   GET /api/ipd-records/medications
 // @access  Private
 // Query params: ipdRecordId, patientId, medicationStatus, medicationName
-router.get('/medications', protect, authorize('admin', 'doctor', 'nurse', 'pharmacist'), getIPDMedications);
+router.get('/medications', protect, requirePermission('ipd.medications.view'), getIPDMedications);
 
 // @desc    Get single IPD record
 // @route   GET /api/ipd-records/:id
@@ -160,7 +167,7 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Create new IPD record (admit patient) WITH AUTOMATIC INVOICE CREATION
 // @route   POST /api/ipd-records
 // @access  Private (Admin, Doctor, Nurse)
-router.post('/', protect, authorize('admin', 'doctor', 'nurse'), [
+router.post('/', protect, requirePermission('ipd.create'), [
   body('patient').notEmpty().withMessage('Patient is required'),
   body('ward').notEmpty().withMessage('Ward is required'),
   body('bed').notEmpty().withMessage('Bed is required'),
@@ -257,6 +264,17 @@ router.post('/', protect, authorize('admin', 'doctor', 'nurse'), [
       ],
       isActive: true
     });
+
+    // The ward's day rate on the patient's price list, falling back to the
+    // room charge service
+    const wardDay = await pricingService.resolvePrice({
+      itemType: 'ward_day',
+      name: ward.name,
+      item: ward._id,
+      provider: patient.insurance?.provider,
+      fallback: roomRate?.price
+    });
+    const dailyCharge = wardDay?.price || 0;
     
     // Create initial invoice with first day's room charge
     const invoice = await Invoice.create({
@@ -268,20 +286,20 @@ router.post('/', protect, authorize('admin', 'doctor', 'nurse'), [
         type: 'room_charge',
         description: `Admission - ${ward.name} (Bed ${bed.bedNumber}) - Day 1`,
         quantity: 1,
-        unitPrice: roomRate.price,
+        unitPrice: dailyCharge,
         discount: 0,
         tax: 0,
-        total: roomRate.price,
+        total: dailyCharge,
         paid: false,
         notes: `Initial room charge for ${ipdRecord.admissionNumber}`
       }],
-      subtotal: roomRate.price,
+      subtotal: dailyCharge,
       totalDiscount: 0,
       totalTax: 0,
-      totalAmount: roomRate.price,
-      patientResponsibility: roomRate.price,
+      totalAmount: dailyCharge,
+      patientResponsibility: dailyCharge,
       amountPaid: 0,
-      balanceDue: roomRate.price,
+      balanceDue: dailyCharge,
       payments: [],
       paymentTerms: 'immediate',
       dueDate: new Date(),
@@ -292,10 +310,10 @@ router.post('/', protect, authorize('admin', 'doctor', 'nurse'), [
     // Link invoice to IPD record
     ipdRecord.billing = {
       invoice: invoice._id,
-      dailyRoomCharge: roomRate.price,
-      totalAmount: roomRate.price,
+      dailyRoomCharge: dailyCharge,
+      totalAmount: dailyCharge,
       paidAmount: 0,
-      balance: roomRate.price,
+      balance: dailyCharge,
       lastRoomChargeDate: new Date()
     };
     await ipdRecord.save();
@@ -310,7 +328,7 @@ router.post('/', protect, authorize('admin', 'doctor', 'nurse'), [
 
     logger.info(
       `IPD admission created: ${ipdRecord.admissionNumber}. ` +
-      `Invoice ${invoice.invoiceNumber} created with initial room charge: ${roomRate.price}`
+      `Invoice ${invoice.invoiceNumber} created with initial room charge: ${dailyCharge}`
     );
 
     res.status(201).json({
@@ -321,9 +339,9 @@ router.post('/', protect, authorize('admin', 'doctor', 'nurse'), [
         invoice: invoice,
         billing: {
           invoiceNumber: invoice.invoiceNumber,
-          totalAmount: roomRate.price,
-          balance: roomRate.price,
-          dailyRate: roomRate.price
+          totalAmount: dailyCharge,
+          balance: dailyCharge,
+          dailyRate: dailyCharge
         }
       }
     });
@@ -340,7 +358,7 @@ router.post('/', protect, authorize('admin', 'doctor', 'nurse'), [
 // @desc    Update IPD record
 // @route   PUT /api/ipd-records/:id
 // @access  Private (Admin, Doctor, Nurse)
-router.put('/:id', protect, authorize('admin', 'doctor', 'nurse'), async (req, res) => {
+router.put('/:id', protect, requirePermission('ipd.update'), async (req, res) => {
   try {
     let record = await IPDRecord.findById(req.params.id);
 
@@ -380,7 +398,7 @@ router.put('/:id', protect, authorize('admin', 'doctor', 'nurse'), async (req, r
 // @desc    Discharge patient
 // @route   PUT /api/ipd-records/:id/discharge
 // @access  Private (Admin, Doctor)
-router.put('/:id/discharge', protect, authorize('admin', 'doctor'), [
+router.put('/:id/discharge', protect, requirePermission('ipd.discharge'), [
   body('dischargeReason').isIn(['recovered', 'referred', 'against_medical_advice', 'deceased', 'absconded', 'transferred']).withMessage('Invalid discharge reason'),
   body('dischargeSummary').optional().trim(),
 ], async (req, res) => {
@@ -462,7 +480,7 @@ router.put('/:id/discharge', protect, authorize('admin', 'doctor'), [
 // @desc    Add diagnosis to IPD record
 // @route   POST /api/ipd-records/:id/diagnosis
 // @access  Private (Doctor)
-router.post('/:id/diagnosis', protect, authorize('admin', 'doctor'), [
+router.post('/:id/diagnosis', protect, requirePermission('ipd.diagnose'), [
   body('condition').trim().notEmpty().withMessage('Condition is required'),
 ], async (req, res) => {
   try {
@@ -511,7 +529,7 @@ router.post('/:id/diagnosis', protect, authorize('admin', 'doctor'), [
 // @desc    Add vital signs to IPD record
 // @route   POST /api/ipd-records/:id/vitals
 // @access  Private (Nurse, Doctor)
-router.post('/:id/vitals', protect, authorize('admin', 'nurse', 'doctor'), async (req, res) => {
+router.post('/:id/vitals', protect, requirePermission('ipd.vitals'), async (req, res) => {
   try {
     const record = await IPDRecord.findById(req.params.id);
 
@@ -548,7 +566,7 @@ router.post('/:id/vitals', protect, authorize('admin', 'nurse', 'doctor'), async
 // @desc    Add nursing note to IPD record
 // @route   POST /api/ipd-records/:id/nursing-notes
 // @access  Private (Nurse)
-router.post('/:id/nursing-notes', protect, authorize('admin', 'nurse'), [
+router.post('/:id/nursing-notes', protect, requirePermission('ipd.nursing_notes'), [
   body('note').trim().notEmpty().withMessage('Note is required'),
   body('category').optional().isIn(['general', 'medication', 'vital_signs', 'treatment', 'observation', 'incident']),
 ], async (req, res) => {
@@ -598,7 +616,7 @@ router.post('/:id/nursing-notes', protect, authorize('admin', 'nurse'), [
 // @desc    Add medication to IPD record
 // @route   POST /api/ipd-records/:id/medications
 // @access  Private (Doctor)
-router.post('/:id/medications', protect, authorize('admin', 'doctor'), [
+router.post('/:id/medications', protect, requirePermission('ipd.medications.prescribe'), [
   body('medication').trim().notEmpty().withMessage('Medication is required'),
   body('dosage').trim().notEmpty().withMessage('Dosage is required'),
   body('frequency').trim().notEmpty().withMessage('Frequency is required'),
@@ -647,6 +665,17 @@ router.post('/:id/medications', protect, authorize('admin', 'doctor'), [
         });
       }
 
+    // Severe allergy or interaction alerts need overrideReason to go ahead
+    const { alerts, override } = await clinicalDecisionService.review({
+      patientId: record.patient._id,
+      medicine: medicineItem,
+      medication,
+      overrideReason: req.body.overrideReason,
+      userId: req.user._id,
+      entityType: 'IPDRecord',
+      entityId: record._id
+    });
+
     const medicationRecord = {
       medication: req.body.medication,
       medicineId: medicineItem._id,
@@ -659,7 +688,9 @@ router.post('/:id/medications', protect, authorize('admin', 'doctor'), [
       quantifiedPrice: null,
       endDate: req.body.endDate,
       prescribedBy: req.user._id,
-      notes: req.body.notes
+      notes: req.body.notes,
+      alerts,
+      alertOverride: override
     };
 
     record.medications.push(medicationRecord);
@@ -668,9 +699,17 @@ router.post('/:id/medications', protect, authorize('admin', 'doctor'), [
     res.status(200).json({
       status: 'success',
       message: 'Medication added successfully',
-      data: record
+      data: record,
+      alerts
     });
   } catch (error) {
+    if (error.details?.alerts) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message,
+        alerts: error.details.alerts
+      });
+    }
     logger.error('Add medication error:', error);
     res.status(500).json({
       status: 'error',
@@ -682,7 +721,7 @@ router.post('/:id/medications', protect, authorize('admin', 'doctor'), [
 // @desc    Update medication status in IPD record
 // @route   PATCH /api/ipd-records/:id/medications/:medicationId
 // @access  Private (Pharmacist, Admin)
-router.patch('/:id/medications/:medicationId', protect, authorize('admin', 'pharmacist'), async (req, res) => {
+router.patch('/:id/medications/:medicationId', protect, requirePermission('ipd.medications.dispense'), async (req, res) => {
   try {
     const { status } = req.body;
 
@@ -732,7 +771,7 @@ router.patch('/:id/medications/:medicationId', protect, authorize('admin', 'phar
 // @desc    Transfer patient to different ward/bed
 // @route   POST /api/ipd-records/:id/transfer
 // @access  Private (Admin, Doctor, Nurse)
-router.post('/:id/transfer', protect, authorize('admin', 'doctor', 'nurse'), [
+router.post('/:id/transfer', protect, requirePermission('ipd.transfer'), [
   body('newWard').notEmpty().withMessage('New ward is required'),
   body('newBed').notEmpty().withMessage('New bed is required'),
   body('transferReason').trim().notEmpty().withMessage('Transfer reason is required'),
@@ -926,7 +965,7 @@ router.post('/:id/transfer', protect, authorize('admin', 'doctor', 'nurse'), [
 // @desc    Delete IPD record
 // @route   DELETE /api/ipd-records/:id
 // @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('ipd.delete'), async (req, res) => {
   try {
     const record = await IPDRecord.findById(req.params.id);
 
@@ -955,6 +994,6 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 // @desc    Get medications for a specific IPD record
 // @route   GET /api/ipd-records/:id/medications
 // @access  Private
-router.get('/:id/medications', protect, authorize('admin', 'doctor', 'nurse', 'pharmacist'), getIPDRecordMedications);
+router.get('/:id/medications', protect, requirePermission('ipd.medications.view'), getIPDRecordMedications);
 
 export default router;
\ No newline at end of file
@@ -1,32 +1,69 @@
 import express from 'express';
 import {
-  getPurchaseOrders,
-  addPurchaseOrder,
   receiveItem,
   getStockLevels,
   getExpiringMedicines,
-  completePurchaseOrder,
 } from '../controllers/itemReceivingController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  deleteDraftPurchaseOrder,
+  approvePurchaseOrder,
+  reopenPurchaseOrder,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  closePurchaseOrder,
+  receivePurchaseOrder,
+  getGoodsReceivedNotes,
+  getGoodsReceivedNote,
+} from '../controllers/purchaseOrderController.js';
+import {
+  getReorderSuggestions,
+  createReorderDrafts,
+} from '../controllers/replenishmentController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.use(protect);
 
 router.route('/purchase-orders')
-  .get(authorize('admin', 'pharmacist', 'doctor'), getPurchaseOrders)
-  .post(authorize('admin', 'pharmacist'), addPurchaseOrder);
+  .get(requirePermission('purchase_orders.view'), getPurchaseOrders)
+  .post(requirePermission('purchase_orders.manage'), createPurchaseOrder);
+
+router.route('/purchase-orders/:id')
+  .get(requirePermission('purchase_orders.view'), getPurchaseOrder)
+  .put(requirePermission('purchase_orders.manage'), updatePurchaseOrder)
+  .delete(requirePermission('purchase_orders.manage'), deleteDraftPurchaseOrder);
 
-router.route('/purchase-orders/:id/complete')
-  .put(authorize('admin', 'pharmacist'), completePurchaseOrder);
+router.put('/purchase-orders/:id/approve', requirePermission('purchase_orders.approve'), approvePurchaseOrder);
+router.put('/purchase-orders/:id/reopen', requirePermission('purchase_orders.manage'), reopenPurchaseOrder);
+router.put('/purchase-orders/:id/send', requirePermission('purchase_orders.manage'), sendPurchaseOrder);
+router.put('/purchase-orders/:id/cancel', requirePermission('purchase_orders.manage'), cancelPurchaseOrder);
+router.put('/purchase-orders/:id/close', requirePermission('purchase_orders.manage'), closePurchaseOrder);
+// Kept for clients written before orders were closed rather than completed
+router.put('/purchase-orders/:id/complete', requirePermission('purchase_orders.manage'), closePurchaseOrder);
+
+router.post('/purchase-orders/:id/receipts', requirePermission('stock.receive'), receivePurchaseOrder);
+
+router.get('/goods-received-notes', requirePermission('purchase_orders.view'), getGoodsReceivedNotes);
+router.get('/goods-received-notes/:id', requirePermission('purchase_orders.view'), getGoodsReceivedNote);
 
 router.route('/')
-  .post(authorize('admin', 'pharmacist'), receiveItem);
+  .post(requirePermission('stock.receive'), receiveItem);
 
 router.route('/stock')
-  .get(authorize('admin', 'pharmacist', 'doctor'), getStockLevels);
+  .get(requirePermission('stock.view'), getStockLevels);
+
+router.route('/reorder-suggestions')
+  .get(requirePermission('stock.view'), getReorderSuggestions);
+
+router.route('/reorder-suggestions/purchase-orders')
+  .post(requirePermission('purchase_orders.manage'), createReorderDrafts);
 
 router.route('/expiring')
-  .get(authorize('admin', 'pharmacist'), getExpiringMedicines);
+  .get(requirePermission('stock.manage'), getExpiringMedicines);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,60 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/auth.js';
+import jobScheduler from '../services/jobs.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(protect, requirePermission('jobs.manage'));
+
+// @desc    List scheduled jobs with when they last ran and next run
+// @route   GET /api/jobs
+// @access  Private (jobs.manage)
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await jobScheduler.list();
+
+    res.status(200).json({
+      status: 'success',
+      data: jobs
+    });
+  } catch (error) {
+    logger.error('Get jobs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Run a job now, unless another instance is already running it
+// @route   POST /api/jobs/:name/run
+// @access  Private (jobs.manage)
+router.post('/:name/run', async (req, res) => {
+  try {
+    const run = await jobScheduler.runJob(req.params.name, { force: true });
+    if (!run) {
+      return res.status(409).json({
+        status: 'error',
+        message: `${req.params.name} is already running`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: run.status === 'succeeded' ? `${run.name} ran successfully` : `${run.name} failed: ${run.error}`,
+      data: run
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    logger.error('Run job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
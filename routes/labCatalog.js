@@ -0,0 +1,155 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import LabTestDefinition from '../models/LabTestDefinition.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import labCatalogService from '../services/labCatalogService.js';
+import logger from '../utils/logger.js';
+
+// The tests the laboratory offers: codes, specimens, analytes with their
+// reference ranges, and the price lab orders are billed at.
+const router = express.Router();
+
+router.use(protect);
+
+const FIELDS = ['code', 'name', 'kind', 'category', 'specimenType', 'analytes', 'components', 'price', 'turnaroundHours', 'isActive'];
+
+const pick = (source) =>
+  Object.fromEntries(FIELDS.filter((f) => source[f] !== undefined).map((f) => [f, source[f]]));
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sendError = (res, error, label) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ status: 'error', message: 'A test with that code already exists' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ status: 'error', message: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({ status: 'error', message: 'Server Error' });
+};
+
+const findTest = (id) => (mongoose.isValidObjectId(id) ? LabTestDefinition.findById(id) : null);
+
+// @desc    List catalog tests, active only unless ?active=false or ?active=all
+// @route   GET /api/lab-catalog
+// @access  Private (lab_tests.view)
+router.get('/', requirePermission('lab_tests.view'), async (req, res) => {
+  try {
+    const { search, category, kind, active } = req.query;
+
+    const query = {};
+    if (active !== 'all') query.isActive = active !== 'false';
+    if (category) query.category = category;
+    if (kind) query.kind = kind;
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ name: pattern }, { code: pattern }];
+    }
+
+    const tests = await LabTestDefinition.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: tests.length,
+      data: tests
+    });
+  } catch (error) {
+    sendError(res, error, 'Get lab catalog');
+  }
+});
+
+// @desc    Get a catalog test, with the analytes it reports (a panel's
+//          come from its component tests)
+// @route   GET /api/lab-catalog/:id
+// @access  Private (lab_tests.view)
+router.get('/:id', requirePermission('lab_tests.view'), async (req, res) => {
+  try {
+    const test = await findTest(req.params.id);
+    if (!test) {
+      return res.status(404).json({ status: 'error', message: 'Lab test not found' });
+    }
+
+    await test.populate('components', 'code name specimenType isActive');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...test.toObject(),
+        reportedAnalytes: await labCatalogService.analytesFor(test)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get lab catalog test');
+  }
+});
+
+// @desc    Add a test or panel to the catalog
+// @route   POST /api/lab-catalog
+// @access  Private (lab_catalog.manage)
+router.post('/', requirePermission('lab_catalog.manage'), async (req, res) => {
+  try {
+    const test = new LabTestDefinition({ ...pick(req.body), updatedBy: req.user._id });
+    await labCatalogService.checkComponents(test);
+    await test.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: test
+    });
+  } catch (error) {
+    sendError(res, error, 'Create lab catalog test');
+  }
+});
+
+// @desc    Edit a catalog test. Results already entered keep the ranges
+//          they were flagged against.
+// @route   PUT /api/lab-catalog/:id
+// @access  Private (lab_catalog.manage)
+router.put('/:id', requirePermission('lab_catalog.manage'), async (req, res) => {
+  try {
+    const test = await findTest(req.params.id);
+    if (!test) {
+      return res.status(404).json({ status: 'error', message: 'Lab test not found' });
+    }
+
+    test.set({ ...pick(req.body), updatedBy: req.user._id });
+    await labCatalogService.checkComponents(test);
+    await test.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: test
+    });
+  } catch (error) {
+    sendError(res, error, 'Update lab catalog test');
+  }
+});
+
+// @desc    Withdraw a test from ordering (soft delete)
+// @route   DELETE /api/lab-catalog/:id
+// @access  Private (lab_catalog.manage)
+router.delete('/:id', requirePermission('lab_catalog.manage'), async (req, res) => {
+  try {
+    const test = await findTest(req.params.id);
+    if (!test) {
+      return res.status(404).json({ status: 'error', message: 'Lab test not found' });
+    }
+
+    test.isActive = false;
+    test.updatedBy = req.user._id;
+    await test.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lab test deactivated successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete lab catalog test');
+  }
+});
+
+export default router;
@@ -1,15 +1,34 @@
 import express from 'express';
 import Visit from '../models/Visit.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import labCatalogService from '../services/labCatalogService.js';
+import labSpecimenService from '../services/labSpecimenService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 router.use(protect);
 
+// Deliberate errors from the lab services carry their status; anything
+// else is logged as a server error.
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    status: 'error',
+    message: 'Server Error'
+  });
+};
+
 // @desc    Get all lab test orders (aggregated from all visits)
 // @route   GET /api/lab-tests
 // @access  Private (Admin, Lab Technician, Doctor)
-router.get('/', authorize('admin', 'lab_technician', 'doctor'), async (req, res) => {
+router.get('/', requirePermission('lab_tests.view'), async (req, res) => {
   try {
     const { status, patientId } = req.query;
 
@@ -41,9 +60,13 @@ router.get('/', authorize('admin', 'lab_technician', 'doctor'), async (req, res)
           allLabTests.push({
             _id: order._id,
             testName: order.testName,
+            test: order.test,
+            testCode: order.testCode,
+            specimenType: order.specimenType,
             notes: order.notes,
             status: order.status,
             results: order.results,
+            analyteResults: order.analyteResults,
             createdAt: order.createdAt || order.orderedAt, // Use createdAt from timestamps
             completedAt: order.completedAt,
             patient: visit.patient,
@@ -76,10 +99,27 @@ router.get('/', authorize('admin', 'lab_technician', 'doctor'), async (req, res)
   }
 });
 
+// @desc    Turnaround times per test and per technician for specimens
+//          collected between two dates
+// @route   GET /api/lab-tests/turnaround?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (lab_tests.view)
+router.get('/turnaround', requirePermission('lab_tests.view'), async (req, res) => {
+  try {
+    const data = await labSpecimenService.turnaround({ from: req.query.from, to: req.query.to });
+
+    res.status(200).json({
+      status: 'success',
+      data
+    });
+  } catch (error) {
+    sendError(res, error, 'Lab turnaround');
+  }
+});
+
 // @desc    Get single lab test by ID
 // @route   GET /api/lab-tests/:id
 // @access  Private (Admin, Lab Technician, Doctor)
-router.get('/:id', authorize('admin', 'lab_technician', 'doctor'), async (req, res) => {
+router.get('/:id', requirePermission('lab_tests.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -126,15 +166,16 @@ router.get('/:id', authorize('admin', 'lab_technician', 'doctor'), async (req, r
   }
 });
 
-// @desc    Update lab test results
+// @desc    Update lab test results, as text or per analyte for catalog tests
+//          ({ analytes: [{ code, value }] }, flagged against reference ranges)
 // @route   PATCH /api/lab-tests/:id/results
 // @access  Private (Admin, Lab Technician)
-router.patch('/:id/results', authorize('admin', 'lab_technician'), async (req, res) => {
+router.patch('/:id/results', requirePermission('lab_tests.results'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { results, notes } = req.body;
+    const { results, analytes, notes } = req.body;
 
-    if (!results) {
+    if (!results && !analytes) {
       return res.status(400).json({
         status: 'error',
         message: 'Results are required'
@@ -161,7 +202,13 @@ router.patch('/:id/results', authorize('admin', 'lab_technician'), async (req, r
     }
 
     // Update the lab order
-    labOrder.results = results;
+    labSpecimenService.markResulted(labOrder, req.user.id);
+    let recorded = null;
+    if (analytes) {
+      recorded = await labCatalogService.recordResults(labOrder, analytes, { patientId: visit.patient });
+    } else {
+      labOrder.results = results;
+    }
     if (notes) labOrder.notes = notes;
     labOrder.status = 'Completed';
     labOrder.completedAt = new Date();
@@ -171,24 +218,102 @@ router.patch('/:id/results', authorize('admin', 'lab_technician'), async (req, r
 
     logger.info(`Lab test ${id} completed by ${req.user.firstName} ${req.user.lastName}`);
 
+    if (recorded?.critical.length) {
+      await labCatalogService.notifyCritical({ ...recorded, labOrder, visit, sender: req.user.id });
+      logger.warn(`Lab test ${id} has ${recorded.critical.length} critical value(s)`);
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'Lab test results saved successfully',
-      data: labOrder
+      data: labOrder,
+      critical: recorded ? recorded.critical.length > 0 : false
     });
   } catch (error) {
-    logger.error('Update lab test results error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Server Error'
+    sendError(res, error, 'Update lab test results');
+  }
+});
+
+// Specimen steps. :id is the lab order or the accession number scanned
+// from the specimen label.
+
+// @desc    Collect a specimen, allocating its accession number, and return
+//          the label to print
+// @route   POST /api/lab-tests/:id/collect
+// @access  Private (lab_tests.collect)
+router.post('/:id/collect', requirePermission('lab_tests.collect'), async (req, res) => {
+  try {
+    const { labOrder, specimen, label } = await labSpecimenService.collect(req.params.id, req.user.id, {
+      specimenType: req.body.specimenType,
+      notes: req.body.notes
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Specimen ${specimen.accessionNumber} collected`,
+      data: { labOrder, specimen, label }
     });
+  } catch (error) {
+    sendError(res, error, 'Collect specimen');
   }
 });
 
+// @desc    Reprint a specimen label
+// @route   GET /api/lab-tests/:id/label
+// @access  Private (lab_tests.collect)
+router.get('/:id/label', requirePermission('lab_tests.collect'), async (req, res) => {
+  try {
+    const { visit, labOrder, specimen } = await labSpecimenService.findOrder(req.params.id);
+    if (!specimen) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No specimen has been collected for this test'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: await labSpecimenService.label(visit, labOrder, specimen)
+    });
+  } catch (error) {
+    sendError(res, error, 'Specimen label');
+  }
+});
+
+const SPECIMEN_STEPS = [
+  // [path, status, permission, message]
+  ['receive', 'received', 'lab_tests.results', 'received in the lab'],
+  ['start', 'in_process', 'lab_tests.results', 'in process'],
+  ['reject', 'rejected', 'lab_tests.results', 'rejected; collect a new specimen'],
+  ['verify', 'verified', 'lab_tests.verify', 'results verified']
+];
+
+// @desc    Receive a specimen in the lab, start processing it, reject it
+//          ({ reason }) or verify its results
+// @route   POST /api/lab-tests/:id/receive|start|reject|verify
+// @access  Private (lab_tests.results; lab_tests.verify to verify)
+for (const [path, status, permission, message] of SPECIMEN_STEPS) {
+  router.post(`/:id/${path}`, requirePermission(permission), async (req, res) => {
+    try {
+      const { labOrder, specimen } = await labSpecimenService.advance(req.params.id, status, req.user.id, {
+        reason: req.body.reason
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: `Specimen ${specimen.accessionNumber} ${message}`,
+        data: { labOrder, specimen }
+      });
+    } catch (error) {
+      sendError(res, error, `Specimen ${path}`);
+    }
+  });
+}
+
 // @desc    Update lab test status
 // @route   PATCH /api/lab-tests/:id/status
 // @access  Private (Admin, Lab Technician)
-router.patch('/:id/status', authorize('admin', 'lab_technician'), async (req, res) => {
+router.patch('/:id/status', requirePermission('lab_tests.results'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -239,7 +364,7 @@ router.patch('/:id/status', authorize('admin', 'lab_technician'), async (req, re
 // @desc    Delete/Cancel lab test
 // @route   DELETE /api/lab-tests/:id
 // @access  Private (Admin)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+router.delete('/:id', requirePermission('lab_tests.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -6,19 +6,19 @@ import {
   updateMedicine,
   deleteMedicine,
 } from '../controllers/medicineController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.use(protect);
 
 router.route('/')
-  .get(authorize('admin', 'pharmacist', 'doctor', 'nurse', 'receptionist'), getMedicines)
-  .post(authorize('admin', 'pharmacist'), createMedicine);
+  .get(requirePermission('medicines.view'), getMedicines)
+  .post(requirePermission('medicines.manage'), createMedicine);
 
 router.route('/:id')
-  .get(authorize('admin', 'pharmacist', 'doctor', 'nurse', 'receptionist'), getMedicine)
-  .put(authorize('admin', 'pharmacist'), updateMedicine)
-  .delete(authorize('admin', 'pharmacist'), deleteMedicine);
+  .get(requirePermission('medicines.view'), getMedicine)
+  .put(requirePermission('medicines.manage'), updateMedicine)
+  .delete(requirePermission('medicines.manage'), deleteMedicine);
 
 export default router;
\ No newline at end of file
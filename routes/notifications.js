@@ -0,0 +1,334 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { protect } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Every query in this router is scoped to `recipient: req.user._id`. A
+ * notification id alone is never enough to read, mark or delete a document:
+ * ids leak through action URLs and logs, and another user's inbox must not be
+ * reachable by guessing one.
+ */
+
+const TYPES = Notification.schema.path('type').enumValues;
+const PRIORITIES = Notification.schema.path('priority').enumValues;
+const ENTITY_TYPES = Notification.schema.path('relatedEntity.entityType').enumValues;
+
+// Upper bound on ids accepted by the bulk endpoints, so one request cannot
+// turn into an unbounded $in.
+const MAX_BULK_IDS = 500;
+
+// Build the inbox filter from the query string. Unknown enum values are
+// rejected rather than ignored: silently dropping a misspelt `type` would
+// return the whole inbox and look like a match.
+const buildFilter = (userId, query) => {
+  const filter = { recipient: userId };
+
+  if (query.type) {
+    const types = String(query.type).split(',');
+    const invalid = types.filter((t) => !TYPES.includes(t));
+    if (invalid.length) return { error: `Invalid notification type: ${invalid.join(', ')}` };
+    filter.type = { $in: types };
+  }
+
+  if (query.priority) {
+    const priorities = String(query.priority).split(',');
+    const invalid = priorities.filter((p) => !PRIORITIES.includes(p));
+    if (invalid.length) return { error: `Invalid priority: ${invalid.join(', ')}` };
+    filter.priority = { $in: priorities };
+  }
+
+  if (query.isRead !== undefined) {
+    filter.isRead = query.isRead === 'true';
+  } else if (query.unread === 'true') {
+    filter.isRead = false;
+  }
+
+  if (query.entityType) {
+    if (!ENTITY_TYPES.includes(query.entityType)) {
+      return { error: `Invalid related entity type: ${query.entityType}` };
+    }
+    filter['relatedEntity.entityType'] = query.entityType;
+  }
+
+  if (query.entityId) {
+    if (!mongoose.Types.ObjectId.isValid(query.entityId)) {
+      return { error: 'Invalid related entity id' };
+    }
+    filter['relatedEntity.entityId'] = query.entityId;
+  }
+
+  return { filter };
+};
+
+// A malformed id can never match, so answer 404 up front instead of letting
+// the CastError surface as a 500 from inside the handlers below.
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Notification not found'
+    });
+  }
+  next();
+});
+
+// Validate a bulk id list from the request body.
+const parseIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: 'ids must be a non-empty array' };
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    return { error: `At most ${MAX_BULK_IDS} ids may be sent at once` };
+  }
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'ids must all be valid notification ids' };
+  }
+  return { ids };
+};
+
+// @desc    Get the current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.user._id, req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    const [total, unreadCount, notifications] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.getUnreadCount(req.user._id),
+      Notification.find(filter)
+        .populate('sender', 'firstName lastName role')
+        .sort({ createdAt: -1 })
+        .skip(startIndex)
+        .limit(limit),
+    ]);
+
+    const pagination = {};
+
+    if (endIndex < total) {
+      pagination.next = { page: page + 1, limit };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = { page: page - 1, limit };
+    }
+
+    res.status(200).json({
+      status: 'success',
+      count: notifications.length,
+      total,
+      unreadCount,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      pagination,
+      data: notifications
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get unread notification counts for the current user
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const [total, byPriority] = await Promise.all([
+      Notification.getUnreadCount(req.user._id),
+      Notification.aggregate([
+        { $match: { recipient: req.user._id, isRead: false } },
+        { $group: { _id: '$priority', count: { $sum: 1 } } }
+      ]),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total,
+        byPriority: Object.fromEntries(
+          PRIORITIES.map((p) => [p, byPriority.find((b) => b._id === p)?.count || 0])
+        )
+      }
+    });
+  } catch (error) {
+    logger.error('Get unread count error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+router.patch('/read-all', protect, async (req, res) => {
+  try {
+    // The same filters as the inbox, so "mark these read" can apply to a
+    // filtered view (e.g. only lab results) rather than everything.
+    const { filter, error } = buildFilter(req.user._id, req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const result = await Notification.updateMany(
+      { ...filter, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { modified: result.modifiedCount }
+    });
+  } catch (error) {
+    logger.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark a single notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+router.patch('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      await notification.markAsRead();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: notification
+    });
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark a single notification as unread
+// @route   PATCH /api/notifications/:id/unread
+// @access  Private
+router.patch('/:id/unread', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { $set: { isRead: false }, $unset: { readAt: 1 } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: notification
+    });
+  } catch (error) {
+    logger.error('Mark notification unread error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete several of the current user's notifications
+// @route   DELETE /api/notifications
+// @access  Private
+router.delete('/', protect, async (req, res) => {
+  try {
+    const { ids, error } = parseIds(req.body?.ids);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const result = await Notification.deleteMany({
+      _id: { $in: ids },
+      recipient: req.user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.deletedCount} notification(s) deleted`,
+      data: { deleted: result.deletedCount }
+    });
+  } catch (error) {
+    logger.error('Bulk delete notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a single notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete notification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -2,12 +2,20 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 import Patient from '../models/Patient.js';
+import PatientMerge from '../models/PatientMerge.js';
 import InsuranceProvider from '../models/InsuranceProvider.js';
-import { protect, authorize } from '../middleware/auth.js';
+import patientMergeService from '../services/patientMergeService.js';
+import patientSummaryService from '../services/patientSummaryService.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { auditTrail } from '../middleware/auditTrail.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Authenticated up front so the audit trail can attribute every request,
+// including reads. See middleware/auditTrail.js.
+router.use(protect, auditTrail('Patient', Patient));
+
 // Helper function to validate and convert insurance provider
 const validateInsuranceProvider = async (insuranceData) => {
   if (!insuranceData || !insuranceData.provider) {
@@ -54,7 +62,7 @@ const cleanInsuranceData = (data) => {
 // @desc    Search patients
 // @route   GET /api/patients/search
 // @access  Private
-router.get('/search', protect, authorize('admin', 'doctor', 'receptionist', 'pharmacist', 'nurse'), async (req, res) => {
+router.get('/search', protect, requirePermission('patients.search'), async (req, res) => {
   try {
     const { q, name } = req.query;
     const searchQuery = q || name;
@@ -67,6 +75,7 @@ router.get('/search', protect, authorize('admin', 'doctor', 'receptionist', 'pha
     }
 
     const patients = await Patient.find({
+      status: { $ne: 'merged' },
       $or: [
         { firstName: { $regex: searchQuery, $options: 'i' } },
         { middleName: { $regex: searchQuery, $options: 'i' } },
@@ -97,15 +106,17 @@ router.get('/search', protect, authorize('admin', 'doctor', 'receptionist', 'pha
 // @desc    Get all patients
 // @route   GET /api/patients
 // @access  Private
-router.get('/', protect, authorize('admin', 'doctor', 'receptionist', 'pharmacist'), async (req, res) => {
+router.get('/', protect, requirePermission('patients.list'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Patient.countDocuments();
+    // Records merged into another are kept for reversal but not listed
+    const query = { status: { $ne: 'merged' } };
+    const total = await Patient.countDocuments(query);
 
-    const patients = await Patient.find()
+    const patients = await Patient.find(query)
       .populate('insurance.provider', 'name code')
       .skip(startIndex)
       .limit(limit)
@@ -145,7 +156,7 @@ router.get('/', protect, authorize('admin', 'doctor', 'receptionist', 'pharmacis
 // @desc    Get patients statistics
 // @route   GET /api/patients/statistics
 // @access  Private
-router.get('/statistics', protect, authorize('admin'), async (req, res) => {
+router.get('/statistics', protect, requirePermission('patients.statistics'), async (req, res) => {
   try {
     const stats = await Patient.getStatistics();
     
@@ -168,10 +179,157 @@ router.get('/statistics', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    List patient merges, newest first
+// @route   GET /api/patients/merges?patient=
+// @access  Private (patients.merge)
+router.get('/merges', protect, requirePermission('patients.merge'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.patient) {
+      query.$or = [{ survivor: req.query.patient }, { duplicate: req.query.patient }];
+    }
+
+    const merges = await PatientMerge.find(query)
+      .select('-moved.ids')
+      .populate('survivor', 'patientId firstName lastName')
+      .populate('duplicate', 'patientId firstName lastName')
+      .populate('mergedBy', 'firstName lastName')
+      .populate('reversedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      status: 'success',
+      data: merges
+    });
+  } catch (error) {
+    logger.error('Get patient merges error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reverse a merge, giving the duplicate back its records
+// @route   POST /api/patients/merges/:mergeId/reverse
+// @access  Private (patients.merge)
+router.post('/merges/:mergeId/reverse', protect, requirePermission('patients.merge'), async (req, res) => {
+  try {
+    const merge = await patientMergeService.reverse(req.params.mergeId, {
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Merge reversed',
+      data: merge
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    logger.error('Reverse patient merge error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Clinical summary: problems, allergies, medications, vitals, results, surgeries and balance
+// @route   GET /api/patients/:id/summary?from=&to=&limit=
+// @access  Private (patients.summary)
+router.get('/:id/summary', protect, requirePermission('patients.summary'), async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+    const summary = await patientSummaryService.getSummary(req.params.id, { from, to, limit });
+
+    res.status(200).json({
+      status: 'success',
+      data: summary
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    logger.error('Get patient summary error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Registered patients who may be the same person as this one
+// @route   GET /api/patients/:id/duplicates
+// @access  Private (patients.view)
+router.get('/:id/duplicates', protect, requirePermission('patients.view'), async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id);
+    if (!patient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Patient not found'
+      });
+    }
+
+    const duplicates = await patientMergeService.findDuplicates(patient.toObject(), { excludeId: patient._id });
+
+    res.status(200).json({
+      status: 'success',
+      count: duplicates.length,
+      data: duplicates
+    });
+  } catch (error) {
+    logger.error('Find duplicate patients error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Merge a duplicate record into this patient
+// @route   POST /api/patients/:id/merge
+// @access  Private (patients.merge)
+router.post('/:id/merge', protect, requirePermission('patients.merge'), async (req, res) => {
+  try {
+    const { duplicateId, reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(duplicateId || '')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The patient to keep and the duplicate to merge into it are required'
+      });
+    }
+
+    const merge = await patientMergeService.merge(req.params.id, duplicateId, {
+      reason,
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Merged ${merge.moved.reduce((n, m) => n + m.ids.length, 0)} record(s) into this patient`,
+      data: merge
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    logger.error('Merge patients error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get single patient
 // @route   GET /api/patients/:id
 // @access  Private
-router.get('/:id', protect, authorize('admin', 'doctor', 'receptionist'), async (req, res) => {
+router.get('/:id', protect, requirePermission('patients.view'), async (req, res) => {
   try {
     const patient = await Patient.findById(req.params.id)
       .populate('insurance.provider', 'name code type');
@@ -199,7 +357,7 @@ router.get('/:id', protect, authorize('admin', 'doctor', 'receptionist'), async
 // @desc    Create new patient
 // @route   POST /api/patients
 // @access  Private
-router.post('/', protect, authorize('admin', 'receptionist'), [
+router.post('/', protect, requirePermission('patients.create'), [
   body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
   body('middleName').trim().isLength({ min:2, max: 50 }).withMessage('Middle name must be between 2 and 50 characters'),
   body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
@@ -232,7 +390,21 @@ router.post('/', protect, authorize('admin', 'receptionist'), [
       patientData.insurance = await validateInsuranceProvider(patientData.insurance);
     }
 
-    const patient = await Patient.create(patientData);
+    // Stop a second registration of the same person unless the clerk has
+    // seen the possible matches and confirms this is someone else
+    const { allowDuplicate, ...details } = patientData;
+    if (String(allowDuplicate) !== 'true') {
+      const duplicates = await patientMergeService.findDuplicates(details);
+      if (duplicates.length) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'This patient may already be registered. Check the matches, or send allowDuplicate to register them anyway.',
+          duplicates
+        });
+      }
+    }
+
+    const patient = await Patient.create(details);
     
     // Populate insurance provider before sending response
     await patient.populate('insurance.provider', 'name code');
@@ -254,7 +426,7 @@ router.post('/', protect, authorize('admin', 'receptionist'), [
 // @desc    Update patient
 // @route   PUT /api/patients/:id
 // @access  Private
-router.put('/:id', protect, authorize('admin', 'receptionist'), [
+router.put('/:id', protect, requirePermission('patients.update'), [
   body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
   body('middleName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Middle name must be between 2 and 50 characters'),
   body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
@@ -319,7 +491,7 @@ router.put('/:id', protect, authorize('admin', 'receptionist'), [
 // @desc    Delete patient
 // @route   DELETE /api/patients/:id
 // @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('patients.delete'), async (req, res) => {
   try {
     const patient = await Patient.findById(req.params.id);
     if (!patient) {
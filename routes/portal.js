@@ -0,0 +1,374 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import mongoose from 'mongoose';
+import Visit from '../models/Visit.js';
+import Appointment from '../models/Appointment.js';
+import Invoice from '../models/Invoice.js';
+import User from '../models/User.js';
+import { protectPatient, authRateLimit } from '../middleware/auth.js';
+import portalService from '../services/portalService.js';
+import billingService from '../services/billingService.js';
+import scheduleService, { addDays, localDate } from '../services/scheduleService.js';
+import waitlistService from '../services/waitlistService.js';
+import logger from '../utils/logger.js';
+
+// Patient self-service. Patients sign in with a one-time code sent to the
+// phone or email on their record and only ever see their own records.
+const router = express.Router();
+
+const codeLimiter = rateLimit(authRateLimit);
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const CODE_SENT_RESPONSE =
+  'If those details match our records, a sign-in code has been sent.';
+
+const sendError = (res, error, label) => {
+  if (!error.statusCode) {
+    logger.error(`${label} error:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode ? error.message : 'Server error'
+  });
+};
+
+const profile = (patient) => ({
+  _id: patient._id,
+  patientId: patient.patientId,
+  firstName: patient.firstName,
+  middleName: patient.middleName,
+  lastName: patient.lastName,
+  dateOfBirth: patient.dateOfBirth,
+  gender: patient.gender,
+  phone: patient.phone,
+  email: patient.email,
+  address: patient.address,
+  bloodType: patient.bloodType,
+  allergies: patient.allergies,
+  insurance: patient.insurance?.membershipNumber
+    ? { membershipNumber: patient.insurance.membershipNumber, expiryDate: patient.insurance.expiryDate }
+    : null
+});
+
+// @desc    Send a sign-in code to the patient's registered phone or email
+// @route   POST /api/portal/auth/request-code
+// @access  Public
+router.post('/auth/request-code', codeLimiter, async (req, res) => {
+  try {
+    const { patientId, contact } = req.body;
+    if (!patientId || !contact) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Your patient number and your phone number or email are required'
+      });
+    }
+
+    await portalService.requestCode({ patientId, contact });
+
+    res.status(200).json({
+      status: 'success',
+      message: CODE_SENT_RESPONSE
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal request code');
+  }
+});
+
+// @desc    Sign in with a code
+// @route   POST /api/portal/auth/verify
+// @access  Public
+router.post('/auth/verify', codeLimiter, async (req, res) => {
+  try {
+    const { patient, token } = await portalService.verifyCode(req.body);
+
+    res.status(200).json({
+      status: 'success',
+      data: { patient: profile(patient), token }
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal verify code');
+  }
+});
+
+router.use(protectPatient);
+
+// @desc    The signed-in patient's details
+// @route   GET /api/portal/me
+// @access  Patient
+router.get('/me', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: profile(req.patient)
+  });
+});
+
+// @desc    The patient's visits, newest first
+// @route   GET /api/portal/visits
+// @access  Patient
+router.get('/visits', async (req, res) => {
+  try {
+    const visits = await Visit.find({ patient: req.patient._id })
+      .select('visitId visitDate status type reason doctor diagnosis')
+      .populate('doctor', 'firstName lastName')
+      .sort({ visitDate: -1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: visits.map((visit) => ({
+        _id: visit._id,
+        visitId: visit.visitId,
+        visitDate: visit.visitDate,
+        status: visit.status,
+        type: visit.type,
+        reason: visit.reason,
+        doctor: visit.doctor && `Dr. ${visit.doctor.firstName} ${visit.doctor.lastName}`,
+        diagnoses: (visit.diagnosis || []).filter((d) => d.isFinal).map((d) => d.condition)
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal get visits');
+  }
+});
+
+// @desc    Results of the patient's completed lab tests, newest first
+// @route   GET /api/portal/lab-results
+// @access  Patient
+router.get('/lab-results', async (req, res) => {
+  try {
+    const visits = await Visit.find({ patient: req.patient._id, 'labOrders.status': 'Completed' })
+      .select('visitId visitDate labOrders')
+      .lean();
+
+    const results = visits
+      .flatMap((visit) => visit.labOrders
+        .filter((order) => order.status === 'Completed')
+        .map((order) => ({
+          _id: order._id,
+          testName: order.testName,
+          results: order.results,
+          notes: order.notes,
+          completedAt: order.completedAt,
+          visitId: visit.visitId,
+          visitDate: visit.visitDate
+        })))
+      .sort((a, b) => new Date(b.completedAt || b.visitDate) - new Date(a.completedAt || a.visitDate));
+
+    res.status(200).json({
+      status: 'success',
+      data: results
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal get lab results');
+  }
+});
+
+// @desc    The patient's prescriptions, newest first
+// @route   GET /api/portal/prescriptions
+// @access  Patient
+router.get('/prescriptions', async (req, res) => {
+  try {
+    const visits = await Visit.find({ patient: req.patient._id, 'prescriptions.0': { $exists: true } })
+      .select('visitId visitDate prescriptions')
+      .populate('prescriptions.prescribedBy', 'firstName lastName')
+      .lean();
+
+    const prescriptions = visits
+      .flatMap((visit) => visit.prescriptions
+        .filter((p) => p.isActive !== false)
+        .map((p) => ({
+          _id: p._id,
+          medication: p.medication,
+          dosage: p.dosage,
+          frequency: p.frequency,
+          duration: p.duration,
+          notes: p.notes,
+          status: p.status,
+          prescribedBy: p.prescribedBy && `Dr. ${p.prescribedBy.firstName} ${p.prescribedBy.lastName}`,
+          prescribedAt: p.createdAt,
+          visitId: visit.visitId
+        })))
+      .sort((a, b) => new Date(b.prescribedAt) - new Date(a.prescribedAt));
+
+    res.status(200).json({
+      status: 'success',
+      data: prescriptions
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal get prescriptions');
+  }
+});
+
+// @desc    The patient's invoices, newest first
+// @route   GET /api/portal/invoices
+// @access  Patient
+router.get('/invoices', async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ patient: req.patient._id, status: { $ne: 'draft' } })
+      .select('invoiceNumber status items totalAmount amountPaid balanceDue dueDate createdAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: invoices
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal get invoices');
+  }
+});
+
+// @desc    Statement of charges and payments, by default for the last 90 days
+// @route   GET /api/portal/statement?from=&to=
+// @access  Patient
+router.get('/statement', async (req, res) => {
+  try {
+    const to = req.query.to || localDate();
+    const from = req.query.from || addDays(to, -89);
+    if (!DATE.test(from) || !DATE.test(to) || to < from) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to must be YYYY-MM-DD, from first'
+      });
+    }
+
+    const statement = await billingService.generateStatement(req.patient._id, `${from}T00:00:00`, `${to}T23:59:59.999`);
+
+    res.status(200).json({
+      status: 'success',
+      data: { ...statement, period: { startDate: from, endDate: to } }
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal get statement');
+  }
+});
+
+// @desc    Pay what is left on an invoice online
+// @route   POST /api/portal/invoices/:id/pay
+// @access  Patient
+router.post('/invoices/:id/pay', async (req, res) => {
+  try {
+    const link = await portalService.paymentLink(req.patient, req.params.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Pay Tsh. ${link.amount} at the link provided`,
+      data: link
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal payment link');
+  }
+});
+
+// @desc    Doctors who can be booked from the portal
+// @route   GET /api/portal/doctors
+// @access  Patient
+router.get('/doctors', async (req, res) => {
+  try {
+    const doctors = await User.find({ role: 'doctor', isActive: true })
+      .select('firstName lastName department')
+      .sort({ lastName: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: doctors
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal get doctors');
+  }
+});
+
+// @desc    A doctor's free slots
+// @route   GET /api/portal/doctors/:id/availability?from=&to=
+// @access  Patient
+router.get('/doctors/:id/availability', async (req, res) => {
+  try {
+    const from = req.query.from || localDate();
+    const to = req.query.to || from;
+    if (!mongoose.isValidObjectId(req.params.id) || !DATE.test(from) || !DATE.test(to)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A doctor and dates (YYYY-MM-DD) are required'
+      });
+    }
+
+    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor', isActive: true });
+    if (!doctor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Doctor not found'
+      });
+    }
+
+    const availability = await scheduleService.getAvailability(doctor._id, { from, to });
+
+    res.status(200).json({
+      status: 'success',
+      data: availability
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal get availability');
+  }
+});
+
+// @desc    The patient's appointments, soonest first
+// @route   GET /api/portal/appointments
+// @access  Patient
+router.get('/appointments', async (req, res) => {
+  try {
+    const appointments = await Appointment.find({ patient: req.patient._id })
+      .select('appointmentId appointmentDate appointmentTime duration type status reason doctor bookedVia')
+      .populate('doctor', 'firstName lastName')
+      .sort({ appointmentDate: 1, appointmentTime: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: appointments
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal get appointments');
+  }
+});
+
+// @desc    Book an appointment
+// @route   POST /api/portal/appointments
+// @access  Patient
+router.post('/appointments', async (req, res) => {
+  try {
+    const appointment = await portalService.bookAppointment(req.patient, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Booked for ${appointment.appointmentDate} at ${appointment.appointmentTime}`,
+      data: appointment
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal book appointment');
+  }
+});
+
+// @desc    Cancel an appointment
+// @route   PATCH /api/portal/appointments/:id/cancel
+// @access  Patient
+router.patch('/appointments/:id/cancel', async (req, res) => {
+  try {
+    const appointment = await portalService.cancelAppointment(req.patient, req.params.id);
+
+    // The freed slot goes to the waitlist; that must not undo the cancellation
+    try {
+      await waitlistService.offerFreedSlot(appointment);
+    } catch (error) {
+      logger.error('Waitlist offer error:', error);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Appointment cancelled',
+      data: appointment
+    });
+  } catch (error) {
+    sendError(res, error, 'Portal cancel appointment');
+  }
+});
+
+export default router;
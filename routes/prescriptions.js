@@ -2,8 +2,12 @@ import express from 'express';
 import mongoose from 'mongoose';
 import Visit from '../models/Visit.js';
 import Patient from '../models/Patient.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import billingService from '../services/billingService.js';
+import eligibilityService from '../services/eligibilityService.js';
+import pricingService from '../services/pricingService.js';
+import clinicalDecisionService from '../services/clinicalDecisionService.js';
+import storeService from '../services/storeService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -13,7 +17,7 @@ router.use(protect);
 // @desc    Get all prescriptions (aggregated from all visits)
 // @route   GET /api/prescriptions
 // @access  Private (Admin, Pharmacist)
-router.get('/', authorize('admin', 'pharmacist'), async (req, res) => {
+router.get('/', requirePermission('prescriptions.quantify'), async (req, res) => {
   try {
     const { status, patientId } = req.query;
 
@@ -92,7 +96,7 @@ router.get('/', authorize('admin', 'pharmacist'), async (req, res) => {
 // @desc    Get prescriptions pending quantification (for pharmacist)
 // @route   GET /api/prescriptions/pending-quantification
 // @access  Private (Pharmacist, Admin)
-router.get('/pending-quantification', authorize('admin', 'pharmacist'), async (req, res) => {
+router.get('/pending-quantification', requirePermission('prescriptions.quantify'), async (req, res) => {
   try {
     const visits = await Visit.find({
       'prescriptions.status': 'Pending Quantification',
@@ -127,7 +131,9 @@ router.get('/pending-quantification', authorize('admin', 'pharmacist'), async (r
                 invoice: visit.invoice
               },
               prescribedBy: prescription.prescribedBy,
-              status: prescription.status
+              status: prescription.status,
+              alerts: prescription.alerts,
+              alertOverride: prescription.alertOverride
             });
           }
         });
@@ -151,7 +157,7 @@ router.get('/pending-quantification', authorize('admin', 'pharmacist'), async (r
 // @desc    Quantify prescription (pharmacist sets quantity and price)
 // @route   PATCH /api/prescriptions/:id/quantify
 // @access  Private (Pharmacist, Admin)
-router.patch('/:id/quantify', authorize('admin', 'pharmacist'), async (req, res) => {
+router.patch('/:id/quantify', requirePermission('prescriptions.quantify'), async (req, res) => {
   try {
     const { id } = req.params;
     const { quantifiedQuantity, notes } = req.body;
@@ -217,10 +223,13 @@ router.patch('/:id/quantify', authorize('admin', 'pharmacist'), async (req, res)
       });
     }
 
-    // Check stock availability from MedicineBatch (your batch-based system)
+    // Check stock availability from MedicineBatch (your batch-based system),
+    // at the dispensing point's store
     const MedicineBatch = mongoose.model('MedicineBatch');
+    const location = await storeService.dispensingLocation();
     const availableBatches = await MedicineBatch.find({
       medicine: medicine._id, // Use the found medicine's ID
+      ...(location && { location }),
       status: 'active',
       expiryDate: { $gt: new Date() }
     }).sort('expiryDate'); // FIFO - First to expire, first out
@@ -238,52 +247,41 @@ router.patch('/:id/quantify', authorize('admin', 'pharmacist'), async (req, res)
       });
     }
 
-    // Get price from ItemPrice model based on insurance
-    const ItemPrice = mongoose.model('ItemPrice');
+    // Price from the insurer's price list when insurance pays, otherwise the
+    // pharmacy's cash list, falling back to the catalogue price
     const patient = visit.patient;
-    const hasInsurance = !!(patient.insurance?.provider);
-    const insuranceProviderName = patient.insurance?.provider?.name;
-
-    const itemPrice = await ItemPrice.findOne({ 
-      name: { $regex: new RegExp(`^${medicine.name}$`, 'i') } 
+    const hasInsurance = eligibilityService.coversVisit(visit, patient);
+
+    const resolved = await pricingService.resolvePrice({
+      itemType: 'medicine',
+      name: medicine.name,
+      item: medicine._id,
+      provider: hasInsurance ? patient.insurance.provider : null,
+      channel: 'pharmacy',
+      fallback: medicine.sellingPrice
     });
 
-    let price = 0;
-    let priceSource = 'Not Found';
-
-    if (itemPrice) {
-      if (hasInsurance && insuranceProviderName && itemPrice.prices && itemPrice.prices[insuranceProviderName]) {
-        // Use insurance-specific price
-        price = itemPrice.prices[insuranceProviderName];
-        priceSource = insuranceProviderName;
-      } else if (itemPrice.prices && itemPrice.prices.Pharmacy) {
-        // Use Pharmacy (cash) price
-        price = itemPrice.prices.Pharmacy;
-        priceSource = 'Pharmacy';
-      }
-    }
-
-    // Fallback to medicine.sellingPrice if no price found in ItemPrice
-    if (price === 0 && medicine.sellingPrice) {
-      price = medicine.sellingPrice;
-      priceSource = 'Medicine Catalog';
-    }
-
-    // Fallback to medicine.prices.Pharmacy
-    if (price === 0 && medicine.prices && medicine.prices.Pharmacy) {
-      price = medicine.prices.Pharmacy;
-      priceSource = 'Medicine Prices (Pharmacy)';
-    }
-
-    if (price === 0) {
+    if (!resolved) {
       return res.status(400).json({
         status: 'error',
-        message: `No price found for ${medicine.name}. Please set a price in the Item Price or Medicine catalog.`
+        message: `No price found for ${medicine.name}. Please set a price on a price list or in the Medicine catalog.`
       });
     }
 
+    const price = resolved.price;
+    const priceSource = resolved.source;
+
     const totalPrice = quantifiedQuantity * price;
 
+    // Checked again for the pharmacist: allergies or other medicines may
+    // have been recorded since it was prescribed
+    const alerts = await clinicalDecisionService.check({
+      patientId: patient._id,
+      medicine,
+      medication: prescription.medication,
+      excludeId: prescription._id
+    });
+
     // Update prescription
     prescription.quantifiedQuantity = quantifiedQuantity;
     prescription.quantifiedPrice = price;
@@ -316,7 +314,9 @@ router.patch('/:id/quantify', authorize('admin', 'pharmacist'), async (req, res)
           quantity: quantifiedQuantity,
           totalPrice: totalPrice,
           priceSource: priceSource
-        }
+        },
+        alerts,
+        alertOverride: prescription.alertOverride
       }
     });
   } catch (error) {
@@ -328,10 +328,52 @@ router.patch('/:id/quantify', authorize('admin', 'pharmacist'), async (req, res)
   }
 });
 
+// @desc    Allergy and interaction alerts for a prescription, checked now
+// @route   GET /api/prescriptions/:id/alerts
+// @access  Private (Pharmacist, Admin)
+router.get('/:id/alerts', requirePermission('prescriptions.quantify'), async (req, res) => {
+  try {
+    const visit = await Visit.findOne({ 'prescriptions._id': req.params.id });
+    const prescription = visit?.prescriptions.id(req.params.id);
+    if (!prescription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prescription not found'
+      });
+    }
+
+    const medicine = prescription.medicineId
+      ? await mongoose.model('Medicine').findById(prescription.medicineId)
+      : null;
+    const alerts = await clinicalDecisionService.check({
+      patientId: visit.patient,
+      medicine,
+      medication: prescription.medication,
+      excludeId: prescription._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        alerts,
+        // As shown to the prescriber
+        prescribedWith: prescription.alerts,
+        alertOverride: prescription.alertOverride
+      }
+    });
+  } catch (error) {
+    logger.error('Get prescription alerts error', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server Error'
+    });
+  }
+});
+
 // @desc    Send quantified prescription to billing
 // @route   PATCH /api/prescriptions/:id/send-to-billing
 // @access  Private (Pharmacist, Admin)
-router.patch('/:id/send-to-billing', authorize('admin', 'pharmacist'), async (req, res) => {
+router.patch('/:id/send-to-billing', requirePermission('prescriptions.quantify'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -371,7 +413,7 @@ router.patch('/:id/send-to-billing', authorize('admin', 'pharmacist'), async (re
     }
 
     const patient = visit.patient;
-    const hasInsurance = !!(patient.insurance?.provider);
+    const hasInsurance = eligibilityService.coversVisit(visit, patient);
     const insuranceProviderName = patient.insurance?.provider?.name;
 
     // Add prescription to invoice
@@ -385,8 +427,7 @@ router.patch('/:id/send-to-billing', authorize('admin', 'pharmacist'), async (re
         total: prescription.totalPrice,
         notes: prescription.duration,
         insuranceProvider: insuranceProviderName || 'Cash'
-      }],
-      hasInsurance
+      }]
     );
 
     // Update prescription status
@@ -420,7 +461,7 @@ router.patch('/:id/send-to-billing', authorize('admin', 'pharmacist'), async (re
 // @desc    Get prescriptions ready for dispensing (paid)
 // @route   GET /api/prescriptions/ready-for-dispensing
 // @access  Private (Pharmacist, Admin)
-router.get('/ready-for-dispensing', authorize('admin', 'pharmacist'), async (req, res) => {
+router.get('/ready-for-dispensing', requirePermission('prescriptions.quantify'), async (req, res) => {
   try {
     const visits = await Visit.find({
       'prescriptions.status': { $in: ['Pending', 'Paid'] }, // Insurance or paid prescriptions
@@ -481,7 +522,7 @@ router.get('/ready-for-dispensing', authorize('admin', 'pharmacist'), async (req
 });
 
 // Get prescriptions for a specific patient
-router.get('/patient/:patientId', authorize('admin', 'doctor', 'nurse', 'pharmacist'), async (req, res) => {
+router.get('/patient/:patientId', requirePermission('prescriptions.view'), async (req, res) => {
   try {
     const visits = await Visit.find({ 
       patient: req.params.patientId,
@@ -521,7 +562,7 @@ router.get('/patient/:patientId', authorize('admin', 'doctor', 'nurse', 'pharmac
 });
 
 // Update prescription (mark as inactive/dispensed)
-router.patch('/:id', authorize('admin', 'doctor', 'pharmacist'), async (req, res) => {
+router.patch('/:id', requirePermission('prescriptions.update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { isActive, status } = req.body;
@@ -571,7 +612,7 @@ router.patch('/:id', authorize('admin', 'doctor', 'pharmacist'), async (req, res
 // @desc    Delete a prescription permanently
 // @route   DELETE /api/prescriptions/:id
 // @access  Private (Pharmacist only)
-router.delete('/:id', authorize('pharmacist'), async (req, res) => {
+router.delete('/:id', requirePermission('prescriptions.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,445 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import PriceList, { PAYER_TYPES, CASH_CHANNELS } from '../models/PriceList.js';
+import PriceListItem, { PRICE_ITEM_TYPES } from '../models/PriceListItem.js';
+import AuditLog from '../models/AuditLog.js';
+import pricingService from '../services/pricingService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Errors raised by pricingService carry a statusCode and a message meant for
+// the client (and, for imports, the rows at fault); anything else is a
+// server error.
+const sendError = (res, error, fallback) =>
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode ? error.message : fallback,
+    ...(error.details && { errors: error.details })
+  });
+
+const validateId = param('id').isMongoId().withMessage('Valid price list ID required');
+
+// Only one active list per insurer and per cash channel, so price
+// resolution never has to choose between two.
+const findActiveDuplicate = (list) =>
+  PriceList.findOne({
+    _id: { $ne: list._id },
+    isActive: true,
+    ...(list.payerType === 'insurance'
+      ? { payerType: 'insurance', provider: list.provider }
+      : { payerType: 'cash', cashChannel: list.cashChannel })
+  });
+
+// @desc    List price lists
+// @route   GET /api/price-lists
+// @access  Private (item_prices.view)
+router.get('/',
+  requirePermission('item_prices.view'),
+  [
+    query('payerType').optional().isIn(PAYER_TYPES),
+    query('provider').optional().isMongoId(),
+    query('active').optional().isBoolean()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.payerType) filter.payerType = req.query.payerType;
+      if (req.query.provider) filter.provider = req.query.provider;
+      if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+      const lists = await PriceList.find(filter)
+        .populate('provider', 'name code')
+        .sort({ payerType: 1, name: 1 });
+
+      res.status(200).json({
+        status: 'success',
+        count: lists.length,
+        data: lists
+      });
+    } catch (error) {
+      logger.error('Get price lists error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error while fetching price lists'
+      });
+    }
+});
+
+// @desc    Look up the price of an item for a payer
+// @route   GET /api/price-lists/resolve
+// @access  Private (item_prices.view)
+router.get('/resolve',
+  requirePermission('item_prices.view'),
+  [
+    query('itemType').isIn(PRICE_ITEM_TYPES),
+    query('name').notEmpty().withMessage('Item name required'),
+    query('item').optional().isMongoId(),
+    query('provider').optional().isMongoId(),
+    query('channel').optional().isIn(CASH_CHANNELS),
+    query('date').optional().isISO8601()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { itemType, name, item, provider, channel, date } = req.query;
+      const resolved = await pricingService.resolvePrice({
+        itemType,
+        name,
+        item,
+        provider,
+        channel,
+        date: date ? new Date(date) : undefined
+      });
+
+      if (!resolved) {
+        return res.status(404).json({
+          status: 'error',
+          message: `No price found for ${name}`
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: resolved
+      });
+    } catch (error) {
+      logger.error('Resolve price error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error'
+      });
+    }
+});
+
+// @desc    Create a price list
+// @route   POST /api/price-lists
+// @access  Private (item_prices.manage)
+router.post('/',
+  requirePermission('item_prices.manage'),
+  [
+    body('name').notEmpty().withMessage('Name required'),
+    body('code').notEmpty().withMessage('Code required'),
+    body('payerType').isIn(PAYER_TYPES),
+    body('provider').if(body('payerType').equals('insurance')).isMongoId().withMessage('Valid provider ID required'),
+    body('cashChannel').if(body('payerType').equals('cash')).isIn(CASH_CHANNELS)
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { name, code, payerType, provider, cashChannel, currency, description } = req.body;
+      const list = new PriceList({ name, code, payerType, provider, cashChannel, currency, description, createdBy: req.user.id });
+
+      const duplicate = await findActiveDuplicate(list);
+      if (duplicate) {
+        return res.status(409).json({
+          status: 'error',
+          message: `${duplicate.name} is already the active price list for this payer`
+        });
+      }
+
+      await list.save();
+
+      await AuditLog.log({
+        userId: req.user.id,
+        action: 'CREATE',
+        entityType: 'PriceList',
+        entityId: list._id,
+        description: `Created price list ${list.code}`
+      });
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Price list created',
+        data: list
+      });
+    } catch (error) {
+      logger.error('Create price list error:', error);
+      res.status(error.code === 11000 ? 409 : 400).json({
+        status: 'error',
+        message: error.code === 11000 ? 'A price list with this code already exists' : error.message
+      });
+    }
+});
+
+// @desc    Get a price list
+// @route   GET /api/price-lists/:id
+// @access  Private (item_prices.view)
+router.get('/:id',
+  requirePermission('item_prices.view'),
+  [validateId],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const list = await PriceList.findById(req.params.id).populate('provider', 'name code');
+      if (!list) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Price list not found'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: list
+      });
+    } catch (error) {
+      logger.error('Get price list error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error'
+      });
+    }
+});
+
+// @desc    Rename, describe, activate or deactivate a price list
+// @route   PUT /api/price-lists/:id
+// @access  Private (item_prices.manage)
+router.put('/:id',
+  requirePermission('item_prices.manage'),
+  [
+    validateId,
+    body('name').optional().notEmpty(),
+    body('isActive').optional().isBoolean()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const list = await PriceList.findById(req.params.id);
+      if (!list) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Price list not found'
+        });
+      }
+
+      ['name', 'description', 'currency', 'isActive'].forEach((field) => {
+        if (req.body[field] !== undefined) list[field] = req.body[field];
+      });
+
+      if (list.isActive) {
+        const duplicate = await findActiveDuplicate(list);
+        if (duplicate) {
+          return res.status(409).json({
+            status: 'error',
+            message: `${duplicate.name} is already the active price list for this payer`
+          });
+        }
+      }
+
+      await list.save();
+
+      await AuditLog.log({
+        userId: req.user.id,
+        action: 'UPDATE',
+        entityType: 'PriceList',
+        entityId: list._id,
+        description: `Updated price list ${list.code}`,
+        metadata: req.body
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Price list updated',
+        data: list
+      });
+    } catch (error) {
+      logger.error('Update price list error:', error);
+      res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+});
+
+// @desc    Prices on a list, as in force on a date (default today), or every entry with ?history=true
+// @route   GET /api/price-lists/:id/items
+// @access  Private (item_prices.view)
+router.get('/:id/items',
+  requirePermission('item_prices.view'),
+  [
+    validateId,
+    query('itemType').optional().isIn(PRICE_ITEM_TYPES),
+    query('at').optional().isISO8601(),
+    query('history').optional().isBoolean()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 50, itemType, search, at, history } = req.query;
+      const filter = { priceList: req.params.id };
+      if (itemType) filter.itemType = itemType;
+      if (search) {
+        filter.nameKey = { $regex: search.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+      }
+      if (history !== 'true') {
+        const date = at ? new Date(at) : new Date();
+        filter.effectiveFrom = { $lte: date };
+        filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gt: date } }];
+      }
+
+      const skip = (page - 1) * limit;
+      const [items, total] = await Promise.all([
+        PriceListItem.find(filter)
+          .sort({ itemType: 1, nameKey: 1, effectiveFrom: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        PriceListItem.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          items,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get price list items error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error while fetching prices'
+      });
+    }
+});
+
+// @desc    Set the price of one item from a date (default now)
+// @route   POST /api/price-lists/:id/items
+// @access  Private (item_prices.manage)
+router.post('/:id/items',
+  requirePermission('item_prices.manage'),
+  [
+    validateId,
+    body('itemType').isIn(PRICE_ITEM_TYPES),
+    body('name').notEmpty().withMessage('Item name required'),
+    body('item').optional().isMongoId(),
+    body('price').isFloat({ min: 0 }).withMessage('Valid price required'),
+    body('effectiveFrom').optional().isISO8601(),
+    body('effectiveTo').optional().isISO8601()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const list = await PriceList.findById(req.params.id);
+      if (!list) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Price list not found'
+        });
+      }
+
+      const { itemType, name, item, price, effectiveFrom, effectiveTo } = req.body;
+      const { entry, action } = await pricingService.setPrice(
+        list,
+        { itemType, name, item, price: parseFloat(price), effectiveFrom, effectiveTo },
+        { userId: req.user.id }
+      );
+
+      await AuditLog.log({
+        userId: req.user.id,
+        action: 'UPDATE',
+        entityType: 'PriceList',
+        entityId: list._id,
+        description: `Set ${name} to ${entry.price} on ${list.code} from ${entry.effectiveFrom.toISOString().slice(0, 10)}`
+      });
+
+      res.status(action === 'created' ? 201 : 200).json({
+        status: 'success',
+        message: action === 'created' ? 'Price added' : 'Price replaced',
+        data: entry
+      });
+    } catch (error) {
+      logger.error('Set price error:', error);
+      res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+});
+
+// @desc    Remove a price entry entered by mistake
+// @route   DELETE /api/price-lists/:id/items/:itemId
+// @access  Private (item_prices.delete)
+router.delete('/:id/items/:itemId',
+  requirePermission('item_prices.delete'),
+  [validateId, param('itemId').isMongoId()],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const entry = await PriceListItem.findOneAndDelete({ _id: req.params.itemId, priceList: req.params.id });
+      if (!entry) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Price not found'
+        });
+      }
+
+      await AuditLog.log({
+        userId: req.user.id,
+        action: 'DELETE',
+        entityType: 'PriceList',
+        entityId: entry.priceList,
+        description: `Removed price ${entry.price} for ${entry.name} effective ${entry.effectiveFrom.toISOString().slice(0, 10)}`
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Price removed'
+      });
+    } catch (error) {
+      logger.error('Delete price error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error'
+      });
+    }
+});
+
+// @desc    Bulk-import prices from CSV (columns: type, name, price[, effective_from, effective_to, item_id]).
+//          Send the file as text/csv, or as JSON { csv, effectiveFrom }.
+// @route   POST /api/price-lists/:id/import
+// @access  Private (item_prices.manage)
+router.post('/:id/import',
+  requirePermission('item_prices.manage'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  [validateId],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      const effectiveFrom = req.query.effectiveFrom || req.body?.effectiveFrom;
+
+      const result = await pricingService.importCsv(req.params.id, csv, { userId: req.user.id, effectiveFrom });
+
+      res.status(200).json({
+        status: 'success',
+        message: `Imported ${result.rows} price(s)`,
+        data: result
+      });
+    } catch (error) {
+      sendError(res, error, 'Server error while importing prices');
+    }
+});
+
+export default router;
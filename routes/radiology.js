@@ -4,17 +4,17 @@ import {
   getRadiologyRequests,
   updateRadiologyRequest,
 } from '../controllers/radiologyController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.use(protect);
 
 router.route('/')
-  .get(authorize('admin', 'doctor', 'radiologist', 'lab_technician'), getRadiologyRequests)
-  .post(authorize('admin', 'doctor'), createRadiologyRequest);
+  .get(requirePermission('radiology.view'), getRadiologyRequests)
+  .post(requirePermission('radiology.order'), createRadiologyRequest);
 
 router.route('/:id')
-  .put(authorize('admin', 'radiologist', 'lab_technician'), updateRadiologyRequest);
+  .put(requirePermission('radiology.report'), updateRadiologyRequest);
 
 export default router;
\ No newline at end of file
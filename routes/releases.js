@@ -3,7 +3,7 @@ import Release from '../models/Release.js';
 import Corpse from '../models/Corpse.js';
 import Cabinet from '../models/Cabinet.js';
 import logger from '../utils/logger.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -12,7 +12,7 @@ router.use(protect);
 // @desc    Get all releases
 // @route   GET /api/releases
 // @access  Private (Admin, Mortuary Attendant)
-router.get('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.get('/', requirePermission('releases.view'), async (req, res) => {
   try {
     const releases = await Release.find()
       .populate('corpseId', 'firstName lastName dateOfDeath cabinetNumber')
@@ -36,7 +36,7 @@ router.get('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
 // @desc    Get pending releases
 // @route   GET /api/releases/pending
 // @access  Private (Admin, Mortuary Attendant)
-router.get('/pending', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.get('/pending', requirePermission('releases.view'), async (req, res) => {
   try {
     const pendingReleases = await Release.find({ status: 'Pending' })
       .populate('corpseId', 'firstName lastName dateOfDeath cabinetNumber')
@@ -59,7 +59,7 @@ router.get('/pending', authorize('admin', 'mortuary_attendant'), async (req, res
 // @desc    Create release request
 // @route   POST /api/releases
 // @access  Private (Admin, Mortuary Attendant)
-router.post('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.post('/', requirePermission('releases.create'), async (req, res) => {
   try {
     const { corpseId } = req.body;
     
@@ -118,7 +118,7 @@ router.post('/', authorize('admin', 'mortuary_attendant'), async (req, res) => {
 // @desc    Get single release
 // @route   GET /api/releases/:id
 // @access  Private (Admin, Mortuary Attendant)
-router.get('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.get('/:id', requirePermission('releases.view'), async (req, res) => {
   try {
     const release = await Release.findById(req.params.id)
       .populate('corpseId', 'firstName lastName dateOfDeath cabinetNumber')
@@ -148,7 +148,7 @@ router.get('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) =>
 // @desc    Update release
 // @route   PUT /api/releases/:id
 // @access  Private (Admin, Mortuary Attendant)
-router.put('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.put('/:id', requirePermission('releases.update'), async (req, res) => {
   try {
     const release = await Release.findByIdAndUpdate(
       req.params.id,
@@ -183,7 +183,7 @@ router.put('/:id', authorize('admin', 'mortuary_attendant'), async (req, res) =>
 // @desc    Approve release
 // @route   POST /api/releases/:id/approve
 // @access  Private (Admin)
-router.post('/:id/approve', authorize('admin'), async (req, res) => {
+router.post('/:id/approve', requirePermission('releases.approve'), async (req, res) => {
   try {
     const release = await Release.findById(req.params.id);
     
@@ -229,7 +229,7 @@ router.post('/:id/approve', authorize('admin'), async (req, res) => {
 // @desc    Complete release (mark as released)
 // @route   POST /api/releases/:id/complete
 // @access  Private (Admin, Mortuary Attendant)
-router.post('/:id/complete', authorize('admin', 'mortuary_attendant'), async (req, res) => {
+router.post('/:id/complete', requirePermission('releases.complete'), async (req, res) => {
   try {
     const release = await Release.findById(req.params.id);
     
@@ -293,7 +293,7 @@ router.post('/:id/complete', authorize('admin', 'mortuary_attendant'), async (re
 // @desc    Cancel release
 // @route   POST /api/releases/:id/cancel
 // @access  Private (Admin)
-router.post('/:id/cancel', authorize('admin'), async (req, res) => {
+router.post('/:id/cancel', requirePermission('releases.approve'), async (req, res) => {
   try {
     const { reason } = req.body;
     
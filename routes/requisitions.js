@@ -7,26 +7,26 @@ import {
   completeRequisition,
   cancelRequisition,
 } from '../controllers/requisitionController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.use(protect);
 
 router.route('/')
-  .get(authorize('admin', 'pharmacist', 'doctor', 'nurse'), getRequisitions)
-  .post(authorize('admin', 'pharmacist', 'doctor', 'nurse'), createRequisition);
+  .get(requirePermission('requisitions.view'), getRequisitions)
+  .post(requirePermission('requisitions.create'), createRequisition);
 
 router.route('/:id')
-  .get(authorize('admin', 'pharmacist', 'doctor', 'nurse'), getRequisition);
+  .get(requirePermission('requisitions.view'), getRequisition);
 
 router.route('/:id/items/:itemId')
-  .put(authorize('admin', 'pharmacist'), updateRequisitionItem);
+  .put(requirePermission('requisitions.fulfil'), updateRequisitionItem);
 
 router.route('/:id/complete')
-  .put(authorize('admin', 'pharmacist'), completeRequisition);
+  .put(requirePermission('requisitions.fulfil'), completeRequisition);
 
 router.route('/:id/cancel')
-  .put(authorize('admin', 'pharmacist', 'doctor', 'nurse'), cancelRequisition);
+  .put(requirePermission('requisitions.create'), cancelRequisition);
 
 export default router;
\ No newline at end of file
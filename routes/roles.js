@@ -0,0 +1,259 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(protect, requirePermission('roles.manage'));
+
+const EDITABLE_FIELDS = ['displayName', 'description', 'permissions', 'isActive'];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((f) => source[f] !== undefined).map((f) => [f, source[f]]));
+
+const logRoleChange = (req, role, description, changes) =>
+  AuditLog.log({
+    userId: req.user._id,
+    action: 'PERMISSION_CHANGE',
+    entityType: 'Role',
+    entityId: role._id,
+    description,
+    changes,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    requestMethod: req.method,
+    requestUrl: req.originalUrl
+  });
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Role not found'
+    });
+  }
+  next();
+});
+
+// @desc    List every permission a role can carry
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage)
+router.get('/permissions', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+  });
+});
+
+// @desc    Get all roles with the number of users holding each
+// @route   GET /api/roles
+// @access  Private (roles.manage)
+router.get('/', async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const userCount = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+
+    res.status(200).json({
+      status: 'success',
+      count: roles.length,
+      data: roles.map((role) => ({ ...role, userCount: userCount[role.name] || 0 }))
+    });
+  } catch (error) {
+    logger.error('Get roles error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single role
+// @route   GET /api/roles/:id
+// @access  Private (roles.manage)
+router.get('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id).lean();
+
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: role
+    });
+  } catch (error) {
+    logger.error('Get role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+router.post('/', async (req, res) => {
+  try {
+    const role = new Role({
+      ...pick(req.body, ['name', ...EDITABLE_FIELDS]),
+      isSystem: false,
+      createdBy: req.user._id
+    });
+    await role.save();
+
+    await logRoleChange(req, role, `Created role ${role.name}`, { after: { permissions: role.permissions } });
+
+    res.status(201).json({
+      status: 'success',
+      data: role
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A role with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Create role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update a role
+// @route   PUT /api/roles/:id
+// @access  Private (roles.manage)
+router.put('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    // Users reference a role by name, so renaming one would silently strip
+    // everyone holding it. Only custom roles with no users may be renamed.
+    if (req.body.name !== undefined && req.body.name !== role.name) {
+      if (role.isSystem) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Built-in roles cannot be renamed'
+        });
+      }
+      if (await User.exists({ role: role.name })) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Cannot rename a role that is assigned to users'
+        });
+      }
+      role.name = req.body.name;
+    }
+
+    const before = { permissions: [...role.permissions], isActive: role.isActive };
+    const { permissions, ...fields } = pick(req.body, EDITABLE_FIELDS);
+    if (permissions !== undefined) role.setPermissions(permissions);
+    Object.assign(role, fields, { updatedBy: req.user._id });
+    await role.save();
+
+    await logRoleChange(req, role, `Updated role ${role.name}`, {
+      before,
+      after: { permissions: role.permissions, isActive: role.isActive }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: role
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A role with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Update role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles.manage)
+router.delete('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Built-in roles cannot be deleted; deactivate them instead'
+      });
+    }
+
+    const assigned = await User.countDocuments({ role: role.name });
+    if (assigned > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Role is assigned to ${assigned} user(s); reassign them first`
+      });
+    }
+
+    await role.deleteOne();
+
+    await logRoleChange(req, role, `Deleted role ${role.name}`, { before: { permissions: role.permissions } });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import Service from '../models/Service.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -75,7 +75,7 @@ router.get('/search', async (req, res) => {
 // @desc    Create a new service
 // @route   POST /api/services
 // @access  Private (Admin only)
-router.post('/', authorize('admin'), async (req, res) => {
+router.post('/', requirePermission('services.manage'), async (req, res) => {
   try {
     const service = new Service(req.body);
     await service.save();
@@ -95,7 +95,7 @@ router.post('/', authorize('admin'), async (req, res) => {
 // @desc    Get a single service by ID
 // @route   GET /api/services/:id
 // @access  Private (Admin only)
-router.get('/:id', authorize('admin'), async (req, res) => {
+router.get('/:id', requirePermission('services.manage'), async (req, res) => {
   try {
     const service = await Service.findById(req.params.id);
     if (!service) {
@@ -117,7 +117,7 @@ router.get('/:id', authorize('admin'), async (req, res) => {
 // @desc    Update a service
 // @route   PUT /api/services/:id
 // @access  Private (Admin only)
-router.put('/:id', authorize('admin'), async (req, res) => {
+router.put('/:id', requirePermission('services.manage'), async (req, res) => {
   try {
     const service = await Service.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
@@ -145,7 +145,7 @@ router.put('/:id', authorize('admin'), async (req, res) => {
 // @desc    Delete a service (soft delete by setting isActive to false)
 // @route   DELETE /api/services/:id
 // @access  Private (Admin only)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+router.delete('/:id', requirePermission('services.manage'), async (req, res) => {
   try {
     const service = await Service.findByIdAndUpdate(req.params.id, 
       { isActive: false }, 
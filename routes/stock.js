@@ -9,30 +9,53 @@ import {
   deleteMedicine,
   getStockMovements,
 } from '../controllers/stockController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import {
+  getStockTakes,
+  startStockTake,
+  getStockTake,
+  recordStockTakeCounts,
+  submitStockTake,
+  recountStockTake,
+  approveStockTake,
+  cancelStockTake,
+  exportStockTake,
+} from '../controllers/stockTakeController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.use(protect);
 
 router.route('/')
-  .get(authorize('admin', 'pharmacist', 'doctor'), getStockItems)
-  .post(authorize('admin', 'pharmacist'), createMedicine);
+  .get(requirePermission('stock.view'), getStockItems)
+  .post(requirePermission('stock.manage'), createMedicine);
 
 router.route('/balance')
-  .get(authorize('admin', 'pharmacist', 'doctor'), getStockBalance);
+  .get(requirePermission('stock.view'), getStockBalance);
 
 router.route('/taking')
-  .get(authorize('admin', 'pharmacist'), getStockTaking);
+  .get(requirePermission('stock.take'), getStockTaking);
 
 router.route('/audit/:medicineId')
-  .put(authorize('admin', 'pharmacist'), updateStockAudit);
+  .put(requirePermission('stock.take'), updateStockAudit);
+
+router.route('/takes')
+  .get(requirePermission('stock.take'), getStockTakes)
+  .post(requirePermission('stock.take'), startStockTake);
+
+router.get('/takes/:id', requirePermission('stock.take'), getStockTake);
+router.get('/takes/:id/export', requirePermission('stock.take'), exportStockTake);
+router.put('/takes/:id/counts', requirePermission('stock.take'), recordStockTakeCounts);
+router.post('/takes/:id/submit', requirePermission('stock.take'), submitStockTake);
+router.post('/takes/:id/recount', requirePermission('stock.approve_adjustments'), recountStockTake);
+router.post('/takes/:id/approve', requirePermission('stock.approve_adjustments'), approveStockTake);
+router.post('/takes/:id/cancel', requirePermission('stock.approve_adjustments'), cancelStockTake);
 
 router.route('/movements')
-  .get(authorize('admin', 'pharmacist'), getStockMovements);
+  .get(requirePermission('stock.manage'), getStockMovements);
 
 router.route('/:id')
-  .put(authorize('admin', 'pharmacist'), updateMedicine)
-  .delete(authorize('admin', 'pharmacist'), deleteMedicine);
+  .put(requirePermission('stock.manage'), updateMedicine)
+  .delete(requirePermission('stock.manage'), deleteMedicine);
 
 export default router;
\ No newline at end of file
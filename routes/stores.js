@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getStores,
+  createStore,
+  updateStore,
+  getStoreBalance,
+  getTransfers,
+  getTransfer,
+  createTransfer,
+} from '../controllers/storeController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(requirePermission('stock.view'), getStores)
+  .post(requirePermission('stores.manage'), createStore);
+
+router.route('/transfers')
+  .get(requirePermission('stock.view'), getTransfers)
+  .post(requirePermission('stock.transfer'), createTransfer);
+
+router.get('/transfers/:id', requirePermission('stock.view'), getTransfer);
+
+router.put('/:id', requirePermission('stores.manage'), updateStore);
+router.get('/:id/balance', requirePermission('stock.view'), getStoreBalance);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getSupplierInvoices,
+  getSupplierInvoice,
+  createSupplierInvoice,
+  approveSupplierInvoice,
+  rejectSupplierInvoice,
+} from '../controllers/supplierInvoiceController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(requirePermission('supplier_invoices.view'), getSupplierInvoices)
+  .post(requirePermission('supplier_invoices.match'), createSupplierInvoice);
+
+router.get('/:id', requirePermission('supplier_invoices.view'), getSupplierInvoice);
+router.put('/:id/approve', requirePermission('supplier_invoices.approve'), approveSupplierInvoice);
+router.put('/:id/reject', requirePermission('supplier_invoices.approve'), rejectSupplierInvoice);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  getSupplierPerformance,
+} from '../controllers/supplierController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(requirePermission('suppliers.view'), getSuppliers)
+  .post(requirePermission('suppliers.manage'), createSupplier);
+
+router.route('/:id')
+  .get(requirePermission('suppliers.view'), getSupplier)
+  .put(requirePermission('suppliers.manage'), updateSupplier);
+
+router.get('/:id/performance', requirePermission('suppliers.view'), getSupplierPerformance);
+
+export default router;
@@ -3,12 +3,12 @@ import { body, validationResult } from 'express-validator';
 import Patient from '../models/Patient.js';
 import TheatreProcedure from '../models/TheatreProcedure.js';
 import Theatre from '../models/Theatre.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-router.get('/', protect, authorize('admin', 'surgeon', 'doctor'), async (req, res) => {
+router.get('/', protect, requirePermission('theatre_procedures.list'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 20;
@@ -74,7 +74,7 @@ router.get('/', protect, authorize('admin', 'surgeon', 'doctor'), async (req, re
     }
 });
 
-router.get('/:id', protect, authorize('admin', 'surgeon'), async (req, res) => {
+router.get('/:id', protect, requirePermission('theatre_procedures.view'), async (req, res) => {
     try {
         const procedure = await TheatreProcedure.findById(req.params.id)
             .populate('patient', 'firstName lastName patientId email phone dateOfBirth gender bloodType')
@@ -102,7 +102,7 @@ router.get('/:id', protect, authorize('admin', 'surgeon'), async (req, res) => {
     }
 });
 
-router.post('/', protect, authorize('admin', 'doctor'), [ 
+router.post('/', protect, requirePermission('theatre_procedures.book'), [ 
     body('patient').notEmpty().withMessage('Patient is required'),
     body('theatre').notEmpty().withMessage('Theatre room is required'),
     body('surgeon').notEmpty().withMessage('Surgeon is required'),
@@ -180,7 +180,7 @@ router.post('/', protect, authorize('admin', 'doctor'), [
     }
 });
 
-router.put('/:id', protect, authorize('admin', 'surgeon'), async (req, res) => {
+router.put('/:id', protect, requirePermission('theatre_procedures.update'), async (req, res) => {
     try {
         let procedure = await TheatreProcedure.findById(req.params.id);
 
@@ -216,7 +216,7 @@ router.put('/:id', protect, authorize('admin', 'surgeon'), async (req, res) => {
     }
 });
 
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('theatre_procedures.delete'), async (req, res) => {
     try {
         const procedure = await TheatreProcedure.findById(req.params.id);
 
@@ -248,7 +248,7 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 router.post(
   '/:id/medications',
   protect,
-  authorize('admin', 'surgeon', 'doctor', 'nurse'),
+  requirePermission('theatre_procedures.medications'),
   async (req, res) => {
     try {
       const { medication, dosage, frequency, startDate, endDate, notes } = req.body;
@@ -302,7 +302,7 @@ router.post(
 router.post(
   '/:id/diagnosis',
   protect,
-  authorize('admin', 'surgeon', 'doctor'),
+  requirePermission('theatre_procedures.diagnose'),
   async (req, res) => {
     try {
       const { condition, notes } = req.body;
@@ -352,7 +352,7 @@ router.post(
 router.put(
   '/:id/discharge',
   protect,
-  authorize('admin', 'surgeon'),
+  requirePermission('theatre_procedures.discharge'),
   async (req, res) => {
     try {
       const { dischargeReason, dischargeSummary } = req.body;
@@ -1,7 +1,7 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Theatre from '../models/Theatre.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -57,7 +57,7 @@ router.get('/', protect, async (req, res) => {
 // @desc    Get ward statistics
 // @route   GET /api/wards/statistics
 // @access  Private
-router.get('/statistics', protect, authorize('admin'), async (req, res) => {
+router.get('/statistics', protect, requirePermission('theatres.manage'), async (req, res) => {
   try {
     const stats = await Theatre.getStatistics();
     res.status(200).json({
@@ -104,7 +104,7 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Create new theatre
 // @route   POST /api/theatres
 // @access  Private (Admin only)
-router.post('/', protect, authorize('admin'), [
+router.post('/', protect, requirePermission('theatres.manage'), [
   body('name').trim().notEmpty().withMessage('Ward name is required'),
 //   body('wardNumber').trim().notEmpty().withMessage('Ward number is required'),
   body('type').isIn(['general', 'icu', 'ccu', 'nicu', 'pediatric', 'maternity', 'surgical', 'medical', 'orthopedic', 'emergency', 'isolation', 'private']).withMessage('Invalid ward type'),
@@ -149,7 +149,7 @@ router.post('/', protect, authorize('admin'), [
 // @desc    Update theatre
 // @route   PUT /api/theatres/:id
 // @access  Private (Admin only)
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+router.put('/:id', protect, requirePermission('theatres.manage'), async (req, res) => {
   try {
     let theatre = await Theatre.findById(req.params.id);
 
@@ -196,7 +196,7 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
 // @desc    Delete ward
 // @route   DELETE /api/wards/:id
 // @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('theatres.manage'), async (req, res) => {
   try {
     const theatre = await Theatre.findById(req.params.id);
 
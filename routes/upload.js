@@ -4,7 +4,7 @@ import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -98,7 +98,7 @@ const handleUpload = (middleware) => (req, res, next) => {
 router.post(
   '/radiology',
   protect,
-  authorize('admin', 'radiologist', 'doctor'),
+  requirePermission('radiology.upload'),
   setCategory('radiology'),
   handleUpload(upload.single('file')),
   (req, res) => {
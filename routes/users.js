@@ -1,17 +1,25 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { protect, authorize } from '../middleware/auth.js';
+import Role from '../models/Role.js';
+import AuditLog from '../models/AuditLog.js';
+import { isKnownPermission, WILDCARD } from '../config/permissions.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import sendEmail from '../utils/sendEmail.js';
 import { getEmailTemplate } from '../utils/emailTemplates.js';  // ← ADD THIS IMPORT
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Roles are data, so an assigned role is checked against the roles collection
+// rather than a fixed list.
+const findAssignableRole = (name) =>
+  Role.findOne({ name: String(name).toLowerCase().trim(), isActive: true }).select('name').lean();
+
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private (Admin only)
-router.get('/', protect, authorize('admin'), async (req, res) => {
+router.get('/', protect, requirePermission('users.manage'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     // Capped so a caller cannot ask for the entire collection in one request.
@@ -89,7 +97,7 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 router.post(
   '/',
   protect,
-  authorize('admin'),
+  requirePermission('users.manage'),
   [
     body('firstName', 'First name is required').not().isEmpty(),
     body('lastName', 'Last name is required').not().isEmpty(),
@@ -106,6 +114,13 @@ router.post(
     const { email, firstName, lastName, role } = req.body;
 
     try {
+      if (!(await findAssignableRole(role))) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Role '${role}' does not exist or is inactive`
+        });
+      }
+
       // Check if user already exists
       let user = await User.findOne({ email });
 
@@ -255,7 +270,7 @@ router.put('/preferences', protect, async (req, res) => {
 // @desc    Update user details (by Admin)
 // @route   PUT /api/users/:id
 // @access  Private (Admin only)
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+router.put('/:id', protect, requirePermission('users.manage'), async (req, res) => {
   try {
     const { firstName, lastName, email, role, isActive } = req.body;
     
@@ -270,6 +285,10 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
     // Remove any undefined fields so they don't overwrite existing data
     Object.keys(fieldsToUpdate).forEach(key => fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]);
 
+    if (role !== undefined && !(await findAssignableRole(role))) {
+      return res.status(400).json({ success: false, message: `Role '${role}' does not exist or is inactive` });
+    }
+
     const user = await User.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
       new: true,
       runValidators: true
@@ -288,7 +307,7 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Get single user
 // @route   GET /api/users/:id
-// @access  Private (Admin or same user)
+// @access  Private (users.manage or same user)
 router.get('/:id', protect, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
@@ -301,7 +320,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user is authorized to view this user
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    if (!req.user.hasPermission('users.manage') && req.user.id !== req.params.id) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to access this user'
@@ -321,10 +340,122 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Get a user's effective permissions and per-user exceptions
+// @route   GET /api/users/:id/permissions
+// @access  Private (Admin only)
+router.get('/:id/permissions', protect, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    await user.loadPermissions();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        role: user.role,
+        rolePermissions: user.$locals.rolePermissions,
+        grants: user.permissionGrants,
+        revokes: user.permissionRevokes,
+        effective: user.getEffectivePermissions()
+      }
+    });
+  } catch (error) {
+    logger.error('Get user permissions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set a user's per-user permission grants and revokes
+// @route   PUT /api/users/:id/permissions
+// @body    { grant: string[], revoke: string[] } - each replaces the current list when given
+// @access  Private (Admin only)
+router.put('/:id/permissions', protect, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { grant, revoke } = req.body;
+
+    for (const [field, list] of [['grant', grant], ['revoke', revoke]]) {
+      if (list === undefined) continue;
+      if (!Array.isArray(list)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `${field} must be an array of permissions`
+        });
+      }
+      // The wildcard is reserved for the admin role; it cannot be handed out
+      // to one person.
+      const invalid = list.filter((p) => p === WILDCARD || !isKnownPermission(p));
+      if (invalid.length) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown permission(s): ${invalid.join(', ')}`
+        });
+      }
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const before = { grants: [...user.permissionGrants], revokes: [...user.permissionRevokes] };
+    if (grant !== undefined) user.permissionGrants = [...new Set(grant)];
+    if (revoke !== undefined) user.permissionRevokes = [...new Set(revoke)];
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.log({
+      userId: req.user._id,
+      action: 'PERMISSION_CHANGE',
+      entityType: 'User',
+      entityId: user._id,
+      description: `Updated permissions of ${user.email}`,
+      changes: {
+        before,
+        after: { grants: user.permissionGrants, revokes: user.permissionRevokes }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestMethod: req.method,
+      requestUrl: req.originalUrl
+    });
+
+    await user.loadPermissions();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        role: user.role,
+        grants: user.permissionGrants,
+        revokes: user.permissionRevokes,
+        effective: user.getEffectivePermissions()
+      }
+    });
+  } catch (error) {
+    logger.error('Update user permissions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -361,7 +492,7 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 // @desc    Deactivate/Activate user
 // @route   PATCH /api/users/:id/toggle-status
 // @access  Private (Admin only)
-router.patch('/:id/toggle-status', protect, authorize('admin'), async (req, res) => {
+router.patch('/:id/toggle-status', protect, requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -4,20 +4,24 @@ import Visit from '../models/Visit.js';
 import Patient from '../models/Patient.js';
 import Service from '../models/Service.js';
 import Invoice from '../models/Invoice.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { auditTrail } from '../middleware/auditTrail.js';
 import { checkPaymentEligibility } from '../middleware/paymentEligibility.js';
 import billingService from '../services/billingService.js';
+import visitService, { priceForVisit } from '../services/visitService.js';
+import clinicalDecisionService from '../services/clinicalDecisionService.js';
+import labCatalogService from '../services/labCatalogService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
-router.use(protect);
+router.use(protect, auditTrail('Visit', Visit));
 
 // @desc    Get visits — active only by default, all for reporting
 // @route   GET /api/visits
 // @query   isActive=all  → returns all visits (active + ended), used by reports
 //          isActive=true → (default) returns only active visits
 //          search        → filter by patient name
-router.get('/', authorize('admin', 'doctor', 'receptionist'), async (req, res) => {
+router.get('/', requirePermission('visits.view'), async (req, res) => {
 try {
 const { search, isActive, startDate, endDate, page, limit } = req.query;
 
@@ -30,8 +34,8 @@ const { search, isActive, startDate, endDate, page, limit } = req.query;
     query.isActive = true;
   }
 
-  // Doctors only see their own visits (unchanged)
-  if (req.user.role === 'doctor') {
+  // Without visits.view_all a user only sees the visits assigned to them
+  if (!req.user.hasPermission('visits.view_all')) {
     query.doctor = req.user.id;
   }
 
@@ -90,7 +94,7 @@ const { search, isActive, startDate, endDate, page, limit } = req.query;
 // @route   GET /api/visits/injections/pending
 // @access  Private (Nurse, Doctor, Admin)
 router.get('/injections/pending',
-authorize('admin', 'nurse', 'doctor'),
+requirePermission('visits.administer'),
 async (req, res) => {
 try {
   const visits = await Visit.find({
@@ -127,7 +131,7 @@ try {
 
 // @desc    Get a single visit by ID
 // @route   GET /api/visits/:id
-router.get('/:id', authorize('admin', 'doctor', 'receptionist'), async (req, res) => {
+router.get('/:id', requirePermission('visits.view'), async (req, res) => {
 try {
 const User = mongoose.model('User');
 
@@ -244,89 +248,21 @@ const User = mongoose.model('User');
 // @desc    Create a new visit with invoice (CENTRALIZED)
 // @route   POST /api/visits
 // @access  Private (Admin, Receptionist)
-router.post('/', authorize('admin', 'receptionist'), async (req, res) => {
+router.post('/', requirePermission('visits.create'), async (req, res) => {
 try {
 const { patientId, doctorId, visitDate, reason, type } = req.body;
 
-// Check for active visit
-const activeVisit = await Visit.findOne({ 
-  patient: patientId, 
-  isActive: true
-});
-if (activeVisit) {
-  return res.status(400).json({
-    status: 'error',
-    message: 'Patient already has an active visit'
-  });
-}
-
-// Fetch patient
-const patient = await Patient.findById(patientId);
-if (!patient) {
-  return res.status(404).json({
-    status: 'error',
-    message: 'Patient not found'
-  });
-}
-
-const hasInsurance = !!(patient.insurance?.provider);
-const visitStatus = hasInsurance ? 'In Queue' : 'Pending Payment';
-
-// Create visit
-const newVisit = new Visit({
-  patient: patientId,
-  doctor: doctorId,
-  visitDate,
-  reason,
-  status: visitStatus,
-  type,
-  startedBy: req.user.id,
-});
-const visit = await newVisit.save();
-
-// === USE CENTRALIZED BILLING SERVICE ===
-// Look up consultation service
-const consultationService = await Service.findOne({ 
-  name: 'Consultation fees',
-  category: 'Consultation'
-});
-
-if (consultationService) {
-  // Create invoice via billingService (CENTRALIZED)
-  // This will check for duplicates automatically
-  const invoice = await billingService.createInvoice({
-    patient: patientId,
-    visit: visit._id,
-    items: [{
-      type: 'consultation',
-      description: consultationService.name,
-      quantity: 1,
-      unitPrice: consultationService.price,
-      total: consultationService.price
-    }],
-    paymentTerms: 'immediate'
-  }, req.user.id);
-
-  // Link invoice to visit (billingService does this too, but be explicit)
-  visit.invoice = invoice._id;
-  visit.consultationFeeAmount = consultationService.price;
-  visit.consultationFeePaid = hasInsurance;
-  await visit.save();
-
-  logger.info(`Visit ${visit.visitId} created with invoice ${invoice.invoiceNumber}`);
-}
+const opened = await visitService.openVisit({ patientId, doctorId, visitDate, reason, type }, req.user.id);
 
 res.status(201).json({
   status: 'success',
-  data: visit,
-  message: hasInsurance ? 
-    'Visit created. Consultation fee covered by insurance.' :
-    'Visit created. Payment required before services can be ordered.'
+  data: opened.visit,
+  message: visitService.openingMessage(opened)
 });
 
 } catch (error) {
 logger.error('Create visit error:', error);
-res.status(400).json({
+res.status(error.statusCode || 400).json({
 status: 'error',
 message: error.message
 });
@@ -336,7 +272,7 @@ message: error.message
 // @desc    Add vital signs to visit
 // @route   POST /api/visits/:id/vitals
 // @access  Private (Nurse, Doctor, Receptionist)
-router.post('/:id/vitals', authorize('admin', 'nurse', 'doctor', 'receptionist'), checkPaymentEligibility, async (req, res) => {
+router.post('/:id/vitals', requirePermission('visits.vitals'), checkPaymentEligibility, async (req, res) => {
 try {
 const visit = req.visit;
 const { temperature, bloodPressure, heartRate, oxygenSaturation, weight } = req.body;
@@ -374,22 +310,33 @@ message: 'Server error'
 }
 });
 
-// @desc    Add lab order to invoice (CENTRALIZED)
+// @desc    Add lab order to invoice (CENTRALIZED). Tests are picked from the
+//          lab catalog by testId, testCode or testName and priced from it;
+//          names not in the catalog fall back to the services catalogue.
 // @route   POST /api/visits/:id/lab-orders
 router.post('/:id/lab-orders',
-authorize('admin', 'doctor'),
+requirePermission('visits.order'),
 checkPaymentEligibility,
 async (req, res) => {
 try {
 const visit = req.visit;
 const hasInsurance = req.hasInsurance;
-const { testName, notes } = req.body;
+const { testId, testCode, notes } = req.body;
 
-  // Look up service
-  const service = await Service.findOne({ 
+  // Look up the test in the lab catalog, then as a service
+  const catalogTest = await labCatalogService.findTest({ testId, testCode, testName: req.body.testName });
+  if ((testId || testCode) && !catalogTest) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Lab test not found in the catalog'
+    });
+  }
+  const testName = catalogTest ? catalogTest.name : req.body.testName;
+  const service = catalogTest || await Service.findOne({ 
     name: testName,
     category: 'Lab Test'
   });
+  const price = service && await priceForVisit(service, 'lab_test', visit.patient, hasInsurance);
 
   // Determine initial status based on insurance
   const initialStatus = hasInsurance ? 'Pending' : 'Pending Payment';
@@ -397,7 +344,11 @@ const { testName, notes } = req.body;
   // Add to visit (clinical tracking)
   const newLabOrder = {
     testName,
+    test: catalogTest?._id,
+    testCode: catalogTest?.code,
+    specimenType: catalogTest?.specimenType,
     notes,
+    price,
     patient: visit.patient._id,
     orderedBy: req.user.id,
     status: initialStatus
@@ -412,13 +363,13 @@ const { testName, notes } = req.body;
       visit.invoice,
       [{
         type: 'lab_test',
+        code: catalogTest?.code,
         description: testName,
         quantity: 1,
-        unitPrice: service.price,
-        total: service.price,
+        unitPrice: price,
+        total: price,
         notes
-      }],
-      hasInsurance
+      }]
     );
 
     logger.info(`Lab test added to invoice for visit ${visit.visitId}`);
@@ -432,7 +383,7 @@ const { testName, notes } = req.body;
       'Lab test ordered. Payment required before test can be performed.',
     priceInfo: service ? {
       service: testName,
-      price: service.price,
+      price,
       coveredByInsurance: hasInsurance
     } : null
   });
@@ -449,7 +400,7 @@ const { testName, notes } = req.body;
 // @desc    Add radiology order to invoice (CENTRALIZED)
 // @route   POST /api/visits/:id/radiology-orders
 router.post('/:id/radiology-orders',
-authorize('admin', 'doctor'),
+requirePermission('visits.order'),
 checkPaymentEligibility,
 async (req, res) => {
 try {
@@ -463,6 +414,7 @@ const { scanType, bodyPart, reason } = orderData;
     name: scanType,
     category: 'Imaging'
   });
+  const price = service && await priceForVisit(service, 'service', visit.patient, hasInsurance);
 
   // Determine initial status based on insurance
   const initialStatus = hasInsurance ? 'Pending' : 'Pending Payment';
@@ -493,11 +445,10 @@ const { scanType, bodyPart, reason } = orderData;
         type: 'imaging',
         description: `${scanType} - ${bodyPart}`,
         quantity: 1,
-        unitPrice: service.price,
-        total: service.price,
+        unitPrice: price,
+        total: price,
         notes: reason
-      }],
-      hasInsurance
+      }]
     );
 
     logger.info(`Radiology order added to invoice for visit ${visit.visitId}`);
@@ -511,7 +462,7 @@ const { scanType, bodyPart, reason } = orderData;
       'Radiology order created. Payment required before scan can be performed.',
     priceInfo: service ? {
       service: scanType,
-      price: service.price,
+      price,
       coveredByInsurance: hasInsurance
     } : null
   });
@@ -528,12 +479,12 @@ const { scanType, bodyPart, reason } = orderData;
 // @desc    Add prescription (NEW WORKFLOW - goes to pharmacist first, NOT added to invoice yet)
 // @route   POST /api/visits/:id/prescriptions
 router.post('/:id/prescriptions',
-authorize('admin', 'doctor'),
+requirePermission('visits.prescribe'),
 checkPaymentEligibility,
 async (req, res) => {
 try {
 const visit = req.visit;
-const { medication, dosage, frequency, duration, type, notes } = req.body;
+const { medication, dosage, frequency, duration, type, notes, overrideReason } = req.body;
 
   // Step 1: Initialize the Medicine model
   const Medicine = mongoose.model('Medicine');
@@ -562,7 +513,19 @@ const { medication, dosage, frequency, duration, type, notes } = req.body;
     });
   }
 
-  // Step 5: Create the prescription object
+  // Step 5: Check against the patient's allergies and current medications.
+  // Severe alerts stop the prescription unless overrideReason is given.
+  const { alerts, override } = await clinicalDecisionService.review({
+    patientId: visit.patient._id,
+    medicine: medicineItem,
+    medication,
+    overrideReason,
+    userId: req.user.id,
+    entityType: 'Visit',
+    entityId: visit._id
+  });
+
+  // Step 6: Create the prescription object
   // We use the official name and ID from the database record (medicineItem)
   const newPrescription = {
     medication: medicineItem.name,
@@ -576,10 +539,12 @@ const { medication, dosage, frequency, duration, type, notes } = req.body;
     status: 'Pending Quantification', 
     quantifiedQuantity: null, 
     quantifiedPrice: null, 
-    sentToPharmacyAt: new Date()
+    sentToPharmacyAt: new Date(),
+    alerts,
+    alertOverride: override
   };
   
-  // Step 6: Update the visit record
+  // Step 7: Update the visit record
   visit.prescriptions.push(newPrescription);
   await visit.save();
 
@@ -591,10 +556,18 @@ const { medication, dosage, frequency, duration, type, notes } = req.body;
   res.status(201).json({ 
     status: 'success', 
     data: newPrescription,
+    alerts,
     message: 'Prescription created and sent to pharmacy for quantification.'
   });
   
 } catch (error) {
+  if (error.details?.alerts) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message,
+      alerts: error.details.alerts
+    });
+  }
   logger.error('Add prescription error:', error);
   res.status(400).json({ 
     status: 'error', 
@@ -607,7 +580,7 @@ const { medication, dosage, frequency, duration, type, notes } = req.body;
 // @desc    Update payment status (consultation fee paid)
 // @route   PATCH /api/visits/:id/payment-status
 router.patch('/:id/payment-status',
-authorize('admin', 'receptionist'),
+requirePermission('visits.payment_status'),
 async (req, res) => {
 try {
 const visit = await Visit.findById(req.params.id)
@@ -669,7 +642,7 @@ const visit = await Visit.findById(req.params.id)
 
 // @desc    Add a diagnosis to a visit
 // @route   POST /api/visits/:id/diagnosis
-router.post('/:id/diagnosis', authorize('admin', 'doctor'), async (req, res) => {
+router.post('/:id/diagnosis', requirePermission('visits.diagnose'), async (req, res) => {
 try {
 const visit = await Visit.findById(req.params.id);
 if (!visit) {
@@ -708,7 +681,7 @@ message: error.message
 
 // @desc    End a visit
 // @route   PATCH /api/visits/:id/end-visit
-router.patch('/:id/end-visit', authorize('admin', 'receptionist'), async (req, res) => {
+router.patch('/:id/end-visit', requirePermission('visits.end'), async (req, res) => {
 try {
 const visit = await Visit.findById(req.params.id);
 if (!visit) {
@@ -738,7 +711,7 @@ message: 'Server Error'
 // @route   PATCH /api/visits/:id/prescriptions/:prescriptionId/administer
 // @access  Private (Nurse, Doctor, Admin)
 router.patch('/:id/prescriptions/:prescriptionId/administer',
-authorize('admin', 'nurse', 'doctor'),
+requirePermission('visits.administer'),
 async (req, res) => {
 try {
   const visit = await Visit.findById(req.params.id);
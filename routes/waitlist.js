@@ -0,0 +1,155 @@
+import express from 'express';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { protect, requirePermission, requireAnyPermission } from '../middleware/auth.js';
+import waitlistService from '../services/waitlistService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const sendError = (res, error, label) => {
+  if (!error.statusCode) {
+    logger.error(`${label} error:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode ? error.message : 'Server error'
+  });
+};
+
+// @desc    List the waitlist, oldest first
+// @route   GET /api/waitlist?doctor=&status=
+// @access  Private (appointments.view_all, or appointments.view_own for their own patients)
+router.get('/', requireAnyPermission('appointments.view_all', 'appointments.view_own'), async (req, res) => {
+  try {
+    await waitlistService.expireOffers();
+
+    const query = { status: req.query.status ? { $in: req.query.status.split(',') } : { $in: ['waiting', 'offered'] } };
+    if (!req.user.hasPermission('appointments.view_all')) {
+      query.doctor = req.user.id;
+    } else if (req.query.doctor) {
+      query.doctor = req.query.doctor;
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('patient', 'firstName lastName phone patientId')
+      .populate('doctor', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: entries
+    });
+  } catch (error) {
+    sendError(res, error, 'Get waitlist');
+  }
+});
+
+// @desc    Add a patient to a doctor's waitlist
+// @route   POST /api/waitlist
+// @access  Private (appointments.create)
+router.post('/', requirePermission('appointments.create'), async (req, res) => {
+  try {
+    const { patientId, doctorId, earliestDate, latestDate, duration, type, reason, notes } = req.body;
+    if (!patientId || !doctorId || !reason) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A patient, a doctor and a reason are required'
+      });
+    }
+    if ((earliestDate && !DATE.test(earliestDate)) || (latestDate && !DATE.test(latestDate))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'earliestDate and latestDate must be YYYY-MM-DD'
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({ patient: patientId, doctor: doctorId, status: { $in: ['waiting', 'offered'] } });
+    if (existing) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This patient is already on the doctor\'s waitlist',
+        data: existing
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patient: patientId,
+      doctor: doctorId,
+      earliestDate,
+      latestDate,
+      duration: duration ? parseInt(String(duration).split(' ')[0]) : undefined,
+      type: type?.toLowerCase(),
+      reason,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Patient added to the waitlist',
+      data: entry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+    sendError(res, error, 'Add to waitlist');
+  }
+});
+
+// @desc    Accept an offered slot, booking the appointment
+// @route   POST /api/waitlist/:id/accept
+// @access  Private (appointments.create)
+router.post('/:id/accept', requirePermission('appointments.create'), async (req, res) => {
+  try {
+    const { entry, appointment } = await waitlistService.accept(req.params.id, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Appointment booked for ${appointment.appointmentTime} on ${appointment.appointmentDate}`,
+      data: { entry, appointment }
+    });
+  } catch (error) {
+    sendError(res, error, 'Accept waitlist offer');
+  }
+});
+
+// @desc    Decline an offered slot; the patient keeps their place
+// @route   POST /api/waitlist/:id/decline
+// @access  Private (appointments.update)
+router.post('/:id/decline', requirePermission('appointments.update'), async (req, res) => {
+  try {
+    const { entry, next } = await waitlistService.decline(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: next ? 'Offer declined; the slot has been offered to the next patient' : 'Offer declined; nobody else is waiting for this slot',
+      data: { entry, next }
+    });
+  } catch (error) {
+    sendError(res, error, 'Decline waitlist offer');
+  }
+});
+
+// @desc    Take a patient off the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private (appointments.update)
+router.delete('/:id', requirePermission('appointments.update'), async (req, res) => {
+  try {
+    const entry = await waitlistService.remove(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Patient removed from the waitlist',
+      data: entry
+    });
+  } catch (error) {
+    sendError(res, error, 'Remove from waitlist');
+  }
+});
+
+export default router;
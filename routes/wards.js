@@ -2,7 +2,7 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Ward from '../models/Ward.js';
 import Bed from '../models/Bed.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -58,7 +58,7 @@ router.get('/', protect, async (req, res) => {
 // @desc    Get ward statistics
 // @route   GET /api/wards/statistics
 // @access  Private
-router.get('/statistics', protect, authorize('admin', 'doctor', 'nurse'), async (req, res) => {
+router.get('/statistics', protect, requirePermission('wards.statistics'), async (req, res) => {
   try {
     const stats = await Ward.getStatistics();
     res.status(200).json({
@@ -113,7 +113,7 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Create new ward
 // @route   POST /api/wards
 // @access  Private (Admin only)
-router.post('/', protect, authorize('admin'), [
+router.post('/', protect, requirePermission('wards.manage'), [
   body('name').trim().notEmpty().withMessage('Ward name is required'),
   body('wardNumber').trim().notEmpty().withMessage('Ward number is required'),
   body('type').isIn(['general', 'icu', 'ccu', 'nicu', 'pediatric', 'maternity', 'surgical', 'medical', 'orthopedic', 'emergency', 'isolation', 'private']).withMessage('Invalid ward type'),
@@ -158,7 +158,7 @@ router.post('/', protect, authorize('admin'), [
 // @desc    Update ward
 // @route   PUT /api/wards/:id
 // @access  Private (Admin only)
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+router.put('/:id', protect, requirePermission('wards.manage'), async (req, res) => {
   try {
     let ward = await Ward.findById(req.params.id);
 
@@ -205,7 +205,7 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
 // @desc    Delete ward
 // @route   DELETE /api/wards/:id
 // @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('wards.manage'), async (req, res) => {
   try {
     const ward = await Ward.findById(req.params.id);
 
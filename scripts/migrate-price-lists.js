@@ -0,0 +1,133 @@
+/**
+ * Move the fixed payer columns of the old ItemPrice table and of
+ * Medicine.prices (BRITAM, NSSF, NHIF, ASSEMBLE, Pharmacy, HospitalShop) onto
+ * price lists.
+ *
+ * Insurer columns go to the active price list of the InsuranceProvider with
+ * that name or code, created if needed; a column with no matching provider is
+ * reported and skipped. Pharmacy and HospitalShop go to the cash lists for
+ * those channels. Zero and blank prices are skipped: they meant "not set".
+ *
+ * ItemPrice rows carried no item type, so each is matched by name against
+ * the catalogues (medicines, services, lab tests, wards) and priced as what
+ * it names; a row that names none is priced as a medicine, as before, and
+ * reported.
+ *
+ * The legacy data is read straight from the collections and left in place.
+ * Safe to run more than once: migrated prices all take effect on the same
+ * date, so a second run replaces them rather than adding more.
+ *
+ * Usage: npm run migrate-price-lists
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import InsuranceProvider from '../models/InsuranceProvider.js';
+import PriceList from '../models/PriceList.js';
+import { PRICE_ITEM_TYPES, nameKey } from '../models/PriceListItem.js';
+import pricingService from '../services/pricingService.js';
+
+dotenv.config();
+
+const LEGACY_EFFECTIVE_FROM = new Date('2000-01-01T00:00:00Z');
+
+const CASH_COLUMNS = {
+  Pharmacy: { code: 'PHARMACY', name: 'Pharmacy (cash)', cashChannel: 'pharmacy' },
+  HospitalShop: { code: 'HOSPITAL_SHOP', name: 'Hospital shop (cash)', cashChannel: 'hospital_shop' },
+};
+const INSURER_COLUMNS = ['BRITAM', 'NSSF', 'NHIF', 'ASSEMBLE'];
+// Catalogues an ItemPrice row may name, checked in this order
+const CATALOGUES = [
+  { collection: 'medicines', itemType: 'medicine' },
+  { collection: 'services', itemType: 'service' },
+  { collection: 'labtestdefinitions', itemType: 'lab_test' },
+  { collection: 'wards', itemType: 'ward_day' },
+];
+
+// What each catalogue name is, by name key: { itemType, item }
+async function catalogueByName(db) {
+  const byName = new Map();
+  for (const { collection, itemType } of CATALOGUES) {
+    const rows = await db.collection(collection).find({}, { projection: { name: 1 } }).toArray();
+    for (const row of rows) {
+      const key = nameKey(row.name);
+      if (key && !byName.has(key)) byName.set(key, { itemType, item: row._id });
+    }
+  }
+  return byName;
+}
+
+async function listForColumn(column) {
+  if (CASH_COLUMNS[column]) {
+    const { code, name, cashChannel } = CASH_COLUMNS[column];
+    return (await PriceList.findOne({ payerType: 'cash', cashChannel, isActive: true }))
+      || PriceList.create({ code, name, payerType: 'cash', cashChannel });
+  }
+
+  const provider = await InsuranceProvider.findOne({
+    $or: [{ name: new RegExp(`^${column}$`, 'i') }, { code: new RegExp(`^${column}$`, 'i') }]
+  });
+  if (!provider) return null;
+
+  return (await PriceList.findOne({ payerType: 'insurance', provider: provider._id, isActive: true }))
+    || PriceList.create({ code: provider.code || column, name: `${provider.name} tariff`, payerType: 'insurance', provider: provider._id });
+}
+
+async function migratePriceLists() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hospital_management', {
+    serverSelectionTimeoutMS: 5000,
+  });
+
+  const lists = {};
+  for (const column of [...INSURER_COLUMNS, ...Object.keys(CASH_COLUMNS)]) {
+    lists[column] = await listForColumn(column);
+    if (!lists[column]) {
+      console.warn(`No insurance provider named ${column}; its prices will not be migrated`);
+    }
+  }
+
+  const db = mongoose.connection.db;
+  const catalogue = await catalogueByName(db);
+  const unmatched = [];
+  const itemPrices = (await db.collection('itemprices').find({}).toArray()).map((row) => {
+    const declared = String(row.itemType || row.type || '').toLowerCase();
+    const found = PRICE_ITEM_TYPES.includes(declared) ? { itemType: declared } : catalogue.get(nameKey(row.name));
+    if (!found) unmatched.push(row.name);
+    return { name: row.name, prices: row.prices, itemType: 'medicine', ...found };
+  });
+  if (unmatched.length) {
+    console.warn(`${unmatched.length} ItemPrice row(s) match no catalogue item and are priced as medicines: ${unmatched.join(', ')}`);
+  }
+  const sources = [
+    ...itemPrices,
+    ...(await db.collection('medicines').find({ prices: { $exists: true } }).toArray())
+      .map((row) => ({ name: row.name, item: row._id, itemType: 'medicine', prices: row.prices })),
+  ];
+
+  const counts = { created: 0, updated: 0, skipped: 0 };
+  for (const { name, item, itemType, prices } of sources) {
+    for (const [column, value] of Object.entries(prices || {})) {
+      const list = lists[column];
+      const price = Number(value);
+      if (!list || !name || !Number.isFinite(price) || price <= 0) {
+        counts.skipped += 1;
+        continue;
+      }
+      const { action } = await pricingService.setPrice(list, {
+        itemType,
+        name,
+        item,
+        price,
+        effectiveFrom: LEGACY_EFFECTIVE_FROM,
+      });
+      counts[action] += 1;
+    }
+  }
+
+  console.log(`Migrated ${counts.created + counts.updated} price(s) (${counts.created} new, ${counts.updated} replaced); skipped ${counts.skipped}`);
+  await mongoose.disconnect();
+}
+
+migratePriceLists().catch((error) => {
+  console.error('Price list migration failed:', error);
+  process.exit(1);
+});
@@ -32,30 +32,44 @@ import surgeonRoutes from './routes/surgeons.js';
 import nurseRoutes from './routes/nurses.js';
 import departmentRoutes from './routes/departments.js';
 import appointmentRoutes from './routes/appointments.js';
+import waitlistRoutes from './routes/waitlist.js';
 import visitRoutes from './routes/visits.js';
 import wardRoutes from './routes/wards.js';
 import bedRoutes from './routes/beds.js';
 import ipdRecordRoutes from './routes/ipd-records.js';
 import dashboardRoutes from './routes/dashboard.js';
 import labTestRoutes from './routes/labTests.js';
+import labCatalogRoutes from './routes/labCatalog.js';
 import radiologyRoutes from './routes/radiology.js';
 import theatreRoutes from './routes/theatres.js';
 import theatreProcedureRoutes from './routes/theatre-procedures.js';
 import prescriptionRoutes from './routes/prescriptions.js';
 import medicineRoutes from './routes/medicines.js';
 import billingRoutes from './routes/billing.js';
+import claimRoutes from './routes/claims.js';
 import serviceRoutes from './routes/services.js';
 import stockRoutes from './routes/stock.js';
+import storeRoutes from './routes/stores.js';
 import dispensingRoutes from './routes/dispensing.js';
 import directDispensingRoutes from './routes/directDispensing.js';
 import requisitionRoutes from './routes/requisitions.js';
-import itemPricingRoutes from './routes/itemPricing.js';
+import priceListRoutes from './routes/priceLists.js';
 import itemReceivingRoutes from './routes/itemReceiving.js';
+import supplierRoutes from './routes/suppliers.js';
+import supplierInvoiceRoutes from './routes/supplierInvoices.js';
 import incomingItemsRoutes from './routes/incomingItems.js';
 import corpsesRoutes from './routes/corpses.js';
 import cabinetRoutes from './routes/cabinets.js';
 import releaseRoutes from './routes/releases.js';
 import uploadRoutes from './routes/upload.js';
+import notificationRoutes from './routes/notifications.js';
+import eventRoutes from './routes/events.js';
+import auditLogRoutes from './routes/auditLogs.js';
+import roleRoutes from './routes/roles.js';
+import jobRoutes from './routes/jobs.js';
+import portalRoutes from './routes/portal.js';
+import clinicalKnowledgeRoutes from './routes/clinicalKnowledge.js';
+import jobScheduler from './services/jobs.js';
 
 // Load environment variables
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -81,8 +95,14 @@ const app = express();
 // This is required when behind reverse proxies (Render, Heroku, nginx, etc.)
 app.set('trust proxy', 1);
 
-// Connect to Database
-connectDB();
+// Connect to Database, then start the scheduled jobs (reminders, overdue
+// invoices, expiry alerts). JOBS_ENABLED=false leaves an instance out of the
+// rota; the others still run every job.
+connectDB().then(() => {
+  if (process.env.JOBS_ENABLED !== 'false') {
+    jobScheduler.start();
+  }
+});
 
 // Security Middleware
 app.use(helmet({
@@ -106,11 +126,18 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Payment providers deliver callbacks from a handful of addresses and retry
+  // on 429, so limiting them only delays settlement.
+  skip: (req) => req.originalUrl.startsWith('/api/billing/webhooks/')
+    || req.originalUrl.startsWith('/api/billing/callbacks/'),
 });
 
 app.use('/api/', limiter);
 
 // Body parser middleware
+// The Stripe webhook verifies a signature over the exact request bytes, so it
+// must see the body unparsed. Registered first, express.json() then skips it.
+app.use('/api/billing/webhooks/stripe', express.raw({ type: 'application/json', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
@@ -210,30 +237,43 @@ app.use('/api/surgeons', surgeonRoutes);
 app.use('/api/nurses', nurseRoutes);
 app.use('/api/departments', departmentRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 app.use('/api/visits', visitRoutes);
 app.use('/api/wards', wardRoutes);
 app.use('/api/beds', bedRoutes);
 app.use('/api/ipd-records', ipdRecordRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/lab-tests', labTestRoutes);
+app.use('/api/lab-catalog', labCatalogRoutes);
 app.use('/api/radiology', radiologyRoutes);
 app.use('/api/theatres', theatreRoutes);
 app.use('/api/theatre-procedures', theatreProcedureRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
 app.use('/api/medicines', medicineRoutes);
+app.use('/api/clinical-knowledge', clinicalKnowledgeRoutes);
+app.use('/api/billing/insurance-claims', claimRoutes);
 app.use('/api/billing', billingRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/stock', stockRoutes);
+app.use('/api/stores', storeRoutes);
 app.use('/api/dispensing', dispensingRoutes);
 app.use('/api/direct-dispensing', directDispensingRoutes);
 app.use('/api/requisitions', requisitionRoutes);
-app.use('/api/item-pricing', itemPricingRoutes);
+app.use('/api/price-lists', priceListRoutes);
 app.use('/api/item-receiving', itemReceivingRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/supplier-invoices', supplierInvoiceRoutes);
 app.use('/api/incoming-items', incomingItemsRoutes);
 app.use('/api/corpses', corpsesRoutes);
 app.use('/api/cabinets', cabinetRoutes);
 app.use('/api/releases', releaseRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/portal', portalRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,234 @@
+import Appointment from '../models/Appointment.js';
+import AppointmentSeries, { FREQUENCIES } from '../models/AppointmentSeries.js';
+import scheduleService, { addDays, localDate } from './scheduleService.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import logger from '../utils/logger.js';
+
+export const MAX_OCCURRENCES = 52;
+
+// Occurrences that have not happened yet and can still be moved or cancelled
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const pad = (n) => String(n).padStart(2, '0');
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+const seriesError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Dates of a recurrence starting on `startDate`, which is the first
+ * occurrence. Monthly series keep the day of the month, moved back to the
+ * last day in shorter months (a series on the 31st falls on 30 April), and
+ * the rule ends after `count` occurrences or on `until`, whichever is first.
+ */
+export const occurrenceDates = (startDate, { frequency, interval = 1, count, until } = {}) => {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw seriesError(400, `recurrence.frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  const every = Number(interval);
+  if (!Number.isInteger(every) || every < 1 || every > 12) {
+    throw seriesError(400, 'recurrence.interval must be a whole number from 1 to 12');
+  }
+  if (count === undefined && !until) {
+    throw seriesError(400, 'recurrence needs a count or an until date');
+  }
+  if (count !== undefined && (!Number.isInteger(Number(count)) || count < 2 || count > MAX_OCCURRENCES)) {
+    throw seriesError(400, `recurrence.count must be a whole number from 2 to ${MAX_OCCURRENCES}`);
+  }
+  if (until && (!DATE.test(until) || until < startDate)) {
+    throw seriesError(400, 'recurrence.until must be a YYYY-MM-DD date on or after the first appointment');
+  }
+
+  const [year, month, day] = startDate.split('-').map(Number);
+  const nth = (k) => {
+    if (frequency === 'weekly') return addDays(startDate, k * every * 7);
+    const months = month - 1 + k * every;
+    const y = year + Math.floor(months / 12);
+    const m = months % 12;
+    const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    return `${y}-${pad(m + 1)}-${pad(Math.min(day, lastDay))}`;
+  };
+
+  const limit = count !== undefined ? Number(count) : Infinity;
+  const dates = [];
+  for (let k = 0; dates.length < limit; k++) {
+    const date = nth(k);
+    if (until && date > until) break;
+    if (dates.length === MAX_OCCURRENCES) {
+      throw seriesError(400, `A series can have at most ${MAX_OCCURRENCES} appointments; choose an earlier until date`);
+    }
+    dates.push(date);
+  }
+  return dates;
+};
+
+class AppointmentSeriesService {
+  /**
+   * Check every occurrence before anything is booked, so a series is either
+   * booked whole or not at all. The 409 lists each date that cannot be
+   * booked and why.
+   */
+  async _assertAllBookable(slots, excludeId) {
+    const failures = [];
+    for (const slot of slots) {
+      try {
+        await scheduleService.assertBookable({ ...slot, excludeId });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        failures.push({ date: slot.date, time: slot.time, message: error.message, ...(error.details && { conflicts: error.details }) });
+      }
+    }
+    if (failures.length) {
+      throw seriesError(409, `${failures.length} of ${slots.length} appointment(s) in the series cannot be booked`, failures);
+    }
+  }
+
+  /**
+   * Book a recurring appointment. `details` are those of the first
+   * occurrence, as for a single booking.
+   */
+  async createSeries(details, recurrence) {
+    const { patient, doctor, date, time, duration, type, reason, status, createdBy } = details;
+    const dates = occurrenceDates(date, recurrence);
+
+    await this._assertAllBookable(dates.map((d) => ({ doctor, date: d, time, duration, type })));
+
+    return withTransaction(async (session) => {
+      const [series] = await AppointmentSeries.create([{
+        patient,
+        doctor,
+        frequency: recurrence.frequency,
+        interval: recurrence.interval || 1,
+        count: recurrence.count,
+        until: recurrence.until,
+        startDate: date,
+        appointmentTime: time,
+        duration,
+        type,
+        reason,
+        createdBy
+      }], { session });
+
+      // One at a time so appointment numbers are allocated in date order
+      const appointments = [];
+      for (const [index, appointmentDate] of dates.entries()) {
+        const [appointment] = await Appointment.create([{
+          patient,
+          doctor,
+          appointmentDate,
+          appointmentTime: time,
+          duration,
+          type,
+          status,
+          reason,
+          createdBy,
+          series: series._id,
+          occurrence: index + 1
+        }], { session });
+        appointments.push(appointment);
+      }
+
+      logger.info(`Booked appointment series ${series._id} (${appointments.length} appointments)`);
+      return { series, appointments };
+    }, 'appointment series booking');
+  }
+
+  /**
+   * Apply an edit to an occurrence and every later one still open. A new
+   * date moves each of them by the same number of days; the other fields
+   * replace theirs. The series keeps the new details for reference.
+   */
+  async updateFollowing(appointment, changes) {
+    if (!appointment.series) {
+      throw seriesError(400, 'This appointment is not part of a series');
+    }
+
+    const targets = await Appointment.find({
+      series: appointment.series,
+      occurrence: { $gte: appointment.occurrence },
+      status: { $in: OPEN_STATUSES }
+    }).sort({ occurrence: 1 });
+    if (!targets.length) {
+      throw seriesError(409, 'There are no open appointments from this one onwards to change');
+    }
+
+    const shift = changes.appointmentDate ? daysBetween(appointment.appointmentDate, changes.appointmentDate) : 0;
+    const moved = targets.map((target) => ({
+      target,
+      doctor: changes.doctor || target.doctor,
+      date: addDays(target.appointmentDate, shift),
+      time: changes.appointmentTime || target.appointmentTime,
+      duration: changes.duration || target.duration,
+      type: changes.type || target.type
+    }));
+
+    if (changes.doctor || changes.appointmentDate || changes.appointmentTime || changes.duration) {
+      // The occurrences being moved cannot clash with each other's old slots
+      await this._assertAllBookable(moved.map(({ target, ...slot }) => slot), targets.map((t) => t._id));
+    }
+
+    return withTransaction(async (session) => {
+      for (const { target, doctor, date, time, duration, type } of moved) {
+        Object.assign(target, { doctor, appointmentDate: date, appointmentTime: time, duration, type });
+        if (changes.reason) target.reason = changes.reason;
+        if (changes.notes !== undefined) target.notes = changes.notes;
+        await target.save({ session });
+      }
+
+      const series = await AppointmentSeries.findById(appointment.series).session(session);
+      if (series) {
+        if (changes.doctor) series.doctor = changes.doctor;
+        if (changes.appointmentTime) series.appointmentTime = changes.appointmentTime;
+        if (changes.duration) series.duration = changes.duration;
+        if (changes.type) series.type = changes.type;
+        if (changes.reason) series.reason = changes.reason;
+        await series.save({ session });
+      }
+
+      return targets;
+    }, 'appointment series update');
+  }
+
+  /**
+   * Cancel the open occurrences of a series on or after `from` (default
+   * today). Earlier ones, and any already attended, are left as they are.
+   */
+  async cancelSeries(seriesId, { from = localDate(), reason, userId } = {}) {
+    if (!DATE.test(from)) {
+      throw seriesError(400, 'from must be YYYY-MM-DD');
+    }
+    const series = await AppointmentSeries.findById(seriesId);
+    if (!series) {
+      throw seriesError(404, 'Appointment series not found');
+    }
+
+    return withTransaction(async (session) => {
+      const cancelled = await Appointment.find({
+        series: series._id,
+        appointmentDate: { $gte: from },
+        status: { $in: OPEN_STATUSES }
+      }).session(session);
+
+      for (const appointment of cancelled) {
+        appointment.status = 'cancelled';
+        await appointment.save({ session });
+      }
+
+      series.status = 'cancelled';
+      series.cancelledAt = new Date();
+      series.cancelledBy = userId;
+      series.cancellationReason = reason;
+      await series.save({ session });
+
+      logger.info(`Cancelled appointment series ${series._id} from ${from} (${cancelled.length} appointments)`);
+      return { series, cancelled };
+    }, 'appointment series cancellation');
+  }
+}
+
+export default new AppointmentSeriesService();
@@ -0,0 +1,176 @@
+import Appointment from '../models/Appointment.js';
+import visitService from './visitService.js';
+import { addDays, localDate, toMinutes } from './scheduleService.js';
+import logger from '../utils/logger.js';
+
+// Appointments still waiting for the patient
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+// The patient came
+const ATTENDED_STATUSES = ['checked-in', 'in-progress', 'completed'];
+// Arriving within this many minutes of the booked time is on time
+export const LATE_AFTER_MINUTES = 10;
+const MAX_RANGE_DAYS = 366;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+const attendanceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AttendanceService {
+  /**
+   * Check a patient in for today's appointment: open the visit with the
+   * appointment's doctor, reason and type, and link the two both ways. The
+   * appointment is claimed first, so a double click cannot open two visits,
+   * and released again if the visit cannot be opened.
+   *
+   * Returns { appointment, visit, eligibility, hasInsurance }.
+   */
+  async checkIn(appointmentId, userId, { now = new Date() } = {}) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      throw attendanceError(404, 'Appointment not found');
+    }
+    if (appointment.visit || appointment.status === 'checked-in') {
+      throw attendanceError(409, 'This appointment has already been checked in');
+    }
+    if (!OPEN_STATUSES.includes(appointment.status)) {
+      throw attendanceError(409, `A ${appointment.status} appointment cannot be checked in`);
+    }
+    if (appointment.appointmentDate !== localDate(now)) {
+      throw attendanceError(409, `This appointment is on ${appointment.appointmentDate}, not today`);
+    }
+
+    const { status } = appointment;
+    const minutesNow = now.getHours() * 60 + now.getMinutes();
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status: 'checked-in',
+          checkedInAt: now,
+          checkedInBy: userId,
+          lateMinutes: Math.max(0, minutesNow - toMinutes(appointment.appointmentTime))
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw attendanceError(409, 'This appointment has already been checked in');
+    }
+
+    let opened;
+    try {
+      opened = await visitService.openVisit({
+        patientId: appointment.patient,
+        doctorId: appointment.doctor,
+        visitDate: now,
+        reason: appointment.reason,
+        type: appointment.type,
+        appointment: appointment._id
+      }, userId);
+    } catch (error) {
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $set: { status }, $unset: { checkedInAt: '', checkedInBy: '', lateMinutes: '' } }
+      );
+      throw error;
+    }
+
+    await Appointment.updateOne({ _id: appointment._id }, { $set: { visit: opened.visit._id } });
+    claimed.visit = opened.visit._id;
+
+    logger.info(`Appointment ${appointment.appointmentId} checked in as visit ${opened.visit.visitId}`);
+    return { appointment: claimed, ...opened };
+  }
+
+  /**
+   * Mark appointments from before today that nobody checked in for as
+   * no-shows. Run by the appointment-no-shows job.
+   */
+  async markNoShows({ now = new Date() } = {}) {
+    const { modifiedCount } = await Appointment.updateMany(
+      { status: { $in: OPEN_STATUSES }, appointmentDate: { $lt: localDate(now) } },
+      { $set: { status: 'no-show' } }
+    );
+    if (modifiedCount) {
+      logger.info(`Marked ${modifiedCount} appointment(s) before ${localDate(now)} as no-shows`);
+    }
+    return { noShows: modifiedCount };
+  }
+
+  /**
+   * No-show and lateness figures per doctor for appointments between two
+   * dates. Cancelled appointments do not count; lateness is measured on
+   * appointments checked in through the check-in action.
+   */
+  async attendanceByDoctor({ from, to }) {
+    if (!DATE.test(from || '') || !DATE.test(to || '')) {
+      throw attendanceError(400, 'from and to must be YYYY-MM-DD');
+    }
+    if (to < from) {
+      throw attendanceError(400, 'The end date is before the start date');
+    }
+    if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+      throw attendanceError(400, `Attendance can be reported for at most ${MAX_RANGE_DAYS} days at a time`);
+    }
+
+    const appointments = await Appointment.find({
+      appointmentDate: { $gte: from, $lte: to },
+      status: { $in: [...ATTENDED_STATUSES, 'no-show'] }
+    })
+      .select('doctor status checkedInAt lateMinutes')
+      .populate('doctor', 'firstName lastName')
+      .lean();
+
+    const byDoctor = new Map();
+    for (const appointment of appointments) {
+      const id = String(appointment.doctor?._id || appointment.doctor);
+      if (!byDoctor.has(id)) {
+        byDoctor.set(id, {
+          doctor: {
+            _id: id,
+            name: appointment.doctor?.firstName ? `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}` : 'Unknown'
+          },
+          booked: 0,
+          attended: 0,
+          noShows: 0,
+          checkedIn: 0,
+          late: 0,
+          lateMinutesTotal: 0
+        });
+      }
+
+      const row = byDoctor.get(id);
+      row.booked += 1;
+      if (appointment.status === 'no-show') {
+        row.noShows += 1;
+        continue;
+      }
+      row.attended += 1;
+      if (appointment.checkedInAt) {
+        row.checkedIn += 1;
+        if (appointment.lateMinutes > LATE_AFTER_MINUTES) {
+          row.late += 1;
+          row.lateMinutesTotal += appointment.lateMinutes;
+        }
+      }
+    }
+
+    const doctors = [...byDoctor.values()]
+      .map(({ lateMinutesTotal, ...row }) => ({
+        ...row,
+        noShowRate: percent(row.noShows, row.booked),
+        lateRate: percent(row.late, row.checkedIn),
+        averageLateMinutes: row.late ? Math.round(lateMinutesTotal / row.late) : 0
+      }))
+      .sort((a, b) => b.noShowRate - a.noShowRate || a.doctor.name.localeCompare(b.doctor.name));
+
+    return { from, to, lateAfterMinutes: LATE_AFTER_MINUTES, doctors };
+  }
+}
+
+export default new AttendanceService();
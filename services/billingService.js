@@ -11,6 +11,13 @@ import Notification from '../models/Notification.js';
 import AuditLog from '../models/AuditLog.js';
 import logger from '../utils/logger.js';
 import { withTransaction } from '../utils/withTransaction.js';
+import { getGateway, gatewayForMethod } from './gateways/index.js';
+import paymentGatewayService from './paymentGateway.js';
+import coverageService from './coverageService.js';
+import eligibilityService from './eligibilityService.js';
+
+// Payment states that are still waiting on a gateway's final answer.
+const UNSETTLED = ['pending', 'processing'];
 
 class BillingService {
   /**
@@ -38,7 +45,8 @@ class BillingService {
         throw new Error('Patient not found');
       }
 
-      const hasInsurance = !!(patient.insurance?.provider);
+      // A visit whose eligibility check failed is billed as cash
+      const { covered: hasInsurance, emergency } = await this._visitCoverage(data.visit, patient);
 
       // Generate invoice number
       const invoiceNumber = await Invoice.generateInvoiceNumber();
@@ -58,10 +66,11 @@ class BillingService {
       // Calculate initial totals
       invoice.calculateTotals();
 
-      // === UNIFIED INSURANCE LOGIC ===
+      // === INSURANCE COVERAGE ===
+      // The coverage engine decides what the plan pays for each line; that
+      // share is booked as an insurance payment and the patient owes the rest.
+      let insuranceShare = null;
       if (hasInsurance) {
-        const now = new Date();
-        
         // Get provider ObjectId
         let providerObjectId = patient.insurance.provider;
         if (typeof patient.insurance.provider === 'string') {
@@ -80,49 +89,25 @@ class BillingService {
           await patient.save();
         }
 
-        // Mark all items as paid and covered by insurance
-        invoice.items.forEach(item => {
-          item.paid = true;
-          item.paidAt = now;
-          item.coveredByInsurance = true;
-          item.insuranceApproved = true;
-        });
-        
-        // Add insurance payment record
-        invoice.payments.push({
-          amount: invoice.totalAmount,
-          method: 'insurance',
-          paidBy: userId,
-          paidAt: now,
-          reference: `Insurance payment - ${patient.insurance.membershipNumber || 'N/A'}`,
-          notes: '100% insurance coverage',
-          itemIndices: invoice.items.map((_, index) => index)
-        });
-
-        // Set insurance coverage details
-        invoice.insuranceCoverage = {
-          provider: providerObjectId,
-          policyNumber: patient.insurance.membershipNumber || 'N/A',
-          coverageAmount: invoice.totalAmount,
-          status: 'approved',
-          approvalCode: `AUTO-${Date.now()}`
-        };
-
-        // Update invoice status
-        invoice.status = 'paid';
-        invoice.amountPaid = invoice.totalAmount;
-        invoice.balanceDue = 0;
-        invoice.paidDate = now;
+        await coverageService.applyToInvoice(invoice, patient, { emergency });
+        insuranceShare = this._bookInsuranceShare(
+          invoice,
+          invoice.items.map((_, index) => index),
+          userId,
+          `Insurance payment - ${patient.insurance.membershipNumber || 'N/A'}`
+        );
+        this._summariseCoverage(invoice, providerObjectId, patient.insurance.membershipNumber);
+        invoice.insuranceCoverage.approvalCode = `AUTO-${Date.now()}`;
 
-        logger.info(`Invoice ${invoiceNumber} auto-paid (100% insurance coverage) for patient ${patient._id}`);
+        logger.info(`Invoice ${invoiceNumber}: Tsh. ${invoice.insuranceCoverage.coverageAmount} of ${invoice.totalAmount} covered by insurance for patient ${patient._id}`);
       }
-      
+
       // Save invoice (calculateTotals runs in pre-save hook)
       await invoice.save();
 
       // === SYNC WITH GLOBAL PAYMENT MODEL ===
-      if (hasInsurance && invoice.payments.length > 0) {
-        await this._createGlobalPaymentRecord(invoice, invoice.payments[0], userId);
+      if (insuranceShare) {
+        await this._createGlobalPaymentRecord(invoice, insuranceShare, userId);
       }
 
       // Update visit status if applicable
@@ -136,11 +121,12 @@ class BillingService {
         action: 'CREATE',
         entityType: 'Invoice',
         entityId: invoice._id,
-        description: `Created invoice ${invoiceNumber} for patient${hasInsurance ? ' (auto-paid by insurance)' : ''}`,
+        description: `Created invoice ${invoiceNumber} for patient${insuranceShare ? ` (Tsh. ${insuranceShare.amount} covered by insurance)` : ''}`,
         metadata: { 
           invoiceNumber, 
           amount: invoice.totalAmount,
           hasInsurance,
+          coverageAmount: insuranceShare?.amount || 0,
           status: invoice.status
         }
       });
@@ -149,9 +135,9 @@ class BillingService {
       await Notification.createNotification({
         recipient: invoice.patient,
         type: 'system_announcement',
-        title: hasInsurance ? 'Invoice Covered by Insurance' : 'New Invoice Generated',
-        message: hasInsurance 
-          ? `Invoice ${invoiceNumber} of Tsh. ${invoice.totalAmount.toLocaleString()} has been covered by your insurance.`
+        title: insuranceShare ? 'Invoice Covered by Insurance' : 'New Invoice Generated',
+        message: insuranceShare 
+          ? `Invoice ${invoiceNumber} of Tsh. ${invoice.totalAmount.toLocaleString()}: Tsh. ${insuranceShare.amount.toLocaleString()} covered by your insurance, Tsh. ${invoice.balanceDue.toLocaleString()} to pay.`
           : `Invoice ${invoiceNumber} has been generated with amount Tsh. ${invoice.totalAmount.toLocaleString()}`,
         relatedEntity: {
           entityType: 'invoice',
@@ -167,10 +153,11 @@ class BillingService {
   }
 
   /**
-   * Add items to existing invoice
-   * FIXED: Proper insurance handling
+   * Add items to existing invoice. For insured patients the new lines are run
+   * through the coverage engine, counting what earlier lines on the invoice
+   * already used of the deductible, copay and annual limit.
    */
-  async addItemsToInvoice(invoiceId, items, hasInsurance = false) {
+  async addItemsToInvoice(invoiceId, items) {
     try {
       const invoice = await Invoice.findById(invoiceId);
       
@@ -178,45 +165,25 @@ class BillingService {
         throw new Error('Invoice not found');
       }
 
-      const now = new Date();
+      const patient = await Patient.findById(invoice.patient);
+      const { covered: hasInsurance, emergency } = await this._visitCoverage(invoice.visit, patient);
       const newItemIndices = [];
 
-      // Add new items
-      items.forEach((item, index) => {
-        const itemIndex = invoice.items.length;
-        invoice.items.push({
-          ...item,
-          paid: hasInsurance,
-          paidAt: hasInsurance ? now : null,
-          coveredByInsurance: hasInsurance,
-          insuranceApproved: hasInsurance
-        });
-        newItemIndices.push(itemIndex);
+      items.forEach((item) => {
+        newItemIndices.push(invoice.items.length);
+        invoice.items.push({ ...item, paid: false, paidAt: null });
       });
 
-      // If insured, add payment for new items
       if (hasInsurance) {
-        const newItemsTotal = items.reduce((sum, item) => sum + item.total, 0);
-        
-        invoice.payments.push({
-          amount: newItemsTotal,
-          method: 'insurance',
-          paidAt: now,
-          reference: `Insurance payment for additional services`,
-          notes: 'Automatic insurance coverage',
-          itemIndices: newItemIndices
-        });
-
-        // Update insurance coverage amount
-        if (invoice.insuranceCoverage) {
-          invoice.insuranceCoverage.coverageAmount += newItemsTotal;
-        }
+        await coverageService.applyToInvoice(invoice, patient, { itemIndices: newItemIndices, emergency });
+        this._bookInsuranceShare(invoice, newItemIndices, null, 'Insurance payment for additional services');
+        this._summariseCoverage(invoice, patient.insurance.provider, patient.insurance.membershipNumber);
       }
 
       // Save will trigger calculateTotals via pre-save hook
       await invoice.save();
 
-      logger.info(`Added ${items.length} item(s) to invoice ${invoice.invoiceNumber}${hasInsurance ? ' (covered by insurance)' : ''}`);
+      logger.info(`Added ${items.length} item(s) to invoice ${invoice.invoiceNumber}${hasInsurance ? ' (coverage applied)' : ''}`);
 
       return invoice;
     } catch (error) {
@@ -237,24 +204,37 @@ class BillingService {
         throw new Error('Invoice not found');
       }
 
-      // Validate payment amount
-      if (paymentData.amount > invoice.balanceDue) {
-        throw new Error('Payment amount exceeds balance due');
+      // Validate payment amount. Gateway payments still awaiting the
+      // customer (an STK push not yet answered) have not reached the invoice
+      // but will if confirmed, so they count against the balance.
+      const pending = await Payment.find({ invoice: invoice._id, status: 'processing' }).select('amount');
+      const awaiting = pending.reduce((sum, p) => sum + p.amount, 0);
+      if (paymentData.amount > invoice.balanceDue - awaiting) {
+        throw new Error(awaiting > 0
+          ? `Payment amount exceeds balance due less Tsh. ${awaiting} awaiting confirmation`
+          : 'Payment amount exceeds balance due');
       }
 
       // The gateway call happens before the transaction opens. It reaches a
       // third party that cannot participate in a rollback, and holding a
       // transaction open across a network round trip would keep locks for the
       // duration of someone else's outage.
-      let gatewayResponse = null;
+      //
+      // A gateway may answer 'processing' (an STK push awaiting the customer's
+      // PIN, a card needing 3-D Secure). That payment is recorded but does not
+      // touch the invoice until settleGatewayPayment() confirms it.
+      const gateway = gatewayForMethod(paymentData.method);
+      let charge = null;
       let status = 'completed';
-
-      if (paymentData.method === 'credit_card' || paymentData.method === 'debit_card') {
-        gatewayResponse = await this.processCardPayment(paymentData);
-        status = gatewayResponse.success ? 'completed' : 'failed';
-      } else if (paymentData.method === 'online') {
-        gatewayResponse = await this.processOnlinePayment(paymentData);
-        status = gatewayResponse.success ? 'completed' : 'failed';
+      let reserved = null;
+
+      if (gateway) {
+        // Numbered before the charge: the number identifies this attempt to
+        // the gateway, so a retry after a decline or a second partial payment
+        // on the same invoice is a new charge rather than a replay
+        reserved = await Payment.generatePaymentNumber();
+        charge = await this._chargeGateway(gateway, paymentData, invoice, reserved);
+        status = charge.status;
       }
 
       // Everything below either all lands or none of it does. Previously the
@@ -263,7 +243,7 @@ class BillingService {
       const payment = await withTransaction(async (session) => {
         const sessionOpt = session ? { session } : {};
 
-        const paymentNumber = await Payment.generatePaymentNumber(session);
+        const paymentNumber = reserved || await Payment.generatePaymentNumber(session);
 
         const [created] = await Payment.create(
           [{
@@ -271,8 +251,12 @@ class BillingService {
             paymentNumber,
             processedBy: userId,
             status,
-            ...(gatewayResponse
-              ? { transactionId: gatewayResponse.transactionId, gatewayResponse }
+            ...(charge
+              ? {
+                gateway: gateway.name,
+                transactionId: charge.transactionId,
+                gatewayResponse: this._gatewayRecord(charge)
+              }
               : {}),
           }],
           sessionOpt
@@ -307,6 +291,12 @@ class BillingService {
         return created;
       }, 'payment processing');
 
+      // Needed by the client to finish an online or 3-D Secure payment, but
+      // not worth persisting: it is only useful for the next few minutes.
+      if (charge?.clientSecret) {
+        payment.$locals.clientSecret = charge.clientSecret;
+      }
+
       // Sent only after the payment is durably committed — a receipt for a
       // transaction that later rolled back cannot be recalled.
       if (payment.status === 'completed') {
@@ -321,66 +311,108 @@ class BillingService {
   }
 
   /**
-   * Process insurance claim
-   * UNCHANGED - Working correctly
+   * Record a gateway's final answer for a payment that was left 'processing'.
+   *
+   * Providers retry callbacks and webhooks until they are acknowledged, so
+   * this is idempotent: only the first settlement of a payment credits the
+   * invoice, and later ones return the payment unchanged.
+   *
+   * @param {string} gatewayName - Payment.gateway of the payment being settled
+   * @param {Object} settlement - { transactionId, status: 'completed' | 'failed', message, amount?, details?, reference? }
+   * @returns {Promise<Object|null>} the payment, or null if none matches
    */
-  async processInsuranceClaim(invoiceId, insuranceData, userId) {
+  async settleGatewayPayment(gatewayName, settlement) {
     try {
-      const invoice = await Invoice.findById(invoiceId);
-      if (!invoice) {
-        throw new Error('Invoice not found');
+      const { transactionId, status, message, amount, details = {}, reference } = settlement;
+
+      let payment = await Payment.findOne({ gateway: gatewayName, transactionId });
+      // A payment link's transaction only exists once the patient pays, so
+      // its payment is found by the payment number the link carries
+      if (!payment && reference) {
+        payment = await Payment.findOne({ gateway: gatewayName, paymentNumber: reference, transactionId: { $exists: false } });
       }
-      
-      const provider = await InsuranceProvider.findById(insuranceData.providerId);
-      if (!provider) {
-        throw new Error('Insurance provider not found');
+      if (!payment) {
+        logger.warn(`No ${gatewayName} payment matches transaction ${transactionId}`);
+        return null;
       }
-      
-      let totalCoverage = 0;
-      for (const item of invoice.items) {
-        if (item.coveredByInsurance) {
-          const coverage = provider.checkCoverage(
-            insuranceData.planCode,
-            item.type
-          );
-          if (coverage) {
-            const itemCoverage = (item.total * coverage.coveragePercentage) / 100;
-            totalCoverage += itemCoverage;
-            item.insuranceApproved = true;
+
+      if (!UNSETTLED.includes(payment.status)) {
+        return payment;
+      }
+
+      // Credit what the provider actually collected. A mismatch should not
+      // happen, but if it does the invoice must reflect the real money.
+      const received = amount !== undefined && amount !== null ? Number(amount) : payment.amount;
+      if (status === 'completed' && received !== payment.amount) {
+        logger.warn(`Payment ${payment.paymentNumber} expected ${payment.amount} but ${gatewayName} collected ${received}`);
+      }
+
+      const record = this._gatewayRecord({ status, message, details });
+      const update = { status, transactionId };
+      for (const [key, value] of Object.entries(record)) {
+        update[`gatewayResponse.${key}`] = value;
+      }
+      if (status === 'completed') {
+        update.amount = received;
+        update.paymentDate = new Date();
+      }
+
+      const settled = await withTransaction(async (session) => {
+        const sessionOpt = session ? { session } : {};
+
+        // The status condition makes the claim atomic: of two concurrent
+        // deliveries of the same callback, only one gets a document back.
+        const claimed = await Payment.findOneAndUpdate(
+          { _id: payment._id, status: { $in: UNSETTLED } },
+          { $set: update },
+          { new: true, ...sessionOpt }
+        );
+        if (!claimed) return null;
+
+        if (claimed.status === 'completed') {
+          const invoice = await Invoice.findById(claimed.invoice).session(session || null);
+          if (invoice) {
+            invoice.addPayment(claimed.amount);
+            await invoice.save(sessionOpt);
+
+            if (invoice.visit) {
+              await this._checkAndUpdateVisitStatus(invoice, session);
+            }
           }
         }
+
+        // Portal payments have no staff member to attribute the entry to
+        if (claimed.processedBy) {
+          await AuditLog.log({
+            userId: claimed.processedBy,
+            action: 'UPDATE',
+            entityType: 'Payment',
+            entityId: claimed._id,
+            description: `${gatewayName} ${claimed.status === 'completed' ? 'confirmed' : 'declined'} payment ${claimed.paymentNumber}`,
+            metadata: {
+              paymentNumber: claimed.paymentNumber,
+              transactionId,
+              status: claimed.status,
+              message
+            }
+          });
+        }
+
+        return claimed;
+      }, 'payment settlement');
+
+      if (!settled) {
+        return Payment.findById(payment._id);
       }
-      
-      invoice.insuranceCoverage = {
-        provider: provider._id,
-        policyNumber: insuranceData.policyNumber,
-        coverageAmount: totalCoverage,
-        claimNumber: await this.generateClaimNumber(),
-        status: 'processing'
-      };
-      
-      invoice.calculateTotals();
-      await invoice.save();
-      
-      if (provider.apiIntegration?.enabled) {
-        await this.submitElectronicClaim(invoice, provider);
+
+      if (settled.status === 'completed') {
+        const invoice = await Invoice.findById(settled.invoice);
+        await this.sendPaymentReceipt(settled, invoice);
       }
-      
-      await AuditLog.log({
-        userId,
-        action: 'UPDATE',
-        entityType: 'Invoice',
-        entityId: invoice._id,
-        description: `Submitted insurance claim for invoice ${invoice.invoiceNumber}`,
-        metadata: { 
-          claimNumber: invoice.insuranceCoverage.claimNumber,
-          coverageAmount: totalCoverage
-        }
-      });
-      
-      return invoice;
+
+      return settled;
     } catch (error) {
-      logger.error('Process insurance claim error:', error);
+      logger.error('Settle gateway payment error:', error);
       throw error;
     }
   }
@@ -432,8 +464,8 @@ class BillingService {
   }
 
   /**
-   * Check for overdue invoices
-   * UNCHANGED - Working correctly
+   * Mark pending invoices past their due date overdue. Run by the
+   * overdue-invoices job (services/jobs.js).
    */
   async checkOverdueInvoices() {
     try {
@@ -446,11 +478,13 @@ class BillingService {
         invoice.status = 'overdue';
         await invoice.save();
         
+        // Notifications go to staff accounts, so the invoice's author is
+        // told rather than the patient
         await Notification.createNotification({
-          recipient: invoice.patient,
+          recipient: invoice.generatedBy,
           type: 'system_announcement',
           title: 'Invoice Overdue',
-          message: `Invoice ${invoice.invoiceNumber} is overdue. Please make payment as soon as possible.`,
+          message: `Invoice ${invoice.invoiceNumber} is overdue. Please follow up on payment.`,
           priority: 'high',
           relatedEntity: {
             entityType: 'invoice',
@@ -476,67 +510,268 @@ class BillingService {
       if (!payment) {
         throw new Error('Payment not found');
       }
-      
+
+      const amount = Number(refundData.amount);
+
+      // Reserve the refund on the payment before asking the gateway. The
+      // gateway's own refund webhook can arrive before this call returns; with
+      // the amount already recorded, reconciliation sees nothing new instead
+      // of refunding the invoice a second time.
+      const reserved = await Payment.findOneAndUpdate(
+        {
+          _id: payment._id,
+          $expr: {
+            $lte: [{ $add: [{ $ifNull: ['$refundDetails.refundedAmount', 0] }, amount] }, '$amount']
+          }
+        },
+        {
+          $inc: { 'refundDetails.refundedAmount': amount },
+          $set: {
+            'refundDetails.refundReason': refundData.reason,
+            'refundDetails.refundedAt': new Date(),
+            'refundDetails.refundedBy': userId
+          }
+        },
+        { new: true }
+      );
+
+      if (!reserved) {
+        throw new Error('Refund amount exceeds payment amount');
+      }
+
       if (payment.gateway && payment.transactionId) {
         const refundResponse = await this.processGatewayRefund(
           payment.gateway,
           payment.transactionId,
-          refundData.amount
+          amount
         );
-        
+
         if (!refundResponse.success) {
-          throw new Error('Gateway refund failed');
+          await Payment.updateOne(
+            { _id: payment._id },
+            { $inc: { 'refundDetails.refundedAmount': -amount } }
+          );
+          throw new Error(`Gateway refund failed: ${refundResponse.message}`);
         }
-        
-        refundData.refundTransactionId = refundResponse.refundTransactionId;
+
+        reserved.refundDetails.refundTransactionId = refundResponse.refundTransactionId;
       }
-      
-      await payment.processRefund(
-        refundData.amount,
-        refundData.reason,
-        userId
-      );
-      
-      // === SYNC: Update invoice ===
-      const invoice = await Invoice.findById(payment.invoice);
-      if (invoice) {
-        // Remove the refunded amount from payments
-        const refundPayment = {
-          amount: -refundData.amount, // Negative amount for refund
-          method: payment.method,
-          paidBy: userId,
-          paidAt: new Date(),
-          reference: `Refund for payment ${payment.paymentNumber}`,
-          notes: refundData.reason
-        };
-        
-        invoice.payments.push(refundPayment);
-        
-        // Save triggers recalculation
-        await invoice.save();
+
+      if (reserved.refundDetails.refundedAmount >= reserved.amount) {
+        reserved.status = 'refunded';
       }
-      
+      await reserved.save();
+
+      await this._recordInvoiceRefund(reserved, amount, userId, refundData.reason);
+
       await AuditLog.log({
         userId,
         action: 'UPDATE',
         entityType: 'Payment',
         entityId: payment._id,
-        description: `Processed refund of Tsh. ${refundData.amount} for payment ${payment.paymentNumber}`,
+        description: `Processed refund of Tsh. ${amount} for payment ${payment.paymentNumber}`,
         metadata: { 
-          refundAmount: refundData.amount,
+          refundAmount: amount,
           reason: refundData.reason
         }
       });
-      
-      return payment;
+
+      return reserved;
     } catch (error) {
       logger.error('Process refund error:', error);
       throw error;
     }
   }
 
+  /**
+   * Apply a verified Stripe webhook event to Payment, Invoice and Visit.
+   *
+   * Stripe delivers events at least once and in no guaranteed order, so every
+   * branch compares against the stored state instead of assuming the event is
+   * new: a settled payment is not settled again, and refunds are applied as
+   * the difference between Stripe's cumulative total and ours.
+   *
+   * @returns {Promise<{ action: string, payment: Object|null }>}
+   */
+  async reconcileStripeEvent(event) {
+    const result = paymentGatewayService.handleWebhookEvent(event);
+
+    switch (result.action) {
+      case 'payment_completed':
+      case 'payment_failed': {
+        const payment = await this.settleGatewayPayment('stripe', {
+          transactionId: result.transactionId,
+          reference: result.reference,
+          status: result.action === 'payment_completed' ? 'completed' : 'failed',
+          message: result.message,
+          amount: result.amount,
+          details: result.details
+        });
+        return { action: result.action, payment };
+      }
+
+      case 'refund_processed': {
+        const payment = await this.applyGatewayRefund('stripe', result);
+        return { action: result.action, payment };
+      }
+
+      default:
+        return { action: result.action, payment: null };
+    }
+  }
+
+  /**
+   * Record a refund made at the gateway (for example from the Stripe
+   * dashboard) that this system has not recorded yet.
+   *
+   * @param {string} gatewayName
+   * @param {Object} refund - { transactionId, amountRefunded (cumulative), refundId }
+   */
+  async applyGatewayRefund(gatewayName, { transactionId, amountRefunded, refundId }) {
+    try {
+      const payment = await Payment.findOne({ gateway: gatewayName, transactionId });
+      if (!payment) {
+        logger.warn(`No ${gatewayName} payment matches refunded transaction ${transactionId}`);
+        return null;
+      }
+
+      const recorded = payment.refundDetails?.refundedAmount || 0;
+      const delta = Math.round((amountRefunded - recorded) * 100) / 100;
+      if (delta <= 0) {
+        return payment;
+      }
+
+      const total = recorded + delta;
+      // Conditional on the amount we read, so a concurrent delivery of the
+      // same event cannot apply the difference twice.
+      const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, 'refundDetails.refundedAmount': recorded },
+        {
+          $set: {
+            'refundDetails.refundedAmount': total,
+            'refundDetails.refundReason': `Refunded through ${gatewayName}`,
+            'refundDetails.refundedAt': new Date(),
+            ...(refundId ? { 'refundDetails.refundTransactionId': refundId } : {}),
+            ...(total >= payment.amount ? { status: 'refunded' } : {})
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return Payment.findById(payment._id);
+      }
+
+      await this._recordInvoiceRefund(updated, delta, null, `Refunded through ${gatewayName}`);
+
+      await AuditLog.log({
+        userId: payment.processedBy,
+        action: 'UPDATE',
+        entityType: 'Payment',
+        entityId: payment._id,
+        description: `${gatewayName} reported a refund of Tsh. ${delta} for payment ${payment.paymentNumber}`,
+        metadata: { refundAmount: delta, totalRefunded: total, refundId }
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Apply gateway refund error:', error);
+      throw error;
+    }
+  }
+
   // ===== PRIVATE HELPER METHODS =====
 
+  /**
+   * Book the plan's share of the given items as one insurance payment on the
+   * invoice, and mark the items the plan pays in full as paid. Returns the
+   * payment entry, or null when the plan pays nothing.
+   */
+  _bookInsuranceShare(invoice, itemIndices, userId, reference) {
+    const now = new Date();
+    const covered = itemIndices.filter((i) => invoice.items[i].coverage?.coveredAmount > 0);
+    if (!covered.length) return null;
+
+    covered.forEach((i) => {
+      const item = invoice.items[i];
+      if (item.coverage.patientAmount <= 0) {
+        item.paid = true;
+        item.paidAt = now;
+      }
+    });
+
+    const amount = covered.reduce((sum, i) => sum + invoice.items[i].coverage.coveredAmount, 0);
+    invoice.payments.push({
+      amount,
+      method: 'insurance',
+      paidBy: userId || undefined,
+      paidAt: now,
+      reference,
+      notes: 'Insurance coverage',
+      itemIndices: covered
+    });
+    return invoice.payments[invoice.payments.length - 1];
+  }
+
+  // Invoice-level coverage totals, from the per-line breakdowns.
+  _summariseCoverage(invoice, providerId, policyNumber) {
+    const coverageAmount = invoice.items.reduce((sum, item) => sum + (item.coverage?.coveredAmount || 0), 0);
+    const total = invoice.items.reduce((sum, item) => sum + item.total, 0);
+
+    let status = 'partial';
+    if (coverageAmount <= 0) status = 'rejected';
+    else if (coverageAmount >= total) status = 'approved';
+
+    if (!invoice.insuranceCoverage?.provider) {
+      invoice.insuranceCoverage = { provider: providerId, policyNumber: policyNumber || 'N/A' };
+    }
+    invoice.insuranceCoverage.coverageAmount = coverageAmount;
+    invoice.insuranceCoverage.status = status;
+  }
+
+  /**
+   * Whether insurance pays for an invoice's visit, and whether the visit is
+   * an emergency. Invoices without a visit go by the patient record.
+   */
+  async _visitCoverage(visitId, patient) {
+    if (!patient?.insurance?.provider) {
+      return { covered: false, emergency: false };
+    }
+    const visit = visitId ? await Visit.findById(visitId).select('type insuranceVerification') : null;
+    return {
+      covered: visit ? eligibilityService.coversVisit(visit, patient) : true,
+      emergency: visit?.type === 'emergency'
+    };
+  }
+
+  /**
+   * Mirror a refund on the invoice as a negative payment entry. An invoice
+   * whose payments have all been returned is marked refunded rather than
+   * falling back to pending, which would invite collecting it again.
+   */
+  async _recordInvoiceRefund(payment, amount, userId, reason) {
+    const invoice = await Invoice.findById(payment.invoice);
+    if (!invoice) return null;
+
+    invoice.payments.push({
+      amount: -amount, // Negative amount for refund
+      method: payment.method,
+      paidBy: userId || undefined,
+      paidAt: new Date(),
+      reference: `Refund for payment ${payment.paymentNumber}`,
+      notes: reason
+    });
+
+    invoice.calculateTotals();
+    if (invoice.amountPaid <= 0) {
+      invoice.status = 'refunded';
+      invoice.paidDate = null;
+    }
+
+    await invoice.save();
+    return invoice;
+  }
+
   /**
    * Create global Payment record that syncs with invoice
    */
@@ -604,7 +839,7 @@ class BillingService {
 
       if (!visit) return;
 
-      const hasInsurance = !!(visit.patient?.insurance?.provider);
+      const hasInsurance = eligibilityService.coversVisit(visit);
 
       // Only for non-insured patients
       if (!hasInsurance && visit.status === 'Pending Payment') {
@@ -643,41 +878,56 @@ class BillingService {
     return date;
   }
 
-  async generateClaimNumber() {
-    const date = new Date();
-    const timestamp = date.getTime();
-    const random = Math.floor(Math.random() * 1000);
-    return `CLM-${timestamp}-${random}`;
-  }
+  /**
+   * Charge through a gateway adapter. Never throws: an unreachable provider
+   * is a failed payment, not a server error.
+   */
+  async _chargeGateway(gateway, paymentData, invoice, attempt) {
+    try {
+      let phone = paymentData.phoneNumber;
+      if (!phone && paymentData.method === 'mobile_money') {
+        const patient = await Patient.findById(invoice.patient).select('phone');
+        phone = patient?.phone;
+      }
 
-  async processCardPayment(paymentData) {
-    return {
-      success: true,
-      transactionId: `TXN-${Date.now()}`,
-      authCode: 'AUTH123',
-      message: 'Payment processed successfully'
-    };
+      return await gateway.charge({
+        amount: paymentData.amount,
+        currency: process.env.PAYMENT_CURRENCY || 'tzs',
+        method: paymentData.method,
+        reference: invoice.invoiceNumber,
+        attempt,
+        description: `Invoice ${invoice.invoiceNumber}`,
+        phone,
+        paymentMethodId: paymentData.paymentMethodId,
+        metadata: {
+          invoiceId: invoice._id.toString(),
+          patientId: invoice.patient.toString()
+        }
+      });
+    } catch (error) {
+      logger.error(`${gateway.name} charge error:`, error);
+      return { status: 'failed', message: error.message, details: {} };
+    }
   }
 
-  async processOnlinePayment(paymentData) {
+  // What is kept on Payment.gatewayResponse: the outcome and the provider's
+  // own references, never secrets.
+  _gatewayRecord({ status, message, details = {} }) {
     return {
-      success: true,
-      transactionId: `ONL-${Date.now()}`,
-      message: 'Online payment processed'
+      ...details,
+      status,
+      message,
+      updatedAt: new Date()
     };
   }
 
   async processGatewayRefund(gateway, transactionId, amount) {
-    return {
-      success: true,
-      refundTransactionId: `REF-${Date.now()}`,
-      message: 'Refund processed successfully'
-    };
-  }
-
-  async submitElectronicClaim(invoice, provider) {
-    logger.info(`Submitting electronic claim for invoice ${invoice.invoiceNumber}`);
-    return true;
+    try {
+      return await getGateway(gateway).refund({ transactionId, amount });
+    } catch (error) {
+      logger.error('Gateway refund error:', error);
+      return { success: false, message: error.message };
+    }
   }
 
   async sendPaymentReceipt(payment, invoice) {
@@ -0,0 +1,444 @@
+import Claim from '../models/Claim.js';
+import Invoice from '../models/Invoice.js';
+import Patient from '../models/Patient.js';
+import Visit from '../models/Visit.js';
+import InsuranceProvider from '../models/InsuranceProvider.js';
+import AuditLog from '../models/AuditLog.js';
+import { payerForProvider } from './payers/index.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import logger from '../utils/logger.js';
+
+// A claim in any of these states still speaks for its invoice, so another
+// cannot be opened alongside it.
+const OPEN_STATUSES = ['draft', 'submitted', 'acknowledged', 'partially_approved', 'rejected'];
+
+const clientError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class ClaimService {
+  /**
+   * Open a draft claim for the insured items on an invoice. Each covered
+   * item becomes a line for the plan's share: the coverage engine's figure
+   * where the item was billed through it, otherwise the plan percentage.
+   */
+  async createClaim(invoiceId, { providerId, policyNumber, planCode }, userId) {
+    try {
+      const invoice = await Invoice.findById(invoiceId);
+      if (!invoice) {
+        throw clientError('Invoice not found', 404);
+      }
+
+      const provider = await InsuranceProvider.findById(providerId);
+      if (!provider) {
+        throw clientError('Insurance provider not found', 404);
+      }
+
+      const open = await Claim.findOne({ invoice: invoice._id, status: { $in: OPEN_STATUSES } });
+      if (open) {
+        throw clientError(`Invoice already has an open claim (${open.claimNumber})`, 409);
+      }
+
+      const lines = [];
+      for (const item of invoice.items) {
+        if (!item.coveredByInsurance) continue;
+
+        let claimedAmount;
+        if (item.coverage?.status) {
+          claimedAmount = item.coverage.coveredAmount;
+        } else {
+          const coverage = provider.checkCoverage(planCode, item.type);
+          claimedAmount = Math.round(item.total * (coverage?.coveragePercentage || 0)) / 100;
+        }
+        if (!claimedAmount) continue;
+
+        lines.push({
+          invoiceItem: item._id,
+          type: item.type,
+          code: item.code,
+          description: item.description,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          claimedAmount
+        });
+      }
+
+      if (!lines.length) {
+        throw clientError('No items on this invoice are covered by the plan');
+      }
+
+      const claim = new Claim({
+        claimNumber: await Claim.generateClaimNumber(),
+        invoice: invoice._id,
+        patient: invoice.patient,
+        visit: invoice.visit,
+        provider: provider._id,
+        policyNumber,
+        planCode,
+        lines,
+        createdBy: userId,
+        statusHistory: [{ status: 'draft', changedBy: userId, changedAt: new Date() }]
+      });
+      claim.calculateTotals();
+      await claim.save();
+
+      // Coverage already booked by the coverage engine stands; anything
+      // else is not covered until the payer approves it.
+      invoice.insuranceCoverage = {
+        provider: provider._id,
+        policyNumber,
+        coverageAmount: invoice.insuranceCoverage?.coverageAmount || 0,
+        approvalCode: invoice.insuranceCoverage?.approvalCode,
+        claim: claim._id,
+        claimNumber: claim.claimNumber,
+        status: 'pending'
+      };
+      await invoice.save();
+
+      await AuditLog.log({
+        userId,
+        action: 'CREATE',
+        entityType: 'Claim',
+        entityId: claim._id,
+        description: `Opened claim ${claim.claimNumber} for invoice ${invoice.invoiceNumber}`,
+        metadata: { claimedAmount: claim.claimedAmount, provider: provider.code }
+      });
+
+      return claim;
+    } catch (error) {
+      logger.error('Create claim error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a draft or rejected claim to the payer. When the payer refuses it
+   * the attempt is recorded and the claim keeps its status, so it can be
+   * corrected and sent again.
+   */
+  async submitClaim(claimId, userId, notes) {
+    try {
+      const claim = await Claim.findById(claimId);
+      if (!claim) {
+        throw clientError('Claim not found', 404);
+      }
+      if (!claim.canTransitionTo('submitted')) {
+        throw clientError(`A ${claim.status} claim cannot be submitted`, 409);
+      }
+
+      const [provider, patient, visit] = await Promise.all([
+        InsuranceProvider.findById(claim.provider),
+        Patient.findById(claim.patient),
+        claim.visit ? Visit.findById(claim.visit) : null
+      ]);
+      if (!provider) {
+        throw clientError('Insurance provider not found', 404);
+      }
+
+      const payer = payerForProvider(provider);
+      const resubmission = claim.status === 'rejected';
+      const result = await payer.submit({ claim, provider, patient, visit });
+
+      claim.adapter = payer.name;
+      claim.submissions.push({
+        submittedAt: new Date(),
+        submittedBy: userId,
+        adapter: payer.name,
+        accepted: result.accepted,
+        reference: result.reference,
+        message: result.message
+      });
+
+      if (!result.accepted) {
+        await claim.save();
+        throw clientError(`Payer did not accept the claim: ${result.message}`, 502);
+      }
+
+      if (resubmission) {
+        claim.lines.forEach((line) => {
+          line.status = 'pending';
+          line.approvedAmount = undefined;
+          line.rejectionReason = undefined;
+        });
+        claim.rejectionReason = undefined;
+        claim.calculateTotals();
+      }
+      claim.transitionTo('submitted', userId, notes || (resubmission ? 'Resubmitted' : undefined));
+      await claim.save();
+
+      await Invoice.updateOne(
+        { _id: claim.invoice },
+        { $set: { 'insuranceCoverage.status': 'processing' } }
+      );
+
+      await AuditLog.log({
+        userId,
+        action: 'UPDATE',
+        entityType: 'Claim',
+        entityId: claim._id,
+        description: `${resubmission ? 'Resubmitted' : 'Submitted'} claim ${claim.claimNumber} via ${payer.name}`,
+        metadata: { reference: result.reference, attempt: claim.submissions.length }
+      });
+
+      return claim;
+    } catch (error) {
+      logger.error('Submit claim error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Correct the lines of a rejected claim and submit it again.
+   *
+   * @param {Array<{lineId, claimedAmount?, code?, description?}>} corrections
+   */
+  async resubmitClaim(claimId, corrections = [], userId, notes) {
+    const claim = await Claim.findById(claimId);
+    if (!claim) {
+      throw clientError('Claim not found', 404);
+    }
+    if (claim.status !== 'rejected') {
+      throw clientError('Only rejected claims can be resubmitted', 409);
+    }
+
+    for (const correction of corrections) {
+      const line = claim.lines.id(correction.lineId);
+      if (!line) {
+        throw clientError(`Claim line ${correction.lineId} not found`);
+      }
+      for (const field of ['claimedAmount', 'code', 'description']) {
+        if (correction[field] !== undefined) line[field] = correction[field];
+      }
+    }
+    claim.calculateTotals();
+    await claim.save();
+
+    return this.submitClaim(claim._id, userId, notes);
+  }
+
+  async acknowledgeClaim(claimId, { payerReference, notes } = {}, userId) {
+    try {
+      const claim = await Claim.findById(claimId);
+      if (!claim) {
+        throw clientError('Claim not found', 404);
+      }
+
+      claim.transitionTo('acknowledged', userId, notes);
+      if (payerReference) claim.payerReference = payerReference;
+      await claim.save();
+
+      return claim;
+    } catch (error) {
+      logger.error('Acknowledge claim error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the payer's decision on every line, and write the approvals back
+   * onto the invoice so the patient is billed only for what insurance will
+   * not pay.
+   *
+   * @param {Array<{lineId, approvedAmount, rejectionReason?}>} decisions
+   */
+  async adjudicateClaim(claimId, decisions, { payerReference, notes } = {}, userId) {
+    try {
+      return await withTransaction(async (session) => {
+        const claim = await Claim.findById(claimId).session(session);
+        if (!claim) {
+          throw clientError('Claim not found', 404);
+        }
+        if (!['submitted', 'acknowledged'].includes(claim.status)) {
+          throw clientError(`A ${claim.status} claim cannot be adjudicated`, 409);
+        }
+
+        const byLine = new Map(decisions.map((d) => [String(d.lineId), d]));
+        for (const line of claim.lines) {
+          const decision = byLine.get(String(line._id));
+          if (!decision) {
+            throw clientError(`No decision for claim line ${line._id}`);
+          }
+          const approved = Number(decision.approvedAmount);
+          if (!(approved >= 0) || approved > line.claimedAmount) {
+            throw clientError(`Approved amount for line ${line._id} must be between 0 and ${line.claimedAmount}`);
+          }
+
+          line.approvedAmount = approved;
+          line.rejectionReason = approved < line.claimedAmount ? decision.rejectionReason : undefined;
+          line.status = approved === 0 ? 'rejected'
+            : approved < line.claimedAmount ? 'partially_approved'
+              : 'approved';
+        }
+        claim.calculateTotals();
+
+        const rejected = claim.lines.every((line) => line.status === 'rejected');
+        const approvedInFull = claim.lines.every((line) => line.status === 'approved');
+        let status = 'partially_approved';
+        if (rejected) status = 'rejected';
+        else if (approvedInFull) status = 'acknowledged';
+
+        if (status !== claim.status) {
+          claim.transitionTo(status, userId, notes);
+        }
+        if (rejected) {
+          claim.rejectionReason = notes || claim.lines.map((line) => line.rejectionReason).filter(Boolean).join('; ');
+        }
+        if (payerReference) claim.payerReference = payerReference;
+        await claim.save({ session });
+
+        const invoice = await Invoice.findById(claim.invoice).session(session);
+        if (invoice) {
+          for (const line of claim.lines) {
+            const item = invoice.items.id(line.invoiceItem);
+            if (item) item.insuranceApproved = line.approvedAmount > 0;
+          }
+          // Lines billed through the coverage engine had the plan's share
+          // credited up front; whatever the payer will not pay of it falls
+          // back to the patient now rather than when the remittance arrives
+          const booked = claim.lines.reduce((sum, line) => sum + (invoice.items.id(line.invoiceItem)?.coverage?.coveredAmount || 0), 0);
+          const shortfall = Math.round((booked - claim.approvedAmount) * 100) / 100;
+          if (shortfall > 0) {
+            this._returnShortfall(invoice, claim, shortfall);
+            invoice.payments.push({
+              amount: -shortfall,
+              method: 'insurance',
+              paidBy: userId,
+              paidAt: new Date(),
+              reference: claim.payerReference || claim.claimNumber,
+              notes: `Claim ${claim.claimNumber}: approved ${claim.approvedAmount} of ${booked} credited`
+            });
+          }
+          invoice.insuranceCoverage.coverageAmount = claim.approvedAmount;
+          invoice.insuranceCoverage.status = rejected ? 'rejected' : approvedInFull ? 'approved' : 'partial';
+          invoice.calculateTotals();
+          await invoice.save({ session });
+        }
+
+        await AuditLog.log({
+          userId,
+          action: 'UPDATE',
+          entityType: 'Claim',
+          entityId: claim._id,
+          description: `Adjudicated claim ${claim.claimNumber}: ${claim.approvedAmount} of ${claim.claimedAmount} approved`,
+          metadata: { status: claim.status, approvedAmount: claim.approvedAmount }
+        });
+
+        return claim;
+      }, 'claim adjudication');
+    } catch (error) {
+      logger.error('Adjudicate claim error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the payer's remittance against the invoice and close the claim.
+   */
+  async recordClaimPayment(claimId, { amount, reference, notes } = {}, userId) {
+    try {
+      return await withTransaction(async (session) => {
+        const claim = await Claim.findById(claimId).session(session);
+        if (!claim) {
+          throw clientError('Claim not found', 404);
+        }
+        if (claim.lines.some((line) => line.status === 'pending')) {
+          throw clientError('Claim must be adjudicated before payment is recorded', 409);
+        }
+
+        const paid = amount === undefined ? claim.approvedAmount : Number(amount);
+        if (!(paid > 0) || paid > claim.approvedAmount) {
+          throw clientError(`Payment must be between 0 and the approved ${claim.approvedAmount}`);
+        }
+
+        claim.transitionTo('paid', userId, notes);
+        claim.paidAmount = paid;
+        claim.paymentReference = reference;
+        claim.paidAt = new Date();
+        await claim.save({ session });
+
+        const invoice = await Invoice.findById(claim.invoice).session(session);
+        // Lines billed through the coverage engine had the plan's share
+        // credited to the invoice up front; only the rest is new money.
+        const booked = invoice
+          ? claim.lines.reduce((sum, line) => sum + (invoice.items.id(line.invoiceItem)?.coverage?.coveredAmount || 0), 0)
+          : 0;
+        const credit = Math.round((paid - booked) * 100) / 100;
+        if (invoice && credit > 0) {
+          invoice.payments.push({
+            amount: credit,
+            method: 'insurance',
+            paidBy: userId,
+            paidAt: claim.paidAt,
+            reference: reference || claim.claimNumber,
+            notes: `Claim ${claim.claimNumber}`
+          });
+          invoice.calculateTotals();
+          await invoice.save({ session });
+        } else if (invoice && credit < 0) {
+          // The payer paid less than was credited up front; the patient owes
+          // the difference
+          this._returnShortfall(invoice, claim, -credit);
+          if (invoice.insuranceCoverage?.coverageAmount) {
+            invoice.insuranceCoverage.coverageAmount = paid;
+          }
+          invoice.payments.push({
+            amount: credit,
+            method: 'insurance',
+            paidBy: userId,
+            paidAt: claim.paidAt,
+            reference: reference || claim.claimNumber,
+            notes: `Claim ${claim.claimNumber}: paid ${paid} of ${booked} credited`
+          });
+          invoice.calculateTotals();
+          await invoice.save({ session });
+        }
+
+        await AuditLog.log({
+          userId,
+          action: 'UPDATE',
+          entityType: 'Claim',
+          entityId: claim._id,
+          description: `Recorded payment of ${paid} for claim ${claim.claimNumber}`,
+          metadata: { reference }
+        });
+
+        return claim;
+      }, 'claim payment');
+    } catch (error) {
+      logger.error('Record claim payment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move `shortfall` of the covered share of the claim's invoice lines back
+   * to the patient: first what the payer cut from each line, then from the
+   * lines in order. Lines that owe the patient something again are unpaid.
+   */
+  _returnShortfall(invoice, claim, shortfall) {
+    let left = shortfall;
+    const covered = claim.lines
+      .map((line) => ({ line, item: invoice.items.id(line.invoiceItem) }))
+      .filter(({ item }) => item?.coverage?.coveredAmount > 0);
+    const moveToPatient = (item, amount) => {
+      if (!(amount > 0)) return;
+      item.coverage.coveredAmount = Math.round((item.coverage.coveredAmount - amount) * 100) / 100;
+      item.coverage.patientAmount = Math.round(((item.coverage.patientAmount || 0) + amount) * 100) / 100;
+      item.paid = false;
+      item.paidAt = undefined;
+      left = Math.round((left - amount) * 100) / 100;
+    };
+
+    for (const { line, item } of covered) {
+      const cut = item.coverage.coveredAmount - (line.approvedAmount ?? item.coverage.coveredAmount);
+      moveToPatient(item, Math.min(left, cut));
+    }
+    for (const { item } of covered) {
+      moveToPatient(item, Math.min(left, item.coverage.coveredAmount));
+    }
+  }
+}
+
+export default new ClaimService();
@@ -0,0 +1,162 @@
+import Patient from '../models/Patient.js';
+import { Medicine } from '../models/Medicine.js';
+import DrugClass, { normaliseDrugTerm } from '../models/DrugClass.js';
+import DrugInteraction from '../models/DrugInteraction.js';
+import AuditLog from '../models/AuditLog.js';
+import { SEVERITIES } from '../config/drugKnowledge.js';
+import patientSummaryService from './patientSummaryService.js';
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+
+const alertError = (statusCode, message, alerts) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = { alerts };
+  return error;
+};
+
+const containsWord = (text, word) => !!word && ` ${text} `.includes(` ${word} `);
+// "Amoxicillin 500mg caps" is matched as "amoxicillin"
+const drugStem = (name) => normaliseDrugTerm(name).replace(/\s*\d.*$/, '');
+const stems = (...names) => [...new Set(names.map(drugStem).filter(Boolean))];
+
+const matchesTerm = (term, names, classNames) => classNames.includes(term) || names.some((name) => containsWord(name, term));
+
+class ClinicalDecisionService {
+  async _knowledge() {
+    const [classes, interactions] = await Promise.all([
+      DrugClass.find({ isActive: true }).lean(),
+      DrugInteraction.find({ isActive: true }).lean()
+    ]);
+    return { classes, interactions };
+  }
+
+  _classesOf(names, classes) {
+    return classes
+      .filter((c) => names.some((name) => containsWord(name, c.name) || (c.members || []).some((m) => containsWord(name, m))))
+      .map((c) => c.name);
+  }
+
+  // What one recorded allergy means for a drug, if anything
+  _allergyAlert(allergy, drug, names, drugClasses, classes) {
+    const text = normaliseDrugTerm(allergy);
+    if (!text) return null;
+
+    if (names.some((name) => containsWord(text, name) || containsWord(name, text))) {
+      return { type: 'allergy', severity: 'severe', against: allergy, message: `Patient is allergic to ${allergy}` };
+    }
+
+    const allergyClasses = classes.filter((c) => [c.name, ...(c.allergyTerms || []), ...(c.members || [])]
+      .some((term) => containsWord(text, term)));
+    const shared = allergyClasses.find((c) => drugClasses.includes(c.name));
+    if (shared) {
+      return {
+        type: 'allergy',
+        severity: 'severe',
+        against: allergy,
+        message: `Patient is allergic to ${allergy}; ${drug} is one of the ${shared.name}`
+      };
+    }
+
+    const cross = allergyClasses
+      .flatMap((c) => (c.crossReactive || [])
+        .filter((x) => drugClasses.includes(x.className))
+        .map((x) => ({ ...x, from: c.name })))
+      .sort((a, b) => rank(b.severity) - rank(a.severity))[0];
+    if (cross) {
+      return {
+        type: 'cross_sensitivity',
+        severity: cross.severity,
+        against: allergy,
+        message: `Patient is allergic to ${allergy}; ${cross.className} can cross-react with ${cross.from}`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Warnings for giving a patient a medicine: recorded allergies to it or
+   * its class, cross-sensitivities, and interactions with what the patient
+   * is already taking (services/patientSummaryService.js). Most severe first.
+   *
+   * `medicine` is the catalogue entry when known; `medication` the name as
+   * prescribed. `excludeId` leaves a prescription out of the current
+   * medications, so one being re-checked is not compared with itself.
+   */
+  async check({ patientId, medicine, medication, excludeId, now = new Date() }) {
+    const [patient, current, { classes, interactions }] = await Promise.all([
+      Patient.findById(patientId).select('allergies').lean(),
+      patientSummaryService.currentMedications(patientId, { now }),
+      this._knowledge()
+    ]);
+
+    const drug = medicine?.name || medication;
+    const names = stems(medicine?.name, medicine?.genericName, medication);
+    const drugClasses = this._classesOf(names, classes);
+    const alerts = [];
+
+    for (const allergy of patient?.allergies || []) {
+      const alert = this._allergyAlert(allergy, drug, names, drugClasses, classes);
+      if (alert) alerts.push(alert);
+    }
+
+    const others = current.filter((m) => !excludeId || String(m._id) !== String(excludeId));
+    const catalogue = await Medicine.find({ _id: { $in: others.map((m) => m.medicineId).filter(Boolean) } })
+      .select('name genericName')
+      .lean();
+    for (const other of others) {
+      const entry = catalogue.find((m) => String(m._id) === String(other.medicineId));
+      const otherNames = stems(other.medication, entry?.genericName);
+      const otherClasses = this._classesOf(otherNames, classes);
+      for (const interaction of interactions) {
+        const [a, b] = interaction.drugs;
+        const hit = (matchesTerm(a, names, drugClasses) && matchesTerm(b, otherNames, otherClasses))
+          || (matchesTerm(b, names, drugClasses) && matchesTerm(a, otherNames, otherClasses));
+        if (hit && !alerts.some((x) => x.type === 'interaction' && x.against === other.medication)) {
+          alerts.push({
+            type: 'interaction',
+            severity: interaction.severity,
+            against: other.medication,
+            message: `${drug} with ${other.medication}: ${interaction.effect}`,
+            management: interaction.management
+          });
+        }
+      }
+    }
+
+    return alerts.sort((a, b) => rank(b.severity) - rank(a.severity));
+  }
+
+  /**
+   * Check a new prescription. Severe alerts stop it unless the prescriber
+   * gives a reason to go ahead; the reason is kept with the prescription
+   * and in the audit log.
+   *
+   * Returns { alerts, override } for storing on the prescription.
+   */
+  async review({ patientId, medicine, medication, overrideReason, userId, entityType, entityId, now = new Date() }) {
+    const alerts = await this.check({ patientId, medicine, medication, now });
+    const severe = alerts.filter((a) => a.severity === 'severe');
+    if (!severe.length) {
+      return { alerts, override: undefined };
+    }
+
+    const reason = String(overrideReason || '').trim();
+    if (!reason) {
+      throw alertError(409, `${severe.map((a) => a.message).join('. ')}. Give a reason to prescribe it anyway.`, alerts);
+    }
+
+    await AuditLog.log({
+      userId,
+      action: 'CREATE',
+      entityType,
+      entityId,
+      description: `Prescribed ${medicine?.name || medication} despite ${severe.length} severe alert(s)`,
+      metadata: { patient: patientId, reason, alerts: severe.map((a) => a.message) }
+    });
+
+    return { alerts, override: { reason, by: userId, at: now } };
+  }
+}
+
+export default new ClinicalDecisionService();
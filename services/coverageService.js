@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import InsuranceProvider from '../models/InsuranceProvider.js';
+import logger from '../utils/logger.js';
+
+// Invoice line type → the plan's coverage percentage for it. Types not
+// listed (imaging, room charges, equipment, other) are not covered.
+const LINE_COVERAGE = {
+  consultation: 'consultationCoverage',
+  medication: 'medicationCoverage',
+  lab_test: 'labTestCoverage',
+  procedure: 'procedureCoverage'
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+const money = (n) => `Tsh. ${round(n).toLocaleString()}`;
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+const notCovered = (line, reason, planCode) => ({
+  status: 'not_covered',
+  planCode,
+  coveragePercentage: 0,
+  coveredAmount: 0,
+  copayAmount: 0,
+  deductibleAmount: 0,
+  limitAmount: 0,
+  patientAmount: line.total,
+  reasons: [reason]
+});
+
+/**
+ * Work out what the plan pays for each line, in order. Pure: everything it
+ * needs is passed in, and the running totals it consumes are returned.
+ *
+ * For a line the plan covers:
+ *   1. the patient first pays down what is left of the annual deductible;
+ *   2. the plan pays its percentage of the rest;
+ *   3. the visit copay, once per invoice, comes out of the plan's share;
+ *   4. the plan's share is capped at what is left of the annual limit.
+ * Whatever the plan does not pay is the patient's.
+ *
+ * @param {Array} lines    invoice items ({ type, code, total, preAuthCode })
+ * @param {Object} context
+ * @param {Object} context.insurance  Patient.insurance
+ * @param {Object} context.provider   InsuranceProvider document, or null
+ * @param {Object} context.plan       entry of provider.coveragePlans, or null
+ * @param {string} [context.planError] why no plan could be found
+ * @param {Object} context.usage      { deductibleUsed, benefitsUsed, copayCharged }
+ * @param {Date}   [context.serviceDate]
+ * @param {boolean} [context.emergency] apply the emergency rate to every line
+ * @returns {{ lines: Array, usage: Object }}
+ */
+export const evaluateCoverage = (lines, { insurance, provider, plan, planError, usage, serviceDate = new Date(), emergency = false }) => {
+  const running = { deductibleUsed: 0, benefitsUsed: 0, copayCharged: 0, ...usage };
+
+  // Reasons that apply to the whole policy rather than to a line
+  let policyReason = null;
+  if (!insurance?.provider) {
+    policyReason = 'Patient has no insurance on file';
+  } else if (!provider || !provider.isActive) {
+    policyReason = 'Insurance provider is not active';
+  } else if (insurance.effectiveDate && new Date(insurance.effectiveDate) > serviceDate) {
+    policyReason = `Policy is not effective until ${day(insurance.effectiveDate)}`;
+  } else if (insurance.expiryDate && new Date(insurance.expiryDate) < serviceDate) {
+    policyReason = `Policy expired on ${day(insurance.expiryDate)}`;
+  } else if (!plan) {
+    policyReason = planError || 'No active coverage plan found';
+  }
+
+  if (policyReason) {
+    return { lines: lines.map((line) => notCovered(line, policyReason, plan?.planCode)), usage: running };
+  }
+
+  const details = plan.coverageDetails || {};
+  // A member's own copay or deductible, where set, overrides the plan's.
+  const copay = insurance.copay ?? details.copay ?? 0;
+  const deductible = insurance.deductible ?? details.deductible ?? 0;
+  const annualLimit = details.annualLimit || 0;
+
+  const evaluated = lines.map((line) => {
+    const rateKey = emergency ? 'emergencyCoverage' : LINE_COVERAGE[line.type];
+    const percentage = rateKey ? details[rateKey] || 0 : 0;
+
+    if (!percentage) {
+      return notCovered(line, `${plan.planName} does not cover ${String(line.type).replace('_', ' ')}`, plan.planCode);
+    }
+
+    const needsPreAuth = plan.requiresPreAuth
+      && (plan.preAuthProcedures || []).some((p) => p === line.type || (line.code && p === line.code));
+    if (needsPreAuth && !line.preAuthCode) {
+      return notCovered(line, `${plan.planName} requires pre-authorisation for ${line.code || line.type}`, plan.planCode);
+    }
+
+    const reasons = [];
+    const total = line.total;
+
+    const deductibleAmount = round(Math.min(Math.max(deductible - running.deductibleUsed, 0), total));
+    running.deductibleUsed += deductibleAmount;
+    if (deductibleAmount > 0) {
+      reasons.push(`${money(deductibleAmount)} towards the annual deductible of ${money(deductible)}`);
+    }
+
+    let covered = round(((total - deductibleAmount) * percentage) / 100);
+    if (percentage < 100) {
+      reasons.push(`${plan.planName} pays ${percentage}%${emergency ? ' for emergencies' : ''}`);
+    }
+
+    const copayAmount = round(Math.min(Math.max(copay - running.copayCharged, 0), covered));
+    running.copayCharged += copayAmount;
+    covered = round(covered - copayAmount);
+    if (copayAmount > 0) {
+      reasons.push(`${money(copayAmount)} visit copay`);
+    }
+
+    let limitAmount = 0;
+    if (annualLimit > 0) {
+      const remaining = Math.max(annualLimit - running.benefitsUsed, 0);
+      if (covered > remaining) {
+        limitAmount = round(covered - remaining);
+        covered = round(remaining);
+        reasons.push(`Annual limit of ${money(annualLimit)} reached; ${money(limitAmount)} not covered`);
+      }
+    }
+    running.benefitsUsed = round(running.benefitsUsed + covered);
+
+    let status = 'partial';
+    if (covered <= 0) status = 'not_covered';
+    else if (covered >= total) status = 'covered';
+    if (status === 'covered') reasons.push(`Covered in full by ${plan.planName}`);
+
+    return {
+      status,
+      planCode: plan.planCode,
+      coveragePercentage: percentage,
+      coveredAmount: covered,
+      copayAmount,
+      deductibleAmount,
+      limitAmount,
+      patientAmount: round(total - covered),
+      reasons
+    };
+  });
+
+  return { lines: evaluated, usage: running };
+};
+
+class CoverageService {
+  /**
+   * Find the patient's provider and plan. Patients registered before plan
+   * codes were recorded fall back to their provider's only active plan.
+   */
+  async resolvePlan(insurance) {
+    if (!insurance?.provider) {
+      return { provider: null, plan: null };
+    }
+
+    const provider = insurance.provider.coveragePlans
+      ? insurance.provider
+      : await InsuranceProvider.findById(insurance.provider);
+    if (!provider) {
+      return { provider: null, plan: null };
+    }
+
+    const active = provider.coveragePlans.filter((p) => p.isActive);
+    if (insurance.planCode) {
+      const plan = active.find((p) => p.planCode === insurance.planCode);
+      return plan
+        ? { provider, plan }
+        : { provider, plan: null, planError: `${provider.name} has no active plan ${insurance.planCode}` };
+    }
+    if (active.length === 1) {
+      return { provider, plan: active[0] };
+    }
+    return { provider, plan: null, planError: `Patient has no plan code and ${provider.name} has ${active.length} active plans` };
+  }
+
+  /**
+   * Deductible and benefits already used this calendar year on the patient's
+   * other invoices with the same provider.
+   */
+  async getAnnualUsage(patientId, providerId, { year = new Date().getFullYear(), excludeInvoice } = {}) {
+    const match = {
+      patient: new mongoose.Types.ObjectId(String(patientId)),
+      'insuranceCoverage.provider': new mongoose.Types.ObjectId(String(providerId)),
+      issueDate: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) },
+      status: { $ne: 'cancelled' }
+    };
+    if (excludeInvoice) {
+      match._id = { $ne: new mongoose.Types.ObjectId(String(excludeInvoice)) };
+    }
+
+    const [usage] = await Invoice.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: null,
+          deductibleUsed: { $sum: { $ifNull: ['$items.coverage.deductibleAmount', 0] } },
+          benefitsUsed: { $sum: { $ifNull: ['$items.coverage.coveredAmount', 0] } }
+        }
+      }
+    ]);
+
+    return { deductibleUsed: usage?.deductibleUsed || 0, benefitsUsed: usage?.benefitsUsed || 0 };
+  }
+
+  /**
+   * Evaluate coverage for some of an invoice's items (by index) and store
+   * the breakdown on each. Lines already on the invoice count towards the
+   * deductible, copay and limit, so items added later see what is left.
+   *
+   * @returns {Object} { provider, plan, coveredAmount } for the items evaluated
+   */
+  async applyToInvoice(invoice, patient, { itemIndices, emergency = false } = {}) {
+    try {
+      const indices = itemIndices || invoice.items.map((_, i) => i);
+      const { provider, plan, planError } = await this.resolvePlan(patient.insurance);
+
+      const usage = { deductibleUsed: 0, benefitsUsed: 0, copayCharged: 0 };
+      if (provider) {
+        Object.assign(usage, await this.getAnnualUsage(patient._id, provider._id, {
+          year: new Date(invoice.issueDate || Date.now()).getFullYear(),
+          excludeInvoice: invoice.isNew ? undefined : invoice._id
+        }));
+      }
+      invoice.items.forEach((item, i) => {
+        if (indices.includes(i) || !item.coverage?.status) return;
+        usage.deductibleUsed += item.coverage.deductibleAmount || 0;
+        usage.benefitsUsed += item.coverage.coveredAmount || 0;
+        usage.copayCharged += item.coverage.copayAmount || 0;
+      });
+
+      const { lines } = evaluateCoverage(indices.map((i) => invoice.items[i]), {
+        insurance: patient.insurance,
+        provider,
+        plan,
+        planError,
+        usage,
+        emergency
+      });
+
+      const evaluatedAt = new Date();
+      let coveredAmount = 0;
+      indices.forEach((itemIndex, n) => {
+        const item = invoice.items[itemIndex];
+        item.coverage = { ...lines[n], evaluatedAt };
+        item.coveredByInsurance = lines[n].coveredAmount > 0;
+        item.insuranceApproved = lines[n].coveredAmount > 0;
+        coveredAmount += lines[n].coveredAmount;
+      });
+
+      return { provider, plan, coveredAmount: round(coveredAmount) };
+    } catch (error) {
+      logger.error('Apply coverage error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Everything billing staff need to see why each line of an invoice was or
+   * was not covered, with the member's standing for the year.
+   */
+  async describeInvoice(invoice, patient) {
+    const { provider, plan, planError } = await this.resolvePlan(patient?.insurance);
+    const details = plan?.coverageDetails || {};
+
+    let annualUsage = null;
+    if (provider && plan) {
+      const usage = await this.getAnnualUsage(patient._id, provider._id, {
+        year: new Date(invoice.issueDate || Date.now()).getFullYear()
+      });
+      const deductible = patient.insurance.deductible ?? details.deductible ?? 0;
+      annualUsage = {
+        ...usage,
+        deductibleRemaining: Math.max(deductible - usage.deductibleUsed, 0),
+        limitRemaining: details.annualLimit ? Math.max(details.annualLimit - usage.benefitsUsed, 0) : null
+      };
+    }
+
+    return {
+      invoiceNumber: invoice.invoiceNumber,
+      provider: provider && { _id: provider._id, name: provider.name, code: provider.code },
+      plan: plan && {
+        planCode: plan.planCode,
+        planName: plan.planName,
+        copay: patient.insurance.copay ?? details.copay ?? 0,
+        deductible: patient.insurance.deductible ?? details.deductible ?? 0,
+        annualLimit: details.annualLimit || 0
+      },
+      planError: planError || null,
+      lines: invoice.items.map((item, index) => ({
+        index,
+        type: item.type,
+        description: item.description,
+        total: item.total,
+        paid: item.paid,
+        coverage: item.coverage?.status ? item.coverage : null
+      })),
+      totals: {
+        totalAmount: invoice.totalAmount,
+        coveredAmount: invoice.insuranceCoverage?.coverageAmount || 0,
+        patientResponsibility: invoice.patientResponsibility,
+        balanceDue: invoice.balanceDue
+      },
+      annualUsage
+    };
+  }
+}
+
+export default new CoverageService();
@@ -0,0 +1,92 @@
+import InsuranceProvider from '../models/InsuranceProvider.js';
+import AuditLog from '../models/AuditLog.js';
+import { eligibilityPayerFor } from './payers/index.js';
+import logger from '../utils/logger.js';
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+class EligibilityService {
+  /**
+   * Check whether an insured patient is covered today. The patient record is
+   * checked first (provider, membership number, policy dates), and only a
+   * member who passes is looked up with the payer.
+   *
+   * Returns the outcome in the shape stored on Visit.insuranceVerification,
+   * or null for a patient with no insurance on file. Never throws: a payer
+   * that cannot be reached leaves the member 'unverified', which bills them
+   * as a cash patient rather than blocking the visit.
+   */
+  async verify(patient, { userId, serviceDate = new Date() } = {}) {
+    const insurance = patient.insurance;
+    if (!insurance?.provider) {
+      return null;
+    }
+
+    const providerId = insurance.provider._id || insurance.provider;
+    const outcome = {
+      provider: providerId,
+      membershipNumber: insurance.membershipNumber || undefined,
+      checkedAt: new Date(),
+      checkedBy: userId
+    };
+    const fail = (status, reason) => ({ ...outcome, status, eligible: false, reason });
+
+    let result;
+    try {
+      const provider = insurance.provider.name ? insurance.provider : await InsuranceProvider.findById(providerId);
+
+      if (!provider || !provider.isActive) {
+        result = fail('provider_inactive', 'Insurance provider is not active');
+      } else if (!insurance.membershipNumber) {
+        result = fail('no_membership', 'No membership number on file');
+      } else if (insurance.effectiveDate && new Date(insurance.effectiveDate) > serviceDate) {
+        result = fail('not_yet_effective', `Policy is not effective until ${day(insurance.effectiveDate)}`);
+      } else if (insurance.expiryDate && new Date(insurance.expiryDate) < serviceDate) {
+        result = fail('expired', `Policy expired on ${day(insurance.expiryDate)}`);
+      } else {
+        const payer = eligibilityPayerFor(provider);
+        const answer = await payer.checkEligibility({
+          provider,
+          patient,
+          membershipNumber: insurance.membershipNumber
+        });
+
+        outcome.adapter = payer.name;
+        outcome.reference = answer.reference;
+        if (answer.eligible) {
+          result = { ...outcome, status: 'verified', eligible: true, reason: answer.message };
+        } else {
+          result = fail(answer.error ? 'unverified' : 'rejected', answer.message);
+        }
+      }
+    } catch (error) {
+      logger.error('Eligibility check error:', error);
+      result = fail('unverified', 'Eligibility could not be checked');
+    }
+
+    await AuditLog.log({
+      userId,
+      action: 'VIEW',
+      entityType: 'Patient',
+      entityId: patient._id,
+      description: `Insurance eligibility ${result.eligible ? 'verified' : `not verified (${result.status})`} for patient ${patient.patientId || patient._id}`,
+      metadata: { status: result.status, reason: result.reason, adapter: result.adapter, reference: result.reference }
+    });
+
+    return result;
+  }
+
+  /**
+   * Whether insurance pays for a visit. Visits carry the outcome of their
+   * own check; those opened before verification existed go by the patient
+   * record, as they always did.
+   */
+  coversVisit(visit, patient = visit?.patient) {
+    if (visit?.insuranceVerification?.checkedAt) {
+      return !!visit.insuranceVerification.eligible;
+    }
+    return !!patient?.insurance?.provider;
+  }
+}
+
+export default new EligibilityService();
@@ -0,0 +1,75 @@
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+// How far ahead batches count as expiring; the same three months as
+// GET /api/item-receiving/expiring by default
+const ALERT_DAYS = Number(process.env.EXPIRY_ALERT_DAYS) || 90;
+const DAY_MS = 86400000;
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+class ExpiryAlertService {
+  // Active staff who look after stock
+  async _recipients() {
+    const users = await User.find({ isActive: true });
+    const recipients = [];
+    for (const user of users) {
+      await user.loadPermissions();
+      if (user.hasPermission('stock.manage')) recipients.push(user);
+    }
+    return recipients;
+  }
+
+  /**
+   * Mark batches past their expiry date as expired, and tell everyone who
+   * holds stock.manage what has just expired and what will within
+   * EXPIRY_ALERT_DAYS. Nothing is sent when there is nothing to report.
+   */
+  async sendExpiryAlerts({ now = new Date(), days = ALERT_DAYS } = {}) {
+    const { modifiedCount: expired } = await MedicineBatch.updateMany(
+      { status: 'active', expiryDate: { $lte: now } },
+      { $set: { status: 'expired' } }
+    );
+
+    const expiring = await MedicineBatch.find({
+      status: 'active',
+      quantityRemaining: { $gt: 0 },
+      expiryDate: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+    })
+      .populate('medicine', 'name')
+      .sort('expiryDate');
+
+    if (!expired && !expiring.length) {
+      return { expired, expiring: 0, notified: 0 };
+    }
+
+    const lines = [];
+    if (expired) {
+      lines.push(`${expired} batch(es) passed their expiry date and were marked expired.`);
+    }
+    if (expiring.length) {
+      const [soonest] = expiring;
+      lines.push(`${expiring.length} batch(es) expire within ${days} days, the first ${soonest.medicine?.name || 'a medicine'} `
+        + `batch ${soonest.batchNumber} on ${day(soonest.expiryDate)}.`);
+    }
+
+    const recipients = await this._recipients();
+    for (const user of recipients) {
+      await Notification.createNotification({
+        recipient: user._id,
+        type: 'stock_expiry',
+        title: 'Stock expiry',
+        message: lines.join(' '),
+        priority: expired ? 'high' : 'medium',
+        metadata: { expired, expiring: expiring.length, days }
+      });
+    }
+
+    logger.info(`Expiry alerts: ${expired} expired, ${expiring.length} expiring, ${recipients.length} notified`);
+    return { expired, expiring: expiring.length, notified: recipients.length };
+  }
+}
+
+export default new ExpiryAlertService();
@@ -0,0 +1,80 @@
+// services/gateways/fakeGateway.js
+// Offline stand-in for the card and mobile money gateways
+
+import crypto from 'crypto';
+
+/**
+ * Behaves like the real adapters without any network access, for development
+ * and tests. Select it with PAYMENT_CARD_GATEWAY=fake and/or
+ * PAYMENT_MOBILE_MONEY_GATEWAY=fake.
+ *
+ * - Cards succeed at once, except the Stripe test tokens below.
+ * - Online payments and mobile money wait for a callback, which is posted to
+ *   the same URL the real provider would use:
+ *     { "fake": { "transactionId": "...", "status": "completed" | "failed" } }
+ */
+export const DECLINED_TOKENS = ['pm_card_chargeDeclined', 'pm_card_visa_chargeDeclined'];
+export const AUTHENTICATION_TOKENS = ['pm_card_authenticationRequired'];
+
+class FakeGateway {
+  constructor() {
+    this.name = 'fake';
+    this.charges = new Map();
+  }
+
+  async charge({ amount, method, paymentMethodId }) {
+    const transactionId = `FAKE-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const record = { amount, refunded: 0 };
+    this.charges.set(transactionId, record);
+
+    if (DECLINED_TOKENS.includes(paymentMethodId)) {
+      return { status: 'failed', transactionId, message: 'Your card was declined.', details: { fake: true } };
+    }
+
+    const awaitsCustomer = method === 'mobile_money' || method === 'online'
+      || AUTHENTICATION_TOKENS.includes(paymentMethodId);
+
+    if (awaitsCustomer) {
+      return {
+        status: 'processing',
+        transactionId,
+        clientSecret: method === 'mobile_money' ? undefined : `${transactionId}_secret`,
+        message: 'Awaiting confirmation from the customer',
+        details: { fake: true },
+      };
+    }
+
+    return { status: 'completed', transactionId, message: 'Payment approved', details: { fake: true, authCode: transactionId.slice(-6) } };
+  }
+
+  handleCallback(body) {
+    const callback = body?.fake;
+    if (!callback?.transactionId) {
+      return null;
+    }
+
+    return {
+      transactionId: callback.transactionId,
+      status: callback.status === 'completed' ? 'completed' : 'failed',
+      message: callback.message || (callback.status === 'completed' ? 'Approved' : 'Declined'),
+      amount: callback.amount,
+      details: { fake: true },
+    };
+  }
+
+  async refund({ transactionId, amount }) {
+    const record = this.charges.get(transactionId);
+    // Charges from a previous process are unknown here; accept them, as the
+    // real gateways would for a genuine transaction.
+    if (record) {
+      if (record.refunded + amount > record.amount) {
+        return { success: false, message: 'Refund exceeds the amount charged' };
+      }
+      record.refunded += amount;
+    }
+
+    return { success: true, refundTransactionId: `FAKE-RF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`, message: 'Refund approved' };
+  }
+}
+
+export default new FakeGateway();
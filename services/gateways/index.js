@@ -0,0 +1,59 @@
+// services/gateways/index.js
+// Registry of payment gateway adapters
+
+import stripeGateway from './stripeGateway.js';
+import mobileMoneyGateway from './mobileMoneyGateway.js';
+import fakeGateway from './fakeGateway.js';
+
+/**
+ * Every adapter exposes the same interface, so billing never needs to know
+ * which provider is behind a payment method:
+ *
+ *   name                      stored on Payment.gateway
+ *   charge(input)             input: { amount, currency, method, reference,
+ *                             attempt, description, phone, paymentMethodId,
+ *                             metadata }; attempt is the payment number,
+ *                             unique to this charge
+ *                             → { status: 'completed' | 'processing' | 'failed',
+ *                                 transactionId, message, details, clientSecret? }
+ *   refund(input)             input: { transactionId, amount, reason }
+ *                             → { success, refundTransactionId, message }
+ *   handleCallback(body)      optional; a provider's asynchronous result
+ *                             → { transactionId, status, message, amount, details } | null
+ *
+ * A 'processing' charge is not money received. It is settled later by a
+ * callback (mobile money) or webhook (Stripe) through
+ * billingService.settleGatewayPayment().
+ */
+const GATEWAYS = {
+  [stripeGateway.name]: stripeGateway,
+  [mobileMoneyGateway.name]: mobileMoneyGateway,
+  [fakeGateway.name]: fakeGateway,
+};
+
+// Payment methods that go through a gateway, and the setting that picks it.
+const METHOD_GATEWAYS = {
+  credit_card: () => process.env.PAYMENT_CARD_GATEWAY || 'stripe',
+  debit_card: () => process.env.PAYMENT_CARD_GATEWAY || 'stripe',
+  online: () => process.env.PAYMENT_CARD_GATEWAY || 'stripe',
+  mobile_money: () => process.env.PAYMENT_MOBILE_MONEY_GATEWAY || 'mobile_money',
+};
+
+export const getGateway = (name) => {
+  const gateway = GATEWAYS[name];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return gateway;
+};
+
+/**
+ * The adapter that handles a payment method, or null for methods settled in
+ * person (cash, cheque, bank transfer, insurance).
+ */
+export const gatewayForMethod = (method) => {
+  const pick = METHOD_GATEWAYS[method];
+  return pick ? getGateway(pick()) : null;
+};
+
+export default GATEWAYS;
@@ -0,0 +1,163 @@
+// services/gateways/mobileMoneyGateway.js
+// Mobile money payments by STK push (M-Pesa Daraja style API)
+
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+
+// An STK push only asks the customer's handset to approve the payment. The
+// outcome arrives later on the callback URL, so a charge is never completed
+// here; it is settled by handleCallback().
+
+const config = () => {
+  const settings = {
+    baseUrl: process.env.MOBILE_MONEY_BASE_URL,
+    consumerKey: process.env.MOBILE_MONEY_CONSUMER_KEY,
+    consumerSecret: process.env.MOBILE_MONEY_CONSUMER_SECRET,
+    shortCode: process.env.MOBILE_MONEY_SHORTCODE,
+    passkey: process.env.MOBILE_MONEY_PASSKEY,
+    callbackUrl: process.env.MOBILE_MONEY_CALLBACK_URL,
+  };
+
+  const missing = Object.entries(settings).filter(([, value]) => !value).map(([key]) => key);
+  if (missing.length) {
+    throw new Error(`Mobile money gateway is not configured (missing ${missing.join(', ')})`);
+  }
+  return settings;
+};
+
+// yyyyMMddHHmmss, as the API expects
+const timestamp = (date = new Date()) =>
+  [
+    date.getFullYear(),
+    date.getMonth() + 1,
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+  ].map((n, i) => String(n).padStart(i === 0 ? 4 : 2, '0')).join('');
+
+/**
+ * Normalise a local or international number to the 12-digit form the API
+ * takes (2557XXXXXXXX). Returns null for anything else.
+ */
+export const normalisePhone = (phone, countryCode = process.env.MOBILE_MONEY_COUNTRY_CODE || '255') => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith(countryCode) && digits.length === countryCode.length + 9) return digits;
+  if (digits.startsWith('0') && digits.length === 10) return `${countryCode}${digits.slice(1)}`;
+  if (digits.length === 9) return `${countryCode}${digits}`;
+  return null;
+};
+
+class MobileMoneyGateway {
+  constructor() {
+    this.name = 'mobile_money';
+    this.token = null;
+    this.tokenExpires = 0;
+  }
+
+  async _accessToken(settings) {
+    if (this.token && this.tokenExpires > Date.now()) {
+      return this.token;
+    }
+
+    const response = await axios.get(`${settings.baseUrl}/oauth/v1/generate`, {
+      params: { grant_type: 'client_credentials' },
+      auth: { username: settings.consumerKey, password: settings.consumerSecret },
+      timeout: 10000,
+    });
+
+    this.token = response.data.access_token;
+    // Renew a minute early rather than race the expiry.
+    this.tokenExpires = Date.now() + (Number(response.data.expires_in) - 60) * 1000;
+    return this.token;
+  }
+
+  /**
+   * Send an STK push to the customer's phone.
+   */
+  async charge({ amount, phone, reference, description }) {
+    const msisdn = normalisePhone(phone);
+    if (!msisdn) {
+      return { status: 'failed', message: 'A valid mobile money phone number is required', details: {} };
+    }
+    // Mobile money moves whole shillings only.
+    if (!Number.isInteger(Number(amount))) {
+      return { status: 'failed', message: 'Mobile money amounts must be whole shillings', details: {} };
+    }
+
+    try {
+      const settings = config();
+      const token = await this._accessToken(settings);
+      const stamp = timestamp();
+
+      const response = await axios.post(
+        `${settings.baseUrl}/mpesa/stkpush/v1/processrequest`,
+        {
+          BusinessShortCode: settings.shortCode,
+          Password: Buffer.from(`${settings.shortCode}${settings.passkey}${stamp}`).toString('base64'),
+          Timestamp: stamp,
+          TransactionType: 'CustomerPayBillOnline',
+          Amount: Number(amount),
+          PartyA: msisdn,
+          PartyB: settings.shortCode,
+          PhoneNumber: msisdn,
+          CallBackURL: settings.callbackUrl,
+          AccountReference: String(reference || '').slice(0, 12),
+          TransactionDesc: String(description || 'Clinic payment').slice(0, 13),
+        },
+        { headers: { Authorization: `Bearer ${token}` }, timeout: 15000 }
+      );
+
+      const data = response.data;
+      if (String(data.ResponseCode) !== '0') {
+        return { status: 'failed', message: data.ResponseDescription || 'STK push rejected', details: { responseCode: data.ResponseCode } };
+      }
+
+      return {
+        status: 'processing',
+        transactionId: data.CheckoutRequestID,
+        message: data.CustomerMessage || 'Awaiting approval on the customer\'s phone',
+        details: { merchantRequestId: data.MerchantRequestID, phone: msisdn },
+      };
+    } catch (error) {
+      const message = error.response?.data?.errorMessage || error.message;
+      logger.error('Mobile money STK push error:', message);
+      return { status: 'failed', message, details: {} };
+    }
+  }
+
+  /**
+   * Translate an STK callback body into a settlement. Returns null when the
+   * body is not an STK callback at all.
+   */
+  handleCallback(body) {
+    const callback = body?.Body?.stkCallback;
+    if (!callback?.CheckoutRequestID) {
+      return null;
+    }
+
+    const items = Object.fromEntries(
+      (callback.CallbackMetadata?.Item || []).map((item) => [item.Name, item.Value])
+    );
+    const succeeded = Number(callback.ResultCode) === 0;
+
+    return {
+      transactionId: callback.CheckoutRequestID,
+      status: succeeded ? 'completed' : 'failed',
+      message: callback.ResultDesc,
+      amount: items.Amount,
+      details: {
+        resultCode: callback.ResultCode,
+        receiptNumber: items.MpesaReceiptNumber,
+        phone: items.PhoneNumber ? String(items.PhoneNumber) : undefined,
+      },
+    };
+  }
+
+  // STK push has no refund call; reversals go through the operator's portal.
+  async refund() {
+    return { success: false, message: 'Mobile money payments must be reversed through the operator' };
+  }
+}
+
+export default new MobileMoneyGateway();
@@ -0,0 +1,62 @@
+// services/gateways/stripeGateway.js
+// Card and online payments through Stripe PaymentIntents
+
+import paymentGatewayService from '../paymentGateway.js';
+
+// Stripe intent states that mean the money may still arrive: the customer has
+// to complete 3-D Secure, or confirm the intent from the client.
+const AWAITING = ['requires_action', 'requires_confirmation', 'requires_payment_method', 'processing'];
+
+class StripeGateway {
+  constructor() {
+    this.name = 'stripe';
+  }
+
+  /**
+   * Charge a card, or prepare an online payment for the client to confirm.
+   */
+  async charge({ amount, currency, reference, attempt, paymentMethodId, metadata = {} }) {
+    // Keyed by the attempt, not the invoice: an invoice may take several
+    // card payments, and each must reach Stripe as its own intent
+    const result = await paymentGatewayService.createPaymentIntent(
+      amount,
+      currency,
+      { ...metadata, reference, paymentNumber: attempt },
+      { paymentMethodId, idempotencyKey: attempt ? `charge-${attempt}` : undefined }
+    );
+
+    if (!result.success) {
+      return { status: 'failed', message: result.error, details: {} };
+    }
+
+    const details = { intentStatus: result.status };
+
+    if (result.status === 'succeeded') {
+      return { status: 'completed', transactionId: result.paymentIntentId, message: 'Card payment succeeded', details };
+    }
+
+    if (AWAITING.includes(result.status)) {
+      return {
+        status: 'processing',
+        transactionId: result.paymentIntentId,
+        clientSecret: result.clientSecret,
+        message: 'Awaiting confirmation from the customer',
+        details
+      };
+    }
+
+    return { status: 'failed', transactionId: result.paymentIntentId, message: `Payment ${result.status}`, details };
+  }
+
+  async refund({ transactionId, amount }) {
+    const result = await paymentGatewayService.createRefund(transactionId, amount);
+
+    if (!result.success) {
+      return { success: false, message: result.error };
+    }
+
+    return { success: true, refundTransactionId: result.refundId, message: `Refund ${result.status}` };
+  }
+}
+
+export default new StripeGateway();
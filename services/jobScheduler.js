@@ -0,0 +1,142 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import logger from '../utils/logger.js';
+
+const POLL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 60000;
+// How long a run may hold its job before another instance may take over
+const DEFAULT_LOCK_MS = 10 * 60000;
+
+const jobError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * In-process scheduler for recurring jobs. Every instance of the server runs
+ * one; the job's document in the jobs collection decides which instance
+ * actually runs it each time, so a job fires once however many are up, and
+ * a restart neither skips a run nor repeats one.
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.ensured = new Set();
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register a job. `run({ now })` does the work and may return a summary,
+   * which is kept on the job document; `every` is the interval in
+   * milliseconds between the end of one run and the next.
+   */
+  define(name, { every, run, lockMs = DEFAULT_LOCK_MS, description }) {
+    this.jobs.set(name, { name, every, run, lockMs, description });
+    return this;
+  }
+
+  // First sight of a job: due straight away. Two instances starting
+  // together race on the unique name; the loser's insert is the duplicate.
+  async _ensure(name, now) {
+    if (this.ensured.has(name)) return;
+    try {
+      await Job.updateOne({ name }, { $setOnInsert: { name, nextRunAt: now } }, { upsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+    this.ensured.add(name);
+  }
+
+  /**
+   * Run a job if it is due (or at once with `force`) and no other instance
+   * holds it. Returns null when it was not this instance's turn.
+   */
+  async runJob(name, { now = new Date(), force = false } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw jobError(404, `Unknown job: ${name}`);
+    }
+    await this._ensure(name, now);
+
+    const claimed = await Job.findOneAndUpdate(
+      {
+        name,
+        ...(!force && { nextRunAt: { $lte: now } }),
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedBy: this.instanceId, lockedUntil: new Date(now.getTime() + job.lockMs), lastRunAt: now } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    let outcome;
+    try {
+      const result = await job.run({ now });
+      outcome = { lastStatus: 'succeeded', lastResult: result ?? null, lastError: null };
+    } catch (error) {
+      logger.error(`Job ${name} failed:`, error);
+      outcome = { lastStatus: 'failed', lastError: error.message };
+    }
+
+    const finishedAt = new Date();
+    await Job.updateOne(
+      { name, lockedBy: this.instanceId },
+      {
+        $set: { ...outcome, lastFinishedAt: finishedAt, nextRunAt: new Date(finishedAt.getTime() + job.every) },
+        $unset: { lockedBy: '', lockedUntil: '' },
+        $inc: { runCount: 1, ...(outcome.lastStatus === 'failed' && { failCount: 1 }) }
+      }
+    );
+    return { name, status: outcome.lastStatus, result: outcome.lastResult, error: outcome.lastError };
+  }
+
+  /**
+   * Run whatever is due, one job at a time. A tick still going when the
+   * next one comes round is left to finish.
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) return [];
+    this.ticking = true;
+    try {
+      const runs = [];
+      for (const name of this.jobs.keys()) {
+        const run = await this.runJob(name, { now });
+        if (run) runs.push(run);
+      }
+      return runs;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  start({ pollMs = POLL_MS } = {}) {
+    if (this.timer) return;
+    const tick = () => this.tick().catch((error) => logger.error('Job scheduler error:', error));
+    this.timer = setInterval(tick, pollMs);
+    this.timer.unref();
+    setImmediate(tick);
+    logger.info(`Job scheduler started on ${this.instanceId} (${this.jobs.size} jobs, polling every ${pollMs / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Registered jobs with their persisted state, for the admin endpoint.
+   */
+  async list() {
+    const states = await Job.find({ name: { $in: [...this.jobs.keys()] } }).lean();
+    return [...this.jobs.values()].map(({ name, every, description }) => ({
+      name,
+      description,
+      everyMinutes: every / 60000,
+      ...states.find((s) => s.name === name)
+    }));
+  }
+}
+
+export default new JobScheduler();
@@ -0,0 +1,41 @@
+import jobScheduler from './jobScheduler.js';
+import reminderService from './reminderService.js';
+import billingService from './billingService.js';
+import expiryAlertService from './expiryAlertService.js';
+import waitlistService from './waitlistService.js';
+import attendanceService from './attendanceService.js';
+
+const MINUTE = 60000;
+
+/**
+ * The recurring jobs the server runs. Intervals count from the end of the
+ * previous run, wherever it ran.
+ */
+jobScheduler
+  .define('appointment-reminders', {
+    description: 'Text and email patients 24 hours and 2 hours before their appointments',
+    every: 5 * MINUTE,
+    run: ({ now }) => reminderService.sendDueReminders({ now })
+  })
+  .define('waitlist-offers', {
+    description: 'Pass slots offered to waitlisted patients on once the offer expires',
+    every: 5 * MINUTE,
+    run: async ({ now }) => ({ expired: await waitlistService.expireOffers({ now }) })
+  })
+  .define('appointment-no-shows', {
+    description: 'Mark appointments from earlier days that nobody checked in for as no-shows',
+    every: 60 * MINUTE,
+    run: ({ now }) => attendanceService.markNoShows({ now })
+  })
+  .define('overdue-invoices', {
+    description: 'Mark pending invoices past their due date overdue',
+    every: 60 * MINUTE,
+    run: async () => ({ overdue: await billingService.checkOverdueInvoices() })
+  })
+  .define('expiry-alerts', {
+    description: 'Mark expired medicine batches and alert stock managers to those expiring soon',
+    every: 24 * 60 * MINUTE,
+    run: ({ now }) => expiryAlertService.sendExpiryAlerts({ now })
+  });
+
+export default jobScheduler;
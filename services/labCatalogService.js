@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import LabTestDefinition from '../models/LabTestDefinition.js';
+import Patient from '../models/Patient.js';
+import Notification from '../models/Notification.js';
+import logger from '../utils/logger.js';
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const labError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const FLAG_LABELS = {
+  low: 'low',
+  high: 'high',
+  critical_low: 'critically low',
+  critical_high: 'critically high',
+  abnormal: 'abnormal'
+};
+
+const printRange = (range) => {
+  if (!range) return undefined;
+  if (range.text) return range.text;
+  if (range.low != null && range.high != null) return `${range.low}-${range.high}`;
+  if (range.low != null) return `>= ${range.low}`;
+  if (range.high != null) return `<= ${range.high}`;
+  return undefined;
+};
+
+// "Haemoglobin 6.1 g/dL (critically low)"
+const describe = (result) => {
+  const value = result.value != null ? result.value : result.valueText;
+  const unit = result.unit ? ` ${result.unit}` : '';
+  const flag = FLAG_LABELS[result.flag] ? ` (${FLAG_LABELS[result.flag]})` : '';
+  return `${result.name} ${value}${unit}${flag}`;
+};
+
+class LabCatalogService {
+  /**
+   * The active catalog entry for an order, by id, code or exact name in
+   * that order of preference. Null when the test is not in the catalog.
+   */
+  async findTest({ testId, testCode, testName } = {}) {
+    if (testId && mongoose.isValidObjectId(testId)) {
+      return LabTestDefinition.findOne({ _id: testId, isActive: true });
+    }
+    if (testCode) {
+      return LabTestDefinition.findOne({ code: String(testCode).trim().toUpperCase(), isActive: true });
+    }
+    if (testName) {
+      return LabTestDefinition.findOne({
+        name: { $regex: `^${escapeRegex(String(testName).trim())}$`, $options: 'i' },
+        isActive: true
+      });
+    }
+    return null;
+  }
+
+  /**
+   * The analytes reported for a test. A panel reports those of its
+   * component tests, in the order the components are listed.
+   */
+  async analytesFor(definition) {
+    if (definition.kind !== 'panel') {
+      return definition.analytes || [];
+    }
+    const components = await LabTestDefinition.find({ _id: { $in: definition.components } });
+    return definition.components
+      .map((id) => components.find((c) => String(c._id) === String(id)))
+      .filter(Boolean)
+      .flatMap((c) => c.analytes || []);
+  }
+
+  /**
+   * A panel's components must be existing single tests; panels do not nest.
+   */
+  async checkComponents(definition) {
+    if (definition.kind !== 'panel' || !definition.components?.length) return;
+
+    const ids = definition.components.map(String);
+    const tests = await LabTestDefinition.find({ _id: { $in: ids }, kind: 'test' }).select('_id');
+    const found = new Set(tests.map((t) => String(t._id)));
+    const missing = ids.filter((id) => !found.has(id));
+    if (missing.length) {
+      throw labError(400, `Panel components must be single tests in the catalog (not found: ${missing.join(', ')})`);
+    }
+  }
+
+  /**
+   * The reference range that applies to a patient: ranges for their sex
+   * win over those for any sex, then the narrowest age band.
+   */
+  rangeFor(analyte, { sex, ageYears } = {}) {
+    const patientSex = String(sex || '').toLowerCase();
+    const candidates = (analyte.referenceRanges || []).filter((range) =>
+      (range.sex === 'any' || range.sex === patientSex)
+      && (ageYears == null || (ageYears >= (range.ageFrom || 0) && (range.ageTo == null || ageYears < range.ageTo))));
+
+    const width = (range) => (range.ageTo == null ? Infinity : range.ageTo - (range.ageFrom || 0));
+    return candidates.sort((a, b) =>
+      (a.sex === 'any') - (b.sex === 'any') || width(a) - width(b))[0] || null;
+  }
+
+  /**
+   * How a value compares with a range: critical_low, low, normal, high or
+   * critical_high. Text results are normal or abnormal against the
+   * analyte's normalValues. Undefined when there is nothing to compare with.
+   */
+  flag(analyte, value, range) {
+    if (analyte.resultType === 'text') {
+      if (!analyte.normalValues?.length) return undefined;
+      const answer = String(value).trim().toLowerCase();
+      return analyte.normalValues.some((v) => v.toLowerCase() === answer) ? 'normal' : 'abnormal';
+    }
+    if (!range) return undefined;
+    if (range.criticalLow != null && value < range.criticalLow) return 'critical_low';
+    if (range.criticalHigh != null && value > range.criticalHigh) return 'critical_high';
+    if (range.low != null && value < range.low) return 'low';
+    if (range.high != null && value > range.high) return 'high';
+    return 'normal';
+  }
+
+  /**
+   * Turn values entered per analyte ([{ code, value }]) into results
+   * flagged against the patient's reference ranges, and set them on the
+   * lab order. The caller saves the order.
+   *
+   * Returns { analyteResults, critical, patient }.
+   */
+  async recordResults(labOrder, entries, { patientId, now = new Date() } = {}) {
+    if (!labOrder.test) {
+      throw labError(400, 'This test was not ordered from the lab catalog; enter its results as text');
+    }
+    if (!Array.isArray(entries) || !entries.length) {
+      throw labError(400, 'Enter at least one analyte result');
+    }
+
+    const definition = await LabTestDefinition.findById(labOrder.test);
+    if (!definition) {
+      throw labError(400, 'The catalog entry for this test no longer exists; enter its results as text');
+    }
+    const analytes = await this.analytesFor(definition);
+    const patient = await Patient.findById(patientId || labOrder.patient).select('patientId firstName lastName dateOfBirth gender');
+    const context = {
+      sex: patient?.gender,
+      ageYears: patient?.dateOfBirth ? (now - new Date(patient.dateOfBirth)) / YEAR_MS : null
+    };
+
+    const problems = [];
+    const analyteResults = [];
+    for (const entry of entries) {
+      const analyte = analytes.find((a) => a.code === String(entry.code || '').trim().toUpperCase());
+      if (!analyte) {
+        problems.push({ code: entry.code, message: `${definition.name} has no analyte ${entry.code}` });
+        continue;
+      }
+      if (entry.value === undefined || entry.value === null || entry.value === '') {
+        problems.push({ code: analyte.code, message: `A value for ${analyte.name} is required` });
+        continue;
+      }
+
+      const result = { code: analyte.code, name: analyte.name, unit: analyte.unit };
+      if (analyte.resultType === 'text') {
+        result.valueText = String(entry.value).trim();
+        result.flag = this.flag(analyte, result.valueText);
+        if (analyte.normalValues?.length) result.referenceRange = { text: analyte.normalValues.join(' / ') };
+      } else {
+        const value = Number(entry.value);
+        if (!Number.isFinite(value)) {
+          problems.push({ code: analyte.code, message: `${analyte.name} must be a number` });
+          continue;
+        }
+        const range = this.rangeFor(analyte, context);
+        result.value = value;
+        result.flag = this.flag(analyte, value, range);
+        if (range) result.referenceRange = { low: range.low, high: range.high, text: printRange(range) };
+      }
+      analyteResults.push(result);
+    }
+
+    if (problems.length) {
+      throw labError(400, 'Some results could not be recorded', problems);
+    }
+
+    labOrder.analyteResults = analyteResults;
+    labOrder.results = analyteResults.map(describe).join('; ');
+
+    const critical = analyteResults.filter((r) => r.flag === 'critical_low' || r.flag === 'critical_high');
+    return { analyteResults, critical, patient };
+  }
+
+  /**
+   * Tell the doctor who ordered a test about critical values. Failure to
+   * notify is logged rather than undoing the results.
+   */
+  async notifyCritical({ labOrder, critical, patient, visit, sender }) {
+    if (!critical.length || !labOrder.orderedBy) return null;
+
+    const name = patient ? `${patient.firstName} ${patient.lastName} (${patient.patientId})` : 'a patient';
+    try {
+      return await Notification.createNotification({
+        recipient: labOrder.orderedBy._id || labOrder.orderedBy,
+        sender,
+        type: 'patient_critical',
+        title: `Critical ${labOrder.testName} result`,
+        message: `${name}: ${critical.map(describe).join('; ')}`,
+        priority: 'urgent',
+        relatedEntity: {
+          entityType: 'labtest',
+          entityId: labOrder._id
+        },
+        metadata: {
+          visitId: visit?.visitId,
+          analytes: critical.map((r) => r.code)
+        }
+      });
+    } catch (error) {
+      logger.error('Critical lab result notification error:', error);
+      return null;
+    }
+  }
+}
+
+export default new LabCatalogService();
@@ -0,0 +1,339 @@
+import mongoose from 'mongoose';
+import Visit from '../models/Visit.js';
+import Patient from '../models/Patient.js';
+import User from '../models/User.js';
+import LabTestDefinition from '../models/LabTestDefinition.js';
+import { nextSequence } from '../utils/sequence.js';
+import logger from '../utils/logger.js';
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE_MS = 60 * 1000;
+const pad = (n) => String(n).padStart(2, '0');
+
+// The step a specimen can move to from where it is now
+const TRANSITIONS = {
+  received: ['collected'],
+  in_process: ['received'],
+  resulted: ['received', 'in_process'],
+  verified: ['resulted'],
+  rejected: ['collected', 'received', 'in_process']
+};
+
+// Who moved it there and when
+const STAMPS = {
+  received: ['receivedAt', 'receivedBy'],
+  in_process: ['processingAt', 'processingBy'],
+  resulted: ['resultedAt', 'resultedBy'],
+  verified: ['verifiedAt', 'verifiedBy'],
+  rejected: ['rejectedAt', 'rejectedBy']
+};
+
+const STEP_LABELS = {
+  collected: 'collected',
+  received: 'received in the lab',
+  in_process: 'in process',
+  resulted: 'resulted',
+  verified: 'verified',
+  rejected: 'rejected'
+};
+
+const specimenError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const minutesBetween = (start, end) => (start && end ? (new Date(end) - new Date(start)) / MINUTE_MS : null);
+
+const summarise = (values) => {
+  const sorted = values.filter((v) => v != null).sort((a, b) => a - b);
+  if (!sorted.length) return { count: 0, median: null, average: null };
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return {
+    count: sorted.length,
+    median: Math.round(median),
+    average: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length)
+  };
+};
+
+// The specimen the lab is working with; rejected ones are history
+const currentSpecimen = (labOrder) =>
+  [...(labOrder.specimens || [])].reverse().find((s) => s.status !== 'rejected') || null;
+
+// Highest accession number issued with a prefix, for seeding its counter
+const highestAccession = async (prefix) => {
+  const visits = await Visit.find({ 'labOrders.specimens.accessionNumber': new RegExp(`^${prefix}`) })
+    .select('labOrders.specimens.accessionNumber')
+    .lean();
+
+  return visits
+    .flatMap((visit) => (visit.labOrders || []).flatMap((order) => order.specimens || []))
+    .map((specimen) => specimen.accessionNumber)
+    .filter((number) => number?.startsWith(prefix))
+    .reduce((max, number) => Math.max(max, parseInt(number.slice(prefix.length), 10) || 0), 0);
+};
+
+class LabSpecimenService {
+  /**
+   * The visit and lab order for an order id, or for the accession number
+   * read off a specimen label. A scanned number also picks out that
+   * specimen; otherwise it is the one currently in the lab.
+   *
+   * Returns { visit, labOrder, specimen }.
+   */
+  async findOrder(ref) {
+    const byAccession = !mongoose.isValidObjectId(ref);
+    const visit = await Visit.findOne(byAccession
+      ? { 'labOrders.specimens.accessionNumber': String(ref).trim() }
+      : { 'labOrders._id': ref });
+
+    const labOrder = visit && (byAccession
+      ? visit.labOrders.find((order) => (order.specimens || []).some((s) => s.accessionNumber === String(ref).trim()))
+      : visit.labOrders.id(ref));
+    if (!labOrder) {
+      throw specimenError(404, 'Lab test not found');
+    }
+
+    const specimen = byAccession
+      ? labOrder.specimens.find((s) => s.accessionNumber === String(ref).trim())
+      : currentSpecimen(labOrder);
+    return { visit, labOrder, specimen };
+  }
+
+  /**
+   * Allocate the next accession number, LAB-YYYYMMDD-NNNN, numbered per day.
+   */
+  async nextAccessionNumber(now = new Date()) {
+    const day = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+    const prefix = `LAB-${day}-`;
+    const sequence = await nextSequence(`lab-accession:${day}`, {
+      seedFrom: () => highestAccession(prefix)
+    });
+    return `${prefix}${String(sequence).padStart(4, '0')}`;
+  }
+
+  /**
+   * Record a specimen being taken for a paid lab order and give it an
+   * accession number. A specimen that was rejected is replaced by
+   * collecting again.
+   *
+   * Returns { visit, labOrder, specimen, label }.
+   */
+  async collect(ref, userId, { specimenType, notes, now = new Date() } = {}) {
+    const { visit, labOrder } = await this.findOrder(ref);
+
+    if (labOrder.status === 'Pending Payment') {
+      throw specimenError(409, 'This test has not been paid for yet');
+    }
+    if (['Completed', 'Cancelled'].includes(labOrder.status)) {
+      throw specimenError(409, `This test is already ${labOrder.status.toLowerCase()}`);
+    }
+    const existing = currentSpecimen(labOrder);
+    if (existing) {
+      throw specimenError(409, `A specimen has already been collected for this test (${existing.accessionNumber})`);
+    }
+
+    labOrder.specimens.push({
+      accessionNumber: await this.nextAccessionNumber(now),
+      specimenType: specimenType || labOrder.specimenType,
+      collectedAt: now,
+      collectedBy: userId,
+      notes
+    });
+    labOrder.status = 'In Progress';
+    await visit.save();
+
+    const specimen = labOrder.specimens[labOrder.specimens.length - 1];
+    logger.info(`Specimen ${specimen.accessionNumber} collected for ${labOrder.testName} on visit ${visit.visitId}`);
+
+    return { visit, labOrder, specimen, label: await this.label(visit, labOrder, specimen) };
+  }
+
+  /**
+   * Move a specimen on to `status` (received, in_process, verified or
+   * rejected). Rejecting needs a reason and puts the order back to Pending
+   * for a new specimen.
+   *
+   * Returns { visit, labOrder, specimen }.
+   */
+  async advance(ref, status, userId, { reason, now = new Date() } = {}) {
+    if (!TRANSITIONS[status] || status === 'resulted') {
+      throw specimenError(400, `Unknown specimen step: ${status}`);
+    }
+    if (status === 'rejected' && !String(reason || '').trim()) {
+      throw specimenError(400, 'A reason for rejecting the specimen is required');
+    }
+    const { visit, labOrder, specimen } = await this.findOrder(ref);
+    this._move(specimen, status, userId, now);
+
+    if (status === 'rejected') {
+      specimen.rejectionReason = String(reason).trim();
+      labOrder.status = 'Pending';
+    }
+    await visit.save();
+
+    logger.info(`Specimen ${specimen.accessionNumber} ${STEP_LABELS[status]}`);
+    return { visit, labOrder, specimen };
+  }
+
+  /**
+   * Mark the order's specimen resulted when results are entered. Orders
+   * from before specimens were tracked have none and are left alone. The
+   * caller saves the order.
+   */
+  markResulted(labOrder, userId, now = new Date()) {
+    if (!labOrder.specimens?.length) return null;
+    const specimen = currentSpecimen(labOrder);
+    this._move(specimen, 'resulted', userId, now);
+    return specimen;
+  }
+
+  _move(specimen, status, userId, now) {
+    if (!specimen) {
+      throw specimenError(409, 'No specimen has been collected for this test');
+    }
+    if (!TRANSITIONS[status].includes(specimen.status)) {
+      throw specimenError(409, `Specimen ${specimen.accessionNumber} is ${STEP_LABELS[specimen.status]} and cannot be ${STEP_LABELS[status]}`);
+    }
+    const [at, by] = STAMPS[status];
+    specimen.status = status;
+    specimen[at] = now;
+    specimen[by] = userId;
+  }
+
+  /**
+   * What goes on a specimen label: the accession number as a Code 128
+   * barcode, with enough about the patient and test to check it by eye.
+   */
+  async label(visit, labOrder, specimen) {
+    const [patient, collector] = await Promise.all([
+      Patient.findById(visit.patient?._id || visit.patient).select('patientId firstName lastName dateOfBirth gender'),
+      User.findById(specimen.collectedBy).select('firstName lastName')
+    ]);
+    const dob = patient?.dateOfBirth ? new Date(patient.dateOfBirth) : null;
+
+    return {
+      accessionNumber: specimen.accessionNumber,
+      barcode: { format: 'CODE128', value: specimen.accessionNumber },
+      patient: patient ? {
+        patientId: patient.patientId,
+        name: `${patient.lastName.toUpperCase()}, ${patient.firstName}`,
+        dateOfBirth: dob ? `${dob.getFullYear()}-${pad(dob.getMonth() + 1)}-${pad(dob.getDate())}` : null,
+        sex: patient.gender ? patient.gender[0].toUpperCase() : null
+      } : null,
+      visitId: visit.visitId,
+      test: { code: labOrder.testCode || null, name: labOrder.testName },
+      specimenType: specimen.specimenType || null,
+      collectedAt: specimen.collectedAt,
+      collectedBy: collector ? `${collector.firstName[0]}${collector.lastName[0]}`.toUpperCase() : null
+    };
+  }
+
+  /**
+   * Turnaround for specimens collected between two dates (YYYY-MM-DD,
+   * clinic time), in minutes: per test, collection to receipt, receipt to
+   * result and collection to result, with the share resulted within the
+   * catalog turnaround; per technician, receipt to result for the
+   * specimens they resulted and how many they verified.
+   */
+  async turnaround({ from, to }) {
+    if (!DATE.test(from || '') || !DATE.test(to || '')) {
+      throw specimenError(400, 'from and to must be YYYY-MM-DD');
+    }
+    if (to < from) {
+      throw specimenError(400, 'The end date is before the start date');
+    }
+    const start = new Date(`${from}T00:00:00`);
+    const end = new Date(`${to}T23:59:59.999`);
+
+    const visits = await Visit.find({ 'labOrders.specimens.collectedAt': { $gte: start, $lte: end } })
+      .select('labOrders.testName labOrders.testCode labOrders.specimens')
+      .lean();
+
+    const specimens = visits.flatMap((visit) => (visit.labOrders || []).flatMap((order) => (order.specimens || [])
+      .filter((s) => s.collectedAt >= start && s.collectedAt <= end)
+      .map((s) => ({ ...s, testName: order.testName, testCode: order.testCode }))));
+
+    const codes = [...new Set(specimens.map((s) => s.testCode).filter(Boolean))];
+    const definitions = codes.length
+      ? await LabTestDefinition.find({ code: { $in: codes } }).select('code turnaroundHours').lean()
+      : [];
+    const targets = new Map(definitions.map((d) => [d.code, d.turnaroundHours]));
+
+    const byTest = new Map();
+    const byTechnician = new Map();
+    const technician = (id) => {
+      const key = String(id);
+      if (!byTechnician.has(key)) byTechnician.set(key, { _id: key, resultTimes: [], verified: 0 });
+      return byTechnician.get(key);
+    };
+
+    for (const specimen of specimens) {
+      const key = specimen.testCode || specimen.testName;
+      if (!byTest.has(key)) {
+        byTest.set(key, {
+          testCode: specimen.testCode || null,
+          testName: specimen.testName,
+          targetHours: targets.get(specimen.testCode) ?? null,
+          collected: 0,
+          rejected: 0,
+          rejectionReasons: {},
+          collectToReceive: [],
+          receiveToResult: [],
+          collectToResult: []
+        });
+      }
+      const row = byTest.get(key);
+      row.collected += 1;
+      if (specimen.status === 'rejected') {
+        row.rejected += 1;
+        row.rejectionReasons[specimen.rejectionReason] = (row.rejectionReasons[specimen.rejectionReason] || 0) + 1;
+        continue;
+      }
+      row.collectToReceive.push(minutesBetween(specimen.collectedAt, specimen.receivedAt));
+      row.receiveToResult.push(minutesBetween(specimen.receivedAt, specimen.resultedAt));
+      row.collectToResult.push(minutesBetween(specimen.collectedAt, specimen.resultedAt));
+
+      if (specimen.resultedBy) {
+        technician(specimen.resultedBy).resultTimes.push(minutesBetween(specimen.receivedAt, specimen.resultedAt));
+      }
+      if (specimen.verifiedBy) {
+        technician(specimen.verifiedBy).verified += 1;
+      }
+    }
+
+    const users = await User.find({ _id: { $in: [...byTechnician.keys()] } }).select('firstName lastName').lean();
+    const names = new Map(users.map((u) => [String(u._id), `${u.firstName} ${u.lastName}`]));
+
+    const tests = [...byTest.values()]
+      .map(({ collectToReceive, receiveToResult, collectToResult, ...row }) => {
+        const resulted = collectToResult.filter((m) => m != null);
+        const within = row.targetHours != null
+          ? resulted.filter((m) => m <= row.targetHours * 60).length
+          : null;
+        return {
+          ...row,
+          resulted: resulted.length,
+          collectToReceive: summarise(collectToReceive),
+          receiveToResult: summarise(receiveToResult),
+          collectToResult: summarise(collectToResult),
+          withinTarget: within != null && resulted.length ? Math.round((within / resulted.length) * 1000) / 10 : null
+        };
+      })
+      .sort((a, b) => a.testName.localeCompare(b.testName));
+
+    const technicians = [...byTechnician.values()]
+      .map(({ _id, resultTimes, verified }) => ({
+        technician: { _id, name: names.get(_id) || 'Unknown' },
+        resulted: resultTimes.length,
+        verified,
+        receiveToResult: summarise(resultTimes)
+      }))
+      .sort((a, b) => b.resulted - a.resulted || a.technician.name.localeCompare(b.technician.name));
+
+    return { from, to, specimens: specimens.length, tests, technicians };
+  }
+}
+
+export default new LabSpecimenService();
@@ -0,0 +1,382 @@
+import Patient from '../models/Patient.js';
+import PatientMerge from '../models/PatientMerge.js';
+import Visit from '../models/Visit.js';
+import IPDRecord from '../models/IPDRecord.js';
+import Appointment from '../models/Appointment.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import Claim from '../models/Claim.js';
+import Prescription from '../models/Prescription.js';
+import LabTest from '../models/LabTest.js';
+import RadiologyRequest from '../models/RadiologyRequest.js';
+import Dispensing from '../models/Dispensing.js';
+import DirectDispensing from '../models/DirectDispensing.js';
+import TheatreProcedure from '../models/TheatreProcedure.js';
+import Bed from '../models/Bed.js';
+import { StockMovement } from '../models/StockMovement.js';
+import AuditLog from '../models/AuditLog.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { normalisePhone } from './gateways/mobileMoneyGateway.js';
+import logger from '../utils/logger.js';
+
+// Everything that points at a patient. `embedded` lists arrays of
+// subdocuments that carry their own patient reference.
+export const REFERENCES = [
+  { Model: Visit, path: 'patient', embedded: ['vitalSigns', 'diagnosis', 'labOrders', 'radiologyOrders', 'prescriptions'] },
+  { Model: IPDRecord, path: 'patient', embedded: ['medications'] },
+  { Model: Appointment, path: 'patient' },
+  { Model: AppointmentSeries, path: 'patient' },
+  { Model: WaitlistEntry, path: 'patient' },
+  { Model: Invoice, path: 'patient' },
+  { Model: Payment, path: 'patient' },
+  { Model: Claim, path: 'patient' },
+  { Model: Prescription, path: 'patient' },
+  { Model: LabTest, path: 'patient' },
+  { Model: RadiologyRequest, path: 'patient' },
+  { Model: Dispensing, path: 'patient' },
+  { Model: DirectDispensing, path: 'patient' },
+  { Model: TheatreProcedure, path: 'patient' },
+  { Model: Bed, path: 'currentPatient' },
+  { Model: StockMovement, path: 'patient' }
+];
+
+// Survivor fields completed from the duplicate when the survivor has none.
+// Email stays with the duplicate: addresses are unique.
+const FILLABLE = ['phone', 'bloodType', 'maritalStatus'];
+// Lists combined from both records
+const COMBINED = ['allergies', 'medicalHistory'];
+
+// Scores out of 100; DUPLICATE_SCORE and above is reported as a duplicate
+export const DUPLICATE_SCORE = 60;
+const WEIGHTS = { membership: 60, dateOfBirth: 30, phone: 20, name: 40 };
+// Names less alike than this add nothing
+const NAME_THRESHOLD = 0.8;
+
+const mergeError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const clean = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+const day = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+const membership = (number) => String(number || '').toUpperCase().replace(/[\s-]/g, '');
+const phoneKey = (phone) => normalisePhone(phone, process.env.SMS_COUNTRY_CODE || process.env.MOBILE_MONEY_COUNTRY_CODE || '255');
+// Key order differs between a stored subdocument and the same value read back
+const canonical = (value) => JSON.stringify(value ?? null, (key, v) => (
+  v && Object.getPrototypeOf(v) === Object.prototype
+    ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a.localeCompare(b)))
+    : v
+));
+const same = (a, b) => canonical(a) === canonical(b);
+
+/**
+ * Jaro-Winkler similarity of two strings, 0 (nothing alike) to 1 (equal).
+ * Forgiving of the transposed and dropped letters typical of names typed
+ * at a registration desk.
+ */
+export const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j += 1) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i += 1) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j += 1;
+    if (a[i] !== b[j]) transpositions += 1;
+    j += 1;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * How alike two people's names are, 0 to 1. First and last names are
+ * compared both ways round, since they are often entered swapped.
+ */
+export const nameSimilarity = (a, b) => {
+  const [af, al, bf, bl] = [clean(a.firstName), clean(a.lastName), clean(b.firstName), clean(b.lastName)];
+  const straight = (jaroWinkler(af, bf) + jaroWinkler(al, bl)) / 2;
+  const swapped = (jaroWinkler(af, bl) + jaroWinkler(al, bf)) / 2;
+  return Math.round(Math.max(straight, swapped) * 100) / 100;
+};
+
+class PatientMergeService {
+  /**
+   * How likely `existing` is to be the same person as `candidate`.
+   * Returns { score, reasons }.
+   */
+  score(candidate, existing) {
+    let score = 0;
+    const reasons = [];
+
+    const number = membership(candidate.insurance?.membershipNumber);
+    if (number && number === membership(existing.insurance?.membershipNumber)) {
+      score += WEIGHTS.membership;
+      reasons.push('insurance membership number');
+    }
+    if (day(candidate.dateOfBirth) && day(candidate.dateOfBirth) === day(existing.dateOfBirth)) {
+      score += WEIGHTS.dateOfBirth;
+      reasons.push('date of birth');
+    }
+    const phone = phoneKey(candidate.phone);
+    if (phone && phone === phoneKey(existing.phone)) {
+      score += WEIGHTS.phone;
+      reasons.push('phone');
+    }
+    const similarity = nameSimilarity(candidate, existing);
+    if (similarity >= NAME_THRESHOLD) {
+      score += Math.round(WEIGHTS.name * similarity);
+      reasons.push(similarity === 1 ? 'name' : `similar name (${similarity})`);
+    }
+
+    return { score: Math.min(score, 100), reasons };
+  }
+
+  /**
+   * Registered patients who may be the person described by `candidate`
+   * (registration details: names, dateOfBirth, phone, insurance), most
+   * likely first. Only records sharing a membership number, phone or date
+   * of birth are considered; a name alone is not enough to call a match.
+   */
+  async findDuplicates(candidate, { excludeId, minScore = DUPLICATE_SCORE } = {}) {
+    const or = [];
+    const number = candidate.insurance?.membershipNumber;
+    if (number) {
+      or.push({ 'insurance.membershipNumber': number });
+    }
+    const phone = phoneKey(candidate.phone);
+    if (phone) {
+      const local = phone.slice(-9);
+      or.push({ phone: { $in: [phone, `+${phone}`, `0${local}`, local] } });
+    }
+    if (day(candidate.dateOfBirth)) {
+      const start = new Date(`${day(candidate.dateOfBirth)}T00:00:00Z`);
+      or.push({ dateOfBirth: { $gte: start, $lt: new Date(start.getTime() + 86400000) } });
+    }
+    if (!or.length) return [];
+
+    const query = { $or: or, status: { $ne: 'merged' } };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const existing = await Patient.find(query)
+      .select('patientId firstName middleName lastName dateOfBirth gender phone insurance.membershipNumber')
+      .limit(50)
+      .lean();
+
+    return existing
+      .map((patient) => ({ patient, ...this.score(candidate, patient) }))
+      .filter((match) => match.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Merge `duplicateId` into `survivorId`: every record pointing at the
+   * duplicate is re-pointed at the survivor, blanks in the survivor's
+   * details are filled from the duplicate, and the duplicate is retired
+   * (status 'merged', pointing at the survivor). It is not deleted, so the
+   * merge can be reversed with reverse().
+   */
+  async merge(survivorId, duplicateId, { reason, userId }) {
+    if (String(survivorId) === String(duplicateId)) {
+      throw mergeError(400, 'A patient cannot be merged into themselves');
+    }
+
+    const { record, audit } = await withTransaction(async (session) => {
+      const sessionOpt = session ? { session } : {};
+
+      const [survivor, duplicate] = await Promise.all([
+        Patient.findById(survivorId).session(session || null),
+        Patient.findById(duplicateId).session(session || null)
+      ]);
+      if (!survivor || !duplicate) {
+        throw mergeError(404, 'Patient not found');
+      }
+      if (survivor.status === 'merged' || duplicate.status === 'merged') {
+        throw mergeError(409, `${survivor.status === 'merged' ? survivor.patientId : duplicate.patientId} has already been merged into another record`);
+      }
+
+      const duplicateBefore = { status: duplicate.status, isActive: duplicate.isActive };
+
+      const moved = [];
+      for (const { Model, path, embedded = [] } of REFERENCES) {
+        const ids = await Model.distinct('_id', { [path]: duplicate._id }).session(session || null);
+        if (!ids.length) continue;
+        await this._repoint(Model, path, embedded, ids, duplicate._id, survivor._id, session);
+        moved.push({ model: Model.modelName, path, ids });
+      }
+
+      const filled = [];
+      for (const path of FILLABLE) {
+        if (!survivor.get(path) && duplicate.get(path)) {
+          filled.push({ path, before: survivor.get(path) ?? null, after: duplicate.get(path) });
+        }
+      }
+      for (const path of COMBINED) {
+        const before = survivor.get(path) || [];
+        const after = [...new Set([...before, ...(duplicate.get(path) || [])])];
+        if (after.length > before.length) {
+          filled.push({ path, before: [...before], after });
+        }
+      }
+      if (!survivor.insurance?.membershipNumber && duplicate.insurance?.membershipNumber) {
+        filled.push({ path: 'insurance', before: survivor.toObject().insurance ?? null, after: duplicate.toObject().insurance });
+      }
+      if (filled.length) {
+        await Patient.updateOne(
+          { _id: survivor._id },
+          { $set: Object.fromEntries(filled.map((f) => [f.path, f.after])) },
+          sessionOpt
+        );
+      }
+
+      await Patient.updateOne(
+        { _id: duplicate._id },
+        { $set: { status: 'merged', isActive: false, mergedInto: survivor._id } },
+        sessionOpt
+      );
+
+      const [record] = await PatientMerge.create([{
+        survivor: survivor._id,
+        duplicate: duplicate._id,
+        reason,
+        moved,
+        filled,
+        duplicateBefore,
+        mergedBy: userId
+      }], sessionOpt);
+
+      logger.info(`Merged patient ${duplicate.patientId} into ${survivor.patientId}`);
+      return {
+        record,
+        audit: {
+          userId,
+          action: 'UPDATE',
+          entityType: 'Patient',
+          entityId: survivor._id,
+          description: `Merged patient ${duplicate.patientId} into ${survivor.patientId}`,
+          metadata: {
+            merge: record._id,
+            duplicate: duplicate._id,
+            reason,
+            moved: Object.fromEntries(moved.map((m) => [m.model, m.ids.length])),
+            filled: filled.map((f) => f.path)
+          }
+        }
+      };
+    }, 'patient merge');
+
+    // Logged once the merge has committed, so a rolled-back attempt leaves
+    // no entry behind
+    await AuditLog.log(audit);
+    return record;
+  }
+
+  /**
+   * Undo a merge: the records it moved go back to the duplicate, which is
+   * restored, and the survivor's filled-in fields are cleared again unless
+   * someone has changed them since.
+   */
+  async reverse(mergeId, { reason, userId }) {
+    const { record, audit } = await withTransaction(async (session) => {
+      const sessionOpt = session ? { session } : {};
+
+      const record = await PatientMerge.findById(mergeId).session(session || null);
+      if (!record) {
+        throw mergeError(404, 'Merge not found');
+      }
+      if (record.status === 'reversed') {
+        throw mergeError(409, 'This merge has already been reversed');
+      }
+
+      for (const { model, path, ids } of record.moved) {
+        const { Model, embedded = [] } = REFERENCES.find((r) => r.Model.modelName === model && r.path === path);
+        await this._repoint(Model, path, embedded, ids, record.survivor, record.duplicate, session);
+      }
+
+      const [survivor, duplicate] = await Promise.all([
+        Patient.findById(record.survivor).session(session || null),
+        Patient.findById(record.duplicate).session(session || null)
+      ]);
+      const restore = record.filled.filter((f) => same(survivor.toObject()[f.path], f.after));
+      if (restore.length) {
+        // Fields that were empty before the merge are removed again
+        const $set = Object.fromEntries(restore.filter((f) => f.before !== null).map((f) => [f.path, f.before]));
+        const $unset = Object.fromEntries(restore.filter((f) => f.before === null).map((f) => [f.path, '']));
+        await Patient.updateOne({ _id: record.survivor }, { $set, $unset }, sessionOpt);
+      }
+
+      await Patient.updateOne(
+        { _id: record.duplicate },
+        {
+          $set: { status: record.duplicateBefore?.status || 'active', isActive: record.duplicateBefore?.isActive ?? true },
+          $unset: { mergedInto: '' }
+        },
+        sessionOpt
+      );
+
+      record.status = 'reversed';
+      record.reversedAt = new Date();
+      record.reversedBy = userId;
+      record.reversalReason = reason;
+      await record.save(sessionOpt);
+
+      return {
+        record,
+        audit: {
+          userId,
+          action: 'UPDATE',
+          entityType: 'Patient',
+          entityId: record.survivor,
+          description: `Reversed merge of patient ${duplicate?.patientId} into ${survivor.patientId}`,
+          metadata: {
+            merge: record._id,
+            duplicate: record.duplicate,
+            reason,
+            kept: record.filled.filter((f) => !restore.includes(f)).map((f) => f.path)
+          }
+        }
+      };
+    }, 'patient merge reversal');
+
+    await AuditLog.log(audit);
+    return record;
+  }
+
+  // Point the given documents (and their embedded references) from one
+  // patient to another. Only references still naming `from` are changed.
+  async _repoint(Model, path, embedded, ids, from, to, session) {
+    const sessionOpt = session ? { session } : {};
+
+    await Model.updateMany({ _id: { $in: ids }, [path]: from }, { $set: { [path]: to } }, sessionOpt);
+    for (const field of embedded) {
+      await Model.updateMany(
+        { _id: { $in: ids }, [`${field}.patient`]: from },
+        { $set: { [`${field}.$[entry].patient`]: to } },
+        { ...sessionOpt, arrayFilters: [{ 'entry.patient': from }] }
+      );
+    }
+  }
+}
+
+export default new PatientMergeService();
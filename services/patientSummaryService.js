@@ -0,0 +1,363 @@
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import Visit from '../models/Visit.js';
+import IPDRecord from '../models/IPDRecord.js';
+import RadiologyRequest from '../models/RadiologyRequest.js';
+import TheatreProcedure from '../models/TheatreProcedure.js';
+import Invoice from '../models/Invoice.js';
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const OUTSTANDING_STATUSES = ['pending', 'partial', 'overdue'];
+const DISCHARGED_STATUSES = ['discharged', 'transferred', 'deceased', 'absconded'];
+// A visit prescription whose duration cannot be read counts as current for this long
+const OPEN_COURSE_DAYS = 30;
+const DEFAULT_RESULTS = 10;
+const MAX_RESULTS = 50;
+
+const DAY_MS = 86400000;
+const COURSE_UNITS = { day: 1, week: 7, month: 30 };
+
+const summaryError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const name = (user) => (user?.firstName ? `${user.firstName} ${user.lastName}` : undefined);
+const inRange = (date, { start, end }) => !!date && (!start || date >= start) && (!end || date <= end);
+const byDate = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+const newestFirst = (field) => (a, b) => new Date(b[field]) - new Date(a[field]);
+
+// Visits store blood pressure as "120/80"; admissions as numbers
+const splitPressure = (value) => {
+  const match = String(value || '').match(/^\s*(\d+)\s*\/\s*(\d+)/);
+  return match ? { systolic: Number(match[1]), diastolic: Number(match[2]) } : {};
+};
+
+// When a visit prescription's course ends, from a duration such as "5 days"
+const courseEnd = (prescription) => {
+  const start = new Date(prescription.createdAt);
+  const match = String(prescription.duration || '').match(/(\d+)\s*(day|week|month)/i);
+  const days = match ? Number(match[1]) * COURSE_UNITS[match[2].toLowerCase()] : OPEN_COURSE_DAYS;
+  return new Date(start.getTime() + days * DAY_MS);
+};
+
+class PatientSummaryService {
+  /**
+   * Everything a clinician needs about a patient on one page: problems,
+   * allergies, current medications, vital-sign trends, recent lab and
+   * radiology results, surgeries, admissions and what is still owed.
+   *
+   * `from` and `to` (YYYY-MM-DD, clinic time) limit the history; allergies,
+   * current medications and the outstanding balance are always as of now.
+   * `limit` caps the lab and radiology results returned.
+   */
+  async getSummary(patientId, { from, to, limit, now = new Date() } = {}) {
+    if ((from && !DATE.test(from)) || (to && !DATE.test(to)) || (from && to && to < from)) {
+      throw summaryError(400, 'from and to must be YYYY-MM-DD, from first');
+    }
+    const resultLimit = Math.min(Math.max(Number(limit) || DEFAULT_RESULTS, 1), MAX_RESULTS);
+    const range = {
+      start: from ? new Date(`${from}T00:00:00`) : null,
+      end: to ? new Date(`${to}T23:59:59.999`) : null
+    };
+
+    const patient = mongoose.isValidObjectId(patientId)
+      ? await Patient.findById(patientId)
+        .select('patientId firstName middleName lastName dateOfBirth gender bloodType allergies medicalHistory medications status mergedInto')
+        .lean()
+      : null;
+    if (!patient) {
+      throw summaryError(404, 'Patient not found');
+    }
+
+    // Current medications can date from before the range, so visits with
+    // active prescriptions are loaded regardless and the range applied here
+    const visitQuery = { patient: patient._id };
+    if (range.start || range.end) {
+      const visitDate = {};
+      if (range.start) visitDate.$gte = range.start;
+      if (range.end) visitDate.$lte = range.end;
+      visitQuery.$or = [{ visitDate }, { 'prescriptions.isActive': true }];
+    }
+
+    const [visits, admissions, radiologyRequests, procedures, invoices] = await Promise.all([
+      Visit.find(visitQuery)
+        .select('visitId visitDate vitalSigns diagnosis labOrders radiologyOrders prescriptions')
+        .populate('prescriptions.prescribedBy', 'firstName lastName')
+        .lean(),
+      IPDRecord.find({ patient: patient._id })
+        .select('admissionNumber admissionDate dischargeDate status admissionReason diagnosis vitalSigns medications admittingDoctor')
+        .populate('admittingDoctor', 'firstName lastName')
+        .lean(),
+      RadiologyRequest.find({ patient: patient._id, status: 'Completed' })
+        .select('scanType bodyPart findings imageUrl completedAt createdAt visit')
+        .lean(),
+      TheatreProcedure.find({ patient: patient._id, isActive: { $ne: false } })
+        .select('procedureNumber procedure_name procedure_type procedure_date status surgeon completion createdAt')
+        .populate('surgeon', 'firstName lastName')
+        .lean(),
+      Invoice.find({ patient: patient._id, status: { $in: OUTSTANDING_STATUSES }, balanceDue: { $gt: 0 } })
+        .select('invoiceNumber status balanceDue dueDate createdAt')
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+
+    const inPeriod = visits.filter((visit) => inRange(new Date(visit.visitDate), range));
+    // An admission belongs to the period if any part of the stay falls in it
+    const stays = admissions.filter((admission) => (!range.end || new Date(admission.admissionDate) <= range.end)
+      && (!range.start || !admission.dischargeDate || new Date(admission.dischargeDate) >= range.start));
+
+    return {
+      patient: {
+        _id: patient._id,
+        patientId: patient.patientId,
+        name: [patient.firstName, patient.middleName, patient.lastName].filter(Boolean).join(' '),
+        dateOfBirth: patient.dateOfBirth,
+        gender: patient.gender,
+        bloodType: patient.bloodType,
+        status: patient.status,
+        mergedInto: patient.mergedInto
+      },
+      period: { from: from || null, to: to || null },
+      problems: this._problems(inPeriod, stays, range),
+      medicalHistory: patient.medicalHistory || [],
+      allergies: patient.allergies || [],
+      currentMedications: this._currentMedications(patient, visits, admissions, now),
+      vitals: this._vitals(inPeriod, stays, range),
+      labResults: this._labResults(inPeriod).slice(0, resultLimit),
+      radiologyResults: this._radiologyResults(inPeriod, radiologyRequests, range).slice(0, resultLimit),
+      surgeries: procedures
+        .filter((p) => inRange(new Date(p.procedure_date || p.createdAt), range))
+        .map((p) => ({
+          _id: p._id,
+          procedureNumber: p.procedureNumber,
+          name: p.procedure_name,
+          type: p.procedure_type,
+          date: p.procedure_date || p.createdAt,
+          status: p.status,
+          surgeon: name(p.surgeon),
+          outcome: p.completion?.reason,
+          summary: p.completion?.summary
+        }))
+        .sort(newestFirst('date')),
+      admissions: stays
+        .map((a) => ({
+          _id: a._id,
+          admissionNumber: a.admissionNumber,
+          admissionDate: a.admissionDate,
+          dischargeDate: a.dischargeDate,
+          status: a.status,
+          reason: a.admissionReason,
+          doctor: name(a.admittingDoctor)
+        }))
+        .sort(newestFirst('admissionDate')),
+      balance: {
+        outstanding: invoices.reduce((sum, invoice) => sum + invoice.balanceDue, 0),
+        invoices: invoices.map((invoice) => ({
+          _id: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          status: invoice.status,
+          balanceDue: invoice.balanceDue,
+          dueDate: invoice.dueDate
+        }))
+      }
+    };
+  }
+
+  // Diagnoses from visits and admissions, one entry per condition
+  _problems(visits, admissions, range) {
+    const entries = [
+      ...visits.flatMap((visit) => (visit.diagnosis || []).map((d) => ({
+        condition: d.condition,
+        icd10Code: d.icd10Code,
+        isFinal: d.isFinal,
+        date: visit.visitDate,
+        source: 'visit',
+        reference: visit.visitId
+      }))),
+      ...admissions.flatMap((admission) => (admission.diagnosis || [])
+        .filter((d) => inRange(new Date(d.diagnosedDate), range))
+        .map((d) => ({
+          condition: d.condition,
+          isFinal: true,
+          date: d.diagnosedDate,
+          source: 'admission',
+          reference: admission.admissionNumber
+        })))
+    ];
+
+    const problems = new Map();
+    for (const entry of entries.sort(byDate('date'))) {
+      const key = entry.icd10Code || entry.condition.trim().toLowerCase();
+      const problem = problems.get(key) || {
+        condition: entry.condition,
+        icd10Code: entry.icd10Code,
+        firstRecorded: entry.date,
+        occurrences: 0,
+        confirmed: false,
+        sources: []
+      };
+      problem.lastRecorded = entry.date;
+      problem.occurrences += 1;
+      problem.confirmed = problem.confirmed || !!entry.isFinal;
+      problem.sources.push({ type: entry.source, reference: entry.reference, date: entry.date });
+      problems.set(key, problem);
+    }
+    return [...problems.values()].sort(newestFirst('lastRecorded'));
+  }
+
+  /**
+   * What the patient is taking now: the current medications part of the
+   * summary on its own, for prescribing checks.
+   */
+  async currentMedications(patientId, { now = new Date() } = {}) {
+    const [patient, visits, admissions] = await Promise.all([
+      Patient.findById(patientId).select('medications').lean(),
+      Visit.find({ patient: patientId, 'prescriptions.isActive': true })
+        .select('visitId prescriptions')
+        .populate('prescriptions.prescribedBy', 'firstName lastName')
+        .lean(),
+      IPDRecord.find({ patient: patientId, dischargeDate: null, status: { $nin: DISCHARGED_STATUSES } })
+        .select('admissionNumber dischargeDate status medications')
+        .lean()
+    ]);
+
+    return this._currentMedications(patient || {}, visits, admissions, now);
+  }
+
+  // Long-term medications on the record, visit prescriptions whose course
+  // has not run out, and medications on an admission still open
+  _currentMedications(patient, visits, admissions, now) {
+    const longTerm = (patient.medications || [])
+      .filter((m) => m.isActive !== false && (!m.endDate || new Date(m.endDate) >= now))
+      .map((m) => ({
+        medication: m.name,
+        dosage: m.dosage,
+        frequency: m.frequency,
+        startDate: m.startDate,
+        endDate: m.endDate,
+        source: 'record'
+      }));
+
+    const prescribed = visits.flatMap((visit) => (visit.prescriptions || [])
+      .filter((p) => p.isActive !== false && courseEnd(p) >= now)
+      .map((p) => ({
+        _id: p._id,
+        medication: p.medication,
+        medicineId: p.medicineId,
+        dosage: p.dosage,
+        frequency: p.frequency,
+        duration: p.duration,
+        startDate: p.createdAt,
+        endDate: courseEnd(p),
+        status: p.status,
+        prescribedBy: name(p.prescribedBy),
+        source: 'visit',
+        reference: visit.visitId
+      })));
+
+    const inpatient = admissions
+      .filter((a) => !a.dischargeDate && !DISCHARGED_STATUSES.includes(a.status))
+      .flatMap((a) => (a.medications || [])
+        .filter((m) => !m.endDate || new Date(m.endDate) >= now)
+        .map((m) => ({
+          _id: m._id,
+          medication: m.medication,
+          medicineId: m.medicineId,
+          dosage: m.dosage,
+          frequency: m.frequency,
+          startDate: m.startDate,
+          endDate: m.endDate,
+          status: m.status,
+          source: 'admission',
+          reference: a.admissionNumber
+        })));
+
+    return [...longTerm, ...prescribed, ...inpatient].sort(newestFirst('startDate'));
+  }
+
+  // Readings from visits and admissions in one series, oldest first, with
+  // the most recent value of each measure
+  _vitals(visits, admissions, range) {
+    const readings = [
+      ...visits.flatMap((visit) => (visit.vitalSigns || []).map((v) => ({
+        recordedAt: v.recordedAt || v.createdAt || visit.visitDate,
+        source: 'visit',
+        reference: visit.visitId,
+        temperature: v.temperature,
+        ...splitPressure(v.bloodPressure),
+        heartRate: v.heartRate,
+        oxygenSaturation: v.oxygenSaturation,
+        weight: v.weight
+      }))),
+      ...admissions.flatMap((admission) => (admission.vitalSigns || [])
+        .filter((v) => inRange(new Date(v.recordedDate), range))
+        .map((v) => ({
+          recordedAt: v.recordedDate,
+          source: 'admission',
+          reference: admission.admissionNumber,
+          temperature: v.temperature,
+          systolic: v.bloodPressure?.systolic,
+          diastolic: v.bloodPressure?.diastolic,
+          heartRate: v.heartRate,
+          respiratoryRate: v.respiratoryRate,
+          oxygenSaturation: v.oxygenSaturation
+        })))
+    ].sort(byDate('recordedAt'));
+
+    const latest = {};
+    for (const reading of readings) {
+      for (const measure of ['temperature', 'systolic', 'diastolic', 'heartRate', 'respiratoryRate', 'oxygenSaturation', 'weight']) {
+        if (reading[measure] != null) {
+          latest[measure] = { value: reading[measure], recordedAt: reading.recordedAt };
+        }
+      }
+    }
+    return { readings, latest };
+  }
+
+  // Results of the tests ordered on the visits in the period
+  _labResults(visits) {
+    return visits
+      .flatMap((visit) => (visit.labOrders || [])
+        .filter((order) => order.status === 'Completed')
+        .map((order) => ({
+          _id: order._id,
+          testName: order.testName,
+          results: order.results,
+          analyteResults: order.analyteResults,
+          notes: order.notes,
+          completedAt: order.completedAt || order.updatedAt,
+          reference: visit.visitId
+        })))
+      .sort(newestFirst('completedAt'));
+  }
+
+  // Radiology is ordered on visits and, from the radiology desk, as requests;
+  // those are matched to the period by when they were reported
+  _radiologyResults(visits, requests, range) {
+    return [
+      ...visits.flatMap((visit) => (visit.radiologyOrders || [])
+        .filter((order) => order.status === 'Completed')
+        .map((order) => ({
+          _id: order._id,
+          scanType: order.scanType,
+          bodyPart: order.bodyPart,
+          findings: order.findings,
+          completedAt: order.completedAt || order.updatedAt,
+          reference: visit.visitId
+        }))),
+      ...requests.filter((r) => inRange(new Date(r.completedAt || r.createdAt), range)).map((r) => ({
+        _id: r._id,
+        scanType: r.scanType,
+        bodyPart: r.bodyPart,
+        findings: r.findings,
+        imageUrl: r.imageUrl,
+        completedAt: r.completedAt || r.createdAt
+      }))
+    ].sort(newestFirst('completedAt'));
+  }
+}
+
+export default new PatientSummaryService();
@@ -0,0 +1,61 @@
+// services/payers/filePayer.js
+// Writes claims to an outbox directory instead of sending them
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * For payers without an electronic interface, and for development and
+ * tests. Each submission is written as JSON to CLAIMS_OUTBOX_DIR (default
+ * ./claims-outbox), one file per attempt, for staff to send on by hand.
+ */
+class FilePayer {
+  constructor() {
+    this.name = 'file';
+  }
+
+  outboxDir() {
+    return process.env.CLAIMS_OUTBOX_DIR || path.join(process.cwd(), 'claims-outbox');
+  }
+
+  async submit({ claim, provider, patient }) {
+    const attempt = claim.submissions.length + 1;
+    const file = path.join(this.outboxDir(), `${claim.claimNumber}-${attempt}.json`);
+
+    const document = {
+      claimNumber: claim.claimNumber,
+      attempt,
+      payer: { name: provider.name, code: provider.code },
+      policyNumber: claim.policyNumber,
+      planCode: claim.planCode,
+      patient: patient && {
+        patientId: patient.patientId,
+        name: `${patient.firstName} ${patient.lastName}`,
+        dateOfBirth: patient.dateOfBirth,
+      },
+      lines: claim.lines.map((line) => ({
+        lineId: String(line._id),
+        code: line.code,
+        description: line.description,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        claimedAmount: line.claimedAmount,
+      })),
+      claimedAmount: claim.claimedAmount,
+      writtenAt: new Date().toISOString(),
+    };
+
+    await fs.mkdir(this.outboxDir(), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(document, null, 2));
+
+    return { accepted: true, reference: path.basename(file), message: `Claim written to ${file}` };
+  }
+
+  // Local stub: with no payer to ask, the patient record (membership number
+  // and policy dates, checked before any adapter is called) is the answer.
+  async checkEligibility() {
+    return { eligible: true, message: 'Checked against the patient record only' };
+  }
+}
+
+export default new FilePayer();
@@ -0,0 +1,62 @@
+// services/payers/index.js
+// Registry of insurance payer adapters
+
+import nhifPayer from './nhifPayer.js';
+import filePayer from './filePayer.js';
+
+/**
+ * Every adapter exposes the same interface, so claims and eligibility checks
+ * never need to know how a payer is reached:
+ *
+ *   name                      stored on Claim.adapter
+ *   submit(context)           context: { claim, provider, patient, visit }
+ *                             → { accepted, reference, message }
+ *   checkEligibility(input)   input: { provider, patient, membershipNumber }
+ *                             → { eligible, message, reference?, expiryDate?,
+ *                                 error? (true when the payer could not be asked) }
+ *
+ * Submission only hands the claim over. Acknowledgement, adjudication and
+ * remittance are recorded on the claim as the payer reports them.
+ */
+const PAYERS = {
+  [nhifPayer.name]: nhifPayer,
+  [filePayer.name]: filePayer,
+};
+
+export const getPayer = (name) => {
+  const payer = PAYERS[name];
+  if (!payer) {
+    throw new Error(`Unknown claims payer adapter: ${name}`);
+  }
+  return payer;
+};
+
+/**
+ * The adapter for an insurance provider. CLAIMS_PAYER_ADAPTER overrides it
+ * everywhere (e.g. 'file' in development); otherwise providers with an
+ * enabled API integration use their configured adapter and the rest go to
+ * the file outbox.
+ */
+export const payerForProvider = (provider) => {
+  if (process.env.CLAIMS_PAYER_ADAPTER) {
+    return getPayer(process.env.CLAIMS_PAYER_ADAPTER);
+  }
+  const integration = provider.apiIntegration;
+  return getPayer(integration?.enabled ? integration.adapter || nhifPayer.name : filePayer.name);
+};
+
+/**
+ * The adapter that verifies a provider's members. ELIGIBILITY_PAYER_ADAPTER
+ * overrides it everywhere; otherwise providers whose integration supports
+ * eligibility are asked directly and the rest are checked locally.
+ */
+export const eligibilityPayerFor = (provider) => {
+  if (process.env.ELIGIBILITY_PAYER_ADAPTER) {
+    return getPayer(process.env.ELIGIBILITY_PAYER_ADAPTER);
+  }
+  const integration = provider.apiIntegration;
+  const online = integration?.enabled && (integration.supportedOperations || []).includes('eligibility');
+  return getPayer(online ? integration.adapter || nhifPayer.name : filePayer.name);
+};
+
+export default PAYERS;
@@ -0,0 +1,121 @@
+// services/payers/nhifPayer.js
+// Electronic claim submission in the NHIF folio format
+
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+
+const SUBMIT_PATH = '/claimsserver/api/v1/Claims/SubmitFolios';
+const VERIFY_PATH = '/verification/GetCardDetails';
+
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+/**
+ * Build the folio the payer expects for one claim. A folio is the payer's
+ * name for a claim: the member, the attendance, the diagnoses and the items
+ * claimed for.
+ */
+export const buildFolio = ({ claim, provider, patient, visit }) => {
+  const attended = visit?.visitDate || claim.createdAt || new Date();
+
+  return {
+    FacilityCode: provider.billingInfo?.payerId || process.env.CLAIMS_FACILITY_CODE,
+    ClaimYear: new Date(attended).getFullYear(),
+    ClaimMonth: new Date(attended).getMonth() + 1,
+    FolioNo: claim.claimNumber,
+    SerialNo: claim.claimNumber,
+    CardNo: claim.policyNumber,
+    SchemeCode: claim.planCode,
+    FirstName: patient?.firstName,
+    LastName: patient?.lastName,
+    Gender: patient?.gender,
+    DateOfBirth: isoDate(patient?.dateOfBirth),
+    PatientFileNo: patient?.patientId,
+    AttendanceDate: isoDate(attended),
+    PatientTypeCode: 'OUT',
+    CreatedBy: String(claim.createdBy),
+    DateCreated: isoDate(claim.createdAt || new Date()),
+    FolioDiseases: (visit?.diagnosis || [])
+      .filter((d) => d.icd10Code)
+      .map((d) => ({ DiseaseCode: d.icd10Code, Remarks: d.condition })),
+    FolioItems: claim.lines.map((line) => ({
+      ItemCode: line.code || line.type,
+      ItemName: line.description,
+      ItemQuantity: line.quantity,
+      UnitPrice: line.unitPrice,
+      AmountClaimed: line.claimedAmount,
+    })),
+  };
+};
+
+class NhifPayer {
+  constructor() {
+    this.name = 'nhif';
+  }
+
+  /**
+   * Post the folio. The payer only validates and queues it here; the
+   * adjudication comes back later, so an accepted claim is 'submitted'.
+   */
+  async submit(context) {
+    const { provider } = context;
+    const endpoint = provider.apiIntegration?.apiEndpoint;
+    if (!endpoint) {
+      return { accepted: false, message: `${provider.name} has no claims endpoint configured` };
+    }
+
+    try {
+      const response = await axios.post(
+        `${endpoint.replace(/\/$/, '')}${SUBMIT_PATH}`,
+        { entities: [buildFolio(context)] },
+        {
+          headers: { Authorization: `Bearer ${provider.apiIntegration.apiKey}` },
+          timeout: 20000,
+        }
+      );
+
+      return {
+        accepted: true,
+        reference: response.data?.ClaimReference || response.data?.FolioNo || context.claim.claimNumber,
+        message: response.data?.Message || 'Claim received by payer',
+      };
+    } catch (error) {
+      const message = error.response?.data?.Message || error.response?.data?.message || error.message;
+      logger.error(`NHIF claim submission error: ${message}`);
+      return { accepted: false, message };
+    }
+  }
+
+  /**
+   * Look the member's card up with the payer. Only an 'Active' card is
+   * eligible; the payer's remarks explain any other status.
+   */
+  async checkEligibility({ provider, membershipNumber }) {
+    const endpoint = provider.apiIntegration?.apiEndpoint;
+    if (!endpoint) {
+      return { eligible: false, error: true, message: `${provider.name} has no verification endpoint configured` };
+    }
+
+    try {
+      const response = await axios.get(`${endpoint.replace(/\/$/, '')}${VERIFY_PATH}`, {
+        params: { CardNo: membershipNumber },
+        headers: { Authorization: `Bearer ${provider.apiIntegration.apiKey}` },
+        timeout: 10000,
+      });
+
+      const card = response.data || {};
+      const eligible = String(card.CardStatus).toLowerCase() === 'active';
+      return {
+        eligible,
+        message: card.Remarks || `Card status: ${card.CardStatus || 'unknown'}`,
+        reference: card.AuthorizationNo,
+        expiryDate: card.ExpiryDate,
+      };
+    } catch (error) {
+      const message = error.response?.data?.Message || error.response?.data?.message || error.message;
+      logger.error(`NHIF eligibility check error: ${message}`);
+      return { eligible: false, error: true, message };
+    }
+  }
+}
+
+export default new NhifPayer();
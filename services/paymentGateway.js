@@ -20,11 +20,15 @@ const getStripe = () => {
 
 class PaymentGatewayService {
   /**
-   * Create a payment intent for card payments
+   * Create a payment intent for card payments.
+   *
+   * With `options.paymentMethodId` the intent is confirmed immediately, so a
+   * card the client has already tokenised is charged in this call. Without it
+   * the intent waits for the client to confirm it using the returned secret.
    */
-  async createPaymentIntent(amount, currency = 'usd', metadata = {}) {
+  async createPaymentIntent(amount, currency = 'usd', metadata = {}, options = {}) {
     try {
-      const paymentIntent = await getStripe().paymentIntents.create({
+      const params = {
         amount: Math.round(amount * 100), // Convert to cents
         currency,
         automatic_payment_methods: {
@@ -34,12 +38,24 @@ class PaymentGatewayService {
           ...metadata,
           timestamp: new Date().toISOString()
         }
+      };
+
+      if (options.paymentMethodId) {
+        params.payment_method = options.paymentMethodId;
+        params.confirm = true;
+        // A server-side confirmation has nowhere to send a redirect.
+        params.automatic_payment_methods.allow_redirects = 'never';
+      }
+
+      const paymentIntent = await getStripe().paymentIntents.create(params, {
+        idempotencyKey: options.idempotencyKey
       });
 
       return {
         success: true,
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status,
         amount: paymentIntent.amount / 100
       };
     } catch (error) {
@@ -195,7 +211,12 @@ class PaymentGatewayService {
   }
 
   /**
-   * Create a payment link for invoice payments
+   * Create a payment link for invoice payments.
+   *
+   * A link can be paid once. With `invoiceData.paymentNumber` the payment
+   * intent carries it, so the webhook can settle the Payment recorded under
+   * that number; `invoiceData.successUrl` replaces the staff billing page the
+   * patient is sent back to.
    */
   async createPaymentLink(invoiceData) {
     try {
@@ -215,10 +236,16 @@ class PaymentGatewayService {
           invoiceId: invoiceData.invoiceId,
           patientId: invoiceData.patientId
         },
+        ...(invoiceData.paymentNumber && {
+          payment_intent_data: {
+            metadata: { invoiceId: invoiceData.invoiceId, paymentNumber: invoiceData.paymentNumber }
+          }
+        }),
+        restrictions: { completed_sessions: { limit: 1 } },
         after_completion: {
           type: 'redirect',
           redirect: {
-            url: `${process.env.FRONTEND_URL}/billing/payment-success?invoice=${invoiceData.invoiceId}`
+            url: invoiceData.successUrl || `${process.env.FRONTEND_URL}/billing/payment-success?invoice=${invoiceData.invoiceId}`
           }
         }
       });
@@ -255,40 +282,57 @@ class PaymentGatewayService {
   }
 
   /**
-   * Handle webhook events
+   * Translate a verified webhook event into what it means for our records.
+   *
+   * This only reads the event; billingService.reconcileStripeEvent() applies
+   * the result to Payment, Invoice and Visit. Amounts are converted back from
+   * cents.
+   *
+   * @returns {{ action: string, transactionId?: string, reference?: string, amount?: number,
+   *   amountRefunded?: number, refundId?: string, message?: string, details?: object }}
    */
-  async handleWebhookEvent(event) {
-    try {
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          // Handle successful payment
-          logger.info('Payment succeeded:', event.data.object.id);
-          return { success: true, action: 'payment_completed' };
+  handleWebhookEvent(event) {
+    const object = event.data.object;
 
-        case 'payment_intent.payment_failed':
-          // Handle failed payment
-          logger.error('Payment failed:', event.data.object.id);
-          return { success: true, action: 'payment_failed' };
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return {
+          action: 'payment_completed',
+          transactionId: object.id,
+          // Set on payments made through a payment link (createPaymentLink)
+          reference: object.metadata?.paymentNumber,
+          amount: object.amount_received / 100,
+          message: 'Payment succeeded',
+          details: { intentStatus: object.status, chargeId: object.latest_charge, eventId: event.id }
+        };
 
-        case 'charge.refunded':
-          // Handle refund
-          logger.info('Refund processed:', event.data.object.id);
-          return { success: true, action: 'refund_processed' };
+      case 'payment_intent.payment_failed':
+        return {
+          action: 'payment_failed',
+          transactionId: object.id,
+          reference: object.metadata?.paymentNumber,
+          message: object.last_payment_error?.message || 'Payment failed',
+          details: {
+            intentStatus: object.status,
+            declineCode: object.last_payment_error?.decline_code,
+            eventId: event.id
+          }
+        };
 
-        case 'customer.subscription.created':
-        case 'customer.subscription.updated':
-        case 'customer.subscription.deleted':
-          // Handle subscription events
-          logger.info(`Subscription ${event.type}:`, event.data.object.id);
-          return { success: true, action: 'subscription_updated' };
+      case 'charge.refunded':
+        return {
+          action: 'refund_processed',
+          transactionId: object.payment_intent,
+          // Cumulative across every refund of the charge, which is what makes
+          // replaying the event harmless.
+          amountRefunded: object.amount_refunded / 100,
+          refundId: object.refunds?.data?.[0]?.id,
+          details: { chargeId: object.id, eventId: event.id }
+        };
 
-        default:
-          logger.info('Unhandled webhook event type:', event.type);
-          return { success: true, action: 'unhandled' };
-      }
-    } catch (error) {
-      logger.error('Webhook handling error:', error);
-      return { success: false, error: error.message };
+      default:
+        logger.info(`Unhandled Stripe webhook event type: ${event.type}`);
+        return { action: 'unhandled' };
     }
   }
 }
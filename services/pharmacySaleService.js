@@ -0,0 +1,449 @@
+import mongoose from 'mongoose';
+import DirectDispensing, { SALE_PAYMENT_METHODS } from '../models/DirectDispensing.js';
+import PharmacyShift from '../models/PharmacyShift.js';
+import Payment from '../models/Payment.js';
+import { Medicine } from '../models/Medicine.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import pricingService from './pricingService.js';
+import storeService from './storeService.js';
+import { deductFromBatches } from '../utils/deductStock.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import logger from '../utils/logger.js';
+
+const saleError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const byMethod = () => Object.fromEntries(SALE_PAYMENT_METHODS.map((method) => [method, 0]));
+
+const addPayments = (totals, payments) => {
+  for (const payment of payments || []) {
+    totals[payment.method] = (totals[payment.method] || 0) + payment.amount;
+  }
+  return totals;
+};
+
+class PharmacySaleService {
+  /**
+   * Cash price of a medicine at the pharmacy counter: the pharmacy price
+   * list, else the catalogue price.
+   */
+  async price(medicine, date = new Date()) {
+    const resolved = await pricingService.resolvePrice({
+      itemType: 'medicine',
+      name: medicine.name,
+      item: medicine._id,
+      channel: 'pharmacy',
+      date,
+      fallback: medicine.sellingPrice
+    });
+    return resolved?.price ?? medicine.sellingPrice ?? 0;
+  }
+
+  async currentShift(cashierId) {
+    return PharmacyShift.findOne({ cashier: cashierId, status: 'open' });
+  }
+
+  async openShift(cashierId, { openingFloat = 0, now = new Date() } = {}) {
+    const float = Number(openingFloat);
+    if (!Number.isFinite(float) || float < 0) {
+      throw saleError(400, 'The opening float must be a positive amount');
+    }
+    if (await this.currentShift(cashierId)) {
+      throw saleError(409, 'You already have an open shift');
+    }
+    return PharmacyShift.create({ cashier: cashierId, openedAt: now, openingFloat: float });
+  }
+
+  // Lines priced from the catalogue and the pharmacy price list; what the
+  // client sends as a price is ignored.
+  async _priceLines(items, now) {
+    if (!Array.isArray(items) || !items.length) {
+      throw saleError(400, 'A sale needs at least one medicine');
+    }
+
+    const problems = [];
+    const ids = items.map((item) => item.medicine).filter((id) => mongoose.isValidObjectId(id));
+    const medicines = await Medicine.find({ _id: { $in: ids } });
+
+    const lines = [];
+    for (const [index, item] of items.entries()) {
+      const medicine = medicines.find((m) => String(m._id) === String(item.medicine));
+      const quantity = Number(item.quantity ?? item.qty);
+      if (!medicine) {
+        problems.push({ line: index + 1, message: 'Medicine not found' });
+        continue;
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        problems.push({ line: index + 1, message: `Quantity of ${medicine.name} must be a whole number above zero` });
+        continue;
+      }
+      const price = await this.price(medicine, now);
+      lines.push({ medicine: medicine._id, name: medicine.name, qty: quantity, price, total: price * quantity });
+    }
+
+    if (problems.length) {
+      throw saleError(400, 'Some lines could not be sold', problems);
+    }
+    return lines;
+  }
+
+  // Stock on sale for each medicine at the dispensing point, checked before
+  // anything is taken so that a sale without a transaction does not fail
+  // half-way
+  async _checkStock(lines, location, now) {
+    const wanted = new Map();
+    for (const line of lines) {
+      const key = String(line.medicine);
+      wanted.set(key, { name: line.name, quantity: (wanted.get(key)?.quantity || 0) + line.qty });
+    }
+
+    const shortages = [];
+    for (const [medicine, { name, quantity }] of wanted) {
+      const batches = await MedicineBatch.find({
+        medicine,
+        status: 'active',
+        quantityRemaining: { $gt: 0 },
+        expiryDate: { $gt: now },
+        ...(location && { location })
+      }).select('quantityRemaining');
+      const available = batches.reduce((sum, batch) => sum + batch.quantityRemaining, 0);
+      if (available < quantity) {
+        shortages.push({ medicine, name, wanted: quantity, available });
+      }
+    }
+
+    if (shortages.length) {
+      throw saleError(409, `Not enough stock: ${shortages.map((s) => `${s.name} (${s.available} of ${s.wanted})`).join(', ')}`, shortages);
+    }
+  }
+
+  // Cash can be more than is owed and change is given; card and mobile
+  // money cannot.
+  _settle(total, payments) {
+    if (!Array.isArray(payments) || !payments.length) {
+      throw saleError(400, 'Record how the sale was paid');
+    }
+
+    const tendered = byMethod();
+    const references = {};
+    for (const payment of payments) {
+      const amount = Number(payment.amount);
+      if (!SALE_PAYMENT_METHODS.includes(payment.method)) {
+        throw saleError(400, `Payment method must be one of: ${SALE_PAYMENT_METHODS.join(', ')}`);
+      }
+      if (!Number.isFinite(amount) || amount <= 0) {
+        throw saleError(400, 'Each payment needs an amount above zero');
+      }
+      if (payment.method !== 'cash' && !String(payment.reference || '').trim()) {
+        throw saleError(400, `A reference is required for ${payment.method.replace('_', ' ')} payments`);
+      }
+      tendered[payment.method] += amount;
+      if (payment.reference) {
+        references[payment.method] = [references[payment.method], String(payment.reference).trim()].filter(Boolean).join(', ');
+      }
+    }
+
+    const nonCash = SALE_PAYMENT_METHODS.filter((m) => m !== 'cash').reduce((sum, m) => sum + tendered[m], 0);
+    const amountTendered = nonCash + tendered.cash;
+    if (nonCash > total) {
+      throw saleError(400, 'Card and mobile money payments cannot be more than the sale total');
+    }
+    if (amountTendered < total) {
+      throw saleError(400, `Payments are short by ${total - amountTendered}`);
+    }
+
+    const change = amountTendered - total;
+    const applied = SALE_PAYMENT_METHODS
+      .map((method) => ({
+        method,
+        amount: method === 'cash' ? tendered.cash - change : tendered[method],
+        reference: references[method]
+      }))
+      .filter((p) => p.amount > 0);
+
+    return { applied, amountTendered, change };
+  }
+
+  async _restock(batchId, quantity, session) {
+    return MedicineBatch.findOneAndUpdate(
+      { _id: batchId },
+      [{
+        $set: {
+          quantityRemaining: { $add: ['$quantityRemaining', quantity] },
+          status: { $cond: [{ $eq: ['$status', 'depleted'] }, 'active', '$status'] }
+        }
+      }],
+      { new: true, ...(session ? { session } : {}) }
+    );
+  }
+
+  /**
+   * Sell medicines over the counter on the cashier's open shift: price the
+   * lines, take the stock oldest expiry first, record a Payment for each
+   * method used, and number the receipt. All in one transaction where the
+   * deployment supports it.
+   *
+   * `items` are [{ medicine, quantity }]; `payments` [{ method, amount,
+   * reference }].
+   */
+  async createSale({ clientName, patient, items, payments, cashierId, now = new Date() }) {
+    const shift = await this.currentShift(cashierId);
+    if (!shift) {
+      throw saleError(409, 'Open a shift before selling');
+    }
+
+    const lines = await this._priceLines(items, now);
+    const totalCost = lines.reduce((sum, line) => sum + line.total, 0);
+    const { applied, amountTendered, change } = this._settle(totalCost, payments);
+    const location = await storeService.dispensingLocation();
+    await this._checkStock(lines, location, now);
+
+    const sale = await withTransaction(async (session) => {
+      const sessionOpt = session ? { session } : {};
+      const receiptNumber = await DirectDispensing.generateReceiptNumber(session, now);
+      const sale = new DirectDispensing({
+        receiptNumber,
+        clientName: String(clientName || '').trim() || 'Walk-in customer',
+        patient: mongoose.isValidObjectId(patient) ? patient : undefined,
+        totalCost,
+        amountTendered,
+        change,
+        cashier: cashierId,
+        shift: shift._id,
+        date: now
+      });
+
+      const taken = [];
+      try {
+        for (const line of lines) {
+          const result = await deductFromBatches({
+            medicineId: line.medicine,
+            quantity: line.qty,
+            reason: `Counter sale ${receiptNumber}`,
+            patient: sale.patient,
+            performedBy: cashierId,
+            session,
+            location
+          });
+          line.batches = result.movements.map((movement, index) => ({
+            batch: movement.batch,
+            batchNumber: result.batchesUsed[index].batchNumber,
+            quantity: movement.quantity
+          }));
+          taken.push(...line.batches);
+          if (result.remaining > 0) {
+            throw saleError(409, `Not enough stock of ${line.name}: it was sold elsewhere while this sale was being made`);
+          }
+        }
+      } catch (error) {
+        // Without a transaction nothing rolls back by itself
+        if (!session) {
+          for (const entry of taken) await this._restock(entry.batch, entry.quantity);
+        }
+        throw error;
+      }
+      sale.medicines = lines;
+
+      for (const payment of applied) {
+        const [record] = await Payment.create([{
+          paymentNumber: await Payment.generatePaymentNumber(session),
+          sale: sale._id,
+          patient: sale.patient,
+          amount: payment.amount,
+          method: payment.method,
+          status: 'completed',
+          gateway: payment.method === 'cash' ? undefined : 'manual',
+          transactionId: payment.reference,
+          processedBy: cashierId,
+          paymentDate: now,
+          receiptNumber
+        }], sessionOpt);
+        sale.payments.push({ ...payment, payment: record._id });
+      }
+
+      await sale.save(sessionOpt);
+      return sale;
+    }, 'counter sale');
+
+    logger.info(`Counter sale ${sale.receiptNumber}: ${lines.length} line(s), ${totalCost} taken on shift ${shift._id}`);
+    return sale;
+  }
+
+  /**
+   * Void a sale: return its stock to the batches it came from, mark its
+   * payments refunded and take the refund from the voiding user's shift.
+   */
+  async voidSale(saleId, { reason, userId, now = new Date() }) {
+    if (!String(reason || '').trim()) {
+      throw saleError(400, 'A reason for voiding the sale is required');
+    }
+    const sale = mongoose.isValidObjectId(saleId) ? await DirectDispensing.findById(saleId) : null;
+    if (!sale) {
+      throw saleError(404, 'Sale not found');
+    }
+    if (sale.status === 'voided') {
+      throw saleError(409, `Sale ${sale.receiptNumber} is already voided`);
+    }
+    if (!sale.receiptNumber) {
+      throw saleError(409, 'This sale was recorded before receipts were issued and cannot be voided here');
+    }
+    const shift = await this.currentShift(userId);
+    if (!shift) {
+      throw saleError(409, 'Open a shift to refund the sale from');
+    }
+
+    let voided;
+    await withTransaction(async (session) => {
+      const sessionOpt = session ? { session } : {};
+
+      // Claim the void before touching stock so a second void of the same
+      // sale, racing this one, restocks and refunds nothing
+      voided = await DirectDispensing.findOneAndUpdate(
+        { _id: sale._id, status: { $ne: 'voided' } },
+        { $set: {
+          status: 'voided',
+          voidedAt: now,
+          voidedBy: userId,
+          voidShift: shift._id,
+          voidReason: String(reason).trim()
+        } },
+        { new: true, ...sessionOpt }
+      );
+      if (!voided) {
+        throw saleError(409, `Sale ${sale.receiptNumber} is already voided`);
+      }
+
+      for (const line of voided.medicines) {
+        for (const entry of line.batches || []) {
+          const batch = await this._restock(entry.batch, entry.quantity, session);
+          await StockMovement.create([{
+            medicine: line.medicine,
+            batch: entry.batch,
+            type: 'IN',
+            quantity: entry.quantity,
+            reason: `Void of counter sale ${voided.receiptNumber}: ${reason}`,
+            patient: voided.patient,
+            location: batch?.location,
+            performedBy: userId
+          }], sessionOpt);
+        }
+      }
+
+      const payments = await Payment.find({ sale: voided._id, status: 'completed' }).session(session || null);
+      for (const payment of payments) {
+        payment.status = 'refunded';
+        payment.refundDetails = {
+          refundedAmount: payment.amount,
+          refundReason: reason,
+          refundedAt: now,
+          refundedBy: userId
+        };
+        await payment.save(sessionOpt);
+      }
+    }, 'counter sale void');
+
+    logger.info(`Counter sale ${voided.receiptNumber} voided: ${reason}`);
+    return voided;
+  }
+
+  /**
+   * What a shift took by payment method, what it refunded, and the cash
+   * that should be in the drawer: the float plus cash taken less cash
+   * refunded. Sales voided later still count as taken on their shift; the
+   * refund counts on the shift it was paid out from.
+   */
+  async shiftReport(shift) {
+    const [sales, refunds] = await Promise.all([
+      DirectDispensing.find({ shift: shift._id }).select('totalCost status payments').lean(),
+      DirectDispensing.find({ voidShift: shift._id }).select('receiptNumber totalCost payments voidReason').lean()
+    ]);
+
+    const taken = sales.reduce((totals, sale) => addPayments(totals, sale.payments), byMethod());
+    const refunded = refunds.reduce((totals, sale) => addPayments(totals, sale.payments), byMethod());
+    const expectedCash = (shift.openingFloat || 0) + taken.cash - refunded.cash;
+    const counted = shift.countedCash ?? null;
+
+    return {
+      shift: {
+        _id: shift._id,
+        cashier: shift.cashier,
+        status: shift.status,
+        openedAt: shift.openedAt,
+        closedAt: shift.closedAt || null
+      },
+      sales: {
+        count: sales.length,
+        voided: sales.filter((sale) => sale.status === 'voided').length,
+        total: sales.reduce((sum, sale) => sum + sale.totalCost, 0)
+      },
+      taken,
+      refunds: {
+        count: refunds.length,
+        byMethod: refunded,
+        sales: refunds.map((sale) => ({ receiptNumber: sale.receiptNumber, total: sale.totalCost, reason: sale.voidReason }))
+      },
+      net: Object.fromEntries(SALE_PAYMENT_METHODS.map((method) => [method, taken[method] - refunded[method]])),
+      openingFloat: shift.openingFloat || 0,
+      expectedCash,
+      countedCash: counted,
+      variance: counted === null ? null : counted - expectedCash
+    };
+  }
+
+  /**
+   * Close a shift with the cash counted in the drawer, keeping the
+   * expected amount and the variance on it.
+   *
+   * Returns the cash-up report.
+   */
+  async closeShift(shift, { countedCash, notes, userId, now = new Date() }) {
+    if (shift.status === 'closed') {
+      throw saleError(409, 'This shift is already closed');
+    }
+    const counted = Number(countedCash);
+    if (countedCash === undefined || countedCash === null || countedCash === '' || !Number.isFinite(counted) || counted < 0) {
+      throw saleError(400, 'Count the cash in the drawer and enter the amount');
+    }
+
+    const { expectedCash } = await this.shiftReport(shift);
+    shift.status = 'closed';
+    shift.closedAt = now;
+    shift.closedBy = userId;
+    shift.countedCash = counted;
+    shift.expectedCash = expectedCash;
+    shift.variance = counted - expectedCash;
+    if (notes) shift.notes = notes;
+    await shift.save();
+
+    logger.info(`Pharmacy shift ${shift._id} closed: expected ${expectedCash}, counted ${counted}`);
+    return this.shiftReport(shift);
+  }
+
+  /**
+   * A sale laid out for printing.
+   */
+  async receipt(sale) {
+    await sale.populate('cashier', 'firstName lastName');
+
+    return {
+      receiptNumber: sale.receiptNumber,
+      date: sale.date,
+      clientName: sale.clientName,
+      cashier: sale.cashier?.firstName ? `${sale.cashier.firstName} ${sale.cashier.lastName}` : null,
+      items: sale.medicines.map((line) => ({ name: line.name, quantity: line.qty, unitPrice: line.price, total: line.total })),
+      total: sale.totalCost,
+      payments: sale.payments.map(({ method, amount, reference }) => ({ method, amount, reference })),
+      amountTendered: sale.amountTendered,
+      change: sale.change,
+      status: sale.status,
+      ...(sale.status === 'voided' && { voidedAt: sale.voidedAt, voidReason: sale.voidReason })
+    };
+  }
+}
+
+export default new PharmacySaleService();
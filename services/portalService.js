@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import scheduleService, { localDate, toTime } from './scheduleService.js';
+import paymentGatewayService from './paymentGateway.js';
+import { sendSms } from './sms/index.js';
+import { normalisePhone } from './gateways/mobileMoneyGateway.js';
+import sendEmail from '../utils/sendEmail.js';
+import { getEmailTemplate } from '../utils/emailTemplates.js';
+import logger from '../utils/logger.js';
+
+const CODE_MINUTES = Number(process.env.PORTAL_OTP_MINUTES) || 10;
+const MAX_ATTEMPTS = 5;
+// A new code is not sent within a minute of the last one
+const RESEND_MS = 60000;
+// How many upcoming appointments a patient can hold at once from the portal
+const MAX_OPEN_APPOINTMENTS = Number(process.env.PORTAL_MAX_OPEN_APPOINTMENTS) || 3;
+
+// Emergencies are booked by staff
+export const PORTAL_APPOINTMENT_TYPES = ['consultation', 'follow-up', 'routine'];
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+const PAYABLE_STATUSES = ['pending', 'partial', 'overdue'];
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+const countryCode = () => process.env.SMS_COUNTRY_CODE || process.env.MOBILE_MONEY_COUNTRY_CODE || '255';
+
+const portalError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PortalService {
+  /**
+   * The patient with this hospital number, if the phone number or email
+   * address given is the one on their record and they may use the portal.
+   * Phone numbers are shared within families, so the hospital number is what
+   * picks the patient.
+   */
+  async _findPatient(patientId, contact) {
+    if (!patientId || !contact) return null;
+
+    const patient = await Patient.findOne({ patientId: String(patientId).trim() }).select('+portal.otpHash');
+    if (!patient || !patient.isActive || patient.portal?.disabled) return null;
+
+    const value = String(contact).trim();
+    if (value.includes('@')) {
+      return patient.email && patient.email === value.toLowerCase() ? { patient, channel: 'email' } : null;
+    }
+    const number = normalisePhone(value, countryCode());
+    return number && number === normalisePhone(patient.phone, countryCode()) ? { patient, channel: 'sms' } : null;
+  }
+
+  async _deliverCode(patient, channel, code) {
+    const clinicName = process.env.CLINIC_NAME || 'Segese Medical Clinic';
+
+    if (channel === 'sms') {
+      const result = await sendSms({
+        to: patient.phone,
+        text: `${clinicName}: your patient portal code is ${code}. It expires in ${CODE_MINUTES} minutes.`,
+        reference: `${patient.patientId}-portal`
+      });
+      return result.sent;
+    }
+
+    try {
+      await sendEmail({
+        email: patient.email,
+        subject: `Your sign-in code - ${clinicName}`,
+        html: getEmailTemplate('portalCode', {
+          hospitalName: clinicName,
+          patientName: `${patient.firstName} ${patient.lastName}`,
+          code,
+          minutes: CODE_MINUTES
+        })
+      });
+      return true;
+    } catch (error) {
+      logger.error('Portal code email error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a one-time sign-in code to the phone or email the patient gave, if
+   * it matches their record. The caller is told the same thing either way,
+   * so the portal cannot be used to find out who is registered.
+   */
+  async requestCode({ patientId, contact }, { now = new Date() } = {}) {
+    const found = await this._findPatient(patientId, contact);
+    if (!found) {
+      logger.info(`Portal code requested for unmatched patient ${patientId}`);
+      return { sent: false };
+    }
+
+    const { patient, channel } = found;
+    if (patient.portal?.otpSentAt && now - patient.portal.otpSentAt < RESEND_MS) {
+      return { sent: false };
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await Patient.updateOne({ _id: patient._id }, {
+      $set: {
+        'portal.otpHash': hashCode(code),
+        'portal.otpExpire': new Date(now.getTime() + CODE_MINUTES * 60000),
+        'portal.otpSentAt': now,
+        'portal.otpAttempts': 0
+      }
+    });
+
+    const sent = await this._deliverCode(patient, channel, code);
+    return { sent, channel };
+  }
+
+  /**
+   * Exchange a sign-in code for a portal token. Each code works once, and
+   * is thrown away after MAX_ATTEMPTS wrong guesses.
+   *
+   * Returns { patient, token }.
+   */
+  async verifyCode({ patientId, contact, code }, { now = new Date() } = {}) {
+    const found = await this._findPatient(patientId, contact);
+    const portal = found?.patient.portal;
+    if (!portal?.otpHash || !portal.otpExpire || portal.otpExpire <= now) {
+      throw portalError(401, 'The code is invalid or has expired');
+    }
+
+    const { patient } = found;
+    // Counted before comparing, so parallel guesses still use up attempts
+    const counted = await Patient.findOneAndUpdate(
+      { _id: patient._id, 'portal.otpHash': portal.otpHash, 'portal.otpAttempts': { $lt: MAX_ATTEMPTS } },
+      { $inc: { 'portal.otpAttempts': 1 } },
+      { new: true }
+    );
+    if (!counted) {
+      throw portalError(401, 'Too many attempts. Request a new code.');
+    }
+
+    if (!sameHash(hashCode(String(code || '').trim()), portal.otpHash)) {
+      if (counted.portal.otpAttempts >= MAX_ATTEMPTS) {
+        await Patient.updateOne({ _id: patient._id }, { $unset: { 'portal.otpHash': '', 'portal.otpExpire': '' } });
+      }
+      throw portalError(401, 'The code is invalid or has expired');
+    }
+
+    const used = await Patient.updateOne(
+      { _id: patient._id, 'portal.otpHash': portal.otpHash },
+      { $unset: { 'portal.otpHash': '', 'portal.otpExpire': '' }, $set: { 'portal.lastLoginAt': now, 'portal.otpAttempts': 0 } }
+    );
+    if (!used.modifiedCount) {
+      throw portalError(401, 'The code is invalid or has expired');
+    }
+
+    logger.info(`Patient ${patient.patientId} signed in to the portal`);
+    return { patient, token: patient.getPortalToken() };
+  }
+
+  /**
+   * Book one of a doctor's free slots for the signed-in patient. Only times
+   * the doctor's schedule offers can be booked from the portal.
+   */
+  async bookAppointment(patient, { doctorId, date, time, type = 'consultation', reason }, { now = new Date() } = {}) {
+    if (!mongoose.isValidObjectId(doctorId) || !DATE.test(date || '') || !TIME.test(time || '') || !reason) {
+      throw portalError(400, 'A doctor, a date (YYYY-MM-DD), a time (HH:MM) and a reason are required');
+    }
+    if (!PORTAL_APPOINTMENT_TYPES.includes(type)) {
+      throw portalError(400, `type must be one of ${PORTAL_APPOINTMENT_TYPES.join(', ')}`);
+    }
+
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+    if (!doctor) {
+      throw portalError(404, 'Doctor not found');
+    }
+
+    const open = await Appointment.countDocuments({
+      patient: patient._id,
+      status: { $in: OPEN_STATUSES },
+      appointmentDate: { $gte: localDate(now) }
+    });
+    if (open >= MAX_OPEN_APPOINTMENTS) {
+      throw portalError(409, `You already have ${open} upcoming appointments. Cancel one to book another.`);
+    }
+
+    const { duration, days } = await scheduleService.getAvailability(doctorId, { from: date, now });
+    if (!days[0].slots.some((slot) => slot.time === time)) {
+      throw portalError(409, `${time} on ${date} is not available. Choose another time.`);
+    }
+    await scheduleService.assertBookable({ doctor: doctorId, date, time, duration, type });
+
+    const appointment = await Appointment.create({
+      patient: patient._id,
+      doctor: doctorId,
+      appointmentDate: date,
+      appointmentTime: time,
+      duration,
+      type,
+      reason,
+      bookedVia: 'portal'
+    });
+
+    logger.info(`Patient ${patient.patientId} booked appointment ${appointment.appointmentId} from the portal`);
+    return appointment;
+  }
+
+  /**
+   * Cancel one of the patient's own appointments that has not started yet.
+   */
+  async cancelAppointment(patient, appointmentId, { now = new Date() } = {}) {
+    const appointment = mongoose.isValidObjectId(appointmentId)
+      ? await Appointment.findOne({ _id: appointmentId, patient: patient._id })
+      : null;
+    if (!appointment) {
+      throw portalError(404, 'Appointment not found');
+    }
+    if (!OPEN_STATUSES.includes(appointment.status)) {
+      throw portalError(409, `A ${appointment.status} appointment cannot be cancelled`);
+    }
+    // Both in clinic time, so they compare as strings
+    const startsAt = `${appointment.appointmentDate}T${appointment.appointmentTime}`;
+    if (startsAt <= `${localDate(now)}T${toTime(now.getHours() * 60 + now.getMinutes())}`) {
+      throw portalError(409, 'An appointment that has started cannot be cancelled online');
+    }
+
+    appointment.status = 'cancelled';
+    await appointment.save();
+    return appointment;
+  }
+
+  /**
+   * A Stripe payment link for what is left to pay on one of the patient's
+   * invoices. The payment is recorded as processing under the number the
+   * link carries, and settled by the Stripe webhook once the patient pays.
+   * Asking again for the same balance returns the same link.
+   */
+  async paymentLink(patient, invoiceId) {
+    const invoice = mongoose.isValidObjectId(invoiceId)
+      ? await Invoice.findOne({ _id: invoiceId, patient: patient._id })
+      : null;
+    if (!invoice) {
+      throw portalError(404, 'Invoice not found');
+    }
+    if (!PAYABLE_STATUSES.includes(invoice.status) || !(invoice.balanceDue > 0)) {
+      throw portalError(409, 'This invoice has nothing left to pay');
+    }
+
+    const pending = await Payment.findOne({
+      invoice: invoice._id,
+      method: 'online',
+      gateway: 'stripe',
+      status: 'processing',
+      amount: invoice.balanceDue
+    });
+    if (pending?.metadata?.get('paymentUrl')) {
+      return { paymentNumber: pending.paymentNumber, amount: pending.amount, paymentUrl: pending.metadata.get('paymentUrl') };
+    }
+
+    const paymentNumber = await Payment.generatePaymentNumber();
+    const link = await paymentGatewayService.createPaymentLink({
+      invoiceId: String(invoice._id),
+      patientId: String(patient._id),
+      paymentNumber,
+      items: [{
+        description: `Invoice ${invoice.invoiceNumber}`,
+        type: 'balance due',
+        unitPrice: invoice.balanceDue,
+        quantity: 1
+      }],
+      successUrl: `${process.env.FRONTEND_URL}/portal/payment-success?invoice=${invoice._id}`
+    });
+    if (!link.success) {
+      throw portalError(502, 'Online payment is not available right now. Please try again later.');
+    }
+
+    await Payment.create({
+      paymentNumber,
+      invoice: invoice._id,
+      patient: patient._id,
+      amount: invoice.balanceDue,
+      method: 'online',
+      gateway: 'stripe',
+      status: 'processing',
+      metadata: { paymentLinkId: link.paymentLinkId, paymentUrl: link.paymentUrl }
+    });
+
+    logger.info(`Payment link ${paymentNumber} created for invoice ${invoice.invoiceNumber}`);
+    return { paymentNumber, amount: invoice.balanceDue, paymentUrl: link.paymentUrl };
+  }
+}
+
+export default new PortalService();
@@ -0,0 +1,263 @@
+import mongoose from 'mongoose';
+import PriceList from '../models/PriceList.js';
+import PriceListItem, { PRICE_ITEM_TYPES, nameKey } from '../models/PriceListItem.js';
+import AuditLog from '../models/AuditLog.js';
+import { parseCsv } from '../utils/csv.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import logger from '../utils/logger.js';
+
+const CSV_COLUMNS = ['type', 'name', 'price'];
+
+const badRequest = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  if (details) error.details = details;
+  return error;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// An entry priced for a specific catalogue item only matches that item;
+// one without an item id matches by name.
+const entryMatches = (entry, key, item) =>
+  entry.item && item ? String(entry.item) === String(item) : entry.nameKey === key;
+
+class PricingService {
+  /**
+   * The price lists that apply to a sale, most specific first: the insurer's
+   * list when insurance pays, then the cash list for the channel, then the
+   * general cash list.
+   */
+  async applicableLists({ provider, channel = 'general' } = {}) {
+    const match = [{ payerType: 'cash', cashChannel: channel }];
+    if (channel !== 'general') {
+      match.push({ payerType: 'cash', cashChannel: 'general' });
+    }
+    if (provider) {
+      match.unshift({ payerType: 'insurance', provider: provider._id || provider });
+    }
+
+    const lists = await PriceList.find({ isActive: true, $or: match });
+    const rank = (list) => {
+      if (list.payerType === 'insurance') return 0;
+      return list.cashChannel === channel ? 1 : 2;
+    };
+    return lists.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * The price of an item for whoever is paying, on a date. The first list
+   * (see applicableLists) with a price in force wins; when none has one the
+   * catalogue price passed as `fallback` is used.
+   *
+   * @param {Object} query
+   * @param {string} query.itemType  one of PRICE_ITEM_TYPES
+   * @param {string} query.name
+   * @param {ObjectId} [query.item]  Medicine, Service or Ward _id
+   * @param {ObjectId|Object} [query.provider] insurer paying, if any
+   * @param {string} [query.channel] cash channel
+   * @param {Date} [query.date]
+   * @param {number} [query.fallback] catalogue price
+   * @returns {Object|null} { price, source, priceList?, priceListItem? }
+   */
+  async resolvePrice({ itemType, name, item, provider, channel = 'general', date = new Date(), fallback } = {}) {
+    try {
+      const lists = await this.applicableLists({ provider, channel });
+
+      if (lists.length) {
+        const key = nameKey(name);
+        const candidates = [{ nameKey: key }];
+        if (item) candidates.push({ item });
+
+        const entries = await PriceListItem.find({
+          priceList: { $in: lists.map((list) => list._id) },
+          itemType,
+          effectiveFrom: { $lte: date },
+          $and: [
+            { $or: candidates },
+            { $or: [{ effectiveTo: null }, { effectiveTo: { $gt: date } }] }
+          ]
+        }).sort({ effectiveFrom: -1 });
+
+        for (const list of lists) {
+          const own = entries.filter((e) => String(e.priceList) === String(list._id) && entryMatches(e, key, item));
+          // Prefer a price set for this exact item over one matched by name
+          const entry = own.find((e) => item && e.item) || own[0];
+          if (entry) {
+            return { price: entry.price, source: list.name, priceList: list._id, priceListItem: entry._id };
+          }
+        }
+      }
+
+      return fallback > 0 ? { price: fallback, source: 'Catalogue' } : null;
+    } catch (error) {
+      logger.error('Resolve price error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a price to a list from `effectiveFrom`. The entry in force before
+   * then is closed off at that date; one scheduled later bounds the new
+   * entry. Setting a price again for the same date replaces it, so
+   * re-importing a file is harmless.
+   *
+   * @returns {{ entry, action: 'created'|'updated' }}
+   */
+  async setPrice(priceList, { itemType, name, item, price, effectiveFrom, effectiveTo }, { userId, session = null } = {}) {
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    const siblings = await PriceListItem.find({
+      priceList: priceList._id || priceList,
+      itemType,
+      nameKey: nameKey(name),
+      item: item || null
+    }).sort({ effectiveFrom: 1 }).session(session);
+
+    const same = siblings.find((e) => e.effectiveFrom.getTime() === from.getTime());
+    if (same) {
+      same.price = price;
+      if (effectiveTo) same.effectiveTo = effectiveTo;
+      await same.save({ session });
+      return { entry: same, action: 'updated' };
+    }
+
+    const previous = siblings.filter((e) => e.effectiveFrom < from).pop();
+    if (previous && (!previous.effectiveTo || previous.effectiveTo > from)) {
+      previous.effectiveTo = from;
+      await previous.save({ session });
+    }
+    const next = siblings.find((e) => e.effectiveFrom > from);
+
+    const entry = new PriceListItem({
+      priceList: priceList._id || priceList,
+      itemType,
+      item: item || undefined,
+      name,
+      price,
+      effectiveFrom: from,
+      effectiveTo: effectiveTo || next?.effectiveFrom,
+      createdBy: userId
+    });
+    await entry.save({ session });
+    return { entry, action: 'created' };
+  }
+
+  /**
+   * Check a CSV tariff and turn it into price entries. Columns (header row
+   * required, any order): type, name, price, and optionally effective_from,
+   * effective_to and item_id. Every problem is reported with its row number.
+   */
+  parseImport(text, { effectiveFrom } = {}) {
+    const rows = parseCsv(text || '');
+    if (rows.length < 2) {
+      throw badRequest('The file has no price rows');
+    }
+
+    const defaultFrom = effectiveFrom ? parseDate(effectiveFrom) : new Date();
+    if (!defaultFrom) {
+      throw badRequest('effectiveFrom is not a date');
+    }
+
+    const header = rows[0].map((h) => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    const missing = CSV_COLUMNS.filter((c) => !header.includes(c));
+    if (missing.length) {
+      throw badRequest(`Missing column(s): ${missing.join(', ')}`);
+    }
+
+    const errors = [];
+    const entries = [];
+    const seen = new Set();
+
+    rows.slice(1).forEach((cells, index) => {
+      const row = index + 2; // the header is row 1
+      const get = (column) => (header.includes(column) ? (cells[header.indexOf(column)] || '').trim() : '');
+      const problems = [];
+
+      const itemType = get('type').toLowerCase();
+      if (!PRICE_ITEM_TYPES.includes(itemType)) {
+        problems.push(`type must be one of ${PRICE_ITEM_TYPES.join(', ')}`);
+      }
+      const name = get('name');
+      if (!name) {
+        problems.push('name is required');
+      }
+      const price = Number(get('price').replace(/,/g, ''));
+      if (get('price') === '' || !Number.isFinite(price) || price < 0) {
+        problems.push('price must be a number of 0 or more');
+      }
+      const from = get('effective_from') ? parseDate(get('effective_from')) : defaultFrom;
+      const to = get('effective_to') ? parseDate(get('effective_to')) : undefined;
+      if (!from) problems.push('effective_from is not a date');
+      if (to === null) problems.push('effective_to is not a date');
+      if (from && to && to <= from) problems.push('effective_to must be after effective_from');
+      const item = get('item_id') || undefined;
+      if (item && !mongoose.Types.ObjectId.isValid(item)) {
+        problems.push('item_id is not a valid id');
+      }
+
+      const key = `${itemType}|${nameKey(name)}|${item || ''}|${from?.getTime()}`;
+      if (!problems.length && seen.has(key)) {
+        problems.push(`${name} is priced twice for the same date`);
+      }
+      seen.add(key);
+
+      if (problems.length) {
+        errors.push({ row, message: problems.join('; ') });
+      } else {
+        entries.push({ itemType, name, item, price, effectiveFrom: from, effectiveTo: to });
+      }
+    });
+
+    if (errors.length) {
+      throw badRequest(`${errors.length} row(s) could not be imported; nothing was saved`, errors);
+    }
+    return entries;
+  }
+
+  /**
+   * Import a CSV tariff into a price list, all or nothing.
+   *
+   * @returns {{ rows, created, updated }}
+   */
+  async importCsv(priceListId, text, { userId, effectiveFrom } = {}) {
+    try {
+      const priceList = await PriceList.findById(priceListId);
+      if (!priceList) {
+        const error = new Error('Price list not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const entries = this.parseImport(text, { effectiveFrom });
+
+      const counts = await withTransaction(async (session) => {
+        const result = { created: 0, updated: 0 };
+        for (const entry of entries) {
+          const { action } = await this.setPrice(priceList, entry, { userId, session });
+          result[action] += 1;
+        }
+        return result;
+      }, 'price list import');
+
+      await AuditLog.log({
+        userId,
+        action: 'UPDATE',
+        entityType: 'PriceList',
+        entityId: priceList._id,
+        description: `Imported ${entries.length} price(s) into ${priceList.name}`,
+        metadata: { code: priceList.code, ...counts }
+      });
+
+      logger.info(`Price list ${priceList.code}: imported ${entries.length} row(s) (${counts.created} new, ${counts.updated} replaced)`);
+      return { rows: entries.length, ...counts };
+    } catch (error) {
+      if (!error.statusCode) logger.error('Import price list error:', error);
+      throw error;
+    }
+  }
+}
+
+export default new PricingService();
@@ -0,0 +1,582 @@
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import GoodsReceivedNote from '../models/GoodsReceivedNote.js';
+import SupplierInvoice from '../models/SupplierInvoice.js';
+import { Medicine } from '../models/Medicine.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import storeService from './storeService.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import logger from '../utils/logger.js';
+
+const procurementError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Invoice prices within this fraction of the order price match
+export const PRICE_TOLERANCE = 0.02;
+
+// Payment terms for orders raised before suppliers had their own
+export const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+const RECEIVABLE_STATUSES = ['sent', 'partially_received', 'received'];
+const INVOICEABLE_STATUSES = ['sent', 'partially_received', 'received', 'closed'];
+// Invoices that still bill their quantities; rejected ones do not
+const LIVE_INVOICE_STATUSES = ['matched', 'exception', 'approved'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const parseDay = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (!DATE.test(String(value))) {
+    throw procurementError(400, `Give the ${label} as YYYY-MM-DD`);
+  }
+  return new Date(`${value}T00:00:00`);
+};
+
+class ProcurementService {
+  async findOrder(id) {
+    const order = mongoose.isValidObjectId(id) ? await PurchaseOrder.findById(id) : null;
+    if (!order) {
+      throw procurementError(404, 'Purchase order not found');
+    }
+    return order;
+  }
+
+  async _activeSupplier(id) {
+    const supplier = mongoose.isValidObjectId(id) ? await Supplier.findById(id) : null;
+    if (!supplier || !supplier.isActive) {
+      throw procurementError(400, 'Choose an active supplier');
+    }
+    return supplier;
+  }
+
+  // Order lines from [{ medicine, quantity, unitCost }], a medicine given
+  // twice being ordered once
+  async _orderLines(items) {
+    if (!Array.isArray(items) || !items.length) {
+      throw procurementError(400, 'An order needs at least one medicine');
+    }
+
+    const ids = items.map((item) => item.medicine).filter((id) => mongoose.isValidObjectId(id));
+    const medicines = await Medicine.find({ _id: { $in: ids } }).select('name');
+    const problems = [];
+    const lines = [];
+    for (const [index, item] of items.entries()) {
+      const medicine = medicines.find((m) => String(m._id) === String(item.medicine));
+      const quantity = Number(item.quantity);
+      const unitCost = item.unitCost === undefined ? 0 : Number(item.unitCost);
+      if (!medicine) {
+        problems.push({ line: index + 1, message: 'Medicine not found' });
+      } else if (!Number.isInteger(quantity) || quantity <= 0) {
+        problems.push({ line: index + 1, message: `Quantity of ${medicine.name} must be a whole number above zero` });
+      } else if (!Number.isFinite(unitCost) || unitCost < 0) {
+        problems.push({ line: index + 1, message: `Unit cost of ${medicine.name} cannot be negative` });
+      } else {
+        const existing = lines.find((l) => String(l.medicine) === String(medicine._id));
+        if (existing) existing.quantity += quantity;
+        else lines.push({ medicine: medicine._id, name: medicine.name, quantity, unitCost });
+      }
+    }
+    if (problems.length) {
+      throw procurementError(400, 'Some lines could not be ordered', problems);
+    }
+    return lines;
+  }
+
+  /**
+   * Raise a draft order. `items` are [{ medicine, quantity, unitCost }];
+   * the number is generated unless one is given.
+   */
+  async createOrder({ supplier: supplierId, items, expectedDate, notes, number, userId, now = new Date() }) {
+    const supplier = await this._activeSupplier(supplierId);
+    const lines = await this._orderLines(items);
+
+    const order = new PurchaseOrder({
+      poNumber: String(number || '').trim() || await PurchaseOrder.generatePONumber(now),
+      supplierId: supplier._id,
+      supplier: supplier.orderDetails(),
+      items: lines,
+      paymentTermsDays: supplier.paymentTermsDays,
+      expectedDate: parseDay(expectedDate, 'expected delivery date'),
+      status: 'draft',
+      createdBy: userId,
+      createdAt: now,
+      notes,
+      statusHistory: [{ status: 'draft', changedBy: userId, changedAt: now }]
+    });
+    order.calculateTotals();
+    await order.save();
+
+    return order;
+  }
+
+  /**
+   * Change a draft's supplier, lines, expected date or notes.
+   */
+  async updateDraft(order, { supplier: supplierId, items, expectedDate, notes }) {
+    if (order.status !== 'draft') {
+      throw procurementError(409, `Only draft orders can be changed; ${order.poNumber} is ${order.status.replace('_', ' ')}`);
+    }
+
+    if (supplierId !== undefined) {
+      const supplier = await this._activeSupplier(supplierId);
+      order.supplierId = supplier._id;
+      order.supplier = supplier.orderDetails();
+      order.paymentTermsDays = supplier.paymentTermsDays;
+    }
+    if (items !== undefined) {
+      order.items = await this._orderLines(items);
+    }
+    if (expectedDate !== undefined) {
+      order.expectedDate = parseDay(expectedDate, 'expected delivery date');
+    }
+    if (notes !== undefined) {
+      order.notes = notes;
+    }
+    order.calculateTotals();
+    await order.save();
+
+    return order;
+  }
+
+  /**
+   * Approve, send, return to draft, cancel or close an order. Receiving
+   * statuses are set by goods-received notes, not here.
+   */
+  async changeStatus(order, status, { userId, notes, now = new Date() }) {
+    if (['partially_received', 'received'].includes(status)) {
+      throw procurementError(400, 'Orders are marked received by recording the delivery');
+    }
+    if (!order.canTransitionTo(status)) {
+      throw procurementError(409, `Cannot move a ${order.status.replace('_', ' ')} purchase order to ${status.replace('_', ' ')}`);
+    }
+
+    if (status === 'approved') {
+      if (!order.items.length) {
+        throw procurementError(400, 'Add the medicines being ordered before approving');
+      }
+      if (!order.supplierId) {
+        throw procurementError(400, 'Link the order to a supplier record before approving');
+      }
+      if (order.createdBy && String(order.createdBy) === String(userId)) {
+        throw procurementError(409, 'An order must be approved by someone other than the person who raised it');
+      }
+    }
+    if (status === 'cancelled' && !String(notes || '').trim()) {
+      throw procurementError(400, 'Give a reason for cancelling the order');
+    }
+    if (status === 'closed' && order.items.some((line) => line.receivedQuantity < line.quantity) && !String(notes || '').trim()) {
+      throw procurementError(400, 'Some lines are still short; give a reason for closing the order');
+    }
+
+    order.transitionTo(status, userId, notes, now);
+    await order.save();
+
+    return order;
+  }
+
+  /**
+   * Record a delivery against a sent order as a goods-received note. Each
+   * line is [{ orderLine | medicine, quantity, batchNumber, expiryDate,
+   * unitCost?, sellingPrice? }] and becomes a batch at `location` (the
+   * main store by default). Lines are flagged over or under against what
+   * has been received on the order so far; medicines not on the order are
+   * refused. Returns { grn, order } with the order as updated.
+   */
+  async receive(order, { lines, location, deliveryNote, notes, userId, now = new Date() }) {
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      throw procurementError(409, `Only orders sent to the supplier can be received; ${order.poNumber} is ${order.status.replace('_', ' ')}`);
+    }
+    if (!order.items.length) {
+      throw procurementError(409, `${order.poNumber} has no order lines; receive it through item receiving`);
+    }
+    if (!Array.isArray(lines) || !lines.length) {
+      throw procurementError(400, 'A delivery needs at least one line');
+    }
+    const store = location ? await storeService.findActive(location) : await storeService.mainStore();
+
+    const medicines = await Medicine.find({ _id: { $in: order.items.map((item) => item.medicine) } }).select('name sellingPrice');
+    const problems = [];
+    const received = [];
+    for (const [index, line] of lines.entries()) {
+      const orderLine = (mongoose.isValidObjectId(line.orderLine) && order.items.id(line.orderLine))
+        || order.items.find((item) => String(item.medicine) === String(line.medicine));
+      if (!orderLine) {
+        problems.push({ line: index + 1, message: `Not on purchase order ${order.poNumber}` });
+        continue;
+      }
+      const medicine = medicines.find((m) => String(m._id) === String(orderLine.medicine));
+      const name = orderLine.name || medicine?.name;
+      const quantity = Number(line.quantity);
+      const unitCost = line.unitCost === undefined ? orderLine.unitCost : Number(line.unitCost);
+      const batchNumber = String(line.batchNumber || '').trim();
+      const expiryDate = DATE.test(String(line.expiryDate || '')) ? new Date(`${line.expiryDate}T00:00:00`) : null;
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        problems.push({ line: index + 1, message: `Quantity of ${name} must be a whole number above zero` });
+      } else if (!batchNumber) {
+        problems.push({ line: index + 1, message: `Give the batch number for ${name}` });
+      } else if (!expiryDate) {
+        problems.push({ line: index + 1, message: `Give the expiry date for ${name} as YYYY-MM-DD` });
+      } else if (expiryDate <= now) {
+        problems.push({ line: index + 1, message: `${name} batch ${batchNumber} has already expired` });
+      } else if (!Number.isFinite(unitCost) || unitCost < 0) {
+        problems.push({ line: index + 1, message: `Unit cost of ${name} cannot be negative` });
+      } else {
+        received.push({
+          orderLine,
+          name,
+          quantity,
+          unitCost,
+          batchNumber,
+          expiryDate,
+          sellingPrice: line.sellingPrice === undefined ? medicine?.sellingPrice : Number(line.sellingPrice)
+        });
+      }
+    }
+    if (problems.length) {
+      throw procurementError(400, 'Some lines could not be received', problems);
+    }
+
+    const { grn, order: updated } = await withTransaction(async (session) => {
+      const sessionOpt = session ? { session } : {};
+      // Change a copy read in this attempt, so a retried transaction does
+      // not count the delivery twice; a delivery recorded meanwhile that
+      // closed the order stops this one
+      const current = await PurchaseOrder.findById(order._id).session(session || null);
+      if (!current) {
+        throw procurementError(404, 'Purchase order not found');
+      }
+      if (!RECEIVABLE_STATUSES.includes(current.status)) {
+        throw procurementError(409, `Only orders sent to the supplier can be received; ${current.poNumber} is ${current.status.replace('_', ' ')}`);
+      }
+      const grn = new GoodsReceivedNote({
+        grnNumber: await GoodsReceivedNote.generateGRNNumber(session, now),
+        purchaseOrder: order._id,
+        poNumber: order.poNumber,
+        supplierId: order.supplierId,
+        supplierName: order.supplier.name,
+        deliveryNote,
+        location: store.code,
+        receivedBy: userId,
+        receivedAt: now,
+        notes
+      });
+
+      for (const line of received) {
+        const orderLine = current.items.id(line.orderLine._id);
+        const [batch] = await MedicineBatch.create([{
+          medicine: orderLine.medicine,
+          purchaseOrder: order._id,
+          batchNumber: line.batchNumber,
+          expiryDate: line.expiryDate,
+          quantityReceived: line.quantity,
+          quantityRemaining: line.quantity,
+          buyingPrice: line.unitCost,
+          sellingPrice: line.sellingPrice ?? line.unitCost,
+          location: store.code,
+          receivedBy: userId,
+          receivedAt: now
+        }], sessionOpt);
+
+        await StockMovement.create([{
+          medicine: orderLine.medicine,
+          batch: batch._id,
+          type: 'IN',
+          quantity: line.quantity,
+          reason: `Received on ${grn.grnNumber} against PO ${order.poNumber}`,
+          purchaseOrder: order._id,
+          goodsReceivedNote: grn._id,
+          location: store.code,
+          performedBy: userId
+        }], sessionOpt);
+
+        const previouslyReceived = orderLine.receivedQuantity;
+        orderLine.receivedQuantity += line.quantity;
+        const varianceQuantity = orderLine.receivedQuantity - orderLine.quantity;
+        grn.lines.push({
+          orderLine: orderLine._id,
+          medicine: orderLine.medicine,
+          medicineName: line.name,
+          orderedQuantity: orderLine.quantity,
+          previouslyReceived,
+          quantity: line.quantity,
+          batch: batch._id,
+          batchNumber: line.batchNumber,
+          expiryDate: line.expiryDate,
+          unitCost: line.unitCost,
+          variance: varianceQuantity > 0 ? 'over' : varianceQuantity < 0 ? 'under' : 'exact',
+          varianceQuantity
+        });
+      }
+
+      grn.discrepancies = {
+        over: grn.lines.filter((line) => line.variance === 'over').length,
+        under: grn.lines.filter((line) => line.variance === 'under').length
+      };
+      if (current.expectedDate) {
+        grn.onTime = now.getTime() < current.expectedDate.getTime() + DAY;
+      }
+
+      const complete = current.items.every((item) => item.receivedQuantity >= item.quantity);
+      current.transitionTo(complete ? 'received' : 'partially_received', userId, grn.grnNumber, now);
+      current.receivedBy = userId;
+
+      await grn.save(sessionOpt);
+      await current.save(sessionOpt);
+      return { grn, order: current };
+    }, 'goods received');
+
+    logger.info(`${grn.grnNumber}: ${grn.lines.length} line(s) received against ${order.poNumber} into ${store.code}`);
+    return { grn, order: updated };
+  }
+
+  /**
+   * Match a supplier's invoice for an order against the order's prices and
+   * what has been received but not yet invoiced. `lines` are [{ medicine,
+   * quantity, unitPrice }]. The invoice is saved either way: as matched, or
+   * as an exception listing what did not match.
+   */
+  async matchInvoice(order, { invoiceNumber, invoiceDate, lines, taxAmount, statedTotal, userId }) {
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      throw procurementError(409, `Only orders sent to the supplier can be invoiced; ${order.poNumber} is ${order.status.replace('_', ' ')}`);
+    }
+    const number = String(invoiceNumber || '').trim();
+    if (!number) {
+      throw procurementError(400, 'Give the supplier\'s invoice number');
+    }
+    const date = parseDay(invoiceDate, 'invoice date');
+    if (!date) {
+      throw procurementError(400, 'Give the invoice date as YYYY-MM-DD');
+    }
+    if (!Array.isArray(lines) || !lines.length) {
+      throw procurementError(400, 'An invoice needs at least one line');
+    }
+
+    const duplicate = await SupplierInvoice.findOne({
+      supplierName: order.supplier.name,
+      invoiceNumber: number,
+      status: { $in: LIVE_INVOICE_STATUSES }
+    });
+    if (duplicate) {
+      throw procurementError(409, `Invoice ${number} from ${order.supplier.name} has already been entered`);
+    }
+
+    const invoicedSoFar = new Map();
+    const previous = await SupplierInvoice.find({ purchaseOrder: order._id, status: { $in: LIVE_INVOICE_STATUSES } }).select('lines');
+    for (const line of previous.flatMap((invoice) => invoice.lines)) {
+      if (!line.orderLine) continue;
+      invoicedSoFar.set(String(line.orderLine), (invoicedSoFar.get(String(line.orderLine)) || 0) + line.quantity);
+    }
+
+    const ids = lines.map((line) => line.medicine).filter((id) => mongoose.isValidObjectId(id));
+    const medicines = await Medicine.find({ _id: { $in: ids } }).select('name');
+    const problems = [];
+    const issues = [];
+    const invoiceLines = [];
+    for (const [index, line] of lines.entries()) {
+      const medicine = medicines.find((m) => String(m._id) === String(line.medicine));
+      const quantity = Number(line.quantity);
+      const unitPrice = Number(line.unitPrice);
+      if (!medicine) {
+        problems.push({ line: index + 1, message: 'Medicine not found' });
+        continue;
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        problems.push({ line: index + 1, message: `Quantity of ${medicine.name} must be a whole number above zero` });
+        continue;
+      }
+      if (line.unitPrice === undefined || !Number.isFinite(unitPrice) || unitPrice < 0) {
+        problems.push({ line: index + 1, message: `Give the unit price of ${medicine.name}` });
+        continue;
+      }
+
+      const entry = {
+        medicine: medicine._id,
+        medicineName: medicine.name,
+        quantity,
+        unitPrice,
+        total: round2(quantity * unitPrice),
+        issues: []
+      };
+      const flag = (code, message) => {
+        entry.issues.push(code);
+        issues.push({ line: index + 1, code, message });
+      };
+
+      const orderLine = order.items.find((item) => String(item.medicine) === String(medicine._id));
+      if (!orderLine) {
+        flag('not_on_order', `${medicine.name} is not on ${order.poNumber}`);
+      } else {
+        const key = String(orderLine._id);
+        const alreadyInvoiced = invoicedSoFar.get(key) || 0;
+        Object.assign(entry, {
+          orderLine: orderLine._id,
+          orderedQuantity: orderLine.quantity,
+          orderedUnitCost: orderLine.unitCost,
+          receivedQuantity: orderLine.receivedQuantity,
+          previouslyInvoiced: alreadyInvoiced
+        });
+        if (alreadyInvoiced + quantity > orderLine.receivedQuantity) {
+          const uninvoiced = Math.max(0, orderLine.receivedQuantity - alreadyInvoiced);
+          flag('not_received', `${medicine.name}: ${quantity} invoiced but ${uninvoiced} received and not yet invoiced`);
+        }
+        if (Math.abs(unitPrice - orderLine.unitCost) > orderLine.unitCost * PRICE_TOLERANCE) {
+          flag('price_variance', `${medicine.name}: invoiced at ${unitPrice} against ${orderLine.unitCost} on the order`);
+        }
+        invoicedSoFar.set(key, alreadyInvoiced + quantity);
+      }
+      invoiceLines.push(entry);
+    }
+
+    const tax = taxAmount === undefined || taxAmount === '' ? 0 : Number(taxAmount);
+    if (!Number.isFinite(tax) || tax < 0) {
+      problems.push({ message: 'Tax cannot be negative' });
+    }
+    const stated = statedTotal === undefined || statedTotal === '' ? undefined : Number(statedTotal);
+    if (stated !== undefined && !Number.isFinite(stated)) {
+      problems.push({ message: 'The invoice total must be a number' });
+    }
+    if (problems.length) {
+      throw procurementError(400, 'Some lines could not be matched', problems);
+    }
+
+    const subtotal = round2(invoiceLines.reduce((sum, line) => sum + line.total, 0));
+    const totalAmount = round2(subtotal + tax);
+    if (stated !== undefined && Math.abs(stated - totalAmount) > 0.01) {
+      issues.push({ code: 'total_mismatch', message: `The invoice total of ${stated} does not agree with its lines and tax (${totalAmount})` });
+    }
+
+    const invoice = await SupplierInvoice.create({
+      invoiceNumber: number,
+      invoiceDate: date,
+      purchaseOrder: order._id,
+      poNumber: order.poNumber,
+      supplierId: order.supplierId,
+      supplierName: order.supplier.name,
+      lines: invoiceLines,
+      subtotal,
+      taxAmount: tax,
+      totalAmount,
+      statedTotal: stated,
+      issues,
+      status: issues.length ? 'exception' : 'matched',
+      recordedBy: userId
+    });
+
+    logger.info(`Supplier invoice ${number} for ${order.poNumber}: ${invoice.status}`);
+    return invoice;
+  }
+
+  /**
+   * Approve an invoice for payment, making it an accounts-payable record
+   * due after the order's payment terms. An exception needs a reason.
+   */
+  async approveInvoice(invoice, { userId, notes, now = new Date() }) {
+    if (!['matched', 'exception'].includes(invoice.status)) {
+      throw procurementError(409, `Invoice ${invoice.invoiceNumber} is already ${invoice.status}`);
+    }
+    if (invoice.status === 'exception' && !String(notes || '').trim()) {
+      throw procurementError(400, 'Give a reason for approving an invoice that did not match');
+    }
+
+    const order = await PurchaseOrder.findById(invoice.purchaseOrder).select('paymentTermsDays');
+    const terms = order?.paymentTermsDays ?? DEFAULT_PAYMENT_TERMS_DAYS;
+
+    invoice.status = 'approved';
+    invoice.dueDate = new Date(invoice.invoiceDate.getTime() + terms * DAY);
+    invoice.approvedBy = userId;
+    invoice.approvedAt = now;
+    invoice.approvalNotes = notes;
+    await invoice.save();
+
+    return invoice;
+  }
+
+  async rejectInvoice(invoice, { userId, reason, now = new Date() }) {
+    if (!['matched', 'exception'].includes(invoice.status)) {
+      throw procurementError(409, `Invoice ${invoice.invoiceNumber} is already ${invoice.status}`);
+    }
+    if (!String(reason || '').trim()) {
+      throw procurementError(400, 'Give a reason for rejecting the invoice');
+    }
+
+    invoice.status = 'rejected';
+    invoice.rejectedBy = userId;
+    invoice.rejectedAt = now;
+    invoice.rejectionReason = reason;
+    await invoice.save();
+
+    return invoice;
+  }
+
+  /**
+   * How a supplier has performed over the last `days`: orders placed,
+   * lead time from sending to first delivery, deliveries on time, fill
+   * rate on finished orders, over-deliveries and invoice exceptions.
+   */
+  async performance(supplier, { days = 365, now = new Date() } = {}) {
+    const since = new Date(now.getTime() - days * DAY);
+    const [orders, notes, invoices] = await Promise.all([
+      PurchaseOrder.find({ supplierId: supplier._id, createdAt: { $gte: since }, status: { $ne: 'draft' } })
+        .select('status items totalAmount sentAt createdAt'),
+      GoodsReceivedNote.find({ supplierId: supplier._id, receivedAt: { $gte: since } })
+        .select('purchaseOrder lines onTime receivedAt'),
+      SupplierInvoice.find({ supplierId: supplier._id, createdAt: { $gte: since } })
+        .select('status issues totalAmount')
+    ]);
+
+    const placed = orders.filter((order) => order.status !== 'cancelled');
+
+    const leadTimes = [];
+    for (const order of placed) {
+      const deliveries = notes.filter((note) => String(note.purchaseOrder) === String(order._id));
+      if (!deliveries.length) continue;
+      const first = Math.min(...deliveries.map((note) => new Date(note.receivedAt).getTime()));
+      leadTimes.push((first - new Date(order.sentAt || order.createdAt).getTime()) / DAY);
+    }
+
+    const finished = placed.filter((order) => ['received', 'closed'].includes(order.status));
+    const ordered = finished.flatMap((order) => order.items).reduce((sum, line) => sum + line.quantity, 0);
+    const filled = finished.flatMap((order) => order.items)
+      .reduce((sum, line) => sum + Math.min(line.receivedQuantity, line.quantity), 0);
+
+    const timed = notes.filter((note) => note.onTime !== undefined && note.onTime !== null);
+
+    return {
+      supplier: { _id: supplier._id, name: supplier.name },
+      periodDays: days,
+      orders: {
+        placed: placed.length,
+        cancelled: orders.length - placed.length,
+        value: placed.reduce((sum, order) => sum + (order.totalAmount || 0), 0)
+      },
+      deliveries: {
+        count: notes.length,
+        averageLeadTimeDays: leadTimes.length ? round1(leadTimes.reduce((a, b) => a + b, 0) / leadTimes.length) : null,
+        onTimeRate: timed.length ? round1((timed.filter((note) => note.onTime).length / timed.length) * 100) : null,
+        fillRate: ordered ? round1((filled / ordered) * 100) : null,
+        overDeliveredLines: notes.flatMap((note) => note.lines).filter((line) => line.variance === 'over').length,
+        shortClosedOrders: finished.filter((order) => order.status === 'closed'
+          && order.items.some((line) => line.receivedQuantity < line.quantity)).length
+      },
+      invoices: {
+        count: invoices.length,
+        exceptions: invoices.filter((invoice) => invoice.issues.length).length,
+        approvedValue: invoices.filter((invoice) => invoice.status === 'approved')
+          .reduce((sum, invoice) => sum + invoice.totalAmount, 0)
+      }
+    };
+  }
+}
+
+export default new ProcurementService();
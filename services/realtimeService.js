@@ -0,0 +1,199 @@
+// services/realtimeService.js
+// Server-Sent Events fan-out for notifications and work-queue changes
+
+import eventBus from '../utils/eventBus.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+/**
+ * The permissions each broadcast event relies on. A stream must never show a
+ * user something they could not have fetched themselves:
+ *
+ *   visit.status          GET /api/visits                  visits.view_all, or
+ *                                                          visits.view for the assigned doctor
+ *   prescription.created  GET /api/dispensing/prescriptions dispensing.view
+ *
+ * `all` reaches every holder of the permission; `own` reaches only the users
+ * the event concerns, as GET /api/visits shows a user without visits.view_all
+ * just the visits assigned to them.
+ *
+ * Notifications are never broadcast; they go to their recipient only.
+ */
+export const EVENT_PERMISSIONS = {
+  'visit.status': { all: 'visits.view_all', own: 'visits.view' },
+  'prescription.created': { all: 'dispensing.view' },
+};
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 25000;
+// Each open stream holds a socket; a misbehaving tab reconnecting in a loop
+// should not be able to hold an unbounded number of them.
+const MAX_STREAMS_PER_USER = Number(process.env.SSE_MAX_STREAMS_PER_USER) || 5;
+
+const idOf = (ref) => (ref?._id ?? ref)?.toString() ?? null;
+const logFailure = (error) => logger.error('Realtime publish error:', error);
+
+class RealtimeService {
+  constructor() {
+    this.clients = new Map();
+    this.nextClientId = 1;
+    this.nextEventId = 1;
+    this.heartbeat = null;
+    this.listening = false;
+  }
+
+  /**
+   * Subscribe to the model events. Idempotent, so importing the router more
+   * than once (as the tests do) does not double-deliver.
+   */
+  start() {
+    if (this.listening) return;
+    this.listening = true;
+
+    eventBus.on('notification.created', (notification) => {
+      this.publish('notification', notification.toJSON ? notification.toJSON() : notification, {
+        users: [notification.recipient],
+      }).catch(logFailure);
+    });
+
+    eventBus.on('visit.statusChanged', ({ visit, previousStatus }) => {
+      this.publish('visit.status', {
+        _id: idOf(visit),
+        visitId: visit.visitId,
+        status: visit.status,
+        previousStatus,
+        patient: idOf(visit.patient),
+        doctor: idOf(visit.doctor),
+        updatedAt: visit.updatedAt,
+      }, {
+        users: [visit.doctor],
+        ...EVENT_PERMISSIONS['visit.status'],
+      }).catch(logFailure);
+    });
+
+    eventBus.on('prescription.created', ({ visit, prescription }) => {
+      this.publish('prescription.created', {
+        _id: idOf(prescription),
+        medication: prescription.medication,
+        dosage: prescription.dosage,
+        frequency: prescription.frequency,
+        status: prescription.status,
+        prescribedBy: idOf(prescription.prescribedBy),
+        patient: idOf(prescription.patient ?? visit.patient),
+        visit: { _id: idOf(visit), visitId: visit.visitId },
+        createdAt: prescription.createdAt,
+      }, EVENT_PERMISSIONS['prescription.created']).catch(logFailure);
+    });
+  }
+
+  /**
+   * Attach an authenticated response as an event stream.
+   *
+   * @returns {boolean} false when the user already has too many streams open
+   */
+  addClient(req, res) {
+    const userId = idOf(req.user);
+    const open = [...this.clients.values()].filter((c) => c.userId === userId).length;
+    if (open >= MAX_STREAMS_PER_USER) {
+      return false;
+    }
+
+    const clientId = this.nextClientId++;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx and similar proxies from buffering the stream.
+      'X-Accel-Buffering': 'no',
+    });
+
+    this.clients.set(clientId, { res, userId });
+    this._ensureHeartbeat();
+
+    // There is no replay: a reconnecting client should refetch its inbox and
+    // queue on `ready`, then rely on the stream for changes after that.
+    this._write(res, 'retry: 5000\n\n');
+    this._send(res, 'ready', { clientId, role: req.user.role });
+
+    req.on('close', () => this.removeClient(clientId));
+    return true;
+  }
+
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Deliver an event to every stream whose user holds `all`, and to the
+   * streams of the listed `users`, who must hold `own` when it is given. A
+   * client matching both receives it once.
+   *
+   * A stream outlives the request that opened it, so permissions are not
+   * taken from connect time: the users are reloaded and their roles resolved
+   * through the role cache on every publish, and a role edit, a revoke or a
+   * deactivation stops the broadcast as it would stop the polling endpoint.
+   */
+  async publish(event, data, { users = [], all = null, own = null } = {}) {
+    const userIds = new Set(users.map(idOf).filter(Boolean));
+    const current = all || own ? await this._currentUsers() : null;
+    let delivered = 0;
+
+    for (const client of this.clients.values()) {
+      const user = current?.get(client.userId);
+      const listed = userIds.has(client.userId) && (!own || Boolean(user?.hasPermission(own)));
+      const holder = Boolean(all && user?.hasPermission(all));
+      if (listed || holder) {
+        this._send(client.res, event, data);
+        delivered++;
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * The connected users as they stand now, with their permissions loaded.
+   * Deactivated accounts are left out and so receive nothing.
+   */
+  async _currentUsers() {
+    const ids = [...new Set([...this.clients.values()].map((c) => c.userId))];
+    if (ids.length === 0) return new Map();
+
+    const users = await User.find({ _id: { $in: ids }, isActive: true })
+      .select('role isActive permissionGrants permissionRevokes');
+    await Promise.all(users.map((user) => user.loadPermissions()));
+    return new Map(users.map((user) => [idOf(user), user]));
+  }
+
+  _send(res, event, data) {
+    this._write(res, `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  _write(res, chunk) {
+    try {
+      res.write(chunk);
+      // compression() buffers writes until the response ends; an event stream
+      // never ends, so each event has to be flushed explicitly.
+      if (typeof res.flush === 'function') res.flush();
+    } catch (error) {
+      logger.warn(`Failed to write to event stream: ${error.message}`);
+    }
+  }
+
+  _ensureHeartbeat() {
+    if (this.heartbeat) return;
+    // A comment line keeps idle connections from being closed by proxies.
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients.values()) {
+        this._write(client.res, ': heartbeat\n\n');
+      }
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref?.();
+  }
+}
+
+export default new RealtimeService();
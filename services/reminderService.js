@@ -0,0 +1,152 @@
+import Appointment from '../models/Appointment.js';
+import Notification from '../models/Notification.js';
+import { sendSms } from './sms/index.js';
+import sendEmail from '../utils/sendEmail.js';
+import { getEmailTemplate } from '../utils/emailTemplates.js';
+import { localDate } from './scheduleService.js';
+import logger from '../utils/logger.js';
+
+// Longest lead first. Inside a window only the shortest reminder due is
+// sent: a patient booked 90 minutes ahead gets the 2h reminder, not both.
+export const REMINDERS = [
+  { kind: '24h', hours: 24 },
+  { kind: '2h', hours: 2 }
+];
+
+const HOUR_MS = 3600000;
+const startOf = (appointment) => new Date(`${appointment.appointmentDate}T${appointment.appointmentTime}:00`);
+const nameOf = (person) => (person?.firstName ? `${person.firstName} ${person.lastName}` : null);
+
+const clinic = () => ({
+  name: process.env.CLINIC_NAME || 'Segese Medical Clinic',
+  address: process.env.CLINIC_ADDRESS,
+  phone: process.env.CLINIC_PHONE
+});
+
+export const reminderText = (appointment) => {
+  const { name, phone } = clinic();
+  const doctor = nameOf(appointment.doctor);
+  return `${name}: reminder of your appointment${doctor ? ` with Dr ${doctor}` : ''} on ${appointment.appointmentDate} at ${appointment.appointmentTime}.`
+    + `${phone ? ` To cancel or reschedule call ${phone}.` : ''}`;
+};
+
+class ReminderService {
+  /**
+   * Which reminder, if any, an appointment is due now.
+   */
+  dueReminder(appointment, now) {
+    const lead = startOf(appointment) - now;
+    if (lead <= 0) return null;
+
+    const due = REMINDERS.filter((r) => lead <= r.hours * HOUR_MS).pop();
+    if (!due || (appointment.reminders || []).some((r) => r.kind === due.kind)) return null;
+    return due;
+  }
+
+  async _deliver(appointment, kind) {
+    const { patient } = appointment;
+    const channels = [];
+
+    if (patient?.phone) {
+      const result = await sendSms({
+        to: patient.phone,
+        text: reminderText(appointment),
+        reference: `${appointment.appointmentId || appointment._id}-${kind}`
+      });
+      channels.push({
+        channel: 'sms',
+        status: result.sent ? 'sent' : 'failed',
+        transport: result.transport,
+        reference: result.reference,
+        ...(!result.sent && { error: result.message })
+      });
+    }
+
+    if (patient?.email) {
+      const { name, address, phone } = clinic();
+      try {
+        const { messageId } = await sendEmail({
+          email: patient.email,
+          subject: `Appointment reminder - ${name}`,
+          html: getEmailTemplate('appointmentReminder', {
+            hospitalName: name,
+            patientName: nameOf(patient),
+            doctorName: nameOf(appointment.doctor) && `Dr ${nameOf(appointment.doctor)}`,
+            date: appointment.appointmentDate,
+            time: appointment.appointmentTime,
+            address,
+            phone
+          })
+        });
+        channels.push({ channel: 'email', status: 'sent', transport: 'resend', reference: messageId });
+      } catch (error) {
+        channels.push({ channel: 'email', status: 'failed', transport: 'resend', error: error.message });
+      }
+    }
+
+    return channels;
+  }
+
+  /**
+   * Send the reminders that have come due: 24 hours and 2 hours before each
+   * scheduled or confirmed appointment, by SMS and email as the patient's
+   * record allows. Each reminder is claimed on the appointment before it is
+   * sent, so overlapping runs never send it twice; a reminder that fails is
+   * recorded as failed and not retried.
+   *
+   * The doctor gets an in-app reminder with the 2-hour one.
+   */
+  async sendDueReminders({ now = new Date() } = {}) {
+    const horizon = new Date(now.getTime() + REMINDERS[0].hours * HOUR_MS);
+    const appointments = await Appointment.find({
+      status: { $in: ['scheduled', 'confirmed'] },
+      appointmentDate: { $gte: localDate(now), $lte: localDate(horizon) }
+    })
+      .populate('patient', 'firstName lastName phone email')
+      .populate('doctor', 'firstName lastName');
+
+    const summary = { due: 0, sent: 0, failed: 0, unreachable: 0 };
+    for (const appointment of appointments) {
+      const due = this.dueReminder(appointment, now);
+      if (!due) continue;
+
+      const claim = await Appointment.updateOne(
+        { _id: appointment._id, 'reminders.kind': { $ne: due.kind } },
+        { $push: { reminders: { kind: due.kind, sentAt: now } } }
+      );
+      if (!claim.modifiedCount) continue;
+      summary.due += 1;
+
+      const channels = await this._deliver(appointment, due.kind);
+      await Appointment.updateOne(
+        { _id: appointment._id, 'reminders.kind': due.kind },
+        { $set: { 'reminders.$.channels': channels } }
+      );
+
+      if (!channels.length) summary.unreachable += 1;
+      else if (channels.some((c) => c.status === 'sent')) summary.sent += 1;
+      else summary.failed += 1;
+
+      if (due.kind === '2h' && appointment.doctor) {
+        try {
+          await Notification.createNotification({
+            recipient: appointment.doctor._id || appointment.doctor,
+            type: 'appointment_reminder',
+            title: 'Upcoming appointment',
+            message: `${nameOf(appointment.patient) || 'A patient'} at ${appointment.appointmentTime} on ${appointment.appointmentDate}`,
+            relatedEntity: { entityType: 'appointment', entityId: appointment._id }
+          });
+        } catch (error) {
+          logger.error('Appointment reminder notification error:', error);
+        }
+      }
+    }
+
+    if (summary.due) {
+      logger.info(`Appointment reminders: ${summary.sent} sent, ${summary.failed} failed, ${summary.unreachable} with no phone or email`);
+    }
+    return summary;
+  }
+}
+
+export default new ReminderService();
@@ -0,0 +1,363 @@
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import { Medicine } from '../models/Medicine.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import logger from '../utils/logger.js';
+
+const replenishmentError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Service level -> standard normal z, for safety stock
+export const SERVICE_LEVELS = { 0.9: 1.28, 0.95: 1.65, 0.98: 2.05, 0.99: 2.33 };
+
+export const REPLENISHMENT_DEFAULTS = {
+  windowDays: 90,
+  coverDays: 30,
+  serviceLevel: 0.95,
+  defaultLeadTimeDays: 7
+};
+
+// Orders whose outstanding quantities count as already on the way
+const OPEN_ORDER_STATUSES = ['draft', 'approved', 'sent', 'partially_received'];
+
+const UNASSIGNED = 'Unassigned';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+class ReplenishmentService {
+  /**
+   * Parse and bound the tuning parameters from a query string.
+   */
+  parameters(query = {}) {
+    const positive = (value, fallback, max) => {
+      const n = Number(value);
+      return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+    };
+    const level = Number(query.serviceLevel);
+
+    return {
+      windowDays: Math.round(positive(query.windowDays, REPLENISHMENT_DEFAULTS.windowDays, 365)),
+      coverDays: Math.round(positive(query.coverDays, REPLENISHMENT_DEFAULTS.coverDays, 365)),
+      serviceLevel: SERVICE_LEVELS[level] ? level : REPLENISHMENT_DEFAULTS.serviceLevel,
+      defaultLeadTimeDays: positive(query.defaultLeadTimeDays, REPLENISHMENT_DEFAULTS.defaultLeadTimeDays, 180)
+    };
+  }
+
+  // Units used per medicine per day over the window. OUT movements are
+  // dispensing, counter sales and issues; transfers between stores are not
+  // consumption.
+  async _consumption(since) {
+    const rows = await StockMovement.aggregate([
+      { $match: { type: 'OUT', createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { medicine: '$medicine', day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
+          quantity: { $sum: '$quantity' }
+        }
+      }
+    ]);
+
+    const byMedicine = new Map();
+    for (const row of rows) {
+      const key = String(row._id.medicine);
+      if (!byMedicine.has(key)) byMedicine.set(key, []);
+      byMedicine.get(key).push(row.quantity);
+    }
+    return byMedicine;
+  }
+
+  // Stock on hand across every store, and the last price paid
+  async _stock(now) {
+    const rows = await MedicineBatch.aggregate([
+      { $sort: { receivedAt: 1 } },
+      {
+        $group: {
+          _id: '$medicine',
+          onHand: {
+            $sum: {
+              $cond: [
+                { $and: [{ $eq: ['$status', 'active'] }, { $gt: ['$expiryDate', now] }] },
+                '$quantityRemaining',
+                0
+              ]
+            }
+          },
+          lastBuyingPrice: { $last: '$buyingPrice' }
+        }
+      }
+    ]);
+    return new Map(rows.map((row) => [String(row._id), row]));
+  }
+
+  /**
+   * Receipts against purchase orders: who supplies each medicine (the
+   * supplier of its latest receipt), how long each supplier takes from
+   * order to first delivery, and what open orders have already delivered.
+   */
+  async _supply(now, openOrders) {
+    const receipts = await StockMovement.aggregate([
+      {
+        $match: {
+          type: 'IN',
+          purchaseOrder: { $ne: null },
+          $or: [
+            { createdAt: { $gte: new Date(now.getTime() - 365 * DAY) } },
+            { purchaseOrder: { $in: openOrders.map((order) => order._id) } }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { purchaseOrder: '$purchaseOrder', medicine: '$medicine' },
+          quantity: { $sum: '$quantity' },
+          firstReceived: { $min: '$createdAt' },
+          lastReceived: { $max: '$createdAt' }
+        }
+      },
+      { $lookup: { from: 'purchaseorders', localField: '_id.purchaseOrder', foreignField: '_id', as: 'order' } },
+      { $unwind: '$order' },
+      {
+        $project: {
+          quantity: 1,
+          firstReceived: 1,
+          lastReceived: 1,
+          supplier: '$order.supplier',
+          orderedAt: { $ifNull: ['$order.sentAt', '$order.createdAt'] }
+        }
+      }
+    ]);
+
+    const supplierOf = new Map();
+    const leadTimes = new Map();
+    const received = new Map();
+    const firstByOrder = new Map();
+    for (const row of receipts) {
+      const medicine = String(row._id.medicine);
+      const order = String(row._id.purchaseOrder);
+      const name = row.supplier?.name;
+
+      const latest = supplierOf.get(medicine);
+      if (name && (!latest || row.lastReceived > latest.at)) {
+        supplierOf.set(medicine, { supplier: row.supplier, at: row.lastReceived });
+      }
+      received.set(`${order}:${medicine}`, row.quantity);
+
+      const first = firstByOrder.get(order);
+      if (!first || row.firstReceived < first.firstReceived) {
+        firstByOrder.set(order, { name, orderedAt: row.orderedAt, firstReceived: row.firstReceived });
+      }
+    }
+    for (const { name, orderedAt, firstReceived } of firstByOrder.values()) {
+      if (!name || !orderedAt) continue;
+      const days = (new Date(firstReceived) - new Date(orderedAt)) / DAY;
+      if (days < 0) continue;
+      if (!leadTimes.has(name)) leadTimes.set(name, []);
+      leadTimes.get(name).push(days);
+    }
+
+    return {
+      supplierOf,
+      received,
+      leadTimeOf: new Map([...leadTimes].map(([name, days]) => [name, { days: round1(median(days)), orders: days.length }]))
+    };
+  }
+
+  /**
+   * Reorder suggestions for every medicine.
+   *
+   * Average daily use is taken over the last `windowDays`; safety stock is
+   * z * (daily standard deviation) * sqrt(lead time) for the service level;
+   * the reorder point is use over the lead time plus safety stock, and never
+   * below Medicine.reorderLevel. A medicine is due when stock on hand plus
+   * stock on order is at or below its reorder point, and the suggestion
+   * tops it up to the reorder point plus `coverDays` of use.
+   *
+   * Returns { parameters, items, suppliers } with items due first, by days
+   * of cover; `all` includes medicines that are not due.
+   */
+  async suggestions(query = {}, { now = new Date() } = {}) {
+    const parameters = this.parameters(query);
+    const z = SERVICE_LEVELS[parameters.serviceLevel];
+    const since = new Date(now.getTime() - parameters.windowDays * DAY);
+    const includeAll = query.all === true || query.all === 'true';
+
+    const openOrders = await PurchaseOrder.find({ status: { $in: OPEN_ORDER_STATUSES }, 'items.0': { $exists: true } })
+      .select('poNumber status items supplier');
+    const [medicines, supplierRecords, consumption, stock, supply] = await Promise.all([
+      Medicine.find().select('name type strength reorderLevel').sort('name'),
+      Supplier.find({ isActive: true }).select('name leadTimeDays'),
+      this._consumption(since),
+      this._stock(now),
+      this._supply(now, openOrders)
+    ]);
+
+    const onOrder = new Map();
+    for (const order of openOrders) {
+      for (const item of order.items) {
+        const key = String(item.medicine);
+        const outstanding = Math.max(0, item.quantity - (supply.received.get(`${order._id}:${key}`) || 0));
+        if (!outstanding) continue;
+        const entry = onOrder.get(key) || { quantity: 0, orders: [] };
+        entry.quantity += outstanding;
+        entry.orders.push({ poNumber: order.poNumber, status: order.status, outstanding });
+        onOrder.set(key, entry);
+      }
+    }
+
+    const items = [];
+    for (const medicine of medicines) {
+      const key = String(medicine._id);
+      const daily = consumption.get(key) || [];
+      const days = Math.max(parameters.windowDays, daily.length);
+      const used = daily.reduce((sum, quantity) => sum + quantity, 0);
+      const averageDaily = used / days;
+      const variance = (daily.reduce((sum, q) => sum + (q - averageDaily) ** 2, 0) + (days - daily.length) * averageDaily ** 2) / days;
+
+      const supplier = supply.supplierOf.get(key)?.supplier || null;
+      // Observed deliveries first, then the lead time agreed with the supplier
+      const observed = supplier ? supply.leadTimeOf.get(supplier.name) : null;
+      const agreed = supplier ? supplierRecords.find((s) => s.name === supplier.name)?.leadTimeDays : undefined;
+      const leadTimeDays = observed?.days ?? agreed ?? parameters.defaultLeadTimeDays;
+
+      const safetyStock = Math.ceil(z * Math.sqrt(variance) * Math.sqrt(leadTimeDays));
+      const reorderPoint = Math.max(Math.ceil(averageDaily * leadTimeDays + safetyStock), medicine.reorderLevel || 0);
+      const onHand = stock.get(key)?.onHand || 0;
+      const ordered = onOrder.get(key)?.quantity || 0;
+      const position = onHand + ordered;
+      const due = position <= reorderPoint && (averageDaily > 0 || position < (medicine.reorderLevel || 0));
+      const suggestedQuantity = due
+        ? Math.max(1, Math.ceil(reorderPoint + averageDaily * parameters.coverDays - position))
+        : 0;
+
+      if (!due && !includeAll) continue;
+      items.push({
+        medicine: { _id: medicine._id, name: medicine.name, type: medicine.type, strength: medicine.strength },
+        supplier: supplier?.name || UNASSIGNED,
+        leadTimeDays,
+        leadTimeSource: observed ? 'observed' : agreed !== undefined ? 'agreed' : 'default',
+        averageDailyUse: round1(averageDaily),
+        usedInWindow: used,
+        safetyStock,
+        reorderLevel: medicine.reorderLevel || 0,
+        reorderPoint,
+        onHand,
+        onOrder: ordered,
+        openOrders: onOrder.get(key)?.orders || [],
+        daysOfCover: averageDaily > 0 ? round1(onHand / averageDaily) : null,
+        due,
+        suggestedQuantity,
+        unitCost: stock.get(key)?.lastBuyingPrice || 0
+      });
+    }
+
+    items.sort((a, b) => (b.due - a.due) || ((a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)) || a.medicine.name.localeCompare(b.medicine.name));
+
+    const suppliers = new Map();
+    for (const item of items.filter((i) => i.due)) {
+      const group = suppliers.get(item.supplier) || {
+        supplier: item.supplier,
+        leadTimeDays: item.leadTimeDays,
+        leadTimeSource: item.leadTimeSource,
+        items: 0,
+        estimatedCost: 0
+      };
+      group.items += 1;
+      group.estimatedCost += item.suggestedQuantity * item.unitCost;
+      suppliers.set(item.supplier, group);
+    }
+
+    return { parameters, items, suppliers: [...suppliers.values()] };
+  }
+
+  /**
+   * Turn suggestions into draft purchase orders, one per supplier.
+   *
+   * `lines` are [{ medicine, quantity?, supplier? }] picked from the
+   * suggestions, with the pharmacist's quantity or supplier where they
+   * differ; without `lines` every due suggestion is drafted. A medicine
+   * with no supplier on record needs one given. Drafts are linked to the
+   * supplier record of that name where there is one, which approval needs.
+   */
+  async createDrafts({ lines, query = {}, userId, now = new Date() }) {
+    const { items } = await this.suggestions({ ...query, all: true }, { now });
+    const byMedicine = new Map(items.map((item) => [String(item.medicine._id), item]));
+
+    const picked = Array.isArray(lines) && lines.length
+      ? lines
+      : items.filter((item) => item.due).map((item) => ({ medicine: item.medicine._id }));
+    if (!picked.length) {
+      throw replenishmentError(400, 'Nothing is due for reordering');
+    }
+
+    const problems = [];
+    const groups = new Map();
+    for (const [index, line] of picked.entries()) {
+      const suggestion = mongoose.isValidObjectId(line.medicine) ? byMedicine.get(String(line.medicine)) : null;
+      if (!suggestion) {
+        problems.push({ line: index + 1, message: 'Medicine not found' });
+        continue;
+      }
+      const quantity = line.quantity === undefined ? suggestion.suggestedQuantity : Number(line.quantity);
+      const supplier = String(line.supplier || '').trim() || suggestion.supplier;
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        problems.push({ line: index + 1, message: `Quantity of ${suggestion.medicine.name} must be a whole number above zero` });
+        continue;
+      }
+      if (supplier === UNASSIGNED) {
+        problems.push({ line: index + 1, message: `${suggestion.medicine.name} has no supplier on record; choose one` });
+        continue;
+      }
+      if (!groups.has(supplier)) groups.set(supplier, []);
+      groups.get(supplier).push({
+        medicine: suggestion.medicine._id,
+        name: suggestion.medicine.name,
+        quantity,
+        unitCost: suggestion.unitCost,
+        total: quantity * suggestion.unitCost
+      });
+    }
+    if (problems.length) {
+      throw replenishmentError(400, 'Some lines could not be ordered', problems);
+    }
+
+    const records = await Supplier.find({ name: { $in: [...groups.keys()] }, isActive: true });
+    const orders = [];
+    for (const [supplier, orderLines] of groups) {
+      const record = records.find((r) => r.name === supplier);
+      orders.push(await PurchaseOrder.create({
+        poNumber: await PurchaseOrder.generatePONumber(now),
+        supplierId: record?._id,
+        supplier: record ? record.orderDetails() : { name: supplier },
+        paymentTermsDays: record?.paymentTermsDays,
+        items: orderLines,
+        totalAmount: orderLines.reduce((sum, line) => sum + line.total, 0),
+        status: 'draft',
+        source: 'reorder',
+        createdBy: userId,
+        createdAt: now,
+        notes: 'Drafted from reorder suggestions',
+        statusHistory: [{ status: 'draft', changedBy: userId, changedAt: now, notes: 'Drafted from reorder suggestions' }]
+      }));
+    }
+
+    logger.info(`Drafted ${orders.length} purchase order(s) from reorder suggestions`);
+    return orders;
+  }
+}
+
+export default new ReplenishmentService();
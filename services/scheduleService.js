@@ -0,0 +1,246 @@
+import ClinicianSchedule, { WEEKDAYS } from '../models/ClinicianSchedule.js';
+import Appointment from '../models/Appointment.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+// Appointments in these states no longer hold their slot
+export const RELEASED_STATUSES = ['cancelled', 'no-show'];
+const MAX_RANGE_DAYS = 31;
+const DAY_MINUTES = 24 * 60;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const toTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+const weekday = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+export const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+export const localDate = (d = new Date()) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+const scheduleError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Read the free-text hours User.schedule used to hold ('08:00 - 17:00',
+ * '8am-5pm', '9:00 AM to 1:00 PM'). Anything else, 'Off' included, is a day
+ * off.
+ */
+export const parseLegacyHours = (text) => {
+  const match = String(text || '').trim()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*(?:-|–|to)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  const clock = (hours, minutes = '00', meridiem) => {
+    let h = Number(hours);
+    if (meridiem) {
+      if (h < 1 || h > 12) return null;
+      h = (h % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    return h < 24 && Number(minutes) < 60 ? `${pad(h)}:${minutes}` : null;
+  };
+
+  const start = clock(match[1], match[2], match[3]);
+  const end = clock(match[4], match[5], match[6]);
+  return start && end && end > start ? { start, end } : null;
+};
+
+class ScheduleService {
+  /**
+   * A clinician's schedule. Clinicians who have not been given one yet get
+   * an unsaved copy of the hours on their user record, where those can be
+   * read, so existing rotas keep working until someone edits them.
+   */
+  async getSchedule(clinicianId) {
+    const schedule = await ClinicianSchedule.findOne({ clinician: clinicianId });
+    if (schedule) return schedule;
+
+    const user = await User.findById(clinicianId).select('schedule');
+    const weeklyHours = [];
+    WEEKDAYS.forEach((day) => {
+      const hours = parseLegacyHours(user?.schedule?.[day]);
+      if (hours) weeklyHours.push({ day, ...hours });
+    });
+    return new ClinicianSchedule({ clinician: clinicianId, weeklyHours });
+  }
+
+  /**
+   * Replace working hours, breaks and/or slot length. Sessions on the same
+   * day may not overlap.
+   */
+  async updateSchedule(clinicianId, { slotMinutes, weeklyHours, breaks }, userId) {
+    const schedule = await this.getSchedule(clinicianId);
+    if (slotMinutes !== undefined) schedule.slotMinutes = slotMinutes;
+    if (weeklyHours) schedule.weeklyHours = weeklyHours;
+    if (breaks) schedule.breaks = breaks;
+    schedule.updatedBy = userId;
+
+    for (const day of WEEKDAYS) {
+      const sessions = schedule.weeklyHours.filter((s) => s.day === day).sort((a, b) => a.start.localeCompare(b.start));
+      for (let i = 1; i < sessions.length; i++) {
+        if (sessions[i].start < sessions[i - 1].end) {
+          throw scheduleError(400, `Working hours on ${day} overlap (${sessions[i - 1].start}–${sessions[i - 1].end} and ${sessions[i].start}–${sessions[i].end})`);
+        }
+      }
+    }
+
+    await schedule.save();
+    logger.info(`Schedule updated for clinician ${clinicianId}`);
+    return schedule;
+  }
+
+  async addLeave(clinicianId, { startDate, endDate, reason }, userId) {
+    const schedule = await this.getSchedule(clinicianId);
+    schedule.leave.push({ startDate, endDate: endDate || startDate, reason, recordedBy: userId });
+    schedule.updatedBy = userId;
+    await schedule.save();
+    return schedule;
+  }
+
+  async removeLeave(clinicianId, leaveId, userId) {
+    const schedule = await ClinicianSchedule.findOne({ clinician: clinicianId });
+    const leave = schedule?.leave.id(leaveId);
+    if (!leave) {
+      throw scheduleError(404, 'Leave not found');
+    }
+    leave.deleteOne();
+    schedule.updatedBy = userId;
+    await schedule.save();
+    return schedule;
+  }
+
+  /**
+   * Bookable windows on a date as [start, end] minutes since midnight, with
+   * breaks cut out. Empty on leave and on days off.
+   */
+  windowsOn(schedule, date) {
+    if (schedule.leaveOn(date)) return [];
+
+    const day = weekday(date);
+    let windows = schedule.weeklyHours
+      .filter((s) => s.day === day)
+      .map((s) => [toMinutes(s.start), toMinutes(s.end)]);
+
+    for (const pause of schedule.breaks.filter((b) => !b.day || b.day === day)) {
+      const [from, to] = [toMinutes(pause.start), toMinutes(pause.end)];
+      windows = windows.flatMap(([start, end]) =>
+        overlaps(start, end, from, to)
+          ? [[start, from], [to, end]].filter(([a, b]) => b > a)
+          : [[start, end]]);
+    }
+
+    return windows.sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Appointments still holding time with a clinician between two dates,
+   * leaving out `excludeId` (one id, or several when a series is moved).
+   */
+  bookedBetween(clinicianId, fromDate, toDate, excludeId) {
+    const query = {
+      doctor: clinicianId,
+      appointmentDate: { $gte: fromDate, $lte: toDate },
+      status: { $nin: RELEASED_STATUSES }
+    };
+    if (Array.isArray(excludeId)) query._id = { $nin: excludeId };
+    else if (excludeId) query._id = { $ne: excludeId };
+    return Appointment.find(query).select('appointmentId appointmentDate appointmentTime duration status patient');
+  }
+
+  /**
+   * Free slots for a clinician, day by day. Slots start every slotMinutes
+   * within working hours; a slot is free when an appointment of `duration`
+   * minutes (default: one slot) starting then fits before the next break or
+   * the end of the session and overlaps nothing already booked. Slots
+   * already past are left out.
+   */
+  async getAvailability(clinicianId, { from, to = from, duration, now = new Date() }) {
+    if (to < from) {
+      throw scheduleError(400, 'The end date is before the start date');
+    }
+    if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+      throw scheduleError(400, `Availability can be requested for at most ${MAX_RANGE_DAYS} days at a time`);
+    }
+
+    const schedule = await this.getSchedule(clinicianId);
+    const length = duration || schedule.slotMinutes;
+    const booked = await this.bookedBetween(clinicianId, from, to);
+    const today = localDate(now);
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const leave = schedule.leaveOn(date);
+      const windows = this.windowsOn(schedule, date);
+      const taken = booked
+        .filter((a) => a.appointmentDate === date)
+        .map((a) => [toMinutes(a.appointmentTime), toMinutes(a.appointmentTime) + (a.duration || 30)]);
+
+      const slots = [];
+      if (date >= today) {
+        for (const [start, end] of windows) {
+          for (let t = start; t + length <= end; t += schedule.slotMinutes) {
+            if (date === today && t < nowMinutes) continue;
+            if (taken.some(([s, e]) => overlaps(t, t + length, s, e))) continue;
+            slots.push({ time: toTime(t), end: toTime(t + length) });
+          }
+        }
+      }
+
+      days.push({
+        date,
+        day: weekday(date),
+        working: windows.length > 0,
+        ...(leave && { leave: leave.reason || 'On leave' }),
+        slots
+      });
+    }
+
+    return { clinician: clinicianId, slotMinutes: schedule.slotMinutes, duration: length, days };
+  }
+
+  /**
+   * Refuse a booking that would double-book the clinician. Clinicians with
+   * working hours set also cannot be booked outside them or while on leave,
+   * except for emergencies. Throws with statusCode 409 (and the clashing
+   * appointments as details).
+   */
+  async assertBookable({ doctor, date, time, duration = 30, type, excludeId }) {
+    const start = toMinutes(time);
+    const end = start + duration;
+    if (end > DAY_MINUTES) {
+      throw scheduleError(400, 'An appointment must end on the day it starts');
+    }
+
+    if (type !== 'emergency') {
+      const schedule = await this.getSchedule(doctor);
+      const leave = schedule.leaveOn(date);
+      if (leave) {
+        throw scheduleError(409, `The doctor is on leave on ${date}${leave.reason ? ` (${leave.reason})` : ''}`);
+      }
+      if (schedule.weeklyHours.length && !this.windowsOn(schedule, date).some(([s, e]) => start >= s && end <= e)) {
+        throw scheduleError(409, `${time}–${toTime(end)} on ${date} is outside the doctor's working hours`);
+      }
+    }
+
+    const clashes = (await this.bookedBetween(doctor, date, date, excludeId))
+      .filter((a) => overlaps(start, end, toMinutes(a.appointmentTime), toMinutes(a.appointmentTime) + (a.duration || 30)));
+    if (clashes.length) {
+      throw scheduleError(
+        409,
+        `The doctor already has an appointment at ${clashes[0].appointmentTime} on ${date}`,
+        clashes.map((a) => ({ _id: a._id, appointmentId: a.appointmentId, time: a.appointmentTime, duration: a.duration }))
+      );
+    }
+  }
+}
+
+export default new ScheduleService();
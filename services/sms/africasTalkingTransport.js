@@ -0,0 +1,59 @@
+// services/sms/africasTalkingTransport.js
+// Bulk SMS through the Africa's Talking messaging API
+
+import axios from 'axios';
+
+const config = () => {
+  const settings = {
+    username: process.env.AFRICASTALKING_USERNAME,
+    apiKey: process.env.AFRICASTALKING_API_KEY,
+  };
+
+  const missing = Object.entries(settings).filter(([, value]) => !value).map(([key]) => key);
+  if (missing.length) {
+    throw new Error(`Africa's Talking SMS is not configured (missing ${missing.join(', ')})`);
+  }
+  return {
+    ...settings,
+    // The sandbox account has its own host
+    baseUrl: settings.username === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com',
+    senderId: process.env.SMS_SENDER_ID,
+  };
+};
+
+class AfricasTalkingTransport {
+  constructor() {
+    this.name = 'africastalking';
+  }
+
+  async send({ to, text, reference }) {
+    const settings = config();
+    const form = new URLSearchParams({
+      username: settings.username,
+      to: `+${to}`,
+      message: text,
+      ...(settings.senderId && { from: settings.senderId }),
+    });
+
+    const { data } = await axios.post(`${settings.baseUrl}/version1/messaging`, form.toString(), {
+      headers: {
+        apiKey: settings.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      timeout: 15000,
+    });
+
+    const recipient = data?.SMSMessageData?.Recipients?.[0];
+    const sent = recipient?.status === 'Success';
+    return {
+      sent,
+      reference: recipient?.messageId || reference,
+      message: sent ? 'Accepted by Africa\'s Talking' : recipient?.status || data?.SMSMessageData?.Message || 'Rejected',
+    };
+  }
+}
+
+export default new AfricasTalkingTransport();
@@ -0,0 +1,17 @@
+// services/sms/consoleTransport.js
+// Logs texts instead of sending them
+
+import logger from '../../utils/logger.js';
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, text, reference }) {
+    logger.info(`SMS to ${to}${reference ? ` (${reference})` : ''}: ${text}`);
+    return { sent: true, reference, message: 'Written to the log' };
+  }
+}
+
+export default new ConsoleTransport();
@@ -0,0 +1,32 @@
+// services/sms/fileTransport.js
+// Appends texts to an outbox file instead of sending them
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * For development and tests: each text is appended as one JSON line to
+ * SMS_OUTBOX_DIR (default ./sms-outbox)/sms-YYYY-MM-DD.jsonl, so what would
+ * have been sent can be read back.
+ */
+class FileTransport {
+  constructor() {
+    this.name = 'file';
+  }
+
+  outboxDir() {
+    return process.env.SMS_OUTBOX_DIR || path.join(process.cwd(), 'sms-outbox');
+  }
+
+  async send({ to, text, reference }) {
+    const writtenAt = new Date().toISOString();
+    const file = path.join(this.outboxDir(), `sms-${writtenAt.slice(0, 10)}.jsonl`);
+
+    await fs.mkdir(this.outboxDir(), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify({ to, text, reference, writtenAt })}\n`);
+
+    return { sent: true, reference, message: `Written to ${file}` };
+  }
+}
+
+export default new FileTransport();
@@ -0,0 +1,57 @@
+// services/sms/index.js
+// Registry of SMS transports
+
+import consoleTransport from './consoleTransport.js';
+import fileTransport from './fileTransport.js';
+import africasTalkingTransport from './africasTalkingTransport.js';
+import { normalisePhone } from '../gateways/mobileMoneyGateway.js';
+
+/**
+ * Every transport exposes the same interface, so nothing that sends a text
+ * needs to know how it leaves the building:
+ *
+ *   name                  stored with each delivery attempt
+ *   send(message)         message: { to, text, reference }
+ *                         to is already in international form (2557XXXXXXXX)
+ *                         → { sent, reference, message }
+ *
+ * SMS_TRANSPORT picks one (default 'console'). The console and file
+ * transports deliver nothing and are for development and tests.
+ */
+const TRANSPORTS = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [africasTalkingTransport.name]: africasTalkingTransport,
+};
+
+export const getTransport = (name) => {
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${name}`);
+  }
+  return transport;
+};
+
+export const smsTransport = () => getTransport(process.env.SMS_TRANSPORT || consoleTransport.name);
+
+/**
+ * Send a text through the configured transport. Numbers the transport could
+ * not dial, and transport failures, come back as { sent: false } rather than
+ * throwing, so one bad number never stops a batch.
+ */
+export const sendSms = async ({ to, text, reference }) => {
+  const transport = smsTransport();
+  const number = normalisePhone(to, process.env.SMS_COUNTRY_CODE || process.env.MOBILE_MONEY_COUNTRY_CODE || '255');
+  if (!number) {
+    return { sent: false, transport: transport.name, message: `Not a dialable phone number: ${to}` };
+  }
+
+  try {
+    const result = await transport.send({ to: number, text, reference });
+    return { ...result, transport: transport.name };
+  } catch (error) {
+    return { sent: false, transport: transport.name, message: error.message };
+  }
+};
+
+export default TRANSPORTS;
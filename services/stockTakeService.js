@@ -0,0 +1,382 @@
+import mongoose from 'mongoose';
+import StockTake from '../models/StockTake.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import { nextSequence, highestExisting } from '../utils/sequence.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { toCsv } from '../utils/csv.js';
+import logger from '../utils/logger.js';
+
+const stockTakeError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const OPEN_STATUSES = ['counting', 'submitted'];
+
+const describeLine = (line) => `${line.medicineName} batch ${line.batchNumber}`;
+
+class StockTakeService {
+  /**
+   * Stock on sale grouped by medicine, with its batches: the stock-taking
+   * sheet (GET /api/stock/taking) and the snapshot a session starts from.
+   */
+  async sheet({ location, now = new Date() } = {}) {
+    return MedicineBatch.aggregate([
+      {
+        $match: {
+          status: 'active',
+          expiryDate: { $gt: now },
+          ...(location && { location })
+        }
+      },
+      {
+        $group: {
+          _id: '$medicine',
+          quantity: { $sum: '$quantityRemaining' },
+          batches: {
+            $push: {
+              batchId: '$_id',
+              batchNumber: '$batchNumber',
+              quantity: '$quantityRemaining',
+              expiry: '$expiryDate',
+              location: '$location',
+              buyingPrice: '$buyingPrice'
+            }
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: 'medicines',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'medicine'
+        }
+      },
+      {
+        $unwind: '$medicine'
+      },
+      {
+        $project: {
+          medicine: 1,
+          quantity: 1,
+          batches: 1
+        }
+      },
+      {
+        $sort: { 'medicine.name': 1 }
+      }
+    ]);
+  }
+
+  async _nextTakeNumber(now) {
+    const year = now.getFullYear();
+    const prefix = `ST-${year}-`;
+    const sequence = await nextSequence(`stock-take:${year}`, {
+      seedFrom: () => highestExisting(StockTake, 'takeNumber', prefix)
+    });
+    return `${prefix}${String(sequence).padStart(4, '0')}`;
+  }
+
+  async find(id) {
+    const take = mongoose.isValidObjectId(id) ? await StockTake.findById(id) : null;
+    if (!take) {
+      throw stockTakeError(404, 'Stock take not found');
+    }
+    return take;
+  }
+
+  /**
+   * Start a session: freeze the books for every batch on sale at `location`
+   * (all locations when blank) onto the counting sheet. Only one session
+   * may be open for a location at a time.
+   */
+  async start({ location, notes, userId, now = new Date() }) {
+    const where = String(location || '').trim() || undefined;
+
+    const open = await StockTake.findOne({
+      status: { $in: OPEN_STATUSES },
+      ...(where && { $or: [{ location: where }, { location: { $in: [null, ''] } }] })
+    });
+    if (open) {
+      throw stockTakeError(409, `Stock take ${open.takeNumber} is still open${open.location ? ` for ${open.location}` : ''}; finish or cancel it first`);
+    }
+
+    const rows = await this.sheet({ location: where, now });
+    const lines = rows.flatMap((row) => row.batches.map((batch) => ({
+      medicine: row.medicine._id,
+      medicineName: row.medicine.name,
+      batch: batch.batchId,
+      batchNumber: batch.batchNumber,
+      location: batch.location,
+      expiryDate: batch.expiry,
+      buyingPrice: batch.buyingPrice || 0,
+      expectedQuantity: batch.quantity
+    })));
+    if (!lines.length) {
+      throw stockTakeError(400, `There is no stock on hand${where ? ` at ${where}` : ''} to count`);
+    }
+
+    const take = await StockTake.create({
+      takeNumber: await this._nextTakeNumber(now),
+      location: where,
+      lines,
+      startedBy: userId,
+      startedAt: now,
+      notes
+    });
+
+    logger.info(`Stock take ${take.takeNumber} started with ${lines.length} batch(es)`);
+    return take;
+  }
+
+  /**
+   * Enter counts on the sheet. `counts` are [{ batch, countedQuantity,
+   * notes }]; a batch counted again takes the latest figure.
+   */
+  async recordCounts(take, counts, { userId, now = new Date() }) {
+    if (take.status !== 'counting') {
+      throw stockTakeError(409, `Stock take ${take.takeNumber} is ${take.status}; counts can no longer be changed`);
+    }
+    if (!Array.isArray(counts) || !counts.length) {
+      throw stockTakeError(400, 'Enter at least one count');
+    }
+
+    const problems = [];
+    const accepted = [];
+    for (const [index, count] of counts.entries()) {
+      const line = take.lines.find((l) => String(l.batch) === String(count.batch));
+      const quantity = Number(count.countedQuantity);
+      if (!line) {
+        problems.push({ line: index + 1, message: 'That batch is not on this counting sheet' });
+      } else if (count.countedQuantity === '' || count.countedQuantity === null || !Number.isInteger(quantity) || quantity < 0) {
+        problems.push({ line: index + 1, message: `Count for ${describeLine(line)} must be a whole number of zero or more` });
+      } else {
+        accepted.push({ line, quantity, notes: count.notes });
+      }
+    }
+    if (problems.length) {
+      throw stockTakeError(400, 'Some counts could not be recorded', problems);
+    }
+
+    for (const { line, quantity, notes } of accepted) {
+      line.countedQuantity = quantity;
+      line.countedBy = userId;
+      line.countedAt = now;
+      line.variance = quantity - line.expectedQuantity;
+      line.varianceValue = line.variance * (line.buyingPrice || 0);
+      if (notes !== undefined) line.notes = notes;
+    }
+    await take.save();
+    return take;
+  }
+
+  /**
+   * Progress and valuation of a session, overall and per location.
+   */
+  summary(take) {
+    const blank = () => ({
+      lines: 0, counted: 0, expectedValue: 0, countedValue: 0, varianceValue: 0,
+      shortages: { count: 0, quantity: 0, value: 0 },
+      surpluses: { count: 0, quantity: 0, value: 0 }
+    });
+    const add = (totals, line) => {
+      totals.lines += 1;
+      totals.expectedValue += line.expectedQuantity * (line.buyingPrice || 0);
+      if (line.countedQuantity === undefined || line.countedQuantity === null) return;
+      totals.counted += 1;
+      totals.countedValue += line.countedQuantity * (line.buyingPrice || 0);
+      totals.varianceValue += line.varianceValue || 0;
+      const bucket = line.variance < 0 ? totals.shortages : line.variance > 0 ? totals.surpluses : null;
+      if (bucket) {
+        bucket.count += 1;
+        bucket.quantity += Math.abs(line.variance);
+        bucket.value += Math.abs(line.varianceValue || 0);
+      }
+    };
+
+    const overall = blank();
+    const byLocation = {};
+    for (const line of take.lines) {
+      add(overall, line);
+      add(byLocation[line.location || 'UNASSIGNED'] ||= blank(), line);
+    }
+    return { ...overall, uncounted: overall.lines - overall.counted, byLocation };
+  }
+
+  /**
+   * Hand the counts to a supervisor. Every batch on the sheet must have
+   * been counted.
+   */
+  async submit(take, { userId, now = new Date() }) {
+    if (take.status !== 'counting') {
+      throw stockTakeError(409, `Stock take ${take.takeNumber} is ${take.status} and cannot be submitted`);
+    }
+    const uncounted = take.lines.filter((l) => l.countedQuantity === undefined || l.countedQuantity === null);
+    if (uncounted.length) {
+      throw stockTakeError(400, `${uncounted.length} batch(es) have not been counted`,
+        uncounted.map((l) => ({ batch: l.batch, batchNumber: l.batchNumber, medicine: l.medicineName, location: l.location })));
+    }
+
+    take.status = 'submitted';
+    take.submittedBy = userId;
+    take.submittedAt = now;
+    await take.save();
+    return take;
+  }
+
+  /**
+   * Send submitted counts back to the counters.
+   */
+  async recount(take, { reason, userId, now = new Date() }) {
+    if (take.status !== 'submitted') {
+      throw stockTakeError(409, `Only submitted stock takes can be sent back for a recount; ${take.takeNumber} is ${take.status}`);
+    }
+    if (!String(reason || '').trim()) {
+      throw stockTakeError(400, 'Say why the stock needs recounting');
+    }
+
+    take.status = 'counting';
+    take.submittedBy = undefined;
+    take.submittedAt = undefined;
+    take.history.push({ action: 'recount', reason: String(reason).trim(), by: userId, at: now });
+    await take.save();
+    return take;
+  }
+
+  async cancel(take, { reason, userId, now = new Date() }) {
+    if (!OPEN_STATUSES.includes(take.status)) {
+      throw stockTakeError(409, `Stock take ${take.takeNumber} is ${take.status} and cannot be cancelled`);
+    }
+    if (!String(reason || '').trim()) {
+      throw stockTakeError(400, 'A reason for cancelling the stock take is required');
+    }
+
+    take.status = 'cancelled';
+    take.cancelledBy = userId;
+    take.cancelledAt = now;
+    take.history.push({ action: 'cancelled', reason: String(reason).trim(), by: userId, at: now });
+    await take.save();
+    return take;
+  }
+
+  /**
+   * Approve the variances and post them. Each batch moves by its variance
+   * rather than being overwritten with the count, so stock sold or received
+   * since the session started is not lost. The approver must not have
+   * counted any of the batches.
+   *
+   * Returns { take, adjustments }.
+   */
+  async approve(take, { userId, now = new Date() }) {
+    if (take.status !== 'submitted') {
+      throw stockTakeError(409, `Stock take ${take.takeNumber} is ${take.status}; only submitted counts can be approved`);
+    }
+    if (take.lines.some((l) => String(l.countedBy) === String(userId))) {
+      throw stockTakeError(409, 'Counts must be approved by someone who did not count them');
+    }
+
+    let approved;
+    const adjustments = await withTransaction(async (session) => {
+      const sessionOpt = session ? { session } : {};
+      const posted = [];
+
+      // Claim the approval first; a concurrent approval or recount of the
+      // same take leaves nothing to claim and posts no adjustments
+      approved = await StockTake.findOneAndUpdate(
+        { _id: take._id, status: 'submitted' },
+        { $set: { status: 'approved', approvedBy: userId, approvedAt: now } },
+        { new: true, ...sessionOpt }
+      );
+      if (!approved) {
+        throw stockTakeError(409, `Stock take ${take.takeNumber} is no longer awaiting approval`);
+      }
+
+      for (const line of approved.lines.filter((l) => l.variance)) {
+        const batch = await MedicineBatch.findOneAndUpdate(
+          { _id: line.batch },
+          [
+            { $set: { quantityRemaining: { $max: [0, { $add: ['$quantityRemaining', line.variance] }] } } },
+            {
+              $set: {
+                status: {
+                  $cond: [
+                    { $lte: ['$quantityRemaining', 0] },
+                    'depleted',
+                    { $cond: [{ $eq: ['$status', 'depleted'] }, 'active', '$status'] }
+                  ]
+                }
+              }
+            }
+          ],
+          { new: true, ...sessionOpt }
+        );
+        if (!batch) {
+          throw stockTakeError(409, `Batch ${line.batchNumber} of ${line.medicineName} no longer exists`);
+        }
+
+        await StockMovement.create([{
+          medicine: line.medicine,
+          batch: line.batch,
+          type: 'ADJUSTMENT',
+          // Signed: a surplus adds stock, a shortage removes it
+          quantity: line.variance,
+          reason: `Stock take ${take.takeNumber}: counted ${line.countedQuantity}, expected ${line.expectedQuantity} (${line.variance > 0 ? 'surplus' : 'shortage'})`,
+          stockTake: take._id,
+          location: batch.location,
+          performedBy: userId,
+          createdAt: now
+        }], sessionOpt);
+
+        posted.push({
+          batch: line.batch,
+          batchNumber: line.batchNumber,
+          medicine: line.medicineName,
+          variance: line.variance,
+          varianceValue: line.varianceValue,
+          quantityRemaining: batch.quantityRemaining
+        });
+      }
+
+      return posted;
+    }, 'stock take approval');
+
+    logger.info(`Stock take ${take.takeNumber} approved: ${adjustments.length} adjustment(s) posted`);
+    return { take: approved, adjustments };
+  }
+
+  /**
+   * The counting sheet with its variances, for auditors.
+   */
+  async exportCsv(take) {
+    await take.populate([
+      { path: 'lines.countedBy', select: 'firstName lastName' },
+      { path: 'approvedBy', select: 'firstName lastName' }
+    ]);
+    const name = (user) => (user?.firstName ? `${user.firstName} ${user.lastName}` : '');
+
+    return toCsv(take.lines, [
+      { header: 'Stock Take', value: () => take.takeNumber },
+      { header: 'Status', value: () => take.status },
+      { header: 'Location', value: (l) => l.location },
+      { header: 'Medicine', value: (l) => l.medicineName },
+      { header: 'Batch', value: (l) => l.batchNumber },
+      { header: 'Expiry', value: (l) => l.expiryDate?.toISOString().slice(0, 10) },
+      { header: 'Buying Price', value: (l) => l.buyingPrice },
+      { header: 'Expected', value: (l) => l.expectedQuantity },
+      { header: 'Counted', value: (l) => l.countedQuantity },
+      { header: 'Variance', value: (l) => l.variance },
+      { header: 'Variance Value', value: (l) => l.varianceValue },
+      { header: 'Counted By', value: (l) => name(l.countedBy) },
+      { header: 'Counted At', value: (l) => l.countedAt },
+      { header: 'Approved By', value: () => name(take.approvedBy) },
+      { header: 'Approved At', value: () => take.approvedAt },
+      { header: 'Notes', value: (l) => l.notes }
+    ]);
+  }
+}
+
+export default new StockTakeService();
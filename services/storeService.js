@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import StockTransfer from '../models/StockTransfer.js';
+import { Medicine } from '../models/Medicine.js';
+import { MedicineBatch } from '../models/MedicineBatch.js';
+import { StockMovement } from '../models/StockMovement.js';
+import { deductFromBatches } from '../utils/deductStock.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import logger from '../utils/logger.js';
+
+const storeError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const normaliseCode = (code) => String(code || '').trim().toUpperCase();
+
+class StoreService {
+  async findActive(code) {
+    const store = await Store.findOne({ code: normaliseCode(code), isActive: true });
+    if (!store) {
+      throw storeError(404, `Store ${normaliseCode(code) || '(blank)'} not found`);
+    }
+    return store;
+  }
+
+  async mainStore() {
+    const store = await Store.findOne({ type: 'main', isActive: true });
+    if (!store) {
+      throw storeError(409, 'No main store is set up');
+    }
+    return store;
+  }
+
+  /**
+   * Code of the store dispensing and counter sales take stock from, or null
+   * while no pharmacy store is set up, in which case they draw on every
+   * store as before stores existed.
+   */
+  async dispensingLocation() {
+    const store = await Store.findOne({ type: 'pharmacy', isActive: true }).select('code');
+    return store?.code || null;
+  }
+
+  async storeForDepartment(department) {
+    const store = await Store.findOne({ department, isActive: true });
+    if (!store) {
+      throw storeError(409, `No store is set up to receive stock for ${department}`);
+    }
+    return store;
+  }
+
+  /**
+   * What a store holds: its batches on hand, with a total per medicine.
+   */
+  async balance(code, { now = new Date() } = {}) {
+    const batches = await MedicineBatch.find({
+      location: normaliseCode(code),
+      status: 'active',
+      quantityRemaining: { $gt: 0 },
+      expiryDate: { $gt: now }
+    })
+      .populate('medicine', 'name type strength reorderLevel')
+      .sort('expiryDate');
+
+    const byMedicine = new Map();
+    for (const batch of batches) {
+      if (!batch.medicine) continue;
+      const key = String(batch.medicine._id);
+      if (!byMedicine.has(key)) {
+        byMedicine.set(key, { medicine: batch.medicine, quantity: 0, value: 0, nearestExpiry: batch.expiryDate, batches: [] });
+      }
+      const row = byMedicine.get(key);
+      row.quantity += batch.quantityRemaining;
+      row.value += batch.quantityRemaining * (batch.buyingPrice || 0);
+      row.batches.push({
+        _id: batch._id,
+        batchNumber: batch.batchNumber,
+        quantity: batch.quantityRemaining,
+        expiryDate: batch.expiryDate,
+        buyingPrice: batch.buyingPrice
+      });
+    }
+
+    return [...byMedicine.values()].sort((a, b) => a.medicine.name.localeCompare(b.medicine.name));
+  }
+
+  // Quantities asked for, per medicine, checked against what the source
+  // store holds before anything moves
+  async _checkAvailable(from, lines, now) {
+    const shortages = [];
+    for (const line of lines) {
+      const batches = await MedicineBatch.find({
+        medicine: line.medicine,
+        location: from,
+        status: 'active',
+        quantityRemaining: { $gt: 0 },
+        expiryDate: { $gt: now }
+      }).select('quantityRemaining');
+      const available = batches.reduce((sum, batch) => sum + batch.quantityRemaining, 0);
+      if (available < line.quantity) {
+        shortages.push({ medicine: line.medicine, name: line.medicineName, wanted: line.quantity, available });
+      }
+    }
+    if (shortages.length) {
+      throw storeError(409, `Not enough stock at ${from}: ${shortages.map((s) => `${s.name} (${s.available} of ${s.wanted})`).join(', ')}`, shortages);
+    }
+  }
+
+  /**
+   * Move stock between stores, oldest expiry first. Each batch taken is
+   * added to the same batch (number and expiry) at the destination,
+   * creating it there if needed.
+   *
+   * `items` are [{ medicine, quantity }]. Returns the StockTransfer.
+   * Pass the `session` from a caller's withTransaction (null included) to
+   * post the transfer inside that transaction rather than its own.
+   */
+  async transfer({ from, to, items, notes, requisition, userId, now = new Date(), session }) {
+    const [source, destination] = await Promise.all([this.findActive(from), this.findActive(to)]);
+    if (source.code === destination.code) {
+      throw storeError(400, 'Choose two different stores');
+    }
+    if (!Array.isArray(items) || !items.length) {
+      throw storeError(400, 'A transfer needs at least one medicine');
+    }
+
+    const ids = items.map((item) => item.medicine).filter((id) => mongoose.isValidObjectId(id));
+    const medicines = await Medicine.find({ _id: { $in: ids } }).select('name');
+    const problems = [];
+    const lines = [];
+    for (const [index, item] of items.entries()) {
+      const medicine = medicines.find((m) => String(m._id) === String(item.medicine));
+      const quantity = Number(item.quantity);
+      if (!medicine) {
+        problems.push({ line: index + 1, message: 'Medicine not found' });
+      } else if (!Number.isInteger(quantity) || quantity <= 0) {
+        problems.push({ line: index + 1, message: `Quantity of ${medicine.name} must be a whole number above zero` });
+      } else {
+        const existing = lines.find((l) => String(l.medicine) === String(medicine._id));
+        if (existing) existing.quantity += quantity;
+        else lines.push({ medicine: medicine._id, medicineName: medicine.name, quantity, batches: [] });
+      }
+    }
+    if (problems.length) {
+      throw storeError(400, 'Some lines could not be transferred', problems);
+    }
+    await this._checkAvailable(source.code, lines, now);
+
+    const post = async (session) => {
+      const sessionOpt = session ? { session } : {};
+      const transfer = new StockTransfer({
+        transferNumber: await StockTransfer.generateTransferNumber(session, now),
+        fromStore: source.code,
+        toStore: destination.code,
+        requisition,
+        transferredBy: userId,
+        transferredAt: now,
+        notes
+      });
+      const reason = `Transfer ${transfer.transferNumber}: ${source.code} to ${destination.code}`;
+
+      for (const line of lines) {
+        line.batches = [];
+        const result = await deductFromBatches({
+          medicineId: line.medicine,
+          quantity: line.quantity,
+          reason,
+          performedBy: userId,
+          session,
+          location: source.code,
+          type: 'TRANSFER_OUT',
+          transfer: transfer._id
+        });
+        if (result.remaining > 0) {
+          throw storeError(409, `Not enough stock of ${line.medicineName} at ${source.code}: it was used elsewhere while this transfer was being made`);
+        }
+
+        const taken = await MedicineBatch.find({ _id: { $in: result.batchesUsed.map((b) => b.batch) } }).session(session || null);
+        for (const used of result.batchesUsed) {
+          const batch = taken.find((b) => String(b._id) === String(used.batch));
+          const received = await MedicineBatch.findOneAndUpdate(
+            { medicine: line.medicine, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, location: destination.code },
+            {
+              $inc: { quantityReceived: used.quantity, quantityRemaining: used.quantity },
+              $set: { status: 'active' },
+              $setOnInsert: {
+                purchaseOrder: batch.purchaseOrder,
+                buyingPrice: batch.buyingPrice,
+                sellingPrice: batch.sellingPrice,
+                receivedBy: userId,
+                receivedAt: now
+              }
+            },
+            { upsert: true, new: true, ...sessionOpt }
+          );
+
+          await StockMovement.create([{
+            medicine: line.medicine,
+            batch: received._id,
+            type: 'TRANSFER_IN',
+            quantity: used.quantity,
+            reason,
+            performedBy: userId,
+            location: destination.code,
+            transfer: transfer._id
+          }], sessionOpt);
+
+          line.batches.push({
+            batchNumber: batch.batchNumber,
+            expiryDate: batch.expiryDate,
+            quantity: used.quantity,
+            fromBatch: batch._id,
+            toBatch: received._id
+          });
+        }
+      }
+
+      transfer.lines = lines;
+      await transfer.save(sessionOpt);
+      return transfer;
+    };
+    const transfer = session === undefined
+      ? await withTransaction(post, 'stock transfer')
+      : await post(session);
+
+    logger.info(`Stock transfer ${transfer.transferNumber}: ${lines.length} medicine(s) from ${source.code} to ${destination.code}`);
+    return transfer;
+  }
+}
+
+export default new StoreService();
@@ -0,0 +1,117 @@
+import Visit from '../models/Visit.js';
+import Patient from '../models/Patient.js';
+import Service from '../models/Service.js';
+import billingService from './billingService.js';
+import eligibilityService from './eligibilityService.js';
+import pricingService from './pricingService.js';
+import logger from '../utils/logger.js';
+
+const visitError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Price a catalogue service for whoever pays for the visit: the insurer's
+ * price list when insurance covers it, otherwise the cash list, and the
+ * catalogue price when neither has one.
+ */
+export const priceForVisit = async (service, itemType, patient, hasInsurance) => {
+  const resolved = await pricingService.resolvePrice({
+    itemType,
+    name: service.name,
+    item: service._id,
+    provider: hasInsurance ? patient.insurance?.provider : null,
+    fallback: service.price
+  });
+  return resolved ? resolved.price : service.price;
+};
+
+class VisitService {
+  /**
+   * Open an outpatient visit and bill its consultation fee, for a walk-in
+   * (POST /api/visits) or a booked patient checking in. Insured patients are
+   * only billed to their plan once the policy checks out; anyone else goes
+   * through the cash flow.
+   *
+   * Returns { visit, eligibility, hasInsurance }.
+   */
+  async openVisit({ patientId, doctorId, visitDate, reason, type, appointment }, userId) {
+    const activeVisit = await Visit.findOne({
+      patient: patientId,
+      isActive: true
+    });
+    if (activeVisit) {
+      throw visitError(400, 'Patient already has an active visit');
+    }
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      throw visitError(404, 'Patient not found');
+    }
+
+    const eligibility = await eligibilityService.verify(patient, { userId });
+    const hasInsurance = !!eligibility?.eligible;
+
+    const visit = await new Visit({
+      patient: patientId,
+      doctor: doctorId,
+      visitDate,
+      reason,
+      status: hasInsurance ? 'In Queue' : 'Pending Payment',
+      type,
+      startedBy: userId,
+      appointment,
+      insuranceVerification: eligibility || undefined,
+    }).save();
+
+    // === USE CENTRALIZED BILLING SERVICE ===
+    const consultationService = await Service.findOne({
+      name: 'Consultation fees',
+      category: 'Consultation'
+    });
+
+    if (consultationService) {
+      const consultationFee = await priceForVisit(consultationService, 'service', patient, hasInsurance);
+
+      // billingService checks for an existing invoice on the visit
+      const invoice = await billingService.createInvoice({
+        patient: patientId,
+        visit: visit._id,
+        items: [{
+          type: 'consultation',
+          description: consultationService.name,
+          quantity: 1,
+          unitPrice: consultationFee,
+          total: consultationFee
+        }],
+        paymentTerms: 'immediate'
+      }, userId);
+
+      // Link invoice to visit (billingService does this too, but be explicit)
+      visit.invoice = invoice._id;
+      visit.consultationFeeAmount = consultationFee;
+      visit.consultationFeePaid = hasInsurance;
+      await visit.save();
+
+      logger.info(`Visit ${visit.visitId} created with invoice ${invoice.invoiceNumber}`);
+    }
+
+    return { visit, eligibility, hasInsurance };
+  }
+
+  /**
+   * What the receptionist is told once a visit is open, after `lead`.
+   */
+  openingMessage({ eligibility, hasInsurance }, lead = 'Visit created') {
+    if (hasInsurance) {
+      return `${lead}. Consultation fee covered by insurance.`;
+    }
+    return eligibility
+      ? `${lead}. Insurance not verified (${eligibility.reason}); payment required before services can be ordered.`
+      : `${lead}. Payment required before services can be ordered.`;
+  }
+}
+
+export default new VisitService();
@@ -0,0 +1,209 @@
+import Appointment from '../models/Appointment.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import Notification from '../models/Notification.js';
+import scheduleService from './scheduleService.js';
+import logger from '../utils/logger.js';
+
+// How long an offered slot is held for the patient, never past the slot itself
+const OFFER_HOURS = Number(process.env.WAITLIST_OFFER_HOURS) || 24;
+
+const slotKey = (date, time) => `${date}T${time}`;
+const slotStart = (date, time) => new Date(`${date}T${time}:00`);
+
+const waitlistError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class WaitlistService {
+  /**
+   * Offer the slot a cancelled appointment freed to the longest-waiting
+   * patient of the same doctor it suits: the date is within their range,
+   * their appointment fits in the time freed and they have not already
+   * turned this slot down. Returns the entry offered the slot, or null when
+   * nobody is waiting for it, it is already past or it has been rebooked.
+   */
+  async offerFreedSlot(appointment, { now = new Date() } = {}) {
+    const { doctor, appointmentDate: date, appointmentTime: time } = appointment;
+    const duration = appointment.duration || 30;
+    if (slotStart(date, time) <= now) return null;
+
+    try {
+      // Only clashes matter here: the slot was bookable when it was booked
+      await scheduleService.assertBookable({ doctor, date, time, duration, type: 'emergency', excludeId: appointment._id });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return null;
+    }
+
+    const entry = await WaitlistEntry.findOne({
+      doctor,
+      status: 'waiting',
+      patient: { $ne: appointment.patient },
+      duration: { $lte: duration },
+      declinedSlots: { $ne: slotKey(date, time) },
+      $and: [
+        { $or: [{ earliestDate: null }, { earliestDate: { $lte: date } }] },
+        { $or: [{ latestDate: null }, { latestDate: { $gte: date } }] }
+      ]
+    }).sort({ createdAt: 1 }).populate('patient', 'firstName lastName');
+    if (!entry) return null;
+
+    const holdUntil = new Date(now.getTime() + OFFER_HOURS * 3600000);
+    entry.status = 'offered';
+    entry.offer = {
+      date,
+      time,
+      duration,
+      freedBy: appointment._id,
+      offeredAt: now,
+      expiresAt: holdUntil < slotStart(date, time) ? holdUntil : slotStart(date, time)
+    };
+    await entry.save();
+
+    const patientName = entry.patient?.firstName ? `${entry.patient.firstName} ${entry.patient.lastName}` : 'A waitlisted patient';
+    try {
+      await Notification.createNotification({
+        recipient: entry.createdBy,
+        type: 'waitlist_offer',
+        title: 'Waitlist slot offered',
+        message: `${patientName} has been offered ${time} on ${date}. Confirm or decline the offer before ${entry.offer.expiresAt.toLocaleString()}.`,
+        priority: 'high',
+        relatedEntity: { entityType: 'appointment', entityId: appointment._id },
+        metadata: { waitlistEntry: String(entry._id) }
+      });
+    } catch (error) {
+      logger.error('Waitlist offer notification error:', error);
+    }
+
+    logger.info(`Offered ${slotKey(date, time)} with doctor ${doctor} to waitlist entry ${entry._id}`);
+    return entry;
+  }
+
+  /**
+   * Put an entry with an open offer back in the queue, remembering the slot
+   * so it is not offered to them again, and pass the slot on.
+   */
+  async _release(entry, userId, now) {
+    const { date, time, duration, freedBy } = entry.offer;
+    entry.declinedSlots.push(slotKey(date, time));
+    entry.status = 'waiting';
+    entry.offer = undefined;
+    entry.updatedBy = userId;
+    await entry.save();
+
+    return this.offerFreedSlot(
+      { _id: freedBy, doctor: entry.doctor, patient: entry.patient, appointmentDate: date, appointmentTime: time, duration },
+      { now }
+    );
+  }
+
+  async _findOffered(entryId) {
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry) {
+      throw waitlistError(404, 'Waitlist entry not found');
+    }
+    if (entry.status !== 'offered') {
+      throw waitlistError(409, 'This waitlist entry has no open offer');
+    }
+    return entry;
+  }
+
+  /**
+   * Book the offered slot for the patient. An expired offer, or a slot that
+   * has been taken in the meantime, goes to the next patient instead.
+   */
+  async accept(entryId, userId, { now = new Date() } = {}) {
+    const entry = await this._findOffered(entryId);
+    const { date, time } = entry.offer;
+
+    if (entry.offer.expiresAt <= now) {
+      await this._release(entry, userId, now);
+      throw waitlistError(410, 'This offer has expired and has been passed on');
+    }
+
+    try {
+      await scheduleService.assertBookable({ doctor: entry.doctor, date, time, duration: entry.duration, type: entry.type });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      entry.declinedSlots.push(slotKey(date, time));
+      entry.status = 'waiting';
+      entry.offer = undefined;
+      entry.updatedBy = userId;
+      await entry.save();
+      throw waitlistError(409, `The slot can no longer be booked: ${error.message}`);
+    }
+
+    const appointment = await Appointment.create({
+      patient: entry.patient,
+      doctor: entry.doctor,
+      appointmentDate: date,
+      appointmentTime: time,
+      duration: entry.duration,
+      type: entry.type,
+      status: 'scheduled',
+      reason: entry.reason,
+      notes: entry.notes,
+      createdBy: userId
+    });
+
+    entry.status = 'booked';
+    entry.appointment = appointment._id;
+    entry.updatedBy = userId;
+    await entry.save();
+
+    return { entry, appointment };
+  }
+
+  /**
+   * The patient cannot make the offered slot: they keep their place and
+   * the slot goes to the next patient. Returns the entry it was offered to.
+   */
+  async decline(entryId, userId, { now = new Date() } = {}) {
+    const entry = await this._findOffered(entryId);
+    const next = await this._release(entry, userId, now);
+    return { entry, next };
+  }
+
+  /**
+   * Take a patient off the waitlist, passing on any slot they were offered.
+   */
+  async remove(entryId, userId, { now = new Date() } = {}) {
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry || entry.status === 'removed') {
+      throw waitlistError(404, 'Waitlist entry not found');
+    }
+    if (entry.status === 'booked') {
+      throw waitlistError(409, 'This patient has already been booked from the waitlist');
+    }
+
+    const offer = entry.status === 'offered' && entry.offer;
+    entry.status = 'removed';
+    entry.offer = undefined;
+    entry.updatedBy = userId;
+    await entry.save();
+
+    if (offer) {
+      await this.offerFreedSlot(
+        { _id: offer.freedBy, doctor: entry.doctor, patient: entry.patient, appointmentDate: offer.date, appointmentTime: offer.time, duration: offer.duration },
+        { now }
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Pass on offers nobody answered in time. Run before the waitlist is
+   * read, so an expired offer never holds up the queue for long.
+   */
+  async expireOffers({ now = new Date() } = {}) {
+    const expired = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+    for (const entry of expired) {
+      await this._release(entry, undefined, now);
+    }
+    return expired.length;
+  }
+}
+
+export default new WaitlistService();
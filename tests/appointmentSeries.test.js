@@ -0,0 +1,267 @@
+/**
+ * Tests for recurring appointments and the waitlist that picks up cancelled
+ * slots.
+ *
+ * The real Appointment, AppointmentSeries and WaitlistEntry models are used
+ * (so defaults and validation run) over an in-memory store whose matcher
+ * understands just the query operators the services use.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({ withTransaction: (fn) => fn(null) }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: USER_ID, id: USER_ID, hasPermission: () => true };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+  requireAnyPermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+const DOCTOR_ID = new mongoose.Types.ObjectId().toString();
+
+const { occurrenceDates } = await import('../services/appointmentSeriesService.js');
+const { default: appointmentRoutes } = await import('../routes/appointments.js');
+const { default: waitlistRoutes } = await import('../routes/waitlist.js');
+const { default: Appointment } = await import('../models/Appointment.js');
+const { default: AppointmentSeries } = await import('../models/AppointmentSeries.js');
+const { default: WaitlistEntry } = await import('../models/WaitlistEntry.js');
+const { default: ClinicianSchedule } = await import('../models/ClinicianSchedule.js');
+const { default: Notification } = await import('../models/Notification.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+
+// 2026-10-26 is a Monday
+const MONDAY = '2026-10-26';
+
+// --- in-memory store ---
+const same = (a, b) => (a == null && b == null) || (a != null && b != null && String(a) === String(b));
+const has = (value, arg) => (Array.isArray(value) ? value.some((v) => same(v, arg)) : same(value, arg));
+const isOperator = (cond) =>
+  cond && typeof cond === 'object' && !(cond instanceof Date) && !(cond instanceof mongoose.Types.ObjectId)
+  && Object.keys(cond).some((k) => k.startsWith('$'));
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+  if (key === '$or') return cond.some((f) => matches(doc, f));
+  if (key === '$and') return cond.every((f) => matches(doc, f));
+  const value = key.split('.').reduce((v, k) => v?.[k], doc);
+  if (isOperator(cond)) {
+    return Object.entries(cond).every(([op, arg]) => ({
+      $in: () => arg.some((a) => has(value, a)),
+      $nin: () => !arg.some((a) => has(value, a)),
+      $ne: () => !has(value, arg),
+      $gte: () => value >= arg,
+      $lte: () => value <= arg,
+    })[op]());
+  }
+  return has(value, cond);
+});
+
+const query = (rows, single = false) => ({
+  sort(spec) {
+    const [[field, dir]] = Object.entries(spec);
+    rows.sort((a, b) => (a[field] < b[field] ? -dir : a[field] > b[field] ? dir : 0));
+    return this;
+  },
+  select() { return this; },
+  populate() { return this; },
+  session() { return this; },
+  then(resolve, reject) { return Promise.resolve(single ? rows[0] || null : rows).then(resolve, reject); },
+});
+
+const store = (Model, rows) => {
+  jest.spyOn(Model, 'find').mockImplementation((filter) => query(rows().filter((d) => matches(d, filter))));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => query(rows().filter((d) => matches(d, filter)), true));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => query(rows().filter((d) => same(d._id, id)), true));
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function () {
+    await this.validate();
+    if (!rows().includes(this)) rows().push(this);
+    return this;
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async (docs) => {
+    const made = [];
+    for (const doc of [].concat(docs)) made.push(await new Model(doc).save());
+    return Array.isArray(docs) ? made : made[0];
+  });
+};
+
+let appointments;
+let series;
+let waitlist;
+let notifications;
+
+beforeAll(() => {
+  store(Appointment, () => appointments);
+  store(AppointmentSeries, () => series);
+  store(WaitlistEntry, () => waitlist);
+  jest.spyOn(ClinicianSchedule, 'findOne').mockImplementation(async () => new ClinicianSchedule({
+    clinician: DOCTOR_ID,
+    weeklyHours: [{ day: 'monday', start: '08:00', end: '12:00' }],
+  }));
+  jest.spyOn(Notification, 'createNotification').mockImplementation(async (data) => notifications.push(data));
+});
+
+beforeEach(() => {
+  appointments = [];
+  series = [];
+  waitlist = [];
+  notifications = [];
+});
+
+const patient = () => new mongoose.Types.ObjectId().toString();
+
+const bookSeries = (overrides = {}) => request(app).post('/api/appointments').send({
+  patientId: patient(),
+  doctorId: DOCTOR_ID,
+  date: MONDAY,
+  time: '09:00',
+  duration: '30 minutes',
+  type: 'Follow-up',
+  notes: 'Diabetes review',
+  recurrence: { frequency: 'weekly', count: 4 },
+  ...overrides,
+});
+
+const booked = (date, time, extra = {}) => {
+  const appointment = new Appointment({
+    patient: patient(),
+    doctor: DOCTOR_ID,
+    appointmentDate: date,
+    appointmentTime: time,
+    type: 'consultation',
+    reason: 'Review',
+    createdBy: USER_ID,
+    ...extra,
+  });
+  appointments.push(appointment);
+  return appointment;
+};
+
+const waiting = (extra = {}) => {
+  const entry = new WaitlistEntry({
+    patient: patient(),
+    doctor: DOCTOR_ID,
+    reason: 'Earlier review wanted',
+    createdBy: USER_ID,
+    createdAt: new Date(Date.now() - (10 - waitlist.length) * 60000),
+    ...extra,
+  });
+  waitlist.push(entry);
+  return entry;
+};
+
+describe('occurrenceDates', () => {
+  it('repeats weekly or monthly, keeping month ends in shorter months', () => {
+    expect(occurrenceDates(MONDAY, { frequency: 'weekly', interval: 2, count: 3 }))
+      .toEqual(['2026-10-26', '2026-11-09', '2026-11-23']);
+    expect(occurrenceDates('2027-01-31', { frequency: 'monthly', until: '2027-04-30' }))
+      .toEqual(['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30']);
+    expect(() => occurrenceDates(MONDAY, { frequency: 'daily', count: 3 })).toThrow('recurrence.frequency must be one of weekly, monthly');
+    expect(() => occurrenceDates(MONDAY, { frequency: 'weekly', until: '2028-12-31' })).toThrow('A series can have at most 52 appointments');
+  });
+});
+
+describe('POST /api/appointments with a recurrence', () => {
+  it('books every occurrence, linked to the series', async () => {
+    const res = await bookSeries();
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Booked 4 appointments from 2026-10-26 to 2026-11-16');
+    expect(series).toHaveLength(1);
+    expect(appointments.map((a) => [a.appointmentDate, a.occurrence, String(a.series)]))
+      .toEqual(['2026-10-26', '2026-11-02', '2026-11-09', '2026-11-16'].map((d, i) => [d, i + 1, String(series[0]._id)]));
+  });
+
+  it('books nothing when any date is taken and says which', async () => {
+    booked('2026-11-09', '09:15');
+
+    const res = await bookSeries();
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('1 of 4 appointment(s) in the series cannot be booked');
+    expect(res.body.conflicts).toEqual([expect.objectContaining({ date: '2026-11-09', message: 'The doctor already has an appointment at 09:15 on 2026-11-09' })]);
+    expect(series).toHaveLength(0);
+    expect(appointments).toHaveLength(1);
+  });
+});
+
+describe('changing a series', () => {
+  it("moves 'all following' occurrences together, onto each other's old dates", async () => {
+    await bookSeries();
+    const second = appointments[1];
+
+    const res = await request(app).put(`/api/appointments/${second._id}`)
+      .send({ scope: 'following', appointmentDate: '2026-11-09', appointmentTime: '10:00' });
+
+    expect(res.status).toBe(200);
+    expect(appointments.map((a) => `${a.appointmentDate} ${a.appointmentTime}`))
+      .toEqual(['2026-10-26 09:00', '2026-11-09 10:00', '2026-11-16 10:00', '2026-11-23 10:00']);
+    expect(series[0].appointmentTime).toBe('10:00');
+  });
+
+  it('cancels the rest of a series from a date and leaves earlier appointments alone', async () => {
+    await bookSeries();
+
+    const res = await request(app).patch(`/api/appointments/series/${series[0]._id}/cancel`)
+      .send({ from: '2026-11-09', reason: 'Transferred to another clinic' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Cancelled 2 appointment(s) in the series');
+    expect(appointments.map((a) => a.status)).toEqual(['scheduled', 'scheduled', 'cancelled', 'cancelled']);
+    expect(series[0]).toMatchObject({ status: 'cancelled', cancellationReason: 'Transferred to another clinic' });
+  });
+});
+
+describe('waitlist', () => {
+  it('offers a cancelled slot to the longest-waiting patient it suits', async () => {
+    const appointment = booked('2026-11-02', '09:00');
+    waiting({ latestDate: '2026-10-30' });
+    waiting({ duration: 60 });
+    const next = waiting({ earliestDate: '2026-11-01' });
+    waiting();
+
+    const res = await request(app).patch(`/api/appointments/${appointment._id}/status`).send({ status: 'Cancelled' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.waitlistOffer._id).toBe(String(next._id));
+    expect(next.status).toBe('offered');
+    expect(next.offer).toMatchObject({ date: '2026-11-02', time: '09:00', duration: 30 });
+    expect(notifications).toEqual([expect.objectContaining({ type: 'waitlist_offer', recipient: next.createdBy })]);
+  });
+
+  it('passes a declined slot on and books the patient who accepts', async () => {
+    const appointment = booked('2026-11-02', '09:00');
+    const first = waiting();
+    const second = waiting();
+    await request(app).patch(`/api/appointments/${appointment._id}/status`).send({ status: 'cancelled' });
+
+    const declined = await request(app).post(`/api/waitlist/${first._id}/decline`);
+    const accepted = await request(app).post(`/api/waitlist/${second._id}/accept`);
+
+    expect(declined.body.data.next._id).toBe(String(second._id));
+    expect(first).toMatchObject({ status: 'waiting', declinedSlots: ['2026-11-02T09:00'] });
+    expect(accepted.status).toBe(201);
+    expect(second.status).toBe('booked');
+    expect(appointments.at(-1)).toMatchObject({ patient: second.patient, appointmentDate: '2026-11-02', appointmentTime: '09:00', status: 'scheduled' });
+  });
+
+  it('refuses an accepted offer once the slot has been rebooked', async () => {
+    const appointment = booked('2026-11-02', '09:00');
+    const entry = waiting();
+    await request(app).patch(`/api/appointments/${appointment._id}/status`).send({ status: 'cancelled' });
+    booked('2026-11-02', '09:00');
+
+    const res = await request(app).post(`/api/waitlist/${entry._id}/accept`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('The slot can no longer be booked: The doctor already has an appointment at 09:00 on 2026-11-02');
+    expect(entry.status).toBe('waiting');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for middleware/auditTrail.js.
+ *
+ * AuditLog is mocked to collect entries, and the audited model is an
+ * in-memory record store, so a small express app can run real requests
+ * through the middleware. The audit entry is written after the response
+ * finishes, so each test waits for it before asserting.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+const entries = [];
+let waiting = null;
+
+jest.unstable_mockModule('../models/AuditLog.js', () => ({
+  default: {
+    log: async (data) => {
+      entries.push(data);
+      waiting?.();
+    },
+  },
+}));
+
+const { auditTrail, diffSnapshots, redact, entityIdFromPath } = await import('../middleware/auditTrail.js');
+const { toCsv } = await import('../utils/csv.js');
+
+const ID = '64a000000000000000000001';
+const records = new Map();
+
+const Model = {
+  findById: (id) => ({ lean: async () => (records.has(id) ? structuredClone(records.get(id)) : null) }),
+};
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.get('x-anonymous')) return res.status(401).json({ status: 'error' });
+  req.user = { _id: 'user-1' };
+  next();
+});
+app.use('/api/patients', auditTrail('Patient', Model));
+app.get('/api/patients', (req, res) => res.json({ status: 'success', data: [] }));
+app.get('/api/patients/:id', (req, res) => res.json({ status: 'success', data: records.get(req.params.id) }));
+app.post('/api/patients', (req, res) => res.status(201).json({ status: 'success', data: { _id: 'new-id', ...req.body } }));
+app.put('/api/patients/:id', (req, res) => {
+  Object.assign(records.get(req.params.id), req.body, { updatedAt: 'later' });
+  res.json({ status: 'success' });
+});
+app.post('/api/patients/:id/allergies', (req, res) => {
+  records.get(req.params.id).allergies.push(req.body.allergy);
+  res.status(201).json({ status: 'success' });
+});
+app.delete('/api/patients/:id', (req, res) => {
+  records.delete(req.params.id);
+  res.json({ status: 'success' });
+});
+app.get('/api/patients/visit/:visitId', (req, res) => res.json({ status: 'success', data: [] }));
+app.put('/api/patients/:id/forbidden', (req, res) => res.status(403).json({ status: 'error' }));
+
+const send = async (req) => {
+  const logged = new Promise((resolve) => { waiting = resolve; });
+  const res = await req;
+  await Promise.race([logged, new Promise((r) => setTimeout(r, 50))]);
+  return res;
+};
+
+beforeEach(() => {
+  entries.length = 0;
+  records.clear();
+  records.set(ID, { _id: ID, firstName: 'Asha', phone: '0711', allergies: ['Penicillin'], password: 'secret', updatedAt: 'earlier' });
+});
+
+describe('auditTrail', () => {
+  it('records a read of one record with status and timing', async () => {
+    await send(request(app).get(`/api/patients/${ID}`));
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      userId: 'user-1',
+      action: 'VIEW',
+      entityType: 'Patient',
+      entityId: ID,
+      requestMethod: 'GET',
+      responseStatus: 200,
+    });
+    expect(typeof entries[0].responseTime).toBe('number');
+  });
+
+  it('records a list read without an entity id', async () => {
+    await send(request(app).get('/api/patients'));
+    expect(entries[0].action).toBe('VIEW');
+    expect(entries[0].entityId).toBeUndefined();
+  });
+
+  it('does not log another record\'s id as the entity id', async () => {
+    await send(request(app).get('/api/patients/visit/64a000000000000000000009'));
+    expect(entries[0].action).toBe('VIEW');
+    expect(entries[0].entityId).toBeUndefined();
+  });
+
+  it('records a create with the created document', async () => {
+    await send(request(app).post('/api/patients').send({ firstName: 'Juma' }));
+
+    expect(entries[0].action).toBe('CREATE');
+    expect(entries[0].entityId).toBe('new-id');
+    expect(entries[0].changes.after.firstName).toBe('Juma');
+  });
+
+  it('records only the fields an update changed', async () => {
+    await send(request(app).put(`/api/patients/${ID}`).send({ phone: '0755' }));
+
+    expect(entries[0].action).toBe('UPDATE');
+    expect(entries[0].changes).toEqual({ before: { phone: '0711' }, after: { phone: '0755' } });
+  });
+
+  it('treats a POST to a sub-resource as an update of the parent record', async () => {
+    await send(request(app).post(`/api/patients/${ID}/allergies`).send({ allergy: 'Sulfa' }));
+
+    expect(entries[0].action).toBe('UPDATE');
+    expect(entries[0].entityId).toBe(ID);
+    expect(entries[0].changes.after.allergies).toEqual(['Penicillin', 'Sulfa']);
+  });
+
+  it('keeps the deleted record, without secrets', async () => {
+    await send(request(app).delete(`/api/patients/${ID}`));
+
+    expect(entries[0].action).toBe('DELETE');
+    expect(entries[0].changes.before.firstName).toBe('Asha');
+    expect(entries[0].changes.before).not.toHaveProperty('password');
+  });
+
+  it('still records a refused request, without a diff', async () => {
+    await send(request(app).put(`/api/patients/${ID}/forbidden`).send({}));
+
+    expect(entries[0].responseStatus).toBe(403);
+    expect(entries[0].changes).toBeUndefined();
+  });
+
+  it('does not record requests that never authenticated', async () => {
+    await send(request(app).get(`/api/patients/${ID}`).set('x-anonymous', '1'));
+    expect(entries).toHaveLength(0);
+  });
+});
+
+describe('helpers', () => {
+  it('takes the entity id from directly after the router root only', () => {
+    expect(entityIdFromPath(`/${ID}/prescriptions/64a000000000000000000002/administer`)).toBe(ID);
+    expect(entityIdFromPath(`/patient/${ID}`)).toBeNull();
+    expect(entityIdFromPath('/search')).toBeNull();
+    expect(entityIdFromPath('/')).toBeNull();
+  });
+
+  it('redacts secrets at any depth', () => {
+    expect(redact({ a: { password: 'x', b: 1 }, list: [{ token: 't' }] })).toEqual({ a: { b: 1 }, list: [{}] });
+  });
+
+  it('reports no diff when only bookkeeping fields changed', () => {
+    expect(diffSnapshots({ a: 1, updatedAt: 1 }, { a: 1, updatedAt: 2 })).toBeNull();
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes separators and neutralises spreadsheet formulas', () => {
+    const csv = toCsv(
+      [{ note: 'BP 120, "stable"', cmd: '=HYPERLINK("x")' }],
+      [{ header: 'Note', value: (r) => r.note }, { header: 'Cmd', value: (r) => r.cmd }]
+    );
+
+    expect(csv).toBe('Note,Cmd\r\n"BP 120, ""stable""","\'=HYPERLINK(""x"")"\r\n');
+  });
+});
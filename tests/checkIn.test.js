@@ -0,0 +1,209 @@
+/**
+ * Tests for appointment check-in, end-of-day no-shows and the per-doctor
+ * attendance figures on the receptionist dashboard.
+ *
+ * Appointments are real model documents held in memory; the claim and
+ * release queries the service issues are applied to them by hand. Visits are
+ * opened through the real visit service with saves mocked out.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: USER_ID, id: USER_ID, hasPermission: () => true };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+  requireAnyPermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const { default: attendanceService } = await import('../services/attendanceService.js');
+const { localDate } = await import('../services/scheduleService.js');
+const { default: appointmentRoutes } = await import('../routes/appointments.js');
+const { default: dashboardRoutes } = await import('../routes/dashboard.js');
+const { default: Appointment } = await import('../models/Appointment.js');
+const { default: Visit } = await import('../models/Visit.js');
+const { default: Patient } = await import('../models/Patient.js');
+const { default: Service } = await import('../models/Service.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+
+const patient = { _id: new mongoose.Types.ObjectId(), patientId: 'P2026-0042', insurance: {} };
+const doctorId = new mongoose.Types.ObjectId();
+
+let appointment;
+let updates;
+let activeVisit;
+let savedVisit;
+
+const book = (date, time, status = 'scheduled') => new Appointment({
+  appointmentId: 'A20260001',
+  patient: patient._id,
+  doctor: doctorId,
+  appointmentDate: date,
+  appointmentTime: time,
+  reason: 'Blood pressure review',
+  type: 'follow-up',
+  status,
+});
+
+beforeAll(() => {
+  jest.spyOn(Appointment, 'findById').mockImplementation(async () => appointment);
+  jest.spyOn(Appointment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (!filter.status.$in.includes(appointment.status)) return null;
+    Object.assign(appointment, update.$set);
+    return appointment;
+  });
+  jest.spyOn(Appointment, 'updateOne').mockImplementation(async (filter, update) => {
+    updates.push(update);
+    Object.assign(appointment, update.$set);
+    Object.keys(update.$unset || {}).forEach((key) => { appointment[key] = undefined; });
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(Visit, 'findOne').mockImplementation(async () => activeVisit);
+  jest.spyOn(Visit.prototype, 'save').mockImplementation(async function () {
+    savedVisit = this;
+    return this;
+  });
+  jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+  jest.spyOn(Service, 'findOne').mockResolvedValue(null);
+});
+
+beforeEach(() => {
+  updates = [];
+  activeVisit = null;
+  savedVisit = null;
+});
+
+describe('POST /api/appointments/:id/check-in', () => {
+  it('opens the visit and links it to the appointment both ways', async () => {
+    appointment = book(localDate(), '00:00');
+
+    const res = await request(app).post(`/api/appointments/${appointment._id}/check-in`);
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Checked in and visit opened. Payment required before services can be ordered.');
+    expect(savedVisit).toMatchObject({ reason: 'Blood pressure review', type: 'follow-up', status: 'Pending Payment' });
+    expect(String(savedVisit.appointment)).toBe(String(appointment._id));
+    expect(String(savedVisit.doctor)).toBe(String(doctorId));
+    expect(appointment.status).toBe('checked-in');
+    expect(String(appointment.visit)).toBe(String(savedVisit._id));
+    expect(res.body.data.visit._id).toBe(String(savedVisit._id));
+  });
+
+  it('turns away a second check-in', async () => {
+    appointment = book(localDate(), '00:00', 'checked-in');
+
+    const res = await request(app).post(`/api/appointments/${appointment._id}/check-in`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('This appointment has already been checked in');
+    expect(savedVisit).toBeNull();
+  });
+
+  it('only checks in appointments booked for today', async () => {
+    appointment = book('2026-01-05', '09:00');
+
+    const res = await request(app).post(`/api/appointments/${appointment._id}/check-in`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('This appointment is on 2026-01-05, not today');
+  });
+
+  it('releases the appointment when the visit cannot be opened', async () => {
+    appointment = book(localDate(), '00:00', 'confirmed');
+    activeVisit = { _id: new mongoose.Types.ObjectId() };
+
+    const res = await request(app).post(`/api/appointments/${appointment._id}/check-in`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Patient already has an active visit');
+    expect(appointment.status).toBe('confirmed');
+    expect(appointment.checkedInAt).toBeUndefined();
+    expect(appointment.visit).toBeUndefined();
+  });
+});
+
+describe('attendanceService', () => {
+  it('records how late the patient arrived', async () => {
+    const late = book('2026-10-26', '09:00');
+    const early = book('2026-10-26', '10:00');
+
+    appointment = late;
+    await attendanceService.checkIn(late._id, USER_ID, { now: new Date('2026-10-26T09:25:00') });
+    appointment = early;
+    await attendanceService.checkIn(early._id, USER_ID, { now: new Date('2026-10-26T09:40:00') });
+
+    expect(late).toMatchObject({ status: 'checked-in', lateMinutes: 25, checkedInAt: new Date('2026-10-26T09:25:00') });
+    expect(early.lateMinutes).toBe(0);
+    expect(savedVisit.visitDate).toEqual(new Date('2026-10-26T09:40:00'));
+  });
+
+  it('marks open appointments from earlier days as no-shows', async () => {
+    const updateMany = jest.spyOn(Appointment, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    const result = await attendanceService.markNoShows({ now: new Date('2026-10-27T00:30:00') });
+
+    expect(result).toEqual({ noShows: 3 });
+    expect(updateMany).toHaveBeenCalledWith(
+      { status: { $in: ['scheduled', 'confirmed'] }, appointmentDate: { $lt: '2026-10-27' } },
+      { $set: { status: 'no-show' } }
+    );
+  });
+});
+
+describe('GET /api/dashboard/receptionist/attendance', () => {
+  const mrema = { _id: new mongoose.Types.ObjectId(), firstName: 'Asha', lastName: 'Mrema' };
+  const kweka = { _id: new mongoose.Types.ObjectId(), firstName: 'Baraka', lastName: 'Kweka' };
+
+  it('reports no-show and lateness rates per doctor', async () => {
+    const rows = [
+      { doctor: mrema, status: 'completed', checkedInAt: new Date(), lateMinutes: 25 },
+      { doctor: mrema, status: 'checked-in', checkedInAt: new Date(), lateMinutes: 5 },
+      { doctor: mrema, status: 'completed' },
+      { doctor: mrema, status: 'no-show' },
+      { doctor: kweka, status: 'no-show' },
+      { doctor: kweka, status: 'completed', checkedInAt: new Date(), lateMinutes: 0 },
+    ];
+    const find = jest.spyOn(Appointment, 'find').mockImplementation(() => {
+      const q = Promise.resolve(rows);
+      q.select = () => q;
+      q.populate = () => q;
+      q.lean = () => q;
+      return q;
+    });
+
+    const res = await request(app).get('/api/dashboard/receptionist/attendance?from=2026-10-01&to=2026-10-31');
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].appointmentDate).toEqual({ $gte: '2026-10-01', $lte: '2026-10-31' });
+    expect(res.body.data).toMatchObject({ from: '2026-10-01', to: '2026-10-31', lateAfterMinutes: 10 });
+    expect(res.body.data.doctors).toEqual([
+      {
+        doctor: { _id: String(kweka._id), name: 'Dr. Baraka Kweka' },
+        booked: 2, attended: 1, noShows: 1, checkedIn: 1, late: 0,
+        noShowRate: 50, lateRate: 0, averageLateMinutes: 0,
+      },
+      {
+        doctor: { _id: String(mrema._id), name: 'Dr. Asha Mrema' },
+        booked: 4, attended: 3, noShows: 1, checkedIn: 2, late: 1,
+        noShowRate: 25, lateRate: 50, averageLateMinutes: 25,
+      },
+    ]);
+  });
+
+  it('rejects a range that runs backwards', async () => {
+    const res = await request(app).get('/api/dashboard/receptionist/attendance?from=2026-10-31&to=2026-10-01');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ success: false, message: 'The end date is before the start date' });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Tests for the insurance claim lifecycle.
+ *
+ * The real Claim, Invoice and InsuranceProvider models are used so that line
+ * building, totals and status transitions run for real; only their database
+ * calls are stubbed with an in-memory store. Claims go out through the file
+ * payer into a temporary outbox, and the NHIF adapter is checked against a
+ * mocked HTTP client.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const http = { post: jest.fn() };
+const audit = [];
+
+jest.unstable_mockModule('axios', () => ({ default: http }));
+jest.unstable_mockModule('../models/AuditLog.js', () => ({ default: { log: async (entry) => audit.push(entry) } }));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({ withTransaction: (fn) => fn(null) }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: USER_ID, id: USER_ID }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const { default: claimRoutes } = await import('../routes/claims.js');
+const { default: Claim } = await import('../models/Claim.js');
+const { default: Invoice } = await import('../models/Invoice.js');
+const { default: InsuranceProvider } = await import('../models/InsuranceProvider.js');
+const { default: Patient } = await import('../models/Patient.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/billing/insurance-claims', claimRoutes);
+
+const query = (value) => {
+  const promise = Promise.resolve(value);
+  promise.session = () => Promise.resolve(value);
+  return promise;
+};
+
+const claims = new Map();
+let invoice;
+let provider;
+let outbox;
+let claimSeq;
+
+beforeAll(() => {
+  jest.spyOn(Claim.prototype, 'save').mockImplementation(async function () {
+    claims.set(String(this._id), this);
+    return this;
+  });
+  jest.spyOn(Claim, 'findById').mockImplementation((id) => query(claims.get(String(id)) || null));
+  jest.spyOn(Claim, 'findOne').mockImplementation(async (q) =>
+    [...claims.values()].find((c) => String(c.invoice) === String(q.invoice) && q.status.$in.includes(c.status)) || null);
+  jest.spyOn(Claim, 'generateClaimNumber').mockImplementation(async () => `CLM-202610-${String(++claimSeq).padStart(5, '0')}`);
+
+  jest.spyOn(Invoice.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(Invoice, 'findById').mockImplementation(() => query(invoice));
+  jest.spyOn(Invoice, 'updateOne').mockImplementation(async (q, { $set }) => {
+    invoice.insuranceCoverage.status = $set['insuranceCoverage.status'];
+  });
+
+  jest.spyOn(InsuranceProvider, 'findById').mockImplementation(async () => provider);
+  jest.spyOn(Patient, 'findById').mockImplementation(async () => ({
+    patientId: 'P2026-0001', firstName: 'Asha', lastName: 'Mushi', gender: 'female', dateOfBirth: new Date('1990-04-02'),
+  }));
+});
+
+beforeEach(() => {
+  claims.clear();
+  audit.length = 0;
+  claimSeq = 0;
+  http.post.mockReset();
+  outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'claims-'));
+  process.env.CLAIMS_OUTBOX_DIR = outbox;
+  delete process.env.CLAIMS_PAYER_ADAPTER;
+
+  provider = new InsuranceProvider({
+    name: 'National Health Insurance Fund',
+    code: 'NHIF',
+    contactInfo: { phone: '0800110063', email: 'claims@nhif.example' },
+    billingInfo: { payerId: 'FAC-001' },
+    coveragePlans: [{
+      planName: 'Gold',
+      planCode: 'GOLD',
+      planType: 'PPO',
+      coverageDetails: { consultationCoverage: 80, labTestCoverage: 100 },
+    }],
+  });
+
+  invoice = new Invoice({
+    invoiceNumber: 'INV-202610-00001',
+    patient: new mongoose.Types.ObjectId(),
+    generatedBy: USER_ID,
+    dueDate: new Date(Date.now() + 86400000),
+    subtotal: 0,
+    totalAmount: 0,
+    items: [
+      { type: 'consultation', description: 'Consultation', unitPrice: 20000, total: 20000, coveredByInsurance: true },
+      { type: 'lab_test', code: 'FBC', description: 'Full blood count', unitPrice: 10000, total: 10000, coveredByInsurance: true },
+      { type: 'medication', description: 'Paracetamol', unitPrice: 5000, total: 5000 },
+    ],
+  });
+  invoice.calculateTotals();
+});
+
+afterEach(() => fs.rmSync(outbox, { recursive: true, force: true }));
+
+const openClaim = (body = {}) =>
+  request(app).post('/api/billing/insurance-claims').send({
+    invoiceId: String(invoice._id),
+    providerId: String(provider._id),
+    policyNumber: 'NHIF-778812',
+    planCode: 'GOLD',
+    ...body,
+  });
+
+const decide = (claim, amounts, extra = {}) =>
+  request(app)
+    .post(`/api/billing/insurance-claims/${claim._id}/adjudicate`)
+    .send({
+      lines: claim.lines.map((line, i) => ({ lineId: line._id, approvedAmount: amounts[i], rejectionReason: 'Exceeds tariff' })),
+      ...extra,
+    });
+
+describe('opening and submitting a claim', () => {
+  it('claims the covered share of each insured item and writes it to the outbox', async () => {
+    const res = await openClaim();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ claimNumber: 'CLM-202610-00001', status: 'submitted', adapter: 'file', claimedAmount: 26000 });
+    expect(res.body.data.lines.map((l) => l.claimedAmount)).toEqual([16000, 10000]);
+
+    const written = JSON.parse(fs.readFileSync(path.join(outbox, 'CLM-202610-00001-1.json'), 'utf8'));
+    expect(written).toMatchObject({ policyNumber: 'NHIF-778812', payer: { code: 'NHIF' }, claimedAmount: 26000 });
+    expect(invoice.insuranceCoverage).toMatchObject({ claimNumber: 'CLM-202610-00001', status: 'processing', coverageAmount: 0 });
+  });
+
+  it('keeps a draft when asked, and refuses a second open claim for the invoice', async () => {
+    const draft = await openClaim({ submit: false });
+    const second = await openClaim();
+
+    expect(draft.body.data.status).toBe('draft');
+    expect(fs.readdirSync(outbox)).toHaveLength(0);
+    expect(second.status).toBe(409);
+  });
+});
+
+describe('adjudication', () => {
+  it('writes approvals back onto the invoice and closes the claim on remittance', async () => {
+    const { body: { data: submitted } } = await openClaim();
+
+    const res = await decide(submitted, [16000, 6000]);
+
+    expect(res.body.data).toMatchObject({ status: 'partially_approved', approvedAmount: 22000 });
+    expect(res.body.data.lines[1]).toMatchObject({ status: 'partially_approved', rejectionReason: 'Exceeds tariff' });
+    expect(invoice.items.map((item) => item.insuranceApproved)).toEqual([true, true, false]);
+    expect(invoice.insuranceCoverage).toMatchObject({ coverageAmount: 22000, status: 'partial' });
+    expect(invoice.patientResponsibility).toBe(13000);
+
+    const paid = await request(app)
+      .post(`/api/billing/insurance-claims/${submitted._id}/payment`)
+      .send({ reference: 'RMT-5521' });
+
+    expect(paid.body.data).toMatchObject({ status: 'paid', paidAmount: 22000, paymentReference: 'RMT-5521' });
+    expect(invoice.payments[0]).toMatchObject({ amount: 22000, method: 'insurance', reference: 'RMT-5521' });
+    expect(invoice).toMatchObject({ amountPaid: 22000, balanceDue: 13000, status: 'partial' });
+  });
+
+  it('bills the patient for what the payer did not pay of the share credited up front', async () => {
+    // Billed through the coverage engine: the plan's 26000 was credited when
+    // the invoice was raised and the patient paid their 9000
+    invoice.items[0].coverage = { status: 'partial', coveredAmount: 16000, patientAmount: 4000 };
+    invoice.items[1].coverage = { status: 'covered', coveredAmount: 10000, patientAmount: 0 };
+    invoice.insuranceCoverage = { coverageAmount: 26000, status: 'approved' };
+    invoice.payments.push(
+      { amount: 26000, method: 'insurance', notes: 'Insurance coverage', itemIndices: [0, 1] },
+      { amount: 9000, method: 'cash' },
+    );
+    invoice.calculateTotals();
+    expect(invoice).toMatchObject({ balanceDue: 0, status: 'paid' });
+
+    const { body: { data: submitted } } = await openClaim();
+    await decide(submitted, [16000, 6000]);
+
+    expect(invoice.payments[2]).toMatchObject({ amount: -4000, method: 'insurance', reference: submitted.claimNumber });
+    expect(invoice.items.slice(0, 2).map((item) => [item.coverage.coveredAmount, item.coverage.patientAmount, item.paid]))
+      .toEqual([[16000, 4000, true], [6000, 4000, false]]);
+    expect(invoice).toMatchObject({ amountPaid: 31000, balanceDue: 4000, status: 'partial' });
+
+    const paid = await request(app)
+      .post(`/api/billing/insurance-claims/${submitted._id}/payment`)
+      .send({ amount: 20000, reference: 'RMT-5522' });
+
+    expect(paid.body.data).toMatchObject({ status: 'paid', paidAmount: 20000 });
+    expect(invoice.payments[3]).toMatchObject({ amount: -2000, method: 'insurance', reference: 'RMT-5522' });
+    expect(invoice.items.slice(0, 2).map((item) => [item.coverage.coveredAmount, item.coverage.patientAmount, item.paid]))
+      .toEqual([[14000, 6000, false], [6000, 4000, false]]);
+    expect(invoice).toMatchObject({ amountPaid: 29000, balanceDue: 6000, status: 'partial' });
+  });
+
+  it('bills the patient for the whole share credited up front when the claim is rejected', async () => {
+    invoice.items[0].coverage = { status: 'partial', coveredAmount: 16000, patientAmount: 4000 };
+    invoice.items[1].coverage = { status: 'covered', coveredAmount: 10000, patientAmount: 0 };
+    invoice.insuranceCoverage = { coverageAmount: 26000, status: 'approved' };
+    invoice.payments.push(
+      { amount: 26000, method: 'insurance', notes: 'Insurance coverage', itemIndices: [0, 1] },
+      { amount: 9000, method: 'cash' },
+    );
+    invoice.calculateTotals();
+
+    const { body: { data: submitted } } = await openClaim();
+    const rejected = await decide(submitted, [0, 0]);
+
+    expect(rejected.body.data.status).toBe('rejected');
+    expect(invoice.payments[2]).toMatchObject({ amount: -26000, method: 'insurance' });
+    expect(invoice.items.slice(0, 2).map((item) => [item.coverage.coveredAmount, item.coverage.patientAmount, item.paid]))
+      .toEqual([[0, 20000, false], [0, 10000, false]]);
+    expect(invoice).toMatchObject({ amountPaid: 9000, balanceDue: 26000, status: 'partial' });
+  });
+
+  it('lets a corrected rejected claim be resubmitted', async () => {
+    const { body: { data: submitted } } = await openClaim();
+    const rejected = await decide(submitted, [0, 0]);
+
+    expect(rejected.body.data.status).toBe('rejected');
+    expect(invoice.insuranceCoverage.status).toBe('rejected');
+
+    const res = await request(app)
+      .post(`/api/billing/insurance-claims/${submitted._id}/resubmit`)
+      .send({ lines: [{ lineId: submitted.lines[0]._id, claimedAmount: 15000, code: 'CONS-GP' }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'submitted', claimedAmount: 25000 });
+    expect(res.body.data.lines.every((l) => l.status === 'pending' && l.approvedAmount === undefined)).toBe(true);
+    expect(res.body.data.submissions).toHaveLength(2);
+    expect(fs.existsSync(path.join(outbox, 'CLM-202610-00001-2.json'))).toBe(true);
+  });
+
+  it('follows the lifecycle', async () => {
+    const { body: { data: draft } } = await openClaim({ submit: false });
+
+    const adjudicateDraft = await decide(draft, [16000, 10000]);
+    const payUnadjudicated = await request(app).post(`/api/billing/insurance-claims/${draft._id}/payment`).send({});
+    const resubmitDraft = await request(app).post(`/api/billing/insurance-claims/${draft._id}/resubmit`).send({});
+
+    expect(adjudicateDraft.status).toBe(409);
+    expect(payUnadjudicated.status).toBe(409);
+    expect(resubmitDraft.status).toBe(409);
+
+    await request(app).post(`/api/billing/insurance-claims/${draft._id}/submit`).send({});
+    const full = await decide(draft, [16000, 10000]);
+
+    expect(full.body.data.status).toBe('acknowledged');
+    expect(invoice.insuranceCoverage.status).toBe('approved');
+    expect(claims.get(String(draft._id)).statusHistory.map((h) => h.status)).toEqual(['draft', 'submitted', 'acknowledged']);
+  });
+});
+
+describe('NHIF payer', () => {
+  beforeEach(() => {
+    provider.apiIntegration = { enabled: true, adapter: 'nhif', apiEndpoint: 'https://nhif.example/', apiKey: 'token-1' };
+  });
+
+  it('posts the claim as a folio with the provider credentials', async () => {
+    http.post.mockResolvedValueOnce({ data: { Message: 'Folio received' } });
+
+    const res = await openClaim();
+
+    const [url, payload, options] = http.post.mock.calls[0];
+    expect(url).toBe('https://nhif.example/claimsserver/api/v1/Claims/SubmitFolios');
+    expect(options.headers.Authorization).toBe('Bearer token-1');
+    expect(payload.entities[0]).toMatchObject({
+      FacilityCode: 'FAC-001',
+      FolioNo: 'CLM-202610-00001',
+      CardNo: 'NHIF-778812',
+      PatientFileNo: 'P2026-0001',
+      DateOfBirth: '1990-04-02',
+    });
+    expect(payload.entities[0].FolioItems).toEqual([
+      expect.objectContaining({ ItemCode: 'consultation', AmountClaimed: 16000 }),
+      expect.objectContaining({ ItemCode: 'FBC', AmountClaimed: 10000 }),
+    ]);
+    expect(res.body.data).toMatchObject({ status: 'submitted', adapter: 'nhif' });
+  });
+
+  it('keeps a refused claim as a draft and records the attempt', async () => {
+    http.post.mockRejectedValueOnce(Object.assign(new Error('Request failed'), {
+      response: { status: 400, data: { Message: 'Card number is not active' } },
+    }));
+
+    const res = await openClaim();
+
+    expect(res.status).toBe(502);
+    expect(res.body.message).toMatch(/Card number is not active/);
+    expect(res.body.data.status).toBe('draft');
+    expect(res.body.data.submissions[0]).toMatchObject({ adapter: 'nhif', accepted: false });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for the insurance coverage engine.
+ *
+ * evaluateCoverage() is pure, so most cases call it directly with a plan and
+ * the member's usage so far. applyToInvoice() is exercised against a real
+ * Invoice document with the year-to-date aggregate stubbed, to check that
+ * the breakdown lands on the items and that later lines see what earlier
+ * ones used.
+ */
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const { default: coverageService, evaluateCoverage } = await import('../services/coverageService.js');
+const { default: Invoice } = await import('../models/Invoice.js');
+const { default: InsuranceProvider } = await import('../models/InsuranceProvider.js');
+
+const makeProvider = (details = {}, planOverrides = {}) =>
+  new InsuranceProvider({
+    name: 'Jubilee Health',
+    code: 'JUB',
+    contactInfo: { phone: '0222000000', email: 'claims@jubilee.example' },
+    coveragePlans: [{
+      planName: 'Silver',
+      planCode: 'SILVER',
+      planType: 'PPO',
+      coverageDetails: {
+        consultationCoverage: 100,
+        medicationCoverage: 80,
+        labTestCoverage: 100,
+        procedureCoverage: 50,
+        emergencyCoverage: 100,
+        deductible: 0,
+        copay: 0,
+        ...details,
+      },
+      ...planOverrides,
+    }],
+  });
+
+const evaluate = (lines, { provider = makeProvider(), insurance = {}, usage = {}, ...rest } = {}) =>
+  evaluateCoverage(lines, {
+    insurance: { provider: provider._id, planCode: 'SILVER', ...insurance },
+    provider,
+    plan: provider.coveragePlans[0],
+    usage,
+    ...rest,
+  });
+
+describe('evaluateCoverage', () => {
+  it('applies the plan percentage for the line type and leaves the rest to the patient', () => {
+    const { lines } = evaluate([
+      { type: 'consultation', total: 20000 },
+      { type: 'medication', total: 10000 },
+      { type: 'imaging', total: 50000 },
+    ]);
+
+    expect(lines[0]).toMatchObject({ status: 'covered', coveredAmount: 20000, patientAmount: 0 });
+    expect(lines[1]).toMatchObject({ status: 'partial', coveragePercentage: 80, coveredAmount: 8000, patientAmount: 2000 });
+    expect(lines[1].reasons).toContain('Silver pays 80%');
+    expect(lines[2]).toMatchObject({ status: 'not_covered', coveredAmount: 0, patientAmount: 50000, reasons: ['Silver does not cover imaging'] });
+  });
+
+  it('takes the deductible first, across lines, and only what is left of it', () => {
+    const provider = makeProvider({ deductible: 30000 });
+    const { lines, usage } = evaluate(
+      [{ type: 'consultation', total: 20000 }, { type: 'lab_test', total: 15000 }],
+      { provider, usage: { deductibleUsed: 10000 } }
+    );
+
+    expect(lines[0]).toMatchObject({ deductibleAmount: 20000, coveredAmount: 0, status: 'not_covered' });
+    expect(lines[1]).toMatchObject({ deductibleAmount: 0, coveredAmount: 15000, status: 'covered' });
+    expect(usage.deductibleUsed).toBe(30000);
+  });
+
+  it('charges the copay once per invoice, with the member override winning over the plan', () => {
+    const provider = makeProvider({ copay: 5000 });
+    const { lines } = evaluate(
+      [{ type: 'consultation', total: 20000 }, { type: 'lab_test', total: 10000 }],
+      { provider, insurance: { copay: 3000 } }
+    );
+
+    expect(lines[0]).toMatchObject({ copayAmount: 3000, coveredAmount: 17000, patientAmount: 3000 });
+    expect(lines[0].reasons.some((r) => r.endsWith('visit copay'))).toBe(true);
+    expect(lines[1]).toMatchObject({ copayAmount: 0, coveredAmount: 10000 });
+  });
+
+  it('caps the plan at what is left of the annual limit', () => {
+    const provider = makeProvider({ annualLimit: 100000 });
+    const { lines, usage } = evaluate(
+      [{ type: 'consultation', total: 20000 }, { type: 'lab_test', total: 20000 }],
+      { provider, usage: { benefitsUsed: 90000 } }
+    );
+
+    expect(lines[0]).toMatchObject({ status: 'partial', coveredAmount: 10000, limitAmount: 10000, patientAmount: 10000 });
+    expect(lines[0].reasons.some((r) => r.startsWith('Annual limit'))).toBe(true);
+    expect(lines[1]).toMatchObject({ status: 'not_covered', coveredAmount: 0, limitAmount: 20000 });
+    expect(usage.benefitsUsed).toBe(100000);
+  });
+
+  it('uses the emergency rate for every line of an emergency visit', () => {
+    const { lines } = evaluate([{ type: 'procedure', total: 40000 }], { emergency: true });
+
+    expect(lines[0]).toMatchObject({ status: 'covered', coveragePercentage: 100, coveredAmount: 40000 });
+  });
+
+  it('refuses lines that need pre-authorisation unless a code is given', () => {
+    const provider = makeProvider({}, { requiresPreAuth: true, preAuthProcedures: ['procedure'] });
+    const { lines } = evaluate(
+      [{ type: 'procedure', total: 40000 }, { type: 'procedure', total: 40000, preAuthCode: 'PA-1' }],
+      { provider }
+    );
+
+    expect(lines[0]).toMatchObject({ status: 'not_covered', reasons: ['Silver requires pre-authorisation for procedure'] });
+    expect(lines[1]).toMatchObject({ status: 'partial', coveredAmount: 20000 });
+  });
+
+  it('covers nothing on an expired policy or without a plan, and says why', () => {
+    const expired = evaluate([{ type: 'consultation', total: 20000 }], {
+      insurance: { expiryDate: new Date('2025-12-31') },
+      serviceDate: new Date('2026-10-19'),
+    });
+    const noPlan = evaluateCoverage([{ type: 'consultation', total: 20000 }], {
+      insurance: { provider: 'p1' },
+      provider: { isActive: true },
+      plan: null,
+      planError: 'Jubilee Health has no active plan GOLD',
+      usage: {},
+    });
+
+    expect(expired.lines[0]).toMatchObject({ status: 'not_covered', reasons: ['Policy expired on 2025-12-31'] });
+    expect(noPlan.lines[0].reasons).toEqual(['Jubilee Health has no active plan GOLD']);
+  });
+});
+
+describe('applyToInvoice', () => {
+  const provider = makeProvider({ deductible: 5000, copay: 2000, annualLimit: 60000 });
+
+  beforeAll(() => {
+    jest.spyOn(Invoice, 'aggregate').mockResolvedValue([{ deductibleUsed: 0, benefitsUsed: 20000 }]);
+  });
+
+  it('stores the breakdown on each item and carries usage into lines added later', async () => {
+    const patient = { _id: new mongoose.Types.ObjectId(), insurance: { provider, planCode: 'SILVER' } };
+    const invoice = new Invoice({
+      invoiceNumber: 'INV-202610-00009',
+      patient: patient._id,
+      generatedBy: new mongoose.Types.ObjectId(),
+      dueDate: new Date(),
+      subtotal: 0,
+      totalAmount: 0,
+      items: [{ type: 'consultation', description: 'Consultation', unitPrice: 20000, total: 20000 }],
+    });
+
+    const first = await coverageService.applyToInvoice(invoice, patient);
+
+    expect(first.coveredAmount).toBe(13000);
+    expect(invoice.items[0].coverage).toMatchObject({ deductibleAmount: 5000, copayAmount: 2000, coveredAmount: 13000, patientAmount: 7000 });
+    expect(invoice.items[0]).toMatchObject({ coveredByInsurance: true, insuranceApproved: true });
+
+    invoice.items.push({ type: 'lab_test', description: 'Malaria RDT', unitPrice: 30000, total: 30000 });
+    await coverageService.applyToInvoice(invoice, patient, { itemIndices: [1] });
+
+    // 20,000 used on earlier invoices + 13,000 above leaves 27,000 of the limit;
+    // the deductible and copay were already taken on the first line.
+    expect(invoice.items[1].coverage).toMatchObject({
+      deductibleAmount: 0,
+      copayAmount: 0,
+      coveredAmount: 27000,
+      limitAmount: 3000,
+      status: 'partial',
+    });
+  });
+
+  it('bills the patient only their share once the plan has paid', () => {
+    const invoice = new Invoice({
+      invoiceNumber: 'INV-202610-00010',
+      patient: new mongoose.Types.ObjectId(),
+      generatedBy: new mongoose.Types.ObjectId(),
+      dueDate: new Date(),
+      subtotal: 0,
+      totalAmount: 0,
+      items: [{ type: 'medication', description: 'Amoxicillin', unitPrice: 10000, total: 10000, coverage: { status: 'partial', coveredAmount: 8000 } }],
+      payments: [{ amount: 8000, method: 'insurance' }],
+    });
+    invoice.calculateTotals();
+
+    expect(invoice.unpaidAmount).toBe(2000);
+    expect(invoice.payItems([0], { method: 'cash' })).toBe(2000);
+    expect(invoice).toMatchObject({ amountPaid: 10000, balanceDue: 0, status: 'paid' });
+  });
+});
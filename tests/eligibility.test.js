@@ -0,0 +1,166 @@
+/**
+ * Tests for insurance eligibility verification.
+ *
+ * The service is exercised against plain patient and provider records, with
+ * the NHIF lookup going through a mocked HTTP client. Visit creation is then
+ * checked end to end: an insured patient who cannot be verified must land in
+ * the cash flow, with the outcome stored on the visit.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const http = { get: jest.fn() };
+const audit = [];
+
+jest.unstable_mockModule('axios', () => ({ default: http }));
+jest.unstable_mockModule('../models/AuditLog.js', () => ({ default: { log: async (entry) => audit.push(entry) } }));
+jest.unstable_mockModule('../middleware/auditTrail.js', () => ({ auditTrail: () => (req, res, next) => next() }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: USER_ID, id: USER_ID }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const { default: eligibilityService } = await import('../services/eligibilityService.js');
+const { default: visitRoutes } = await import('../routes/visits.js');
+const { default: Visit } = await import('../models/Visit.js');
+const { default: Patient } = await import('../models/Patient.js');
+const { default: Service } = await import('../models/Service.js');
+
+const nhif = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'NHIF',
+  isActive: true,
+  apiIntegration: {
+    enabled: true,
+    adapter: 'nhif',
+    apiEndpoint: 'https://verification.nhif.example',
+    apiKey: 'nhif-key',
+    supportedOperations: ['eligibility', 'claims'],
+  },
+};
+
+const makePatient = (insurance = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  patientId: 'P2026-0042',
+  insurance: {
+    provider: nhif,
+    membershipNumber: '10299381',
+    effectiveDate: new Date('2026-01-01'),
+    expiryDate: new Date('2026-12-31'),
+    ...insurance,
+  },
+});
+
+const serviceDate = new Date('2026-10-19');
+
+beforeEach(() => {
+  audit.length = 0;
+  http.get.mockReset();
+  delete process.env.ELIGIBILITY_PAYER_ADAPTER;
+});
+
+describe('eligibilityService.verify', () => {
+  it('returns nothing for a patient without insurance', async () => {
+    expect(await eligibilityService.verify({ _id: 'p1', insurance: {} })).toBeNull();
+    expect(audit).toHaveLength(0);
+  });
+
+  it('fails on the patient record before asking the payer', async () => {
+    const expired = await eligibilityService.verify(makePatient({ expiryDate: new Date('2026-06-30') }), { serviceDate });
+    const early = await eligibilityService.verify(makePatient({ effectiveDate: new Date('2026-11-01') }), { serviceDate });
+    const noCard = await eligibilityService.verify(makePatient({ membershipNumber: '' }), { serviceDate });
+    const inactive = await eligibilityService.verify(makePatient({ provider: { ...nhif, isActive: false } }), { serviceDate });
+
+    expect(expired).toMatchObject({ status: 'expired', eligible: false, reason: 'Policy expired on 2026-06-30' });
+    expect(early).toMatchObject({ status: 'not_yet_effective', eligible: false });
+    expect(noCard).toMatchObject({ status: 'no_membership', eligible: false });
+    expect(inactive).toMatchObject({ status: 'provider_inactive', eligible: false });
+    expect(http.get).not.toHaveBeenCalled();
+  });
+
+  it('verifies an active card with the payer and records the outcome', async () => {
+    http.get.mockResolvedValue({ data: { CardStatus: 'Active', Remarks: 'Member active', AuthorizationNo: 'AUTH-77' } });
+
+    const result = await eligibilityService.verify(makePatient(), { userId: USER_ID, serviceDate });
+
+    expect(http.get).toHaveBeenCalledWith(
+      'https://verification.nhif.example/verification/GetCardDetails',
+      expect.objectContaining({ params: { CardNo: '10299381' } })
+    );
+    expect(result).toMatchObject({ status: 'verified', eligible: true, adapter: 'nhif', reference: 'AUTH-77', checkedBy: USER_ID });
+    expect(audit[0]).toMatchObject({ entityType: 'Patient', metadata: { status: 'verified', reference: 'AUTH-77' } });
+  });
+
+  it('tells a card the payer rejects apart from a payer that cannot be reached', async () => {
+    http.get.mockResolvedValueOnce({ data: { CardStatus: 'Suspended', Remarks: 'Contributions in arrears' } });
+    http.get.mockRejectedValueOnce(new Error('connect ETIMEDOUT'));
+
+    const rejected = await eligibilityService.verify(makePatient(), { serviceDate });
+    const unverified = await eligibilityService.verify(makePatient(), { serviceDate });
+
+    expect(rejected).toMatchObject({ status: 'rejected', eligible: false, reason: 'Contributions in arrears' });
+    expect(unverified).toMatchObject({ status: 'unverified', eligible: false, reason: 'connect ETIMEDOUT' });
+  });
+
+  it('checks providers without an online lookup against the patient record only', async () => {
+    const local = { ...nhif, apiIntegration: { enabled: false } };
+
+    const result = await eligibilityService.verify(makePatient({ provider: local }), { serviceDate });
+
+    expect(result).toMatchObject({ status: 'verified', eligible: true, adapter: 'file' });
+    expect(http.get).not.toHaveBeenCalled();
+  });
+
+  it('goes by the visit outcome when there is one and the patient record otherwise', () => {
+    const patient = makePatient();
+
+    expect(eligibilityService.coversVisit({ insuranceVerification: { checkedAt: new Date(), eligible: false } }, patient)).toBe(false);
+    expect(eligibilityService.coversVisit({ patient })).toBe(true);
+  });
+});
+
+describe('POST /api/visits', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/visits', visitRoutes);
+
+  let patient;
+  let saved;
+
+  beforeAll(() => {
+    jest.spyOn(Visit, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Visit.prototype, 'save').mockImplementation(async function () {
+      saved = this;
+      return this;
+    });
+    jest.spyOn(Patient, 'findById').mockImplementation(async () => patient);
+    jest.spyOn(Service, 'findOne').mockResolvedValue(null);
+  });
+
+  it('sends a member whose card is not active to the cash flow', async () => {
+    patient = makePatient();
+    http.get.mockResolvedValue({ data: { CardStatus: 'Inactive', Remarks: 'Card deactivated' } });
+
+    const res = await request(app).post('/api/visits').send({ patientId: String(patient._id), reason: 'Fever', type: 'outpatient' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toMatch(/Insurance not verified \(Card deactivated\)/);
+    expect(saved.status).toBe('Pending Payment');
+    expect(saved.insuranceVerification).toMatchObject({ status: 'rejected', eligible: false, adapter: 'nhif' });
+  });
+
+  it('queues a verified member straight away', async () => {
+    patient = makePatient();
+    http.get.mockResolvedValue({ data: { CardStatus: 'Active' } });
+
+    const res = await request(app).post('/api/visits').send({ patientId: String(patient._id), reason: 'Review', type: 'outpatient' });
+
+    expect(res.status).toBe(201);
+    expect(saved.status).toBe('In Queue');
+    expect(saved.insuranceVerification).toMatchObject({ status: 'verified', eligible: true });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Tests for the job scheduler and the jobs it runs: appointment reminders
+ * and stock expiry alerts.
+ *
+ * The Job collection is an in-memory document updated the way the
+ * scheduler's atomic claims would update it. Texts go through the real file
+ * transport into a temporary outbox; email is mocked.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const emails = [];
+
+jest.unstable_mockModule('../utils/sendEmail.js', () => ({
+  default: async (options) => {
+    emails.push(options);
+    return { success: true, messageId: `msg-${emails.length}` };
+  },
+}));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: USER_ID, id: USER_ID }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const { default: jobScheduler } = await import('../services/jobScheduler.js');
+const { default: reminderService } = await import('../services/reminderService.js');
+const { default: expiryAlertService } = await import('../services/expiryAlertService.js');
+const { default: jobRoutes } = await import('../routes/jobs.js');
+const { default: Job } = await import('../models/Job.js');
+const { default: Appointment } = await import('../models/Appointment.js');
+const { default: Notification } = await import('../models/Notification.js');
+const { default: User } = await import('../models/User.js');
+const { MedicineBatch } = await import('../models/MedicineBatch.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+
+let outbox;
+let notifications;
+
+beforeAll(() => {
+  outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-'));
+  process.env.SMS_TRANSPORT = 'file';
+  process.env.SMS_OUTBOX_DIR = outbox;
+  jest.spyOn(Notification, 'createNotification').mockImplementation(async (data) => notifications.push(data));
+});
+
+afterAll(() => {
+  fs.rmSync(outbox, { recursive: true, force: true });
+  delete process.env.SMS_TRANSPORT;
+  delete process.env.SMS_OUTBOX_DIR;
+});
+
+beforeEach(() => {
+  emails.length = 0;
+  notifications = [];
+  fs.rmSync(outbox, { recursive: true, force: true });
+});
+
+const texts = () => fs.readdirSync(outbox)
+  .flatMap((file) => fs.readFileSync(path.join(outbox, file), 'utf8').trim().split('\n'))
+  .map((line) => JSON.parse(line));
+
+describe('jobScheduler', () => {
+  let state;
+  let runs;
+
+  beforeAll(() => {
+    // Just enough of MongoDB's semantics for the scheduler's three queries
+    jest.spyOn(Job, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$setOnInsert) {
+        state = state || { ...update.$setOnInsert, runCount: 0, failCount: 0 };
+        return {};
+      }
+      if (state.lockedBy !== filter.lockedBy) return { modifiedCount: 0 };
+      Object.assign(state, update.$set);
+      Object.keys(update.$unset).forEach((key) => delete state[key]);
+      Object.entries(update.$inc).forEach(([key, n]) => { state[key] += n; });
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const due = !filter.nextRunAt || state.nextRunAt <= filter.nextRunAt.$lte;
+      const free = !state.lockedUntil || state.lockedUntil <= filter.$or[1].lockedUntil.$lte;
+      if (!due || !free) return null;
+      Object.assign(state, update.$set);
+      return state;
+    });
+  });
+
+  beforeEach(() => {
+    state = null;
+    runs = 0;
+    jobScheduler.jobs.clear();
+    jobScheduler.ensured.clear();
+    jobScheduler.define('count', { every: 60000, run: async () => ({ runs: ++runs }) });
+  });
+
+  it('runs a due job once and schedules the next run', async () => {
+    const now = new Date();
+
+    const first = await jobScheduler.tick(now);
+    const again = await jobScheduler.tick(now);
+
+    expect(first).toEqual([{ name: 'count', status: 'succeeded', result: { runs: 1 }, error: null }]);
+    expect(again).toEqual([]);
+    expect(state).toMatchObject({ lastStatus: 'succeeded', lastResult: { runs: 1 }, runCount: 1 });
+    expect(state.lockedBy).toBeUndefined();
+    expect(state.nextRunAt.getTime()).toBe(state.lastFinishedAt.getTime() + 60000);
+  });
+
+  it('leaves a job another instance holds until its lock lapses', async () => {
+    const now = new Date();
+    state = { name: 'count', nextRunAt: now, lockedBy: 'other:1', lockedUntil: new Date(now.getTime() + 60000), runCount: 0, failCount: 0 };
+
+    expect(await jobScheduler.runJob('count', { now })).toBeNull();
+    expect(await jobScheduler.runJob('count', { now: new Date(now.getTime() + 60000) })).toMatchObject({ status: 'succeeded' });
+    expect(runs).toBe(1);
+  });
+
+  it('records a failed run and tries again at the next interval', async () => {
+    jobScheduler.define('broken', { every: 60000, run: async () => { throw new Error('SMS gateway down'); } });
+    jobScheduler.jobs.delete('count');
+
+    const [run] = await jobScheduler.tick(new Date());
+
+    expect(run).toMatchObject({ name: 'broken', status: 'failed', error: 'SMS gateway down' });
+    expect(state).toMatchObject({ lastStatus: 'failed', lastError: 'SMS gateway down', failCount: 1 });
+  });
+
+  it('refuses to run a job it does not know', async () => {
+    const res = await request(app).post('/api/jobs/nightly-backup/run');
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Unknown job: nightly-backup');
+  });
+});
+
+describe('reminderService.sendDueReminders', () => {
+  const now = new Date('2026-10-26T08:00:00');
+  const doctor = { _id: new mongoose.Types.ObjectId(), firstName: 'Asha', lastName: 'Mrema' };
+  let appointments;
+
+  beforeEach(() => {
+    appointments = [];
+  });
+
+  beforeAll(() => {
+    jest.spyOn(Appointment, 'find').mockImplementation(() => {
+      const q = Promise.resolve(appointments);
+      q.populate = () => q;
+      return q;
+    });
+    jest.spyOn(Appointment, 'updateOne').mockImplementation(async (filter, update) => {
+      const appointment = appointments.find((a) => a._id === filter._id);
+      if (update.$push) {
+        if (appointment.reminders.some((r) => r.kind === filter['reminders.kind'].$ne)) return { modifiedCount: 0 };
+        appointment.reminders.push(update.$push.reminders);
+      } else {
+        appointment.reminders.find((r) => r.kind === filter['reminders.kind']).channels = update.$set['reminders.$.channels'];
+      }
+      return { modifiedCount: 1 };
+    });
+  });
+
+  const appointment = (date, time, patient) => ({
+    _id: new mongoose.Types.ObjectId(),
+    appointmentId: `A2026${String(appointments.length + 1).padStart(4, '0')}`,
+    appointmentDate: date,
+    appointmentTime: time,
+    status: 'scheduled',
+    patient: { firstName: 'Neema', lastName: 'Juma', ...patient },
+    doctor,
+    reminders: [],
+  });
+
+  it('texts and emails the patient the day before, once', async () => {
+    appointments.push(appointment('2026-10-27', '07:00', { phone: '0712 345 678', email: 'neema@example.com' }));
+
+    const first = await reminderService.sendDueReminders({ now });
+    const second = await reminderService.sendDueReminders({ now: new Date(now.getTime() + 5 * 60000) });
+
+    expect(first).toEqual({ due: 1, sent: 1, failed: 0, unreachable: 0 });
+    expect(second.due).toBe(0);
+    expect(texts()).toEqual([expect.objectContaining({
+      to: '255712345678',
+      text: 'Segese Medical Clinic: reminder of your appointment with Dr Asha Mrema on 2026-10-27 at 07:00.',
+      reference: 'A20260001-24h',
+    })]);
+    expect(emails).toEqual([expect.objectContaining({ email: 'neema@example.com', subject: 'Appointment reminder - Segese Medical Clinic' })]);
+    expect(appointments[0].reminders[0]).toMatchObject({
+      kind: '24h',
+      channels: [
+        { channel: 'sms', status: 'sent', transport: 'file', reference: 'A20260001-24h' },
+        { channel: 'email', status: 'sent', transport: 'resend', reference: 'msg-1' },
+      ],
+    });
+  });
+
+  it('sends only the 2-hour reminder when booked at short notice, and tells the doctor', async () => {
+    appointments.push(appointment('2026-10-26', '09:30', { phone: '+255712345678' }));
+
+    await reminderService.sendDueReminders({ now });
+
+    expect(appointments[0].reminders.map((r) => r.kind)).toEqual(['2h']);
+    expect(notifications).toEqual([expect.objectContaining({
+      recipient: doctor._id,
+      type: 'appointment_reminder',
+      message: 'Neema Juma at 09:30 on 2026-10-26',
+    })]);
+  });
+
+  it('records a number that cannot be texted as failed', async () => {
+    appointments.push(appointment('2026-10-27', '07:00', { phone: '12345' }));
+    appointments.push(appointment('2026-10-27', '07:30', {}));
+
+    const summary = await reminderService.sendDueReminders({ now });
+
+    expect(summary).toEqual({ due: 2, sent: 0, failed: 1, unreachable: 1 });
+    expect(appointments[0].reminders[0].channels).toEqual([
+      { channel: 'sms', status: 'failed', transport: 'file', reference: undefined, error: 'Not a dialable phone number: 12345' },
+    ]);
+  });
+});
+
+describe('expiryAlertService.sendExpiryAlerts', () => {
+  it('marks expired batches and alerts only the staff who manage stock', async () => {
+    const pharmacist = new User({ firstName: 'P', lastName: 'One', email: 'p@example.com', role: 'pharmacist' });
+    const receptionist = new User({ firstName: 'R', lastName: 'One', email: 'r@example.com', role: 'receptionist' });
+    jest.spyOn(User, 'find').mockResolvedValue([pharmacist, receptionist]);
+    jest.spyOn(User.prototype, 'loadPermissions').mockImplementation(async function () { return this.getEffectivePermissions(); });
+    jest.spyOn(MedicineBatch, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(MedicineBatch, 'find').mockImplementation(() => {
+      const q = Promise.resolve([{ batchNumber: 'B-17', expiryDate: new Date('2026-11-30'), medicine: { name: 'Amoxicillin 250mg' } }]);
+      q.populate = () => q;
+      q.sort = () => q;
+      return q;
+    });
+
+    const summary = await expiryAlertService.sendExpiryAlerts({ now: new Date('2026-10-26T08:00:00') });
+
+    expect(summary).toEqual({ expired: 2, expiring: 1, notified: 1 });
+    expect(notifications).toEqual([expect.objectContaining({
+      recipient: pharmacist._id,
+      type: 'stock_expiry',
+      priority: 'high',
+      message: '2 batch(es) passed their expiry date and were marked expired. '
+        + '1 batch(es) expire within 90 days, the first Amoxicillin 250mg batch B-17 on 2026-11-30.',
+    })]);
+  });
+});
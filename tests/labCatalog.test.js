@@ -0,0 +1,259 @@
+/**
+ * Tests for the lab test catalog: ordering and pricing from it, results
+ * entered per analyte and flagged against the patient's reference ranges,
+ * and critical values reported to the ordering doctor.
+ *
+ * Catalog entries are real LabTestDefinition documents held in memory; the
+ * model lookups are answered from them.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+let currentVisit;
+let hasInsurance;
+
+jest.unstable_mockModule('../middleware/auditTrail.js', () => ({ auditTrail: () => (req, res, next) => next() }));
+jest.unstable_mockModule('../middleware/paymentEligibility.js', () => ({
+  checkPaymentEligibility: (req, res, next) => { req.visit = currentVisit; req.hasInsurance = hasInsurance; next(); },
+}));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: USER_ID, id: USER_ID, firstName: 'Lab', lastName: 'Tech' }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+const DOCTOR_ID = new mongoose.Types.ObjectId();
+
+const { default: labCatalogService } = await import('../services/labCatalogService.js');
+const { default: billingService } = await import('../services/billingService.js');
+const { default: pricingService } = await import('../services/pricingService.js');
+const { default: labTestRoutes } = await import('../routes/labTests.js');
+const { default: labCatalogRoutes } = await import('../routes/labCatalog.js');
+const { default: visitRoutes } = await import('../routes/visits.js');
+const { default: LabTestDefinition } = await import('../models/LabTestDefinition.js');
+const { default: Notification } = await import('../models/Notification.js');
+const { default: Patient } = await import('../models/Patient.js');
+const { default: Visit } = await import('../models/Visit.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/lab-tests', labTestRoutes);
+app.use('/api/lab-catalog', labCatalogRoutes);
+app.use('/api/visits', visitRoutes);
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  return q;
+};
+
+const fbc = new LabTestDefinition({
+  code: '58410-2',
+  name: 'Full blood count',
+  category: 'Hematology',
+  specimenType: 'Whole blood (EDTA)',
+  price: 15000,
+  analytes: [
+    {
+      code: 'HGB',
+      name: 'Haemoglobin',
+      unit: 'g/dL',
+      referenceRanges: [
+        { sex: 'male', ageFrom: 18, low: 13.5, high: 17.5, criticalLow: 7, criticalHigh: 20 },
+        { sex: 'female', ageFrom: 18, low: 12, high: 15.5, criticalLow: 7, criticalHigh: 20 },
+        { ageFrom: 0, ageTo: 18, low: 11, high: 14.5, criticalLow: 7 },
+        { low: 11.5, high: 17 },
+      ],
+    },
+    { code: 'WBC', name: 'White cell count', unit: 'x10^9/L', referenceRanges: [{ low: 4, high: 11, criticalLow: 1, criticalHigh: 30 }] },
+  ],
+});
+const rdt = new LabTestDefinition({
+  code: '70569-9',
+  name: 'Malaria RDT',
+  category: 'Parasitology',
+  specimenType: 'Capillary blood',
+  price: 5000,
+  analytes: [{ code: 'PF', name: 'P. falciparum antigen', resultType: 'text', normalValues: ['Negative'] }],
+});
+const feverPanel = new LabTestDefinition({
+  code: 'FEVER', name: 'Fever panel', kind: 'panel', price: 18000, components: [fbc._id, rdt._id],
+});
+const catalog = [fbc, rdt, feverPanel];
+
+const patient = {
+  _id: new mongoose.Types.ObjectId(), patientId: 'P20260042', firstName: 'Neema', lastName: 'Juma',
+  gender: 'Female', dateOfBirth: new Date('1990-04-02'),
+};
+
+let notifications;
+let saves;
+
+beforeEach(() => {
+  notifications = [];
+  saves = 0;
+  jest.restoreAllMocks();
+  jest.spyOn(LabTestDefinition, 'findById').mockImplementation(async (id) => catalog.find((t) => String(t._id) === String(id)) || null);
+  jest.spyOn(LabTestDefinition, 'findOne').mockImplementation(async (filter) => catalog.find((t) => t.isActive
+    && (filter._id ? String(t._id) === String(filter._id) : filter.code ? t.code === filter.code : new RegExp(filter.name.$regex, 'i').test(t.name))) || null);
+  jest.spyOn(LabTestDefinition, 'find').mockImplementation((filter) => {
+    const ids = filter._id.$in.map(String);
+    const found = catalog.filter((t) => ids.includes(String(t._id)) && (!filter.kind || t.kind === filter.kind));
+    return query(found);
+  });
+  jest.spyOn(Patient, 'findById').mockImplementation(() => query(patient));
+  jest.spyOn(Notification, 'createNotification').mockImplementation(async (data) => notifications.push(data));
+  jest.spyOn(Visit.prototype, 'save').mockImplementation(async function () { saves += 1; return this; });
+});
+
+const visitWithOrder = (test) => {
+  const visit = new Visit({
+    visitId: 'V2600400', patient: patient._id, doctor: DOCTOR_ID, startedBy: DOCTOR_ID, type: 'consultation', reason: 'Fever',
+    labOrders: [{ testName: test ? test.name : 'Widal', test: test?._id, testCode: test?.code, patient: patient._id, orderedBy: DOCTOR_ID }],
+  });
+  jest.spyOn(Visit, 'findOne').mockResolvedValue(visit);
+  return visit;
+};
+
+describe('reference ranges', () => {
+  it('uses the range for the patient\'s sex and age and flags against it', () => {
+    const [hgb] = fbc.analytes;
+
+    const adultWoman = labCatalogService.rangeFor(hgb, { sex: 'Female', ageYears: 36 });
+    const child = labCatalogService.rangeFor(hgb, { sex: 'male', ageYears: 6 });
+    const unknown = labCatalogService.rangeFor(hgb, { sex: 'Other', ageYears: 40 });
+
+    expect(adultWoman).toMatchObject({ low: 12, high: 15.5 });
+    expect(child).toMatchObject({ low: 11, high: 14.5 });
+    expect(unknown).toMatchObject({ low: 11.5, high: 17 });
+    expect([6.5, 11, 13, 16, 21].map((v) => labCatalogService.flag(hgb, v, adultWoman)))
+      .toEqual(['critical_low', 'low', 'normal', 'high', 'critical_high']);
+  });
+});
+
+describe('PATCH /api/lab-tests/:id/results', () => {
+  it('records values per analyte, flags them and tells the ordering doctor about critical ones', async () => {
+    const visit = visitWithOrder(fbc);
+    const order = visit.labOrders[0];
+
+    const res = await request(app).patch(`/api/lab-tests/${order._id}/results`)
+      .send({ analytes: [{ code: 'hgb', value: '6.1' }, { code: 'WBC', value: 12.4 }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.critical).toBe(true);
+    expect(order.status).toBe('Completed');
+    expect(order.analyteResults.map((r) => [r.code, r.value, r.flag])).toEqual([['HGB', 6.1, 'critical_low'], ['WBC', 12.4, 'high']]);
+    expect(order.analyteResults[0].referenceRange).toMatchObject({ low: 12, high: 15.5, text: '12-15.5' });
+    expect(order.results).toBe('Haemoglobin 6.1 g/dL (critically low); White cell count 12.4 x10^9/L (high)');
+    expect(notifications).toEqual([expect.objectContaining({
+      recipient: DOCTOR_ID,
+      type: 'patient_critical',
+      priority: 'urgent',
+      message: 'Neema Juma (P20260042): Haemoglobin 6.1 g/dL (critically low)',
+      relatedEntity: { entityType: 'labtest', entityId: order._id },
+    })]);
+  });
+
+  it('does not notify anyone when nothing is critical', async () => {
+    const visit = visitWithOrder(fbc);
+
+    const res = await request(app).patch(`/api/lab-tests/${visit.labOrders[0]._id}/results`)
+      .send({ analytes: [{ code: 'HGB', value: 13.2 }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.critical).toBe(false);
+    expect(visit.labOrders[0].analyteResults[0].flag).toBe('normal');
+    expect(notifications).toEqual([]);
+  });
+
+  it('reports a panel\'s analytes from its component tests, text results included', async () => {
+    const visit = visitWithOrder(feverPanel);
+
+    const res = await request(app).patch(`/api/lab-tests/${visit.labOrders[0]._id}/results`)
+      .send({ analytes: [{ code: 'HGB', value: 12.8 }, { code: 'PF', value: 'Positive' }] });
+
+    expect(res.status).toBe(200);
+    expect(visit.labOrders[0].analyteResults.map((r) => [r.code, r.flag])).toEqual([['HGB', 'normal'], ['PF', 'abnormal']]);
+    expect(visit.labOrders[0].analyteResults[1]).toMatchObject({ valueText: 'Positive', referenceRange: { text: 'Negative' } });
+  });
+
+  it('rejects unknown analytes and values that are not numbers, saving nothing', async () => {
+    const visit = visitWithOrder(fbc);
+
+    const res = await request(app).patch(`/api/lab-tests/${visit.labOrders[0]._id}/results`)
+      .send({ analytes: [{ code: 'PLT', value: 150 }, { code: 'HGB', value: 'low' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.code)).toEqual(['PLT', 'HGB']);
+    expect(saves).toBe(0);
+    expect(visit.labOrders[0].status).toBe('Pending');
+  });
+
+  it('keeps free-text results for tests ordered outside the catalog', async () => {
+    const visit = visitWithOrder(null);
+    const order = visit.labOrders[0];
+
+    const perAnalyte = await request(app).patch(`/api/lab-tests/${order._id}/results`).send({ analytes: [{ code: 'O', value: 1 }] });
+    const asText = await request(app).patch(`/api/lab-tests/${order._id}/results`).send({ results: 'O 1:80, H 1:160' });
+
+    expect(perAnalyte.status).toBe(400);
+    expect(asText.status).toBe(200);
+    expect(order.results).toBe('O 1:80, H 1:160');
+  });
+});
+
+describe('ordering from the catalog', () => {
+  beforeEach(() => {
+    hasInsurance = true;
+    currentVisit = new Visit({
+      visitId: 'V2600401', patient: patient._id, doctor: DOCTOR_ID, startedBy: DOCTOR_ID, type: 'consultation', reason: 'Fever',
+      invoice: new mongoose.Types.ObjectId(),
+    });
+    currentVisit.patient = { ...patient, insurance: { provider: new mongoose.Types.ObjectId() } };
+  });
+
+  it('bills the test at the payer\'s price, falling back to the catalog price', async () => {
+    const addItems = jest.spyOn(billingService, 'addItemsToInvoice').mockResolvedValue({});
+    const resolve = jest.spyOn(pricingService, 'resolvePrice')
+      .mockResolvedValueOnce({ price: 12000, source: 'price_list' })
+      .mockResolvedValueOnce(null);
+
+    const listed = await request(app).post(`/api/visits/${currentVisit._id}/lab-orders`).send({ testCode: '58410-2' });
+    const unlisted = await request(app).post(`/api/visits/${currentVisit._id}/lab-orders`).send({ testName: 'malaria rdt' });
+
+    expect(listed.status).toBe(201);
+    expect(resolve.mock.calls[0][0]).toMatchObject({ itemType: 'lab_test', name: 'Full blood count', item: fbc._id, fallback: 15000 });
+    expect(addItems.mock.calls.map(([, [item]]) => [item.code, item.description, item.unitPrice]))
+      .toEqual([['58410-2', 'Full blood count', 12000], ['70569-9', 'Malaria RDT', 5000]]);
+    expect(currentVisit.labOrders.map((o) => [o.testCode, o.specimenType, o.price]))
+      .toEqual([['58410-2', 'Whole blood (EDTA)', 12000], ['70569-9', 'Capillary blood', 5000]]);
+  });
+
+  it('refuses a test code that is not in the catalog', async () => {
+    const res = await request(app).post(`/api/visits/${currentVisit._id}/lab-orders`).send({ testCode: 'NOPE' });
+
+    expect(res.status).toBe(404);
+    expect(currentVisit.labOrders).toHaveLength(0);
+  });
+});
+
+describe('maintaining the catalog', () => {
+  it('only builds panels from single tests already in the catalog', async () => {
+    const save = jest.spyOn(LabTestDefinition.prototype, 'save').mockImplementation(async function () { return this; });
+
+    const badPanel = await request(app).post('/api/lab-catalog')
+      .send({ code: 'ANC', name: 'Antenatal panel', kind: 'panel', price: 30000, components: [String(fbc._id), String(feverPanel._id)] });
+    const goodPanel = await request(app).post('/api/lab-catalog')
+      .send({ code: 'anc', name: 'Antenatal panel', kind: 'panel', price: 30000, components: [String(fbc._id), String(rdt._id)] });
+
+    expect(badPanel.status).toBe(400);
+    expect(badPanel.body.message).toContain(String(feverPanel._id));
+    expect(goodPanel.status).toBe(201);
+    expect(goodPanel.body.data.code).toBe('ANC');
+    expect(save).toHaveBeenCalledTimes(1);
+    await expect(new LabTestDefinition({ code: 'X', name: 'X', price: 1, analytes: [{ code: 'A', name: 'A' }, { code: 'a', name: 'B' }] }).validate())
+      .rejects.toThrow(/unique within a test/);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for lab specimen tracking: collection with accession numbers and
+ * labels, the steps through the lab, rejection and recollection, and
+ * turnaround reporting.
+ *
+ * Accession numbers come from a stand-in for utils/sequence.js that counts
+ * per key; visits are real documents held in memory.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const counters = {};
+let userId;
+
+jest.unstable_mockModule('../utils/sequence.js', () => {
+  const nextSequence = async (key) => { counters[key] = (counters[key] || 0) + 1; return counters[key]; };
+  return { nextSequence, highestExisting: async () => 0, default: nextSequence };
+});
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: userId, id: userId, firstName: 'Lab', lastName: 'Tech' }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const { default: labSpecimenService } = await import('../services/labSpecimenService.js');
+const { default: labTestRoutes } = await import('../routes/labTests.js');
+const { default: LabTestDefinition } = await import('../models/LabTestDefinition.js');
+const { default: Patient } = await import('../models/Patient.js');
+const { default: User } = await import('../models/User.js');
+const { default: Visit } = await import('../models/Visit.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/lab-tests', labTestRoutes);
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.lean = () => q;
+  return q;
+};
+
+const nurse = { _id: new mongoose.Types.ObjectId(), firstName: 'Rehema', lastName: 'Said' };
+const tech = { _id: new mongoose.Types.ObjectId(), firstName: 'Juma', lastName: 'Ally' };
+const patient = {
+  _id: new mongoose.Types.ObjectId(), patientId: 'P20260042', firstName: 'Neema', lastName: 'Juma',
+  gender: 'Female', dateOfBirth: new Date('1990-04-02T00:00:00'),
+};
+
+let visit;
+
+beforeEach(() => {
+  Object.keys(counters).forEach((key) => delete counters[key]);
+  userId = String(nurse._id);
+  visit = new Visit({
+    visitId: 'V2600500', patient: patient._id, doctor: tech._id, startedBy: tech._id, type: 'consultation', reason: 'Fever',
+    labOrders: [
+      { testName: 'Full blood count', testCode: '58410-2', specimenType: 'Whole blood (EDTA)', patient: patient._id, orderedBy: tech._id, status: 'Pending' },
+      { testName: 'Malaria RDT', patient: patient._id, orderedBy: tech._id, status: 'Pending Payment' },
+    ],
+  });
+  jest.spyOn(Visit, 'findOne').mockImplementation(async (filter) => {
+    const accession = filter['labOrders.specimens.accessionNumber'];
+    const found = accession
+      ? visit.labOrders.some((o) => o.specimens.some((s) => s.accessionNumber === accession))
+      : visit.labOrders.some((o) => String(o._id) === String(filter['labOrders._id']));
+    return found ? visit : null;
+  });
+  jest.spyOn(Visit.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(Patient, 'findById').mockImplementation(() => query(patient));
+  jest.spyOn(User, 'findById').mockImplementation((id) => query([nurse, tech].find((u) => String(u._id) === String(id))));
+});
+
+const orderId = (index = 0) => visit.labOrders[index]._id;
+const as = (user) => { userId = String(user._id); };
+
+describe('collecting a specimen', () => {
+  it('allocates an accession number for the day and returns the label to print', async () => {
+    const res = await request(app).post(`/api/lab-tests/${orderId()}/collect`).send({});
+
+    const { specimen, label } = res.body.data;
+    expect(res.status).toBe(201);
+    expect(specimen.accessionNumber).toMatch(/^LAB-\d{8}-0001$/);
+    expect(Object.keys(counters)).toEqual([`lab-accession:${specimen.accessionNumber.slice(4, 12)}`]);
+    expect(label).toMatchObject({
+      barcode: { format: 'CODE128', value: specimen.accessionNumber },
+      patient: { patientId: 'P20260042', name: 'JUMA, Neema', dateOfBirth: '1990-04-02', sex: 'F' },
+      visitId: 'V2600500',
+      test: { code: '58410-2', name: 'Full blood count' },
+      specimenType: 'Whole blood (EDTA)',
+      collectedBy: 'RS',
+    });
+    expect(visit.labOrders[0].status).toBe('In Progress');
+  });
+
+  it('refuses unpaid tests and a second specimen while one is in the lab', async () => {
+    const unpaid = await request(app).post(`/api/lab-tests/${orderId(1)}/collect`).send({});
+    await request(app).post(`/api/lab-tests/${orderId()}/collect`).send({});
+    const again = await request(app).post(`/api/lab-tests/${orderId()}/collect`).send({});
+
+    expect(unpaid.status).toBe(409);
+    expect(again.status).toBe(409);
+    expect(again.body.message).toMatch(/already been collected for this test \(LAB-/);
+    expect(visit.labOrders[0].specimens).toHaveLength(1);
+  });
+});
+
+describe('through the lab', () => {
+  it('follows a scanned specimen from receipt to verified results, recording who did each step', async () => {
+    const collected = await request(app).post(`/api/lab-tests/${orderId()}/collect`).send({});
+    const accession = collected.body.data.specimen.accessionNumber;
+    as(tech);
+
+    const early = await request(app).post(`/api/lab-tests/${accession}/verify`).send({});
+    const received = await request(app).post(`/api/lab-tests/${accession}/receive`).send({});
+    const started = await request(app).post(`/api/lab-tests/${accession}/start`).send({});
+    const resulted = await request(app).patch(`/api/lab-tests/${orderId()}/results`).send({ results: 'Hb 12.9 g/dL' });
+    const verified = await request(app).post(`/api/lab-tests/${accession}/verify`).send({});
+
+    expect(early.status).toBe(409);
+    expect(early.body.message).toBe(`Specimen ${accession} is collected and cannot be verified`);
+    expect([received.status, started.status, resulted.status, verified.status]).toEqual([200, 200, 200, 200]);
+    const [specimen] = visit.labOrders[0].specimens;
+    expect(specimen.status).toBe('verified');
+    expect(String(specimen.collectedBy)).toBe(String(nurse._id));
+    expect([specimen.receivedBy, specimen.processingBy, specimen.resultedBy, specimen.verifiedBy].map(String))
+      .toEqual(Array(4).fill(String(tech._id)));
+    expect(visit.labOrders[0].status).toBe('Completed');
+  });
+
+  it('will not take results for a specimen the lab has not received', async () => {
+    await request(app).post(`/api/lab-tests/${orderId()}/collect`).send({});
+
+    const res = await request(app).patch(`/api/lab-tests/${orderId()}/results`).send({ results: 'Hb 12.9 g/dL' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toMatch(/is collected and cannot be resulted/);
+  });
+
+  it('rejects a specimen with a reason and takes a new one under a new number', async () => {
+    await request(app).post(`/api/lab-tests/${orderId()}/collect`).send({});
+    as(tech);
+
+    const noReason = await request(app).post(`/api/lab-tests/${orderId()}/reject`).send({});
+    const rejected = await request(app).post(`/api/lab-tests/${orderId()}/reject`).send({ reason: 'Haemolysed' });
+    as(nurse);
+    const recollected = await request(app).post(`/api/lab-tests/${orderId()}/collect`).send({});
+
+    expect(noReason.status).toBe(400);
+    expect(rejected.status).toBe(200);
+    expect(recollected.status).toBe(201);
+    expect(visit.labOrders[0].specimens.map((s) => [s.accessionNumber.slice(-4), s.status, s.rejectionReason]))
+      .toEqual([['0001', 'rejected', 'Haemolysed'], ['0002', 'collected', undefined]]);
+    expect(visit.labOrders[0].status).toBe('In Progress');
+  });
+});
+
+describe('turnaround', () => {
+  const at = (time) => new Date(`2026-10-12T${time}:00`);
+
+  it('reports times per test against the catalog target and per technician', async () => {
+    jest.spyOn(Visit, 'find').mockReturnValue(query([{
+      labOrders: [
+        {
+          testName: 'Full blood count',
+          testCode: '58410-2',
+          specimens: [
+            { status: 'verified', collectedAt: at('08:00'), receivedAt: at('08:20'), resultedAt: at('09:00'), resultedBy: tech._id, verifiedBy: tech._id },
+            { status: 'rejected', collectedAt: at('09:00'), rejectionReason: 'Clotted' },
+            { status: 'resulted', collectedAt: at('10:00'), receivedAt: at('10:10'), resultedAt: at('12:10'), resultedBy: nurse._id },
+          ],
+        },
+        {
+          testName: 'Malaria RDT',
+          specimens: [{ status: 'received', collectedAt: at('11:00'), receivedAt: at('11:30') }],
+        },
+        // Collected outside the period
+        { testName: 'Malaria RDT', specimens: [{ status: 'collected', collectedAt: new Date('2026-10-20T08:00:00') }] },
+      ],
+    }]));
+    jest.spyOn(LabTestDefinition, 'find').mockReturnValue(query([{ code: '58410-2', turnaroundHours: 2 }]));
+    jest.spyOn(User, 'find').mockReturnValue(query([tech, nurse]));
+
+    const report = await labSpecimenService.turnaround({ from: '2026-10-12', to: '2026-10-12' });
+
+    expect(report.specimens).toBe(4);
+    const [fbcRow, rdtRow] = report.tests;
+    expect(fbcRow).toMatchObject({
+      testName: 'Full blood count', targetHours: 2, collected: 3, rejected: 1, resulted: 2, rejectionReasons: { Clotted: 1 },
+      collectToReceive: { count: 2, median: 15, average: 15 },
+      receiveToResult: { count: 2, median: 80, average: 80 },
+      collectToResult: { count: 2, median: 95, average: 95 },
+      withinTarget: 50,
+    });
+    expect(rdtRow).toMatchObject({ testName: 'Malaria RDT', targetHours: null, resulted: 0, withinTarget: null });
+    expect(report.technicians.map((t) => [t.technician.name, t.resulted, t.verified, t.receiveToResult.median]))
+      .toEqual([['Juma Ally', 1, 1, 40], ['Rehema Said', 1, 0, 120]]);
+  });
+
+  it('needs a valid period', async () => {
+    const res = await request(app).get('/api/lab-tests/turnaround?from=2026-10-12&to=2026-10-01');
+
+    expect(res.status).toBe(400);
+  });
+});
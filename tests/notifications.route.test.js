@@ -0,0 +1,214 @@
+/**
+ * Tests for routes/notifications.js.
+ *
+ * The Notification model is replaced with an in-memory store so the suite
+ * needs no database. The behaviour that matters is scoping: every read, mark
+ * and delete must be confined to the signed-in user's own inbox, whatever ids
+ * the client sends.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+const ME = '64b000000000000000000001';
+const OTHER = '64b000000000000000000002';
+
+const id = (n) => `64c0000000000000000000${String(n).padStart(2, '0')}`;
+
+let store = [];
+
+const seed = () => {
+  store = [
+    ...Array.from({ length: 25 }, (_, i) => ({
+      _id: id(i),
+      recipient: ME,
+      type: i % 5 === 0 ? 'lab_results_ready' : 'system_announcement',
+      priority: i < 3 ? 'urgent' : 'medium',
+      isRead: i >= 10,
+      relatedEntity: i === 7 ? { entityType: 'invoice', entityId: id(90) } : undefined,
+      createdAt: new Date(2026, 0, 1, 0, i),
+    })),
+    { _id: id(50), recipient: OTHER, type: 'message', priority: 'high', isRead: false, createdAt: new Date() },
+  ];
+};
+
+// Just enough of MongoDB's filter semantics for the queries the router builds.
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, cond]) => {
+    const value = key.split('.').reduce((v, k) => v?.[k], doc);
+    if (cond && typeof cond === 'object' && '$in' in cond) return cond.$in.map(String).includes(String(value));
+    return String(value) === String(cond);
+  });
+
+const chain = (docs) => {
+  const c = {
+    _skip: 0,
+    _limit: docs.length,
+    populate() { return c; },
+    sort() { return c; },
+    skip(n) { c._skip = n; return c; },
+    limit(n) { c._limit = n; return c; },
+    then(resolve, reject) {
+      const sorted = [...docs].sort((a, b) => b.createdAt - a.createdAt);
+      return Promise.resolve(sorted.slice(c._skip, c._skip + c._limit)).then(resolve, reject);
+    },
+  };
+  return c;
+};
+
+const withMethods = (doc) => doc && Object.assign(doc, {
+  markAsRead: async () => { doc.isRead = true; doc.readAt = new Date(); },
+});
+
+const enumPath = (values) => ({ enumValues: values });
+
+jest.unstable_mockModule('../models/Notification.js', () => ({
+  default: {
+    schema: {
+      path: (p) => ({
+        type: enumPath(['lab_results_ready', 'system_announcement', 'message']),
+        priority: enumPath(['low', 'medium', 'high', 'urgent']),
+        'relatedEntity.entityType': enumPath(['appointment', 'patient', 'visit', 'invoice']),
+      }[p]),
+    },
+    find: (filter) => chain(store.filter((d) => matches(d, filter))),
+    findOne: async (filter) => withMethods(store.find((d) => matches(d, filter))),
+    countDocuments: async (filter) => store.filter((d) => matches(d, filter)).length,
+    getUnreadCount: async (userId) => store.filter((d) => matches(d, { recipient: userId, isRead: false })).length,
+    aggregate: async ([{ $match }]) => {
+      const counts = {};
+      store.filter((d) => matches(d, $match)).forEach((d) => { counts[d.priority] = (counts[d.priority] || 0) + 1; });
+      return Object.entries(counts).map(([_id, count]) => ({ _id, count }));
+    },
+    updateMany: async (filter, update) => {
+      const hit = store.filter((d) => matches(d, filter));
+      hit.forEach((d) => Object.assign(d, update.$set));
+      return { modifiedCount: hit.length };
+    },
+    findOneAndUpdate: async (filter, update) => {
+      const doc = store.find((d) => matches(d, filter));
+      if (doc) Object.assign(doc, update.$set);
+      return doc || null;
+    },
+    deleteMany: async (filter) => {
+      const before = store.length;
+      store = store.filter((d) => !matches(d, filter));
+      return { deletedCount: before - store.length };
+    },
+    findOneAndDelete: async (filter) => {
+      const doc = store.find((d) => matches(d, filter));
+      store = store.filter((d) => d !== doc);
+      return doc || null;
+    },
+  },
+}));
+
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: ME, id: ME, role: 'doctor' }; next(); },
+  authorize: () => (req, res, next) => next(),
+}));
+
+const { default: notificationRoutes } = await import('../routes/notifications.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+
+beforeEach(seed);
+
+describe('GET /api/notifications', () => {
+  it('pages through only the current user\'s inbox', async () => {
+    const res = await request(app).get('/api/notifications?limit=10&page=3');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(25);
+    expect(res.body.totalPages).toBe(3);
+    expect(res.body.data).toHaveLength(5);
+    expect(res.body.data.every((n) => n.recipient === ME)).toBe(true);
+  });
+
+  it('reports the unread count alongside the page', async () => {
+    const res = await request(app).get('/api/notifications');
+    expect(res.body.unreadCount).toBe(10);
+  });
+
+  it('filters by type, priority and read state', async () => {
+    const byType = await request(app).get('/api/notifications?type=lab_results_ready');
+    expect(byType.body.total).toBe(5);
+
+    const byPriority = await request(app).get('/api/notifications?priority=urgent,high');
+    expect(byPriority.body.total).toBe(3);
+
+    const unread = await request(app).get('/api/notifications?unread=true');
+    expect(unread.body.total).toBe(10);
+  });
+
+  it('filters by related entity', async () => {
+    const res = await request(app).get(`/api/notifications?entityType=invoice&entityId=${id(90)}`);
+    expect(res.body.total).toBe(1);
+    expect(res.body.data[0]._id).toBe(id(7));
+  });
+
+  it('rejects an unknown filter value instead of ignoring it', async () => {
+    const res = await request(app).get('/api/notifications?type=nonsense');
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/notifications/unread-count', () => {
+  it('breaks the unread total down by priority', async () => {
+    const res = await request(app).get('/api/notifications/unread-count');
+
+    expect(res.body.data.total).toBe(10);
+    expect(res.body.data.byPriority).toEqual({ low: 0, medium: 7, high: 0, urgent: 3 });
+  });
+});
+
+describe('marking notifications read', () => {
+  it('marks one of my notifications read', async () => {
+    const res = await request(app).patch(`/api/notifications/${id(1)}/read`);
+
+    expect(res.status).toBe(200);
+    expect(store.find((d) => d._id === id(1)).isRead).toBe(true);
+  });
+
+  it('does not let me mark someone else\'s notification', async () => {
+    const res = await request(app).patch(`/api/notifications/${id(50)}/read`);
+
+    expect(res.status).toBe(404);
+    expect(store.find((d) => d._id === id(50)).isRead).toBe(false);
+  });
+
+  it('answers 404 for a malformed id', async () => {
+    const res = await request(app).patch('/api/notifications/not-an-id/read');
+    expect(res.status).toBe(404);
+  });
+
+  it('marks all read without touching other inboxes', async () => {
+    const res = await request(app).patch('/api/notifications/read-all');
+
+    expect(res.body.data.modified).toBe(10);
+    expect(store.find((d) => d._id === id(50)).isRead).toBe(false);
+  });
+
+  it('marks all read within a filtered view', async () => {
+    const res = await request(app).patch('/api/notifications/read-all?priority=urgent');
+    expect(res.body.data.modified).toBe(3);
+  });
+});
+
+describe('DELETE /api/notifications', () => {
+  it('bulk deletes only ids that belong to me', async () => {
+    const res = await request(app)
+      .delete('/api/notifications')
+      .send({ ids: [id(1), id(2), id(50)] });
+
+    expect(res.body.data.deleted).toBe(2);
+    expect(store.some((d) => d._id === id(50))).toBe(true);
+  });
+
+  it('rejects an empty or malformed id list', async () => {
+    expect((await request(app).delete('/api/notifications').send({ ids: [] })).status).toBe(400);
+    expect((await request(app).delete('/api/notifications').send({ ids: ['x'] })).status).toBe(400);
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Tests for duplicate patient detection and patient merges.
+ *
+ * Patients are real model documents held in memory; the records that point
+ * at them are plain objects that the mocked updateMany re-points the way
+ * MongoDB would, so a merge and its reversal can be checked by what ends up
+ * pointing where.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { readdirSync } from 'fs';
+
+const audit = [];
+
+jest.unstable_mockModule('../models/AuditLog.js', () => ({ default: { log: async (entry) => audit.push(entry) } }));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({ withTransaction: (fn) => fn(null) }));
+jest.unstable_mockModule('../middleware/auditTrail.js', () => ({ auditTrail: () => (req, res, next) => next() }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: USER_ID, id: USER_ID }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const { default: patientMergeService, nameSimilarity, REFERENCES } = await import('../services/patientMergeService.js');
+const { default: patientRoutes } = await import('../routes/patients.js');
+const { default: Patient } = await import('../models/Patient.js');
+const { default: PatientMerge } = await import('../models/PatientMerge.js');
+const { default: Visit } = await import('../models/Visit.js');
+const { default: Appointment } = await import('../models/Appointment.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/patients', patientRoutes);
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.session = () => q;
+  q.select = () => q;
+  q.limit = () => q;
+  q.lean = () => q;
+  return q;
+};
+
+let patients;
+let merges;
+// Documents pointing at patients, by model name
+let records;
+
+const same = (a, b) => String(a) === String(b);
+
+// The filters and updates patientMergeService._repoint sends
+const updateMany = (modelName) => async (filter, update, options = {}) => {
+  const ids = filter._id.$in.map(String);
+  const [[key, from]] = Object.entries(filter).filter(([k]) => k !== '_id');
+  const docs = records[modelName].filter((doc) => ids.includes(String(doc._id)));
+  const [[target, to]] = Object.entries(update.$set);
+  if (!options.arrayFilters) {
+    docs.filter((doc) => same(doc[key], from)).forEach((doc) => { doc[key] = to; });
+    return;
+  }
+  const field = target.split('.')[0];
+  docs.forEach((doc) => (doc[field] || []).filter((entry) => same(entry.patient, from)).forEach((entry) => { entry.patient = to; }));
+};
+
+const applyToPatient = async (filter, update) => {
+  const patient = patients.find((p) => same(p._id, filter._id));
+  Object.entries(update.$set || {}).forEach(([path, value]) => patient.set(path, value));
+  Object.keys(update.$unset || {}).forEach((path) => patient.set(path, undefined));
+  return { modifiedCount: 1 };
+};
+
+const makePatient = (fields) => new Patient({
+  middleName: 'A',
+  gender: 'Female',
+  dateOfBirth: new Date('1990-04-12'),
+  ...fields,
+});
+
+let survivor;
+let duplicate;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  audit.length = 0;
+  merges = [];
+
+  survivor = makePatient({ patientId: 'P20260001', firstName: 'Neema', lastName: 'Juma', phone: '0712345678', allergies: ['Penicillin'] });
+  duplicate = makePatient({
+    patientId: 'P20260042',
+    firstName: 'Nema',
+    lastName: 'Juma',
+    phone: '+255712345678',
+    bloodType: 'O+',
+    allergies: ['Sulfa'],
+    insurance: { membershipNumber: '10299381' },
+  });
+  patients = [survivor, duplicate];
+
+  records = {
+    Visit: [
+      { _id: new mongoose.Types.ObjectId(), patient: duplicate._id, labOrders: [{ patient: duplicate._id }], prescriptions: [{ patient: duplicate._id }] },
+      { _id: new mongoose.Types.ObjectId(), patient: survivor._id, labOrders: [{ patient: survivor._id }] },
+    ],
+    Appointment: [{ _id: new mongoose.Types.ObjectId(), patient: duplicate._id }],
+  };
+
+  jest.spyOn(Patient, 'findById').mockImplementation((id) => query(patients.find((p) => same(p._id, id)) || null));
+  jest.spyOn(Patient, 'updateOne').mockImplementation(applyToPatient);
+  for (const name of mongoose.modelNames()) {
+    const Model = mongoose.model(name);
+    jest.spyOn(Model, 'distinct').mockImplementation((field, filter) => {
+      const [[key, value]] = Object.entries(filter);
+      return query((records[name] || []).filter((doc) => same(doc[key], value)).map((doc) => doc._id));
+    });
+    jest.spyOn(Model, 'updateMany').mockImplementation(updateMany(name));
+  }
+  jest.spyOn(PatientMerge, 'create').mockImplementation(async ([data]) => {
+    const merge = new PatientMerge(data);
+    await merge.validate();
+    merges.push(merge);
+    return [merge];
+  });
+  jest.spyOn(PatientMerge, 'findById').mockImplementation((id) => query(merges.find((m) => same(m._id, id)) || null));
+  jest.spyOn(PatientMerge.prototype, 'save').mockImplementation(async function () { return this; });
+});
+
+describe('duplicate detection', () => {
+  it('scores similar names, swapped names and shared details', () => {
+    expect(nameSimilarity({ firstName: 'Neema', lastName: 'Juma' }, { firstName: 'Nema', lastName: 'Juma' })).toBeGreaterThan(0.9);
+    expect(nameSimilarity({ firstName: 'Neema', lastName: 'Juma' }, { firstName: 'Juma', lastName: 'Neema' })).toBe(1);
+    expect(nameSimilarity({ firstName: 'Neema', lastName: 'Juma' }, { firstName: 'Baraka', lastName: 'Mushi' })).toBeLessThan(0.6);
+
+    const { score, reasons } = patientMergeService.score(
+      { firstName: 'Nema', lastName: 'Juma', dateOfBirth: '1990-04-12', phone: '0712 345 678' },
+      survivor.toObject()
+    );
+    expect(reasons).toEqual(['date of birth', 'phone', expect.stringMatching(/^similar name/)]);
+    expect(score).toBe(89);
+    expect(patientMergeService.score({ firstName: 'Baraka', lastName: 'Mushi', dateOfBirth: '1990-04-12' }, survivor.toObject()).score).toBe(30);
+  });
+
+  it('stops a registration that matches an existing patient unless told to go ahead', async () => {
+    const find = jest.spyOn(Patient, 'find').mockReturnValue(query([survivor.toObject()]));
+    const create = jest.spyOn(Patient, 'create').mockImplementation(async (data) => {
+      const patient = new Patient(data);
+      patient.populate = async () => patient;
+      return patient;
+    });
+    const registration = {
+      firstName: 'Neema', middleName: 'Anna', lastName: 'Juma', dateOfBirth: '1990-04-12', gender: 'Female', phone: '0712345678',
+    };
+
+    const stopped = await request(app).post('/api/patients').send(registration);
+    const allowed = await request(app).post('/api/patients').send({ ...registration, allowDuplicate: true });
+
+    expect(stopped.status).toBe(409);
+    expect(stopped.body.duplicates).toEqual([expect.objectContaining({ score: 90, patient: expect.objectContaining({ patientId: 'P20260001' }) })]);
+    expect(find.mock.calls[0][0].status).toEqual({ $ne: 'merged' });
+    expect(allowed.status).toBe(201);
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0]).not.toHaveProperty('allowDuplicate');
+  });
+
+  it('does not call a shared date of birth alone a duplicate', async () => {
+    jest.spyOn(Patient, 'find').mockReturnValue(query([survivor.toObject()]));
+
+    const matches = await patientMergeService.findDuplicates({ firstName: 'Baraka', lastName: 'Mushi', dateOfBirth: '1990-04-12' });
+
+    expect(matches).toEqual([]);
+  });
+});
+
+describe('references', () => {
+  // Paths holding a patient id, descending into subdocuments
+  const patientPaths = (schema, prefix = '') => {
+    const found = [];
+    schema.eachPath((path, type) => {
+      if ((type.options?.ref ?? type.caster?.options?.ref) === 'Patient') found.push(`${prefix}${path}`);
+      if (type.schema) found.push(...patientPaths(type.schema, `${prefix}${path}.`));
+    });
+    return found;
+  };
+
+  it('cover every model that points at a patient', async () => {
+    for (const file of readdirSync(new URL('../models/', import.meta.url))) {
+      await import(`../models/${file}`);
+    }
+    const covered = REFERENCES.flatMap(({ Model, path, embedded = [] }) => (
+      [path, ...embedded.map((field) => `${field}.patient`)].map((p) => `${Model.modelName}.${p}`)
+    ));
+
+    const missing = mongoose.modelNames()
+      .filter((name) => !['Patient', 'PatientMerge'].includes(name))
+      .flatMap((name) => patientPaths(mongoose.model(name).schema).map((p) => `${name}.${p}`))
+      .filter((p) => !covered.includes(p));
+    expect(missing).toEqual([]);
+  });
+});
+
+describe('merging', () => {
+  it('moves every record to the survivor, fills its blanks and retires the duplicate', async () => {
+    const res = await request(app).post(`/api/patients/${survivor._id}/merge`).send({ duplicateId: String(duplicate._id), reason: 'Registered twice' });
+
+    expect(res.status).toBe(200);
+    const [visit] = records.Visit;
+    expect(same(visit.patient, survivor._id)).toBe(true);
+    expect(same(visit.labOrders[0].patient, survivor._id)).toBe(true);
+    expect(same(visit.prescriptions[0].patient, survivor._id)).toBe(true);
+    expect(same(records.Appointment[0].patient, survivor._id)).toBe(true);
+
+    expect(survivor.phone).toBe('0712345678');
+    expect(survivor.bloodType).toBe('O+');
+    expect(survivor.allergies).toEqual(['Penicillin', 'Sulfa']);
+    expect(survivor.insurance.membershipNumber).toBe('10299381');
+    expect(duplicate).toMatchObject({ status: 'merged', isActive: false });
+    expect(same(duplicate.mergedInto, survivor._id)).toBe(true);
+
+    expect(merges[0].moved.map((m) => m.model)).toEqual(['Visit', 'Appointment']);
+    expect(audit[0]).toMatchObject({ userId: USER_ID, description: 'Merged patient P20260042 into P20260001' });
+  });
+
+  it('refuses to merge a patient into themselves or a record that is already merged', async () => {
+    const self = await request(app).post(`/api/patients/${survivor._id}/merge`).send({ duplicateId: String(survivor._id) });
+    duplicate.status = 'merged';
+    const again = await request(app).post(`/api/patients/${survivor._id}/merge`).send({ duplicateId: String(duplicate._id) });
+
+    expect(self.status).toBe(400);
+    expect(again.status).toBe(409);
+    expect(merges).toHaveLength(0);
+  });
+});
+
+describe('reversing a merge', () => {
+  it('gives the duplicate back exactly what was moved and restores it', async () => {
+    const merge = await patientMergeService.merge(survivor._id, duplicate._id, { userId: USER_ID });
+    // Booked for the survivor after the merge: stays with the survivor
+    records.Appointment.push({ _id: new mongoose.Types.ObjectId(), patient: survivor._id });
+
+    const res = await request(app).post(`/api/patients/merges/${merge._id}/reverse`).send({ reason: 'Twins, not the same person' });
+
+    expect(res.status).toBe(200);
+    const [visit, survivorVisit] = records.Visit;
+    expect(same(visit.patient, duplicate._id)).toBe(true);
+    expect(same(visit.labOrders[0].patient, duplicate._id)).toBe(true);
+    expect(same(survivorVisit.patient, survivor._id)).toBe(true);
+    expect(records.Appointment.map((a) => String(a.patient))).toEqual([String(duplicate._id), String(survivor._id)]);
+
+    expect(survivor.bloodType).toBeUndefined();
+    expect(survivor.allergies).toEqual(['Penicillin']);
+    expect(duplicate).toMatchObject({ status: 'active', isActive: true });
+    expect(duplicate.mergedInto).toBeUndefined();
+    expect(merges[0]).toMatchObject({ status: 'reversed', reversalReason: 'Twins, not the same person' });
+  });
+
+  it('keeps survivor details edited since the merge', async () => {
+    const merge = await patientMergeService.merge(survivor._id, duplicate._id, { userId: USER_ID });
+    survivor.bloodType = 'A+';
+
+    await patientMergeService.reverse(merge._id, { userId: USER_ID });
+
+    expect(survivor.bloodType).toBe('A+');
+    expect(survivor.allergies).toEqual(['Penicillin']);
+    expect(audit[1].metadata.kept).toEqual(['bloodType']);
+  });
+
+  it('reverses a merge only once', async () => {
+    const merge = await patientMergeService.merge(survivor._id, duplicate._id, { userId: USER_ID });
+
+    await request(app).post(`/api/patients/merges/${merge._id}/reverse`).send({});
+    const again = await request(app).post(`/api/patients/merges/${merge._id}/reverse`).send({});
+
+    expect(again.status).toBe(409);
+  });
+});
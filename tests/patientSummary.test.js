@@ -0,0 +1,193 @@
+/**
+ * Tests for the patient clinical summary.
+ *
+ * Each model's find() is answered from plain records the way the summary
+ * queries them, so what is checked is how visits, admissions, procedures,
+ * radiology requests and invoices are combined and limited to the period.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('../middleware/auditTrail.js', () => ({ auditTrail: () => (req, res, next) => next() }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: USER_ID, id: USER_ID }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const { default: patientRoutes } = await import('../routes/patients.js');
+const { default: patientSummaryService } = await import('../services/patientSummaryService.js');
+const { default: Patient } = await import('../models/Patient.js');
+const { default: Visit } = await import('../models/Visit.js');
+const { default: IPDRecord } = await import('../models/IPDRecord.js');
+const { default: RadiologyRequest } = await import('../models/RadiologyRequest.js');
+const { default: TheatreProcedure } = await import('../models/TheatreProcedure.js');
+const { default: Invoice } = await import('../models/Invoice.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/patients', patientRoutes);
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.populate = () => q;
+  q.sort = () => q;
+  q.lean = () => q;
+  return q;
+};
+
+const now = new Date('2026-10-19T10:00:00');
+const doctor = { firstName: 'Asha', lastName: 'Mrema' };
+const patient = {
+  _id: new mongoose.Types.ObjectId(),
+  patientId: 'P20260042',
+  firstName: 'Neema',
+  lastName: 'Juma',
+  allergies: ['Penicillin'],
+  medications: [
+    { name: 'Metformin', dosage: '500mg', frequency: 'BD', startDate: new Date('2025-01-10') },
+    { name: 'Aspirin', dosage: '75mg', frequency: 'OD', isActive: false },
+  ],
+};
+
+let visits;
+let admissions;
+let visitQuery;
+
+beforeEach(() => {
+  visits = [
+    {
+      visitId: 'V2600010',
+      visitDate: new Date('2026-03-02T09:00:00'),
+      vitalSigns: [{ temperature: 37.1, bloodPressure: '150/95', heartRate: 80, oxygenSaturation: 98, weight: 82, recordedAt: new Date('2026-03-02T09:10:00') }],
+      diagnosis: [{ condition: 'Hypertension', icd10Code: 'I10', isFinal: false }],
+      labOrders: [{ testName: 'Lipid profile', status: 'Completed', results: 'LDL 4.1', completedAt: new Date('2026-03-02T12:00:00') }],
+      prescriptions: [{ medication: 'Amlodipine', dosage: '5mg', frequency: 'OD', duration: '30 days', createdAt: new Date('2026-03-02T09:30:00'), prescribedBy: doctor }],
+    },
+    {
+      visitId: 'V2600200',
+      visitDate: new Date('2026-10-12T09:00:00'),
+      vitalSigns: [{ temperature: 36.8, bloodPressure: '138/88', heartRate: 76, oxygenSaturation: 99, recordedAt: new Date('2026-10-12T09:05:00') }],
+      diagnosis: [{ condition: 'Essential hypertension', icd10Code: 'I10', isFinal: true }],
+      labOrders: [
+        { testName: 'Malaria RDT', status: 'Completed', results: 'Negative', completedAt: new Date('2026-10-12T10:00:00') },
+        { testName: 'Full blood count', status: 'Pending' },
+      ],
+      radiologyOrders: [{ scanType: 'X-Ray', bodyPart: 'Chest', status: 'Completed', findings: 'Clear', completedAt: new Date('2026-10-12T11:00:00') }],
+      prescriptions: [
+        { medication: 'Amlodipine', dosage: '10mg', frequency: 'OD', duration: '4 weeks', createdAt: new Date('2026-10-12T09:30:00'), prescribedBy: doctor },
+        { medication: 'Paracetamol', dosage: '1g', frequency: 'TDS', duration: '3 days', createdAt: new Date('2026-10-12T09:30:00') },
+      ],
+    },
+  ];
+  admissions = [{
+    admissionNumber: 'ADM202600007',
+    admissionDate: new Date('2026-10-15T14:00:00'),
+    status: 'stable',
+    admissionReason: 'Uncontrolled blood pressure',
+    admittingDoctor: doctor,
+    diagnosis: [{ condition: 'Hypertensive urgency', diagnosedDate: new Date('2026-10-15T15:00:00') }],
+    vitalSigns: [{ recordedDate: new Date('2026-10-16T08:00:00'), bloodPressure: { systolic: 162, diastolic: 100 }, heartRate: 88, respiratoryRate: 18 }],
+    medications: [{ medication: 'Labetalol', dosage: '200mg', frequency: 'BD', startDate: new Date('2026-10-15T15:00:00'), status: 'Dispensed' }],
+  }];
+
+  jest.spyOn(Patient, 'findById').mockImplementation((id) => query(String(id) === String(patient._id) ? patient : null));
+  jest.spyOn(Visit, 'find').mockImplementation((filter) => {
+    visitQuery = filter;
+    return query(visits);
+  });
+  jest.spyOn(IPDRecord, 'find').mockReturnValue(query(admissions));
+  jest.spyOn(RadiologyRequest, 'find').mockReturnValue(query([
+    { scanType: 'Ultrasound', bodyPart: 'Abdomen', findings: 'Normal', completedAt: new Date('2026-01-20T10:00:00') },
+  ]));
+  jest.spyOn(TheatreProcedure, 'find').mockReturnValue(query([
+    { procedureNumber: 'PR202600003', procedure_name: 'Appendicectomy', procedure_date: new Date('2026-01-05'), status: 'completed', surgeon: doctor, completion: { reason: 'recovered' } },
+  ]));
+  jest.spyOn(Invoice, 'find').mockReturnValue(query([
+    { invoiceNumber: 'INV-2026-0101', status: 'partial', balanceDue: 12000 },
+    { invoiceNumber: 'INV-2026-0142', status: 'overdue', balanceDue: 3500 },
+  ]));
+});
+
+describe('patientSummaryService.getSummary', () => {
+  it('groups diagnoses from visits and admissions into problems', async () => {
+    const { problems } = await patientSummaryService.getSummary(patient._id, { now });
+
+    expect(problems).toEqual([
+      expect.objectContaining({ condition: 'Hypertensive urgency', occurrences: 1, sources: [expect.objectContaining({ type: 'admission', reference: 'ADM202600007' })] }),
+      expect.objectContaining({ icd10Code: 'I10', occurrences: 2, confirmed: true, firstRecorded: visits[0].visitDate, lastRecorded: visits[1].visitDate }),
+    ]);
+  });
+
+  it('lists medications still being taken, from the record, visits and the open admission', async () => {
+    const { currentMedications, allergies } = await patientSummaryService.getSummary(patient._id, { now });
+
+    expect(allergies).toEqual(['Penicillin']);
+    expect(currentMedications.map((m) => `${m.medication}:${m.source}`)).toEqual([
+      'Labetalol:admission', 'Amlodipine:visit', 'Metformin:record',
+    ]);
+    expect(currentMedications[1]).toMatchObject({ dosage: '10mg', prescribedBy: 'Asha Mrema', reference: 'V2600200' });
+  });
+
+  it('puts visit and inpatient vital signs in one series with the latest of each', async () => {
+    const { vitals } = await patientSummaryService.getSummary(patient._id, { now });
+
+    expect(vitals.readings.map((r) => [r.source, r.systolic, r.diastolic])).toEqual([
+      ['visit', 150, 95], ['visit', 138, 88], ['admission', 162, 100],
+    ]);
+    expect(vitals.latest).toMatchObject({
+      systolic: { value: 162 },
+      temperature: { value: 36.8 },
+      weight: { value: 82 },
+      respiratoryRate: { value: 18 },
+    });
+  });
+
+  it('returns completed results newest first, surgeries and what is owed', async () => {
+    const summary = await patientSummaryService.getSummary(patient._id, { now, limit: 1 });
+
+    expect(summary.labResults).toEqual([expect.objectContaining({ testName: 'Malaria RDT', reference: 'V2600200' })]);
+    expect(summary.radiologyResults).toEqual([expect.objectContaining({ scanType: 'X-Ray', findings: 'Clear' })]);
+    expect(summary.surgeries).toEqual([expect.objectContaining({ name: 'Appendicectomy', surgeon: 'Asha Mrema', outcome: 'recovered' })]);
+    expect(summary.balance.outstanding).toBe(15500);
+    expect(summary.balance.invoices).toHaveLength(2);
+  });
+
+  it('keeps history to the period but current medications as of now', async () => {
+    const summary = await patientSummaryService.getSummary(patient._id, { from: '2026-10-01', to: '2026-10-14', now });
+
+    expect(visitQuery.$or).toEqual([
+      { visitDate: { $gte: new Date('2026-10-01T00:00:00'), $lte: new Date('2026-10-14T23:59:59.999') } },
+      { 'prescriptions.isActive': true },
+    ]);
+    expect(summary.problems.map((p) => p.condition)).toEqual(['Essential hypertension']);
+    expect(summary.problems[0].occurrences).toBe(1);
+    expect(summary.vitals.readings).toHaveLength(1);
+    expect(summary.radiologyResults.map((r) => r.scanType)).toEqual(['X-Ray']);
+    expect(summary.surgeries).toEqual([]);
+    expect(summary.admissions).toEqual([]);
+    expect(summary.currentMedications.map((m) => m.medication)).toContain('Labetalol');
+  });
+});
+
+describe('GET /api/patients/:id/summary', () => {
+  it('returns the summary', async () => {
+    const res = await request(app).get(`/api/patients/${patient._id}/summary`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.patient).toMatchObject({ patientId: 'P20260042', name: 'Neema Juma' });
+    expect(res.body.data.period).toEqual({ from: null, to: null });
+  });
+
+  it('rejects a bad period and an unknown patient', async () => {
+    const backwards = await request(app).get(`/api/patients/${patient._id}/summary?from=2026-10-14&to=2026-10-01`);
+    const unknown = await request(app).get(`/api/patients/${new mongoose.Types.ObjectId()}/summary`);
+
+    expect(backwards.status).toBe(400);
+    expect(unknown.status).toBe(404);
+  });
+});
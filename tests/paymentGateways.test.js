@@ -0,0 +1,321 @@
+/**
+ * Tests for gateway-backed payments.
+ *
+ * Billing runs against the fake gateway, with the models replaced by an
+ * in-memory invoice and payment store, so the whole flow - charge, callback,
+ * settlement - runs offline. The mobile money adapter is tested separately
+ * against a mocked HTTP client to pin down the STK push request and the
+ * callback format.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+process.env.PAYMENT_CARD_GATEWAY = 'fake';
+process.env.PAYMENT_MOBILE_MONEY_GATEWAY = 'fake';
+process.env.MOBILE_MONEY_CALLBACK_TOKEN = 'callback-secret';
+
+const INVOICE_ID = '64a0000000000000000000a1';
+const PATIENT_ID = '64a0000000000000000000b1';
+
+let invoice;
+const payments = [];
+const audit = [];
+const http = { get: jest.fn(), post: jest.fn() };
+
+const applySet = (doc, set) => {
+  for (const [key, value] of Object.entries(set)) {
+    if (key.startsWith('gatewayResponse.')) {
+      doc.gatewayResponse.set(key.slice('gatewayResponse.'.length), value);
+    } else {
+      doc[key] = value;
+    }
+  }
+};
+
+const makePayment = (data) => ({
+  ...data,
+  _id: `pay-${payments.length + 1}`,
+  $locals: {},
+  gatewayResponse: new Map(Object.entries(data.gatewayResponse || {})),
+  toJSON() {
+    const { $locals, toJSON, ...rest } = this;
+    return { ...rest, gatewayResponse: Object.fromEntries(this.gatewayResponse) };
+  },
+});
+
+const query = (value) => {
+  const promise = Promise.resolve(value);
+  promise.session = () => Promise.resolve(value);
+  promise.select = () => Promise.resolve(value);
+  return promise;
+};
+
+jest.unstable_mockModule('axios', () => ({ default: http }));
+
+jest.unstable_mockModule('../models/Payment.js', () => ({
+  default: {
+    generatePaymentNumber: async () => `PAY-${payments.length + 1}`,
+    create: async ([data]) => {
+      const payment = makePayment(data);
+      payments.push(payment);
+      return [payment];
+    },
+    findOne: async (q) => payments.find((p) => p.gateway === q.gateway && p.transactionId === q.transactionId) || null,
+    findById: async (id) => payments.find((p) => p._id === id) || null,
+    find: (q) => query(payments.filter((p) => p.invoice === q.invoice && p.status === q.status)),
+    findOneAndUpdate: async (q, { $set }) => {
+      const payment = payments.find((p) => p._id === q._id && q.status.$in.includes(p.status));
+      if (!payment) return null;
+      applySet(payment, $set);
+      return payment;
+    },
+  },
+}));
+
+jest.unstable_mockModule('../models/Invoice.js', () => ({
+  default: { findById: () => query(invoice) },
+}));
+jest.unstable_mockModule('../models/Patient.js', () => ({
+  default: { findById: () => query({ phone: '0712345678' }) },
+}));
+jest.unstable_mockModule('../models/Visit.js', () => ({ default: {} }));
+jest.unstable_mockModule('../models/InsuranceProvider.js', () => ({ default: {} }));
+jest.unstable_mockModule('../models/Notification.js', () => ({ default: { createNotification: async () => {} } }));
+jest.unstable_mockModule('../models/AuditLog.js', () => ({ default: { log: async (entry) => audit.push(entry) } }));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({ withTransaction: (fn) => fn(null) }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: 'cashier', id: 'cashier' }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const { default: billingRoutes } = await import('../routes/billing.js');
+const { default: mobileMoneyGateway, normalisePhone } = await import('../services/gateways/mobileMoneyGateway.js');
+const { default: paymentGatewayService } = await import('../services/paymentGateway.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/billing', billingRoutes);
+
+beforeEach(() => {
+  payments.length = 0;
+  audit.length = 0;
+  invoice = {
+    _id: INVOICE_ID,
+    invoiceNumber: 'INV-2026-0001',
+    patient: PATIENT_ID,
+    visit: null,
+    balanceDue: 30000,
+    amountPaid: 0,
+    addPayment(amount) {
+      this.amountPaid += amount;
+      this.balanceDue -= amount;
+    },
+    save: async () => {},
+  };
+});
+
+const pay = (body) =>
+  request(app).post('/api/billing/payments').send({ invoice: INVOICE_ID, patient: PATIENT_ID, ...body });
+
+const callback = (body, token = 'callback-secret') =>
+  request(app).post(`/api/billing/callbacks/mobile-money?token=${token}`).send(body);
+
+describe('card payments', () => {
+  it('credit the invoice when the gateway approves the charge', async () => {
+    const res = await pay({ amount: 10000, method: 'credit_card', paymentMethodId: 'pm_card_visa' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'completed', gateway: 'fake' });
+    expect(res.body.data.transactionId).toMatch(/^FAKE-/);
+    expect(res.body.data.gatewayResponse.status).toBe('completed');
+    expect(invoice.amountPaid).toBe(10000);
+  });
+
+  it('record a declined card as failed and leave the invoice alone', async () => {
+    const res = await pay({ amount: 10000, method: 'debit_card', paymentMethodId: 'pm_card_chargeDeclined' });
+
+    expect(res.status).toBe(402);
+    expect(res.body.message).toBe('Your card was declined.');
+    expect(payments[0].status).toBe('failed');
+    expect(invoice.amountPaid).toBe(0);
+  });
+
+  it('hand back the client secret when the customer still has to authenticate', async () => {
+    const res = await pay({ amount: 10000, method: 'credit_card', paymentMethodId: 'pm_card_authenticationRequired' });
+
+    expect(res.status).toBe(202);
+    expect(res.body.clientSecret).toMatch(/_secret$/);
+    expect(payments[0].gatewayResponse.has('clientSecret')).toBe(false);
+  });
+});
+
+describe('card payments through Stripe', () => {
+  // Stripe refuses a key reused with different parameters for 24 hours
+  const intents = new Map();
+
+  beforeEach(() => {
+    process.env.PAYMENT_CARD_GATEWAY = 'stripe';
+    intents.clear();
+    jest.spyOn(paymentGatewayService, 'createPaymentIntent').mockImplementation(async (amount, currency, metadata, { paymentMethodId, idempotencyKey }) => {
+      const params = JSON.stringify({ amount, paymentMethodId, metadata: { ...metadata, timestamp: Date.now() } });
+      if (intents.has(idempotencyKey) && intents.get(idempotencyKey) !== params) {
+        return { success: false, error: 'Keys for idempotent requests can only be used with the same parameters they were first used with.' };
+      }
+      intents.set(idempotencyKey, params);
+      return paymentMethodId === 'pm_card_chargeDeclined'
+        ? { success: true, paymentIntentId: `pi_${intents.size}`, status: 'canceled' }
+        : { success: true, paymentIntentId: `pi_${intents.size}`, status: 'succeeded' };
+    });
+  });
+
+  afterEach(() => {
+    process.env.PAYMENT_CARD_GATEWAY = 'fake';
+    jest.restoreAllMocks();
+  });
+
+  it('charge each attempt on an invoice as its own intent', async () => {
+    const declined = await pay({ amount: 10000, method: 'credit_card', paymentMethodId: 'pm_card_chargeDeclined' });
+    const retried = await pay({ amount: 10000, method: 'credit_card', paymentMethodId: 'pm_card_visa' });
+    const second = await pay({ amount: 5000, method: 'credit_card', paymentMethodId: 'pm_card_visa' });
+
+    expect(declined.status).toBe(402);
+    expect(retried.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect([...intents.keys()]).toEqual(['charge-PAY-1', 'charge-PAY-2', 'charge-PAY-3']);
+    expect(payments.map((p) => [p.paymentNumber, p.status])).toEqual([['PAY-1', 'failed'], ['PAY-2', 'completed'], ['PAY-3', 'completed']]);
+    expect(invoice.amountPaid).toBe(15000);
+  });
+});
+
+describe('mobile money payments', () => {
+  it('stay processing until the callback arrives, then credit the invoice once', async () => {
+    const res = await pay({ amount: 30000, method: 'mobile_money' });
+
+    expect(res.status).toBe(202);
+    expect(invoice.amountPaid).toBe(0);
+
+    const { transactionId } = res.body.data;
+    const first = await callback({ fake: { transactionId, status: 'completed' } });
+    const retry = await callback({ fake: { transactionId, status: 'completed' } });
+
+    expect(first.body).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+    expect(retry.status).toBe(200);
+    expect(payments[0].status).toBe('completed');
+    expect(invoice.amountPaid).toBe(30000);
+    expect(audit.filter((e) => e.description.includes('confirmed'))).toHaveLength(1);
+  });
+
+  it('count against the balance while awaiting the customer', async () => {
+    const first = await pay({ amount: 20000, method: 'mobile_money' });
+    const second = await pay({ amount: 20000, method: 'mobile_money' });
+
+    expect(first.status).toBe(202);
+    expect(second.status).toBe(500);
+    expect(second.body.message).toBe('Payment amount exceeds balance due less Tsh. 20000 awaiting confirmation');
+    expect(payments).toHaveLength(1);
+
+    const rest = await pay({ amount: 10000, method: 'mobile_money' });
+    expect(rest.status).toBe(202);
+  });
+
+  it('mark the payment failed when the customer cancels', async () => {
+    const res = await pay({ amount: 30000, method: 'mobile_money' });
+
+    await callback({ fake: { transactionId: res.body.data.transactionId, status: 'failed', message: 'Request cancelled by user' } });
+
+    expect(payments[0].status).toBe('failed');
+    expect(payments[0].gatewayResponse.get('message')).toBe('Request cancelled by user');
+    expect(invoice.amountPaid).toBe(0);
+  });
+
+  it('refuse callbacks without the shared token', async () => {
+    const res = await pay({ amount: 30000, method: 'mobile_money' });
+
+    const forged = await callback({ fake: { transactionId: res.body.data.transactionId, status: 'completed' } }, 'guess');
+
+    expect(forged.status).toBe(401);
+    expect(payments[0].status).toBe('processing');
+  });
+});
+
+describe('cash payments', () => {
+  it('do not touch a gateway', async () => {
+    const res = await pay({ amount: 5000, method: 'cash' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.gateway).toBeUndefined();
+    expect(invoice.amountPaid).toBe(5000);
+  });
+});
+
+describe('mobile money adapter', () => {
+  const env = {
+    MOBILE_MONEY_BASE_URL: 'https://mm.example',
+    MOBILE_MONEY_CONSUMER_KEY: 'key',
+    MOBILE_MONEY_CONSUMER_SECRET: 'secret',
+    MOBILE_MONEY_SHORTCODE: '174379',
+    MOBILE_MONEY_PASSKEY: 'passkey',
+    MOBILE_MONEY_CALLBACK_URL: 'https://api.example/api/billing/callbacks/mobile-money?token=x',
+  };
+
+  beforeAll(() => Object.assign(process.env, env));
+  afterAll(() => Object.keys(env).forEach((key) => delete process.env[key]));
+
+  it('sends an STK push to the normalised phone number', async () => {
+    http.get.mockResolvedValueOnce({ data: { access_token: 'tok', expires_in: '3599' } });
+    http.post.mockResolvedValueOnce({
+      data: { ResponseCode: '0', CheckoutRequestID: 'ws_CO_1', MerchantRequestID: 'm-1', CustomerMessage: 'Success' },
+    });
+
+    const result = await mobileMoneyGateway.charge({ amount: 30000, phone: '0712 345 678', reference: 'INV-2026-0001' });
+
+    const [url, payload, options] = http.post.mock.calls[0];
+    expect(url).toBe('https://mm.example/mpesa/stkpush/v1/processrequest');
+    expect(payload).toMatchObject({ Amount: 30000, PartyA: '255712345678', PhoneNumber: '255712345678', PartyB: '174379' });
+    expect(Buffer.from(payload.Password, 'base64').toString()).toBe(`174379passkey${payload.Timestamp}`);
+    expect(options.headers.Authorization).toBe('Bearer tok');
+    expect(result).toMatchObject({ status: 'processing', transactionId: 'ws_CO_1' });
+  });
+
+  it('refuses numbers and amounts the operator cannot take, without calling out', async () => {
+    http.post.mockClear();
+
+    expect((await mobileMoneyGateway.charge({ amount: 100, phone: '12345' })).status).toBe('failed');
+    expect((await mobileMoneyGateway.charge({ amount: 100.5, phone: '0712345678' })).status).toBe('failed');
+    expect(http.post).not.toHaveBeenCalled();
+  });
+
+  it('reads the result and receipt number from an STK callback', () => {
+    const settlement = mobileMoneyGateway.handleCallback({
+      Body: {
+        stkCallback: {
+          CheckoutRequestID: 'ws_CO_1',
+          ResultCode: 0,
+          ResultDesc: 'The service request is processed successfully.',
+          CallbackMetadata: {
+            Item: [
+              { Name: 'Amount', Value: 30000 },
+              { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+              { Name: 'PhoneNumber', Value: 255712345678 },
+            ],
+          },
+        },
+      },
+    });
+
+    expect(settlement).toMatchObject({
+      transactionId: 'ws_CO_1',
+      status: 'completed',
+      amount: 30000,
+      details: { receiptNumber: 'NLJ7RT61SV', phone: '255712345678' },
+    });
+    expect(mobileMoneyGateway.handleCallback({ unrelated: true })).toBeNull();
+  });
+
+  it('normalises local and international numbers', () => {
+    expect(normalisePhone('+255 712 345 678')).toBe('255712345678');
+    expect(normalisePhone('712345678')).toBe('255712345678');
+    expect(normalisePhone('0712')).toBeNull();
+  });
+});
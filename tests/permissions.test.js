@@ -0,0 +1,125 @@
+/**
+ * Tests for permission resolution: the built-in role catalogue, how a user's
+ * role, grants and revokes combine, and the requirePermission middleware.
+ *
+ * Role lookups are mocked so the suite needs no database; User documents are
+ * constructed in memory and never saved.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+const stored = new Map();
+
+jest.unstable_mockModule('../models/Role.js', () => ({
+  default: {
+    permissionsFor: async (name) => stored.get(name) ?? [],
+  },
+}));
+
+const { default: User } = await import('../models/User.js');
+const { requirePermission, requireAnyPermission } = await import('../middleware/auth.js');
+const { DEFAULT_ROLES, PERMISSIONS, WILDCARD, isKnownPermission } = await import('../config/permissions.js');
+
+beforeEach(() => stored.clear());
+
+describe('built-in roles', () => {
+  it('only grant permissions that exist', () => {
+    for (const role of DEFAULT_ROLES) {
+      expect(role.permissions.filter((p) => !isKnownPermission(p))).toEqual([]);
+    }
+  });
+
+  it('reserve the wildcard for admin', () => {
+    const holders = DEFAULT_ROLES.filter((r) => r.permissions.includes(WILDCARD)).map((r) => r.name);
+    expect(holders).toEqual(['admin']);
+  });
+
+  it('keep administration permissions with admin alone', () => {
+    const granted = new Set(DEFAULT_ROLES.flatMap((r) => r.permissions));
+    const adminOnly = Object.keys(PERMISSIONS).filter((p) => !granted.has(p));
+    expect(adminOnly).toEqual(expect.arrayContaining(['users.manage', 'roles.manage', 'audit.view']));
+  });
+});
+
+describe('User permissions', () => {
+  it('fall back to the built-in role before permissions are loaded', () => {
+    const nurse = new User({ role: 'nurse' });
+    expect(nurse.hasPermission('visits.vitals')).toBe(true);
+    expect(nurse.hasPermission('patients.delete')).toBe(false);
+  });
+
+  it('use the stored role once loaded, including custom roles', async () => {
+    stored.set('ward_clerk', ['patients.search', 'beds.assign']);
+    const clerk = new User({ role: 'ward_clerk' });
+
+    expect(clerk.hasPermission('beds.assign')).toBe(false);
+    await clerk.loadPermissions();
+    expect(clerk.hasPermission('beds.assign')).toBe(true);
+    expect(clerk.hasPermission('beds.delete')).toBe(false);
+  });
+
+  it('add grants and let revokes win over both role and grant', async () => {
+    stored.set('nurse', ['visits.vitals', 'ipd.view']);
+    const nurse = new User({
+      role: 'nurse',
+      permissionGrants: ['lab_tests.view', 'ipd.view'],
+      permissionRevokes: ['ipd.view'],
+    });
+    await nurse.loadPermissions();
+
+    expect(nurse.getEffectivePermissions().sort()).toEqual(['lab_tests.view', 'visits.vitals']);
+    expect(nurse.hasPermission('ipd.view')).toBe(false);
+  });
+
+  it('let a revoke carve an exception out of the admin wildcard', async () => {
+    stored.set('admin', [WILDCARD]);
+    const admin = new User({ role: 'admin', permissionRevokes: ['audit.view'] });
+    await admin.loadPermissions();
+
+    expect(admin.hasPermission('patients.delete')).toBe(true);
+    expect(admin.hasPermission('audit.view')).toBe(false);
+  });
+
+  it('reject unknown permissions and the wildcard as per-user grants', () => {
+    expect(new User({ permissionGrants: ['patients.fly'] }).validateSync()?.errors.permissionGrants).toBeDefined();
+    expect(new User({ permissionGrants: [WILDCARD] }).validateSync()?.errors.permissionGrants).toBeDefined();
+  });
+});
+
+describe('requirePermission', () => {
+  const app = express();
+  app.use((req, res, next) => {
+    const [role, grants] = (req.get('x-user') || '').split(':');
+    if (role) req.user = new User({ role, permissionGrants: grants ? grants.split(',') : [] });
+    next();
+  });
+  app.get('/patients', requirePermission('patients.list'), (req, res) => res.json({ status: 'success' }));
+  app.get('/appointments', requireAnyPermission('appointments.view_all', 'appointments.view_own'), (req, res) => res.json({ status: 'success' }));
+
+  it('allows a user holding the permission', async () => {
+    const res = await request(app).get('/patients').set('x-user', 'receptionist');
+    expect(res.status).toBe(200);
+  });
+
+  it('refuses a user without it and names the permission', async () => {
+    const res = await request(app).get('/patients').set('x-user', 'nurse');
+    expect(res.status).toBe(403);
+    expect(res.body.message).toContain('patients.list');
+  });
+
+  it('honours a per-user grant', async () => {
+    const res = await request(app).get('/patients').set('x-user', 'nurse:patients.list');
+    expect(res.status).toBe(200);
+  });
+
+  it('accepts any one of several permissions', async () => {
+    const res = await request(app).get('/appointments').set('x-user', 'doctor');
+    expect(res.status).toBe(200);
+  });
+
+  it('rejects unauthenticated requests', async () => {
+    const res = await request(app).get('/patients');
+    expect(res.status).toBe(401);
+  });
+});
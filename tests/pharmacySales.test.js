@@ -0,0 +1,339 @@
+/**
+ * Tests for the pharmacy counter: server-side pricing, split payments and
+ * change, stock checks, receipts, voids that put stock back, and shift
+ * cash-up.
+ *
+ * Sales, shifts, payments and batches are real documents held in memory;
+ * stock is taken by a stand-in for utils/deductStock.js working on those
+ * batches, and receipt numbers come from a per-key counter.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const counters = {};
+let currentUser;
+let batches = [];
+
+jest.unstable_mockModule('../utils/sequence.js', () => {
+  const nextSequence = async (key) => { counters[key] = (counters[key] || 0) + 1; return counters[key]; };
+  return { nextSequence, highestExisting: async () => 0, default: nextSequence };
+});
+jest.unstable_mockModule('../utils/withTransaction.js', () => {
+  const withTransaction = async (fn) => fn(null);
+  return { withTransaction, default: withTransaction };
+});
+jest.unstable_mockModule('../utils/deductStock.js', () => ({
+  deductFromBatches: async ({ medicineId, quantity }) => {
+    let remaining = quantity;
+    const batchesUsed = [];
+    const movements = [];
+    const available = batches
+      .filter((b) => String(b.medicine) === String(medicineId) && b.status === 'active' && b.quantityRemaining > 0)
+      .sort((a, b) => a.expiryDate - b.expiryDate);
+    for (const batch of available) {
+      if (remaining <= 0) break;
+      const take = Math.min(remaining, batch.quantityRemaining);
+      batch.quantityRemaining -= take;
+      if (batch.quantityRemaining === 0) batch.status = 'depleted';
+      remaining -= take;
+      batchesUsed.push({ batchNumber: batch.batchNumber, quantity: take });
+      movements.push({ batch: batch._id, quantity: take });
+    }
+    return { batchesUsed, movements, remaining };
+  },
+}));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = currentUser; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const { default: directDispensingRoutes } = await import('../routes/directDispensing.js');
+const { default: DirectDispensing } = await import('../models/DirectDispensing.js');
+const { default: PharmacyShift } = await import('../models/PharmacyShift.js');
+const { default: Payment } = await import('../models/Payment.js');
+const { Medicine } = await import('../models/Medicine.js');
+const { MedicineBatch } = await import('../models/MedicineBatch.js');
+const { StockMovement } = await import('../models/StockMovement.js');
+const { default: pricingService } = await import('../services/pricingService.js');
+const { default: Store } = await import('../models/Store.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/direct-dispensing', directDispensingRoutes);
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.lean = () => query(Array.isArray(value) ? value.map((d) => d.toObject()) : value);
+  q.session = () => q;
+  q.populate = () => q;
+  q.sort = () => q;
+  q.limit = () => q;
+  return q;
+};
+
+const user = (firstName, permissions = []) => ({
+  _id: new mongoose.Types.ObjectId(), firstName, lastName: 'Cashier',
+  hasPermission: (p) => permissions.includes(p),
+});
+const amina = user('Amina');
+const baraka = user('Baraka');
+const supervisor = user('Zawadi', ['direct_dispensing.cashup']);
+
+const paracetamol = new Medicine({ name: 'Paracetamol 500mg', sellingPrice: 50 });
+const amoxicillin = new Medicine({ name: 'Amoxicillin 250mg', sellingPrice: 200 });
+
+let shifts;
+let sales;
+let payments;
+let movements;
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+
+beforeEach(() => {
+  Object.keys(counters).forEach((key) => delete counters[key]);
+  currentUser = amina;
+  shifts = [];
+  sales = [];
+  payments = [];
+  movements = [];
+  batches = [
+    new MedicineBatch({ medicine: paracetamol._id, batchNumber: 'PCM-01', quantityReceived: 100, quantityRemaining: 8, expiryDate: new Date('2027-01-31'), status: 'active' }),
+    new MedicineBatch({ medicine: paracetamol._id, batchNumber: 'PCM-02', quantityReceived: 100, quantityRemaining: 100, expiryDate: new Date('2027-06-30'), status: 'active' }),
+    new MedicineBatch({ medicine: amoxicillin._id, batchNumber: 'AMX-01', quantityReceived: 50, quantityRemaining: 3, expiryDate: new Date('2027-03-31'), status: 'active' }),
+  ];
+
+  // No pharmacy store is set up, so sales draw on every store
+  jest.spyOn(Store, 'findOne').mockImplementation(() => query(null));
+
+  // The pharmacy price list has paracetamol at 60; amoxicillin falls back
+  // to its catalogue price
+  jest.spyOn(pricingService, 'resolvePrice').mockImplementation(async ({ item, fallback }) => (
+    String(item) === String(paracetamol._id) ? { price: 60 } : { price: fallback }
+  ));
+  jest.spyOn(Medicine, 'find').mockImplementation(async (filter) => (
+    [paracetamol, amoxicillin].filter((m) => filter._id.$in.map(String).includes(String(m._id)))
+  ));
+  jest.spyOn(MedicineBatch, 'find').mockImplementation((filter) => query(
+    batches.filter((b) => String(b.medicine) === String(filter.medicine) && b.status === 'active' && b.quantityRemaining > 0)
+  ));
+  jest.spyOn(MedicineBatch, 'findOneAndUpdate').mockImplementation(async (filter, [{ $set }]) => {
+    const batch = batches.find((b) => String(b._id) === String(filter._id));
+    batch.quantityRemaining += $set.quantityRemaining.$add[1];
+    if (batch.status === 'depleted') batch.status = 'active';
+    return batch;
+  });
+  jest.spyOn(StockMovement, 'create').mockImplementation(async ([doc]) => { movements.push(doc); return [doc]; });
+
+  jest.spyOn(PharmacyShift, 'findOne').mockImplementation(async (filter) => shifts.find((s) => matches(s, filter)) || null);
+  jest.spyOn(PharmacyShift, 'findById').mockImplementation(async (id) => shifts.find((s) => String(s._id) === String(id)) || null);
+  jest.spyOn(PharmacyShift, 'create').mockImplementation(async (doc) => { const shift = new PharmacyShift(doc); shifts.push(shift); return shift; });
+  jest.spyOn(PharmacyShift.prototype, 'save').mockImplementation(async function () { return this; });
+
+  jest.spyOn(DirectDispensing.prototype, 'save').mockImplementation(async function () {
+    if (!sales.includes(this)) sales.push(this);
+    return this;
+  });
+  jest.spyOn(DirectDispensing.prototype, 'populate').mockImplementation(async function () { return this; });
+  jest.spyOn(DirectDispensing, 'findById').mockImplementation(async (id) => sales.find((s) => String(s._id) === String(id)) || null);
+  jest.spyOn(DirectDispensing, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+    const sale = sales.find((s) => String(s._id) === String(filter._id) && s.status !== filter.status.$ne);
+    if (!sale) return null;
+    Object.assign(sale, $set);
+    return sale;
+  });
+  jest.spyOn(DirectDispensing, 'find').mockImplementation((filter) => query(sales.filter((s) => matches(s, filter))));
+
+  jest.spyOn(Payment, 'create').mockImplementation(async ([doc]) => { const payment = new Payment(doc); payments.push(payment); return [payment]; });
+  jest.spyOn(Payment, 'find').mockImplementation((filter) => query(payments.filter((p) => matches(p, filter))));
+  jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const openShift = async (cashier, openingFloat = 0) => {
+  currentUser = cashier;
+  return request(app).post('/api/direct-dispensing/shifts').send({ openingFloat });
+};
+const sell = (body) => request(app).post('/api/direct-dispensing').send({ clientName: 'Walk-in', ...body });
+
+describe('selling over the counter', () => {
+  it('prices lines from the pharmacy price list, ignoring the price sent', async () => {
+    await openShift(amina, 5000);
+    const res = await sell({
+      items: [
+        { medicine: paracetamol._id, quantity: 10, price: 1 },
+        { medicine: amoxicillin._id, quantity: 2, price: 1 },
+      ],
+      payments: [{ method: 'cash', amount: 1000 }],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.medicines.map((l) => [l.name, l.price, l.total])).toEqual([
+      ['Paracetamol 500mg', 60, 600],
+      ['Amoxicillin 250mg', 200, 400],
+    ]);
+    expect(res.body.data.totalCost).toBe(1000);
+    expect(res.body.data.receiptNumber).toBe('OTC-20261019-0001');
+    expect(res.body.receipt.items).toHaveLength(2);
+  });
+
+  it('takes stock oldest expiry first and records where it came from', async () => {
+    await openShift(amina);
+    const res = await sell({
+      items: [{ medicine: paracetamol._id, quantity: 10 }],
+      payments: [{ method: 'cash', amount: 600 }],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.medicines[0].batches.map((b) => [b.batchNumber, b.quantity])).toEqual([['PCM-01', 8], ['PCM-02', 2]]);
+    expect(batches.map((b) => b.quantityRemaining)).toEqual([0, 98, 3]);
+  });
+
+  it('splits payment across card and cash, giving change from the cash only', async () => {
+    await openShift(amina);
+    const res = await sell({
+      items: [{ medicine: paracetamol._id, quantity: 10 }],
+      payments: [
+        { method: 'credit_card', amount: 400, reference: 'SLIP-7781' },
+        { method: 'cash', amount: 500 },
+      ],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ totalCost: 600, amountTendered: 900, change: 300 });
+    expect(res.body.data.payments.map((p) => [p.method, p.amount])).toEqual([['cash', 200], ['credit_card', 400]]);
+    expect(payments.map((p) => [p.method, p.amount, p.transactionId, p.receiptNumber])).toEqual([
+      ['cash', 200, undefined, 'OTC-20261019-0001'],
+      ['credit_card', 400, 'SLIP-7781', 'OTC-20261019-0001'],
+    ]);
+    // A counter payment has no invoice or patient behind it
+    expect(payments[0].validateSync()).toBeUndefined();
+  });
+
+  it('rejects card and mobile money without a reference, and short payments', async () => {
+    await openShift(amina);
+    const items = [{ medicine: paracetamol._id, quantity: 10 }];
+
+    const noReference = await sell({ items, payments: [{ method: 'mobile_money', amount: 600 }] });
+    expect(noReference.status).toBe(400);
+    expect(noReference.body.message).toMatch(/reference is required for mobile money/);
+
+    const short = await sell({ items, payments: [{ method: 'cash', amount: 500 }] });
+    expect(short.status).toBe(400);
+    expect(short.body.message).toBe('Payments are short by 100');
+    expect(sales).toHaveLength(0);
+  });
+
+  it('refuses to sell without an open shift or more than is in stock', async () => {
+    const noShift = await sell({ items: [{ medicine: paracetamol._id, quantity: 1 }], payments: [{ method: 'cash', amount: 60 }] });
+    expect(noShift.status).toBe(409);
+    expect(noShift.body.message).toBe('Open a shift before selling');
+
+    await openShift(amina);
+    const res = await sell({
+      items: [{ medicine: amoxicillin._id, quantity: 5 }],
+      payments: [{ method: 'cash', amount: 1000 }],
+    });
+    expect(res.status).toBe(409);
+    expect(res.body.errors).toEqual([expect.objectContaining({ name: 'Amoxicillin 250mg', wanted: 5, available: 3 })]);
+    expect(batches[2].quantityRemaining).toBe(3);
+  });
+});
+
+describe('voiding a sale', () => {
+  it('puts the stock back on its batches and refunds the payments', async () => {
+    await openShift(amina);
+    const sold = await sell({
+      items: [{ medicine: amoxicillin._id, quantity: 3 }],
+      payments: [{ method: 'cash', amount: 600 }],
+    });
+    expect(batches[2].status).toBe('depleted');
+
+    const noReason = await request(app).post(`/api/direct-dispensing/${sold.body.data._id}/void`).send({});
+    expect(noReason.status).toBe(400);
+
+    const res = await request(app).post(`/api/direct-dispensing/${sold.body.data._id}/void`).send({ reason: 'Wrong strength' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'voided', voidReason: 'Wrong strength' });
+    expect(batches[2]).toMatchObject({ quantityRemaining: 3, status: 'active' });
+    expect(movements).toEqual([expect.objectContaining({ type: 'IN', quantity: 3, location: 'MAIN STORE' })]);
+    expect(payments[0]).toMatchObject({ status: 'refunded', refundDetails: expect.objectContaining({ refundedAmount: 600 }) });
+
+    const again = await request(app).post(`/api/direct-dispensing/${sold.body.data._id}/void`).send({ reason: 'Again' });
+    expect(again.status).toBe(409);
+  });
+
+  it('restocks and refunds once when two voids race', async () => {
+    await openShift(amina);
+    const sold = await sell({
+      items: [{ medicine: amoxicillin._id, quantity: 3 }],
+      payments: [{ method: 'cash', amount: 600 }],
+    });
+    // Both requests load the sale before either has voided it
+    const loaded = new DirectDispensing(sales[0].toObject());
+    DirectDispensing.findById.mockImplementation(async () => loaded);
+
+    const first = await request(app).post(`/api/direct-dispensing/${sold.body.data._id}/void`).send({ reason: 'Wrong strength' });
+    const second = await request(app).post(`/api/direct-dispensing/${sold.body.data._id}/void`).send({ reason: 'Wrong strength' });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(409);
+    expect(batches[2].quantityRemaining).toBe(3);
+    expect(movements).toHaveLength(1);
+  });
+});
+
+describe('shift cash-up', () => {
+  it('expects the float plus cash taken less cash refunded from this drawer', async () => {
+    // Baraka makes a sale that is later voided from Amina's drawer
+    await openShift(baraka, 1000);
+    const refunded = await sell({ items: [{ medicine: paracetamol._id, quantity: 5 }], payments: [{ method: 'cash', amount: 300 }] });
+
+    const opened = await openShift(amina, 2000);
+    await sell({ items: [{ medicine: paracetamol._id, quantity: 10 }], payments: [{ method: 'cash', amount: 1000 }] });
+    await sell({
+      items: [{ medicine: amoxicillin._id, quantity: 1 }],
+      payments: [{ method: 'mobile_money', amount: 200, reference: 'MP-44X1' }],
+    });
+    await request(app).post(`/api/direct-dispensing/${refunded.body.data._id}/void`).send({ reason: 'Customer returned it' });
+
+    const res = await request(app).post(`/api/direct-dispensing/shifts/${opened.body.data._id}/close`).send({ countedCash: 2250 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      sales: { count: 2, voided: 0, total: 800 },
+      taken: { cash: 600, mobile_money: 200 },
+      refunds: { count: 1, byMethod: expect.objectContaining({ cash: 300 }) },
+      expectedCash: 2300,
+      countedCash: 2250,
+      variance: -50,
+    });
+    expect(res.body.message).toBe('Shift closed with a variance of -50');
+
+    // Baraka's shift still counts the sale it took
+    currentUser = baraka;
+    const theirs = await request(app).get('/api/direct-dispensing/shifts/current');
+    expect(theirs.body.data).toMatchObject({ sales: { count: 1, voided: 1, total: 300 }, expectedCash: 1300 });
+  });
+
+  it('keeps other cashiers\' shifts to those with cash-up permission', async () => {
+    const opened = await openShift(amina);
+
+    currentUser = baraka;
+    const hidden = await request(app).get(`/api/direct-dispensing/shifts/${opened.body.data._id}/report`);
+    expect(hidden.status).toBe(404);
+
+    currentUser = supervisor;
+    const shown = await request(app).get(`/api/direct-dispensing/shifts/${opened.body.data._id}/report`);
+    expect(shown.status).toBe(200);
+
+    currentUser = amina;
+    const second = await request(app).post('/api/direct-dispensing/shifts').send({});
+    expect(second.status).toBe(409);
+  });
+});
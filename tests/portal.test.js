@@ -0,0 +1,245 @@
+/**
+ * Tests for the patient portal: sign-in with a one-time code, what a signed-in
+ * patient can see, online booking and cancellation, and paying an invoice
+ * through a payment link.
+ *
+ * The patient is a real model document whose portal fields are updated the
+ * way the service's update queries would update them. Texts are captured and
+ * Stripe is never called.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_SECRET = 'portal-test-secret';
+
+const texts = [];
+
+// Every test signs in; the five-attempt limit is not what is under test
+jest.unstable_mockModule('express-rate-limit', () => ({ default: () => (req, res, next) => next() }));
+jest.unstable_mockModule('../services/sms/index.js', () => ({
+  sendSms: async (message) => {
+    texts.push(message);
+    return { sent: true, transport: 'console' };
+  },
+}));
+
+const { default: portalRoutes } = await import('../routes/portal.js');
+const { protect } = await import('../middleware/auth.js');
+const { default: scheduleService } = await import('../services/scheduleService.js');
+const { default: waitlistService } = await import('../services/waitlistService.js');
+const { default: paymentGatewayService } = await import('../services/paymentGateway.js');
+const { default: Patient } = await import('../models/Patient.js');
+const { default: Visit } = await import('../models/Visit.js');
+const { default: Appointment } = await import('../models/Appointment.js');
+const { default: Invoice } = await import('../models/Invoice.js');
+const { default: Payment } = await import('../models/Payment.js');
+const { default: User } = await import('../models/User.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/portal', portalRoutes);
+app.get('/api/staff-only', protect, (req, res) => res.json({ ok: true }));
+
+const doctor = { _id: new mongoose.Types.ObjectId(), firstName: 'Asha', lastName: 'Mrema' };
+let patient;
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.populate = () => q;
+  q.sort = () => q;
+  q.lean = () => q;
+  return q;
+};
+
+beforeAll(() => {
+  jest.spyOn(Patient, 'findOne').mockImplementation((filter) => query(filter.patientId === patient.patientId ? patient : null));
+  jest.spyOn(Patient, 'findById').mockImplementation(async (id) => (String(id) === String(patient._id) ? patient : null));
+  // Applies $set, $unset and $inc to the one patient, honouring the filter
+  // conditions on the stored code and attempt count
+  const apply = (filter, update) => {
+    if (filter['portal.otpHash'] && patient.get('portal.otpHash') !== filter['portal.otpHash']) return null;
+    if (filter['portal.otpAttempts'] && !(patient.get('portal.otpAttempts') < filter['portal.otpAttempts'].$lt)) return null;
+    Object.entries(update.$set || {}).forEach(([path, value]) => patient.set(path, value));
+    Object.keys(update.$unset || {}).forEach((path) => patient.set(path, undefined));
+    Object.entries(update.$inc || {}).forEach(([path, n]) => patient.set(path, patient.get(path) + n));
+    return patient;
+  };
+  jest.spyOn(Patient, 'updateOne').mockImplementation(async (filter, update) => ({ modifiedCount: apply(filter, update) ? 1 : 0 }));
+  jest.spyOn(Patient, 'findOneAndUpdate').mockImplementation(async (filter, update) => apply(filter, update));
+  jest.spyOn(User, 'findOne').mockImplementation(async (filter) => (String(filter._id) === String(doctor._id) ? doctor : null));
+});
+
+beforeEach(() => {
+  texts.length = 0;
+  patient = new Patient({
+    firstName: 'Neema',
+    middleName: 'A',
+    lastName: 'Juma',
+    dateOfBirth: new Date('1990-04-12'),
+    gender: 'Female',
+    phone: '255712345678',
+    patientId: 'P20260042',
+  });
+});
+
+const codeFromText = () => texts[texts.length - 1].text.match(/code is (\d{6})/)[1];
+
+const signIn = async () => {
+  await request(app).post('/api/portal/auth/request-code').send({ patientId: 'P20260042', contact: '0712 345 678' });
+  const res = await request(app).post('/api/portal/auth/verify').send({ patientId: 'P20260042', contact: '0712345678', code: codeFromText() });
+  return res.body.data.token;
+};
+
+describe('signing in', () => {
+  it('texts a code to the phone on record and answers the same when nothing matches', async () => {
+    const matched = await request(app).post('/api/portal/auth/request-code').send({ patientId: 'P20260042', contact: '0712 345 678' });
+    const unmatched = await request(app).post('/api/portal/auth/request-code').send({ patientId: 'P20260042', contact: '0799 000 000' });
+
+    expect(matched.status).toBe(200);
+    expect(unmatched.body).toEqual(matched.body);
+    expect(texts).toHaveLength(1);
+    expect(texts[0]).toMatchObject({ to: '255712345678', reference: 'P20260042-portal' });
+    expect(patient.get('portal.otpHash')).toMatch(/^[0-9a-f]{64}$/);
+    expect(patient.get('portal.otpHash')).not.toContain(codeFromText());
+  });
+
+  it('exchanges the code for a token once', async () => {
+    await request(app).post('/api/portal/auth/request-code').send({ patientId: 'P20260042', contact: '0712345678' });
+    const code = codeFromText();
+
+    const first = await request(app).post('/api/portal/auth/verify').send({ patientId: 'P20260042', contact: '0712345678', code });
+    const again = await request(app).post('/api/portal/auth/verify').send({ patientId: 'P20260042', contact: '0712345678', code });
+    const me = await request(app).get('/api/portal/me').set('Authorization', `Bearer ${first.body.data.token}`);
+
+    expect(first.status).toBe(200);
+    expect(again.status).toBe(401);
+    expect(me.body.data).toMatchObject({ patientId: 'P20260042', firstName: 'Neema' });
+    expect(me.body.data.portal).toBeUndefined();
+    expect(patient.portal.lastLoginAt).toBeInstanceOf(Date);
+  });
+
+  it('throws the code away after five wrong guesses', async () => {
+    await request(app).post('/api/portal/auth/request-code').send({ patientId: 'P20260042', contact: '0712345678' });
+    const code = codeFromText();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 5; i += 1) {
+      await request(app).post('/api/portal/auth/verify').send({ patientId: 'P20260042', contact: '0712345678', code: wrong });
+    }
+    const res = await request(app).post('/api/portal/auth/verify').send({ patientId: 'P20260042', contact: '0712345678', code });
+
+    expect(res.status).toBe(401);
+    expect(patient.get('portal.otpHash')).toBeUndefined();
+  });
+
+  it('keeps portal and staff tokens apart', async () => {
+    const portalToken = await signIn();
+    const staffToken = jwt.sign({ id: doctor._id }, process.env.JWT_SECRET);
+
+    const staffAtPortal = await request(app).get('/api/portal/me').set('Authorization', `Bearer ${staffToken}`);
+    const patientAtStaff = await request(app).get('/api/staff-only').set('Authorization', `Bearer ${portalToken}`);
+
+    expect(staffAtPortal.status).toBe(401);
+    expect(patientAtStaff.status).toBe(401);
+  });
+});
+
+describe('signed in', () => {
+  let token;
+
+  beforeEach(async () => {
+    token = await signIn();
+  });
+
+  it('shows only completed lab results from the patient\'s own visits', async () => {
+    const find = jest.spyOn(Visit, 'find').mockReturnValue(query([{
+      visitId: 'V2600001',
+      visitDate: new Date('2026-10-01'),
+      labOrders: [
+        { testName: 'Malaria RDT', status: 'Completed', results: 'Negative', completedAt: new Date('2026-10-01T10:00:00') },
+        { testName: 'Full blood count', status: 'Pending' },
+      ],
+    }]));
+
+    const res = await request(app).get('/api/portal/lab-results').set('Authorization', `Bearer ${token}`);
+
+    expect(String(find.mock.calls[0][0].patient)).toBe(String(patient._id));
+    expect(res.body.data).toEqual([expect.objectContaining({ testName: 'Malaria RDT', results: 'Negative', visitId: 'V2600001' })]);
+  });
+
+  it('books only a time the doctor\'s schedule offers', async () => {
+    jest.spyOn(Appointment, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(scheduleService, 'getAvailability').mockResolvedValue({
+      duration: 20,
+      days: [{ date: '2099-03-02', slots: [{ time: '09:00', end: '09:20' }] }],
+    });
+    jest.spyOn(scheduleService, 'assertBookable').mockResolvedValue();
+    const created = [];
+    jest.spyOn(Appointment, 'create').mockImplementation(async (data) => {
+      const appointment = new Appointment(data);
+      await appointment.validate();
+      created.push(appointment);
+      return appointment;
+    });
+    const booking = { doctorId: String(doctor._id), date: '2099-03-02', reason: 'Cough' };
+
+    const taken = await request(app).post('/api/portal/appointments').set('Authorization', `Bearer ${token}`).send({ ...booking, time: '09:20' });
+    const booked = await request(app).post('/api/portal/appointments').set('Authorization', `Bearer ${token}`).send({ ...booking, time: '09:00' });
+
+    expect(taken.status).toBe(409);
+    expect(booked.status).toBe(201);
+    expect(created).toHaveLength(1);
+    expect(created[0]).toMatchObject({ bookedVia: 'portal', duration: 20, type: 'consultation', status: 'scheduled' });
+    expect(String(created[0].patient)).toBe(String(patient._id));
+  });
+
+  it('cancels the patient\'s own upcoming appointment and offers the slot to the waitlist', async () => {
+    const appointment = new Appointment({
+      patient: patient._id, doctor: doctor._id, appointmentDate: '2099-03-02', appointmentTime: '09:00',
+      type: 'consultation', reason: 'Cough', bookedVia: 'portal',
+    });
+    const findOne = jest.spyOn(Appointment, 'findOne').mockResolvedValue(appointment);
+    jest.spyOn(Appointment.prototype, 'save').mockImplementation(async function () { return this; });
+    const offer = jest.spyOn(waitlistService, 'offerFreedSlot').mockResolvedValue(null);
+
+    const res = await request(app).patch(`/api/portal/appointments/${appointment._id}/cancel`).set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(String(findOne.mock.calls[0][0].patient)).toBe(String(patient._id));
+    expect(appointment.status).toBe('cancelled');
+    expect(offer).toHaveBeenCalledWith(appointment);
+  });
+
+  it('pays the balance of an invoice through one payment link', async () => {
+    const invoice = { _id: new mongoose.Types.ObjectId(), invoiceNumber: 'INV-2026-0042', status: 'partial', balanceDue: 15000 };
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(invoice);
+    const payments = [];
+    jest.spyOn(Payment, 'findOne').mockImplementation(async () => payments[0] || null);
+    jest.spyOn(Payment, 'generatePaymentNumber').mockResolvedValue('PAY-20261019-0007');
+    jest.spyOn(Payment, 'create').mockImplementation(async (data) => {
+      const payment = new Payment(data);
+      await payment.validate();
+      payments.push(payment);
+      return payment;
+    });
+    const createLink = jest.spyOn(paymentGatewayService, 'createPaymentLink')
+      .mockResolvedValue({ success: true, paymentUrl: 'https://buy.stripe.com/test_42', paymentLinkId: 'plink_42' });
+
+    const first = await request(app).post(`/api/portal/invoices/${invoice._id}/pay`).set('Authorization', `Bearer ${token}`);
+    const again = await request(app).post(`/api/portal/invoices/${invoice._id}/pay`).set('Authorization', `Bearer ${token}`);
+
+    expect(first.status).toBe(201);
+    expect(first.body.data).toEqual({ paymentNumber: 'PAY-20261019-0007', amount: 15000, paymentUrl: 'https://buy.stripe.com/test_42' });
+    expect(again.body.data).toEqual(first.body.data);
+    expect(createLink).toHaveBeenCalledTimes(1);
+    expect(createLink.mock.calls[0][0]).toMatchObject({
+      paymentNumber: 'PAY-20261019-0007',
+      items: [{ description: 'Invoice INV-2026-0042', unitPrice: 15000, quantity: 1 }],
+    });
+    expect(payments[0]).toMatchObject({ method: 'online', gateway: 'stripe', status: 'processing', amount: 15000 });
+  });
+});
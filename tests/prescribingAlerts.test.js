@@ -0,0 +1,213 @@
+/**
+ * Tests for allergy and interaction checks at prescribing time.
+ *
+ * The knowledge base is the built-in one from config/drugKnowledge.js, read
+ * through the real models; the patient's allergies and current medications
+ * are plain records. Prescribing is then checked through the visit and
+ * inpatient routes, and the pharmacist's view through the prescription routes.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const audit = [];
+let currentVisit;
+
+jest.unstable_mockModule('../models/AuditLog.js', () => ({ default: { log: async (entry) => audit.push(entry) } }));
+jest.unstable_mockModule('../middleware/auditTrail.js', () => ({ auditTrail: () => (req, res, next) => next() }));
+jest.unstable_mockModule('../middleware/paymentEligibility.js', () => ({
+  checkPaymentEligibility: (req, res, next) => { req.visit = currentVisit; next(); },
+}));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: USER_ID, id: USER_ID }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const { default: clinicalDecisionService } = await import('../services/clinicalDecisionService.js');
+const { default: patientSummaryService } = await import('../services/patientSummaryService.js');
+const { default: visitRoutes } = await import('../routes/visits.js');
+const { default: ipdRecordRoutes } = await import('../routes/ipd-records.js');
+const { default: prescriptionRoutes } = await import('../routes/prescriptions.js');
+const { default: clinicalKnowledgeRoutes } = await import('../routes/clinicalKnowledge.js');
+const { DEFAULT_DRUG_CLASSES, DEFAULT_INTERACTIONS } = await import('../config/drugKnowledge.js');
+const { default: DrugClass } = await import('../models/DrugClass.js');
+const { default: DrugInteraction } = await import('../models/DrugInteraction.js');
+const { Medicine } = await import('../models/Medicine.js');
+const { default: Patient } = await import('../models/Patient.js');
+const { default: Visit } = await import('../models/Visit.js');
+const { default: IPDRecord } = await import('../models/IPDRecord.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/visits', visitRoutes);
+app.use('/api/ipd-records', ipdRecordRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/clinical-knowledge', clinicalKnowledgeRoutes);
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.lean = () => q;
+  return q;
+};
+
+const medicine = (name, genericName) => ({ _id: new mongoose.Types.ObjectId(), name, genericName, type: 'Tablet', sellingPrice: 500 });
+const catalogue = {
+  amoxicillin: medicine('Amoxicillin 500mg'),
+  ceftriaxone: medicine('Ceftriaxone 1g'),
+  paracetamol: medicine('Paracetamol 500mg'),
+  ibuprofen: medicine('Ibuprofen 400mg'),
+  ciprofloxacin: medicine('Ciprofloxacin 500mg'),
+  brufen: medicine('Brufen 400mg', 'Ibuprofen'),
+};
+
+const patientId = new mongoose.Types.ObjectId();
+let allergies;
+let current;
+
+beforeAll(() => {
+  const classes = DEFAULT_DRUG_CLASSES.map((c) => new DrugClass(c).toObject());
+  const interactions = DEFAULT_INTERACTIONS.map((i) => new DrugInteraction(i).toObject());
+  jest.spyOn(DrugClass, 'find').mockImplementation(() => query(classes));
+  jest.spyOn(DrugInteraction, 'find').mockImplementation(() => query(interactions));
+  jest.spyOn(Patient, 'findById').mockImplementation(() => query({ _id: patientId, allergies }));
+  jest.spyOn(patientSummaryService, 'currentMedications').mockImplementation(async () => current);
+  jest.spyOn(Medicine, 'find').mockImplementation((filter) => query(Object.values(catalogue)
+    .filter((m) => filter._id.$in.some((id) => String(id) === String(m._id)))));
+  jest.spyOn(Medicine, 'findOne').mockImplementation(async (filter) => Object.values(catalogue)
+    .find((m) => filter.name.$regex.test(m.name) || filter.name.$regex.test(m.name.split(' ')[0])) || null);
+  jest.spyOn(Medicine, 'findById').mockImplementation(async (id) => Object.values(catalogue).find((m) => String(m._id) === String(id)) || null);
+});
+
+beforeEach(() => {
+  audit.length = 0;
+  allergies = [];
+  current = [];
+});
+
+const check = (drug) => clinicalDecisionService.check({ patientId, medicine: catalogue[drug], medication: catalogue[drug].name });
+
+describe('clinicalDecisionService.check', () => {
+  it('flags a drug the patient is allergic to by class, and cross-sensitive classes less severely', async () => {
+    allergies = ['Penicillin allergy (rash)'];
+
+    const [amoxicillin] = await check('amoxicillin');
+    const [ceftriaxone] = await check('ceftriaxone');
+
+    expect(amoxicillin).toMatchObject({ type: 'allergy', severity: 'severe', against: 'Penicillin allergy (rash)' });
+    expect(amoxicillin.message).toContain('Amoxicillin 500mg is one of the penicillins');
+    expect(ceftriaxone).toMatchObject({ type: 'cross_sensitivity', severity: 'moderate' });
+    expect(await check('paracetamol')).toEqual([]);
+  });
+
+  it('grades interactions with what the patient is already taking, most severe first', async () => {
+    current = [
+      { _id: new mongoose.Types.ObjectId(), medication: 'Warfarin 5mg', source: 'record' },
+      { _id: new mongoose.Types.ObjectId(), medication: 'Enalapril 10mg', source: 'visit' },
+    ];
+
+    const ibuprofen = await check('ibuprofen');
+    const ciprofloxacin = await check('ciprofloxacin');
+
+    expect(ibuprofen.map((a) => [a.against, a.severity])).toEqual([['Warfarin 5mg', 'severe'], ['Enalapril 10mg', 'moderate']]);
+    expect(ibuprofen[0].management).toMatch(/paracetamol/);
+    expect(ciprofloxacin).toEqual([expect.objectContaining({ type: 'interaction', severity: 'moderate', against: 'Warfarin 5mg' })]);
+  });
+
+  it('recognises a current medicine by its generic name in the catalogue', async () => {
+    current = [{ _id: new mongoose.Types.ObjectId(), medication: 'Brufen 400mg', medicineId: catalogue.brufen._id }];
+
+    const alerts = await clinicalDecisionService.check({ patientId, medication: 'Warfarin 5mg' });
+
+    expect(alerts).toEqual([expect.objectContaining({ severity: 'severe', against: 'Brufen 400mg' })]);
+  });
+});
+
+describe('prescribing on a visit', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = null;
+    allergies = ['Sulfa'];
+    current = [{ _id: new mongoose.Types.ObjectId(), medication: 'Warfarin 5mg', source: 'record' }];
+    currentVisit = new Visit({
+      visitId: 'V2600300', patient: patientId, doctor: USER_ID, startedBy: USER_ID, type: 'consultation', reason: 'Fever',
+    });
+    currentVisit.patient = { _id: patientId };
+    currentVisit.save = async function () { saved = this; return this; };
+    catalogue.cotrimoxazole = medicine('Cotrimoxazole 480mg', 'Sulfamethoxazole/Trimethoprim');
+  });
+
+  it('stops a prescription with severe alerts until the prescriber gives a reason', async () => {
+    const res = await request(app).post(`/api/visits/${currentVisit._id}/prescriptions`)
+      .send({ medication: 'Cotrimoxazole 480mg', dosage: '960mg', frequency: 'BD', duration: '5 days' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.alerts.map((a) => a.type)).toEqual(['allergy', 'interaction']);
+    expect(res.body.message).toContain('Patient is allergic to Sulfa');
+    expect(saved).toBeNull();
+  });
+
+  it('keeps the alerts and the override reason with the prescription and in the audit log', async () => {
+    const res = await request(app).post(`/api/visits/${currentVisit._id}/prescriptions`)
+      .send({ medication: 'Cotrimoxazole 480mg', dosage: '960mg', frequency: 'BD', overrideReason: 'Rash was mild; PCP prophylaxis needed, INR to be checked' });
+
+    expect(res.status).toBe(201);
+    const [prescription] = saved.prescriptions;
+    expect(prescription.alerts).toHaveLength(2);
+    expect(prescription.alertOverride).toMatchObject({ reason: 'Rash was mild; PCP prophylaxis needed, INR to be checked' });
+    expect(String(prescription.alertOverride.by)).toBe(USER_ID);
+    expect(audit[0]).toMatchObject({ entityType: 'Visit', description: 'Prescribed Cotrimoxazole 480mg despite 2 severe alert(s)' });
+  });
+
+  it('checks inpatient medication orders the same way', async () => {
+    const record = new IPDRecord({ patient: patientId });
+    jest.spyOn(IPDRecord, 'findById').mockResolvedValue(record);
+    const save = jest.spyOn(IPDRecord.prototype, 'save').mockImplementation(async function () { return this; });
+
+    const stopped = await request(app).post(`/api/ipd-records/${record._id}/medications`)
+      .send({ medication: 'Ibuprofen', dosage: '400mg', frequency: 'TDS' });
+    const given = await request(app).post(`/api/ipd-records/${record._id}/medications`)
+      .send({ medication: 'Ibuprofen', dosage: '400mg', frequency: 'TDS', overrideReason: 'Short course, on PPI' });
+
+    expect(stopped.status).toBe(409);
+    expect(given.status).toBe(200);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(record.medications[0].alerts[0]).toMatchObject({ type: 'interaction', severity: 'severe', against: 'Warfarin 5mg' });
+    expect(record.medications[0].alertOverride.reason).toBe('Short course, on PPI');
+  });
+});
+
+describe('at the pharmacy', () => {
+  it('shows the pharmacist the alerts as they stand now alongside those the prescriber saw', async () => {
+    const visit = new Visit({
+      visitId: 'V2600301', patient: patientId, doctor: USER_ID, startedBy: USER_ID, type: 'consultation', reason: 'Cough',
+      prescriptions: [{ medication: 'Amoxicillin 500mg', medicineId: catalogue.amoxicillin._id, patient: patientId, dosage: '500mg', frequency: 'TDS' }],
+    });
+    jest.spyOn(Visit, 'findOne').mockResolvedValue(visit);
+    // Recorded after the prescription was written
+    allergies = ['Amoxicillin'];
+
+    const res = await request(app).get(`/api/prescriptions/${visit.prescriptions[0]._id}/alerts`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.alerts).toEqual([expect.objectContaining({ type: 'allergy', severity: 'severe' })]);
+    expect(res.body.data.prescribedWith).toEqual([]);
+  });
+
+  it('lets the knowledge base be edited but not lose built-in entries', async () => {
+    const builtIn = new DrugInteraction({ ...DEFAULT_INTERACTIONS[0], isSystem: true });
+    jest.spyOn(DrugInteraction, 'findById').mockResolvedValue(builtIn);
+    const reversed = new DrugInteraction({ drugs: ['NSAIDs', 'Warfarin'], severity: 'severe', effect: 'Bleeding' });
+    await reversed.validate();
+
+    const res = await request(app).delete(`/api/clinical-knowledge/interactions/${builtIn._id}`);
+
+    expect(res.status).toBe(409);
+    expect(reversed.key).toBe('nsaids+warfarin');
+    await expect(new DrugInteraction({ drugs: ['warfarin', 'Warfarin'], severity: 'minor', effect: 'x' }).validate()).rejects.toThrow(/two different/);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for price lists: CSV parsing, effective-dated price resolution and
+ * the bulk import endpoint.
+ *
+ * The real PriceList and PriceListItem models are used (so defaults and
+ * validation run) over an in-memory store; the store's matcher understands
+ * just the query operators pricingService uses.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const audit = [];
+
+jest.unstable_mockModule('../models/AuditLog.js', () => ({ default: { log: async (entry) => audit.push(entry) } }));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({ withTransaction: (fn) => fn(null) }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: USER_ID, id: USER_ID }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+const { parseCsv } = await import('../utils/csv.js');
+const { default: pricingService } = await import('../services/pricingService.js');
+const { default: priceListRoutes } = await import('../routes/priceLists.js');
+const { default: PriceList } = await import('../models/PriceList.js');
+const { default: PriceListItem } = await import('../models/PriceListItem.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/price-lists', priceListRoutes);
+
+// --- in-memory store ---
+const same = (a, b) => (a == null && b == null) || (a != null && b != null && String(a) === String(b));
+const isOperator = (cond) =>
+  cond && typeof cond === 'object' && !(cond instanceof Date) && !(cond instanceof mongoose.Types.ObjectId)
+  && Object.keys(cond).some((k) => k.startsWith('$'));
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+  if (key === '$or') return cond.some((f) => matches(doc, f));
+  if (key === '$and') return cond.every((f) => matches(doc, f));
+  const value = doc[key];
+  if (isOperator(cond)) {
+    return Object.entries(cond).every(([op, arg]) => ({
+      $in: () => arg.some((a) => same(value, a)),
+      $ne: () => !same(value, arg),
+      $lte: () => value <= arg,
+      $gt: () => value > arg,
+    })[op]());
+  }
+  return same(value, cond);
+});
+
+const query = (rows) => ({
+  sort(spec) {
+    const [[field, dir]] = Object.entries(spec);
+    rows.sort((a, b) => (a[field] - b[field]) * dir);
+    return this;
+  },
+  session() { return this; },
+  then(resolve, reject) { return Promise.resolve(rows).then(resolve, reject); },
+});
+
+let lists;
+let items;
+
+beforeAll(() => {
+  jest.spyOn(PriceList, 'find').mockImplementation((filter) => query(lists.filter((l) => matches(l, filter))));
+  jest.spyOn(PriceList, 'findById').mockImplementation(async (id) => lists.find((l) => same(l._id, id)) || null);
+  jest.spyOn(PriceListItem, 'find').mockImplementation((filter) => query(items.filter((i) => matches(i, filter))));
+  jest.spyOn(PriceListItem.prototype, 'save').mockImplementation(async function () {
+    await this.validate();
+    if (!items.includes(this)) items.push(this);
+    return this;
+  });
+});
+
+const provider = new mongoose.Types.ObjectId();
+const amoxicillin = new mongoose.Types.ObjectId();
+let nhif;
+let pharmacy;
+let general;
+
+beforeEach(() => {
+  audit.length = 0;
+  items = [];
+  nhif = new PriceList({ name: 'NHIF tariff', code: 'NHIF', payerType: 'insurance', provider });
+  pharmacy = new PriceList({ name: 'Pharmacy (cash)', code: 'PHARMACY', payerType: 'cash', cashChannel: 'pharmacy' });
+  general = new PriceList({ name: 'Outpatient (cash)', code: 'CASH', payerType: 'cash', cashChannel: 'general' });
+  lists = [nhif, pharmacy, general];
+});
+
+const price = (list, itemType, name, amount, from, extra = {}) =>
+  pricingService.setPrice(list, { itemType, name, price: amount, effectiveFrom: new Date(from), ...extra });
+
+describe('parseCsv', () => {
+  it('reads quoted fields, CRLF line endings and a byte-order mark', () => {
+    const rows = parseCsv('\uFEFFtype,name,price\r\nmedicine,"Amoxicillin, 250mg",1500\r\n\r\nservice,"X-ray ""chest""",20000\n');
+
+    expect(rows).toEqual([
+      ['type', 'name', 'price'],
+      ['medicine', 'Amoxicillin, 250mg', '1500'],
+      ['service', 'X-ray "chest"', '20000'],
+    ]);
+  });
+});
+
+describe('pricingService.resolvePrice', () => {
+  it('charges the insurer its own tariff and everyone else the cash price', async () => {
+    await price(nhif, 'medicine', 'Amoxicillin 250mg', 1200, '2026-01-01');
+    await price(pharmacy, 'medicine', 'Amoxicillin 250mg', 1500, '2026-01-01');
+
+    const insured = await pricingService.resolvePrice({ itemType: 'medicine', name: 'amoxicillin  250MG', provider, channel: 'pharmacy' });
+    const cash = await pricingService.resolvePrice({ itemType: 'medicine', name: 'Amoxicillin 250mg', channel: 'pharmacy' });
+
+    expect(insured).toMatchObject({ price: 1200, source: 'NHIF tariff' });
+    expect(cash).toMatchObject({ price: 1500, source: 'Pharmacy (cash)' });
+  });
+
+  it('falls back from the insurer to the cash lists and then to the catalogue', async () => {
+    await price(general, 'service', 'Consultation fees', 10000, '2026-01-01');
+
+    const fromCash = await pricingService.resolvePrice({ itemType: 'service', name: 'Consultation fees', provider, channel: 'pharmacy' });
+    const fromCatalogue = await pricingService.resolvePrice({ itemType: 'lab_test', name: 'Malaria RDT', provider, fallback: 5000 });
+    const none = await pricingService.resolvePrice({ itemType: 'lab_test', name: 'Malaria RDT' });
+
+    expect(fromCash).toMatchObject({ price: 10000, source: 'Outpatient (cash)' });
+    expect(fromCatalogue).toEqual({ price: 5000, source: 'Catalogue' });
+    expect(none).toBeNull();
+  });
+
+  it('uses the price in force on the date asked about', async () => {
+    await price(nhif, 'ward_day', 'General Ward', 30000, '2026-01-01');
+    await price(nhif, 'ward_day', 'General Ward', 35000, '2026-07-01');
+
+    const [first, second] = items;
+    expect(first.effectiveTo).toEqual(new Date('2026-07-01'));
+    expect(second.effectiveTo).toBeUndefined();
+
+    const before = await pricingService.resolvePrice({ itemType: 'ward_day', name: 'General Ward', provider, date: new Date('2026-06-30') });
+    const after = await pricingService.resolvePrice({ itemType: 'ward_day', name: 'General Ward', provider, date: new Date('2026-10-19') });
+    expect(before.price).toBe(30000);
+    expect(after.price).toBe(35000);
+  });
+
+  it('prefers a price set for the exact catalogue item over a match by name', async () => {
+    await price(pharmacy, 'medicine', 'Amoxicillin', 1000, '2026-01-01');
+    await price(pharmacy, 'medicine', 'Amoxicillin', 1800, '2026-01-01', { item: amoxicillin });
+
+    const exact = await pricingService.resolvePrice({ itemType: 'medicine', name: 'Amoxicillin', item: amoxicillin, channel: 'pharmacy' });
+    const other = await pricingService.resolvePrice({ itemType: 'medicine', name: 'Amoxicillin', item: new mongoose.Types.ObjectId(), channel: 'pharmacy' });
+
+    expect(exact.price).toBe(1800);
+    expect(other.price).toBe(1000);
+  });
+});
+
+describe('POST /api/price-lists/:id/import', () => {
+  it('imports a CSV tariff and replaces prices on a second import for the same date', async () => {
+    const csv = [
+      'Type,Name,Price,Effective From',
+      'medicine,Paracetamol 500mg,"1,000",2026-10-01',
+      'lab_test,Full blood count,15000,2026-10-01',
+    ].join('\n');
+
+    const first = await request(app).post(`/api/price-lists/${nhif._id}/import`).set('Content-Type', 'text/csv').send(csv);
+    const second = await request(app)
+      .post(`/api/price-lists/${nhif._id}/import`)
+      .send({ csv: csv.replace('15000', '16000') });
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toEqual({ rows: 2, created: 2, updated: 0 });
+    expect(second.body.data).toEqual({ rows: 2, created: 0, updated: 2 });
+    expect(items.map((i) => i.price)).toEqual([1000, 16000]);
+    expect(audit[0]).toMatchObject({ entityType: 'PriceList', description: 'Imported 2 price(s) into NHIF tariff' });
+  });
+
+  it('rejects the whole file and lists every bad row', async () => {
+    const csv = [
+      'type,name,price',
+      'medicine,Paracetamol 500mg,1000',
+      'drug,Ibuprofen,800',
+      'service,,abc',
+    ].join('\n');
+
+    const res = await request(app).post(`/api/price-lists/${nhif._id}/import`).set('Content-Type', 'text/csv').send(csv);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('2 row(s) could not be imported; nothing was saved');
+    expect(res.body.errors).toEqual([
+      { row: 3, message: 'type must be one of medicine, service, lab_test, ward_day' },
+      { row: 4, message: 'name is required; price must be a number of 0 or more' },
+    ]);
+    expect(items).toHaveLength(0);
+  });
+
+  it('refuses a file without the required columns', async () => {
+    const res = await request(app).post(`/api/price-lists/${nhif._id}/import`).set('Content-Type', 'text/csv').send('name,amount\nParacetamol,1000');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Missing column(s): type, price');
+  });
+});
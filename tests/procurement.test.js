@@ -0,0 +1,445 @@
+/**
+ * Tests for procurement: supplier records, the purchase order lifecycle,
+ * goods-received notes flagging over- and under-delivery, three-way
+ * matching of supplier invoices, and supplier performance.
+ *
+ * Suppliers, orders, notes and invoices are real documents held in memory;
+ * numbers come from a per-key counter.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const counters = {};
+let currentUser;
+
+jest.unstable_mockModule('../utils/sequence.js', () => {
+  const nextSequence = async (key) => { counters[key] = (counters[key] || 0) + 1; return counters[key]; };
+  return { nextSequence, highestExisting: async () => 0, default: nextSequence };
+});
+jest.unstable_mockModule('../utils/withTransaction.js', () => {
+  // Reruns the callback after a transient error, as the driver does
+  const withTransaction = async (fn) => {
+    try {
+      return await fn(null);
+    } catch (error) {
+      if (!error.transient) throw error;
+      return fn(null);
+    }
+  };
+  return { withTransaction, default: withTransaction };
+});
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = currentUser; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const { default: itemReceivingRoutes } = await import('../routes/itemReceiving.js');
+const { default: supplierRoutes } = await import('../routes/suppliers.js');
+const { default: supplierInvoiceRoutes } = await import('../routes/supplierInvoices.js');
+const { default: Supplier } = await import('../models/Supplier.js');
+const { default: PurchaseOrder } = await import('../models/PurchaseOrder.js');
+const { default: GoodsReceivedNote } = await import('../models/GoodsReceivedNote.js');
+const { default: SupplierInvoice } = await import('../models/SupplierInvoice.js');
+const { default: Store } = await import('../models/Store.js');
+const { Medicine } = await import('../models/Medicine.js');
+const { MedicineBatch } = await import('../models/MedicineBatch.js');
+const { StockMovement } = await import('../models/StockMovement.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/item-receiving', itemReceivingRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/supplier-invoices', supplierInvoiceRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+const localDay = (date) => [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.sort = () => q;
+  q.populate = () => q;
+  q.limit = () => q;
+  q.session = () => q;
+  return q;
+};
+
+const user = (firstName) => ({ _id: new mongoose.Types.ObjectId(), firstName, lastName: 'Stores' });
+const pharmacist = user('Wanjiku');
+const manager = user('Otieno');
+
+const paracetamol = new Medicine({ name: 'Paracetamol 500mg', type: 'Tablet', sellingPrice: 50 });
+const amoxicillin = new Medicine({ name: 'Amoxicillin 250mg', type: 'Capsule', sellingPrice: 30 });
+const ceftriaxone = new Medicine({ name: 'Ceftriaxone 1g', type: 'Injection', sellingPrice: 3000 });
+const mainStore = new Store({ code: 'MAIN STORE', name: 'Main Store', type: 'main' });
+
+let suppliers;
+let orders;
+let notes;
+let invoices;
+let batches;
+let movements;
+let medisel;
+
+// An order Medisel has been sent: 100 paracetamol at 10 and 50 amoxicillin at 4
+const sentOrder = (overrides = {}) => {
+  const order = new PurchaseOrder({
+    poNumber: 'PO-202610-0001', supplierId: medisel._id, supplier: medisel.orderDetails(), paymentTermsDays: 60,
+    status: 'sent', createdBy: pharmacist._id, createdAt: daysAgo(6), sentAt: daysAgo(5),
+    items: [
+      { medicine: paracetamol._id, name: paracetamol.name, quantity: 100, unitCost: 10 },
+      { medicine: amoxicillin._id, name: amoxicillin.name, quantity: 50, unitCost: 4 },
+    ],
+    ...overrides,
+  });
+  order.calculateTotals();
+  orders.push(order);
+  return order;
+};
+
+const receive = (order, lines) => request(app)
+  .post(`/api/item-receiving/purchase-orders/${order._id}/receipts`)
+  .send({ lines, deliveryNote: 'DN-5521' });
+
+const line = (medicine, quantity, extra = {}) => ({
+  medicine: medicine._id, quantity, batchNumber: `${medicine.name.slice(0, 3).toUpperCase()}-${quantity}`, expiryDate: '2028-06-30', ...extra,
+});
+
+const byId = (list, id) => list.find((doc) => String(doc._id) === String(id)) || null;
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value?.$in) return value.$in.map(String).includes(String(doc.get(key)));
+  if (value?.$gte || value?.$ne) return true;
+  return String(doc.get(key)) === String(value);
+});
+
+beforeEach(() => {
+  Object.keys(counters).forEach((key) => delete counters[key]);
+  currentUser = pharmacist;
+  medisel = new Supplier({
+    name: 'Medisel', paymentTermsDays: 60, email: 'accounts@medisel.example',
+    contacts: [{ name: 'Sales desk', phone: '0711 000 222' }, { name: 'Amani K.', email: 'orders@medisel.example', isPrimary: true }],
+  });
+  suppliers = [medisel];
+  orders = [];
+  notes = [];
+  invoices = [];
+  batches = [];
+  movements = [];
+
+  jest.spyOn(Supplier, 'findById').mockImplementation(async (id) => byId(suppliers, id));
+  jest.spyOn(Supplier, 'create').mockImplementation(async (doc) => {
+    const supplier = new Supplier(doc);
+    await supplier.validate();
+    suppliers.push(supplier);
+    return supplier;
+  });
+  jest.spyOn(Store, 'findOne').mockImplementation((filter) => query(!filter.code || filter.code === mainStore.code ? mainStore : null));
+  jest.spyOn(Medicine, 'find').mockImplementation((filter) => query(
+    [paracetamol, amoxicillin, ceftriaxone].filter((m) => filter._id.$in.map(String).includes(String(m._id)))
+  ));
+
+  jest.spyOn(PurchaseOrder, 'findById').mockImplementation((id) => query(byId(orders, id)));
+  jest.spyOn(PurchaseOrder, 'find').mockImplementation((filter) => query(orders.filter((o) => matches(o, filter))));
+  jest.spyOn(PurchaseOrder.prototype, 'save').mockImplementation(async function () {
+    await this.validate();
+    if (!orders.includes(this)) orders.push(this);
+    return this;
+  });
+
+  jest.spyOn(MedicineBatch, 'create').mockImplementation(async ([doc]) => {
+    const created = new MedicineBatch(doc);
+    batches.push(created);
+    return [created];
+  });
+  jest.spyOn(StockMovement, 'create').mockImplementation(async ([doc]) => { movements.push(doc); return [doc]; });
+
+  jest.spyOn(GoodsReceivedNote, 'find').mockImplementation((filter) => query(notes.filter((n) => matches(n, filter))));
+  jest.spyOn(GoodsReceivedNote.prototype, 'save').mockImplementation(async function () {
+    await this.validate();
+    notes.push(this);
+    return this;
+  });
+
+  jest.spyOn(SupplierInvoice, 'findById').mockImplementation(async (id) => byId(invoices, id));
+  jest.spyOn(SupplierInvoice, 'findOne').mockImplementation(async (filter) => invoices.find((i) => matches(i, filter)) || null);
+  jest.spyOn(SupplierInvoice, 'find').mockImplementation((filter) => query(invoices.filter((i) => matches(i, filter))));
+  jest.spyOn(SupplierInvoice, 'create').mockImplementation(async (doc) => {
+    const invoice = new SupplierInvoice(doc);
+    await invoice.validate();
+    invoices.push(invoice);
+    return invoice;
+  });
+  jest.spyOn(SupplierInvoice.prototype, 'save').mockImplementation(async function () {
+    await this.validate();
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Suppliers', () => {
+  it('keeps contacts and terms, with a single primary contact', async () => {
+    const res = await request(app).post('/api/suppliers').send({
+      name: 'Kemsa', paymentTermsDays: 45, leadTimeDays: 14,
+      contacts: [{ name: 'Orders desk', phone: '0700 000 111', isPrimary: true }],
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ name: 'Kemsa', paymentTermsDays: 45, primaryContact: { name: 'Orders desk' } });
+
+    const twoPrimaries = await request(app).post('/api/suppliers').send({
+      name: 'Surgipharm', contacts: [{ name: 'A', isPrimary: true }, { name: 'B', isPrimary: true }],
+    });
+    expect(twoPrimaries.status).toBe(400);
+    expect(twoPrimaries.body.message).toMatch(/Only one contact can be the primary contact/);
+  });
+});
+
+describe('Purchase order lifecycle', () => {
+  it('raises a draft with lines priced and the supplier\'s details as placed', async () => {
+    const res = await request(app).post('/api/item-receiving/purchase-orders').send({
+      supplier: medisel._id,
+      expectedDate: '2026-11-02',
+      items: [
+        { medicine: paracetamol._id, quantity: 60, unitCost: 10 },
+        { medicine: amoxicillin._id, quantity: 50, unitCost: 4 },
+        { medicine: paracetamol._id, quantity: 40 },
+      ],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      status: 'draft',
+      supplierId: String(medisel._id),
+      supplier: { name: 'Medisel', contact: 'Amani K.', email: 'orders@medisel.example' },
+      paymentTermsDays: 60,
+      totalAmount: 1200,
+      items: [
+        expect.objectContaining({ name: 'Paracetamol 500mg', quantity: 100, unitCost: 10, total: 1000, receivedQuantity: 0 }),
+        expect.objectContaining({ name: 'Amoxicillin 250mg', quantity: 50, total: 200 }),
+      ],
+    });
+    expect(res.body.data.poNumber).toMatch(/^PO-\d{6}-0001$/);
+
+    const bad = await request(app).post('/api/item-receiving/purchase-orders').send({
+      supplier: medisel._id,
+      items: [{ medicine: new mongoose.Types.ObjectId(), quantity: 1 }, { medicine: amoxicillin._id, quantity: 2.5 }],
+    });
+    expect(bad.status).toBe(400);
+    expect(bad.body.errors).toEqual([
+      { line: 1, message: 'Medicine not found' },
+      { line: 2, message: 'Quantity of Amoxicillin 250mg must be a whole number above zero' },
+    ]);
+  });
+
+  it('is approved by someone other than its author, then sent, and cannot skip steps', async () => {
+    const order = sentOrder({ status: 'draft', sentAt: undefined });
+    const url = `/api/item-receiving/purchase-orders/${order._id}`;
+
+    expect((await request(app).put(`${url}/send`)).status).toBe(409);
+
+    const ownApproval = await request(app).put(`${url}/approve`);
+    expect(ownApproval.status).toBe(409);
+    expect(ownApproval.body.message).toBe('An order must be approved by someone other than the person who raised it');
+
+    currentUser = manager;
+    const approved = await request(app).put(`${url}/approve`).send({ notes: 'Within budget' });
+    expect(approved.status).toBe(200);
+    expect(approved.body.data).toMatchObject({ status: 'approved', approvedBy: String(manager._id) });
+
+    currentUser = pharmacist;
+    const sent = await request(app).put(`${url}/send`);
+    expect(sent.body.data.status).toBe('sent');
+    expect(sent.body.data.statusHistory.map((h) => h.status)).toEqual(['approved', 'sent']);
+
+    expect((await request(app).put(url).send({ notes: 'Changed' })).status).toBe(409);
+    expect((await request(app).put(`${url}/cancel`)).status).toBe(400);
+    expect((await request(app).put(`${url}/cancel`).send({ reason: 'Supplier out of stock' })).body.data.status).toBe('cancelled');
+  });
+});
+
+describe('Goods-received notes', () => {
+  it('records batches at the main store and flags lines short of or over the order', async () => {
+    const order = sentOrder();
+
+    const first = await receive(order, [line(paracetamol, 60), line(amoxicillin, 50, { unitCost: 4.5 })]);
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({
+      grnNumber: expect.stringMatching(/^GRN-\d{6}-00001$/),
+      poNumber: 'PO-202610-0001',
+      location: 'MAIN STORE',
+      discrepancies: { over: 0, under: 1 },
+    });
+    expect(first.body.data.lines.map((l) => [l.medicineName, l.variance, l.varianceQuantity])).toEqual([
+      ['Paracetamol 500mg', 'under', -40],
+      ['Amoxicillin 250mg', 'exact', 0],
+    ]);
+    expect(first.body.purchaseOrder.status).toBe('partially_received');
+    expect(batches.map((b) => [b.batchNumber, b.quantityRemaining, b.buyingPrice, b.sellingPrice, b.location])).toEqual([
+      ['PAR-60', 60, 10, 50, 'MAIN STORE'],
+      ['AMO-50', 50, 4.5, 30, 'MAIN STORE'],
+    ]);
+    expect(movements[0]).toMatchObject({ type: 'IN', quantity: 60, purchaseOrder: order._id, goodsReceivedNote: notes[0]._id });
+
+    const second = await receive(order, [line(paracetamol, 45)]);
+    expect(second.body.data.lines[0]).toMatchObject({ previouslyReceived: 60, variance: 'over', varianceQuantity: 5 });
+    expect(second.body.data.discrepancies).toEqual({ over: 1, under: 0 });
+    expect(second.body.purchaseOrder.status).toBe('received');
+    expect(order.items[0].receivedQuantity).toBe(105);
+  });
+
+  it('counts a delivery once when the transaction is retried', async () => {
+    const order = sentOrder();
+    // Each read gets its own copy of the stored order, as from the database
+    PurchaseOrder.findById.mockImplementation((id) => query(new PurchaseOrder(byId(orders, id).toObject())));
+    PurchaseOrder.prototype.save.mockImplementation(async function () {
+      orders = orders.map((o) => (String(o._id) === String(this._id) ? this : o));
+      return this;
+    });
+    let conflicts = 1;
+    GoodsReceivedNote.prototype.save.mockImplementation(async function () {
+      if (conflicts-- > 0) throw Object.assign(new Error('WriteConflict'), { transient: true });
+      notes.push(this);
+      return this;
+    });
+
+    const res = await receive(order, [line(paracetamol, 60)]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.purchaseOrder.items[0].receivedQuantity).toBe(60);
+    expect(orders[0].items[0].receivedQuantity).toBe(60);
+    expect(orders[0].statusHistory.filter((h) => h.status === 'partially_received')).toHaveLength(1);
+  });
+
+  it('refuses medicines not on the order and batches already expired', async () => {
+    const order = sentOrder();
+
+    const res = await receive(order, [line(ceftriaxone, 10), line(paracetamol, 10, { expiryDate: '2020-01-31' })]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { line: 1, message: 'Not on purchase order PO-202610-0001' },
+      { line: 2, message: 'Paracetamol 500mg batch PAR-10 has already expired' },
+    ]);
+    expect(batches).toHaveLength(0);
+    expect(order.status).toBe('sent');
+  });
+
+  it('needs a reason to close an order that is still short', async () => {
+    const order = sentOrder();
+    await receive(order, [line(paracetamol, 100), line(amoxicillin, 20)]);
+    const url = `/api/item-receiving/purchase-orders/${order._id}/close`;
+
+    expect((await request(app).put(url)).status).toBe(400);
+
+    const closed = await request(app).put(url).send({ reason: 'Amoxicillin discontinued by the manufacturer' });
+    expect(closed.status).toBe(200);
+    expect(closed.body.data).toMatchObject({ status: 'closed', completedAt: expect.any(String) });
+  });
+
+  it('receives onto a store, not a free-text location, when the order has no lines', async () => {
+    const order = sentOrder({ poNumber: 'PO-202610-0002', items: [] });
+    jest.spyOn(PurchaseOrder, 'findOne').mockImplementation(async (filter) => orders.find((o) => o.poNumber === filter.poNumber) || null);
+    jest.spyOn(Medicine, 'findOne').mockImplementation(async () => paracetamol);
+    MedicineBatch.create.mockImplementation(async (doc) => { const created = new MedicineBatch(doc); batches.push(created); return created; });
+    StockMovement.create.mockImplementation(async (doc) => { movements.push(doc); return doc; });
+    jest.spyOn(MedicineBatch, 'findById').mockImplementation((id) => query(byId(batches, id)));
+    const receiveOne = (receiveTo) => request(app).post('/api/item-receiving').send({
+      purchaseOrder: order.poNumber, medicine: paracetamol.name, type: 'Tablet', expiry: '2028-06-30', qty: 40, price: 10, receiveTo,
+    });
+
+    const shelf = await receiveOne('Shelf 4');
+    expect(shelf.status).toBe(404);
+    expect(shelf.body.message).toBe('Store SHELF 4 not found');
+    expect(batches).toHaveLength(0);
+
+    const res = await receiveOne(' main store ');
+    expect(res.status).toBe(201);
+    expect(batches[0].location).toBe('MAIN STORE');
+    expect(movements[0]).toMatchObject({ type: 'IN', quantity: 40, location: 'MAIN STORE' });
+  });
+});
+
+describe('Supplier invoices', () => {
+  it('matches an invoice to the order and deliveries and approves it as payable on the supplier\'s terms', async () => {
+    const order = sentOrder();
+    await receive(order, [line(paracetamol, 100), line(amoxicillin, 50)]);
+
+    const res = await request(app).post('/api/supplier-invoices').send({
+      purchaseOrder: order._id, invoiceNumber: 'INV-88120', invoiceDate: '2026-10-15',
+      lines: [{ medicine: paracetamol._id, quantity: 100, unitPrice: 10.1 }, { medicine: amoxicillin._id, quantity: 50, unitPrice: 4 }],
+      taxAmount: 96, statedTotal: 1306,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'matched', subtotal: 1210, totalAmount: 1306, issues: [] });
+
+    currentUser = manager;
+    const approved = await request(app).put(`/api/supplier-invoices/${res.body.data._id}/approve`);
+    expect(approved.status).toBe(200);
+    expect(approved.body.data.status).toBe('approved');
+    expect(new Date(approved.body.data.dueDate)).toEqual(new Date('2026-12-14T00:00:00'));
+  });
+
+  it('holds invoices billing more than was received, at the wrong price or off the order as exceptions', async () => {
+    const order = sentOrder();
+    await receive(order, [line(paracetamol, 60)]);
+
+    const res = await request(app).post('/api/supplier-invoices').send({
+      purchaseOrder: order._id, invoiceNumber: 'INV-88121', invoiceDate: '2026-10-16',
+      lines: [
+        { medicine: paracetamol._id, quantity: 100, unitPrice: 10 },
+        { medicine: amoxicillin._id, quantity: 1, unitPrice: 5 },
+        { medicine: ceftriaxone._id, quantity: 2, unitPrice: 2500 },
+      ],
+      statedTotal: 6000,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('exception');
+    expect(res.body.data.issues).toEqual([
+      expect.objectContaining({ line: 1, code: 'not_received', message: 'Paracetamol 500mg: 100 invoiced but 60 received and not yet invoiced' }),
+      expect.objectContaining({ line: 2, code: 'not_received' }),
+      expect.objectContaining({ line: 2, code: 'price_variance', message: 'Amoxicillin 250mg: invoiced at 5 against 4 on the order' }),
+      expect.objectContaining({ line: 3, code: 'not_on_order', message: 'Ceftriaxone 1g is not on PO-202610-0001' }),
+      expect.objectContaining({ code: 'total_mismatch' }),
+    ]);
+
+    const duplicate = await request(app).post('/api/supplier-invoices').send({
+      purchaseOrder: order._id, invoiceNumber: 'INV-88121', invoiceDate: '2026-10-16',
+      lines: [{ medicine: paracetamol._id, quantity: 10, unitPrice: 10 }],
+    });
+    expect(duplicate.status).toBe(409);
+
+    currentUser = manager;
+    const url = `/api/supplier-invoices/${res.body.data._id}/approve`;
+    expect((await request(app).put(url)).status).toBe(400);
+    const overridden = await request(app).put(url).send({ notes: 'Balance delivered; credit note agreed for the price' });
+    expect(overridden.body.data).toMatchObject({ status: 'approved', approvalNotes: 'Balance delivered; credit note agreed for the price' });
+  });
+});
+
+describe('GET /api/suppliers/:id/performance', () => {
+  it('reports lead time, on-time delivery, fill rate and over-deliveries', async () => {
+    const order = sentOrder({ expectedDate: new Date(`${localDay(new Date())}T00:00:00`) });
+    await receive(order, [line(paracetamol, 110), line(amoxicillin, 50)]);
+    sentOrder({ poNumber: 'PO-202610-0002', status: 'cancelled' });
+
+    const res = await request(app).get(`/api/suppliers/${medisel._id}/performance`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      supplier: { name: 'Medisel' },
+      periodDays: 365,
+      orders: { placed: 1, cancelled: 1, value: 1200 },
+      deliveries: {
+        count: 1, averageLeadTimeDays: 5, onTimeRate: 100, fillRate: 100, overDeliveredLines: 1, shortClosedOrders: 0,
+      },
+      invoices: { count: 0, exceptions: 0, approvedValue: 0 },
+    });
+  });
+});
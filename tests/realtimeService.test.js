@@ -0,0 +1,230 @@
+/**
+ * Tests for services/realtimeService.js.
+ *
+ * Streams are fake response objects that record what was written to them, and
+ * events are raised on the real event bus the models emit on. Users are real
+ * documents held in memory, and role permissions are read from a table the
+ * tests can edit. What is under test is scoping: each event must reach
+ * exactly the users that the equivalent polling endpoint would have served.
+ */
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import eventBus from '../utils/eventBus.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import { DEFAULT_ROLE_PERMISSIONS } from '../config/permissions.js';
+
+process.env.SSE_MAX_STREAMS_PER_USER = '2';
+
+const { default: realtimeService } = await import('../services/realtimeService.js');
+
+realtimeService.start();
+
+const connect = (user) => {
+  const req = new EventEmitter();
+  req.user = user;
+  const res = {
+    chunks: [],
+    headers: null,
+    writeHead(status, headers) { res.headers = headers; },
+    write(chunk) { res.chunks.push(chunk); },
+    events() {
+      return res.chunks
+        .map((c) => /event: (.+)\ndata: (.+)\n/.exec(c))
+        .filter(Boolean)
+        .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+    },
+  };
+  const accepted = realtimeService.addClient(req, res);
+  return { req, res, accepted, close: () => req.emit('close') };
+};
+
+const open = [];
+const client = (user) => {
+  const c = connect(user);
+  open.push(c);
+  return c;
+};
+
+let directory;
+let rolePermissions;
+
+const staff = (role, revoked = []) => {
+  const user = new User({ _id: new mongoose.Types.ObjectId(), role, permissionRevokes: revoked });
+  directory.push(user);
+  return user;
+};
+
+// Publishing reloads the users first, so events land a tick after they are
+// raised.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+let doctorA;
+let doctorB;
+let pharmacist;
+let receptionist;
+
+beforeEach(() => {
+  directory = [];
+  rolePermissions = structuredClone(DEFAULT_ROLE_PERMISSIONS);
+  doctorA = staff('doctor');
+  doctorB = staff('doctor');
+  pharmacist = staff('pharmacist');
+  receptionist = staff('receptionist');
+
+  jest.spyOn(User, 'find').mockImplementation(({ _id: { $in: ids }, isActive }) => ({
+    select: async () => directory.filter((u) => ids.includes(u._id.toString()) && u.isActive === isActive),
+  }));
+  jest.spyOn(Role, 'permissionsFor').mockImplementation(async (name) => rolePermissions[name] || []);
+});
+
+afterEach(() => {
+  open.splice(0).forEach((c) => c.close());
+  jest.restoreAllMocks();
+});
+
+describe('stream setup', () => {
+  it('opens an event stream and announces readiness', () => {
+    const { res } = client(doctorA);
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(res.events()[0].event).toBe('ready');
+  });
+
+  it('caps the number of streams one user may hold open', () => {
+    expect(client(doctorA).accepted).toBe(true);
+    expect(client(doctorA).accepted).toBe(true);
+    expect(client(doctorA).accepted).toBe(false);
+  });
+
+  it('stops delivering to a stream once it closes', async () => {
+    const c = connect(doctorA);
+    c.close();
+    eventBus.emit('notification.created', { recipient: doctorA._id, title: 'x' });
+    await settle();
+    expect(c.res.events().map((e) => e.event)).toEqual(['ready']);
+  });
+});
+
+describe('notifications', () => {
+  it('go to the recipient only', async () => {
+    const a = client(doctorA);
+    const b = client(doctorB);
+
+    eventBus.emit('notification.created', { recipient: doctorA._id.toString(), title: 'Lab results ready' });
+    await settle();
+
+    expect(a.res.events().pop()).toEqual({
+      event: 'notification',
+      data: { recipient: doctorA._id.toString(), title: 'Lab results ready' },
+    });
+    expect(b.res.events().map((e) => e.event)).toEqual(['ready']);
+  });
+});
+
+describe('visit status changes', () => {
+  const visitFor = (doctor) => ({
+    _id: 'visit-1',
+    visitId: 'V2600001',
+    status: 'In Queue',
+    doctor: { _id: doctor._id },
+    patient: 'patient-1',
+  });
+
+  it('reach the assigned doctor and whoever sees every visit, not other doctors', async () => {
+    const a = client(doctorA);
+    const b = client(doctorB);
+    const r = client(receptionist);
+    const p = client(pharmacist);
+
+    eventBus.emit('visit.statusChanged', { visit: visitFor(doctorA), previousStatus: 'Pending Payment' });
+    await settle();
+
+    const sent = a.res.events().pop();
+    expect(sent.event).toBe('visit.status');
+    expect(sent.data).toMatchObject({
+      _id: 'visit-1',
+      status: 'In Queue',
+      previousStatus: 'Pending Payment',
+      doctor: doctorA._id.toString(),
+    });
+    expect(r.res.events().pop().event).toBe('visit.status');
+    expect(b.res.events().map((e) => e.event)).toEqual(['ready']);
+    expect(p.res.events().map((e) => e.event)).toEqual(['ready']);
+  });
+
+  it('follow the permissions, whatever the role is called', async () => {
+    rolePermissions.triage = ['visits.view', 'visits.view_all'];
+    rolePermissions.doctor.push('visits.view_all');
+    const t = client(staff('triage'));
+    const b = client(doctorB);
+
+    eventBus.emit('visit.statusChanged', { visit: visitFor(doctorA), previousStatus: 'Pending Payment' });
+    await settle();
+
+    expect(t.res.events().pop().event).toBe('visit.status');
+    expect(b.res.events().pop().event).toBe('visit.status');
+  });
+
+  it('stop reaching the assigned doctor once they may no longer view visits', async () => {
+    const a = client(staff('doctor', ['visits.view']));
+    const doctor = directory.at(-1);
+
+    eventBus.emit('visit.statusChanged', { visit: visitFor(doctor), previousStatus: 'Pending Payment' });
+    await settle();
+
+    expect(a.res.events().map((e) => e.event)).toEqual(['ready']);
+  });
+});
+
+describe('new prescriptions', () => {
+  it('reach the pharmacy, not doctors or reception', async () => {
+    const p = client(pharmacist);
+    const a = client(doctorA);
+    const r = client(receptionist);
+
+    eventBus.emit('prescription.created', {
+      visit: { _id: 'visit-1', visitId: 'V2600001', patient: 'patient-1' },
+      prescription: { _id: 'rx-1', medication: 'Amoxicillin', status: 'Pending Quantification', prescribedBy: 'doc-a' },
+    });
+    await settle();
+
+    const sent = p.res.events().pop();
+    expect(sent.event).toBe('prescription.created');
+    expect(sent.data).toMatchObject({ _id: 'rx-1', medication: 'Amoxicillin', patient: 'patient-1' });
+    expect(a.res.events().map((e) => e.event)).toEqual(['ready']);
+    expect(r.res.events().map((e) => e.event)).toEqual(['ready']);
+  });
+
+  const prescribe = async () => {
+    eventBus.emit('prescription.created', {
+      visit: { _id: 'visit-1', visitId: 'V2600001', patient: 'patient-1' },
+      prescription: { _id: 'rx-2', medication: 'Paracetamol', status: 'Pending Quantification', prescribedBy: 'doc-a' },
+    });
+    await settle();
+  };
+
+  it('stop reaching a pharmacist whose dispensing access was revoked', async () => {
+    const p = client(staff('pharmacist', ['dispensing.view']));
+
+    await prescribe();
+
+    expect(p.res.events().map((e) => e.event)).toEqual(['ready']);
+  });
+
+  it('stop reaching an open stream once its access is taken away', async () => {
+    const p = client(pharmacist);
+    const q = client(staff('pharmacist'));
+
+    rolePermissions.pharmacist = rolePermissions.pharmacist.filter((perm) => perm !== 'dispensing.view');
+    await prescribe();
+    expect(p.res.events().map((e) => e.event)).toEqual(['ready']);
+
+    rolePermissions.pharmacist.push('dispensing.view');
+    directory.at(-1).isActive = false;
+    await prescribe();
+    expect(p.res.events().pop().event).toBe('prescription.created');
+    expect(q.res.events().map((e) => e.event)).toEqual(['ready']);
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Tests for reorder suggestions: average daily use, safety stock and days
+ * of cover from stock movements, supplier lead times from past receipts,
+ * stock on order, and draft purchase orders grouped by supplier.
+ *
+ * Movements, batches and orders are held in memory; the aggregation mocks
+ * group them the way the pipelines do.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const counters = {};
+
+jest.unstable_mockModule('../utils/sequence.js', () => {
+  const nextSequence = async (key) => { counters[key] = (counters[key] || 0) + 1; return counters[key]; };
+  return { nextSequence, highestExisting: async () => 0, default: nextSequence };
+});
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = pharmacist; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const { default: itemReceivingRoutes } = await import('../routes/itemReceiving.js');
+const { default: PurchaseOrder } = await import('../models/PurchaseOrder.js');
+const { default: Supplier } = await import('../models/Supplier.js');
+const { Medicine } = await import('../models/Medicine.js');
+const { MedicineBatch } = await import('../models/MedicineBatch.js');
+const { StockMovement } = await import('../models/StockMovement.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/item-receiving', itemReceivingRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY - 60 * 1000);
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.sort = () => q;
+  return q;
+};
+
+const pharmacist = { _id: new mongoose.Types.ObjectId(), firstName: 'Amina', lastName: 'Pharm' };
+const paracetamol = new Medicine({ name: 'Paracetamol 500mg', type: 'Tablet', sellingPrice: 50 });
+const amoxicillin = new Medicine({ name: 'Amoxicillin 250mg', type: 'Capsule', sellingPrice: 30, reorderLevel: 20 });
+const ceftriaxone = new Medicine({ name: 'Ceftriaxone 1g', type: 'Injection', sellingPrice: 3000 });
+
+const kemsa = new Supplier({ name: 'Kemsa', paymentTermsDays: 60, contacts: [{ name: 'Orders desk', phone: '0700 000 111', isPrimary: true }] });
+
+let movements;
+let batches;
+let orders;
+
+const order = (poNumber, status, createdAt, items = []) => new PurchaseOrder({
+  poNumber, status, createdAt, supplier: { name: 'Medisel' }, items,
+});
+
+const batch = (medicine, quantityRemaining, buyingPrice, receivedAt, expiry = '2027-06-30') => new MedicineBatch({
+  medicine: medicine._id, purchaseOrder: new mongoose.Types.ObjectId(), batchNumber: `B-${batches.length}`,
+  quantityReceived: quantityRemaining, quantityRemaining, buyingPrice, sellingPrice: buyingPrice * 2,
+  expiryDate: new Date(`${expiry}T00:00:00`), receivedAt, status: 'active',
+});
+
+const suggestionFor = (res, medicine) => res.body.data.find((item) => item.medicine._id === String(medicine._id));
+
+beforeEach(() => {
+  Object.keys(counters).forEach((key) => delete counters[key]);
+  movements = [];
+  batches = [];
+
+  // Paracetamol: 20 and 40 on alternate days (mean 30, sd 10); ceftriaxone: 1 a day
+  for (let day = 0; day < 90; day++) {
+    movements.push({ medicine: paracetamol._id, type: 'OUT', quantity: day % 2 ? 40 : 20, createdAt: daysAgo(day) });
+    movements.push({ medicine: ceftriaxone._id, type: 'OUT', quantity: 1, createdAt: daysAgo(day) });
+  }
+  // Moving stock between stores is not consumption
+  movements.push({ medicine: paracetamol._id, type: 'TRANSFER_OUT', quantity: 500, createdAt: daysAgo(1) });
+
+  // Medisel delivered 10 and 6 days after ordering
+  const past = [order('PO-2026-01', 'closed', daysAgo(100)), order('PO-2026-02', 'closed', daysAgo(50))];
+  movements.push({ medicine: paracetamol._id, type: 'IN', quantity: 300, purchaseOrder: past[0]._id, createdAt: daysAgo(90) });
+  movements.push({ medicine: paracetamol._id, type: 'IN', quantity: 200, purchaseOrder: past[1]._id, createdAt: daysAgo(44) });
+  orders = [...past, order('PO-202610-0001', 'draft', daysAgo(2), [{ medicine: paracetamol._id, quantity: 50, unitCost: 12 }])];
+
+  batches.push(
+    batch(paracetamol, 150, 10, daysAgo(90)),
+    batch(paracetamol, 50, 12, daysAgo(44)),
+    batch(paracetamol, 100, 9, daysAgo(400), '2026-01-31'),
+    batch(amoxicillin, 5, 4, daysAgo(200)),
+    batch(ceftriaxone, 500, 2000, daysAgo(30)),
+  );
+
+  jest.spyOn(Medicine, 'find').mockImplementation(() => query([amoxicillin, ceftriaxone, paracetamol]));
+  jest.spyOn(Supplier, 'find').mockImplementation(() => query([kemsa]));
+  jest.spyOn(MedicineBatch, 'aggregate').mockImplementation(async () => {
+    const rows = new Map();
+    for (const b of [...batches].sort((x, y) => x.receivedAt - y.receivedAt)) {
+      const row = rows.get(String(b.medicine)) || { _id: b.medicine, onHand: 0 };
+      if (b.status === 'active' && b.expiryDate > new Date()) row.onHand += b.quantityRemaining;
+      row.lastBuyingPrice = b.buyingPrice;
+      rows.set(String(b.medicine), row);
+    }
+    return [...rows.values()];
+  });
+  jest.spyOn(StockMovement, 'aggregate').mockImplementation(async ([{ $match }]) => {
+    const rows = new Map();
+    if ($match.type === 'OUT') {
+      for (const m of movements.filter((m) => m.type === 'OUT' && m.createdAt >= $match.createdAt.$gte)) {
+        const day = m.createdAt.toISOString().slice(0, 10);
+        const key = `${m.medicine}:${day}`;
+        const row = rows.get(key) || { _id: { medicine: m.medicine, day }, quantity: 0 };
+        row.quantity += m.quantity;
+        rows.set(key, row);
+      }
+      return [...rows.values()];
+    }
+    for (const m of movements.filter((m) => m.type === 'IN' && m.purchaseOrder)) {
+      const po = orders.find((o) => String(o._id) === String(m.purchaseOrder));
+      const key = `${m.purchaseOrder}:${m.medicine}`;
+      const row = rows.get(key) || {
+        _id: { purchaseOrder: m.purchaseOrder, medicine: m.medicine }, quantity: 0,
+        firstReceived: m.createdAt, lastReceived: m.createdAt, supplier: po.supplier, orderedAt: po.createdAt,
+      };
+      row.quantity += m.quantity;
+      if (m.createdAt < row.firstReceived) row.firstReceived = m.createdAt;
+      if (m.createdAt > row.lastReceived) row.lastReceived = m.createdAt;
+      rows.set(key, row);
+    }
+    return [...rows.values()];
+  });
+
+  jest.spyOn(PurchaseOrder, 'find').mockImplementation((filter) => query(
+    orders.filter((o) => filter.status.$in.includes(o.status) && o.items.length)
+  ));
+  jest.spyOn(PurchaseOrder, 'findById').mockImplementation(async (id) => orders.find((o) => String(o._id) === String(id)) || null);
+  jest.spyOn(PurchaseOrder, 'create').mockImplementation(async (doc) => {
+    const created = new PurchaseOrder(doc);
+    await created.validate();
+    orders.push(created);
+    return created;
+  });
+  jest.spyOn(PurchaseOrder.prototype, 'deleteOne').mockImplementation(async function () {
+    orders = orders.filter((o) => o !== this);
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/item-receiving/reorder-suggestions', () => {
+  it('sizes safety stock and the reorder point from daily use and the observed lead time', async () => {
+    const res = await request(app).get('/api/item-receiving/reorder-suggestions');
+
+    expect(res.status).toBe(200);
+    expect(res.body.parameters).toEqual({ windowDays: 90, coverDays: 30, serviceLevel: 0.95, defaultLeadTimeDays: 7 });
+
+    const item = suggestionFor(res, paracetamol);
+    expect(item).toMatchObject({
+      supplier: 'Medisel',
+      leadTimeDays: 8,
+      leadTimeSource: 'observed',
+      averageDailyUse: 30,
+      usedInWindow: 2700,
+      // ceil(1.65 * 10 * sqrt(8)) and ceil(30 * 8 + 47)
+      safetyStock: 47,
+      reorderPoint: 287,
+      onHand: 200,
+      onOrder: 50,
+      daysOfCover: 6.7,
+      due: true,
+      // 287 + 30 days at 30 a day - (200 on hand + 50 on order)
+      suggestedQuantity: 937,
+      unitCost: 12,
+    });
+    expect(item.openOrders).toEqual([{ poNumber: 'PO-202610-0001', status: 'draft', outstanding: 50 }]);
+  });
+
+  it('falls back to the reorder level and default lead time for a medicine with no recent use', async () => {
+    const res = await request(app).get('/api/item-receiving/reorder-suggestions');
+
+    expect(suggestionFor(res, amoxicillin)).toMatchObject({
+      supplier: 'Unassigned',
+      leadTimeDays: 7,
+      leadTimeSource: 'default',
+      averageDailyUse: 0,
+      safetyStock: 0,
+      reorderPoint: 20,
+      onHand: 5,
+      daysOfCover: null,
+      suggestedQuantity: 15,
+    });
+    expect(res.body.suppliers).toEqual([
+      { supplier: 'Medisel', leadTimeDays: 8, leadTimeSource: 'observed', items: 1, estimatedCost: 937 * 12 },
+      { supplier: 'Unassigned', leadTimeDays: 7, leadTimeSource: 'default', items: 1, estimatedCost: 60 },
+    ]);
+  });
+
+  it('lists only what is due, most urgent first, unless all medicines are asked for', async () => {
+    const due = await request(app).get('/api/item-receiving/reorder-suggestions');
+    expect(due.body.data.map((item) => item.medicine.name)).toEqual(['Paracetamol 500mg', 'Amoxicillin 250mg']);
+
+    const all = await request(app).get('/api/item-receiving/reorder-suggestions?all=true');
+    expect(all.body.count).toBe(3);
+    expect(suggestionFor(all, ceftriaxone)).toMatchObject({
+      due: false, suggestedQuantity: 0, averageDailyUse: 1, reorderPoint: 10, daysOfCover: 500,
+    });
+  });
+
+  it('counts only what is still outstanding on partly received orders', async () => {
+    orders[2].status = 'partially_received';
+    orders[2].createdAt = daysAgo(10);
+    movements.push({ medicine: paracetamol._id, type: 'IN', quantity: 30, purchaseOrder: orders[2]._id, createdAt: daysAgo(2) });
+
+    const res = await request(app).get('/api/item-receiving/reorder-suggestions');
+
+    const item = suggestionFor(res, paracetamol);
+    expect(item.onOrder).toBe(20);
+    // Lead times of 10, 8 and 6 days
+    expect(item.leadTimeDays).toBe(8);
+    expect(item.suggestedQuantity).toBe(287 + 900 - 220);
+  });
+
+  it('takes the window, cover and service level from the query and ignores values out of range', async () => {
+    const tuned = await request(app)
+      .get('/api/item-receiving/reorder-suggestions?windowDays=30&coverDays=10&serviceLevel=0.99');
+    expect(tuned.body.parameters).toEqual({ windowDays: 30, coverDays: 10, serviceLevel: 0.99, defaultLeadTimeDays: 7 });
+    expect(suggestionFor(tuned, paracetamol)).toMatchObject({
+      usedInWindow: 900, safetyStock: 66, reorderPoint: 306, suggestedQuantity: 306 + 300 - 250,
+    });
+
+    const fallback = await request(app)
+      .get('/api/item-receiving/reorder-suggestions?coverDays=-3&serviceLevel=0.5');
+    expect(fallback.body.parameters).toMatchObject({ coverDays: 30, serviceLevel: 0.95 });
+  });
+});
+
+describe('POST /api/item-receiving/reorder-suggestions/purchase-orders', () => {
+  it('drafts one order per supplier with the pharmacist\'s choices', async () => {
+    const res = await request(app)
+      .post('/api/item-receiving/reorder-suggestions/purchase-orders')
+      .send({ items: [{ medicine: paracetamol._id }, { medicine: amoxicillin._id, quantity: 40, supplier: 'Kemsa' }] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.count).toBe(2);
+    const [medisel, kemsaOrder] = res.body.data;
+    expect(medisel).toMatchObject({
+      supplier: { name: 'Medisel' }, status: 'draft', source: 'reorder', createdBy: String(pharmacist._id),
+      totalAmount: 937 * 12,
+      items: [expect.objectContaining({ medicine: String(paracetamol._id), quantity: 937, unitCost: 12 })],
+    });
+    expect(medisel.supplierId).toBeUndefined();
+    expect(kemsaOrder).toMatchObject({
+      supplierId: String(kemsa._id), supplier: { name: 'Kemsa', contact: 'Orders desk' }, paymentTermsDays: 60,
+      totalAmount: 160,
+      items: [expect.objectContaining({ name: 'Amoxicillin 250mg', quantity: 40, unitCost: 4, total: 160 })],
+    });
+    expect(medisel.poNumber).toMatch(/^PO-\d{6}-0001$/);
+    expect(kemsaOrder.poNumber).toMatch(/^PO-\d{6}-0002$/);
+  });
+
+  it('refuses to draft anything while a due medicine has no supplier', async () => {
+    const res = await request(app).post('/api/item-receiving/reorder-suggestions/purchase-orders').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { line: 2, message: 'Amoxicillin 250mg has no supplier on record; choose one' },
+    ]);
+    expect(orders).toHaveLength(3);
+  });
+});
+
+describe('DELETE /api/item-receiving/purchase-orders/:id', () => {
+  it('discards drafts only', async () => {
+    const completed = await request(app).delete(`/api/item-receiving/purchase-orders/${orders[0]._id}`);
+    expect(completed.status).toBe(409);
+
+    const draft = await request(app).delete(`/api/item-receiving/purchase-orders/${orders[2]._id}`);
+    expect(draft.status).toBe(200);
+    expect(orders.map((o) => o.poNumber)).toEqual(['PO-2026-01', 'PO-2026-02']);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for built-in roles gaining default permissions added after they
+ * were seeded, without undoing permissions an admin has taken away.
+ *
+ * Roles are real documents held in memory; AuditLog is mocked.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = { _id: new mongoose.Types.ObjectId() }; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+jest.unstable_mockModule('../models/AuditLog.js', () => ({
+  default: { log: async () => {} },
+}));
+
+const { default: roleRoutes } = await import('../routes/roles.js');
+const { default: Role } = await import('../models/Role.js');
+const { DEFAULT_ROLES } = await import('../config/permissions.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/roles', roleRoutes);
+
+const nurseDefaults = DEFAULT_ROLES.find((r) => r.name === 'nurse').permissions;
+let nurse;
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  return q;
+};
+
+beforeEach(() => {
+  // Seeded before the last two defaults were added to the catalogue
+  nurse = new Role({ name: 'nurse', displayName: 'Nurse', permissions: nurseDefaults.slice(0, -2), isSystem: true });
+
+  jest.spyOn(Role, 'find').mockImplementation(() => query([nurse]));
+  jest.spyOn(Role, 'findById').mockImplementation(async () => nurse);
+  jest.spyOn(Role.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(Role, 'updateOne').mockImplementation(async (filter, { $addToSet }) => {
+    nurse.permissions.push(...$addToSet.permissions.$each.filter((p) => !nurse.permissions.includes(p)));
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('built-in role defaults', () => {
+  it('reach roles seeded before they were added', async () => {
+    expect(await Role.addMissingDefaults()).toBe(1);
+    expect([...nurse.permissions].sort()).toEqual([...nurseDefaults].sort());
+
+    expect(await Role.addMissingDefaults()).toBe(0);
+  });
+
+  it('stay away once an admin takes them away, until given back', async () => {
+    const [kept, taken] = nurseDefaults;
+    const res = await request(app).put(`/api/roles/${nurse._id}`).send({ permissions: nurse.permissions.filter((p) => p !== taken) });
+    expect(res.status).toBe(200);
+    expect([...nurse.removedDefaults]).toEqual([taken]);
+
+    await Role.addMissingDefaults();
+    expect(nurse.permissions).toContain(kept);
+    expect(nurse.permissions).not.toContain(taken);
+
+    await request(app).put(`/api/roles/${nurse._id}`).send({ permissions: [...nurse.permissions, taken] });
+    expect([...nurse.removedDefaults]).toEqual([]);
+  });
+});
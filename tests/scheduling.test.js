@@ -0,0 +1,184 @@
+/**
+ * Tests for clinician schedules, slot availability and double-booking
+ * checks on appointment booking.
+ *
+ * Schedules are real ClinicianSchedule documents that are never saved;
+ * appointment lookups are served from an in-memory list.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: USER_ID, id: USER_ID, hasPermission: () => true };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+  requireAnyPermission: () => (req, res, next) => next(),
+}));
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+const DOCTOR_ID = new mongoose.Types.ObjectId().toString();
+
+const { default: scheduleService, parseLegacyHours } = await import('../services/scheduleService.js');
+const { default: appointmentRoutes } = await import('../routes/appointments.js');
+const { default: doctorRoutes } = await import('../routes/doctors.js');
+const { default: ClinicianSchedule } = await import('../models/ClinicianSchedule.js');
+const { default: Appointment } = await import('../models/Appointment.js');
+const { default: User } = await import('../models/User.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/doctors', doctorRoutes);
+
+// 2026-10-26 is a Monday
+const MONDAY = '2026-10-26';
+
+const chain = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.populate = () => q;
+  q.sort = () => q;
+  return q;
+};
+
+let schedule;
+let appointments;
+let created;
+
+beforeAll(() => {
+  jest.spyOn(ClinicianSchedule, 'findOne').mockImplementation(async () => schedule);
+  jest.spyOn(User, 'findById').mockImplementation(() => chain({ _id: DOCTOR_ID, role: 'doctor', schedule: {} }));
+  jest.spyOn(Appointment, 'find').mockImplementation((query) =>
+    chain(appointments.filter((a) =>
+      a.appointmentDate >= (query.appointmentDate.$gte || '') && a.appointmentDate <= (query.appointmentDate.$lte || '9999')
+      && (!query.status?.$nin || !query.status.$nin.includes(a.status))
+      && (!query._id || String(a._id) !== String(query._id.$ne)))));
+  jest.spyOn(Appointment, 'create').mockImplementation(async (details) => {
+    created = details;
+    return { _id: new mongoose.Types.ObjectId(), ...details };
+  });
+});
+
+beforeEach(() => {
+  created = null;
+  appointments = [];
+  schedule = new ClinicianSchedule({
+    clinician: DOCTOR_ID,
+    slotMinutes: 30,
+    weeklyHours: [{ day: 'monday', start: '08:00', end: '12:00' }],
+    breaks: [{ start: '10:00', end: '10:30', label: 'Tea' }],
+  });
+});
+
+const booked = (time, duration = 30, status = 'scheduled') => ({
+  _id: new mongoose.Types.ObjectId(),
+  appointmentId: `A2026${String(appointments.length + 1).padStart(4, '0')}`,
+  appointmentDate: MONDAY,
+  appointmentTime: time,
+  duration,
+  status,
+});
+
+describe('parseLegacyHours', () => {
+  it('reads the free-text hours kept on user records', () => {
+    expect(parseLegacyHours('08:00 - 17:00')).toEqual({ start: '08:00', end: '17:00' });
+    expect(parseLegacyHours('9am-1pm')).toEqual({ start: '09:00', end: '13:00' });
+    expect(parseLegacyHours('Off')).toBeNull();
+  });
+});
+
+describe('scheduleService.getAvailability', () => {
+  it('offers slots within working hours around breaks and existing appointments', async () => {
+    appointments.push(booked('09:00', 60), booked('11:00', 30, 'cancelled'));
+
+    const { days } = await scheduleService.getAvailability(DOCTOR_ID, {
+      from: MONDAY,
+      to: '2026-10-27',
+      now: new Date('2026-10-20T12:00:00'),
+    });
+
+    expect(days[0].slots.map((s) => s.time)).toEqual(['08:00', '08:30', '10:30', '11:00', '11:30']);
+    expect(days[1]).toMatchObject({ date: '2026-10-27', day: 'tuesday', working: false, slots: [] });
+  });
+
+  it('only offers starts with room for the whole appointment', async () => {
+    const { days } = await scheduleService.getAvailability(DOCTOR_ID, {
+      from: MONDAY,
+      duration: 60,
+      now: new Date('2026-10-20T12:00:00'),
+    });
+
+    expect(days[0].slots).toEqual([
+      { time: '08:00', end: '09:00' },
+      { time: '08:30', end: '09:30' },
+      { time: '09:00', end: '10:00' },
+      { time: '10:30', end: '11:30' },
+      { time: '11:00', end: '12:00' },
+    ]);
+  });
+
+  it('has nothing to offer on leave', async () => {
+    schedule.leave.push({ startDate: '2026-10-24', endDate: MONDAY, reason: 'Conference' });
+
+    const { days } = await scheduleService.getAvailability(DOCTOR_ID, { from: MONDAY, now: new Date('2026-10-20T12:00:00') });
+
+    expect(days[0]).toMatchObject({ working: false, leave: 'Conference', slots: [] });
+  });
+});
+
+describe('POST /api/appointments', () => {
+  const book = (overrides = {}) => request(app).post('/api/appointments').send({
+    patientId: new mongoose.Types.ObjectId().toString(),
+    doctorId: DOCTOR_ID,
+    date: MONDAY,
+    time: '09:00',
+    duration: '30 minutes',
+    type: 'Consultation',
+    status: 'Scheduled',
+    notes: 'Review',
+    ...overrides,
+  });
+
+  it('books a free slot', async () => {
+    const res = await book();
+
+    expect(res.status).toBe(201);
+    expect(created).toMatchObject({ appointmentDate: MONDAY, appointmentTime: '09:00', duration: 30 });
+  });
+
+  it('rejects an appointment that overlaps another, using its duration', async () => {
+    appointments.push(booked('08:30', 45));
+
+    const res = await book({ time: '09:00' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe(`The doctor already has an appointment at 08:30 on ${MONDAY}`);
+    expect(res.body.conflicts).toEqual([expect.objectContaining({ time: '08:30', duration: 45 })]);
+    expect(created).toBeNull();
+  });
+
+  it('rejects bookings outside working hours except emergencies', async () => {
+    const late = await book({ time: '11:45' });
+    const emergency = await book({ time: '11:45', type: 'Emergency' });
+
+    expect(late.status).toBe(409);
+    expect(late.body.message).toBe(`11:45–12:15 on ${MONDAY} is outside the doctor's working hours`);
+    expect(emergency.status).toBe(201);
+  });
+});
+
+describe('GET /api/doctors/:id', () => {
+  it('returns the clinician schedule and their appointments', async () => {
+    appointments.push(booked('09:00'));
+
+    const scheduleRes = await request(app).get(`/api/doctors/${DOCTOR_ID}/schedule`);
+    const appointmentsRes = await request(app).get(`/api/doctors/${DOCTOR_ID}/appointments?from=${MONDAY}`);
+
+    expect(scheduleRes.body.data.schedule.weeklyHours).toEqual([{ day: 'monday', start: '08:00', end: '12:00' }]);
+    expect(appointmentsRes.body.data.appointments).toHaveLength(1);
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Tests for stock-take sessions: the frozen counting sheet, per-batch
+ * counts, variance valuation, supervisor approval posting adjustments, and
+ * the auditor export.
+ *
+ * Sessions and batches are real documents held in memory; take numbers come
+ * from a per-key counter.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const counters = {};
+let currentUser;
+
+jest.unstable_mockModule('../utils/sequence.js', () => {
+  const nextSequence = async (key) => { counters[key] = (counters[key] || 0) + 1; return counters[key]; };
+  return { nextSequence, highestExisting: async () => 0, default: nextSequence };
+});
+jest.unstable_mockModule('../utils/withTransaction.js', () => {
+  const withTransaction = async (fn) => fn(null);
+  return { withTransaction, default: withTransaction };
+});
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = currentUser; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const { default: stockRoutes } = await import('../routes/stock.js');
+const { default: StockTake } = await import('../models/StockTake.js');
+const { Medicine } = await import('../models/Medicine.js');
+const { MedicineBatch } = await import('../models/MedicineBatch.js');
+const { StockMovement } = await import('../models/StockMovement.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/stock', stockRoutes);
+
+const user = (firstName) => ({ _id: new mongoose.Types.ObjectId(), firstName, lastName: 'Store' });
+const counter = user('Halima');
+const secondCounter = user('Musa');
+const supervisor = user('Grace');
+
+const paracetamol = new Medicine({ name: 'Paracetamol 500mg', type: 'Tablet', sellingPrice: 50 });
+const amoxicillin = new Medicine({ name: 'Amoxicillin 250mg', type: 'Capsule', sellingPrice: 200 });
+
+let batches;
+let takes;
+let movements;
+
+beforeEach(() => {
+  Object.keys(counters).forEach((key) => delete counters[key]);
+  currentUser = counter;
+  takes = [];
+  movements = [];
+  const batch = (medicine, batchNumber, quantityRemaining, buyingPrice, location = 'MAIN STORE') => new MedicineBatch({
+    medicine: medicine._id, batchNumber, quantityRemaining, quantityReceived: 100, buyingPrice, sellingPrice: buyingPrice * 2,
+    expiryDate: new Date('2027-06-30'), location, status: 'active',
+  });
+  batches = [
+    batch(paracetamol, 'PCM-01', 40, 20),
+    batch(paracetamol, 'PCM-02', 10, 25, 'PHARMACY'),
+    batch(amoxicillin, 'AMX-01', 12, 100),
+  ];
+
+  // Groups batches by medicine as the stock-taking pipeline does
+  jest.spyOn(MedicineBatch, 'aggregate').mockImplementation(async ([{ $match }]) => {
+    const rows = [];
+    for (const medicine of [amoxicillin, paracetamol]) {
+      const held = batches.filter((b) => String(b.medicine) === String(medicine._id) && b.status === 'active'
+        && (!$match.location || b.location === $match.location));
+      if (!held.length) continue;
+      rows.push({
+        _id: medicine._id,
+        medicine: medicine.toObject(),
+        quantity: held.reduce((sum, b) => sum + b.quantityRemaining, 0),
+        batches: held.map((b) => ({
+          batchId: b._id, batchNumber: b.batchNumber, quantity: b.quantityRemaining, expiry: b.expiryDate,
+          location: b.location, buyingPrice: b.buyingPrice,
+        })),
+      });
+    }
+    return rows;
+  });
+  jest.spyOn(MedicineBatch, 'findOneAndUpdate').mockImplementation(async (filter, [first]) => {
+    const batch = batches.find((b) => String(b._id) === String(filter._id));
+    if (!batch) return null;
+    const delta = first.$set.quantityRemaining.$max[1].$add[1];
+    batch.quantityRemaining = Math.max(0, batch.quantityRemaining + delta);
+    batch.status = batch.quantityRemaining <= 0 ? 'depleted' : 'active';
+    return batch;
+  });
+  jest.spyOn(StockMovement, 'create').mockImplementation(async ([doc]) => { movements.push(doc); return [doc]; });
+
+  jest.spyOn(StockTake, 'create').mockImplementation(async (doc) => { const take = new StockTake(doc); takes.push(take); return take; });
+  jest.spyOn(StockTake, 'findById').mockImplementation(async (id) => takes.find((t) => String(t._id) === String(id)) || null);
+  jest.spyOn(StockTake, 'findOne').mockImplementation(async (filter) => takes.find((t) => filter.status.$in.includes(t.status)
+    && (!filter.$or || !t.location || t.location === filter.$or[0].location)) || null);
+  jest.spyOn(StockTake, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+    const take = takes.find((t) => String(t._id) === String(filter._id) && t.status === filter.status);
+    if (!take) return null;
+    Object.assign(take, $set);
+    return take;
+  });
+  jest.spyOn(StockTake.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(StockTake.prototype, 'populate').mockImplementation(async function () { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const start = (body = {}) => request(app).post('/api/stock/takes').send(body);
+const count = (take, counts) => request(app).put(`/api/stock/takes/${take._id}/counts`).send({ counts });
+const line = (take, batchNumber) => take.lines.find((l) => l.batchNumber === batchNumber);
+
+describe('starting a stock take', () => {
+  it('freezes every batch on hand onto the counting sheet', async () => {
+    const res = await start();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.takeNumber).toBe('ST-2026-0001');
+    expect(res.body.data.lines.map((l) => [l.medicineName, l.batchNumber, l.location, l.expectedQuantity, l.buyingPrice])).toEqual([
+      ['Amoxicillin 250mg', 'AMX-01', 'MAIN STORE', 12, 100],
+      ['Paracetamol 500mg', 'PCM-01', 'MAIN STORE', 40, 20],
+      ['Paracetamol 500mg', 'PCM-02', 'PHARMACY', 10, 25],
+    ]);
+    expect(res.body.data.summary).toMatchObject({ lines: 3, counted: 0, uncounted: 3, expectedValue: 2250 });
+
+    // Stock moving after the start does not change the sheet
+    batches[0].quantityRemaining = 5;
+    const sheet = await request(app).get(`/api/stock/takes/${res.body.data._id}`).query({ location: 'MAIN STORE' });
+    expect(sheet.body.data.lines.map((l) => [l.batchNumber, l.expectedQuantity])).toEqual([['AMX-01', 12], ['PCM-01', 40]]);
+  });
+
+  it('allows one open session per location', async () => {
+    const pharmacy = await start({ location: 'PHARMACY' });
+    expect(pharmacy.body.data.lines).toHaveLength(1);
+
+    const main = await start({ location: 'MAIN STORE' });
+    expect(main.status).toBe(201);
+
+    const whole = await start();
+    expect(whole.status).toBe(409);
+    expect(whole.body.message).toMatch(/ST-2026-0001 is still open for PHARMACY/);
+  });
+});
+
+describe('counting', () => {
+  it('records counts per batch by counter and values the variance at buying price', async () => {
+    const { body } = await start();
+    const take = takes[0];
+
+    await count(body.data, [{ batch: line(take, 'PCM-01').batch, countedQuantity: 36 }]);
+    currentUser = secondCounter;
+    const res = await count(body.data, [
+      { batch: line(take, 'PCM-02').batch, countedQuantity: 10 },
+      { batch: line(take, 'AMX-01').batch, countedQuantity: 13, notes: 'Found a loose strip' },
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(line(take, 'PCM-01')).toMatchObject({ variance: -4, varianceValue: -80 });
+    expect(String(line(take, 'PCM-01').countedBy)).toBe(String(counter._id));
+    expect(String(line(take, 'AMX-01').countedBy)).toBe(String(secondCounter._id));
+    expect(res.body.data.summary).toMatchObject({
+      counted: 3,
+      varianceValue: 20,
+      shortages: { count: 1, quantity: 4, value: 80 },
+      surpluses: { count: 1, quantity: 1, value: 100 },
+    });
+    expect(res.body.data.summary.byLocation.PHARMACY).toMatchObject({ lines: 1, varianceValue: 0 });
+  });
+
+  it('rejects counts for batches not on the sheet, and submitting with batches uncounted', async () => {
+    const { body } = await start();
+
+    const bad = await count(body.data, [
+      { batch: new mongoose.Types.ObjectId(), countedQuantity: 4 },
+      { batch: line(takes[0], 'PCM-01').batch, countedQuantity: -1 },
+    ]);
+    expect(bad.status).toBe(400);
+    expect(bad.body.errors.map((e) => e.line)).toEqual([1, 2]);
+
+    await count(body.data, [{ batch: line(takes[0], 'PCM-01').batch, countedQuantity: 40 }]);
+    const submit = await request(app).post(`/api/stock/takes/${body.data._id}/submit`);
+    expect(submit.status).toBe(400);
+    expect(submit.body.errors.map((e) => e.batchNumber)).toEqual(['AMX-01', 'PCM-02']);
+  });
+});
+
+describe('approval', () => {
+  const countAll = async () => {
+    const { body } = await start();
+    const take = takes[0];
+    await count(body.data, [
+      { batch: line(take, 'PCM-01').batch, countedQuantity: 36 },
+      { batch: line(take, 'PCM-02').batch, countedQuantity: 10 },
+      { batch: line(take, 'AMX-01').batch, countedQuantity: 0 },
+    ]);
+    await request(app).post(`/api/stock/takes/${body.data._id}/submit`);
+    return take;
+  };
+
+  it('posts an adjustment per variance, moving batches by the variance', async () => {
+    const take = await countAll();
+    // Two paracetamol were sold from PCM-01 while the count was under way
+    batches[0].quantityRemaining = 38;
+
+    currentUser = supervisor;
+    const res = await request(app).post(`/api/stock/takes/${take._id}/approve`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('approved');
+    expect(res.body.adjustments.map((a) => [a.batchNumber, a.variance, a.varianceValue, a.quantityRemaining])).toEqual([
+      ['AMX-01', -12, -1200, 0],
+      ['PCM-01', -4, -80, 34],
+    ]);
+    expect(batches[2].status).toBe('depleted');
+    expect(movements).toEqual([
+      expect.objectContaining({ type: 'ADJUSTMENT', quantity: -12, location: 'MAIN STORE', stockTake: take._id, performedBy: supervisor._id }),
+      expect.objectContaining({ type: 'ADJUSTMENT', quantity: -4, reason: 'Stock take ST-2026-0001: counted 36, expected 40 (shortage)' }),
+    ]);
+  });
+
+  it('posts the adjustments once when two supervisors approve together', async () => {
+    const take = await countAll();
+    currentUser = supervisor;
+    // Both approvals load the take while it is still submitted
+    const loaded = new StockTake(take.toObject());
+    StockTake.findById.mockImplementation(async () => loaded);
+
+    const first = await request(app).post(`/api/stock/takes/${take._id}/approve`);
+    const second = await request(app).post(`/api/stock/takes/${take._id}/approve`);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(409);
+    expect(movements).toHaveLength(2);
+    expect(batches[0].quantityRemaining).toBe(36);
+  });
+
+  it('needs an approver who did not count, and lets them send counts back', async () => {
+    const take = await countAll();
+
+    const own = await request(app).post(`/api/stock/takes/${take._id}/approve`);
+    expect(own.status).toBe(409);
+    expect(movements).toHaveLength(0);
+
+    currentUser = supervisor;
+    const recount = await request(app).post(`/api/stock/takes/${take._id}/recount`).send({ reason: 'Recheck the amoxicillin shelf' });
+    expect(recount.status).toBe(200);
+    expect(take.status).toBe('counting');
+    expect(take.history[0]).toMatchObject({ action: 'recount', reason: 'Recheck the amoxicillin shelf' });
+
+    const early = await request(app).post(`/api/stock/takes/${take._id}/approve`);
+    expect(early.status).toBe(409);
+  });
+
+  it('exports the approved sheet for auditors', async () => {
+    const take = await countAll();
+    currentUser = supervisor;
+    await request(app).post(`/api/stock/takes/${take._id}/approve`);
+
+    const res = await request(app).get(`/api/stock/takes/${take._id}/export`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="ST-2026-0001.csv"');
+    const rows = res.text.trim().split('\r\n');
+    expect(rows[0]).toMatch(/^Stock Take,Status,Location,Medicine,Batch,Expiry,Buying Price,Expected,Counted,Variance,Variance Value/);
+    expect(rows[1]).toMatch(/^ST-2026-0001,approved,MAIN STORE,Amoxicillin 250mg,AMX-01,2027-06-30,100,12,0,-12,-1200,/);
+    expect(rows).toHaveLength(4);
+  });
+});
+
+describe('the old single-medicine audit', () => {
+  it('is retired in favour of sessions', async () => {
+    const res = await request(app).put(`/api/stock/audit/${paracetamol._id}`).send({ actualCount: 3 });
+    expect(res.status).toBe(410);
+    expect(batches[0].quantityRemaining).toBe(40);
+  });
+});
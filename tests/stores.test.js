@@ -0,0 +1,313 @@
+/**
+ * Tests for stores: transfers between them with movements on both sides,
+ * per-store balances, dispensing from the dispensing point only, and
+ * requisitions completed as transfers from the main store.
+ *
+ * Stores, batches and requisitions are real documents held in memory; the
+ * real utils/deductStock.js runs against those batches.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+const counters = {};
+let currentUser;
+
+jest.unstable_mockModule('../utils/sequence.js', () => {
+  const nextSequence = async (key) => { counters[key] = (counters[key] || 0) + 1; return counters[key]; };
+  return { nextSequence, highestExisting: async () => 0, default: nextSequence };
+});
+jest.unstable_mockModule('../utils/withTransaction.js', () => {
+  const withTransaction = async (fn) => fn(null);
+  return { withTransaction, default: withTransaction };
+});
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => { req.user = currentUser; next(); },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const { default: storeRoutes } = await import('../routes/stores.js');
+const { default: requisitionRoutes } = await import('../routes/requisitions.js');
+const { default: storeService } = await import('../services/storeService.js');
+const { deductFromBatches } = await import('../utils/deductStock.js');
+const { default: Store } = await import('../models/Store.js');
+const { default: StockTransfer } = await import('../models/StockTransfer.js');
+const { default: Requisition } = await import('../models/Requisition.js');
+const { Medicine } = await import('../models/Medicine.js');
+const { MedicineBatch } = await import('../models/MedicineBatch.js');
+const { StockMovement } = await import('../models/StockMovement.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/stores', storeRoutes);
+app.use('/api/requisitions', requisitionRoutes);
+
+const query = (value) => {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.session = () => q;
+  q.populate = (path) => {
+    if (path === 'medicine') {
+      value.forEach((b) => { b.medicine = [paracetamol, ceftriaxone].find((m) => String(m._id) === String(b.medicine)); });
+    }
+    return q;
+  };
+  q.sort = (key) => (key === 'expiryDate' ? query([...value].sort((a, b) => a.expiryDate - b.expiryDate)) : q);
+  return q;
+};
+
+const storekeeper = { _id: new mongoose.Types.ObjectId(), firstName: 'Ali', lastName: 'Store' };
+const paracetamol = new Medicine({ name: 'Paracetamol 500mg', type: 'Tablet', sellingPrice: 50 });
+const ceftriaxone = new Medicine({ name: 'Ceftriaxone 1g', type: 'Injection', sellingPrice: 3000 });
+const purchaseOrder = new mongoose.Types.ObjectId();
+
+let stores;
+let batches;
+let movements;
+let requisition;
+
+const matchesBatch = (batch, filter) => Object.entries(filter).every(([key, value]) => {
+  if (key === '_id' && value?.$in) return value.$in.map(String).includes(String(batch._id));
+  if (value?.$gt !== undefined) return batch[key] > value.$gt;
+  if (value?.$gte !== undefined) return batch[key] >= value.$gte;
+  if (value instanceof Date) return batch[key].getTime() === value.getTime();
+  return String(batch[key]) === String(value);
+});
+
+const batch = (medicine, batchNumber, quantityRemaining, location, expiry = '2027-06-30') => new MedicineBatch({
+  medicine: medicine._id, purchaseOrder, batchNumber, quantityReceived: quantityRemaining, quantityRemaining,
+  buyingPrice: 10, sellingPrice: 20, expiryDate: new Date(`${expiry}T00:00:00`), location, status: 'active',
+});
+
+beforeEach(() => {
+  Object.keys(counters).forEach((key) => delete counters[key]);
+  currentUser = storekeeper;
+  movements = [];
+  stores = [
+    new Store({ code: 'MAIN STORE', name: 'Main Store', type: 'main' }),
+    new Store({ code: 'PHARMACY', name: 'Pharmacy', type: 'pharmacy', department: 'Pharmacy' }),
+    new Store({ code: 'THEATRE', name: 'Theatre Store', type: 'theatre', department: 'Surgery' }),
+  ];
+  batches = [
+    batch(paracetamol, 'PCM-01', 30, 'MAIN STORE', '2027-01-31'),
+    batch(paracetamol, 'PCM-02', 200, 'MAIN STORE'),
+    batch(paracetamol, 'PCM-01', 0, 'PHARMACY', '2027-01-31'),
+    batch(ceftriaxone, 'CFX-09', 40, 'MAIN STORE'),
+  ];
+  batches[2].status = 'depleted';
+  requisition = new Requisition({
+    requisitionNumber: 'REQ-202610-00007', requestedBy: storekeeper._id, requestedFor: { department: 'Surgery' },
+    items: [
+      { medicine: ceftriaxone._id, requestedQty: 10, issuedQty: 6, status: 'Partial' },
+      { medicine: paracetamol._id, requestedQty: 20 },
+      { medicine: paracetamol._id, requestedQty: 500, status: 'Rejected' },
+    ],
+  });
+
+  jest.spyOn(Store, 'findOne').mockImplementation((filter) => query(
+    stores.find((s) => s.isActive && Object.entries(filter).every(([key, value]) => key === 'isActive' || s[key] === value)) || null
+  ));
+  jest.spyOn(Store, 'findById').mockImplementation(async (id) => stores.find((s) => String(s._id) === String(id)) || null);
+  jest.spyOn(Store.prototype, 'save').mockImplementation(async function () { return this; });
+
+  jest.spyOn(Medicine, 'find').mockImplementation(() => query([paracetamol, ceftriaxone]));
+  jest.spyOn(MedicineBatch, 'find').mockImplementation((filter) => query(batches.filter((b) => matchesBatch(b, filter))));
+  jest.spyOn(MedicineBatch, 'findOneAndUpdate').mockImplementation(async (filter, update, options) => {
+    if (Array.isArray(update)) {
+      // deductFromBatches: take from one batch if it still holds enough
+      const held = batches.find((b) => String(b._id) === String(filter._id));
+      if (!held || held.status !== 'active' || held.quantityRemaining < filter.quantityRemaining.$gte) return null;
+      held.quantityRemaining += update[0].$set.quantityRemaining.$subtract[1] * -1;
+      if (held.quantityRemaining <= 0) held.status = 'depleted';
+      return held;
+    }
+    let held = batches.find((b) => matchesBatch(b, filter));
+    if (!held && options.upsert) {
+      held = new MedicineBatch({ ...filter, ...update.$setOnInsert, quantityReceived: 0, quantityRemaining: 0 });
+      batches.push(held);
+    }
+    held.quantityReceived += update.$inc.quantityReceived;
+    held.quantityRemaining += update.$inc.quantityRemaining;
+    held.status = update.$set.status;
+    return held;
+  });
+  jest.spyOn(StockMovement, 'create').mockImplementation(async ([doc]) => { movements.push(doc); return [doc]; });
+  jest.spyOn(StockTransfer.prototype, 'save').mockImplementation(async function () { return this; });
+
+  jest.spyOn(Requisition, 'findById').mockImplementation((id) => query(String(id) === String(requisition._id) ? requisition : null));
+  jest.spyOn(Requisition, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+    if (String(filter._id) !== String(requisition._id) || filter.status.$nin.includes(requisition.status)) return null;
+    Object.assign(requisition, $set);
+    return requisition;
+  });
+  jest.spyOn(Requisition.prototype, 'save').mockImplementation(async function () { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const at = (location, medicine = paracetamol) => batches
+  .filter((b) => b.location === location && String(b.medicine) === String(medicine._id))
+  .map((b) => [b.batchNumber, b.quantityRemaining]);
+
+describe('transferring stock', () => {
+  it('moves quantities oldest expiry first, recording both sides', async () => {
+    const res = await request(app).post('/api/stores/transfers').send({
+      fromStore: 'main store', toStore: 'THEATRE', items: [{ medicine: paracetamol._id, quantity: 50 }],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.transferNumber).toMatch(/^TRF-\d{8}-0001$/);
+    expect(at('MAIN STORE')).toEqual([['PCM-01', 0], ['PCM-02', 180]]);
+    expect(at('THEATRE')).toEqual([['PCM-01', 30], ['PCM-02', 20]]);
+    const created = batches.find((b) => b.location === 'THEATRE' && b.batchNumber === 'PCM-02');
+    expect(created).toMatchObject({ buyingPrice: 10, sellingPrice: 20, quantityReceived: 20 });
+    expect(created.expiryDate).toEqual(new Date('2027-06-30T00:00:00'));
+
+    expect(movements.map((m) => [m.type, m.location, m.quantity])).toEqual([
+      ['TRANSFER_OUT', 'MAIN STORE', 30],
+      ['TRANSFER_OUT', 'MAIN STORE', 20],
+      ['TRANSFER_IN', 'THEATRE', 30],
+      ['TRANSFER_IN', 'THEATRE', 20],
+    ]);
+    expect(movements.every((m) => String(m.transfer) === res.body.data._id)).toBe(true);
+  });
+
+  it('tops up the same batch at the destination', async () => {
+    await request(app).post('/api/stores/transfers').send({
+      fromStore: 'MAIN STORE', toStore: 'PHARMACY', items: [{ medicine: paracetamol._id, quantity: 10 }],
+    });
+
+    expect(at('PHARMACY')).toEqual([['PCM-01', 10]]);
+    expect(batches[2].status).toBe('active');
+    expect(batches).toHaveLength(4);
+  });
+
+  it('refuses transfers the source store cannot cover, or within one store', async () => {
+    const short = await request(app).post('/api/stores/transfers').send({
+      fromStore: 'PHARMACY', toStore: 'THEATRE', items: [{ medicine: paracetamol._id, quantity: 5 }],
+    });
+    expect(short.status).toBe(409);
+    expect(short.body.errors).toEqual([expect.objectContaining({ name: 'Paracetamol 500mg', wanted: 5, available: 0 })]);
+
+    const same = await request(app).post('/api/stores/transfers').send({
+      fromStore: 'PHARMACY', toStore: 'pharmacy', items: [{ medicine: paracetamol._id, quantity: 5 }],
+    });
+    expect(same.status).toBe(400);
+
+    const unknown = await request(app).post('/api/stores/transfers').send({
+      fromStore: 'MAIN STORE', toStore: 'WARD 9', items: [{ medicine: paracetamol._id, quantity: 5 }],
+    });
+    expect(unknown.status).toBe(404);
+    expect(movements).toHaveLength(0);
+  });
+});
+
+describe('stores', () => {
+  it('report what each holds and keep their codes', async () => {
+    const res = await request(app).get(`/api/stores/${stores[0]._id}/balance`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((row) => [row.medicine.name, row.quantity])).toEqual([
+      ['Ceftriaxone 1g', 40],
+      ['Paracetamol 500mg', 230],
+    ]);
+    expect(res.body.totalValue).toBe(2700);
+
+    const rename = await request(app).put(`/api/stores/${stores[1]._id}`).send({ code: 'DISPENSARY', name: 'Dispensary' });
+    expect(rename.status).toBe(400);
+    expect(stores[1].name).toBe('Pharmacy');
+  });
+
+  it('move batches received to a free-text location onto a store', async () => {
+    batches.push(
+      batch(ceftriaxone, 'CFX-10', 5, ' theatre'),
+      batch(ceftriaxone, 'CFX-11', 5, 'Shelf B'),
+      batch(ceftriaxone, 'CFX-12', 5, '')
+    );
+    jest.spyOn(Store, 'find').mockImplementation(() => query(stores));
+    jest.spyOn(MedicineBatch, 'distinct').mockImplementation(async (field, filter) => (
+      [...new Set(batches.map((b) => b.location))].filter((location) => !filter.location.$nin.includes(location))
+    ));
+    jest.spyOn(MedicineBatch, 'updateMany').mockImplementation(async (filter, { $set }) => {
+      const moving = batches.filter((b) => (filter.location.$in ? !b.location : b.location === filter.location));
+      moving.forEach((b) => { b.location = $set.location; });
+      return { modifiedCount: moving.length };
+    });
+
+    expect(await Store.migrateBatchLocations()).toBe(3);
+    expect(batches.slice(-3).map((b) => b.location)).toEqual(['THEATRE', 'MAIN STORE', 'MAIN STORE']);
+    expect(await Store.migrateBatchLocations()).toBe(0);
+  });
+});
+
+describe('dispensing point', () => {
+  it('limits deductions to the pharmacy store once one is set up', async () => {
+    const location = await storeService.dispensingLocation();
+    expect(location).toBe('PHARMACY');
+
+    const result = await deductFromBatches({
+      medicineId: paracetamol._id, quantity: 5, reason: 'Prescription dispensing', performedBy: storekeeper._id, location,
+    });
+    expect(result.remaining).toBe(5);
+    expect(at('MAIN STORE')).toEqual([['PCM-01', 30], ['PCM-02', 200]]);
+
+    stores[1].isActive = false;
+    expect(await storeService.dispensingLocation()).toBeNull();
+  });
+});
+
+describe('requisitions', () => {
+  it('check issues against the main store without moving stock', async () => {
+    const item = requisition.items[1];
+    const res = await request(app).put(`/api/requisitions/${requisition._id}/items/${item._id}`).send({ status: 'Issued', issuedQty: 20 });
+
+    expect(res.status).toBe(200);
+    expect(requisition.status).toBe('In Progress');
+    expect(movements).toHaveLength(0);
+
+    const tooMany = await request(app).put(`/api/requisitions/${requisition._id}/items/${item._id}`).send({ status: 'Issued', issuedQty: 231 });
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.message).toBe('Insufficient stock. Only 230 units available');
+  });
+
+  it('complete as a transfer from the main store to the department store', async () => {
+    const res = await request(app).put(`/api/requisitions/${requisition._id}/complete`);
+
+    expect(res.status).toBe(200);
+    expect(requisition.status).toBe('Completed');
+    expect(String(requisition.transfer)).toBe(res.body.transfer._id);
+    expect(res.body.transfer).toMatchObject({ fromStore: 'MAIN STORE', toStore: 'THEATRE', requisition: String(requisition._id) });
+    expect(res.body.transfer.lines.map((l) => [l.medicineName, l.quantity])).toEqual([['Ceftriaxone 1g', 6], ['Paracetamol 500mg', 20]]);
+    expect(at('THEATRE', ceftriaxone)).toEqual([['CFX-09', 6]]);
+    expect(at('THEATRE')).toEqual([['PCM-01', 20]]);
+
+    const again = await request(app).put(`/api/requisitions/${requisition._id}/complete`);
+    expect(again.status).toBe(409);
+  });
+
+  it('moves stock once when two completions race', async () => {
+    // Both requests load the requisition before either has completed it
+    const loaded = new Requisition(requisition.toObject());
+    Requisition.findById.mockImplementation(() => query(loaded));
+
+    const first = await request(app).put(`/api/requisitions/${requisition._id}/complete`);
+    const second = await request(app).put(`/api/requisitions/${requisition._id}/complete`);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(409);
+    expect(at('THEATRE')).toEqual([['PCM-01', 20]]);
+    expect(movements.filter((m) => m.type === 'TRANSFER_IN')).toHaveLength(2);
+  });
+
+  it('cannot complete until the department has a store', async () => {
+    requisition.requestedFor.department = 'Maternity';
+    const res = await request(app).put(`/api/requisitions/${requisition._id}/complete`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('No store is set up to receive stock for Maternity');
+    expect(requisition.status).not.toBe('Completed');
+    expect(movements).toHaveLength(0);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Tests for POST /api/billing/webhooks/stripe.
+ *
+ * Events are signed with the real Stripe library, so signature verification
+ * runs for real; only the models are replaced with an in-memory payment,
+ * invoice and visit. Stripe delivers events at least once, so each case also
+ * replays the event and checks that nothing is applied twice.
+ */
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import Stripe from 'stripe';
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_webhook_suite';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+let payment;
+let invoice;
+let visit;
+const audit = [];
+
+const query = (value) => {
+  const promise = Promise.resolve(value);
+  promise.session = () => Promise.resolve(value);
+  promise.populate = () => query(value);
+  return promise;
+};
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => obj[key], doc);
+  if (target instanceof Map) target.set(last, value);
+  else target[last] = value;
+};
+
+jest.unstable_mockModule('../models/Payment.js', () => ({
+  default: {
+    findOne: async (q) => {
+      if (payment.gateway !== q.gateway) return null;
+      if (q.paymentNumber) return payment.paymentNumber === q.paymentNumber && !payment.transactionId ? payment : null;
+      return payment.transactionId === q.transactionId ? payment : null;
+    },
+    findById: async () => payment,
+    findOneAndUpdate: async (q, update) => {
+      if (q.status && !q.status.$in.includes(payment.status)) return null;
+      if ('refundDetails.refundedAmount' in q && payment.refundDetails.refundedAmount !== q['refundDetails.refundedAmount']) return null;
+      for (const [path, value] of Object.entries(update.$set || {})) setPath(payment, path, value);
+      return payment;
+    },
+  },
+}));
+
+jest.unstable_mockModule('../models/Invoice.js', () => ({
+  default: { findById: () => query(invoice) },
+}));
+jest.unstable_mockModule('../models/Visit.js', () => ({
+  default: { findById: () => query(visit) },
+}));
+jest.unstable_mockModule('../models/Patient.js', () => ({ default: {} }));
+jest.unstable_mockModule('../models/InsuranceProvider.js', () => ({ default: {} }));
+jest.unstable_mockModule('../models/Notification.js', () => ({ default: { createNotification: async () => {} } }));
+jest.unstable_mockModule('../models/AuditLog.js', () => ({ default: { log: async (entry) => audit.push(entry) } }));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({ withTransaction: (fn) => fn(null) }));
+jest.unstable_mockModule('../middleware/auth.js', () => ({
+  protect: (req, res, next) => next(),
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const { default: billingRoutes } = await import('../routes/billing.js');
+
+const app = express();
+app.use('/api/billing/webhooks/stripe', express.raw({ type: 'application/json' }));
+app.use(express.json());
+app.use('/api/billing', billingRoutes);
+
+const stripe = new Stripe('sk_test_webhook_suite');
+
+const deliver = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  const header = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  return request(app)
+    .post('/api/billing/webhooks/stripe')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', header)
+    .send(payload);
+};
+
+const intentEvent = (type, overrides = {}) => ({
+  id: `evt_${type}`,
+  type,
+  data: { object: { id: 'pi_123', status: 'succeeded', amount_received: 2500000, ...overrides } },
+});
+
+beforeEach(() => {
+  audit.length = 0;
+  payment = {
+    _id: 'pay-1',
+    paymentNumber: 'PAY-20261019-0001',
+    invoice: 'inv-1',
+    amount: 25000,
+    method: 'credit_card',
+    gateway: 'stripe',
+    transactionId: 'pi_123',
+    status: 'processing',
+    processedBy: 'cashier',
+    gatewayResponse: new Map(),
+    refundDetails: { refundedAmount: 0 },
+    save: async () => {},
+  };
+  invoice = {
+    _id: 'inv-1',
+    visit: 'visit-1',
+    items: [{ type: 'consultation', total: 25000, paid: false }],
+    payments: [],
+    amountPaid: 0,
+    balanceDue: 25000,
+    status: 'pending',
+    addPayment(amount) {
+      this.payments.push({ amount });
+      this.items[0].paid = true;
+      this.calculateTotals();
+    },
+    calculateTotals() {
+      this.amountPaid = this.payments.reduce((sum, p) => sum + p.amount, 0);
+      this.balanceDue = 25000 - this.amountPaid;
+      if (this.amountPaid > 0) this.status = this.balanceDue <= 0 ? 'paid' : 'partial';
+    },
+    save: async () => {},
+  };
+  visit = {
+    visitId: 'V2600001',
+    status: 'Pending Payment',
+    consultationFeePaid: false,
+    patient: { insurance: {} },
+    save: async () => {},
+  };
+});
+
+describe('signature verification', () => {
+  it('rejects an event signed with the wrong secret', async () => {
+    const res = await deliver(intentEvent('payment_intent.succeeded'), 'whsec_forged');
+
+    expect(res.status).toBe(400);
+    expect(payment.status).toBe('processing');
+  });
+
+  it('rejects a request without a signature', async () => {
+    const res = await request(app)
+      .post('/api/billing/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify(intentEvent('payment_intent.succeeded')));
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('payment_intent.succeeded', () => {
+  it('completes the payment, pays the invoice and releases the visit to the queue, once', async () => {
+    const first = await deliver(intentEvent('payment_intent.succeeded'));
+    const replay = await deliver(intentEvent('payment_intent.succeeded'));
+
+    expect(first.body).toEqual({ received: true, action: 'payment_completed' });
+    expect(replay.status).toBe(200);
+    expect(payment.status).toBe('completed');
+    expect(payment.gatewayResponse.get('eventId')).toBe('evt_payment_intent.succeeded');
+    expect(invoice).toMatchObject({ amountPaid: 25000, balanceDue: 0, status: 'paid' });
+    expect(invoice.payments).toHaveLength(1);
+    expect(visit).toMatchObject({ status: 'In Queue', consultationFeePaid: true });
+  });
+
+  it('settles a payment-link payment by the payment number the intent carries', async () => {
+    Object.assign(payment, { method: 'online', transactionId: undefined, processedBy: undefined });
+
+    const res = await deliver(intentEvent('payment_intent.succeeded', { metadata: { paymentNumber: 'PAY-20261019-0001' } }));
+
+    expect(res.body.action).toBe('payment_completed');
+    expect(payment).toMatchObject({ status: 'completed', transactionId: 'pi_123' });
+    expect(invoice).toMatchObject({ amountPaid: 25000, status: 'paid' });
+    expect(audit).toHaveLength(0);
+  });
+
+  it('acknowledges an intent that matches no payment', async () => {
+    const res = await deliver(intentEvent('payment_intent.succeeded', { id: 'pi_unknown' }));
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('processing');
+  });
+});
+
+describe('payment_intent.payment_failed', () => {
+  it('marks the payment failed with the decline reason and leaves the invoice unpaid', async () => {
+    await deliver(intentEvent('payment_intent.payment_failed', {
+      status: 'requires_payment_method',
+      last_payment_error: { message: 'Your card has insufficient funds.', decline_code: 'insufficient_funds' },
+    }));
+
+    expect(payment.status).toBe('failed');
+    expect(payment.gatewayResponse.get('message')).toBe('Your card has insufficient funds.');
+    expect(invoice.amountPaid).toBe(0);
+    expect(visit.consultationFeePaid).toBe(false);
+  });
+});
+
+describe('charge.refunded', () => {
+  const refundEvent = (amountRefunded) => ({
+    id: `evt_refund_${amountRefunded}`,
+    type: 'charge.refunded',
+    data: { object: { id: 'ch_1', payment_intent: 'pi_123', amount_refunded: amountRefunded } },
+  });
+
+  beforeEach(async () => {
+    await deliver(intentEvent('payment_intent.succeeded'));
+  });
+
+  it('applies only the refunded amount not yet recorded', async () => {
+    await deliver(refundEvent(1000000));
+    await deliver(refundEvent(1000000));
+
+    expect(payment.refundDetails.refundedAmount).toBe(10000);
+    expect(payment.status).toBe('completed');
+    expect(invoice).toMatchObject({ amountPaid: 15000, balanceDue: 10000 });
+
+    await deliver(refundEvent(2500000));
+
+    expect(payment.refundDetails.refundedAmount).toBe(25000);
+    expect(payment.status).toBe('refunded');
+    expect(invoice.status).toBe('refunded');
+  });
+
+  it('ignores a refund this system already recorded when it issued it', async () => {
+    payment.refundDetails.refundedAmount = 25000;
+
+    await deliver(refundEvent(2500000));
+
+    expect(invoice.payments).toHaveLength(1);
+    expect(invoice.amountPaid).toBe(25000);
+  });
+});
@@ -24,6 +24,7 @@ jest.unstable_mockModule('../middleware/auth.js', () => ({
     next();
   },
   authorize: () => (req, res, next) => next(),
+  requirePermission: () => (req, res, next) => next(),
 }));
 
 const { default: uploadRoutes } = await import('../routes/upload.js');
@@ -117,13 +117,25 @@ describe('role', () => {
     expect(doc.hasPermission('all')).toBe(false);
   });
 
-  it('rejects a role outside the enum', async () => {
+  // Roles are created at runtime, so the schema only checks the name is
+  // well-formed; whether the role exists is checked where one is assigned.
+  it('accepts a custom role name', async () => {
     const doc = new User({
       firstName: 'A', lastName: 'B', email: 'a@b.com',
-      password: PLAINTEXT, role: 'superuser',
+      password: PLAINTEXT, role: 'Ward_Clerk',
     });
 
-    await expect(doc.validate()).rejects.toThrow(/not a valid enum value/);
+    await expect(doc.validate()).resolves.toBeUndefined();
+    expect(doc.role).toBe('ward_clerk');
+  });
+
+  it('rejects a malformed role name', async () => {
+    const doc = new User({
+      firstName: 'A', lastName: 'B', email: 'a@b.com',
+      password: PLAINTEXT, role: 'super user!',
+    });
+
+    await expect(doc.validate()).rejects.toThrow(/Invalid role name/);
   });
 });
 
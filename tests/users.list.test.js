@@ -59,6 +59,7 @@ jest.unstable_mockModule('../models/User.js', () => ({
 jest.unstable_mockModule('../middleware/auth.js', () => ({
   protect: (req, res, next) => { req.user = { _id: 'admin-id', id: 'admin-id', role: 'admin' }; next(); },
   authorize: () => (req, res, next) => next(),
+  requirePermission: () => (req, res, next) => next(),
 }));
 
 jest.unstable_mockModule('../utils/sendEmail.js', () => ({ default: async () => ({ messageId: 'x' }) }));
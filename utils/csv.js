@@ -0,0 +1,85 @@
+/**
+ * Minimal CSV reader and writer, for report exports and tariff imports.
+ *
+ * Values are quoted per RFC 4180. Cells that a spreadsheet would evaluate as a
+ * formula (leading =, +, -, @) are prefixed with a single quote: exports are
+ * opened in Excel by auditors, and free-text fields such as notes and
+ * descriptions are user-supplied.
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<object>} rows
+ * @param {Array<{ header: string, value: (row: object) => any }>} columns
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map((c) => escapeCsvValue(c.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCsvValue(c.value(row))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse RFC 4180 CSV into an array of rows, each an array of strings.
+ * Handles quoted fields (with embedded commas, quotes and line breaks), CRLF
+ * or LF line endings and a leading byte-order mark. Blank lines are dropped.
+ *
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) endRow();
+
+  return rows;
+};
+
+export default toCsv;
@@ -15,6 +15,10 @@ import { StockMovement } from '../models/StockMovement.js';
  * transaction, a failure part-way through leaves earlier batches decremented.
  * Callers that need all-or-nothing should pass a session.
  *
+ * `location` limits the deduction to one store's batches (a store code, see
+ * models/Store.js); without it every store's stock is drawn on. Transfers
+ * pass `type: 'TRANSFER_OUT'` and the `transfer` for the movements.
+ *
  * @returns {Promise<{batchesUsed: Array, movements: Array, remaining: number}>}
  *          `remaining` is how much could not be sourced (0 when fully filled).
  */
@@ -25,6 +29,9 @@ export const deductFromBatches = async ({
   patient,
   performedBy,
   session,
+  location,
+  type = 'OUT',
+  transfer,
 }) => {
   const sessionOpt = session ? { session } : {};
   const batchesUsed = [];
@@ -36,6 +43,7 @@ export const deductFromBatches = async ({
     status: 'active',
     quantityRemaining: { $gt: 0 },
     expiryDate: { $gt: new Date() },
+    ...(location && { location }),
   })
     .sort('expiryDate')
     .session(session || null);
@@ -77,18 +85,20 @@ export const deductFromBatches = async ({
         {
           medicine: medicineId,
           batch: batch._id,
-          type: 'OUT',
+          type,
           quantity: take,
           reason,
           patient,
           performedBy,
+          location: batch.location,
+          transfer,
         },
       ],
       sessionOpt
     );
 
     movements.push(movement);
-    batchesUsed.push({ batchNumber: batch.batchNumber, quantity: take });
+    batchesUsed.push({ batch: batch._id, batchNumber: batch.batchNumber, quantity: take });
     remaining -= take;
   }
 
@@ -166,6 +166,76 @@ export const getEmailTemplate = (type, data) => {
         </div>
       </body>
       </html>
+    `,
+
+    appointmentReminder: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Appointment Reminder</title>
+        ${baseStyle}
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h2 style="margin: 0; color: #111827;">${data.hospitalName || 'Segese Medical Clinic'}</h2>
+          </div>
+          <div class="content">
+            <p>Hello ${data.patientName || 'Patient'},</p>
+            
+            <p>This is a reminder of your appointment${data.doctorName ? ` with ${data.doctorName}` : ''} on <strong>${data.date}</strong> at <strong>${data.time}</strong>.</p>
+            
+            ${data.address ? `<p>Address: ${data.address}</p>` : ''}
+            
+            <p>If you cannot attend, please let us know${data.phone ? ` on ${data.phone}` : ''} so the time can be offered to another patient.</p>
+            
+            <p>Best regards,<br>
+            Segese Medical Clinic Team</p>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Segese Medical Clinic. All rights reserved.</p>
+            <p>This is an automated email. Please do not reply to this message.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+
+    portalCode: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Sign-in Code</title>
+        ${baseStyle}
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h2 style="margin: 0; color: #111827;">${data.hospitalName || 'Segese Medical Clinic'}</h2>
+          </div>
+          <div class="content">
+            <p>Hello ${data.patientName || 'Patient'},</p>
+            
+            <p>Your code for signing in to the patient portal is:</p>
+            
+            <div style="text-align: center; font-size: 28px; letter-spacing: 6px;"><strong>${data.code}</strong></div>
+            
+            <p>The code expires in ${data.minutes} minutes. If you did not ask for it, you can ignore this email.</p>
+            
+            <p>Best regards,<br>
+            Segese Medical Clinic Team</p>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Segese Medical Clinic. All rights reserved.</p>
+            <p>This is an automated email. Please do not reply to this message.</p>
+          </div>
+        </div>
+      </body>
+      </html>
     `
   };
 
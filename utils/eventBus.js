@@ -0,0 +1,31 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process bus for domain events raised by the models.
+ *
+ * Models emit here rather than talking to the realtime service directly, so a
+ * schema never imports HTTP concerns and a script that loads the models (e.g.
+ * setup-admin) does not pull in the SSE layer. Listeners must not throw: an
+ * exception in a listener would surface inside the mongoose hook that emitted.
+ *
+ * Events:
+ *   notification.created  (notification)
+ *   visit.statusChanged   ({ visit, previousStatus })
+ *   prescription.created  ({ visit, prescription })
+ */
+const eventBus = new EventEmitter();
+
+// One listener per connected SSE client is not registered here (the realtime
+// service fans out itself), so the default cap of 10 is only a guard against
+// accidental re-registration.
+eventBus.setMaxListeners(20);
+
+export const emitSafely = (event, payload) => {
+  try {
+    eventBus.emit(event, payload);
+  } catch {
+    // A failing listener must never fail the write that raised the event.
+  }
+};
+
+export default eventBus;